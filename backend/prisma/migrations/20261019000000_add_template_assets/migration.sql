@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "AssetKind" AS ENUM ('image', 'font');
+
+-- CreateTable
+CREATE TABLE "TemplateAsset" (
+    "id" TEXT NOT NULL,
+    "templateId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "kind" "AssetKind" NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TemplateAsset_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TemplateAsset_templateId_name_key" ON "TemplateAsset"("templateId", "name");
+
+-- AddForeignKey
+ALTER TABLE "TemplateAsset" ADD CONSTRAINT "TemplateAsset_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "Template"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Enable Row Level Security (backend uses service_role, which bypasses RLS)
+ALTER TABLE "TemplateAsset" ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to TemplateAsset"
+ON "TemplateAsset"
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
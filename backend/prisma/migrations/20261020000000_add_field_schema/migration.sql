@@ -0,0 +1,12 @@
+-- CreateEnum
+CREATE TYPE "FieldType" AS ENUM ('string', 'number', 'date', 'email', 'enum', 'boolean', 'currency');
+
+-- AlterTable
+ALTER TABLE "Field" ADD COLUMN     "type" "FieldType" NOT NULL DEFAULT 'string',
+ADD COLUMN     "required" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "defaultValue" JSONB,
+ADD COLUMN     "pattern" TEXT,
+ADD COLUMN     "min" DOUBLE PRECISION,
+ADD COLUMN     "max" DOUBLE PRECISION,
+ADD COLUMN     "options" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "description" TEXT;
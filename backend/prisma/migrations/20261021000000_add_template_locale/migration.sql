@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Template" ADD COLUMN     "locale" TEXT;
+
+-- AlterTable
+ALTER TABLE "TemplateVersion" ADD COLUMN     "locale" TEXT;
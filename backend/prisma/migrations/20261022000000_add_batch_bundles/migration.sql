@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "BatchBundle" AS ENUM ('zip', 'pdf');
+
+-- AlterTable
+ALTER TABLE "BatchJob" ADD COLUMN     "bundle" "BatchBundle",
+ADD COLUMN     "bundlePath" TEXT;
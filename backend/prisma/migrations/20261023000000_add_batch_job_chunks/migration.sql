@@ -0,0 +1,51 @@
+-- AlterEnum
+ALTER TYPE "BatchJobStatus" ADD VALUE 'ingesting' BEFORE 'pending';
+
+-- CreateTable
+CREATE TABLE "BatchJobChunk" (
+    "id" TEXT NOT NULL,
+    "batchJobId" TEXT NOT NULL,
+    "index" INTEGER NOT NULL,
+    "firstRow" INTEGER NOT NULL,
+    "rowCount" INTEGER NOT NULL,
+    "rows" JSONB NOT NULL,
+    "results" JSONB,
+    "failedRows" INTEGER NOT NULL DEFAULT 0,
+    "processedAt" TIMESTAMP(3),
+
+    CONSTRAINT "BatchJobChunk_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BatchJobChunk_batchJobId_index_key" ON "BatchJobChunk"("batchJobId", "index");
+
+-- AddForeignKey
+ALTER TABLE "BatchJobChunk" ADD CONSTRAINT "BatchJobChunk_batchJobId_fkey" FOREIGN KEY ("batchJobId") REFERENCES "BatchJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Enable Row Level Security (backend uses service_role, which bypasses RLS)
+ALTER TABLE "BatchJobChunk" ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to BatchJobChunk"
+ON "BatchJobChunk"
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Move existing rows and results into one chunk per job; unfinished jobs restart that chunk
+INSERT INTO "BatchJobChunk" ("id", "batchJobId", "index", "firstRow", "rowCount", "rows", "results", "failedRows", "processedAt")
+SELECT
+    md5(random()::text || "id"),
+    "id",
+    0,
+    0,
+    "totalRows",
+    "rows",
+    CASE WHEN "status" IN ('completed', 'failed') THEN "results" END,
+    CASE WHEN "status" IN ('completed', 'failed') THEN "failedRows" ELSE 0 END,
+    CASE WHEN "status" IN ('completed', 'failed') THEN "completedAt" END
+FROM "BatchJob";
+
+-- AlterTable
+ALTER TABLE "BatchJob" DROP COLUMN "results",
+DROP COLUMN "rows";
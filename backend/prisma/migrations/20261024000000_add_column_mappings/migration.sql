@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "ColumnMapping" (
+    "id" TEXT NOT NULL,
+    "templateId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "rules" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ColumnMapping_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ColumnMapping_templateId_name_key" ON "ColumnMapping"("templateId", "name");
+
+-- AddForeignKey
+ALTER TABLE "ColumnMapping" ADD CONSTRAINT "ColumnMapping_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "Template"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Enable Row Level Security (backend uses service_role, which bypasses RLS)
+ALTER TABLE "ColumnMapping" ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to ColumnMapping"
+ON "ColumnMapping"
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "BatchJob" ADD COLUMN "retryOfId" TEXT;
+
+-- AlterTable
+ALTER TABLE "BatchJobChunk" ADD COLUMN "sourceRows" JSONB;
+
+-- CreateIndex
+CREATE INDEX "BatchJob_retryOfId_idx" ON "BatchJob"("retryOfId");
+
+-- AddForeignKey
+ALTER TABLE "BatchJob" ADD CONSTRAINT "BatchJob_retryOfId_fkey" FOREIGN KEY ("retryOfId") REFERENCES "BatchJob"("id") ON DELETE SET NULL ON UPDATE CASCADE;
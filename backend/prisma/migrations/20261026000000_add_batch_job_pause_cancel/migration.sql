@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "BatchJobStatus" ADD VALUE 'paused' BEFORE 'completed';
+ALTER TYPE "BatchJobStatus" ADD VALUE 'cancelled';
+
+-- AlterTable
+ALTER TABLE "BatchJob" ADD COLUMN "discardOutputs" BOOLEAN NOT NULL DEFAULT false;
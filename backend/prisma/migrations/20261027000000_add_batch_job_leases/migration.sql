@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "BatchJob" ADD COLUMN "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "heartbeatAt" TIMESTAMP(3),
+ADD COLUMN "leaseExpiresAt" TIMESTAMP(3),
+ADD COLUMN "leaseOwner" TEXT;
+
+-- AlterTable
+ALTER TABLE "MergeJob" ADD COLUMN "idempotencyKey" TEXT;
+
+-- CreateIndex
+CREATE INDEX "BatchJob_status_leaseExpiresAt_idx" ON "BatchJob"("status", "leaseExpiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MergeJob_idempotencyKey_key" ON "MergeJob"("idempotencyKey");
@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "WebhookDeliveryStatus" AS ENUM ('pending', 'delivered', 'failed');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "callbackUrl" TEXT;
+
+-- AlterTable
+ALTER TABLE "BatchJob" ADD COLUMN "callbackUrl" TEXT;
+
+-- CreateTable
+CREATE TABLE "WebhookDelivery" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "event" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" "WebhookDeliveryStatus" NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastStatusCode" INTEGER,
+    "lastError" TEXT,
+    "deliveredAt" TIMESTAMP(3),
+    "batchJobId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WebhookDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_status_nextAttemptAt_idx" ON "WebhookDelivery"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_userId_createdAt_idx" ON "WebhookDelivery"("userId", "createdAt");
+
+-- Enable Row Level Security (backend uses service_role, which bypasses RLS)
+ALTER TABLE "WebhookDelivery" ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to WebhookDelivery"
+ON "WebhookDelivery"
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
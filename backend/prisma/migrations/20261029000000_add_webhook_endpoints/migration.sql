@@ -0,0 +1,63 @@
+-- CreateTable
+CREATE TABLE "WebhookEndpoint" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "templateId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "secret" TEXT NOT NULL,
+    "previousSecret" TEXT,
+    "previousSecretExpiresAt" TIMESTAMP(3),
+    "requireTimestamp" BOOLEAN NOT NULL DEFAULT false,
+    "lastUsedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WebhookEndpoint_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WebhookNonce" (
+    "endpointId" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WebhookNonce_pkey" PRIMARY KEY ("endpointId","nonce")
+);
+
+-- CreateIndex
+CREATE INDEX "WebhookEndpoint_userId_idx" ON "WebhookEndpoint"("userId");
+
+-- CreateIndex
+CREATE INDEX "WebhookEndpoint_templateId_idx" ON "WebhookEndpoint"("templateId");
+
+-- CreateIndex
+CREATE INDEX "WebhookNonce_createdAt_idx" ON "WebhookNonce"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "WebhookEndpoint" ADD CONSTRAINT "WebhookEndpoint_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WebhookEndpoint" ADD CONSTRAINT "WebhookEndpoint_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "Template"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WebhookNonce" ADD CONSTRAINT "WebhookNonce_endpointId_fkey" FOREIGN KEY ("endpointId") REFERENCES "WebhookEndpoint"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Enable Row Level Security (backend uses service_role, which bypasses RLS)
+ALTER TABLE "WebhookEndpoint" ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to WebhookEndpoint"
+ON "WebhookEndpoint"
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+ALTER TABLE "WebhookNonce" ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to WebhookNonce"
+ON "WebhookNonce"
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
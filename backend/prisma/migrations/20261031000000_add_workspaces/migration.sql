@@ -0,0 +1,69 @@
+-- CreateEnum
+CREATE TYPE "WorkspaceRole" AS ENUM ('owner', 'editor', 'merger', 'viewer');
+
+-- AlterTable
+ALTER TABLE "Folder" ADD COLUMN "workspaceId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Template" ADD COLUMN "workspaceId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Workspace" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Workspace_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WorkspaceMember" (
+    "workspaceId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "role" "WorkspaceRole" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WorkspaceMember_pkey" PRIMARY KEY ("workspaceId","userId")
+);
+
+-- CreateIndex
+CREATE INDEX "WorkspaceMember_userId_idx" ON "WorkspaceMember"("userId");
+
+-- CreateIndex
+CREATE INDEX "Folder_workspaceId_idx" ON "Folder"("workspaceId");
+
+-- CreateIndex
+CREATE INDEX "Template_workspaceId_idx" ON "Template"("workspaceId");
+
+-- AddForeignKey
+ALTER TABLE "Folder" ADD CONSTRAINT "Folder_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Template" ADD CONSTRAINT "Template_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WorkspaceMember" ADD CONSTRAINT "WorkspaceMember_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WorkspaceMember" ADD CONSTRAINT "WorkspaceMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Enable Row Level Security (backend uses service_role, which bypasses RLS)
+ALTER TABLE "Workspace" ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to Workspace"
+ON "Workspace"
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+ALTER TABLE "WorkspaceMember" ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to WorkspaceMember"
+ON "WorkspaceMember"
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
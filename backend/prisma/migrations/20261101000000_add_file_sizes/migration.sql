@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Template" ADD COLUMN "fileSize" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "TemplateVersion" ADD COLUMN "fileSize" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "MergeJob" ADD COLUMN "fileSize" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "UsageCounter" (
+    "userId" TEXT NOT NULL,
+    "month" TEXT NOT NULL,
+    "merges" INTEGER NOT NULL DEFAULT 0,
+    "batchRows" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UsageCounter_pkey" PRIMARY KEY ("userId","month")
+);
+
+-- AddForeignKey
+ALTER TABLE "UsageCounter" ADD CONSTRAINT "UsageCounter_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Enable Row Level Security (backend uses service_role, which bypasses RLS)
+ALTER TABLE "UsageCounter" ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to UsageCounter"
+ON "UsageCounter"
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
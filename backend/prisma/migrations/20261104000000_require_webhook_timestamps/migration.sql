@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "WebhookEndpoint" ALTER COLUMN "requireTimestamp" SET DEFAULT true;
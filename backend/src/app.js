@@ -12,11 +12,20 @@ const mergeRouter = require("./routes/merge.routes");
 const authRouter = require("./routes/auth.routes");
 const folderRouter = require("./routes/folder.routes");
 const adminRouter = require("./routes/admin.routes");
+// router for webhook endpoints, outbound callback settings and delivery logs
+const webhookRouter = require("./routes/webhook.routes");
+// router for personal API keys
+const apiKeyRouter = require("./routes/apiKey.routes");
+// router for workspaces, their members and sharing templates and folders through them
+const workspaceRouter = require("./routes/workspace.routes");
+// router for the signed-in user's usage against their quotas
+const usageRouter = require("./routes/usage.routes");
 const { createRateLimiter } = require("./middleware/rate-limiter");
 const { getMemoryStats } = require("./middleware/memory-guard");
 const { mergeLimiter: concurrencyLimiter } = require("./utils/concurrency");
 const { templateCache } = require("./utils/templateCache");
-const { resumePendingBatchJobs } = require("./services/batchJob.service");
+const { startBatchWorkers } = require("./workers/batchWorker");
+const { closeEventStreams } = require("./utils/event-stream");
 const { getWorkerStats, shutdown: shutdownConversion } = require("./services/conversionService");
 const { checkStorageHealth } = require("./storage/supabase-storage");
 const prisma = require("./config/prisma");
@@ -46,6 +55,7 @@ const optionalEnvVars = {
   NODE_ENV: "development",
   LOG_LEVEL: "info",
   OUTPUT_RETENTION_DAYS: "90",
+  BATCH_WORKERS: "1",
 };
 
 /* looks up each required key in process.env/ Node's env var object 
@@ -205,6 +215,8 @@ app.use(express.json({ limit: "10mb" }));
 
 // Auth routes first - login/register should not require authentication
 app.use("/api", authRouter);
+// GET/POST /api/workspaces and their members; PUT /api/templates/:id/workspace, /api/folders/:id/workspace
+app.use("/api", workspaceRouter);
 // Folder routes must come before template routes to match /templates/:id/move before /templates/:id
 app.use("/api", folderRouter);
 // POST /api/upload - mounts the upload routes from ./templateUploadHandler under /api
@@ -212,6 +224,12 @@ app.use("/api", uploadRouter);
 /* POST /api/templates/:templateId/merge, /api/webhooks, etc. - mounts the merge and download routes
 from ./merge.routes under /api */
 app.use("/api", mergeRouter);
+// GET /api/webhook-endpoints, /api/webhook-deliveries, /api/callback-settings
+app.use("/api", webhookRouter);
+// GET/POST /api/api-keys, DELETE /api/api-keys/:id
+app.use("/api", apiKeyRouter);
+// GET /api/usage
+app.use("/api", usageRouter);
 // Admin routes for scheduled tasks (cleanup, etc.)
 app.use("/api", adminRouter);
 
@@ -254,15 +272,17 @@ function checkConversionDependencies() {
 
 const PORT = process.env.PORT || 3000;
 
+// batch job worker loops run in this process; 0 when standalone workers (npm run worker) take them
+const BATCH_WORKERS = parseInt(process.env.BATCH_WORKERS, 10) || 0;
+let batchWorkers = null;
+
 // STARTS HTTP SERVER
 const server = app.listen(PORT, async () => {
   logger.info({ port: PORT }, `Server running on http://localhost:${PORT}`);
 
-  // Resume any pending batch jobs from previous server instance
-  try {
-    await resumePendingBatchJobs();
-  } catch (err) {
-    logger.error({ err }, "Failed to resume pending batch jobs");
+  // Work through queued batch jobs, including ones a stopped instance left behind
+  if (BATCH_WORKERS > 0) {
+    batchWorkers = startBatchWorkers({ count: BATCH_WORKERS });
   }
 
   // Check for document conversion dependencies
@@ -272,9 +292,17 @@ const server = app.listen(PORT, async () => {
 async function gracefulShutdown(signal) {
   logger.info({ signal }, "Shutdown signal received, closing gracefully");
 
+  // progress streams stay open until their job finishes; clients reconnect to another instance
+  closeEventStreams();
+
   server.close(async () => {
     logger.info("HTTP server closed");
 
+    // Hand running batch jobs back to the queue
+    if (batchWorkers) {
+      await batchWorkers.stop();
+    }
+
     // Shutdown conversion worker
     try {
       await shutdownConversion();
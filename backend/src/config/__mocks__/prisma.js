@@ -21,6 +21,19 @@ module.exports = {
     findMany: jest.fn(),
     create: jest.fn(),
   },
+  templateAsset: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    delete: jest.fn(),
+  },
+  columnMapping: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
   field: {
     deleteMany: jest.fn(),
     createMany: jest.fn(),
@@ -31,6 +44,7 @@ module.exports = {
     findMany: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
     delete: jest.fn(),
   },
   mergeJob: {
@@ -40,5 +54,37 @@ module.exports = {
     create: jest.fn(),
     delete: jest.fn(),
   },
+  webhookEndpoint: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  webhookNonce: {
+    create: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  apiKey: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  workspace: {
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  workspaceMember: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  $transaction: jest.fn(),
   $disconnect: jest.fn(),
 };
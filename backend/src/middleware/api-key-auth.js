@@ -0,0 +1,60 @@
+const authenticateSupabase = require("./supabase-auth");
+const { findApiKey, markApiKeyUsed } = require("../services/apiKey.service");
+const { errorResponse, ErrorCodes } = require("../utils/errorResponse");
+
+// The API key a request was sent with, in X-API-Key or as the Authorization bearer token
+function sentApiKey(req) {
+  const header = req.get("X-API-Key");
+  if (header) return header;
+  const authHeader = req.get("Authorization");
+  return authHeader?.startsWith("Bearer sdk_") ? authHeader.slice("Bearer ".length) : null;
+}
+
+/**
+ * API key or Supabase authentication middleware
+ * Accepts a personal API key (services/apiKey.service.js) with the given scope, setting req.user to its owner
+ * and req.apiKey to the key; requests without one go through authenticateSupabase as before.
+ * @param {string} scope - Scope the key needs, e.g. "merge:write"
+ * @returns {Function} - express middleware
+ */
+function authenticateApiKey(scope) {
+  return async (req, res, next) => {
+    const key = sentApiKey(req);
+    if (!key) return authenticateSupabase(req, res, next);
+
+    try {
+      const apiKey = await findApiKey(key);
+      if (!apiKey) {
+        req.log?.warn("Invalid API key");
+        return errorResponse.unauthorized(res, "Invalid API key", ErrorCodes.INVALID_TOKEN);
+      }
+
+      if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+        return errorResponse.unauthorized(res, "API key has expired", ErrorCodes.TOKEN_EXPIRED);
+      }
+
+      if (!apiKey.user.isActive) {
+        req.log?.warn({ userId: apiKey.userId }, "Inactive user attempted access with an API key");
+        return errorResponse.forbidden(res, "Account is disabled", ErrorCodes.ACCOUNT_DISABLED);
+      }
+
+      if (!apiKey.scopes.includes(scope)) {
+        return errorResponse.forbidden(res, `API key lacks the ${scope} scope`, ErrorCodes.FORBIDDEN);
+      }
+
+      markApiKeyUsed(apiKey).catch((err) => {
+        req.log?.warn({ err, apiKeyId: apiKey.id }, "Failed to record API key use");
+      });
+
+      req.user = apiKey.user;
+      req.apiKey = { id: apiKey.id, name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes };
+
+      next();
+    } catch (err) {
+      req.log?.error({ err }, "API key auth middleware error");
+      errorResponse.unauthorized(res, "Authentication failed", ErrorCodes.AUTH_FAILED);
+    }
+  };
+}
+
+module.exports = authenticateApiKey;
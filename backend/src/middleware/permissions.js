@@ -0,0 +1,42 @@
+const { templatePermissionError } = require("../services/permission.service");
+const { errorResponse, ErrorCodes } = require("../utils/errorResponse");
+
+/**
+ * Check that the signed-in user may act on a template, answering the request when they may not
+ * Routes load the template as they need it, then call this in place of an ownership check:
+ *   if (!(await authorizeTemplate(req, res, template, "template:edit"))) return;
+ * @param {object} req - express request, after authentication
+ * @param {object} res - express response
+ * @param {object|null} template - Template record; null is answered with 404
+ * @param {string} action - e.g. "template:merge" (services/permission.service.js)
+ * @returns {Promise<boolean>} - true when allowed; otherwise a 404 or 403 has been sent
+ */
+async function authorizeTemplate(req, res, template, action) {
+  const err = await templatePermissionError(req.user.id, template, action);
+  if (!err) return true;
+
+  if (err.status === 404) {
+    errorResponse.notFound(res, err.message, ErrorCodes.TEMPLATE_NOT_FOUND);
+  } else {
+    errorResponse.forbidden(res, err.message, ErrorCodes.FORBIDDEN);
+  }
+  return false;
+}
+
+/**
+ * Role-check middleware: lets through users with the given account role (User.role), answering others with 403
+ * Goes after authenticateSupabase: router.get("/admin/users", authenticateSupabase, requireRole("admin"), ...)
+ * @param {string} role - e.g. "admin"
+ * @returns {Function} - express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.user?.role !== role) {
+      req.log?.warn({ userId: req.user?.id, role }, "Request without the required role");
+      return errorResponse.forbidden(res, `This requires the ${role} role`, ErrorCodes.FORBIDDEN);
+    }
+    next();
+  };
+}
+
+module.exports = { authorizeTemplate, requireRole };
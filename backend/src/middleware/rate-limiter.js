@@ -61,7 +61,20 @@ function createRateLimiter(options, prefix) {
 }
 
 /**
- * Create a user-based rate limiter (uses userId instead of IP when available)
+ * Key a request is rate limited by: requests sent with an API key share one allowance per owner, apart from
+ * their signed-in requests so an integration can't lock them out of the app, and minting more keys doesn't
+ * buy more requests; otherwise the signed-in user, otherwise the IP (with proper IPv6 handling)
+ * @param {object} req - express request, after authentication
+ * @returns {string} - rate limit key
+ */
+function userRateLimitKey(req) {
+  if (req.apiKey && req.user?.id) return `api-keys:${req.user.id}`;
+  if (req.user?.id) return req.user.id;
+  return ipKeyGenerator(req.ip);
+}
+
+/**
+ * Create a user-based rate limiter (uses the user's API keys or userId instead of IP when available)
  * @param {object} options - express-rate-limit options
  * @param {string} prefix - Unique prefix for this limiter's session
  * @returns {Function} - express middleware
@@ -71,11 +84,7 @@ function createUserRateLimiter(options, prefix) {
   return rateLimit({
     ...restOptions,
     store: new PostgresStore(dbConfig, prefix),
-    keyGenerator: (req) => {
-      // Use user ID if authenticated, otherwise use IP with proper IPv6 handling
-      if (req.user?.id) return req.user.id;
-      return ipKeyGenerator(req.ip);
-    },
+    keyGenerator: userRateLimitKey,
     standardHeaders: true,
     legacyHeaders: false,
     handler: (req, res) => {
@@ -99,10 +108,7 @@ function createWeightedLimiter(maxPoints, windowMs, prefix, message) {
     windowMs,
     max: maxPoints,
     store: new PostgresStore(dbConfig, prefix),
-    keyGenerator: (req) => {
-      if (req.user?.id) return req.user.id;
-      return ipKeyGenerator(req.ip);
-    },
+    keyGenerator: userRateLimitKey,
     standardHeaders: true,
     legacyHeaders: false,
     handler: (req, res) => {
@@ -122,6 +128,7 @@ module.exports = {
   createRateLimiter,
   createUserRateLimiter,
   createWeightedLimiter,
+  userRateLimitKey,
   parseConnectionUrl,
   dbConfig,
 };
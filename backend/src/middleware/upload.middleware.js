@@ -23,11 +23,11 @@ WITH OPTIONAL OVERRIDES
 - options argument has two parts ( options arg defaults to {} so calling makeUpload() is safe): 
 - limits - defaults to an empty object 
 - fileFilter - optional callback to accept or reject files */
-function makeUpload({ limits = {}, fileFilter } = {}) {
+function makeUpload({ limits = {}, fileFilter, storage: engine = storage } = {}) {
   // creates and returns a configured middleware, multer instance
   return multer({
-    // uses pre-defined storage, RAM
-    storage,
+    // uses pre-defined storage, RAM, unless the route brings its own
+    storage: engine,
     /* supplies upload limits to Multer, and merges route-specific limits over BASE_LIMITS 
     - in object spread, later properties win
     - keys from the first object are copied, then keys from the second object are copied over 
@@ -82,13 +82,18 @@ const uploadTemplate = makeUpload({
   },
 });
 
-/* UPLOADCSV ACCEPTS CSV MIMETYPES
-csv - specific filters/limits */
+/* UPLOADCSV ACCEPTS BATCH DATA FILES - CSV MIMETYPES, PLUS .XLSX, .JSON AND .NDJSON/.JSONL
+csv - specific filters/limits
+- uploads go to a temp file (req.file.path) instead of RAM; the route streams rows out of it and deletes it
+- utils/data-sources.js picks the reader from the same extensions */
 const uploadCsv = makeUpload({
+  storage: multer.diskStorage({}),
   fileFilter: (req, file, cb) => {
+    const declared = (file.mimetype || "").toLowerCase();
+    const ext = path.extname(file.originalname || "").toLowerCase();
     /* accepts text/csv and common CSV mimetypes 
     - checks if the uploaded file's mimeType is in the allow-list ; sets ok to true if allowed */
-    const ok = [
+    const csv = [
       "text/csv",
       "application/vnd.ms-excel",
       "application/csv",
@@ -96,14 +101,37 @@ const uploadCsv = makeUpload({
       "application/x-csv",
       "text/plain",
       "application/octet-stream",
-    ].includes(file.mimetype);
+    ].includes(declared);
+    /* XLSX and JSON files are accepted under their own mimetypes when the extension matches; sent as
+    text/plain or application/octet-stream they already pass the CSV list */
+    const data =
+      (ext === ".xlsx" &&
+        ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "application/zip"].includes(declared)) ||
+      (ext === ".json" && declared === "application/json") ||
+      ([".ndjson", ".jsonl"].includes(ext) &&
+        ["application/x-ndjson", "application/jsonl", "application/json"].includes(declared));
+    const ok = csv || data;
     // calls Multer's callback to accept or reject the file
-    cb(ok ? null : new Error("Unsupported CSV type"), ok);
+    cb(ok ? null : new Error("Unsupported data file type"), ok);
+  },
+  // data files are read as a stream, so large statement runs fit; still capped to bound disk use
+  limits: { fileSize: (parseInt(process.env.CSV_MAX_MB, 10) || 100) * 1024 * 1024 },
+});
+
+/* UPLOADASSET ACCEPTS TEMPLATE IMAGES (PNG/JPEG/GIF) AND FONTS (TTF/OTF/WOFF/WOFF2)
+- browsers report fonts under many mimetypes (font/*, application/font-*, application/octet-stream),
+  so fonts are checked by extension here; the route confirms the real type from magic bytes */
+const uploadAsset = makeUpload({
+  fileFilter: (req, file, cb) => {
+    const declared = (file.mimetype || "").toLowerCase();
+    const ext = path.extname(file.originalname || "").toLowerCase();
+    const ok =
+      ["image/png", "image/jpeg", "image/gif"].includes(declared) ||
+      [".ttf", ".otf", ".woff", ".woff2"].includes(ext);
+    cb(ok ? null : new Error("Unsupported asset type"), ok);
   },
-  // CSVs can be larger but still limited to prevent memory issues
-  limits: { fileSize: 10 * 1024 * 1024 },
 });
 
 /* when the upload instance is exported (i.e. uploadTemplate or uploadCSV), the same upload instance 
 can be used across routes and concurrent requests */
-module.exports = { makeUpload, uploadTemplate, uploadCsv };
+module.exports = { makeUpload, uploadTemplate, uploadCsv, uploadAsset };
@@ -1,9 +1,21 @@
 /* ADMIN ROUTES - Protected endpoints for administrative tasks
-   Includes scheduled cleanup endpoint for GitHub Actions */
+   Includes scheduled cleanup endpoint for GitHub Actions, protected by a shared secret, and user management for
+   signed-in admins (services/user.service.js) */
 
 const express = require("express");
+const authenticateSupabase = require("../middleware/supabase-auth");
+const { requireRole } = require("../middleware/permissions");
+const { validate } = require("../middleware/validate");
 const { runCleanup, OUTPUT_RETENTION_DAYS } = require("../services/cleanup.service");
+const {
+  listUsers,
+  getUser,
+  setUserActive,
+  setUserRole,
+  listUserTemplates,
+} = require("../services/user.service");
 const { errorResponse, ErrorCodes } = require("../utils/errorResponse");
+const { userIdParams, listUsersQuery, userStatusBody, userRoleBody } = require("../schemas/admin.schemas");
 
 const router = express.Router();
 
@@ -68,4 +80,92 @@ router.get("/admin/health", verifyCleanupSecret, (req, res) => {
   });
 });
 
+// Signed-in users with the admin role; the cleanup secret doesn't open these
+const adminOnly = [authenticateSupabase, requireRole("admin")];
+
+// Answers a user service error by its status, or with a 500 logged as failedMessage
+function sendUserError(req, res, err, failedMessage) {
+  if (err.status === 404) return errorResponse.notFound(res, err.message, ErrorCodes.USER_NOT_FOUND);
+  if (err.status === 409) return errorResponse.conflict(res, err.message, ErrorCodes.CONFLICT);
+  req.log.error({ err, userId: req.params.id }, failedMessage);
+  errorResponse.internal(res, failedMessage);
+}
+
+/**
+ * GET /api/admin/users
+ * Lists users, newest first
+ * Query: search (email, username or name), role, isActive, limit, offset
+ */
+router.get("/admin/users", adminOnly, validate({ query: listUsersQuery }), async (req, res) => {
+  try {
+    const { search, role, isActive, limit, offset } = req.query;
+    const { users, total } = await listUsers({ search, role, isActive, limit, offset });
+    res.json({ users, total, limit, offset });
+  } catch (err) {
+    sendUserError(req, res, err, "Failed to list users");
+  }
+});
+
+/**
+ * GET /api/admin/users/:id
+ * Gets a user with their template and job counts and storage usage
+ */
+router.get("/admin/users/:id", adminOnly, validate({ params: userIdParams }), async (req, res) => {
+  try {
+    res.json(await getUser(req.params.id));
+  } catch (err) {
+    sendUserError(req, res, err, "Failed to get user");
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/status
+ * Deactivates or reactivates an account; a deactivated user is turned away from their next request on
+ * Body: isActive
+ */
+router.put(
+  "/admin/users/:id/status",
+  adminOnly,
+  validate({ params: userIdParams, body: userStatusBody }),
+  async (req, res) => {
+    try {
+      res.json(await setUserActive(req.user.id, req.params.id, req.body.isActive));
+    } catch (err) {
+      sendUserError(req, res, err, "Failed to update user status");
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Changes a user's role
+ * Body: role (user or admin)
+ */
+router.put(
+  "/admin/users/:id/role",
+  adminOnly,
+  validate({ params: userIdParams, body: userRoleBody }),
+  async (req, res) => {
+    try {
+      res.json(await setUserRole(req.user.id, req.params.id, req.body.role));
+    } catch (err) {
+      sendUserError(req, res, err, "Failed to update user role");
+    }
+  }
+);
+
+/**
+ * GET /api/admin/users/:id/templates
+ * Lists the templates a user sees, as they see them, for support; read-only, and logged
+ */
+router.get("/admin/users/:id/templates", adminOnly, validate({ params: userIdParams }), async (req, res) => {
+  try {
+    const templates = await listUserTemplates(req.params.id);
+    req.log.info({ adminId: req.user.id, userId: req.params.id }, "Admin viewed a user's templates");
+    res.json(templates);
+  } catch (err) {
+    sendUserError(req, res, err, "Failed to list user templates");
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,69 @@
+/* API KEY ROUTES - Personal API keys of the signed-in user (services/apiKey.service.js)
+   Managed with a Supabase session only: a key can't be used to make or revoke keys */
+
+const express = require("express");
+const authenticateSupabase = require("../middleware/supabase-auth");
+const { validate } = require("../middleware/validate");
+const { createApiKey, listApiKeys, revokeApiKey } = require("../services/apiKey.service");
+const { errorResponse, ErrorCodes } = require("../utils/errorResponse");
+const { apiKeyIdParams, createApiKeyBody } = require("../schemas/apiKey.schemas");
+
+const router = express.Router();
+
+/**
+ * GET /api/api-keys
+ * Lists the user's API keys, expired ones included; the keys themselves are only shown by create
+ */
+router.get("/api-keys", authenticateSupabase, async (req, res) => {
+  try {
+    res.json(await listApiKeys(req.user.id));
+  } catch (err) {
+    req.log.error({ err }, "Failed to list API keys");
+    errorResponse.internal(res, "Failed to list API keys");
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Creates an API key, returning the key once
+ * Body: name, scopes, expiresInDays
+ */
+router.post(
+  "/api-keys",
+  authenticateSupabase,
+  validate({ body: createApiKeyBody }),
+  async (req, res) => {
+    try {
+      res.status(201).json(await createApiKey(req.user.id, req.body));
+    } catch (err) {
+      if (err.status === 409) {
+        return errorResponse.conflict(res, err.message, ErrorCodes.CONFLICT);
+      }
+      req.log.error({ err }, "Failed to create API key");
+      errorResponse.internal(res, "Failed to create API key");
+    }
+  }
+);
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revokes the key; requests with it are refused from then on
+ */
+router.delete(
+  "/api-keys/:id",
+  authenticateSupabase,
+  validate({ params: apiKeyIdParams }),
+  async (req, res) => {
+    try {
+      if (!await revokeApiKey(req.params.id, req.user.id)) {
+        return errorResponse.notFound(res, "API key not found", ErrorCodes.NOT_FOUND);
+      }
+      res.status(204).end();
+    } catch (err) {
+      req.log.error({ err, apiKeyId: req.params.id }, "Failed to revoke API key");
+      errorResponse.internal(res, "Failed to revoke API key");
+    }
+  }
+);
+
+module.exports = router;
@@ -13,11 +13,12 @@ const {
   moveTemplateBody,
 } = require('../schemas/folder.schemas');
 
-// All routes require authentication
-router.use(authenticateSupabase);
+// All routes require authentication; scoped to their paths, as this router is mounted on /api ahead of
+// routes that also accept API keys
+router.use(['/folders', '/templates/:id/move'], authenticateSupabase);
 
 /**
- * GET /api/folders - List all folders for current user (hierarchical tree)
+ * GET /api/folders - List the folders the current user can see: their own and their workspaces' (hierarchical tree)
  */
 router.get('/folders', async (req, res) => {
   try {
@@ -48,6 +49,9 @@ router.post('/folders', validate({ body: createFolderBody }), async (req, res) =
     if (err.message.includes('not found')) {
       return errorResponse.notFound(res, err.message, ErrorCodes.FOLDER_NOT_FOUND);
     }
+    if (err.status === 403) {
+      return errorResponse.forbidden(res, err.message, ErrorCodes.FORBIDDEN);
+    }
     req.log.error({ err }, 'Failed to create folder');
     errorResponse.internal(res, 'Failed to create folder');
   }
@@ -67,6 +71,9 @@ router.put('/folders/:id', validate({ params: folderIdParams, body: renameFolder
     if (err.message.includes('not found')) {
       return errorResponse.notFound(res, err.message, ErrorCodes.FOLDER_NOT_FOUND);
     }
+    if (err.status === 403) {
+      return errorResponse.forbidden(res, err.message, ErrorCodes.FORBIDDEN);
+    }
     if (err.message.includes('already exists')) {
       return errorResponse.conflict(res, err.message, ErrorCodes.ALREADY_EXISTS);
     }
@@ -89,7 +96,10 @@ router.put('/folders/:id/move', validate({ params: folderIdParams, body: moveFol
     if (err.message.includes('not found')) {
       return errorResponse.notFound(res, err.message, ErrorCodes.FOLDER_NOT_FOUND);
     }
-    if (err.message.includes('Circular') || err.message.includes('Maximum depth') || err.message.includes('itself')) {
+    if (err.status === 403) {
+      return errorResponse.forbidden(res, err.message, ErrorCodes.FORBIDDEN);
+    }
+    if (err.status === 400 || err.message.includes('Circular') || err.message.includes('Maximum depth') || err.message.includes('itself')) {
       return errorResponse.badRequest(res, err.message, ErrorCodes.VALIDATION_ERROR);
     }
     if (err.message.includes('already exists')) {
@@ -112,6 +122,9 @@ router.delete('/folders/:id', validate({ params: folderIdParams }), async (req,
     if (err.message.includes('not found')) {
       return errorResponse.notFound(res, err.message, ErrorCodes.FOLDER_NOT_FOUND);
     }
+    if (err.status === 403) {
+      return errorResponse.forbidden(res, err.message, ErrorCodes.FORBIDDEN);
+    }
     req.log.error({ err, folderId: req.params.id }, 'Failed to delete folder');
     errorResponse.internal(res, 'Failed to delete folder');
   }
@@ -131,6 +144,12 @@ router.put('/templates/:id/move', validate({ params: moveTemplateParams, body: m
     if (err.message.includes('not found')) {
       return errorResponse.notFound(res, err.message, ErrorCodes.NOT_FOUND);
     }
+    if (err.status === 403) {
+      return errorResponse.forbidden(res, err.message, ErrorCodes.FORBIDDEN);
+    }
+    if (err.status === 400) {
+      return errorResponse.badRequest(res, err.message, ErrorCodes.VALIDATION_ERROR);
+    }
     req.log.error({ err, templateId: req.params.id }, 'Failed to move template');
     errorResponse.internal(res, 'Failed to move template');
   }
@@ -2,22 +2,34 @@
 PUBLIC API SURFACE THAT CALLS INTO SERVICES: MERGE PATHS -> MERGE.SERVICE.JS
 - wires in two data sources and feeds the merge engine
 - defines the JWT-protected upload download route, JWT-protected manual merge API, JWT-protected manual csv merge,
-  and HMAC-verified webhook API */
+  and HMAC-verified webhook API
+- the JWT-protected routes also take a personal API key with the right scope (middleware/api-key-auth.js) */
 require("dotenv").config();
 const express = require("express");
 const { createUserRateLimiter } = require("../middleware/rate-limiter");
 const { errorResponse, ErrorCodes } = require("../utils/errorResponse");
-const { validate } = require("../middleware/validate");
+const { validate, formatZodError, formatZodDetails } = require("../middleware/validate");
 const {
   templateIdParams,
   mergeBody,
   csvMergeBody,
+  csvMergeQuery,
+  columnMappingRules,
   jobIdParams,
   batchJobIdParams,
   batchJobsQuery,
+  batchRetryBody,
+  batchCancelBody,
+  webhookQuery,
 } = require("../schemas/merge.schemas");
+const { callbackUrl: callbackUrlSchema } = require("../schemas/common");
+const { endpointIdParams } = require("../schemas/webhook.schemas");
 // imports Supabase authentication middleware
 const authenticateSupabase = require("../middleware/supabase-auth");
+// accepts a personal API key with the route's scope in place of a Supabase session
+const authenticateApiKey = require("../middleware/api-key-auth");
+const { authorizeTemplate } = require("../middleware/permissions");
+const { templatePermissionError, visibleMergeJobsWhere } = require("../services/permission.service");
 // concurrency limiter to prevent memory exhaustion from parallel merges
 const { mergeLimiter: concurrencyLimiter } = require("../utils/concurrency");
 // memory guard middleware to reject requests when memory is critically high
@@ -27,20 +39,46 @@ random bytes, and key derivation */
 const crypto = require("crypto");
 // central Multer config shared across routes
 const { uploadCsv } = require("../middleware/upload.middleware");
+const fs = require("fs");
 const { parse } = require("csv-parse/sync");
 const { sanitizeCsvRows } = require("../utils/csv-sanitizer");
+// streams rows out of large CSV, XLSX, JSON and NDJSON uploads
+const { openUpload, RowLimitError } = require("../utils/csv-stream");
+const { readDataRows, dataSourceFormat, isDataSourceError, FORMAT_LABELS } = require("../utils/data-sources");
+// renames, joins, constants and name splits between file columns and template fields
+const { suggestMappings, mappingColumns, applyColumnMapping } = require("../utils/column-mapping");
 // helper that looks up the template by templateId (db)
 const { resolveTemplateFile } = require("../services/template.service");
 // imports my merge function
-const { mergeTemplate } = require("../services/merge.service");
+const { mergeTemplate, checkMergeData } = require("../services/merge.service");
+// thrown by mergeTemplate when data breaks the template's field schema
+const { FieldValidationError } = require("../utils/field-validation");
+// per-user quotas on merges, batch rows and storage
+const { checkQuotas, reserveUsage, releaseUsage, QuotaExceededError } = require("../services/usage.service");
 // batch job service for hybrid CSV processing
 const {
   shouldProcessInline,
   processRowsInline,
+  bundleInlineResults,
   createBatchJob,
+  retryBatchJob,
+  pauseBatchJob,
+  resumeBatchJob,
+  cancelBatchJob,
   getBatchJobStatus,
+  readBatchJobProgress,
+  watchBatchJob,
   listBatchJobs,
+  batchJobEvents,
 } = require("../services/batchJob.service");
+// per-endpoint webhook secrets
+const { verifyWebhookSignature, markWebhookEndpointUsed } = require("../services/webhookEndpoint.service");
+// signed callbacks to the caller once a merge or batch job finishes
+const { queueWebhookDelivery } = require("../services/webhookDelivery.service");
+// Server-Sent Events responses for batch job progress
+const { openEventStream } = require("../utils/event-stream");
+// combines a CSV merge's outputs into one ZIP or PDF
+const { bundleProblem, BUNDLE_CONTENT_TYPES } = require("../services/bundle.service");
 const { s3, GetObjectCommand, DeleteObjectCommand, withPrefix } = require("../storage/supabase-storage");
 const prisma = require("../config/prisma");
 const { ALLOWED_OUTPUTS } = require("../constants/outputs");
@@ -105,6 +143,209 @@ function validateOutputType(res, template, outputType) {
   return null;
 }
 
+/**
+ * Give back merges an inline CSV merge reserved but didn't make; failing to is only logged
+ */
+async function releaseInlineMerges(req, reservation, merges) {
+  if (!merges) return;
+  await releaseUsage({ ...reservation, merges }).catch((err) => {
+    req.log.warn({ err, userId: reservation.userId }, "Failed to give back merge reservations");
+  });
+}
+
+/**
+ * Delete the temp file of a data upload (uploadCsv) once the response is done, however it ended:
+ * answered, refused part way or dropped by the client
+ */
+function removeUploadWhenDone(req, res, next) {
+  res.on("close", () => {
+    if (!req.file?.path) return;
+    fs.promises.unlink(req.file.path).catch((err) => {
+      if (err.code !== "ENOENT") req.log.warn({ err }, "Failed to remove CSV upload");
+    });
+  });
+  next();
+}
+
+/**
+ * Open the uploaded data file of a CSV merge or preview as a row reader (utils/data-sources.js)
+ * Sends a 400 and returns null when no file was sent or headerRow isn't a row number.
+ */
+function openDataUpload(req, res) {
+  // sheet picks an XLSX worksheet by name and headerRow the row the column names are on (CSV/XLSX)
+  const { sheet, headerRow } = req.body || {};
+  const headerRowNumber = headerRow === undefined || headerRow === "" ? 1 : Number(headerRow);
+  if (!Number.isInteger(headerRowNumber) || headerRowNumber < 1) {
+    errorResponse.badRequest(res, "headerRow must be a whole number of 1 or more", ErrorCodes.VALIDATION_ERROR);
+    return null;
+  }
+
+  // ensures a data file was uploaded
+  if (!req.file || !req.file.size) {
+    errorResponse.badRequest(
+      res,
+      "No data file uploaded. Send a CSV, XLSX, JSON or NDJSON file as multipart/form-data with field name 'csv'.",
+      ErrorCodes.MISSING_FIELD
+    );
+    return null;
+  }
+
+  // which reader to use, from the file's extension or declared type
+  const format = dataSourceFormat(req.file);
+  return {
+    format,
+    label: FORMAT_LABELS[format],
+    // streams rows out of the upload; a BOM (common in Excel exports) is dropped and values sanitized
+    csv: readDataRows(openUpload(req.file), {
+      format,
+      sheet: sheet || undefined,
+      headerRow: headerRowNumber,
+      maxRows: CSV_MAX_ROWS,
+    }),
+  };
+}
+
+/**
+ * Respond to an error thrown while reading uploaded rows: 413 past the row limit, 400 for a file
+ * that can't be read. Returns null for any other error.
+ */
+function dataUploadError(res, err, label) {
+  if (err instanceof RowLimitError) return errorResponse.payloadTooLarge(res, err.message);
+  if (isDataSourceError(err)) {
+    return errorResponse.badRequest(res, `Invalid ${label} format`, ErrorCodes.INVALID_FORMAT, { details: err.message });
+  }
+  return null;
+}
+
+/**
+ * Column mapping of a CSV merge or preview: rules sent as a JSON string (mapping), or a mapping saved
+ * on the template (mappingId). Returns the rules ([] when neither is sent), or sends a 400/404 and
+ * returns null.
+ */
+async function readColumnMapping(res, templateId, { mapping, mappingId } = {}) {
+  if (mappingId) {
+    const saved = await prisma.columnMapping.findUnique({ where: { id: mappingId } });
+    if (!saved || saved.templateId !== templateId) {
+      errorResponse.notFound(res, "Column mapping not found", ErrorCodes.NOT_FOUND);
+      return null;
+    }
+    return saved.rules;
+  }
+  if (mapping === undefined || mapping === "") return [];
+
+  let rules;
+  try {
+    rules = typeof mapping === "string" ? JSON.parse(mapping) : mapping;
+  } catch {
+    errorResponse.badRequest(res, "mapping must be a JSON array of rules", ErrorCodes.VALIDATION_ERROR);
+    return null;
+  }
+  const parsed = columnMappingRules.safeParse(rules);
+  if (!parsed.success) {
+    errorResponse.badRequest(res, formatZodError(parsed.error), ErrorCodes.VALIDATION_ERROR, {
+      details: formatZodDetails(parsed.error),
+    });
+    return null;
+  }
+  return parsed.data;
+}
+
+/**
+ * Queue a merge's callback, when the request or its user has a callback URL; the response never waits on it
+ * @param {Object} req - Express request, for its user and logger
+ * @param {string} [url] - Callback URL (the request's, else the user's)
+ * @param {string} event - "merge.completed" or "merge.failed"
+ * @param {Object} data - Result sent as the callback's data
+ * @param {string} [userId] - Whose delivery log it shows in; the signed-in user by default
+ */
+function sendMergeCallback(req, url, event, data, userId = req.user?.id ?? null) {
+  if (!url) return;
+  queueWebhookDelivery({ url, event, data, userId }).catch((err) => {
+    req.log.error({ err, event }, "Failed to queue merge callback");
+  });
+}
+
+/**
+ * Columns a mapping reads that the file doesn't have; only files with a header row can be checked,
+ * since JSON rows may leave keys out
+ */
+function missingMappingColumns(csv, rules) {
+  if (!csv.hasHeader()) return [];
+  const headers = new Set(csv.headers());
+  return mappingColumns(rules).filter((column) => !headers.has(column));
+}
+
+/**
+ * Dry-run report of a CSV merge: every row is mapped and checked against the template's fields the way
+ * a merge checks it, without rendering or storing anything. Rows with problems are listed with their
+ * values as read from the file, so they can be fixed and uploaded again.
+ * @param {Object} params
+ * @param {Array<Object>} params.fields - The template's Field records
+ * @param {Object} params.csv - Row reader, past the head rows
+ * @param {Array<Object>} params.head - Rows already read from the file
+ * @param {Array<Object>} params.rules - Column mapping rules
+ * @returns {Promise<Object>} - { dryRun, totalRows, validRows, invalidRows, unknownColumns, errors }
+ */
+async function dryRunReport({ fields, csv, head, rules }) {
+  // columns the mapping reads are used even though no field has their name
+  const mapped = new Set(mappingColumns(rules));
+  const unknownColumns = new Set();
+  const errors = [];
+  let totalRows = 0;
+
+  const check = (row) => {
+    const rowIndex = totalRows++;
+    const { fieldErrors, unknownFields } = checkMergeData(fields, applyColumnMapping(row, rules));
+    unknownFields.filter((key) => !mapped.has(key)).forEach((key) => unknownColumns.add(key));
+    if (fieldErrors.length) {
+      errors.push({ rowIndex, error: fieldErrors.map((e) => e.message).join("; "), fieldErrors, data: row });
+    }
+  };
+
+  head.forEach(check);
+  for await (const row of csv.rows) check(row);
+
+  return {
+    dryRun: true,
+    totalRows,
+    validRows: totalRows - errors.length,
+    invalidRows: errors.length,
+    unknownColumns: [...unknownColumns],
+    errors,
+  };
+}
+
+/**
+ * Answer a pause, resume or cancel of a batch job. change(userId) resolves to the changed job
+ * ({ id, status, ... }), or null when the user has no such job; a 409 from it means the job's
+ * status doesn't allow the change.
+ */
+async function sendBatchJobChange(req, res, change, message) {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return errorResponse.unauthorized(res, "Unauthorized", ErrorCodes.UNAUTHORIZED);
+    }
+
+    let batchJob;
+    try {
+      batchJob = await change(userId);
+    } catch (changeErr) {
+      if (changeErr.status === 409) return errorResponse.conflict(res, changeErr.message, ErrorCodes.CONFLICT);
+      throw changeErr;
+    }
+    if (!batchJob) {
+      return errorResponse.notFound(res, "Batch job not found", ErrorCodes.JOB_NOT_FOUND);
+    }
+
+    const { id, ...state } = batchJob;
+    res.json({ message, batchJobId: id, ...state });
+  } catch (err) {
+    req.log.error({ err, batchJobId: req.params.id }, "Failed to change batch job status");
+    errorResponse.internal(res, "Failed to change batch job status");
+  }
+}
+
 const router = express.Router();
 
 // PostgreSQL-backed rate limiters for multi-instance support
@@ -114,6 +355,9 @@ const mergeLimiter = createUserRateLimiter({
   message: "Too many merge requests",
 }, "merge");
 
+// rows allowed per batch data upload; large batches stream into chunked storage, so this can be generous
+const CSV_MAX_ROWS = parseInt(process.env.CSV_MAX_ROWS, 10) || 250000;
+
 const csvLimiter = createUserRateLimiter({
   windowMs: 15 * 60 * 1000,
   max: 15,
@@ -132,6 +376,14 @@ function verifyHmac(req, res, next) {
   /* client's x-signature header should be the same as the HMACed req.body the server will compute and
       verify below
     C2. WEBHOOK DATA INGESTION REQUEST LIFECYCLE (SHARED-SECRET HMAC): signature verification middleware */
+  // once every partner has its own webhook endpoint, the global secret can be switched off
+  if (process.env.WEBHOOK_GLOBAL_SECRET_DISABLED === "true") {
+    return errorResponse.unauthorized(
+      res,
+      "Webhooks signed with the global secret are disabled; use a webhook endpoint",
+      ErrorCodes.UNAUTHORIZED
+    );
+  }
   const sigHex = (req.get("x-signature") || "").trim();
   // short-circuits with a 401 if the required auth is missing or blank
   if (!sigHex) return errorResponse.unauthorized(res, "Unauthorized", ErrorCodes.UNAUTHORIZED);
@@ -178,12 +430,53 @@ function verifyHmac(req, res, next) {
   next();
 }
 
+/* PER-ENDPOINT SIGNATURE VERIFICATION
+- checks the request against the secrets of the webhook endpoint in the URL (and, when sent, its timestamp
+  and nonce); sets req.webhookEndpoint
+- unknown, revoked and badly signed requests, and those to endpoints of deactivated users, all get the same 401 */
+async function verifyEndpointSignature(req, res, next) {
+  const raw = req.body;
+  if (!Buffer.isBuffer(raw)) {
+    return errorResponse.badRequest(res, "Webhook requires raw body", ErrorCodes.INVALID_PAYLOAD);
+  }
+
+  try {
+    const endpoint = await prisma.webhookEndpoint.findUnique({
+      where: { id: req.params.endpointId },
+      include: { user: { select: { isActive: true } } },
+    });
+    if (!endpoint || endpoint.revokedAt || !endpoint.user?.isActive) {
+      return errorResponse.unauthorized(res, "Unauthorized", ErrorCodes.UNAUTHORIZED);
+    }
+
+    const problem = await verifyWebhookSignature(endpoint, {
+      raw,
+      signature: (req.get("x-signature") || "").trim(),
+      timestamp: req.get("x-webhook-timestamp"),
+      nonce: req.get("x-webhook-nonce"),
+    });
+    if (problem) {
+      req.log.warn({ endpointId: endpoint.id, problem }, "Webhook endpoint request refused");
+      return errorResponse.unauthorized(res, "Unauthorized", ErrorCodes.UNAUTHORIZED);
+    }
+
+    markWebhookEndpointUsed(endpoint.id).catch((err) => {
+      req.log.warn({ err, endpointId: endpoint.id }, "Failed to record webhook endpoint use");
+    });
+    req.webhookEndpoint = endpoint;
+    next();
+  } catch (err) {
+    req.log.error({ err, endpointId: req.params.endpointId }, "Failed to verify webhook endpoint request");
+    errorResponse.internal(res, "Internal server error");
+  }
+}
+
 /* DOWNLOAD ROUTE
 - streams original uploaded file by templateId */
 router.get(
   "/templates/:templateId/download",
   // tells Passport not to use server-side sessions, making the route stateless
-  authenticateSupabase,
+  authenticateApiKey("templates:read"),
   downloadLimiter,
   validate({ params: templateIdParams }),
   async (req, res) => {
@@ -195,10 +488,8 @@ router.get(
       // helper that looks up the template by templateId (db)
       const info = await resolveTemplateFile(templateId);
 
-      // if the db record doesn't exist or doesn't belong to user, respond 404
-      if (!info || info.tpl.uploadedById !== req.user.id) {
-        return errorResponse.notFound(res, "Template not found", ErrorCodes.TEMPLATE_NOT_FOUND);
-      }
+      // if the db record doesn't exist or the user can't see it, respond 404
+      if (!(await authorizeTemplate(req, res, info?.tpl ?? null, "template:read"))) return;
       // if the db record exists but the file doesn't, also 404 with a clear message
       if (info.missing)
         return errorResponse.notFound(res, "Template file missing in storage", ErrorCodes.FILE_NOT_FOUND);
@@ -247,10 +538,10 @@ router.get(
 );
 
 /* GET /api/jobs
-- lists all merge jobs for the authenticated user */
+- lists the merge jobs the authenticated user can see: their own and those of their workspaces' templates */
 router.get(
   "/jobs",
-  authenticateSupabase,
+  authenticateApiKey("outputs:read"),
   downloadLimiter,
   async (req, res) => {
     try {
@@ -261,9 +552,7 @@ router.get(
       }
 
       const jobs = await prisma.mergeJob.findMany({
-        where: {
-          userId: userId,
-        },
+        where: visibleMergeJobsWhere(userId),
         select: {
           id: true,
           templateId: true,
@@ -355,7 +644,7 @@ router.delete(
 - downloads a merge output file from S3 */
 router.get(
   "/download/:filePath(*)",
-  authenticateSupabase,
+  authenticateApiKey("outputs:read"),
   downloadLimiter,
   async (req, res) => {
     try {
@@ -369,11 +658,11 @@ router.get(
       // Database stores: s3://bucket/path, frontend sends: path (after stripping s3://bucket/)
       const fullS3Uri = `s3://${process.env.S3_BUCKET}/${filePath}`;
 
-      // Verify the user owns a merge job with this EXACT file path
+      // Verify the user can see a merge job with this EXACT file path
       const job = await prisma.mergeJob.findFirst({
         where: {
           filePath: fullS3Uri,
-          userId: req.user.id,
+          ...visibleMergeJobsWhere(req.user.id),
         },
       });
 
@@ -449,104 +738,219 @@ router.get(
   }
 );
 
+// rows shown by a CSV merge preview
+const PREVIEW_ROWS = 5;
+
+/* POST /api/templates/:templateId/merge-csv/preview
+- reads the header and first rows of a data file (same upload as merge-csv) without merging anything
+- returns the detected headers, the template's fields and suggested mapping rules, plus the sample rows
+  before and after mapping; the mapping applied is the one sent (mapping/mappingId) or the suggestions */
+router.post(
+  "/templates/:templateId/merge-csv/preview",
+  authenticateApiKey("merge:write"),
+  csvLimiter,
+  validate({ params: templateIdParams }),
+  removeUploadWhenDone,
+  uploadCsv.single("csv"),
+  async (req, res) => {
+    try {
+      const { templateId } = req.params;
+
+      const template = await prisma.template.findUnique({
+        where: { id: templateId },
+        include: { fields: true },
+      });
+      if (!(await authorizeTemplate(req, res, template, "template:merge"))) return;
+
+      const upload = openDataUpload(req, res);
+      if (!upload) return;
+      const { csv, format, label } = upload;
+
+      const sent = await readColumnMapping(res, templateId, req.body);
+      if (!sent) return;
+
+      const sampleRows = [];
+      try {
+        while (sampleRows.length < PREVIEW_ROWS) {
+          const next = await csv.rows.next();
+          if (next.done) break;
+          sampleRows.push(next.value);
+        }
+      } catch (parseErr) {
+        if (dataUploadError(res, parseErr, label)) return;
+        throw parseErr;
+      }
+      // the rest of the file isn't needed
+      await csv.rows.return();
+
+      if (sampleRows.length === 0 && !csv.hasHeader()) {
+        return errorResponse.badRequest(res, `Uploaded ${label} is empty.`, ErrorCodes.EMPTY_DATA);
+      }
+
+      const headers = csv.headers();
+      const fieldNames = template.fields.map((f) => f.name);
+      const suggestions = suggestMappings(headers, fieldNames);
+      const usingSent = !!(req.body?.mapping || req.body?.mappingId);
+      const rules = usingSent ? sent : suggestions;
+
+      // fields no rule fills and no column already matches exactly
+      const headerSet = new Set(headers);
+      const mappedFields = new Set(rules.map((r) => r.field));
+      const unmappedFields = fieldNames.filter((name) => !mappedFields.has(name) && !headerSet.has(name));
+      const usedColumns = new Set([...mappingColumns(rules), ...fieldNames]);
+
+      res.json({
+        format,
+        headers,
+        fields: template.fields.map(({ name, type, required }) => ({ name, type, required })),
+        suggestions,
+        mapping: rules,
+        unmappedFields,
+        unusedColumns: headers.filter((column) => !usedColumns.has(column)),
+        missingColumns: missingMappingColumns(csv, rules),
+        sampleRows,
+        mappedRows: sampleRows.map((row) => applyColumnMapping(row, rules)),
+      });
+    } catch (err) {
+      req.log.error({ err, templateId: req.params.templateId }, "CSV merge preview failed");
+      errorResponse.badRequest(res, err.message, ErrorCodes.VALIDATION_ERROR);
+    }
+  }
+);
+
 router.post(
   // POST endpoint that takes a templateId URL param
   "/templates/:templateId/merge-csv",
-  // requires a valid JWT, and on success, Passport sets req.user with no server-side sessions
-  authenticateSupabase,
+  // requires a valid JWT or an API key with merge:write, and on success sets req.user with no server-side sessions
+  authenticateApiKey("merge:write"),
   csvLimiter,
   memoryGuard,
-  // multer middleware that expects one uploaded file under the form field name csv
+  // checked before the file is written to disk, so a bad request doesn't leave it there
+  validate({ params: templateIdParams, query: csvMergeQuery }),
+  removeUploadWhenDone,
+  // multer middleware that expects one uploaded file under the form field name csv (CSV, XLSX, JSON or NDJSON)
   uploadCsv.single("csv"),
-  validate({ params: templateIdParams }),
   async (req, res) => {
     try {
       // pulls the templateId (i.e. which template to merge with) from the URL (already validated by Zod)
       const { templateId } = req.params;
-      // reads outputType from the JSON body; defaults to "pdf"
-      const { outputType = "pdf" } = req.body || {};
+      // ?dryRun=true only reports which rows would fail
+      const { dryRun } = req.query;
+      /* reads outputType from the JSON body; defaults to "pdf"; bundle (zip or pdf) asks for one combined download;
+      sheet, headerRow, mapping and mappingId are read with the file below */
+      const { outputType = "pdf", bundle } = req.body || {};
+
+      // the batch's callback goes to the URL sent, else the user's
+      const callback = callbackUrlSchema.optional().safeParse(req.body?.callbackUrl || undefined);
+      if (!callback.success) {
+        return errorResponse.badRequest(res, formatZodError(callback.error), ErrorCodes.VALIDATION_ERROR);
+      }
+      const callbackUrl = callback.data || req.user.callbackUrl;
 
-      // Fetch template to validate outputType against its format and ownership
+      // Fetch template to validate outputType against its format and ownership; fields check dry-run rows
       const template = await prisma.template.findUnique({
         where: { id: templateId },
+        include: { fields: true },
       });
 
-      // Check template exists and belongs to user
-      if (!template || template.uploadedById !== req.user.id) {
-        return errorResponse.notFound(res, "Template not found", ErrorCodes.TEMPLATE_NOT_FOUND);
-      }
+      // Check template exists and the user may merge it
+      if (!(await authorizeTemplate(req, res, template, "template:merge"))) return;
 
       // Validate outputType is supported for this template's format
       const outputErr = validateOutputType(res, template, outputType);
       if (outputErr) return outputErr;
 
-      // ensures a CSV file was uploaded
-      if (!req.file || !req.file.buffer || req.file.buffer.length === 0) {
-        return errorResponse.badRequest(
-          res,
-          "No CSV file uploaded. Send multipart/form-data with field name 'csv'.",
-          ErrorCodes.MISSING_FIELD
-        );
-      }
-
-      // gets the uploaded CSV file's bytes from req.file.buffer, and converts it to a UTF-8 string
-      let csv = req.file?.buffer?.toString("utf8") ?? "";
+      const bundleErr = bundleProblem(bundle, outputType);
+      if (bundleErr) return errorResponse.badRequest(res, bundleErr, ErrorCodes.VALIDATION_ERROR);
 
-      // Remove BOM (Byte Order Mark) if present - common in Excel exports
-      if (csv.charCodeAt(0) === 0xFEFF) {
-        csv = csv.slice(1);
-      }
+      const upload = openDataUpload(req, res);
+      if (!upload) return;
+      const { csv, format, label } = upload;
 
-      // empty text early-out
-      if (!csv.trim()) {
-        return errorResponse.badRequest(res, "Uploaded CSV is empty.", ErrorCodes.EMPTY_DATA);
-      }
+      // renames/joins columns into template fields before the rows are merged
+      const rules = await readColumnMapping(res, templateId, req.body);
+      if (!rules) return;
 
-      // parse CSV -> rows
-      let rows;
+      /* reads rows until the batch is too big to merge inline; a small CSV ends first and is merged
+      right away, a large one is handed on to the batch job with the rest of the stream */
+      let rows = [];
+      let done = false;
       try {
-        // uses a CSV parser (e.g. csv-parse) to turn the CSV text into an array of objects
-        rows = parse(csv, {
-          // first row is headers; each subsequence row is an object keyed by header names
-          columns: true,
-          // ignore blank lines
-          skip_empty_lines: true,
-          // trim whitespace around fields
-          trim: true,
-        });
+        while (!done && (rows.length === 0 || shouldProcessInline(rows.length))) {
+          const next = await csv.rows.next();
+          if (next.done) done = true;
+          else rows.push(next.value);
+        }
       } catch (parseErr) {
-        return errorResponse.badRequest(res, "Invalid CSV format", ErrorCodes.INVALID_FORMAT, { details: parseErr.message });
+        if (parseErr instanceof RowLimitError) return errorResponse.payloadTooLarge(res, parseErr.message);
+        return errorResponse.badRequest(res, `Invalid ${label} format`, ErrorCodes.INVALID_FORMAT, { details: parseErr.message });
+      }
+
+      const missingColumns = missingMappingColumns(csv, rules);
+      if (missingColumns.length) {
+        return errorResponse.badRequest(
+          res,
+          `Column mapping uses columns missing from the ${label}: ${missingColumns.join(", ")}`,
+          ErrorCodes.FIELD_MISMATCH,
+          { details: missingColumns }
+        );
       }
+      const fileRows = rows;
+      rows = rows.map((row) => applyColumnMapping(row, rules));
 
       // ensures at least one data row
-      if (!Array.isArray(rows) || rows.length === 0) {
+      if (rows.length === 0) {
+        if (!csv.hasHeader()) {
+          return errorResponse.badRequest(res, `Uploaded ${label} is empty.`, ErrorCodes.EMPTY_DATA);
+        }
         // otherwise, bad request
         return errorResponse.badRequest(
           res,
-          "No data rows found in CSV. Include a header row and at least one data row.",
+          `No data rows found in ${label}. Include a header row and at least one data row.`,
           ErrorCodes.EMPTY_DATA
         );
       }
 
-      if (rows.length > 1000) {
-        return errorResponse.payloadTooLarge(res, "Too many rows. Maximum 1000 rows per CSV.");
+      if (dryRun) {
+        let report;
+        try {
+          report = await dryRunReport({ fields: template.fields, csv, head: fileRows, rules });
+        } catch (parseErr) {
+          if (dataUploadError(res, parseErr, label)) return;
+          throw parseErr;
+        }
+        req.log.info(
+          { templateId, format, rowCount: report.totalRows, invalidRows: report.invalidRows },
+          "CSV merge dry run completed"
+        );
+        return res.json(report);
       }
 
-      rows = sanitizeCsvRows(rows);
-
-      req.log.info({ templateId, rowCount: rows.length }, "CSV merge started");
+      req.log.info({ templateId, format, rowCount: done ? rows.length : undefined }, "CSV merge started");
 
       // HYBRID ROUTING: Small batches inline, large batches queued
-      if (shouldProcessInline(rows.length)) {
+      if (done && shouldProcessInline(rows.length)) {
         // Process inline with bounded concurrency for small batches
         req.log.info({ templateId, rowCount: rows.length }, "Processing CSV inline");
 
-        const results = await processRowsInline({
-          templateId,
-          rows,
-          outputType,
-          userId: req.user?.id,
-        });
+        // every row is a merge, reserved up front so the whole upload is turned away rather than stopping partway
+        await checkQuotas(req.user.id, { storageBytes: 1 });
+        const reservation = await reserveUsage(req.user.id, { merges: rows.length });
+
+        let results;
+        try {
+          results = await processRowsInline({
+            templateId,
+            rows,
+            outputType,
+            userId: req.user.id,
+          });
+        } catch (err) {
+          await releaseInlineMerges(req, reservation, rows.length);
+          throw err;
+        }
+        // rows that failed weren't merges
+        await releaseInlineMerges(req, reservation, results.filter((r) => !r.success).length);
 
         // Check for template parse errors
         const parseError = results.find(
@@ -567,31 +971,62 @@ router.post(
           .map(r => r.job);
         const errors = results
           .filter(r => !r.success)
-          .map(r => ({ rowIndex: r.rowIndex, error: r.error }));
+          .map(r => ({
+            rowIndex: r.rowIndex,
+            error: r.error,
+            ...(r.fieldErrors ? { fieldErrors: r.fieldErrors } : {}),
+          }));
 
         req.log.info(
           { templateId, rowCount: rows.length, successCount: jobs.length, errorCount: errors.length },
           "CSV merge completed (inline)"
         );
 
-        res.json({
+        // bundles belong to a batch job, so an inline merge records one for its download
+        let bundled = {};
+        if (bundle && jobs.length > 0) {
+          const batchJob = await bundleInlineResults({ templateId, outputType, userId: req.user?.id, bundle, results });
+          bundled = {
+            batchJobId: batchJob.id,
+            bundle: batchJob.bundlePath
+              ? { type: bundle, downloadUrl: `/api/batch-jobs/${batchJob.id}/bundle` }
+              : { type: bundle, error: batchJob.error },
+          };
+        }
+
+        const merged = {
           count: rows.length,
           jobs,
           ...(errors.length > 0 ? { errors } : {}),
-        });
+          ...bundled,
+        };
+        sendMergeCallback(req, callbackUrl, "merge.completed", { templateId, ...merged });
+        res.json(merged);
       } else {
-        // Queue for background processing for large batches
-        req.log.info({ templateId, rowCount: rows.length }, "Queueing CSV for background processing");
+        // Queue for background processing for large batches; the rows read so far come first
+        req.log.info({ templateId }, "Queueing CSV for background processing");
 
-        const batchJob = await createBatchJob({
-          templateId,
-          rows,
-          outputType,
-          userId: req.user?.id,
-        });
+        const head = rows;
+        let batchJob;
+        try {
+          batchJob = await createBatchJob({
+            templateId,
+            rows: (async function* () {
+              yield* head;
+              for await (const row of csv.rows) yield applyColumnMapping(row, rules);
+            })(),
+            outputType,
+            userId: req.user?.id,
+            bundle,
+            callbackUrl,
+          });
+        } catch (parseErr) {
+          if (dataUploadError(res, parseErr, label)) return;
+          throw parseErr;
+        }
 
         req.log.info(
-          { templateId, rowCount: rows.length, batchJobId: batchJob.id },
+          { templateId, rowCount: batchJob.totalRows, batchJobId: batchJob.id },
           "CSV merge queued"
         );
 
@@ -599,11 +1034,14 @@ router.post(
         res.status(202).json({
           message: "Batch job queued for processing",
           batchJobId: batchJob.id,
-          totalRows: rows.length,
+          totalRows: batchJob.totalRows,
           statusUrl: `/api/batch-jobs/${batchJob.id}`,
+          // available once the job completes
+          ...(bundle ? { bundle: { type: bundle, downloadUrl: `/api/batch-jobs/${batchJob.id}/bundle` } } : {}),
         });
       }
     } catch (err) {
+      if (err instanceof QuotaExceededError) return errorResponse.quotaExceeded(res, err.message, err.details);
       req.log.error({ err, templateId: req.params.templateId }, "CSV merge failed");
       // otherwise, send 400 Bad Request with a simple error message
       errorResponse.badRequest(res, err.message, ErrorCodes.VALIDATION_ERROR);
@@ -617,7 +1055,7 @@ router.post(
   // path param :templateId selects which template to merge
   "/templates/:templateId/merge",
   // B2b. MANUAL DATA INPUT REQUEST LIFECYCLE (JWT-PROTECTED): auth middleware
-  authenticateSupabase,
+  authenticateApiKey("merge:write"),
   mergeLimiter,
   memoryGuard,
   validate({ params: templateIdParams, body: mergeBody }),
@@ -629,17 +1067,15 @@ router.post(
 
       /* B3b & c. MANUAL DATA INPUT REQUEST LIFECYCLE (JWT-PROTECTED): route handler
          Already validated by Zod */
-      const { data, outputType, testMode } = req.body;
+      const { data, outputType, testMode, callbackUrl } = req.body;
 
       // Fetch template to validate outputType against its format and ownership
       const template = await prisma.template.findUnique({
         where: { id: templateId },
       });
 
-      // Check template exists and belongs to user
-      if (!template || template.uploadedById !== req.user.id) {
-        return errorResponse.notFound(res, "Template not found", ErrorCodes.TEMPLATE_NOT_FOUND);
-      }
+      // Check template exists and the user may merge it
+      if (!(await authorizeTemplate(req, res, template, "template:merge"))) return;
 
       // Validate outputType is supported for this template's format
       const outputErr = validateOutputType(res, template, outputType);
@@ -670,6 +1106,15 @@ router.post(
 
       req.log.info({ templateId, outputType, testMode }, "Manual merge completed");
 
+      // a test merge is only a download, so it has no callback
+      if (!result.testMode) {
+        sendMergeCallback(req, callbackUrl || req.user.callbackUrl, "merge.completed", {
+          templateId,
+          count: 1,
+          jobs: [result],
+        });
+      }
+
       // If test mode, return the file directly for download
       if (result.testMode) {
         res.setHeader('Content-Type', result.contentType);
@@ -693,6 +1138,16 @@ router.post(
           { details: err.details }
         );
       }
+      // data that breaks the template's field schema gets every per-field problem back
+      if (err instanceof FieldValidationError) {
+        return errorResponse.unprocessable(
+          res,
+          "Merge data does not match the template's fields",
+          ErrorCodes.FIELD_VALIDATION_ERROR,
+          { details: err.details }
+        );
+      }
+      if (err instanceof QuotaExceededError) return errorResponse.quotaExceeded(res, err.message, err.details);
       // any other error gets logged and returns 400 bad request with a message if merge engine throws
       req.log.error({ err, templateId: req.params.templateId }, "Manual merge failed");
       errorResponse.badRequest(res, err.message, ErrorCodes.VALIDATION_ERROR);
@@ -704,7 +1159,7 @@ router.post(
 - lists all batch jobs for the authenticated user */
 router.get(
   "/batch-jobs",
-  authenticateSupabase,
+  authenticateApiKey("outputs:read"),
   validate({ query: batchJobsQuery }),
   async (req, res) => {
     try {
@@ -729,7 +1184,7 @@ router.get(
 - gets status of a specific batch job */
 router.get(
   "/batch-jobs/:id",
-  authenticateSupabase,
+  authenticateApiKey("outputs:read"),
   validate({ params: batchJobIdParams }),
   async (req, res) => {
     try {
@@ -751,31 +1206,342 @@ router.get(
   }
 );
 
+// Progress streams a user can have open at once on this instance, each holding a connection
+const MAX_PROGRESS_STREAMS = parseInt(process.env.BATCH_PROGRESS_STREAMS_PER_USER, 10) || 10;
+
+// Open progress streams by user ID
+const progressStreams = new Map();
+
+// Longest a caught-up stream waits for its job to change before checking in, e.g. to send a keep-alive
+const PROGRESS_WAIT_MS = 5000;
+
+// Statuses a batch job doesn't leave
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+/* GET /api/batch-jobs/:id/events
+- streams a batch job's progress as Server-Sent Events until it finishes
+  - "progress": { status, totalRows, processedRows, failedRows } whenever one of them changes
+  - "result": each row's result, with its row index as the event id; reconnecting with Last-Event-ID
+    carries on after that row
+  - "done": the final state, after which the stream ends
+- follows the job in the database, so it works whichever instance's worker runs it; rows merged in this
+  process go out as they finish, others once stored with the job's progress
+- streams following the same job share one read of it (watchBatchJob), and only read stored results once
+  it has some they haven't sent; a user can have MAX_PROGRESS_STREAMS open at once
+- authenticated with the Authorization header like every other route, so browsers read it with fetch
+  rather than EventSource */
+router.get(
+  "/batch-jobs/:id/events",
+  authenticateApiKey("outputs:read"),
+  validate({ params: batchJobIdParams }),
+  async (req, res) => {
+    const batchJobId = req.params.id;
+    const userId = req.user?.id;
+    if (!userId) {
+      return errorResponse.unauthorized(res, "Unauthorized", ErrorCodes.UNAUTHORIZED);
+    }
+    const open = progressStreams.get(userId) ?? 0;
+    if (open >= MAX_PROGRESS_STREAMS) {
+      return errorResponse.rateLimited(
+        res,
+        `You can follow at most ${MAX_PROGRESS_STREAMS} batch jobs at once; close one to follow another`
+      );
+    }
+    progressStreams.set(userId, open + 1);
+    const release = () => {
+      const left = progressStreams.get(userId) - 1;
+      if (left > 0) progressStreams.set(userId, left);
+      else progressStreams.delete(userId);
+    };
+
+    const lastEventId = parseInt(req.get("Last-Event-ID"), 10);
+    let after = lastEventId >= 0 ? lastEventId + 1 : 0;
+
+    let progress;
+    try {
+      progress = await readBatchJobProgress(batchJobId, userId, after);
+    } catch (err) {
+      release();
+      req.log.error({ err, batchJobId }, "Failed to stream batch job progress");
+      return errorResponse.internal(res, "Failed to stream batch job progress");
+    }
+    if (!progress) {
+      release();
+      return errorResponse.notFound(res, "Batch job not found", ErrorCodes.JOB_NOT_FOUND);
+    }
+
+    const stream = openEventStream(req, res);
+    let counters = {};
+
+    const sendResult = (result) => {
+      stream.send("result", result, result.rowIndex);
+      after = result.rowIndex + 1;
+    };
+    const sendCounters = ({ status, totalRows, processedRows, failedRows }) => {
+      const next = { status, totalRows, processedRows, failedRows };
+      if (JSON.stringify(next) === JSON.stringify(counters)) return;
+      stream.send("progress", next);
+      counters = next;
+    };
+
+    // a row merged in this process goes out straight away; the rest is read by the job's watch
+    const onProgress = (event) => {
+      if (event.batchJobId !== batchJobId || !event.result) return;
+      if (event.result.rowIndex === after) sendResult(event.result);
+      sendCounters({ ...counters, processedRows: event.processedRows, failedRows: event.failedRows });
+    };
+    batchJobEvents.on("progress", onProgress);
+
+    // the job's state as last read by its watch; null once it's deleted
+    let watched;
+    const unwatch = watchBatchJob(batchJobId, (state) => {
+      watched = state;
+      stream.wake();
+    });
+
+    try {
+      let { results, ...state } = progress;
+      while (!stream.closed) {
+        results.filter((result) => result.rowIndex >= after).forEach(sendResult);
+        sendCounters(state);
+
+        // a finished job has stored all its results, so none left to read means none left at all
+        if (FINISHED_STATUSES.includes(state.status) && results.length === 0) {
+          stream.send("done", state);
+          break;
+        }
+
+        // a stream catching up on stored results reads on right away; one that's caught up waits for the
+        // job to store rows it hasn't sent, or to finish
+        if (results.length === 0) {
+          await stream.wait(PROGRESS_WAIT_MS);
+          if (stream.closed) break;
+          // deleted while streaming
+          if (watched === null) break;
+          if (watched) {
+            state = watched;
+            watched = undefined;
+          }
+          if (state.processedRows <= after && !FINISHED_STATUSES.includes(state.status)) continue;
+        }
+
+        progress = await readBatchJobProgress(batchJobId, userId, after);
+        // deleted while streaming
+        if (!progress) break;
+        ({ results, ...state } = progress);
+      }
+    } catch (err) {
+      req.log.error({ err, batchJobId }, "Failed to stream batch job progress");
+      stream.send("error", { message: "Failed to stream batch job progress" });
+    } finally {
+      unwatch();
+      batchJobEvents.off("progress", onProgress);
+      release();
+      stream.end();
+    }
+  }
+);
+
+/* POST /api/batch-jobs/:id/retry
+- re-runs the failed rows of a finished batch job as a new batch linked to it
+- body.rows optionally replaces the data of failed rows, by row index */
+router.post(
+  "/batch-jobs/:id/retry",
+  authenticateApiKey("merge:write"),
+  csvLimiter,
+  validate({ params: batchJobIdParams, body: batchRetryBody }),
+  async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return errorResponse.unauthorized(res, "Unauthorized", ErrorCodes.UNAUTHORIZED);
+      }
+
+      let batchJob;
+      try {
+        batchJob = await retryBatchJob(req.params.id, userId, { rows: req.body.rows });
+      } catch (retryErr) {
+        if (retryErr.status === 409) return errorResponse.conflict(res, retryErr.message, ErrorCodes.CONFLICT);
+        if (retryErr.status === 400) return errorResponse.badRequest(res, retryErr.message, ErrorCodes.VALIDATION_ERROR);
+        if (retryErr instanceof QuotaExceededError) {
+          return errorResponse.quotaExceeded(res, retryErr.message, retryErr.details);
+        }
+        throw retryErr;
+      }
+      if (!batchJob) {
+        return errorResponse.notFound(res, "Batch job not found", ErrorCodes.JOB_NOT_FOUND);
+      }
+
+      req.log.info(
+        { batchJobId: batchJob.id, retryOfId: req.params.id, rowCount: batchJob.totalRows },
+        "Batch job retry queued"
+      );
+
+      res.status(202).json({
+        message: "Batch job retry queued for processing",
+        batchJobId: batchJob.id,
+        retryOf: req.params.id,
+        totalRows: batchJob.totalRows,
+        statusUrl: `/api/batch-jobs/${batchJob.id}`,
+      });
+    } catch (err) {
+      req.log.error({ err, batchJobId: req.params.id }, "Failed to retry batch job");
+      errorResponse.internal(res, "Failed to retry batch job");
+    }
+  }
+);
+
+/* POST /api/batch-jobs/:id/pause
+- stops a queued or running batch job before its next row */
+router.post(
+  "/batch-jobs/:id/pause",
+  authenticateApiKey("merge:write"),
+  validate({ params: batchJobIdParams }),
+  (req, res) => sendBatchJobChange(req, res, (userId) => pauseBatchJob(req.params.id, userId), "Batch job paused")
+);
+
+/* POST /api/batch-jobs/:id/resume
+- queues a paused batch job again, from the row it stopped at */
+router.post(
+  "/batch-jobs/:id/resume",
+  authenticateApiKey("merge:write"),
+  validate({ params: batchJobIdParams }),
+  (req, res) => sendBatchJobChange(req, res, (userId) => resumeBatchJob(req.params.id, userId), "Batch job resumed")
+);
+
+/* POST /api/batch-jobs/:id/cancel
+- stops a queued, running or paused batch job for good
+- body.deleteOutputs also deletes the outputs of the rows merged so far */
+router.post(
+  "/batch-jobs/:id/cancel",
+  authenticateApiKey("merge:write"),
+  validate({ params: batchJobIdParams, body: batchCancelBody }),
+  (req, res) => sendBatchJobChange(
+    req,
+    res,
+    (userId) => cancelBatchJob(req.params.id, userId, { deleteOutputs: req.body.deleteOutputs }),
+    "Batch job cancelled"
+  )
+);
+
+/* GET /api/batch-jobs/:id/bundle
+- downloads the ZIP or merged PDF of a batch job's outputs */
+router.get(
+  "/batch-jobs/:id/bundle",
+  authenticateApiKey("outputs:read"),
+  downloadLimiter,
+  validate({ params: batchJobIdParams }),
+  async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return errorResponse.unauthorized(res, "Unauthorized", ErrorCodes.UNAUTHORIZED);
+      }
+
+      const batchJob = await getBatchJobStatus(req.params.id, userId);
+      if (!batchJob) {
+        return errorResponse.notFound(res, "Batch job not found", ErrorCodes.JOB_NOT_FOUND);
+      }
+      if (!batchJob.bundle) {
+        return errorResponse.notFound(res, "This batch job has no bundle", ErrorCodes.FILE_NOT_FOUND);
+      }
+      // the bundle is built once every row is merged
+      if (!batchJob.bundlePath) {
+        const message = batchJob.status === "completed" || batchJob.status === "failed"
+          ? batchJob.error || "Bundle is not available"
+          : "Bundle is not ready yet";
+        return errorResponse.conflict(res, message, ErrorCodes.CONFLICT);
+      }
+
+      const s3Key = batchJob.bundlePath.replace(/^s3:\/\/[^/]+\//, "");
+      try {
+        const obj = await s3.send(
+          new GetObjectCommand({
+            Bucket: process.env.S3_BUCKET,
+            Key: s3Key,
+          })
+        );
+
+        res.setHeader("Content-Type", BUNDLE_CONTENT_TYPES[batchJob.bundle]);
+        res.setHeader("Content-Disposition", `attachment; filename="${s3Key.split("/").pop()}"`);
+        res.setHeader("X-Content-Type-Options", "nosniff");
+        if (obj.ContentLength) {
+          res.setHeader("Content-Length", obj.ContentLength);
+        }
+        res.setHeader("Cache-Control", "private, no-store");
+
+        pipeS3Stream(obj.Body, req, res, s3Key);
+      } catch (s3Err) {
+        if (s3Err.name === "NoSuchKey") {
+          return errorResponse.notFound(res, "File not found", ErrorCodes.FILE_NOT_FOUND);
+        }
+        throw s3Err;
+      }
+    } catch (err) {
+      req.log.error({ err, batchJobId: req.params.id }, "Bundle download failed");
+      if (!res.headersSent) {
+        errorResponse.internal(res, "Download failed");
+      }
+    }
+  }
+);
+
 /* WEBHOOK MERGE (HMAC)
 - SANITIZES INPUTS ON WEBHOOK (EXTERNAL SYSTEMS) ROUTE
 - STILL HARD-BLOCKS EXECUTION ON CRITICAL VIOLATIONS (E.G. FAILED HMAC, SCHEMA MISMATCH, PATH TRAVERSAL LOGS, ETC.) */
-router.post("/webhooks/templates/:templateId", verifyHmac, memoryGuard, validate({ params: templateIdParams }), async (req, res) => {
+router.post("/webhooks/templates/:templateId", verifyHmac, memoryGuard, validate({ params: templateIdParams, query: webhookQuery }), (req, res) => {
+  // anyone with the global secret can merge any template, so this route only stays for existing integrations
+  res.set("Deprecation", "true");
+  req.log.warn({ templateId: req.params.templateId }, "Webhook signed with the global secret");
+  // C5a. templateId from URL (already validated by Zod)
+  return handleWebhookMerge(req, res, { templateId: req.params.templateId });
+});
+
+/* WEBHOOK ENDPOINT MERGE (PER-ENDPOINT HMAC)
+- same merge path, signed with the endpoint's own secret (services/webhookEndpoint.service.js)
+- merges into the endpoint's template only, attributed to the endpoint's owner */
+router.post(
+  "/webhooks/endpoints/:endpointId",
+  verifyEndpointSignature,
+  memoryGuard,
+  validate({ params: endpointIdParams, query: webhookQuery }),
+  (req, res) => {
+    const { templateId, userId } = req.webhookEndpoint;
+    return handleWebhookMerge(req, res, { templateId, ownerId: userId });
+  }
+);
+
+/**
+ * Merge a verified webhook's rows into a template and answer the request
+ * @param {Object} req - Express request; the body is the raw CSV or JSON payload
+ * @param {Object} res - Express response
+ * @param {Object} params - { templateId, ownerId }; with ownerId (an endpoint's owner) they must still be allowed
+ *   to merge the template, and the merges are theirs. Otherwise they're attributed to the template's owner.
+ */
+async function handleWebhookMerge(req, res, { templateId, ownerId }) {
   // runs the same merge path with the POST body as data
-  /* C5. WEBHOOK DATA INGESTION REQUEST LIFECYCLE (SHARED-SECRET HMAC): route handler execution
-      C5a. templateId from URL (already validated by Zod) */
-  const { templateId } = req.params;
+  // C5. WEBHOOK DATA INGESTION REQUEST LIFECYCLE (SHARED-SECRET HMAC): route handler execution
   // C5b. outputType read from query string
   const outputType = req.query.outputType || "pdf";
 
   // Fetch template to validate outputType against its format
   let template;
+  let permissionErr = null;
   try {
     template = await prisma.template.findUnique({
       where: { id: templateId },
     });
+    // an endpoint stops working once its owner loses the right to merge the template
+    if (ownerId) permissionErr = await templatePermissionError(ownerId, template, "template:merge");
   } catch (err) {
     req.log.error({ err, templateId }, "Failed to fetch template");
     return errorResponse.internal(res, "Internal server error");
   }
 
-  if (!template) {
+  if (!template || permissionErr) {
     return errorResponse.notFound(res, "Template not found", ErrorCodes.TEMPLATE_NOT_FOUND);
   }
+  const userId = ownerId || template.uploadedById || null;
 
   // Validate outputType is supported for this template's format
   const outputErr = validateOutputType(res, template, outputType);
@@ -822,12 +1588,81 @@ router.post("/webhooks/templates/:templateId", verifyHmac, memoryGuard, validate
 
   rows = sanitizeCsvRows(rows);
 
+  // the rows are merges of whoever they're attributed to, so they're turned away up front when that's past a quota
+  if (userId) {
+    try {
+      await checkQuotas(userId, { mergesPerMonth: rows.length, storageBytes: 1 });
+    } catch (err) {
+      if (err instanceof QuotaExceededError) return errorResponse.quotaExceeded(res, err.message, err.details);
+      req.log.error({ err, templateId }, "Failed to check quotas");
+      return errorResponse.internal(res, "Internal server error");
+    }
+  }
+
+  // with a callback URL the caller doesn't wait: the rows are merged after a 202, and the result is sent there
+  const { callbackUrl } = req.query;
+  if (callbackUrl) {
+    req.log.info({ templateId, rowCount: rows.length }, "Webhook merge accepted for callback");
+    res.status(202).json({ message: "Merge accepted; the result will be sent to the callback URL", count: rows.length });
+
+    mergeWebhookRows({ templateId, rows, outputType, userId })
+      .then((result) => sendMergeCallback(req, callbackUrl, "merge.completed", { templateId, ...result }, userId))
+      .catch((err) => {
+        req.log.error({ err, templateId, row: err.row }, "Webhook merge failed");
+        sendMergeCallback(req, callbackUrl, "merge.failed", {
+          templateId,
+          row: err.row,
+          error: err.message === "TEMPLATE_PARSE_ERROR" ? "Template has invalid Docxtemplater tags" : err.message,
+          ...(err.details ? { details: err.details } : {}),
+        }, userId);
+      });
+    return;
+  }
+
+  try {
+    /* C11. WEBHOOK DATA INGESTION REQUEST LIFECYCLE (SHARED-SECRET HMAC): response 
+      responds with the result in JSON on success */
+    res.json(await mergeWebhookRows({ templateId, rows, outputType, userId }));
+    // responds with 422 meaning "Unprocessable" on failure
+  } catch (err) {
+    if (err.message === "TEMPLATE_PARSE_ERROR" && err.details) {
+      return errorResponse.unprocessable(
+        res,
+        "Template has invalid Docxtemplater tags",
+        ErrorCodes.TEMPLATE_PARSE_ERROR,
+        { details: err.details }
+      );
+    }
+    // err.row is the 1-based row that failed, like the warnings
+    if (err instanceof FieldValidationError) {
+      return errorResponse.unprocessable(
+        res,
+        `Row ${err.row} does not match the template's fields`,
+        ErrorCodes.FIELD_VALIDATION_ERROR,
+        { details: err.details }
+      );
+    }
+    if (err instanceof QuotaExceededError) return errorResponse.quotaExceeded(res, err.message, err.details);
+    req.log.error({ err, templateId }, "Webhook merge failed");
+    // errors surface as 400 and bad signature returns 401
+    errorResponse.badRequest(res, err.message, ErrorCodes.VALIDATION_ERROR);
+  }
+}
+
+/**
+ * Merge a webhook's rows one at a time, stopping at the first row that fails
+ * @param {Object} params - { templateId, rows, outputType, userId }; userId is who the merges are attributed to
+ * @returns {Promise<Object>} - { count, jobs, warnings? }; warnings are listed by 1-based row
+ * @throws {Error} - the failing row's error, with err.row set to its 1-based row; field problems are
+ *   listed with their row in err.details
+ */
+async function mergeWebhookRows({ templateId, rows, outputType, userId }) {
+  // tracks row numbers for better warning and error messages
+  let rowIndex = 0;
+  // initializes containers for results and warnings
+  const jobs = [];
+  const aggregatedWarnings = [];
   try {
-    // initializes containers for results and warnings
-    const jobs = [];
-    const aggregatedWarnings = [];
-    // tracks row numbers for better warning messages
-    let rowIndex = 0;
     // iterates through rows
     for (const row of rows) {
       rowIndex++;
@@ -842,7 +1677,7 @@ router.post("/webhooks/templates/:templateId", verifyHmac, memoryGuard, validate
           templateId,
           data: row,
           outputType,
-          userId: null,
+          userId,
           // lets the merge layer apply webhook-specific rules (i.e. sanitization)
           fromWebhook: true,
         });
@@ -854,29 +1689,18 @@ router.post("/webhooks/templates/:templateId", verifyHmac, memoryGuard, validate
         aggregatedWarnings.push({ row: rowIndex, warnings: job.warnings });
       }
     }
-
-    /* C11. WEBHOOK DATA INGESTION REQUEST LIFECYCLE (SHARED-SECRET HMAC): response 
-      responds with the result in JSON on success */
-    res.json(
-      aggregatedWarnings.length
-        ? { count: rows.length, jobs, warnings: aggregatedWarnings }
-        : { count: rows.length, jobs }
-    );
-    // responds with 422 meaning "Unprocessable" on failure
   } catch (err) {
-    if (err.message === "TEMPLATE_PARSE_ERROR" && err.details) {
-      return errorResponse.unprocessable(
-        res,
-        "Template has invalid Docxtemplater tags",
-        ErrorCodes.TEMPLATE_PARSE_ERROR,
-        { details: err.details }
-      );
+    err.row = rowIndex;
+    if (err instanceof FieldValidationError) {
+      err.details = err.details.map((d) => ({ row: rowIndex, ...d }));
     }
-    req.log.error({ err, templateId }, "Webhook merge failed");
-    // errors surface as 400 and bad signature returns 401
-    errorResponse.badRequest(res, err.message, ErrorCodes.VALIDATION_ERROR);
+    throw err;
   }
-});
+
+  return aggregatedWarnings.length
+    ? { count: rows.length, jobs, warnings: aggregatedWarnings }
+    : { count: rows.length, jobs };
+}
 
 module.exports = router;
 
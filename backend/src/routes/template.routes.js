@@ -10,25 +10,38 @@ const FileType = require("file-type");
 const path = require("path");
 const { randomUUID } = require("crypto");
 const authenticateSupabase = require("../middleware/supabase-auth");
+const authenticateApiKey = require("../middleware/api-key-auth");
+const { authorizeTemplate } = require("../middleware/permissions");
+const { visibleTemplatesWhere } = require("../services/permission.service");
 const prisma = require("../config/prisma");
 const { errorResponse, ErrorCodes } = require("../utils/errorResponse");
 // middleware specific to template upload route
-const { uploadTemplate } = require("../middleware/upload.middleware");
+const { uploadTemplate, uploadAsset } = require("../middleware/upload.middleware");
 // service functions that produce the db records merge.service.js will read
 const {
   extractFieldsFromTemplate,
   storeTemplateAndFields,
 } = require("../services/template.service");
+const { detectAssetType, assetStorageKey } = require("../services/asset.service");
 const { validate } = require("../middleware/validate");
 const {
   templateIdParams,
   templateVersionParams,
+  templateAssetParams,
+  uploadAssetBody,
+  columnMappingParams,
+  columnMappingBody,
   updateTemplateBody,
+  updateFieldsBody,
 } = require("../schemas/template.schemas");
+const { fieldDefinition, checkValue } = require("../utils/field-validation");
+const { isValidLocale } = require("../utils/formatters");
+const { checkQuotas, QuotaExceededError } = require("../services/usage.service");
 
 // shared linter utilities
 const { lintDocxBuffer } = require("../utils/docx-templating");
 const { lintHtmlBuffer } = require("../utils/html-lint");
+const { lintTemplateExpressions } = require("../services/expression.service");
 // Supabase Storage instance
 const {
   s3,
@@ -103,24 +116,29 @@ async function detectFileType(file) {
 }
 
 /**
- * Lint an uploaded template file. Returns { errors, warnings } for HTML,
- * { errors } for DOCX, or null if no linting applies.
+ * Lint an uploaded template file. Returns { errors, warnings, message } for HTML and DOCX, or for any
+ * format with expression tags that don't parse; null if nothing is wrong and no linting applies.
  */
-function lintTemplate(fileType, buffer) {
+async function lintTemplate(fileType, mimeType, buffer) {
+  let result = null;
   if (fileType.ext === "html" || fileType.mime === "text/html") {
     const { errors, warnings } = lintHtmlBuffer(buffer, {
       allowRemote: false,
       requirePrintCss: false,
     });
-    return { errors, warnings };
-  }
-
-  if (fileType.ext === "docx") {
+    result = { errors, warnings, message: "Template blocked by HTML linter" };
+  } else if (fileType.ext === "docx") {
     const errors = lintDocxBuffer(buffer);
-    return { errors, warnings: [] };
+    result = { errors, warnings: [], message: "Template has invalid Docxtemplater delimiters/tags" };
   }
 
-  return null;
+  if (!result?.errors.length) {
+    const errors = await lintTemplateExpressions(buffer, mimeType);
+    if (errors.length) {
+      return { errors, warnings: result?.warnings ?? [], message: "Template has expressions that don't parse" };
+    }
+  }
+  return result;
 }
 
 // Wraps multer middleware to catch fileFilter rejections and return 415 instead of 500
@@ -170,21 +188,23 @@ router.post("/upload", authenticateSupabase, handleMulterError(uploadTemplate.si
     }
 
     // A3d. lint template delimiters before saving anything (fail-fast)
-    const lintResult = lintTemplate(fileType, file.buffer);
+    const lintResult = await lintTemplate(fileType, finalMime, file.buffer);
     if (lintResult) {
       if (lintResult.warnings?.length)
         req.log.warn({ warnings: lintResult.warnings }, "HTML template has warnings");
       if (lintResult.errors?.length) {
-        const isHtml = fileType.ext === "html" || fileType.mime === "text/html";
         return errorResponse.unprocessable(
           res,
-          isHtml ? "Template blocked by HTML linter" : "Template has invalid Docxtemplater delimiters/tags",
+          lintResult.message,
           ErrorCodes.TEMPLATE_PARSE_ERROR,
           { details: lintResult.errors }
         );
       }
     }
 
+    // a new template counts toward the uploader's template quota and its file toward their storage
+    await checkQuotas(req.user.id, { templates: 1, storageBytes: file.buffer.length });
+
     /* PERSIST & PARSE
     A4. TEMPLATE UPLOAD - INGESTION & DISCOVERY: prepare filenames
     - displayName: Original filename as uploaded by user (e.g. "My Invoice.docx")
@@ -253,7 +273,14 @@ router.post("/upload", authenticateSupabase, handleMulterError(uploadTemplate.si
 
       PERSIST TEMPLATE + FIELDS VIA PRISMA
       A8a. TEMPLATE UPLOAD - INGESTION & DISCOVERY: persists template metadata + fields */
-      savedTemplate = await storeTemplateAndFields(stamped, displayName, finalMime, fieldNames, req.user.id);
+      savedTemplate = await storeTemplateAndFields(
+        stamped,
+        displayName,
+        finalMime,
+        fieldNames,
+        req.user.id,
+        file.buffer.length
+      );
     } catch (dbError) {
       // ROLLBACK: Deletes the S3 file if db save fails
       req.log.warn({ s3Key }, "Database save failed, cleaning up S3 file");
@@ -291,6 +318,7 @@ router.post("/upload", authenticateSupabase, handleMulterError(uploadTemplate.si
     - catches and logs any unexpected server errors, unexpected issues return 500; validation failures already 
       exited with 400/415 */
   } catch (err) {
+    if (err instanceof QuotaExceededError) return errorResponse.quotaExceeded(res, err.message, err.details);
     req.log.error({ err }, "Upload failed");
     errorResponse.internal(res, "Internal server error");
   }
@@ -300,13 +328,11 @@ router.post("/upload", authenticateSupabase, handleMulterError(uploadTemplate.si
 - lists all templates (both active and inactive) for the authenticated user */
 router.get(
   "/templates",
-  authenticateSupabase,
+  authenticateApiKey("templates:read"),
   async (req, res) => {
     try {
       const templates = await prisma.template.findMany({
-        where: {
-          uploadedById: req.user.id,
-        },
+        where: visibleTemplatesWhere(req.user.id),
         include: {
           fields: true,
         },
@@ -338,9 +364,7 @@ router.get(
         where: { id },
       });
 
-      if (!template || template.uploadedById !== req.user.id) {
-        return errorResponse.notFound(res, "Template not found", ErrorCodes.TEMPLATE_NOT_FOUND);
-      }
+      if (!(await authorizeTemplate(req, res, template, "template:read"))) return;
 
       // Get all non-expired versions, ordered by version number ascending (oldest first)
       const versions = await prisma.templateVersion.findMany({
@@ -442,9 +466,7 @@ router.post(
         include: { fields: true },
       });
 
-      if (!currentTemplate || currentTemplate.uploadedById !== req.user.id) {
-        return errorResponse.notFound(res, "Template not found", ErrorCodes.TEMPLATE_NOT_FOUND);
-      }
+      if (!(await authorizeTemplate(req, res, currentTemplate, "template:edit"))) return;
 
       // Create version of CURRENT state before reverting
       const maxVersion = await prisma.templateVersion.findFirst({
@@ -463,15 +485,17 @@ router.post(
           templateId: id,
           versionNumber: nextVersionNumber,
           storageKey: currentTemplate.storageKey,
+          fileSize: currentTemplate.fileSize,
           mimeType: currentTemplate.mimeType,
           displayName: currentTemplate.displayName,
           defaultOutputType: currentTemplate.defaultOutputType,
           outputNameFormat: currentTemplate.outputNameFormat,
           pageSize: currentTemplate.pageSize,
           orientation: currentTemplate.orientation,
+          locale: currentTemplate.locale,
           fieldsSnapshot: currentTemplate.fields.map((f) => ({
             id: f.id,
-            name: f.name,
+            ...fieldDefinition(f),
           })),
           expiresAt,
         },
@@ -482,11 +506,11 @@ router.post(
         where: { templateId: id },
       });
 
-      // Restore fields from version snapshot
+      // Restore fields (with their types and rules) from version snapshot
       await prisma.field.createMany({
         data: version.fieldsSnapshot.map((f) => ({
           templateId: id,
-          name: f.name,
+          ...fieldDefinition(f),
         })),
       });
 
@@ -495,12 +519,14 @@ router.post(
         where: { id },
         data: {
           storageKey: version.storageKey,
+          fileSize: version.fileSize,
           mimeType: version.mimeType,
           displayName: version.displayName,
           defaultOutputType: version.defaultOutputType,
           outputNameFormat: version.outputNameFormat,
           pageSize: version.pageSize,
           orientation: version.orientation,
+          locale: version.locale,
         },
         include: { fields: true },
       });
@@ -532,7 +558,7 @@ router.post(
 - gets a single template by ID */
 router.get(
   "/templates/:id",
-  authenticateSupabase,
+  authenticateApiKey("templates:read"),
   validate({ params: templateIdParams }),
   async (req, res) => {
     try {
@@ -546,9 +572,7 @@ router.get(
       });
 
       // Check template exists and belongs to user
-      if (!template || template.uploadedById !== req.user.id) {
-        return errorResponse.notFound(res, "Template not found", ErrorCodes.TEMPLATE_NOT_FOUND);
-      }
+      if (!(await authorizeTemplate(req, res, template, "template:read"))) return;
 
       res.json(template);
     } catch (err) {
@@ -573,9 +597,7 @@ router.delete(
         where: { id },
       });
 
-      if (!template || template.uploadedById !== req.user.id) {
-        return errorResponse.notFound(res, "Template not found", ErrorCodes.TEMPLATE_NOT_FOUND);
-      }
+      if (!(await authorizeTemplate(req, res, template, "template:delete"))) return;
 
       if (!template.isActive) {
         return errorResponse.notFound(res, "Template already deactivated", ErrorCodes.TEMPLATE_NOT_FOUND);
@@ -611,9 +633,7 @@ router.post(
         where: { id },
       });
 
-      if (!template || template.uploadedById !== req.user.id) {
-        return errorResponse.notFound(res, "Template not found", ErrorCodes.TEMPLATE_NOT_FOUND);
-      }
+      if (!(await authorizeTemplate(req, res, template, "template:delete"))) return;
 
       if (template.isActive) {
         return errorResponse.badRequest(res, "Template is already active", ErrorCodes.VALIDATION_ERROR);
@@ -635,7 +655,7 @@ router.post(
 );
 
 /* PUT /api/templates/:id
-- updates a template's metadata (displayName, defaultOutputType, outputNameFormat)
+- updates a template's metadata (displayName, defaultOutputType, outputNameFormat, pageSize, orientation, locale)
 - optionally replaces the template file */
 router.put(
   "/templates/:id",
@@ -645,7 +665,7 @@ router.put(
   async (req, res) => {
     try {
       const { id } = req.params; // Already validated by Zod
-      const { displayName, defaultOutputType, outputNameFormat, pageSize, orientation } = req.body;
+      const { displayName, defaultOutputType, outputNameFormat, pageSize, orientation, locale } = req.body;
       const file = req.file;
 
       // Check if template exists and belongs to user
@@ -654,9 +674,7 @@ router.put(
         include: { fields: true },
       });
 
-      if (!existingTemplate || existingTemplate.uploadedById !== req.user.id) {
-        return errorResponse.notFound(res, "Template not found", ErrorCodes.TEMPLATE_NOT_FOUND);
-      }
+      if (!(await authorizeTemplate(req, res, existingTemplate, "template:edit"))) return;
 
       // Prepare update data
       const updateData = {};
@@ -686,6 +704,14 @@ router.put(
         updateData.orientation = orientation || null;
       }
 
+      // Update locale if provided (allow null to clear it) - filters like currency format for it
+      if ('locale' in req.body) {
+        if (locale && !isValidLocale(locale)) {
+          return errorResponse.badRequest(res, `"${locale}" is not a valid locale`);
+        }
+        updateData.locale = locale || null;
+      }
+
       // If a replacement file is provided, process it
       if (file) {
         // MIME detection and validation (same as upload route)
@@ -696,21 +722,23 @@ router.put(
         const { fileType, finalMime } = detection;
 
         // Lint the new file
-        const lintResult = lintTemplate(fileType, file.buffer);
+        const lintResult = await lintTemplate(fileType, finalMime, file.buffer);
         if (lintResult) {
           if (lintResult.warnings?.length)
             req.log.warn({ warnings: lintResult.warnings }, "HTML template has warnings");
           if (lintResult.errors?.length) {
-            const isHtml = fileType.ext === "html" || fileType.mime === "text/html";
             return errorResponse.unprocessable(
               res,
-              isHtml ? "Template blocked by HTML linter" : "Template has invalid Docxtemplater delimiters/tags",
+              lintResult.message,
               ErrorCodes.TEMPLATE_PARSE_ERROR,
               { details: lintResult.errors }
             );
           }
         }
 
+        // the current file is kept as a version, so the new one adds to the uploader's storage
+        await checkQuotas(existingTemplate.uploadedById, { storageBytes: file.buffer.length });
+
         // Create version snapshot of CURRENT state before replacing
         const maxVersion = await prisma.templateVersion.findFirst({
           where: { templateId: id },
@@ -730,15 +758,17 @@ router.put(
             templateId: id,
             versionNumber: nextVersionNumber,
             storageKey: existingTemplate.storageKey,
+            fileSize: existingTemplate.fileSize,
             mimeType: existingTemplate.mimeType,
             displayName: existingTemplate.displayName,
             defaultOutputType: existingTemplate.defaultOutputType,
             outputNameFormat: existingTemplate.outputNameFormat,
             pageSize: existingTemplate.pageSize,
             orientation: existingTemplate.orientation,
+            locale: existingTemplate.locale,
             fieldsSnapshot: existingTemplate.fields.map((f) => ({
               id: f.id,
-              name: f.name,
+              ...fieldDefinition(f),
             })),
             expiresAt,
           },
@@ -768,11 +798,14 @@ router.put(
 
         // Update template with new file info
         updateData.storageKey = stamped;
+        updateData.fileSize = file.buffer.length;
         updateData.mimeType = finalMime;
         // Reset outputNameFormat since fields have changed
         updateData.outputNameFormat = null;
 
-        // Delete old fields and create new ones
+        // Delete old fields and create new ones, keeping the rules of fields the new file still uses
+        const previousFields = new Map(existingTemplate.fields.map((f) => [f.name, f]));
+
         await prisma.field.deleteMany({
           where: { templateId: id },
         });
@@ -780,7 +813,7 @@ router.put(
         await prisma.field.createMany({
           data: fieldNames.map((name) => ({
             templateId: id,
-            name,
+            ...(previousFields.has(name) ? fieldDefinition(previousFields.get(name)) : { name }),
           })),
         });
       }
@@ -795,10 +828,407 @@ router.put(
       req.log.info({ templateId: id }, "Template updated successfully");
       res.json(updatedTemplate);
     } catch (err) {
+      if (err instanceof QuotaExceededError) return errorResponse.quotaExceeded(res, err.message, err.details);
       req.log.error({ err, templateId: req.params.id }, "Failed to update template");
       errorResponse.internal(res, "Failed to update template");
     }
   }
 );
 
+/* PUT /api/templates/:id/fields
+- sets the type, required flag, default, pattern/min/max/options rules and description of the listed fields
+- field names come from the template file, so only existing fields can be listed; unlisted fields keep
+  their current definition */
+router.put(
+  "/templates/:id/fields",
+  authenticateSupabase,
+  validate({ params: templateIdParams, body: updateFieldsBody }),
+  async (req, res) => {
+    try {
+      const { id } = req.params; // Already validated by Zod
+      const { fields } = req.body;
+
+      const template = await prisma.template.findUnique({
+        where: { id },
+        include: { fields: true },
+      });
+
+      if (!(await authorizeTemplate(req, res, template, "template:edit"))) return;
+
+      const existing = new Set(template.fields.map((f) => f.name));
+      const unknown = fields.filter((f) => !existing.has(f.name)).map((f) => f.name);
+      if (unknown.length) {
+        return errorResponse.badRequest(
+          res,
+          `Unknown template fields: ${unknown.join(", ")}`,
+          ErrorCodes.FIELD_MISMATCH,
+          { details: unknown }
+        );
+      }
+
+      // a default has to pass its own field's rules, or every merge relying on it would fail
+      const invalidDefaults = fields
+        .filter((f) => f.defaultValue !== undefined && f.defaultValue !== null && f.defaultValue !== "")
+        .map((f) => ({ field: f.name, problem: checkValue(f, f.defaultValue) }))
+        .filter((d) => d.problem)
+        .map(({ field, problem }) => ({
+          field,
+          code: problem.code,
+          message: `Default for ${field} ${problem.reason}`,
+        }));
+      if (invalidDefaults.length) {
+        return errorResponse.badRequest(
+          res,
+          invalidDefaults[0].message,
+          ErrorCodes.VALIDATION_ERROR,
+          { details: invalidDefaults }
+        );
+      }
+
+      // Replace the listed fields' definitions, in one transaction so a failure can't leave them deleted
+      await prisma.$transaction([
+        prisma.field.deleteMany({
+          where: { templateId: id, name: { in: fields.map((f) => f.name) } },
+        }),
+        prisma.field.createMany({
+          data: fields.map((f) => ({
+            templateId: id,
+            ...fieldDefinition(f),
+          })),
+        }),
+      ]);
+
+      const updatedTemplate = await prisma.template.findUnique({
+        where: { id },
+        include: { fields: true },
+      });
+
+      req.log.info({ templateId: id, fieldCount: fields.length }, "Template fields updated");
+      res.json(updatedTemplate);
+    } catch (err) {
+      req.log.error({ err, templateId: req.params.id }, "Failed to update template fields");
+      errorResponse.internal(res, "Failed to update template fields");
+    }
+  }
+);
+
+/* TEMPLATE ASSET LIBRARY
+- images and fonts stored next to the template (uploads/assets/<templateId>/...)
+- merge data references images by name ("asset:logo.png"); fonts are embedded into HTML -> PDF output
+  under their name without the extension (BrandSans.woff2 -> font-family: "BrandSans") */
+
+// Loads a template, or null; who may use it is left to authorizeTemplate
+function findTemplate(id) {
+  return prisma.template.findUnique({ where: { id } });
+}
+
+// Strips the storage key from asset records returned to clients
+const toAssetResponse = ({ id, templateId, name, kind, mimeType, size, createdAt }) => ({
+  id,
+  templateId,
+  name,
+  kind,
+  mimeType,
+  size,
+  createdAt,
+});
+
+/* GET /api/templates/:id/assets
+- lists a template's uploaded images and fonts */
+router.get(
+  "/templates/:id/assets",
+  authenticateSupabase,
+  validate({ params: templateIdParams }),
+  async (req, res) => {
+    try {
+      const { id } = req.params; // Already validated by Zod
+
+      if (!(await authorizeTemplate(req, res, await findTemplate(id), "template:read"))) return;
+
+      const assets = await prisma.templateAsset.findMany({
+        where: { templateId: id },
+        orderBy: { name: "asc" },
+      });
+
+      res.json(assets.map(toAssetResponse));
+    } catch (err) {
+      req.log.error({ err, templateId: req.params.id }, "Failed to fetch template assets");
+      errorResponse.internal(res, "Failed to load template assets");
+    }
+  }
+);
+
+/* POST /api/templates/:id/assets
+- uploads an image or font (multipart field "asset", optional "name" defaulting to the filename) */
+router.post(
+  "/templates/:id/assets",
+  authenticateSupabase,
+  handleMulterError(uploadAsset.single("asset")),
+  validate({ params: templateIdParams, body: uploadAssetBody }),
+  async (req, res) => {
+    try {
+      const { id } = req.params; // Already validated by Zod
+      const file = req.file;
+      if (!file) return errorResponse.badRequest(res, "No file uploaded", ErrorCodes.MISSING_FIELD);
+
+      const template = await findTemplate(id);
+      if (!(await authorizeTemplate(req, res, template, "template:edit"))) return;
+
+      // the declared type is only a hint - the bytes decide what the asset is
+      const detected = await detectAssetType(file.buffer);
+      if (!detected) {
+        return errorResponse.unsupportedMediaType(res, "Assets must be PNG, JPEG or GIF images or TTF, OTF, WOFF or WOFF2 fonts");
+      }
+
+      const name = req.body.name || sanitize(file.originalname);
+      const existing = await prisma.templateAsset.findUnique({
+        where: { templateId_name: { templateId: id, name } },
+      });
+      if (existing) {
+        return errorResponse.conflict(res, `An asset named "${name}" already exists`, ErrorCodes.ALREADY_EXISTS);
+      }
+
+      // assets count toward the storage of the template's uploader
+      await checkQuotas(template.uploadedById, { storageBytes: file.buffer.length });
+
+      const storageKey = assetStorageKey(id, name);
+      const s3Key = withPrefix(`uploads/${storageKey}`);
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: process.env.S3_BUCKET,
+          Key: s3Key,
+          Body: file.buffer,
+          ContentType: detected.mimeType,
+        })
+      );
+
+      let asset;
+      try {
+        asset = await prisma.templateAsset.create({
+          data: {
+            templateId: id,
+            name,
+            kind: detected.kind,
+            mimeType: detected.mimeType,
+            storageKey,
+            size: file.size ?? file.buffer.length,
+          },
+        });
+      } catch (dbError) {
+        // ROLLBACK: Deletes the S3 file if db save fails
+        req.log.warn({ s3Key }, "Database save failed, cleaning up S3 file");
+        try {
+          await s3.send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: s3Key }));
+        } catch (cleanupErr) {
+          req.log.error({ cleanupErr, s3Key }, "S3 cleanup failed - orphaned file");
+        }
+        throw dbError;
+      }
+
+      req.log.info({ templateId: id, assetId: asset.id, kind: asset.kind }, "Template asset uploaded");
+      res.status(201).json(toAssetResponse(asset));
+    } catch (err) {
+      if (err instanceof QuotaExceededError) return errorResponse.quotaExceeded(res, err.message, err.details);
+      req.log.error({ err, templateId: req.params.id }, "Failed to upload template asset");
+      errorResponse.internal(res, "Failed to upload template asset");
+    }
+  }
+);
+
+/* DELETE /api/templates/:id/assets/:assetId
+- removes an asset record and its stored file */
+router.delete(
+  "/templates/:id/assets/:assetId",
+  authenticateSupabase,
+  validate({ params: templateAssetParams }),
+  async (req, res) => {
+    try {
+      const { id, assetId } = req.params; // Already validated by Zod
+
+      if (!(await authorizeTemplate(req, res, await findTemplate(id), "template:edit"))) return;
+
+      const asset = await prisma.templateAsset.findUnique({ where: { id: assetId } });
+      if (!asset || asset.templateId !== id) {
+        return errorResponse.notFound(res, "Asset not found", ErrorCodes.NOT_FOUND);
+      }
+
+      await prisma.templateAsset.delete({ where: { id: assetId } });
+
+      // the record is gone either way; a leftover file is only logged
+      const s3Key = withPrefix(`uploads/${asset.storageKey}`);
+      try {
+        await s3.send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: s3Key }));
+      } catch (cleanupErr) {
+        req.log.error({ cleanupErr, s3Key }, "S3 cleanup failed - orphaned asset file");
+      }
+
+      req.log.info({ templateId: id, assetId }, "Template asset deleted");
+      res.status(204).send();
+    } catch (err) {
+      req.log.error({ err, templateId: req.params.id }, "Failed to delete template asset");
+      errorResponse.internal(res, "Failed to delete template asset");
+    }
+  }
+);
+
+/* SAVED CSV COLUMN MAPPINGS
+- named mappings from data file columns to a template's fields (utils/column-mapping.js), picked again
+  on later merges through merge-csv's mappingId
+- rules can only target the template's own fields */
+
+// Fields a mapping's rules target that the template doesn't have
+function unknownMappingFields(template, rules) {
+  const fieldNames = new Set(template.fields.map((f) => f.name));
+  return [...new Set(rules.map((r) => r.field))].filter((name) => !fieldNames.has(name));
+}
+
+/* GET /api/templates/:id/mappings
+- lists a template's saved column mappings */
+router.get(
+  "/templates/:id/mappings",
+  authenticateApiKey("templates:read"),
+  validate({ params: templateIdParams }),
+  async (req, res) => {
+    try {
+      const { id } = req.params; // Already validated by Zod
+
+      if (!(await authorizeTemplate(req, res, await findTemplate(id), "template:read"))) return;
+
+      const mappings = await prisma.columnMapping.findMany({
+        where: { templateId: id },
+        orderBy: { name: "asc" },
+      });
+
+      res.json(mappings);
+    } catch (err) {
+      req.log.error({ err, templateId: req.params.id }, "Failed to fetch column mappings");
+      errorResponse.internal(res, "Failed to load column mappings");
+    }
+  }
+);
+
+/* POST /api/templates/:id/mappings
+- saves a named column mapping ({ name, rules }) */
+router.post(
+  "/templates/:id/mappings",
+  authenticateSupabase,
+  validate({ params: templateIdParams, body: columnMappingBody }),
+  async (req, res) => {
+    try {
+      const { id } = req.params; // Already validated by Zod
+      const { name, rules } = req.body;
+
+      const template = await prisma.template.findUnique({ where: { id }, include: { fields: true } });
+      if (!(await authorizeTemplate(req, res, template, "template:edit"))) return;
+
+      const unknown = unknownMappingFields(template, rules);
+      if (unknown.length) {
+        return errorResponse.badRequest(
+          res,
+          `Unknown template fields: ${unknown.join(", ")}`,
+          ErrorCodes.FIELD_MISMATCH,
+          { details: unknown }
+        );
+      }
+
+      const existing = await prisma.columnMapping.findUnique({
+        where: { templateId_name: { templateId: id, name } },
+      });
+      if (existing) {
+        return errorResponse.conflict(res, `A mapping named "${name}" already exists`, ErrorCodes.ALREADY_EXISTS);
+      }
+
+      const mapping = await prisma.columnMapping.create({
+        data: { templateId: id, name, rules },
+      });
+
+      req.log.info({ templateId: id, mappingId: mapping.id }, "Column mapping saved");
+      res.status(201).json(mapping);
+    } catch (err) {
+      req.log.error({ err, templateId: req.params.id }, "Failed to save column mapping");
+      errorResponse.internal(res, "Failed to save column mapping");
+    }
+  }
+);
+
+/* PUT /api/templates/:id/mappings/:mappingId
+- replaces a saved mapping's name and rules */
+router.put(
+  "/templates/:id/mappings/:mappingId",
+  authenticateSupabase,
+  validate({ params: columnMappingParams, body: columnMappingBody }),
+  async (req, res) => {
+    try {
+      const { id, mappingId } = req.params; // Already validated by Zod
+      const { name, rules } = req.body;
+
+      const template = await prisma.template.findUnique({ where: { id }, include: { fields: true } });
+      if (!(await authorizeTemplate(req, res, template, "template:edit"))) return;
+
+      const mapping = await prisma.columnMapping.findUnique({ where: { id: mappingId } });
+      if (!mapping || mapping.templateId !== id) {
+        return errorResponse.notFound(res, "Column mapping not found", ErrorCodes.NOT_FOUND);
+      }
+
+      const unknown = unknownMappingFields(template, rules);
+      if (unknown.length) {
+        return errorResponse.badRequest(
+          res,
+          `Unknown template fields: ${unknown.join(", ")}`,
+          ErrorCodes.FIELD_MISMATCH,
+          { details: unknown }
+        );
+      }
+
+      if (name !== mapping.name) {
+        const taken = await prisma.columnMapping.findUnique({
+          where: { templateId_name: { templateId: id, name } },
+        });
+        if (taken) {
+          return errorResponse.conflict(res, `A mapping named "${name}" already exists`, ErrorCodes.ALREADY_EXISTS);
+        }
+      }
+
+      const updated = await prisma.columnMapping.update({
+        where: { id: mappingId },
+        data: { name, rules },
+      });
+
+      req.log.info({ templateId: id, mappingId }, "Column mapping updated");
+      res.json(updated);
+    } catch (err) {
+      req.log.error({ err, templateId: req.params.id }, "Failed to update column mapping");
+      errorResponse.internal(res, "Failed to update column mapping");
+    }
+  }
+);
+
+/* DELETE /api/templates/:id/mappings/:mappingId
+- removes a saved mapping */
+router.delete(
+  "/templates/:id/mappings/:mappingId",
+  authenticateSupabase,
+  validate({ params: columnMappingParams }),
+  async (req, res) => {
+    try {
+      const { id, mappingId } = req.params; // Already validated by Zod
+
+      if (!(await authorizeTemplate(req, res, await findTemplate(id), "template:edit"))) return;
+
+      const mapping = await prisma.columnMapping.findUnique({ where: { id: mappingId } });
+      if (!mapping || mapping.templateId !== id) {
+        return errorResponse.notFound(res, "Column mapping not found", ErrorCodes.NOT_FOUND);
+      }
+
+      await prisma.columnMapping.delete({ where: { id: mappingId } });
+
+      req.log.info({ templateId: id, mappingId }, "Column mapping deleted");
+      res.status(204).send();
+    } catch (err) {
+      req.log.error({ err, templateId: req.params.id }, "Failed to delete column mapping");
+      errorResponse.internal(res, "Failed to delete column mapping");
+    }
+  }
+);
+
 module.exports = router;
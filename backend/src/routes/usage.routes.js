@@ -0,0 +1,23 @@
+/* USAGE ROUTES - What the signed-in user has used of their quotas (services/usage.service.js) */
+
+const express = require("express");
+const authenticateSupabase = require("../middleware/supabase-auth");
+const { getQuotaUsage } = require("../services/usage.service");
+const { errorResponse } = require("../utils/errorResponse");
+
+const router = express.Router();
+
+/**
+ * GET /api/usage
+ * The user's templates, storage, and this month's merges and batch rows against their plan's limits
+ */
+router.get("/usage", authenticateSupabase, async (req, res) => {
+  try {
+    res.json(await getQuotaUsage(req.user.id));
+  } catch (err) {
+    req.log.error({ err }, "Failed to load usage");
+    errorResponse.internal(res, "Failed to load usage");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+/* WEBHOOK ROUTES - Webhooks of the signed-in user
+   Inbound: the webhook endpoints partners send merge data to, each with its own secret
+   (services/webhookEndpoint.service.js)
+   Outbound: the callback URL their merges and batch jobs report to, the secret callbacks are signed with, and
+   the log of what was sent there (services/webhookDelivery.service.js) */
+
+const express = require("express");
+const authenticateSupabase = require("../middleware/supabase-auth");
+const { validate } = require("../middleware/validate");
+const { listWebhookDeliveries, rotateCallbackSecret } = require("../services/webhookDelivery.service");
+const {
+  createWebhookEndpoint,
+  listWebhookEndpoints,
+  rotateWebhookEndpointSecret,
+  revokeWebhookEndpoint,
+} = require("../services/webhookEndpoint.service");
+const { errorResponse, ErrorCodes } = require("../utils/errorResponse");
+const {
+  webhookDeliveriesQuery,
+  callbackSettingsBody,
+  webhookEndpointIdParams,
+  createWebhookEndpointBody,
+  rotateWebhookEndpointBody,
+} = require("../schemas/webhook.schemas");
+const prisma = require("../config/prisma");
+
+const router = express.Router();
+
+/**
+ * GET /api/webhook-endpoints
+ * Lists the user's webhook endpoints; secrets are only shown by create and rotate
+ */
+router.get("/webhook-endpoints", authenticateSupabase, async (req, res) => {
+  try {
+    res.json(await listWebhookEndpoints(req.user.id));
+  } catch (err) {
+    req.log.error({ err }, "Failed to list webhook endpoints");
+    errorResponse.internal(res, "Failed to list webhook endpoints");
+  }
+});
+
+/**
+ * POST /api/webhook-endpoints
+ * Creates a webhook endpoint for a template the user may merge, returning its secret
+ * Body: templateId, name, requireTimestamp
+ */
+router.post(
+  "/webhook-endpoints",
+  authenticateSupabase,
+  validate({ body: createWebhookEndpointBody }),
+  async (req, res) => {
+    try {
+      res.status(201).json(await createWebhookEndpoint(req.user.id, req.body));
+    } catch (err) {
+      if (err.status === 404) {
+        return errorResponse.notFound(res, err.message, ErrorCodes.TEMPLATE_NOT_FOUND);
+      }
+      if (err.status === 403) {
+        return errorResponse.forbidden(res, err.message, ErrorCodes.FORBIDDEN);
+      }
+      req.log.error({ err }, "Failed to create webhook endpoint");
+      errorResponse.internal(res, "Failed to create webhook endpoint");
+    }
+  }
+);
+
+/**
+ * POST /api/webhook-endpoints/:id/rotate
+ * Gives the endpoint a new secret, returned once; the current one keeps working for overlapMinutes
+ */
+router.post(
+  "/webhook-endpoints/:id/rotate",
+  authenticateSupabase,
+  validate({ params: webhookEndpointIdParams, body: rotateWebhookEndpointBody }),
+  async (req, res) => {
+    try {
+      const endpoint = await rotateWebhookEndpointSecret(req.params.id, req.user.id, req.body);
+      if (!endpoint) {
+        return errorResponse.notFound(res, "Webhook endpoint not found", ErrorCodes.NOT_FOUND);
+      }
+      res.json(endpoint);
+    } catch (err) {
+      req.log.error({ err, endpointId: req.params.id }, "Failed to rotate webhook endpoint secret");
+      errorResponse.internal(res, "Failed to rotate webhook endpoint secret");
+    }
+  }
+);
+
+/**
+ * DELETE /api/webhook-endpoints/:id
+ * Revokes the endpoint; requests to it are refused from then on
+ */
+router.delete(
+  "/webhook-endpoints/:id",
+  authenticateSupabase,
+  validate({ params: webhookEndpointIdParams }),
+  async (req, res) => {
+    try {
+      if (!await revokeWebhookEndpoint(req.params.id, req.user.id)) {
+        return errorResponse.notFound(res, "Webhook endpoint not found", ErrorCodes.NOT_FOUND);
+      }
+      res.status(204).end();
+    } catch (err) {
+      req.log.error({ err, endpointId: req.params.id }, "Failed to revoke webhook endpoint");
+      errorResponse.internal(res, "Failed to revoke webhook endpoint");
+    }
+  }
+);
+
+/**
+ * GET /api/webhook-deliveries
+ * Lists the user's callback deliveries, newest first, with each one's attempts and last outcome
+ * Query: limit, offset, status (pending, delivered or failed)
+ */
+router.get(
+  "/webhook-deliveries",
+  authenticateSupabase,
+  validate({ query: webhookDeliveriesQuery }),
+  async (req, res) => {
+    try {
+      const { limit, offset, status } = req.query;
+      const deliveries = await listWebhookDeliveries(req.user.id, { limit, offset, status });
+      res.json({ deliveries, limit, offset });
+    } catch (err) {
+      req.log.error({ err }, "Failed to list webhook deliveries");
+      errorResponse.internal(res, "Failed to list webhook deliveries");
+    }
+  }
+);
+
+/**
+ * GET /api/callback-settings
+ * The callback URL used by the user's merges and batch jobs that don't send their own, and the last characters
+ * of the secret callbacks are signed with
+ */
+router.get("/callback-settings", authenticateSupabase, (req, res) => {
+  res.json({
+    callbackUrl: req.user.callbackUrl || null,
+    secretHint: req.user.callbackSecret ? req.user.callbackSecret.slice(-4) : null,
+  });
+});
+
+/**
+ * PUT /api/callback-settings
+ * Sets or (with null) clears the user's callback URL
+ */
+router.put(
+  "/callback-settings",
+  authenticateSupabase,
+  validate({ body: callbackSettingsBody }),
+  async (req, res) => {
+    try {
+      const { callbackUrl } = req.body;
+      await prisma.user.update({
+        where: { id: req.user.id },
+        data: { callbackUrl },
+      });
+      req.log.info({ userId: req.user.id, enabled: !!callbackUrl }, "Callback URL updated");
+      // the receiver needs the secret to verify callbacks, so the first URL set comes with it
+      if (callbackUrl && !req.user.callbackSecret) {
+        return res.json({ callbackUrl, secret: await rotateCallbackSecret(req.user.id) });
+      }
+      res.json({ callbackUrl });
+    } catch (err) {
+      req.log.error({ err }, "Failed to update callback URL");
+      errorResponse.internal(res, "Failed to update callback URL");
+    }
+  }
+);
+
+/**
+ * POST /api/callback-settings/secret
+ * Replaces the secret callbacks are signed with, returning it once; the old one stops working right away
+ */
+router.post("/callback-settings/secret", authenticateSupabase, async (req, res) => {
+  try {
+    res.json({ secret: await rotateCallbackSecret(req.user.id) });
+  } catch (err) {
+    req.log.error({ err }, "Failed to rotate callback secret");
+    errorResponse.internal(res, "Failed to rotate callback secret");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+/* WORKSPACE ROUTES - Workspaces, their members, and moving templates and folders between them
+   (services/workspace.service.js; what each role may do is in services/permission.service.js) */
+
+const express = require("express");
+const authenticateSupabase = require("../middleware/supabase-auth");
+const { validate } = require("../middleware/validate");
+const {
+  listWorkspaces,
+  createWorkspace,
+  renameWorkspace,
+  deleteWorkspace,
+  listMembers,
+  addMember,
+  updateMember,
+  removeMember,
+  moveTemplateToWorkspace,
+} = require("../services/workspace.service");
+const { moveFolderToWorkspace } = require("../services/folder.service");
+const { errorResponse, ErrorCodes } = require("../utils/errorResponse");
+const {
+  workspaceIdParams,
+  workspaceMemberParams,
+  workspaceBody,
+  addMemberBody,
+  updateMemberBody,
+  moveToWorkspaceBody,
+} = require("../schemas/workspace.schemas");
+const { folderIdParams, moveTemplateParams } = require("../schemas/folder.schemas");
+
+const router = express.Router();
+
+// Answers a service error by its status, or with a 500 logged as failedMessage
+function sendServiceError(req, res, err, failedMessage) {
+  if (err.status === 404) return errorResponse.notFound(res, err.message, ErrorCodes.NOT_FOUND);
+  if (err.status === 403) return errorResponse.forbidden(res, err.message, ErrorCodes.FORBIDDEN);
+  if (err.status === 409) return errorResponse.conflict(res, err.message, ErrorCodes.CONFLICT);
+  if (err.status === 400) return errorResponse.badRequest(res, err.message, ErrorCodes.VALIDATION_ERROR);
+  if (err.message.includes("already exists")) {
+    return errorResponse.conflict(res, err.message, ErrorCodes.ALREADY_EXISTS);
+  }
+  req.log.error({ err }, failedMessage);
+  errorResponse.internal(res, failedMessage);
+}
+
+/**
+ * GET /api/workspaces
+ * Lists the workspaces the user is a member of, with their role in each
+ */
+router.get("/workspaces", authenticateSupabase, async (req, res) => {
+  try {
+    res.json(await listWorkspaces(req.user.id));
+  } catch (err) {
+    sendServiceError(req, res, err, "Failed to list workspaces");
+  }
+});
+
+/**
+ * POST /api/workspaces
+ * Creates a workspace, with the user as its owner
+ * Body: name
+ */
+router.post("/workspaces", authenticateSupabase, validate({ body: workspaceBody }), async (req, res) => {
+  try {
+    res.status(201).json(await createWorkspace(req.user.id, req.body));
+  } catch (err) {
+    sendServiceError(req, res, err, "Failed to create workspace");
+  }
+});
+
+/**
+ * PUT /api/workspaces/:id
+ * Renames a workspace; owners only
+ * Body: name
+ */
+router.put(
+  "/workspaces/:id",
+  authenticateSupabase,
+  validate({ params: workspaceIdParams, body: workspaceBody }),
+  async (req, res) => {
+    try {
+      res.json(await renameWorkspace(req.user.id, req.params.id, req.body));
+    } catch (err) {
+      sendServiceError(req, res, err, "Failed to rename workspace");
+    }
+  }
+);
+
+/**
+ * DELETE /api/workspaces/:id
+ * Deletes a workspace; owners only. Its templates and folders become the deleting owner's
+ */
+router.delete(
+  "/workspaces/:id",
+  authenticateSupabase,
+  validate({ params: workspaceIdParams }),
+  async (req, res) => {
+    try {
+      await deleteWorkspace(req.user.id, req.params.id);
+      res.status(204).send();
+    } catch (err) {
+      sendServiceError(req, res, err, "Failed to delete workspace");
+    }
+  }
+);
+
+/**
+ * GET /api/workspaces/:id/members
+ * Lists a workspace's members; any member may
+ */
+router.get(
+  "/workspaces/:id/members",
+  authenticateSupabase,
+  validate({ params: workspaceIdParams }),
+  async (req, res) => {
+    try {
+      res.json(await listMembers(req.user.id, req.params.id));
+    } catch (err) {
+      sendServiceError(req, res, err, "Failed to list workspace members");
+    }
+  }
+);
+
+/**
+ * POST /api/workspaces/:id/members
+ * Adds a member by the email they signed up with; owners only
+ * Body: email, role
+ */
+router.post(
+  "/workspaces/:id/members",
+  authenticateSupabase,
+  validate({ params: workspaceIdParams, body: addMemberBody }),
+  async (req, res) => {
+    try {
+      res.status(201).json(await addMember(req.user.id, req.params.id, req.body));
+    } catch (err) {
+      sendServiceError(req, res, err, "Failed to add workspace member");
+    }
+  }
+);
+
+/**
+ * PUT /api/workspaces/:id/members/:userId
+ * Changes a member's role; owners only, and the last owner can't be demoted
+ * Body: role
+ */
+router.put(
+  "/workspaces/:id/members/:userId",
+  authenticateSupabase,
+  validate({ params: workspaceMemberParams, body: updateMemberBody }),
+  async (req, res) => {
+    try {
+      res.json(await updateMember(req.user.id, req.params.id, req.params.userId, req.body));
+    } catch (err) {
+      sendServiceError(req, res, err, "Failed to update workspace member");
+    }
+  }
+);
+
+/**
+ * DELETE /api/workspaces/:id/members/:userId
+ * Removes a member; owners may remove anyone and members may remove themselves, leaving the workspace
+ */
+router.delete(
+  "/workspaces/:id/members/:userId",
+  authenticateSupabase,
+  validate({ params: workspaceMemberParams }),
+  async (req, res) => {
+    try {
+      await removeMember(req.user.id, req.params.id, req.params.userId);
+      res.status(204).send();
+    } catch (err) {
+      sendServiceError(req, res, err, "Failed to remove workspace member");
+    }
+  }
+);
+
+/**
+ * PUT /api/templates/:id/workspace
+ * Moves a template into a workspace the user may add to, or out of its workspace (workspaceId null)
+ * Body: workspaceId
+ */
+router.put(
+  "/templates/:id/workspace",
+  authenticateSupabase,
+  validate({ params: moveTemplateParams, body: moveToWorkspaceBody }),
+  async (req, res) => {
+    try {
+      res.json(await moveTemplateToWorkspace(req.user.id, req.params.id, req.body.workspaceId));
+    } catch (err) {
+      sendServiceError(req, res, err, "Failed to move template");
+    }
+  }
+);
+
+/**
+ * PUT /api/folders/:id/workspace
+ * Moves a folder, its subfolders and their templates into a workspace, or out of one (workspaceId null)
+ * Body: workspaceId
+ */
+router.put(
+  "/folders/:id/workspace",
+  authenticateSupabase,
+  validate({ params: folderIdParams, body: moveToWorkspaceBody }),
+  async (req, res) => {
+    try {
+      res.json(await moveFolderToWorkspace(req.user.id, req.params.id, req.body.workspaceId));
+    } catch (err) {
+      sendServiceError(req, res, err, "Failed to move folder");
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const { z } = require("zod");
+const { cuid, pagination } = require("./common");
+
+const USER_ROLES = ["user", "admin"];
+
+const userIdParams = z.object({
+  id: cuid,
+});
+
+const listUsersQuery = pagination.extend({
+  // matches email, username, first and last name, ignoring case
+  search: z.string().trim().max(100).optional().transform((value) => value || undefined),
+  role: z.enum(USER_ROLES, { error: "Role must be user or admin" }).optional(),
+  isActive: z.enum(["true", "false"]).optional().transform((value) => (value === undefined ? value : value === "true")),
+});
+
+const userStatusBody = z.object({
+  isActive: z.boolean({ error: "isActive must be true or false" }),
+});
+
+const userRoleBody = z.object({
+  role: z.enum(USER_ROLES, { error: "Role must be user or admin" }),
+});
+
+module.exports = {
+  userIdParams,
+  listUsersQuery,
+  userStatusBody,
+  userRoleBody,
+};
@@ -0,0 +1,23 @@
+const { z } = require("zod");
+const { cuid } = require("./common");
+const { API_KEY_SCOPES } = require("../services/apiKey.service");
+
+const apiKeyIdParams = z.object({
+  id: cuid,
+});
+
+const createApiKeyBody = z.object({
+  name: z.string({ error: "Name is required" })
+    .trim()
+    .min(1, "Name is required")
+    .max(100, "Name must be 100 characters or less"),
+  scopes: z.array(z.enum(API_KEY_SCOPES, { error: `Scopes must be among ${API_KEY_SCOPES.join(", ")}` }))
+    .min(1, "Choose at least one scope"),
+  // omitted or null for a key that never expires
+  expiresInDays: z.number().int().min(1).max(3650).nullable().optional(),
+});
+
+module.exports = {
+  apiKeyIdParams,
+  createApiKeyBody,
+};
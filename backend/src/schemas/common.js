@@ -34,6 +34,11 @@ const pagination = z.object({
   offset: z.coerce.number().int().min(0).default(0),
 });
 
+// URL that receives a signed POST when a merge or batch job finishes (services/webhookDelivery.service.js)
+const callbackUrl = z
+  .url({ protocol: /^https?$/, error: "Callback URL must be an http or https URL" })
+  .max(2048, "Callback URL must be at most 2048 characters");
+
 // Nullable CUID (for optional parent references)
 const nullableCuid = z.union([cuid, z.null()]).optional();
 
@@ -45,5 +50,6 @@ module.exports = {
   requiredString,
   outputType,
   pagination,
+  callbackUrl,
   nullableCuid,
 };
@@ -1,5 +1,5 @@
 const { z } = require("zod");
-const { pagination } = require("./common");
+const { pagination, callbackUrl } = require("./common");
 
 // Template-specific CUID with appropriate error message
 const templateCuid = z.string().regex(/^c[a-z0-9]{24}$/, "Invalid template ID format");
@@ -12,10 +12,67 @@ const mergeBody = z.object({
   data: z.record(z.string(), z.unknown()).default({}),
   outputType: z.enum(["pdf", "docx", "html", "jpg", "xlsx", "pptx", "ppsx"]).default("docx"),
   testMode: z.union([z.boolean(), z.literal('true'), z.literal('false')]).default(false),
+  // sent the merge's result once it finishes, instead of the user's callback URL
+  callbackUrl: callbackUrl.optional(),
 });
 
+// one rule of a CSV column mapping (utils/column-mapping.js)
+const mappingField = z.string().min(1).max(255);
+const mappingColumn = z.string().min(1).max(255);
+
+const columnMappingRule = z.discriminatedUnion("type", [
+  // copies one column under the field's name
+  z.object({ field: mappingField, type: z.literal("column"), column: mappingColumn }),
+  // joins columns, skipping empty ones
+  z.object({
+    field: mappingField,
+    type: z.literal("concat"),
+    columns: z.array(mappingColumn).min(1).max(20),
+    separator: z.string().max(20).default(" "),
+  }),
+  // same value on every row
+  z.object({
+    field: mappingField,
+    type: z.literal("constant"),
+    value: z.union([z.string().max(10000), z.number(), z.boolean()]),
+  }),
+  // first or last part of a full name column
+  z.object({
+    field: mappingField,
+    type: z.literal("split"),
+    column: mappingColumn,
+    part: z.enum(["first", "last"]),
+  }),
+], { error: "Mapping rule type must be column, concat, constant or split" });
+
+const columnMappingRules = z
+  .array(columnMappingRule)
+  .max(500)
+  .refine((rules) => new Set(rules.map((r) => r.field)).size === rules.length, "Each field can only be mapped once");
+
 const csvMergeBody = z.object({
   outputType: z.enum(["pdf", "docx", "html", "jpg", "xlsx", "pptx", "ppsx"]).default("pdf"),
+  // combine every row's output into one ZIP, or one PDF for pdf output
+  bundle: z.enum(["zip", "pdf"]).optional(),
+  // XLSX sources: worksheet to read, by name (the first sheet otherwise)
+  sheet: z.string().optional(),
+  // CSV/XLSX sources: row holding the column names, for files with a title block above the data
+  headerRow: z.coerce.number().int().min(1).optional(),
+  // column mapping rules as a JSON string, or the id of a mapping saved on the template
+  mapping: z.string().optional(),
+  mappingId: z.string().optional(),
+  // sent a signed POST once the merge or batch job finishes, instead of the user's callback URL
+  callbackUrl: callbackUrl.optional(),
+});
+
+const webhookQuery = z.looseObject({
+  // answer 202 right away and send the merge's result here once every row is merged
+  callbackUrl: callbackUrl.optional(),
+});
+
+const csvMergeQuery = z.object({
+  // validate every row against the template's fields without merging anything
+  dryRun: z.enum(["true", "false"]).optional().transform((value) => value === "true"),
 });
 
 const jobIdParams = z.object({
@@ -28,11 +85,33 @@ const batchJobIdParams = z.object({
 
 const batchJobsQuery = pagination;
 
+const batchRetryBody = z.object({
+  // corrected data for failed rows, by their row index in the batch; other failed rows run as they were
+  rows: z
+    .array(z.object({
+      rowIndex: z.number().int().min(0),
+      data: z.record(z.string(), z.unknown()),
+    }))
+    .max(10000)
+    .refine((rows) => new Set(rows.map((r) => r.rowIndex)).size === rows.length, "Each row can only be corrected once")
+    .default([]),
+});
+
+const batchCancelBody = z.object({
+  // also delete the outputs of the rows merged so far
+  deleteOutputs: z.boolean().default(false),
+});
+
 module.exports = {
   templateIdParams,
   mergeBody,
   csvMergeBody,
+  csvMergeQuery,
+  columnMappingRules,
   jobIdParams,
   batchJobIdParams,
   batchJobsQuery,
+  batchRetryBody,
+  batchCancelBody,
+  webhookQuery,
 };
@@ -1,4 +1,7 @@
 const { z } = require("zod");
+const { FIELD_TYPES, isSafePattern } = require("../utils/field-validation");
+const { isValidLocale } = require("../utils/formatters");
+const { columnMappingRules } = require("./merge.schemas");
 
 // Template-specific CUID with appropriate error message
 const templateCuid = z.string().regex(/^c[a-z0-9]{24}$/, "Invalid template ID format");
@@ -12,16 +15,91 @@ const templateVersionParams = z.object({
   versionId: z.string().regex(/^c[a-z0-9]{24}$/, "Invalid version ID format"),
 });
 
+const templateAssetParams = z.object({
+  id: templateCuid,
+  assetId: z.string().regex(/^c[a-z0-9]{24}$/, "Invalid asset ID format"),
+});
+
+const columnMappingParams = z.object({
+  id: templateCuid,
+  mappingId: z.string().regex(/^c[a-z0-9]{24}$/, "Invalid mapping ID format"),
+});
+
+// a saved CSV column mapping
+const columnMappingBody = z.object({
+  name: z.string().trim().min(1, "Mapping name is required").max(100),
+  rules: columnMappingRules,
+});
+
+// asset names are what merge data refers to ("asset:logo.png"), so keep them filename-like
+const uploadAssetBody = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1)
+    .max(100)
+    .regex(/^[\w.\- ]+$/, "Asset name may only contain letters, digits, spaces, dots, dashes and underscores")
+    .optional(),
+}).passthrough();
+
+// rules patterns run against every merge value, so reject ones that don't compile or could run away up front
+const isValidRegex = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const fieldDefinitionBody = z.object({
+  name: z.string().min(1).max(255),
+  type: z.enum(FIELD_TYPES).default("string"),
+  required: z.boolean().default(true),
+  defaultValue: z.union([z.string(), z.number(), z.boolean()]).nullable().optional(),
+  pattern: z
+    .string()
+    .max(500)
+    .refine(isValidRegex, "Invalid regular expression")
+    .refine(isSafePattern, "Pattern repeats a part that itself repeats, e.g. (a+)+, which can take too long to match")
+    .nullable()
+    .optional(),
+  min: z.number().nullable().optional(),
+  max: z.number().nullable().optional(),
+  options: z.array(z.string().min(1).max(255)).max(200).default([]),
+  description: z.string().max(1000).nullable().optional(),
+}).superRefine((field, ctx) => {
+  if (field.type === "enum" && field.options.length === 0) {
+    ctx.addIssue({ code: "custom", path: ["options"], message: "Enum fields need at least one option" });
+  }
+  if (field.min != null && field.max != null && field.min > field.max) {
+    ctx.addIssue({ code: "custom", path: ["min"], message: "min cannot be greater than max" });
+  }
+});
+
+const updateFieldsBody = z.object({
+  fields: z
+    .array(fieldDefinitionBody)
+    .min(1)
+    .refine((fields) => new Set(fields.map((f) => f.name)).size === fields.length, "Field names must be unique"),
+});
+
 const updateTemplateBody = z.object({
   displayName: z.string().max(255).optional(),
   defaultOutputType: z.enum(["pdf", "docx", "html", "jpg", "xlsx", "pptx", "ppsx"]).nullable().optional(),
   outputNameFormat: z.string().max(500).nullable().optional(),
   pageSize: z.enum(["A4", "Letter", "Legal"]).nullable().optional(),
   orientation: z.enum(["portrait", "landscape"]).nullable().optional(),
+  locale: z.string().refine(isValidLocale, "Invalid locale").nullable().optional(),
 }).passthrough(); // Allow additional fields from multipart form data
 
 module.exports = {
   templateIdParams,
   templateVersionParams,
+  templateAssetParams,
+  uploadAssetBody,
+  columnMappingParams,
+  columnMappingBody,
   updateTemplateBody,
+  updateFieldsBody,
 };
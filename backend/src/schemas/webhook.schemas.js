@@ -0,0 +1,44 @@
+const { z } = require("zod");
+const { cuid, pagination, callbackUrl } = require("./common");
+
+const endpointIdParams = z.object({
+  endpointId: cuid,
+});
+
+const webhookEndpointIdParams = z.object({
+  id: cuid,
+});
+
+const createWebhookEndpointBody = z.object({
+  templateId: cuid,
+  name: z.string({ error: "Name is required" })
+    .trim()
+    .min(1, "Name is required")
+    .max(100, "Name must be 100 characters or less"),
+  // only accept requests signed over a timestamp and nonce, which can't be replayed; off only for senders
+  // that can't sign them
+  requireTimestamp: z.boolean().default(true),
+});
+
+const rotateWebhookEndpointBody = z.object({
+  // how long the current secret keeps working next to the new one; 0 stops it right away
+  overlapMinutes: z.number().int().min(0).max(7 * 24 * 60).default(24 * 60),
+});
+
+const webhookDeliveriesQuery = pagination.extend({
+  status: z.enum(["pending", "delivered", "failed"]).optional(),
+});
+
+const callbackSettingsBody = z.object({
+  // null stops callbacks for merges that don't send their own callbackUrl
+  callbackUrl: z.union([callbackUrl, z.null()]),
+});
+
+module.exports = {
+  endpointIdParams,
+  webhookEndpointIdParams,
+  createWebhookEndpointBody,
+  rotateWebhookEndpointBody,
+  webhookDeliveriesQuery,
+  callbackSettingsBody,
+};
@@ -0,0 +1,46 @@
+const { z } = require("zod");
+const { cuid, email } = require("./common");
+const { WORKSPACE_ROLES } = require("../services/permission.service");
+
+const workspaceIdParams = z.object({
+  id: cuid,
+});
+
+const workspaceMemberParams = z.object({
+  id: cuid,
+  userId: cuid,
+});
+
+const workspaceName = z.string({ error: "Workspace name is required" })
+  .trim()
+  .min(1, "Workspace name is required")
+  .max(100, "Workspace name must be 100 characters or less");
+
+const role = z.enum(WORKSPACE_ROLES, { error: `Role must be one of ${WORKSPACE_ROLES.join(", ")}` });
+
+const workspaceBody = z.object({
+  name: workspaceName,
+});
+
+const addMemberBody = z.object({
+  email,
+  role,
+});
+
+const updateMemberBody = z.object({
+  role,
+});
+
+// null moves it out of its workspace, making it private
+const moveToWorkspaceBody = z.object({
+  workspaceId: z.union([cuid, z.null()]),
+});
+
+module.exports = {
+  workspaceIdParams,
+  workspaceMemberParams,
+  workspaceBody,
+  addMemberBody,
+  updateMemberBody,
+  moveToWorkspaceBody,
+};
@@ -0,0 +1,140 @@
+/* API KEY SERVICE
+Personal API keys, for integrations that can't sign in with Supabase
+- a key is "sdk_<8 hex characters>_<secret>"; its first 12 characters are its prefix, stored as is to find it
+  and to tell keys apart, and only the SHA-256 of the whole key is kept, so it's shown once, when it's made
+- a key authenticates as its owner (middleware/api-key-auth.js) on the routes one of its scopes allows */
+
+const crypto = require('crypto');
+const prisma = require('../config/prisma');
+const logger = require('../config/logger');
+
+// What a key may be allowed to do
+const API_KEY_SCOPES = ['templates:read', 'merge:write', 'outputs:read'];
+
+// Keys a user can have at once, not counting revoked ones
+const MAX_API_KEYS = 25;
+
+const KEY_PATTERN = /^sdk_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/;
+const PREFIX_LENGTH = 'sdk_'.length + 8;
+
+// lastUsedAt is only written again once it's this old, so a busy key isn't an update per request
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+// Fields of a key shown to its owner
+const API_KEY_SELECT = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  createdAt: true,
+};
+
+// Error with the HTTP status the route answers with
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create an API key for the user
+ * @param {string} userId - Owner; requests with the key act as them
+ * @param {Object} params - { name, scopes, expiresInDays } no expiresInDays means it never expires
+ * @returns {Promise<Object>} - The key's details, with the key itself, which isn't shown again
+ * @throws {Error} - with status 409 when the user already has MAX_API_KEYS keys
+ */
+async function createApiKey(userId, { name, scopes, expiresInDays = null }) {
+  const active = await prisma.apiKey.count({ where: { userId, revokedAt: null } });
+  if (active >= MAX_API_KEYS) {
+    throw statusError(`You can have at most ${MAX_API_KEYS} API keys; revoke one first`, 409);
+  }
+
+  const key = `sdk_${crypto.randomBytes(4).toString('hex')}_${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      userId,
+      name,
+      prefix: key.slice(0, PREFIX_LENGTH),
+      keyHash: hashKey(key),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    },
+    select: API_KEY_SELECT,
+  });
+
+  logger.info({ apiKeyId: apiKey.id, userId, scopes: apiKey.scopes }, 'API key created');
+  return { ...apiKey, key };
+}
+
+/**
+ * List the user's API keys that haven't been revoked, newest first; expired ones are included
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Keys, without the keys themselves
+ */
+async function listApiKeys(userId) {
+  return prisma.apiKey.findMany({
+    where: { userId, revokedAt: null },
+    select: API_KEY_SELECT,
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+/**
+ * Revoke an API key; requests with it are refused from then on
+ * @param {string} apiKeyId - ApiKey ID
+ * @param {string} userId - User ID for authorization
+ * @returns {Promise<boolean>} - false if not found, not owned or already revoked
+ */
+async function revokeApiKey(apiKeyId, userId) {
+  const { count } = await prisma.apiKey.updateMany({
+    where: { id: apiKeyId, userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  if (count > 0) logger.info({ apiKeyId }, 'API key revoked');
+  return count > 0;
+}
+
+/**
+ * Look up the API key a request was sent with
+ * Expiry and scopes are left to the caller, which answers each differently.
+ * @param {string} key - The key as sent
+ * @returns {Promise<Object|null>} - The ApiKey record with its user, or null if it isn't a key or was revoked
+ */
+async function findApiKey(key) {
+  if (!KEY_PATTERN.test(key)) return null;
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { prefix: key.slice(0, PREFIX_LENGTH) },
+    include: { user: true },
+  });
+  if (!apiKey || apiKey.revokedAt) return null;
+
+  const sent = Buffer.from(hashKey(key), 'hex');
+  const stored = Buffer.from(apiKey.keyHash, 'hex');
+  return sent.length === stored.length && crypto.timingSafeEqual(sent, stored) ? apiKey : null;
+}
+
+/**
+ * Record that an API key was used, unless that was already recorded in the last minute
+ * @param {Object} apiKey - ApiKey record
+ */
+async function markApiKeyUsed(apiKey) {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_PRECISION_MS) return;
+  await prisma.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: new Date() } });
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  MAX_API_KEYS,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  markApiKeyUsed,
+};
@@ -0,0 +1,182 @@
+/* TEMPLATE ASSET SERVICE
+Images and fonts uploaded alongside a template, stored next to it under uploads/assets/<templateId>/
+- merge data references images by name: "asset:logo.png" or { asset: 'logo.png', width, height }
+- fonts are embedded into HTML templates as @font-face rules before PDF conversion */
+
+const path = require('path');
+const { randomUUID } = require('crypto');
+const FileType = require('file-type');
+const {
+  s3,
+  GetObjectCommand,
+  withPrefix,
+} = require('../storage/supabase-storage');
+const { templateCache } = require('../utils/templateCache');
+
+// accepted asset types, keyed by the MIME type detected from the file's magic bytes
+const ASSET_TYPES = {
+  'image/png': 'image',
+  'image/jpeg': 'image',
+  'image/gif': 'image',
+  'font/ttf': 'font',
+  'font/otf': 'font',
+  'font/woff': 'font',
+  'font/woff2': 'font',
+};
+
+// CSS format() hint for each font type
+const FONT_FORMATS = {
+  'font/ttf': 'truetype',
+  'font/otf': 'opentype',
+  'font/woff': 'woff',
+  'font/woff2': 'woff2',
+};
+
+const ASSET_PREFIX = 'asset:';
+
+/**
+ * Detect an asset's type from its bytes
+ * @param {Buffer} buffer - Uploaded file bytes
+ * @returns {Promise<{kind: string, mimeType: string}|null>} - null when the type is not accepted
+ */
+async function detectAssetType(buffer) {
+  const fileType = await FileType.fromBuffer(buffer);
+  const kind = fileType && ASSET_TYPES[fileType.mime];
+  return kind ? { kind, mimeType: fileType.mime } : null;
+}
+
+/**
+ * Build the storage key for a new asset (relative to uploads/, like Template.storageKey)
+ */
+function assetStorageKey(templateId, name) {
+  const safeName = path.basename(name).replace(/[^\w.\- ]+/g, '_');
+  return `assets/${templateId}/${Date.now()}-${randomUUID()}-${safeName}`;
+}
+
+/**
+ * Font family an uploaded font is registered under - its name without the extension
+ * e.g. "BrandSans-Bold.woff2" -> "BrandSans-Bold"
+ */
+function fontFamilyFor(asset) {
+  return path.basename(asset.name, path.extname(asset.name));
+}
+
+/**
+ * Load asset bytes from S3 with caching
+ */
+async function loadAssetBuffer(asset) {
+  const cached = templateCache.get(asset.id, asset.storageKey);
+  if (cached) return cached;
+
+  const resp = await s3.send(
+    new GetObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: withPrefix(`uploads/${asset.storageKey}`),
+    })
+  );
+
+  const chunks = [];
+  for await (const chunk of resp.Body) chunks.push(chunk);
+  const buffer = Buffer.concat(chunks);
+
+  templateCache.set(asset.id, asset.storageKey, buffer);
+  return buffer;
+}
+
+/**
+ * Get the asset name a merge value refers to, if any
+ */
+function assetReference(value) {
+  if (typeof value === 'string' && value.startsWith(ASSET_PREFIX)) {
+    return value.slice(ASSET_PREFIX.length).trim();
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype && typeof value.asset === 'string') {
+    return value.asset.trim();
+  }
+  return null;
+}
+
+/**
+ * Collect every asset name referenced anywhere in the merge data
+ */
+function collectReferences(value, out = new Set()) {
+  const name = assetReference(value);
+  if (name !== null) {
+    out.add(name);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectReferences(item, out));
+  } else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    Object.values(value).forEach((item) => collectReferences(item, out));
+  }
+  return out;
+}
+
+/**
+ * Replace asset references in merge data with image values the format services understand
+ * Only referenced assets are downloaded; data without references is returned unchanged
+ * @param {Object} data - Merge data
+ * @param {Array<Object>} assets - The template's TemplateAsset records
+ * @returns {Promise<Object>} - Data with references swapped for { src, width, height } image values
+ * @throws {Error} - status 422 when a reference names a missing or non-image asset
+ */
+async function resolveAssetReferences(data, assets = []) {
+  const names = collectReferences(data);
+  if (!names.size) return data;
+
+  const byName = new Map(assets.map((asset) => [asset.name, asset]));
+  const dataUris = new Map();
+  for (const name of names) {
+    const asset = byName.get(name);
+    if (!asset || asset.kind !== 'image') {
+      const err = new Error(
+        asset ? `Asset "${name}" is a ${asset.kind}, not an image` : `Unknown template asset: ${name}`
+      );
+      err.status = 422;
+      throw err;
+    }
+    const buffer = await loadAssetBuffer(asset);
+    dataUris.set(name, `data:${asset.mimeType};base64,${buffer.toString('base64')}`);
+  }
+
+  const replace = (value) => {
+    const name = assetReference(value);
+    if (name !== null) {
+      const { asset, ...size } = typeof value === 'string' ? {} : value;
+      return { ...size, src: dataUris.get(name) };
+    }
+    if (Array.isArray(value)) return value.map(replace);
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, replace(v)]));
+    }
+    return value;
+  };
+  return replace(data);
+}
+
+/**
+ * Load a template's fonts for embedding
+ * @param {Array<Object>} assets - The template's TemplateAsset records
+ * @returns {Promise<Array<{family: string, mimeType: string, format: string, buffer: Buffer}>>}
+ */
+async function loadTemplateFonts(assets = []) {
+  const fonts = [];
+  for (const asset of assets.filter((a) => a.kind === 'font')) {
+    fonts.push({
+      family: fontFamilyFor(asset),
+      mimeType: asset.mimeType,
+      format: FONT_FORMATS[asset.mimeType],
+      buffer: await loadAssetBuffer(asset),
+    });
+  }
+  return fonts;
+}
+
+module.exports = {
+  ASSET_TYPES,
+  detectAssetType,
+  assetStorageKey,
+  fontFamilyFor,
+  loadAssetBuffer,
+  resolveAssetReferences,
+  loadTemplateFonts,
+};
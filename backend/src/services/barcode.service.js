@@ -0,0 +1,107 @@
+/* BARCODE SERVICE - MERGE PRE-RENDER STEP FOR BARCODE TAGS
+{{qr:field}}, {{barcode128:field}}, {{ean13:field}} and {{datamatrix:field}} print the field's value as a
+generated PNG. Before a template renders, the tags are found in the template and an image is generated
+into a "<type>:<field>" key next to each value they read; the format services then treat barcode tags as
+image tags reading that key. Generation runs locally with bwip-js - no values leave the process. */
+
+const bwipjs = require('bwip-js');
+const { readTemplateText } = require('./templateText.service');
+const { TemplateParseError } = require('../utils/docx-templating');
+const { findBarcodeTags, resolvePath } = require('../utils/placeholders');
+const { BLANK, isBlankMarker } = require('../utils/blank-values');
+
+// bwip-js options per tag type; scale is pixels per module, height is in millimetres
+const SYMBOLOGIES = {
+  qr: { label: 'QR code', options: { bcid: 'qrcode', scale: 4, eclevel: 'M' } },
+  barcode128: { label: 'Code 128', options: { bcid: 'code128', scale: 2, height: 12, includetext: true, textxalign: 'center' } },
+  ean13: { label: 'EAN-13', options: { bcid: 'ean13', scale: 2, height: 18, includetext: true } },
+  datamatrix: { label: 'Data Matrix', options: { bcid: 'datamatrix', scale: 4 } },
+};
+
+/**
+ * Find the barcode tags a template uses
+ * @param {Buffer} templateBuffer - Template file bytes
+ * @param {string} mimeType - Template MIME type
+ * @returns {Promise<Array<{type: string, name: string, key: string}>>} - Unique tags
+ */
+async function findTemplateBarcodeTags(templateBuffer, mimeType) {
+  const text = await readTemplateText(templateBuffer, mimeType);
+  const unique = new Map(findBarcodeTags(text).map((tag) => [tag.key, tag]));
+  return [...unique.values()];
+}
+
+/**
+ * Generate a barcode image
+ * @param {string} type - Tag type: qr, barcode128, ean13 or datamatrix
+ * @param {string} text - Value to encode
+ * @param {string} name - Field name, for error details
+ * @returns {Promise<string>} - PNG data URI
+ * @throws {TemplateParseError} - status 422 when the value can't be encoded (e.g. a 5-digit EAN-13)
+ */
+async function renderBarcode(type, text, name) {
+  const { label, options } = SYMBOLOGIES[type];
+  try {
+    const png = await bwipjs.toBuffer({ ...options, text });
+    return `data:image/png;base64,${png.toString('base64')}`;
+  } catch (err) {
+    // bwip-js errors look like "bwipp.ean13badLength#4200: ean13 must be 12 or 13 digits"
+    const reason = String(err.message || err).replace(/^[\w.]+#\d+:\s*/, '');
+    const parseError = new TemplateParseError([
+      {
+        id: 'invalid_barcode',
+        explanation: `Cannot encode "${name}" as ${label}: ${reason}`,
+        xtag: `{{${type}:${name}}}`,
+      },
+    ]);
+    parseError.status = 422;
+    throw parseError;
+  }
+}
+
+/**
+ * Add generated barcode images to merge data
+ * Every object that can resolve a tag's field gets the image under the tag's key, so tags inside
+ * loops get one barcode per item; a blank optional field passes its BLANK marker on instead
+ * @param {Object} data - Merge data
+ * @param {Array<{type: string, name: string, key: string}>} tags - Tags from findTemplateBarcodeTags
+ * @returns {Promise<Object>} - Copy of the data with image keys added (the same object when there are no tags)
+ */
+async function addBarcodeImages(data, tags) {
+  if (!tags.length) return data;
+
+  // same value, same image - labels repeating one SKU are common
+  const generated = new Map();
+  const generate = (tag, value) => {
+    const id = `${tag.type}\u0000${value}`;
+    if (!generated.has(id)) generated.set(id, renderBarcode(tag.type, value, tag.name));
+    return generated.get(id);
+  };
+
+  const walk = async (value) => {
+    if (Array.isArray(value)) return Promise.all(value.map(walk));
+    if (!value || Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+    const out = {};
+    for (const [key, v] of Object.entries(value)) out[key] = await walk(v);
+
+    for (const tag of tags) {
+      const fieldValue = resolvePath([value], tag.name);
+      if (isBlankMarker(fieldValue)) {
+        out[tag.key] = BLANK;
+        continue;
+      }
+      if (fieldValue === undefined || fieldValue === null || fieldValue === '' || typeof fieldValue === 'object') continue;
+      out[tag.key] = await generate(tag, String(fieldValue));
+    }
+    return out;
+  };
+
+  return walk(data);
+}
+
+module.exports = {
+  SYMBOLOGIES,
+  findTemplateBarcodeTags,
+  renderBarcode,
+  addBarcodeImages,
+};
@@ -1,10 +1,20 @@
 /* BATCH JOB SERVICE
-Handles background processing of large CSV merge jobs */
+Handles background processing of large CSV merge jobs
+- rows and their results live in BatchJobChunk records, BATCH_CHUNK_SIZE rows each
+- the BatchJob table is the queue: workers (workers/batchWorker.js) claim jobs under a lease they renew
+  while they work, so any number of processes can share it and a crashed worker's job is taken over */
 
+const { EventEmitter } = require('events');
 const prisma = require('../config/prisma');
 const logger = require('../config/logger');
 const { mergeTemplate } = require('./merge.service');
 const { mergeLimiter: concurrencyLimiter } = require('../utils/concurrency');
+const { FieldValidationError } = require('../utils/field-validation');
+const { createBundle } = require('./bundle.service');
+const { sanitizeDataRow } = require('../utils/csv-sanitizer');
+const { s3, DeleteObjectCommand, withPrefix } = require('../storage/supabase-storage');
+const { queueWebhookDelivery } = require('./webhookDelivery.service');
+const usageService = require('./usage.service');
 
 // Threshold for inline vs background processing
 const INLINE_THRESHOLD = parseInt(process.env.BATCH_INLINE_THRESHOLD, 10) || 10;
@@ -12,6 +22,43 @@ const INLINE_THRESHOLD = parseInt(process.env.BATCH_INLINE_THRESHOLD, 10) || 10;
 // Bounded concurrency for inline processing (process multiple rows in parallel)
 const INLINE_CONCURRENCY = parseInt(process.env.BATCH_INLINE_CONCURRENCY, 10) || 3;
 
+// Rows per stored chunk; processing holds one chunk in memory at a time
+const BATCH_CHUNK_SIZE = parseInt(process.env.BATCH_CHUNK_SIZE, 10) || 500;
+
+// How often a job followed by progress streams is read, for jobs running on another instance
+const PROGRESS_POLL_MS = parseInt(process.env.BATCH_PROGRESS_POLL_MS, 10) || 1000;
+
+// Jobs still ingesting this long after creation were cut off by a restart
+const STALE_INGEST_MS = 60 * 60 * 1000;
+
+// Rows between stores of a job's counters and its chunk's results, which progress streams read
+const PROGRESS_ROWS = 10;
+
+// Statuses a job can be paused or cancelled from
+const STOPPABLE_STATUSES = ['pending', 'processing', 'paused'];
+
+// How long a claimed job stays its worker's without a heartbeat, and how often the heartbeat renews it
+const LEASE_MS = parseInt(process.env.BATCH_LEASE_MS, 10) || 60 * 1000;
+const HEARTBEAT_MS = Math.max(Math.floor(LEASE_MS / 4), 1000);
+
+// Claims of one job before it's failed as one that keeps taking its worker down
+const MAX_ATTEMPTS = parseInt(process.env.BATCH_MAX_ATTEMPTS, 10) || 5;
+
+const NO_LEASE = { leaseOwner: null, leaseExpiresAt: null };
+
+// Emits 'queued' when a job is ready for a worker, so workers in this process don't wait for their next poll,
+// and 'progress' ({ batchJobId, processedRows, failedRows, result }) as a job in this process merges a row or
+// changes status, so its progress streams don't wait for the next read either
+const batchJobEvents = new EventEmitter();
+batchJobEvents.setMaxListeners(0);
+
+// Error with the HTTP status the route answers with
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
 /**
  * Determine if rows should be processed inline or queued
  * @param {number} rowCount - Number of rows to process
@@ -21,8 +68,19 @@ function shouldProcessInline(rowCount) {
   return rowCount <= INLINE_THRESHOLD;
 }
 
+/**
+ * Per-field problems of a failed row, for its result entry
+ * @param {Error} err - Error thrown by mergeTemplate
+ * @returns {Object} - { fieldErrors } for schema validation failures, otherwise empty
+ */
+function rowFieldErrors(err) {
+  return err instanceof FieldValidationError ? { fieldErrors: err.details } : {};
+}
+
 /**
  * Process rows inline with bounded concurrency
+ * The caller reserves the rows against the user's merge quota first (usage.service reserveUsage),
+ * so the row merges don't count themselves
  * @param {Object} params - Processing parameters
  * @returns {Promise<Array>} - Array of job results
  */
@@ -43,12 +101,13 @@ async function processRowsInline({ templateId, rows, outputType, userId }) {
               data: row,
               outputType,
               userId,
+              counted: true,
             });
           });
           return { rowIndex, success: true, job };
         } catch (err) {
           console.error('Row merge failed:', { rowIndex, error: err.message, data: Object.keys(row) });
-          return { rowIndex, success: false, error: err.message };
+          return { rowIndex, success: false, error: err.message, ...rowFieldErrors(err) };
         }
       })
     );
@@ -60,135 +119,724 @@ async function processRowsInline({ templateId, rows, outputType, userId }) {
 }
 
 /**
- * Create a batch job for background processing
- * @param {Object} params - Job parameters
- * @returns {Promise<Object>} - Created batch job
+ * Load every row result of a batch job, in row order
+ * @param {string} batchJobId - Batch job ID
+ * @returns {Promise<Array<Object>>} - Results of the processed chunks
+ */
+async function loadBatchResults(batchJobId) {
+  const chunks = await prisma.batchJobChunk.findMany({
+    where: { batchJobId },
+    select: { results: true },
+    orderBy: { index: 'asc' },
+  });
+  return chunks.flatMap((chunk) => chunk.results || []);
+}
+
+/**
+ * Combine a finished batch's outputs into its bundle
+ * A bundle that can't be built doesn't fail the batch: the row outputs stay downloadable one by one
+ * @param {Object} batchJob - BatchJob record (id, bundle)
+ * @param {Array<Object>} results - Row results
+ * @returns {Promise<Object>} - { bundlePath } or { error }, to store on the batch job
+ */
+async function bundleResults(batchJob, results) {
+  try {
+    const bundlePath = await createBundle({ batchJobId: batchJob.id, bundle: batchJob.bundle, results });
+    return { bundlePath };
+  } catch (err) {
+    logger.error({ err, batchJobId: batchJob.id, bundle: batchJob.bundle }, 'Failed to bundle batch outputs');
+    return { error: `Could not create the ${batchJob.bundle} bundle: ${err.message}` };
+  }
+}
+
+/**
+ * Record an inline CSV merge as a completed batch job and bundle its outputs
+ * Inline merges have no BatchJob otherwise; the record gives the bundle an owner and a download route
+ * @param {Object} params - { templateId, outputType, userId, bundle, results } (results from processRowsInline)
+ * @returns {Promise<Object>} - The batch job, with bundlePath or error set
  */
-async function createBatchJob({ templateId, rows, outputType, userId }) {
+async function bundleInlineResults({ templateId, outputType, userId, bundle, results }) {
+  const rowResults = results.map((r) => (r.success
+    ? { rowIndex: r.rowIndex, success: true, mergeJobId: r.job.jobId, filePath: r.job.filePath }
+    : { rowIndex: r.rowIndex, success: false, error: r.error, ...(r.fieldErrors ? { fieldErrors: r.fieldErrors } : {}) }));
+  const failedRows = rowResults.filter((r) => !r.success).length;
+  const now = new Date();
+
   const batchJob = await prisma.batchJob.create({
     data: {
       templateId,
       userId,
       outputType,
-      totalRows: rows.length,
-      rows: rows, // Store rows as JSON
-      status: 'pending',
+      bundle,
+      totalRows: rowResults.length,
+      processedRows: rowResults.length,
+      failedRows,
+      status: 'completed',
+      startedAt: now,
+      completedAt: now,
+      chunks: {
+        create: {
+          index: 0,
+          firstRow: 0,
+          rowCount: rowResults.length,
+          rows: [], // already merged; the data isn't kept
+          results: rowResults,
+          failedRows,
+          processedAt: now,
+        },
+      },
     },
   });
 
-  // Trigger background processing (non-blocking)
-  setImmediate(() => {
-    processBatchJob(batchJob.id).catch(err => {
-      logger.error({ err, batchJobId: batchJob.id }, 'Failed to process batch job');
-    });
+  const outcome = await bundleResults(batchJob, rowResults);
+  return prisma.batchJob.update({
+    where: { id: batchJob.id },
+    data: outcome,
+  });
+}
+
+/**
+ * Create a batch job for background processing
+ * Rows are written in chunks of BATCH_CHUNK_SIZE as they arrive, so a streamed CSV is never held
+ * whole; the job stays "ingesting" (and is never picked up) until every row is stored
+ * @param {Object} params - Job parameters; rows is an array or (async) iterable of row objects, and
+ *   bundle (zip or pdf) combines the outputs when the job finishes, and callbackUrl is sent a signed POST
+ *   once it has. A retry also passes retryOfId and sourceRows, the row index in the retried batch of each row.
+ * The rows count toward the user's monthly batch row quota as each chunk is stored, and their outputs need room in
+ * their storage quota (services/usage.service.js); the rows' merges don't count again as merges. A job that isn't
+ * queued gives its rows back.
+ * @returns {Promise<Object>} - Created batch job, with totalRows set
+ * @throws {Error} - whatever reading the rows throws (e.g. a CSV parse error), or a QuotaExceededError once there
+ *   are more rows than the quota has left; the job is removed
+ */
+async function createBatchJob({ templateId, rows, outputType, userId, bundle, retryOfId, sourceRows, callbackUrl }) {
+  if (userId) await usageService.checkQuotas(userId, { storageBytes: 1, batchRowsPerMonth: 1 });
+
+  const created = await prisma.batchJob.create({
+    data: {
+      templateId,
+      userId,
+      outputType,
+      ...(bundle ? { bundle } : {}),
+      ...(retryOfId ? { retryOfId } : {}),
+      ...(callbackUrl ? { callbackUrl } : {}),
+      totalRows: 0,
+      status: 'ingesting',
+    },
   });
 
+  let totalRows = 0;
+  let index = 0;
+  let chunk = [];
+  const reservations = [];
+  let batchJob;
+  const saveChunk = async () => {
+    const firstRow = totalRows - chunk.length;
+    if (userId) reservations.push(await usageService.reserveUsage(userId, { batchRows: chunk.length }));
+    await prisma.batchJobChunk.create({
+      data: {
+        batchJobId: created.id,
+        index,
+        firstRow,
+        rowCount: chunk.length,
+        rows: chunk,
+        ...(sourceRows ? { sourceRows: sourceRows.slice(firstRow, firstRow + chunk.length) } : {}),
+      },
+    });
+    index++;
+    chunk = [];
+  };
+
+  try {
+    for await (const row of rows) {
+      chunk.push(row);
+      totalRows++;
+      if (chunk.length === BATCH_CHUNK_SIZE) await saveChunk();
+    }
+    if (chunk.length) await saveChunk();
+    batchJob = await prisma.batchJob.update({
+      where: { id: created.id },
+      data: { totalRows, status: 'pending' },
+    });
+  } catch (err) {
+    // chunks go with the job (cascade)
+    await prisma.batchJob.delete({ where: { id: created.id } }).catch((deleteErr) => {
+      logger.error({ err: deleteErr, batchJobId: created.id }, 'Failed to remove incomplete batch job');
+    });
+    for (const reservation of reservations) {
+      await usageService.releaseUsage(reservation).catch((releaseErr) => {
+        logger.warn({ err: releaseErr, batchJobId: created.id }, 'Failed to give back batch rows');
+      });
+    }
+    throw err;
+  }
+
+  // a worker claims it from the queue
+  batchJobEvents.emit('queued', batchJob.id);
+
   return batchJob;
 }
 
 /**
- * Process a batch job in the background
+ * Collect the rows of a finished batch that didn't merge, in row order
+ * Failed rows come from the chunk results; a batch that failed outright or was cancelled also leaves
+ * rows that never ran at all. Chunks are loaded one at a time.
  * @param {string} batchJobId - Batch job ID
+ * @returns {Promise<Array<Object>>} - [{ rowIndex, data }]; data is undefined when the batch didn't keep it
  */
-async function processBatchJob(batchJobId) {
+async function collectFailedRows(batchJobId) {
+  const failed = [];
+
+  for (let index = 0; ; index++) {
+    const chunk = await prisma.batchJobChunk.findUnique({
+      where: { batchJobId_index: { batchJobId, index } },
+    });
+    if (!chunk) break;
+
+    const results = chunk.results || [];
+    for (const result of results) {
+      if (result.success) continue;
+      failed.push({ rowIndex: result.rowIndex, data: chunk.rows[result.rowIndex - chunk.firstRow] });
+    }
+    // rows after the results of an unfinished chunk never ran
+    if (!chunk.processedAt) {
+      chunk.rows.slice(results.length).forEach((data, i) => {
+        failed.push({ rowIndex: chunk.firstRow + results.length + i, data });
+      });
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * Re-run the rows of a finished batch job that failed, as a new batch linked to it
+ * Corrections replace the data of failed rows before they run again; rows of inline merges aren't kept,
+ * so those need a correction to be retried.
+ * @param {string} batchJobId - Batch job to retry (completed, failed or cancelled)
+ * @param {string} userId - User ID for authorization
+ * @param {Object} options - { rows: [{ rowIndex, data }] } corrected data by row index of the batch
+ * @returns {Promise<Object|null>} - The retry batch job, or null if not found or not owned
+ * @throws {Error} - with status 409 when the batch is still running or has nothing to retry, and
+ *   status 400 when a correction is for a row that didn't fail
+ */
+async function retryBatchJob(batchJobId, userId, { rows: corrections = [] } = {}) {
   const batchJob = await prisma.batchJob.findUnique({
     where: { id: batchJobId },
   });
 
-  if (!batchJob || batchJob.status !== 'pending') {
-    return;
+  if (!batchJob || batchJob.userId !== userId) {
+    return null;
+  }
+
+  if (!['completed', 'failed', 'cancelled'].includes(batchJob.status)) {
+    throw statusError('Batch job is still running; retry it once it has finished', 409);
   }
 
-  // Mark as processing
+  const failed = await collectFailedRows(batchJobId);
+  if (failed.length === 0) {
+    throw statusError('Batch job has no failed rows to retry', 409);
+  }
+
+  const failedIndexes = new Set(failed.map((row) => row.rowIndex));
+  const notFailed = corrections.filter((c) => !failedIndexes.has(c.rowIndex)).map((c) => c.rowIndex);
+  if (notFailed.length > 0) {
+    throw statusError(`Rows ${notFailed.join(', ')} did not fail and can't be corrected`, 400);
+  }
+
+  const corrected = new Map(corrections.map((c) => [c.rowIndex, sanitizeDataRow(c.data)]));
+  const rows = failed.map((row) => (corrected.has(row.rowIndex)
+    ? { ...row, data: corrected.get(row.rowIndex) }
+    : row));
+
+  const missing = rows.filter((row) => !row.data).map((row) => row.rowIndex);
+  if (missing.length > 0) {
+    throw statusError(`The data of rows ${missing.join(', ')} wasn't kept; send corrected data to retry them`, 409);
+  }
+
+  const retry = await createBatchJob({
+    templateId: batchJob.templateId,
+    rows: rows.map((row) => row.data),
+    outputType: batchJob.outputType,
+    userId,
+    bundle: batchJob.bundle,
+    retryOfId: batchJob.id,
+    sourceRows: rows.map((row) => row.rowIndex),
+    callbackUrl: batchJob.callbackUrl,
+  });
+
+  logger.info(
+    { batchJobId: retry.id, retryOfId: batchJob.id, totalRows: retry.totalRows, corrected: corrected.size },
+    'Batch job retry created'
+  );
+
+  return retry;
+}
+
+/**
+ * Delete the outputs a batch job has produced: the files and their MergeJob records
+ * Chunks are loaded one at a time; a file that can't be deleted is logged and its record still removed.
+ * Clears the job's discardOutputs flag once done.
+ * @param {string} batchJobId - Batch job ID
+ * @returns {Promise<number>} - Number of outputs deleted
+ */
+async function discardBatchOutputs(batchJobId) {
+  let deleted = 0;
+
+  for (let index = 0; ; index++) {
+    const chunk = await prisma.batchJobChunk.findUnique({
+      where: { batchJobId_index: { batchJobId, index } },
+    });
+    if (!chunk) break;
+
+    const outputs = (chunk.results || []).filter((r) => r.success && r.mergeJobId);
+    if (outputs.length === 0) continue;
+
+    for (const output of outputs) {
+      if (!output.filePath) continue;
+      const s3Key = withPrefix(output.filePath.replace(/^s3:\/\/[^/]+\//, ''));
+      try {
+        await s3.send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: s3Key }));
+      } catch (err) {
+        logger.warn({ err, batchJobId, s3Key }, 'Failed to delete batch output file');
+      }
+    }
+
+    const { count = 0 } = (await prisma.mergeJob.deleteMany({
+      where: { id: { in: outputs.map((r) => r.mergeJobId) } },
+    })) || {};
+    deleted += count;
+  }
+
+  // done; a restart no longer has to finish it
   await prisma.batchJob.update({
     where: { id: batchJobId },
-    data: {
-      status: 'processing',
-      startedAt: new Date(),
-    },
+    data: { discardOutputs: false },
   });
+  logger.info({ batchJobId, deleted }, 'Deleted batch job outputs');
+  return deleted;
+}
 
-  const results = [];
+/**
+ * Send a finished batch job's callback, when it has a callback URL
+ * The event is batch.<status> (completed, failed or cancelled). Never throws: a callback that can't be
+ * queued is logged, and the job stays finished.
+ * @param {Object} batchJob - The job as it finished, with its counters
+ */
+async function notifyBatchFinished(batchJob) {
+  if (!batchJob?.callbackUrl) return;
+  try {
+    await queueWebhookDelivery({
+      url: batchJob.callbackUrl,
+      event: `batch.${batchJob.status}`,
+      userId: batchJob.userId,
+      batchJobId: batchJob.id,
+      data: {
+        batchJobId: batchJob.id,
+        templateId: batchJob.templateId,
+        status: batchJob.status,
+        totalRows: batchJob.totalRows,
+        processedRows: batchJob.processedRows,
+        failedRows: batchJob.failedRows,
+        error: batchJob.error || null,
+        statusUrl: `/api/batch-jobs/${batchJob.id}`,
+        ...(batchJob.bundlePath ? { bundleUrl: `/api/batch-jobs/${batchJob.id}/bundle` } : {}),
+      },
+    });
+  } catch (err) {
+    logger.error({ err, batchJobId: batchJob.id }, 'Failed to queue batch job callback');
+  }
+}
+
+/**
+ * Claim the oldest batch job waiting for a worker: a pending one, or a processing one whose worker
+ * stopped renewing its lease (crashed or cut off). SKIP LOCKED keeps two workers from claiming the same
+ * job; the claim sets the lease and counts the attempt. A job claimed more than MAX_ATTEMPTS times is
+ * failed instead, and the next one claimed. Jobs of deactivated users wait until they're reactivated.
+ * @param {string} workerId - ID of the claiming worker
+ * @returns {Promise<Object|null>} - { id, attempts } of the claimed job, or null when none is waiting
+ */
+async function claimBatchJob(workerId) {
+  const [claimed] = await prisma.$queryRaw`
+    UPDATE "BatchJob"
+    SET "status" = 'processing',
+        "leaseOwner" = ${workerId},
+        "leaseExpiresAt" = now() + make_interval(secs => ${LEASE_MS / 1000}),
+        "heartbeatAt" = now(),
+        "attempts" = "attempts" + 1,
+        "startedAt" = COALESCE("startedAt", now()),
+        "updatedAt" = now()
+    WHERE "id" = (
+      SELECT "id" FROM "BatchJob"
+      WHERE ("status" = 'pending'
+         OR ("status" = 'processing' AND ("leaseExpiresAt" IS NULL OR "leaseExpiresAt" < now())))
+        AND NOT EXISTS (SELECT 1 FROM "User" WHERE "User"."id" = "BatchJob"."userId" AND NOT "User"."isActive")
+      ORDER BY "createdAt"
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING "id", "attempts"`;
+
+  if (!claimed) return null;
+
+  if (claimed.attempts > MAX_ATTEMPTS) {
+    const failed = await prisma.batchJob.update({
+      where: { id: claimed.id },
+      data: {
+        status: 'failed',
+        error: `Batch job stopped its worker ${MAX_ATTEMPTS} times and was given up`,
+        completedAt: new Date(),
+        ...NO_LEASE,
+      },
+    });
+    logger.error({ batchJobId: claimed.id, attempts: claimed.attempts }, 'Batch job given up after repeated attempts');
+    await notifyBatchFinished(failed);
+    return claimBatchJob(workerId);
+  }
+
+  logger.info({ batchJobId: claimed.id, workerId, attempts: claimed.attempts }, 'Batch job claimed');
+  return claimed;
+}
+
+/**
+ * Extend a worker's lease on a batch job
+ * The lease isn't renewed once the job's user is deactivated, so the worker stops and the job waits
+ * for a claim after they're reactivated
+ * @param {string} batchJobId - Batch job ID
+ * @param {string} workerId - Worker holding the lease
+ * @returns {Promise<boolean>} - false once the lease is no longer the worker's
+ */
+async function renewBatchLease(batchJobId, workerId) {
+  const renewed = await prisma.$executeRaw`
+    UPDATE "BatchJob"
+    SET "leaseExpiresAt" = now() + make_interval(secs => ${LEASE_MS / 1000}),
+        "heartbeatAt" = now()
+    WHERE "id" = ${batchJobId} AND "leaseOwner" = ${workerId}
+      AND NOT EXISTS (SELECT 1 FROM "User" WHERE "User"."id" = "BatchJob"."userId" AND NOT "User"."isActive")`;
+  return renewed > 0;
+}
+
+/**
+ * Renew a lease every HEARTBEAT_MS while a job is processed, however long a single row takes
+ * @returns {Object} - { lost, stop() }; lost turns true once a renewal finds the lease taken over
+ */
+function startHeartbeat(batchJobId, workerId) {
+  const heartbeat = { lost: false };
+  const timer = setInterval(() => {
+    renewBatchLease(batchJobId, workerId)
+      .then((held) => {
+        if (!held) heartbeat.lost = true;
+      })
+      .catch((err) => logger.warn({ err, batchJobId }, 'Failed to renew batch job lease'));
+  }, HEARTBEAT_MS);
+  timer.unref();
+  heartbeat.stop = () => clearInterval(timer);
+  return heartbeat;
+}
+
+/**
+ * Process a batch job claimed by a worker (claimBatchJob)
+ * Chunks are loaded one at a time, so memory stays flat however many rows the job has. A chunk's
+ * results so far are stored with the job's counters every PROGRESS_ROWS rows, and in full once all its
+ * rows are merged; when a job is taken over, finished chunks are skipped and the counters pick up from
+ * them. Each row merges under the idempotency key
+ * "batch:<batchJobId>:<rowIndex>", so a row merged before a crash isn't merged twice.
+ * Before every row the worker checks it still holds the lease and the job is still processing: a
+ * paused or cancelled job keeps the chunk's results so far and is left; a resumed one carries on from
+ * the next row. Aborting the signal (worker shutdown) hands the job back to the queue the same way.
+ * The job's counters and final status are only written while the worker holds the lease; a worker
+ * that finds it gone stops without finishing the job or sending its callback.
+ * @param {string} batchJobId - Batch job ID
+ * @param {string} workerId - Worker holding the job's lease
+ * @param {Object} [options] - { signal } AbortSignal of the worker
+ */
+async function processBatchJob(batchJobId, workerId, { signal } = {}) {
+  const batchJob = await prisma.batchJob.findUnique({
+    where: { id: batchJobId },
+  });
+
+  // only the worker holding the lease runs the job
+  if (!batchJob || batchJob.status !== 'processing' || batchJob.leaseOwner !== workerId) {
+    return;
+  }
+
+  const heartbeat = startHeartbeat(batchJobId, workerId);
   let processedRows = 0;
   let failedRows = 0;
 
+  // Why the worker has to stop before the next row, or null to go on
+  const checkpoint = async () => {
+    if (heartbeat.lost) return { lost: true };
+    const state = await prisma.batchJob.findUnique({
+      where: { id: batchJobId },
+      select: { status: true, discardOutputs: true, leaseOwner: true },
+    });
+    if (!state || state.leaseOwner !== workerId) return { lost: true };
+    if (state.status !== 'processing') return { state };
+    if (signal?.aborted) return { state, shutdown: true };
+    return null;
+  };
+
+  // Write to the job only while this worker holds its lease; false once another worker took it over
+  const updateLeased = async (data) => {
+    const { count } = await prisma.batchJob.updateMany({ where: { id: batchJobId, leaseOwner: workerId }, data });
+    return count > 0;
+  };
+
+  // another worker took the job over, or the user was deactivated; it carries on from the stored chunks
+  const lose = () => logger.warn({ batchJobId, workerId }, 'Lost the lease on batch job');
+
+  // Leaves the job paused or cancelled, or back in the queue on shutdown, with its counters saved
+  const halt = async ({ state, shutdown }) => {
+    if (!(await updateLeased({ processedRows, failedRows, ...NO_LEASE }))) return lose();
+    if (shutdown) {
+      // unless the user paused or cancelled it in the meantime
+      await prisma.batchJob.updateMany({
+        where: { id: batchJobId, status: 'processing' },
+        data: { status: 'pending' },
+      });
+    }
+    if (state.status === 'cancelled' && state.discardOutputs) {
+      await discardBatchOutputs(batchJobId);
+    }
+    batchJobEvents.emit('progress', { batchJobId });
+    logger.info({ batchJobId, status: shutdown ? 'pending' : state.status, processedRows }, 'Batch job stopped');
+  };
+
   try {
-    const rows = batchJob.rows;
+    // rows of chunks finished before the job was taken over
+    const done = await prisma.batchJobChunk.aggregate({
+      where: { batchJobId, processedAt: { not: null } },
+      _sum: { rowCount: true, failedRows: true },
+    });
+    processedRows = done?._sum?.rowCount || 0;
+    failedRows = done?._sum?.failedRows || 0;
 
-    // Process rows sequentially to avoid overwhelming the system
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
+    for (let index = 0; ; index++) {
+      const chunk = await prisma.batchJobChunk.findUnique({
+        where: { batchJobId_index: { batchJobId, index } },
+      });
+      if (!chunk) break;
+      if (chunk.processedAt) continue;
 
-      try {
-        const job = await concurrencyLimiter.run(async () => {
-          return mergeTemplate({
-            templateId: batchJob.templateId,
-            data: row,
-            outputType: batchJob.outputType,
-            userId: batchJob.userId,
+      // rows merged before the job was stopped
+      const results = [...(chunk.results || [])];
+      let chunkFailed = results.length ? chunk.failedRows : 0;
+      processedRows += results.length;
+      failedRows += chunkFailed;
+
+      // Process rows sequentially to avoid overwhelming the system
+      for (let i = results.length; i < chunk.rows.length; i++) {
+        const stop = await checkpoint();
+        if (stop?.lost) return lose();
+        if (stop) {
+          await prisma.batchJobChunk.update({
+            where: { id: chunk.id },
+            data: { results, failedRows: chunkFailed },
           });
-        });
-
-        results.push({
-          rowIndex: i,
-          success: true,
-          mergeJobId: job.jobId,
-          filePath: job.filePath,
-        });
-        processedRows++;
-      } catch (err) {
-        results.push({
-          rowIndex: i,
-          success: false,
-          error: err.message,
-        });
-        failedRows++;
+          await halt(stop);
+          return;
+        }
+
+        const rowIndex = chunk.firstRow + i;
+        // a retried row keeps pointing at the row it re-runs
+        const source = chunk.sourceRows ? { sourceRowIndex: chunk.sourceRows[i] } : {};
+        try {
+          const job = await concurrencyLimiter.run(async () => {
+            return mergeTemplate({
+              templateId: batchJob.templateId,
+              data: chunk.rows[i],
+              outputType: batchJob.outputType,
+              userId: batchJob.userId,
+              fromBatchJob: true,
+              idempotencyKey: `batch:${batchJobId}:${rowIndex}`,
+            });
+          });
+
+          results.push({
+            rowIndex,
+            ...source,
+            success: true,
+            mergeJobId: job.jobId,
+            filePath: job.filePath,
+          });
+        } catch (err) {
+          results.push({
+            rowIndex,
+            ...source,
+            success: false,
+            error: err.message,
+            ...rowFieldErrors(err),
+          });
+          chunkFailed++;
+          failedRows++;
+        }
         processedRows++;
-      }
+        batchJobEvents.emit('progress', { batchJobId, processedRows, failedRows, result: results[results.length - 1] });
 
-      // Update progress periodically (every 10 rows)
-      if (i % 10 === 0 || i === rows.length - 1) {
-        await prisma.batchJob.update({
-          where: { id: batchJobId },
-          data: {
-            processedRows,
-            failedRows,
-            results,
-          },
-        });
+        // Update progress periodically, with the results so far for progress streams on other instances
+        if (i % PROGRESS_ROWS === 0) {
+          await prisma.batchJobChunk.update({
+            where: { id: chunk.id },
+            data: { results, failedRows: chunkFailed },
+          });
+          if (!(await updateLeased({ processedRows, failedRows }))) return lose();
+        }
       }
+
+      await prisma.batchJobChunk.update({
+        where: { id: chunk.id },
+        data: { results, failedRows: chunkFailed, processedAt: new Date() },
+      });
+      if (!(await updateLeased({ processedRows, failedRows }))) return lose();
+    }
+
+    // a cancel that came in with the last row stands; a pause or shutdown has nothing left to stop
+    const stop = await checkpoint();
+    if (stop?.lost) return lose();
+    if (stop?.state.status === 'cancelled') {
+      await halt(stop);
+      return;
     }
 
+    // Combine the outputs into one download when asked to
+    const bundled = batchJob.bundle ? await bundleResults(batchJob, await loadBatchResults(batchJobId)) : {};
+
     // Mark as completed
-    await prisma.batchJob.update({
-      where: { id: batchJobId },
-      data: {
-        status: 'completed',
-        processedRows,
-        failedRows,
-        results,
-        completedAt: new Date(),
-      },
-    });
+    const completed = {
+      status: 'completed',
+      processedRows,
+      failedRows,
+      ...bundled,
+      completedAt: new Date(),
+    };
+    if (!(await updateLeased({ ...completed, ...NO_LEASE }))) return lose();
 
+    batchJobEvents.emit('progress', { batchJobId });
     logger.info(
-      { batchJobId, totalRows: rows.length, processedRows, failedRows },
+      { batchJobId, totalRows: batchJob.totalRows, processedRows, failedRows },
       'Batch job completed'
     );
+    await notifyBatchFinished({ ...batchJob, ...completed });
   } catch (err) {
     // Mark as failed
-    await prisma.batchJob.update({
-      where: { id: batchJobId },
-      data: {
-        status: 'failed',
-        error: err.message,
-        results,
-        completedAt: new Date(),
-      },
-    });
+    const failed = {
+      status: 'failed',
+      error: err.message,
+      processedRows,
+      failedRows,
+      completedAt: new Date(),
+    };
+    if (!(await updateLeased({ ...failed, ...NO_LEASE }))) return lose();
 
+    batchJobEvents.emit('progress', { batchJobId });
     logger.error({ err, batchJobId }, 'Batch job failed');
+    await notifyBatchFinished({ ...batchJob, ...failed });
+  } finally {
+    heartbeat.stop();
+  }
+}
+
+/**
+ * Load a batch job the user owns, for a status change
+ * @param {string} batchJobId - Batch job ID
+ * @param {string} userId - User ID for authorization
+ * @returns {Promise<Object|null>} - The batch job, or null if not found or not owned
+ */
+async function findOwnedBatchJob(batchJobId, userId) {
+  const batchJob = await prisma.batchJob.findUnique({
+    where: { id: batchJobId },
+  });
+  return batchJob && batchJob.userId === userId ? batchJob : null;
+}
+
+/**
+ * Move a batch job from one of `from` to `data.status`, unless the worker changed it first
+ * @returns {Promise<boolean>} - Whether the job was still in one of `from`
+ */
+async function transitionBatchJob(batchJobId, from, data) {
+  const { count } = await prisma.batchJob.updateMany({
+    where: { id: batchJobId, status: { in: from } },
+    data,
+  });
+  if (count > 0) batchJobEvents.emit('progress', { batchJobId });
+  return count > 0;
+}
+
+/**
+ * Pause a queued or running batch job; the worker stops before its next row
+ * @param {string} batchJobId - Batch job ID
+ * @param {string} userId - User ID for authorization
+ * @returns {Promise<Object|null>} - { id, status }, or null if not found or not owned
+ * @throws {Error} - with status 409 when the job isn't queued or running
+ */
+async function pauseBatchJob(batchJobId, userId) {
+  const batchJob = await findOwnedBatchJob(batchJobId, userId);
+  if (!batchJob) return null;
+
+  if (!await transitionBatchJob(batchJobId, ['pending', 'processing'], { status: 'paused' })) {
+    throw statusError(`A ${batchJob.status} batch job can't be paused`, 409);
+  }
+
+  logger.info({ batchJobId }, 'Batch job paused');
+  return { id: batchJobId, status: 'paused' };
+}
+
+/**
+ * Resume a paused batch job from the row it stopped at
+ * @param {string} batchJobId - Batch job ID
+ * @param {string} userId - User ID for authorization
+ * @returns {Promise<Object|null>} - { id, status }, or null if not found or not owned
+ * @throws {Error} - with status 409 when the job isn't paused
+ */
+async function resumeBatchJob(batchJobId, userId) {
+  const batchJob = await findOwnedBatchJob(batchJobId, userId);
+  if (!batchJob) return null;
+
+  if (!await transitionBatchJob(batchJobId, ['paused'], { status: 'pending' })) {
+    throw statusError(`A ${batchJob.status} batch job can't be resumed`, 409);
+  }
+
+  // a worker claims it from the queue again
+  batchJobEvents.emit('queued', batchJobId);
+
+  logger.info({ batchJobId }, 'Batch job resumed');
+  return { id: batchJobId, status: 'pending' };
+}
+
+/**
+ * Cancel a queued, running or paused batch job
+ * Rows already merged keep their outputs unless deleteOutputs is set. A running job's worker stops
+ * before its next row and deletes the outputs itself, so the one it was writing goes too.
+ * @param {string} batchJobId - Batch job ID
+ * @param {string} userId - User ID for authorization
+ * @param {Object} options - { deleteOutputs }
+ * @returns {Promise<Object|null>} - { id, status, deletedOutputs }, or null if not found or not owned;
+ *   deletedOutputs is null while the worker still has to delete them
+ * @throws {Error} - with status 409 when the job has already finished
+ */
+async function cancelBatchJob(batchJobId, userId, { deleteOutputs = false } = {}) {
+  const batchJob = await findOwnedBatchJob(batchJobId, userId);
+  if (!batchJob) return null;
+
+  const cancelled = await transitionBatchJob(batchJobId, STOPPABLE_STATUSES, {
+    status: 'cancelled',
+    discardOutputs: deleteOutputs,
+    completedAt: new Date(),
+  });
+  if (!cancelled) {
+    throw statusError(`A ${batchJob.status} batch job can't be cancelled`, 409);
+  }
+
+  logger.info({ batchJobId, deleteOutputs }, 'Batch job cancelled');
+  // counters as last stored; a running job's worker may merge one more row before it stops
+  await notifyBatchFinished({ ...batchJob, status: 'cancelled' });
+
+  let deletedOutputs = 0;
+  if (deleteOutputs) {
+    deletedOutputs = batchJob.status === 'processing' ? null : await discardBatchOutputs(batchJobId);
   }
+  return { id: batchJobId, status: 'cancelled', deletedOutputs };
 }
 
 /**
@@ -209,11 +857,21 @@ async function getBatchJobStatus(batchJobId, userId) {
       totalRows: true,
       processedRows: true,
       failedRows: true,
-      results: true,
       error: true,
+      bundle: true,
+      bundlePath: true,
+      retryOfId: true,
       createdAt: true,
       startedAt: true,
       completedAt: true,
+      retries: {
+        select: { id: true, status: true, createdAt: true },
+        orderBy: { createdAt: 'asc' },
+      },
+      chunks: {
+        select: { results: true },
+        orderBy: { index: 'asc' },
+      },
     },
   });
 
@@ -226,14 +884,143 @@ async function getBatchJobStatus(batchJobId, userId) {
     return null;
   }
 
+  const { chunks = [], ...job } = batchJob;
   return {
-    ...batchJob,
+    ...job,
+    // row results of the chunks processed so far
+    results: chunks.flatMap((chunk) => chunk.results || []),
     progress: batchJob.totalRows > 0
       ? Math.round((batchJob.processedRows / batchJob.totalRows) * 100)
       : 0,
   };
 }
 
+// Fields of a batch job a progress stream sends
+const PROGRESS_FIELDS = {
+  status: true,
+  totalRows: true,
+  processedRows: true,
+  failedRows: true,
+  error: true,
+  bundlePath: true,
+  completedAt: true,
+};
+
+/**
+ * Read a batch job's progress with the row results stored from row `after` on, for progress streams
+ * Only the chunk holding row `after` and the next one are read; a stream behind by more reads again.
+ * @param {string} batchJobId - Batch job ID
+ * @param {string} userId - User ID for authorization
+ * @param {number} [after] - Row index of the first result to return
+ * @returns {Promise<Object|null>} - { status, totalRows, processedRows, failedRows, error, bundlePath,
+ *   completedAt, results }, or null if not found or not owned
+ */
+async function readBatchJobProgress(batchJobId, userId, after = 0) {
+  const batchJob = await prisma.batchJob.findUnique({
+    where: { id: batchJobId },
+    select: { userId: true, ...PROGRESS_FIELDS },
+  });
+  if (!batchJob) {
+    return null;
+  }
+  const { userId: ownerId, ...progress } = batchJob;
+  if (ownerId !== userId) {
+    return null;
+  }
+
+  const from = await prisma.batchJobChunk.findFirst({
+    where: { batchJobId, firstRow: { lte: after } },
+    orderBy: { index: 'desc' },
+    select: { index: true },
+  });
+  const chunks = from
+    ? await prisma.batchJobChunk.findMany({
+      where: { batchJobId, index: { in: [from.index, from.index + 1] } },
+      select: { results: true },
+      orderBy: { index: 'asc' },
+    })
+    : [];
+
+  return {
+    ...progress,
+    results: chunks.flatMap((chunk) => chunk.results || []).filter((result) => result.rowIndex >= after),
+  };
+}
+
+// Jobs followed by progress streams in this process, by ID: { listeners, read(), stop() }
+const watchedJobs = new Map();
+
+/**
+ * Follow a batch job's status and counters for progress streams
+ * The job is read once every PROGRESS_POLL_MS, and straight away when a job in this process changes status,
+ * however many streams in this process follow it; the poll stops once the last one stops following.
+ * Ownership isn't checked, so streams read the job with readBatchJobProgress first.
+ * @param {string} batchJobId - Batch job ID
+ * @param {Function} listener - Called with the job's PROGRESS_FIELDS after each read, or null once it's deleted
+ * @returns {Function} - Stops following
+ */
+function watchBatchJob(batchJobId, listener) {
+  let watched = watchedJobs.get(batchJobId);
+  if (!watched) {
+    watched = startWatch(batchJobId);
+    watchedJobs.set(batchJobId, watched);
+  }
+  watched.listeners.add(listener);
+
+  return () => {
+    watched.listeners.delete(listener);
+    if (watched.listeners.size === 0) watched.stop();
+  };
+}
+
+function startWatch(batchJobId) {
+  const watched = { listeners: new Set() };
+  let timer = null;
+  let reading = false;
+  let readAgain = false;
+  let stopped = false;
+
+  const read = async () => {
+    // a read asked for during another goes right after it, so a status change isn't missed
+    if (reading) {
+      readAgain = true;
+      return;
+    }
+    reading = true;
+    clearTimeout(timer);
+    try {
+      const progress = await prisma.batchJob.findUnique({ where: { id: batchJobId }, select: PROGRESS_FIELDS });
+      if (!stopped) watched.listeners.forEach((listener) => listener(progress));
+    } catch (err) {
+      logger.warn({ err, batchJobId }, 'Failed to read batch job progress');
+    } finally {
+      reading = false;
+      if (!stopped) {
+        timer = setTimeout(read, readAgain ? 0 : PROGRESS_POLL_MS);
+        timer.unref();
+      }
+      readAgain = false;
+    }
+  };
+
+  // rows merged here are sent by the streams themselves; only a status change needs a read
+  const onProgress = (event) => {
+    if (event.batchJobId === batchJobId && !event.result) read();
+  };
+  batchJobEvents.on('progress', onProgress);
+
+  timer = setTimeout(read, PROGRESS_POLL_MS);
+  timer.unref();
+
+  watched.stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+    batchJobEvents.off('progress', onProgress);
+    watchedJobs.delete(batchJobId);
+  };
+  return watched;
+}
+
 /**
  * List batch jobs for a user
  * @param {string} userId - User ID
@@ -251,6 +1038,9 @@ async function listBatchJobs(userId, { limit = 20, offset = 0 } = {}) {
       totalRows: true,
       processedRows: true,
       failedRows: true,
+      bundle: true,
+      bundlePath: true,
+      retryOfId: true,
       createdAt: true,
       completedAt: true,
     },
@@ -268,43 +1058,50 @@ async function listBatchJobs(userId, { limit = 20, offset = 0 } = {}) {
 }
 
 /**
- * Resume pending batch jobs on server startup
- * Called from app.js on startup
+ * Tidy up batch jobs a stopped server left behind; each worker runs it when it starts
+ * Jobs a stopped worker was processing need nothing here: their lease runs out and another worker
+ * claims them. Paused and cancelled jobs stay as they are; a cancel whose outputs were still being
+ * deleted is finished.
  */
-async function resumePendingBatchJobs() {
-  const pendingJobs = await prisma.batchJob.findMany({
-    where: {
-      status: { in: ['pending', 'processing'] },
-    },
+async function recoverBatchJobs() {
+  // an upload cut off mid-ingest can't be finished; its rows never all arrived
+  const { count: abandoned = 0 } = (await prisma.batchJob.deleteMany({
+    where: { status: 'ingesting', createdAt: { lt: new Date(Date.now() - STALE_INGEST_MS) } },
+  })) || {};
+  if (abandoned > 0) {
+    logger.warn({ count: abandoned }, 'Removed batch jobs abandoned while ingesting');
+  }
+
+  const discarding = await prisma.batchJob.findMany({
+    where: { status: 'cancelled', discardOutputs: true },
     select: { id: true },
   });
-
-  if (pendingJobs.length > 0) {
-    logger.info({ count: pendingJobs.length }, 'Resuming pending batch jobs');
-
-    for (const job of pendingJobs) {
-      // Reset to pending so they get reprocessed
-      await prisma.batchJob.update({
-        where: { id: job.id },
-        data: { status: 'pending' },
-      });
-
-      setImmediate(() => {
-        processBatchJob(job.id).catch(err => {
-          logger.error({ err, batchJobId: job.id }, 'Failed to resume batch job');
-        });
-      });
-    }
+  for (const job of discarding || []) {
+    await discardBatchOutputs(job.id).catch(err => {
+      logger.error({ err, batchJobId: job.id }, 'Failed to delete outputs of cancelled batch job');
+    });
   }
 }
 
 module.exports = {
   INLINE_THRESHOLD,
+  BATCH_CHUNK_SIZE,
   shouldProcessInline,
   processRowsInline,
+  bundleInlineResults,
   createBatchJob,
+  retryBatchJob,
+  pauseBatchJob,
+  resumeBatchJob,
+  cancelBatchJob,
+  discardBatchOutputs,
+  claimBatchJob,
+  renewBatchLease,
   processBatchJob,
   getBatchJobStatus,
+  readBatchJobProgress,
+  watchBatchJob,
   listBatchJobs,
-  resumePendingBatchJobs,
+  recoverBatchJobs,
+  batchJobEvents,
 };
@@ -0,0 +1,128 @@
+/* BATCH BUNDLE SERVICE - ONE DOWNLOAD FOR A WHOLE CSV MERGE
+A CSV merge or batch job can ask for its outputs combined once every row is merged:
+- zip: every output file, named from the template's outputNameFormat value
+- pdf: every PDF output appended into one document, in row order
+The bundle is stored next to the outputs and linked to its BatchJob through bundlePath */
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { PDFDocument } = require('pdf-lib');
+const {
+  s3,
+  PutObjectCommand,
+  GetObjectCommand,
+  withPrefix,
+} = require('../storage/supabase-storage');
+
+const BUNDLE_TYPES = ['zip', 'pdf'];
+
+const BUNDLE_CONTENT_TYPES = {
+  zip: 'application/zip',
+  pdf: 'application/pdf',
+};
+
+// merge output names end in "-<uuid>" to keep uploads apart; the bundle doesn't need it
+const UNIQUE_SUFFIX_REGEX = /-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(?=\.[^.]+$)/i;
+
+const s3KeyOf = (filePath) => filePath.replace(/^s3:\/\/[^/]+\//, '');
+
+/**
+ * Check a bundle option against the batch's output type
+ * @param {string} [bundle] - Requested bundle type
+ * @param {string} outputType - Output type of every row
+ * @returns {string|null} - A message describing the problem, or null when the option is usable
+ */
+function bundleProblem(bundle, outputType) {
+  if (bundle === undefined || bundle === null || bundle === '') return null;
+  if (!BUNDLE_TYPES.includes(bundle)) return `Invalid bundle '${bundle}'. Allowed: ${BUNDLE_TYPES.join(', ')}`;
+  if (bundle === 'pdf' && outputType !== 'pdf') return "A merged PDF bundle needs outputType 'pdf'";
+  return null;
+}
+
+/**
+ * File name of an output inside a ZIP bundle
+ * @param {string} filePath - Output path, e.g. s3://bucket/outputs/Invoice-Ada-<uuid>.pdf
+ * @returns {string} - e.g. Invoice-Ada.pdf
+ */
+function bundleEntryName(filePath) {
+  return path.basename(filePath).replace(UNIQUE_SUFFIX_REGEX, '');
+}
+
+async function readOutput(filePath) {
+  const resp = await s3.send(
+    new GetObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: s3KeyOf(filePath),
+    })
+  );
+  const chunks = [];
+  for await (const chunk of resp.Body) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// rows whose outputNameFormat values collide get numbered: Ada.pdf, Ada (2).pdf
+function uniqueName(name, taken) {
+  const ext = path.extname(name);
+  const base = name.slice(0, name.length - ext.length);
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})${ext}`;
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+async function buildZip(filePaths) {
+  const zip = new AdmZip();
+  const taken = new Set();
+  for (const filePath of filePaths) {
+    zip.addFile(uniqueName(bundleEntryName(filePath), taken), await readOutput(filePath));
+  }
+  return zip.toBuffer();
+}
+
+async function buildPdf(filePaths) {
+  const merged = await PDFDocument.create();
+  for (const filePath of filePaths) {
+    const doc = await PDFDocument.load(await readOutput(filePath));
+    const pages = await merged.copyPages(doc, doc.getPageIndices());
+    pages.forEach((page) => merged.addPage(page));
+  }
+  return Buffer.from(await merged.save());
+}
+
+/**
+ * Combine a batch's outputs into one stored file
+ * @param {Object} params
+ * @param {string} params.batchJobId - BatchJob the bundle belongs to
+ * @param {string} params.bundle - zip or pdf
+ * @param {Array<Object>} params.results - Row results ({ rowIndex, success, filePath }); failed rows are skipped
+ * @returns {Promise<string>} - s3:// path of the bundle
+ * @throws {Error} - when no row produced an output, or an output can't be read
+ */
+async function createBundle({ batchJobId, bundle, results }) {
+  const filePaths = results
+    .filter((r) => r.success && r.filePath)
+    .sort((a, b) => a.rowIndex - b.rowIndex)
+    .map((r) => r.filePath);
+  if (!filePaths.length) throw new Error('No outputs to bundle');
+
+  const buffer = bundle === 'pdf' ? await buildPdf(filePaths) : await buildZip(filePaths);
+
+  const filePath = `s3://${process.env.S3_BUCKET}/${withPrefix(`outputs/bundles/batch-${batchJobId}.${bundle}`)}`;
+  await s3.send(
+    new PutObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: s3KeyOf(filePath),
+      Body: buffer,
+      ContentType: BUNDLE_CONTENT_TYPES[bundle],
+    })
+  );
+  return filePath;
+}
+
+module.exports = {
+  BUNDLE_TYPES,
+  BUNDLE_CONTENT_TYPES,
+  bundleProblem,
+  bundleEntryName,
+  createBundle,
+};
@@ -13,6 +13,7 @@ const {
   TemplateParseError,
 } = require('../utils/docx-templating');
 const { withTimeout } = require('../utils/timeout');
+const { findExpressionFields } = require('../utils/expressions');
 
 // Promisify libre.convert if needed
 const convertAsync = types.isAsyncFunction(libre.convert)
@@ -28,22 +29,27 @@ async function extractDocxFields(docxBuffer) {
   // Use mammoth to extract raw text from DOCX
   const { value: text } = await mammoth.extractRawText({ buffer: docxBuffer });
 
-  // Find all placeholders in format {{ fieldName }}
-  const matches = text.match(/{{\s*([\w\.]+)\s*}}/g) || [];
+  // Find all placeholders in format {{ fieldName }}, {{fieldName}}, image tags {{%fieldName}}
+  // or barcode tags {{qr:fieldName}} (which read the field's value); filters ({{total | currency:"EUR"}}) are dropped
+  const matches = text.matchAll(/{{\s*(?:%|(?:qr|barcode128|ean13|datamatrix)\s*:)?\s*([\w\.]+)\s*(?:\|[^}]*)?}}/g);
 
-  // Extract unique field names
-  return [...new Set(matches.map((m) => m.replace(/{{\s*|\s*}}/g, '')))];
+  // Extract unique field names; expression tags ({{quantity * unitPrice}}) add the fields they read
+  return [...new Set([...[...matches].map((m) => m[1]), ...findExpressionFields(text)])];
 }
 
 /**
  * Fill DOCX template with data using docxtemplater
  * @param {Buffer} docxBuffer - DOCX file buffer
  * @param {Object} data - Field name/value pairs
+ * @param {Object} [options]
+ * @param {string[]} [options.optionalFields] - Fields that may be missing; their empty paragraphs,
+ *   lines and table rows are removed
+ * @param {string} [options.locale] - Locale for value filters (en-US when unset)
  * @returns {Promise<Buffer>} - Filled DOCX buffer
  */
-async function fillDocxTemplate(docxBuffer, data) {
+async function fillDocxTemplate(docxBuffer, data, options = {}) {
   try {
-    return renderDocxBufferOrThrow(docxBuffer, data);
+    return renderDocxBufferOrThrow(docxBuffer, data, options);
   } catch (err) {
     if (err instanceof TemplateParseError) {
       err.status = 422;
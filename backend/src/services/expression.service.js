@@ -0,0 +1,122 @@
+/* EXPRESSION SERVICE - MERGE PRE-RENDER STEP FOR COMPUTED EXPRESSIONS
+{{quantity * unitPrice}}, {{sum(items, "total")}} and {{firstName + " " + lastName}} derive values from
+the merge data (syntax in utils/expressions.js). Before a template renders, its expression tags are
+found and parsed, and each result is stored in the data under the tag's text; the format services
+then read the tag as a plain value, so filters ({{quantity * unitPrice | currency:"EUR"}}) apply too.
+A tag named like one of the template's fields or a key of the merge data ({{Name - Title}} with a
+"Name - Title" column) is that field, not an expression. Expressions that don't parse are reported
+when the template is uploaded (lintTemplateExpressions) and fail its merges. */
+
+const { readTemplateText } = require('./templateText.service');
+const { PLACEHOLDER_REGEX } = require('../utils/placeholders');
+const { parseTag } = require('../utils/formatters');
+const { isExpressionTag, parseExpression, evaluateExpression } = require('../utils/expressions');
+const { TemplateParseError } = require('../utils/docx-templating');
+
+const isPlainObject = (value) => !!value && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Find and parse the expression tags a template uses
+ * @param {Buffer} templateBuffer - Template file bytes
+ * @param {string} mimeType - Template MIME type
+ * @param {string[]} [fieldNames] - The template's field names; tags named like one are left as fields
+ * @returns {Promise<Array<{key: string, ast: Object}>>} - Unique expressions; key is the tag's text
+ *   without filters, which is where the format services look the value up
+ */
+async function findTemplateExpressions(templateBuffer, mimeType, fieldNames = []) {
+  const text = await readTemplateText(templateBuffer, mimeType);
+  const fields = new Set(fieldNames);
+
+  const expressions = new Map();
+  for (const match of text.matchAll(PLACEHOLDER_REGEX)) {
+    if (!match[1]) continue;
+    const { name } = parseTag(match[1]);
+    if (fields.has(name) || expressions.has(name) || !isExpressionTag(name)) continue;
+    expressions.set(name, { key: name, ast: parseExpression(name) });
+  }
+  return [...expressions.values()];
+}
+
+/**
+ * The expression tags of a template that don't parse, for the upload lint
+ * @param {Buffer} templateBuffer - Template file bytes
+ * @param {string} mimeType - Template MIME type
+ * @returns {Promise<Array<{id: string, explanation: string, xtag: string}>>} - TemplateParseError details, one
+ *   per broken tag; none when the file's text can't be read, which field extraction reports
+ */
+async function lintTemplateExpressions(templateBuffer, mimeType) {
+  let text;
+  try {
+    text = await readTemplateText(templateBuffer, mimeType);
+  } catch {
+    return [];
+  }
+
+  const errors = new Map();
+  for (const match of text.matchAll(PLACEHOLDER_REGEX)) {
+    if (!match[1]) continue;
+    const { name } = parseTag(match[1]);
+    if (errors.has(name) || !isExpressionTag(name)) continue;
+    try {
+      parseExpression(name);
+    } catch (err) {
+      if (!(err instanceof TemplateParseError)) throw err;
+      errors.set(name, err.details[0]);
+    }
+  }
+  return [...errors.values()];
+}
+
+// Every key of the data's objects, loop items and nested objects included
+function dataKeys(value, keys = new Set()) {
+  if (Array.isArray(value)) value.forEach((item) => dataKeys(item, keys));
+  else if (isPlainObject(value)) {
+    for (const [key, v] of Object.entries(value)) {
+      keys.add(key);
+      dataKeys(v, keys);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Add expression results to merge data
+ * The root and every object nested in it (loop items, section objects) is a scope; a scope gets the
+ * result when it differs from its parent's, so loop items get their own line totals while objects
+ * that don't change the result (an image value, say) are left alone. An expression whose text is a
+ * key of the data is skipped, so the data's value renders
+ * @param {Object} data - Merge data
+ * @param {Array<{key: string, ast: Object}>} expressions - From findTemplateExpressions
+ * @returns {Object} - Copy of the data with results added (the same object when there are no expressions)
+ * @throws {TemplateParseError} - status 422 when an expression fails, e.g. "abc" * 2
+ */
+function addExpressionValues(data, expressions) {
+  if (!expressions.length) return data;
+  const keys = dataKeys(data);
+  expressions = expressions.filter(({ key }) => !keys.has(key));
+  if (!expressions.length) return data;
+
+  const walk = (value, scopes, parentResults) => {
+    if (Array.isArray(value)) return value.map((item) => walk(item, scopes, parentResults));
+    if (!isPlainObject(value)) return value;
+
+    const chain = [...scopes, value];
+    const results = new Map();
+    const out = {};
+    for (const { key, ast } of expressions) {
+      const result = evaluateExpression(ast, chain, key);
+      results.set(key, result);
+      if (result !== undefined && (!parentResults || result !== parentResults.get(key))) out[key] = result;
+    }
+    for (const [key, v] of Object.entries(value)) out[key] = walk(v, chain, results);
+    return out;
+  };
+
+  return walk(data, [], null);
+}
+
+module.exports = {
+  findTemplateExpressions,
+  lintTemplateExpressions,
+  addExpressionValues,
+};
@@ -1,11 +1,54 @@
 const prisma = require('../config/prisma');
+const {
+  folderPermissionError,
+  templatePermissionError,
+  workspacePermissionError,
+  visibleFoldersWhere,
+} = require('./permission.service');
+
+// Error with the HTTP status the route answers with
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Load a folder the user may act on
+ * @param {string} userId - User ID
+ * @param {string} folderId - Folder ID
+ * @param {string} action - 'folder:read' or 'folder:edit'
+ * @param {string} [notFoundMessage] - Message when it doesn't exist or they can't see it
+ * @returns {Promise<Object>} - The folder; throws with status 404 or 403 otherwise
+ */
+async function findFolder(userId, folderId, action, notFoundMessage = 'Folder not found') {
+  const folder = await prisma.folder.findUnique({
+    where: { id: folderId },
+  });
+
+  const err = await folderPermissionError(userId, folder, action);
+  if (err) {
+    throw err.status === 404 ? statusError(notFoundMessage, 404) : err;
+  }
+  return folder;
+}
 
 /**
- * Get all folders for a user as hierarchical tree
+ * Where a folder's name must be unique: among its parent's children, or at the root of its workspace
+ * (or of its owner's private folders)
+ */
+function siblingsWhere({ userId, workspaceId, parentId }) {
+  if (parentId) return { parentId };
+  if (workspaceId) return { workspaceId, parentId: null };
+  return { userId, workspaceId: null, parentId: null };
+}
+
+/**
+ * Get all folders a user can see (their own and their workspaces') as hierarchical tree
  */
 async function getUserFolders(userId) {
   const folders = await prisma.folder.findMany({
-    where: { userId },
+    where: visibleFoldersWhere(userId),
     include: {
       _count: {
         select: {
@@ -24,15 +67,9 @@ async function getUserFolders(userId) {
  * Create a new folder with depth validation
  */
 async function createFolder(userId, name, parentId = null) {
-  // Validate parent exists and belongs to user
+  // Validate parent exists and the user may add to it
   if (parentId) {
-    const parent = await prisma.folder.findFirst({
-      where: { id: parentId, userId },
-    });
-
-    if (!parent) {
-      throw new Error('Parent folder not found');
-    }
+    const parent = await findFolder(userId, parentId, 'folder:edit', 'Parent folder not found');
 
     // Check depth constraint
     if (parent.depth >= 4) {
@@ -41,20 +78,21 @@ async function createFolder(userId, name, parentId = null) {
 
     // Check for duplicate name in same parent
     const existing = await prisma.folder.findFirst({
-      where: { userId, parentId, name },
+      where: { parentId, name },
     });
 
     if (existing) {
       throw new Error('A folder with this name already exists in the same location');
     }
 
-    // Create with calculated depth
+    // Create with calculated depth, in the parent's workspace
     return await prisma.folder.create({
       data: {
         name,
         parentId,
         depth: parent.depth + 1,
         userId,
+        workspaceId: parent.workspaceId ?? null,
       },
       include: {
         _count: {
@@ -64,9 +102,9 @@ async function createFolder(userId, name, parentId = null) {
     });
   }
 
-  // Root folder - check for duplicate name at root level
+  // Root folder - private to the user; check for duplicate name at their root level
   const existing = await prisma.folder.findFirst({
-    where: { userId, parentId: null, name },
+    where: { ...siblingsWhere({ userId, workspaceId: null, parentId: null }), name },
   });
 
   if (existing) {
@@ -92,19 +130,12 @@ async function createFolder(userId, name, parentId = null) {
  * Rename a folder
  */
 async function renameFolder(userId, folderId, newName) {
-  const folder = await prisma.folder.findFirst({
-    where: { id: folderId, userId },
-  });
-
-  if (!folder) {
-    throw new Error('Folder not found');
-  }
+  const folder = await findFolder(userId, folderId, 'folder:edit');
 
   // Check for duplicate name in same parent
   const existing = await prisma.folder.findFirst({
     where: {
-      userId,
-      parentId: folder.parentId,
+      ...siblingsWhere(folder),
       name: newName,
       NOT: { id: folderId },
     },
@@ -129,14 +160,7 @@ async function renameFolder(userId, folderId, newName) {
  * Move folder to new parent (with cycle detection and depth recalculation)
  */
 async function moveFolder(userId, folderId, newParentId) {
-  const folder = await prisma.folder.findFirst({
-    where: { id: folderId, userId },
-    include: { children: true },
-  });
-
-  if (!folder) {
-    throw new Error('Folder not found');
-  }
+  const folder = await findFolder(userId, folderId, 'folder:edit');
 
   // Cannot move to itself
   if (folderId === newParentId) {
@@ -145,12 +169,11 @@ async function moveFolder(userId, folderId, newParentId) {
 
   // Validate new parent
   if (newParentId) {
-    const newParent = await prisma.folder.findFirst({
-      where: { id: newParentId, userId },
-    });
+    const newParent = await findFolder(userId, newParentId, 'folder:edit', 'Target folder not found');
 
-    if (!newParent) {
-      throw new Error('Target folder not found');
+    // A folder changes workspace with PUT /folders/:id/workspace, which takes its templates along
+    if ((newParent.workspaceId ?? null) !== (folder.workspaceId ?? null)) {
+      throw statusError('A folder can only be moved within its own workspace', 400);
     }
 
     // Check if newParent is a descendant of folder (cycle detection)
@@ -173,7 +196,6 @@ async function moveFolder(userId, folderId, newParentId) {
     // Check for duplicate name
     const existing = await prisma.folder.findFirst({
       where: {
-        userId,
         parentId: newParentId,
         name: folder.name,
         NOT: { id: folderId },
@@ -198,11 +220,10 @@ async function moveFolder(userId, folderId, newParentId) {
     });
   }
 
-  // Move to root (newParentId is null)
+  // Move to root (newParentId is null) of the folder's workspace
   const existing = await prisma.folder.findFirst({
     where: {
-      userId,
-      parentId: null,
+      ...siblingsWhere({ ...folder, parentId: null }),
       name: folder.name,
       NOT: { id: folderId },
     },
@@ -230,13 +251,7 @@ async function moveFolder(userId, folderId, newParentId) {
  * Delete folder and cascade to children, unfile all templates in subtree
  */
 async function deleteFolder(userId, folderId) {
-  const folder = await prisma.folder.findFirst({
-    where: { id: folderId, userId },
-  });
-
-  if (!folder) {
-    throw new Error('Folder not found');
-  }
+  await findFolder(userId, folderId, 'folder:edit');
 
   // Get all folder IDs in subtree
   const subtreeFolderIds = await getSubtreeFolderIds(folderId);
@@ -257,23 +272,20 @@ async function deleteFolder(userId, folderId) {
  * Move template to folder or unfile
  */
 async function moveTemplate(userId, templateId, folderId) {
-  // Verify template exists
+  // Verify template exists and the user may change it
   const template = await prisma.template.findUnique({
     where: { id: templateId },
   });
 
-  if (!template) {
-    throw new Error('Template not found');
-  }
+  const err = await templatePermissionError(userId, template, 'template:edit');
+  if (err) throw err;
 
-  // Verify folder exists and belongs to user (if folderId provided)
+  // Verify folder exists and the user may file into it (if folderId provided)
   if (folderId) {
-    const folder = await prisma.folder.findFirst({
-      where: { id: folderId, userId },
-    });
+    const folder = await findFolder(userId, folderId, 'folder:edit');
 
-    if (!folder) {
-      throw new Error('Folder not found');
+    if ((folder.workspaceId ?? null) !== (template.workspaceId ?? null)) {
+      throw statusError('A template can only be filed in a folder of its own workspace', 400);
     }
   }
 
@@ -284,6 +296,61 @@ async function moveTemplate(userId, templateId, folderId) {
   });
 }
 
+/**
+ * Move a folder, with its subfolders and their templates, into a workspace or out of one (workspaceId null).
+ * Its owner moves it, into a workspace they may add to; it lands at that workspace's root
+ */
+async function moveFolderToWorkspace(userId, folderId, workspaceId) {
+  const folder = await findFolder(userId, folderId, 'folder:share');
+
+  if (workspaceId) {
+    const err = await workspacePermissionError(userId, workspaceId, 'workspace:add');
+    if (err) throw err;
+  }
+
+  if ((folder.workspaceId ?? null) === workspaceId && !folder.parentId) {
+    return folder;
+  }
+
+  // Check for duplicate name at the target root
+  const existing = await prisma.folder.findFirst({
+    where: {
+      ...siblingsWhere({ userId, workspaceId, parentId: null }),
+      name: folder.name,
+      NOT: { id: folderId },
+    },
+  });
+
+  if (existing) {
+    throw new Error('A root folder with this name already exists');
+  }
+
+  // Leaving a workspace, the subtree becomes private to the user moving it
+  const subtreeFolderIds = await getSubtreeFolderIds(folderId);
+
+  await prisma.folder.updateMany({
+    where: { id: { in: subtreeFolderIds } },
+    data: { workspaceId, ...(workspaceId ? {} : { userId }) },
+  });
+  await prisma.template.updateMany({
+    where: { folderId: { in: subtreeFolderIds } },
+    data: { workspaceId, ...(workspaceId ? {} : { uploadedById: userId }) },
+  });
+
+  // Recalculate depths starting from 1
+  await recalculateSubtreeDepths(folderId, 1);
+
+  return await prisma.folder.update({
+    where: { id: folderId },
+    data: { parentId: null, depth: 1 },
+    include: {
+      _count: {
+        select: { templates: true, children: true },
+      },
+    },
+  });
+}
+
 // Helper functions
 
 /**
@@ -395,4 +462,5 @@ module.exports = {
   moveFolder,
   deleteFolder,
   moveTemplate,
+  moveFolderToWorkspace,
 };
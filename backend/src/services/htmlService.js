@@ -10,6 +10,11 @@ const os = require('os');
 const logger = require('../config/logger');
 const { resolveSoffice, runSoffice } = require('../utils/libreoffice');
 const { withTimeout } = require('../utils/timeout');
+const { parseImageValue } = require('../utils/images');
+const { BARCODE_TAG_REGEX, findSectionTags } = require('../utils/placeholders');
+const { BLANK, isBlankOnly, stripBlanks, collapseBlankLines } = require('../utils/blank-values');
+const { parseTag, applyFilters } = require('../utils/formatters');
+const { isExpressionTag, findExpressionFields } = require('../utils/expressions');
 
 // Use isolated worker by default in production
 const USE_ISOLATED_WORKER = process.env.CONVERSION_USE_WORKER !== 'false' &&
@@ -34,23 +39,148 @@ async function extractHtmlFields(htmlBuffer) {
   const dom = new JSDOM(html);
   const text = dom.window.document.body.textContent || '';
 
-  // Find all placeholders in format {{ fieldName }} or {{fieldName}}
-  const matches = text.match(/{{\s*([\w\.]+)\s*}}/g) || [];
+  // Find all placeholders in format {{ fieldName }}, {{fieldName}}, image tags {{%fieldName}}
+  // or barcode tags {{qr:fieldName}} (which read the field's value); filters ({{total | currency:"EUR"}}) are dropped
+  const matches = text.matchAll(/{{\s*(?:%|(?:qr|barcode128|ean13|datamatrix)\s*:)?\s*([\w\.]+)\s*(?:\|[^}]*)?}}/g);
 
-  // Extract unique field names
-  return [...new Set(matches.map((m) => m.replace(/{{\s*|\s*}}/g, '')))];
+  // Extract unique field names; expression tags ({{quantity * unitPrice}}) add the fields they read
+  return [...new Set([...[...matches].map((m) => m[1]), ...findExpressionFields(text)])];
+}
+
+/**
+ * Give every data key a "%key" twin that renders its value as an <img> for {{%key}} tags
+ * The twins are Mustache lambdas, so values never used as images are never parsed
+ * Blank optional fields read by sections become "" so Mustache hides the section
+ */
+function withImageLambdas(value, sectionKeys = new Set()) {
+  if (Array.isArray(value)) return value.map((item) => withImageLambdas(item, sectionKeys));
+  // only plain objects - Dates and the like keep rendering as themselves
+  if (!value || Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = v === BLANK && sectionKeys.has(key) ? '' : withImageLambdas(v, sectionKeys);
+    out[`%${key}`] = () => {
+      if (v === BLANK) return BLANK;
+      const image = parseImageValue(v, key);
+      return `<img src="${image.dataUri}" width="${image.width}" height="${image.height}" alt="${Mustache.escape(key)}">`;
+    };
+  }
+  return out;
+}
+
+/**
+ * Mustache context that runs {{amount | currency:"EUR"}} style tags through their filters
+ * Mustache hands the whole tag text to lookup, so the field name is split off here. Expression
+ * results ({{price * 1.2}}) are stored under the tag's text, so they are read as flat keys rather
+ * than dot-paths
+ */
+class FilterContext extends Mustache.Context {
+  constructor(view, parent, locale) {
+    super(view, parent);
+    this.locale = locale;
+  }
+
+  push(view) {
+    return new FilterContext(view, this, this.locale);
+  }
+
+  lookup(name) {
+    if (!name.includes('|') && !isExpressionTag(name)) return super.lookup(name);
+    const tag = parseTag(name);
+    const value = isExpressionTag(tag.name) ? this.lookupKey(tag.name) : super.lookup(tag.name);
+    return applyFilters(value, tag.filters, { locale: this.locale, tagText: name });
+  }
+
+  lookupKey(key) {
+    for (let context = this; context; context = context.parent) {
+      const { view } = context;
+      if (view && typeof view === 'object' && Object.prototype.hasOwnProperty.call(view, key)) return view[key];
+    }
+    return undefined;
+  }
+}
+
+// elements removed when blank optional fields left nothing in them
+const BLANK_ELEMENT_TAGS = 'p|h[1-6]|li|dt|dd|div|tr|ul|ol';
+// innermost listed element; its content may hold other markup but no listed element
+const BLANK_ELEMENT_REGEX = new RegExp(
+  `<(${BLANK_ELEMENT_TAGS})(?:\\s[^>]*)?>((?:(?!<(?:${BLANK_ELEMENT_TAGS})[\\s>])[\\s\\S])*?)<\\/\\1>`,
+  'gi'
+);
+const BLOCK_TAG_REGEX = new RegExp(`<\\/?(?:${BLANK_ELEMENT_TAGS}|table|tbody|td|th)[\\s>]`, 'i');
+// markup that doesn't count as content of an element
+const INLINE_TAG_REGEX = /<\/?(?:span|b|i|u|em|strong|small|font|a|sub|sup|td|th|br)(?:\s[^>]*)?\/?>/gi;
+
+/**
+ * Remove what blank optional fields left behind in merged HTML
+ * - <br> lines holding only markers lose their break; a "line" crossing a block element isn't one
+ * - elements left with only markers are replaced by a marker, so a row whose paragraphs all went
+ *   goes as well, then every marker is stripped
+ */
+function removeBlankContent(html) {
+  if (!html.includes(BLANK)) return html;
+
+  let out = collapseBlankLines(html, /<br\s*\/?>/gi, (line) => (
+    BLOCK_TAG_REGEX.test(line) ? line : line.replace(/<[^>]*>/g, '')
+  ));
+  let previous;
+  do {
+    previous = out;
+    out = out.replace(BLANK_ELEMENT_REGEX, (element, tag, content) => (
+      isBlankOnly(content.replace(INLINE_TAG_REGEX, '')) ? BLANK : element
+    ));
+  } while (out !== previous);
+
+  return stripBlanks(out);
 }
 
 /**
  * Fill HTML template with data using Mustache
+ * {{%logo}} image and {{qr:url}} barcode tags are inlined as data URIs (the only URLs the PDF renderer loads)
  * @param {Buffer} htmlBuffer - HTML file buffer
  * @param {Object} data - Field name/value pairs
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale for value filters (en-US when unset)
  * @returns {Buffer} - Filled HTML buffer
+ * @throws {TemplateParseError} - Unknown filters and bad filter arguments (status 422)
  */
-function fillHtmlTemplate(htmlBuffer, data) {
-  const raw = htmlBuffer.toString('utf-8');
-  const merged = Mustache.render(raw, data);
-  return Buffer.from(merged, 'utf-8');
+function fillHtmlTemplate(htmlBuffer, data, options = {}) {
+  // image tags render unescaped so the <img> markup survives; barcode tags are image tags
+  // reading the "qr:field" key the merge pre-render step fills in
+  const raw = htmlBuffer
+    .toString('utf-8')
+    .replace(/{{\s*%\s*([^}]+?)\s*}}/g, '{{{%$1}}}')
+    .replace(BARCODE_TAG_REGEX, (match, type, name) => `{{{%${type}:${name}}}}`);
+  const sectionKeys = new Set(findSectionTags(raw).map((tag) => tag.name.split('.').pop()));
+  const view = new FilterContext(withImageLambdas(data, sectionKeys), undefined, options.locale);
+  const merged = Mustache.render(raw, view);
+  return Buffer.from(removeBlankContent(merged), 'utf-8');
+}
+
+/**
+ * Embed fonts into an HTML document as @font-face data URIs
+ * The PDF renderer blocks every non-data: URL, so uploaded fonts must travel inside the HTML
+ * @param {Buffer} htmlBuffer - HTML file buffer
+ * @param {Array<{family: string, mimeType: string, format: string, buffer: Buffer}>} fonts - Fonts to embed
+ * @returns {Buffer} - HTML buffer with a <style> block of @font-face rules in its <head>
+ */
+function injectFontFaces(htmlBuffer, fonts) {
+  if (!fonts || !fonts.length) return htmlBuffer;
+
+  const rules = fonts.map((font) => {
+    const family = font.family.replace(/["\\<>]/g, '');
+    const src = `data:${font.mimeType};base64,${font.buffer.toString('base64')}`;
+    return `@font-face { font-family: "${family}"; src: url("${src}") format("${font.format}"); }`;
+  });
+  const style = `<style>\n${rules.join('\n')}\n</style>`;
+
+  const html = htmlBuffer.toString('utf-8');
+  const head = html.match(/<head(?:\s[^>]*)?>/i);
+  const out = head
+    ? html.slice(0, head.index + head[0].length) + style + html.slice(head.index + head[0].length)
+    : style + html;
+  return Buffer.from(out, 'utf-8');
 }
 
 /**
@@ -149,6 +279,9 @@ async function convertHtmlToPdfInProcess(htmlBuffer) {
       'Page load'
     );
 
+    // embedded @font-face fonts decode asynchronously; print only once they are ready
+    await withTimeout(page.evaluate(() => document.fonts.ready), 10000, 'Font load');
+
     const pdfBuffer = await withTimeout(
       page.pdf({ format: 'Letter' }),
       30000,
@@ -242,6 +375,7 @@ async function convertHtmlToDocxInProcess(htmlBuffer) {
 module.exports = {
   extractHtmlFields,
   fillHtmlTemplate,
+  injectFontFaces,
   sanitizeHtml,
   convertHtmlToPdf,
   convertHtmlToDocx,
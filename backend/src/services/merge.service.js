@@ -9,6 +9,7 @@ const {
   s3,
   PutObjectCommand,
   GetObjectCommand,
+  DeleteObjectCommand,
   withPrefix,
 } = require('../storage/supabase-storage');
 
@@ -19,9 +20,19 @@ const pdfService = require('./pdfService');
 const xlsxService = require('./xlsxService');
 const pptxService = require('./pptxService');
 const conversionService = require('./conversionService');
+const assetService = require('./asset.service');
+const barcodeService = require('./barcode.service');
+const expressionService = require('./expression.service');
+const usageService = require('./usage.service');
 const { templateCache } = require('../utils/templateCache');
 const { withTimeout } = require('../utils/timeout');
 const { ALLOWED_OUTPUTS } = require('../constants/outputs');
+const {
+  FieldValidationError,
+  applyFieldDefaults,
+  validateFieldValues,
+} = require('../utils/field-validation');
+const { markOptionalBlanks } = require('../utils/blank-values');
 
 /**
  * Load template buffer from S3 with caching
@@ -69,6 +80,24 @@ function flattenKeys(obj, prefix = '') {
   return out;
 }
 
+/**
+ * Check merge data against a template's fields the way a merge does before rendering
+ * Defaults fill blank values first; keys matching no field are reported but don't fail the data
+ * @param {Array<Object>} fields - The template's Field records
+ * @param {Object} data - Merge data (one CSV row, webhook payload, form values)
+ * @returns {{data: Object, fieldErrors: Array<Object>, unknownFields: Array<string>}} - data with
+ *   defaults applied, every field problem (see validateFieldValues) and the unexpected keys
+ */
+function checkMergeData(fields, data) {
+  const withDefaults = applyFieldDefaults(fields, data);
+  const allowed = new Set(fields.map((f) => f.name));
+  return {
+    data: withDefaults,
+    fieldErrors: validateFieldValues(fields, withDefaults),
+    unknownFields: flattenKeys(withDefaults).filter((k) => !allowed.has(k)),
+  };
+}
+
 /**
  * Get file extension for output type
  */
@@ -336,6 +365,12 @@ async function addTestFooterToJpg(jpgBuffer) {
 /**
  * Main merge orchestrator
  * Delegates to format-specific services based on template MIME type
+ * A merge given an idempotencyKey runs once: a later call with the same key returns the recorded
+ * output (with reused: true) instead of merging again, e.g. a batch row re-run after a worker crash.
+ * A user's merge counts toward their monthly merge quota and its output needs room in their storage quota
+ * (services/usage.service.js), unless it's a test or a row of a queued batch job (fromBatchJob), which were
+ * counted when the job was created. The merge is reserved before it runs and given back when it fails; a merge
+ * its caller already reserved (counted), like a row of an inline CSV merge, is only checked for storage.
  */
 async function mergeTemplate({
   templateId,
@@ -343,37 +378,59 @@ async function mergeTemplate({
   outputType,
   userId = null,
   fromWebhook = false,
+  fromBatchJob = false,
+  counted = false,
   testMode = false,
+  idempotencyKey = null,
 }) {
-  // Fetch template with fields
+  if (idempotencyKey) {
+    const existing = await prisma.mergeJob.findUnique({ where: { idempotencyKey } });
+    if (existing) return { jobId: existing.id, filePath: existing.filePath, reused: true };
+  }
+
+  // Fetch template with fields and uploaded assets
   const template = await prisma.template.findUnique({
     where: { id: templateId },
-    include: { fields: true },
+    include: { fields: true, assets: true },
   });
 
   if (!template) throw new Error('Template not found');
 
-  // Validate data against stored fields
-  const allowed = new Set(template.fields.map((f) => f.name));
-  const provided = flattenKeys(data);
-  const extras = provided.filter((k) => !allowed.has(k));
-  if (extras.length) logger.warn({ extras }, 'Unexpected fields in merge data');
-
-  const providedSet = new Set(provided);
-  const missing = [...allowed].filter((k) => !providedSet.has(k));
-  if (missing.length) {
-    const err = new Error(`Missing required fields: ${missing.join(', ')}`);
-    err.status = 422;
-    throw err;
+  const metered = Boolean(userId) && !testMode && !fromBatchJob;
+  let reservation = null;
+  if (metered) {
+    await usageService.checkQuotas(userId, { storageBytes: 1 });
+    if (!counted) reservation = await usageService.reserveUsage(userId, { merges: 1 });
   }
 
-  // Check for empty field values
-  const empty = [...allowed].filter((k) => providedSet.has(k) && (data[k] === '' || data[k] === null || data[k] === undefined));
-  if (empty.length) {
-    const err = new Error(`Empty values for required fields: ${empty.join(', ')}`);
-    err.status = 422;
+  try {
+    const result = await renderMerge(template, { data, outputType, userId, fromWebhook, testMode, idempotencyKey, metered });
+    // a merge another call recorded first isn't this one's
+    if (result.reused && reservation) await releaseMerge(reservation);
+    return result;
+  } catch (err) {
+    if (reservation) await releaseMerge(reservation);
     throw err;
   }
+}
+
+// Give back a merge's reservation; failing to is only logged, the merge's own outcome stands
+async function releaseMerge(reservation) {
+  await usageService.releaseUsage(reservation).catch((err) => {
+    logger.warn({ err, userId: reservation.userId }, 'Failed to give back a merge reservation');
+  });
+}
+
+/**
+ * Render a template with merge data and store the output, for mergeTemplate
+ * @returns {Promise<Object>} - As mergeTemplate
+ */
+async function renderMerge(template, { data, outputType, userId, fromWebhook, testMode, idempotencyKey, metered }) {
+  // Fill defaults, then validate data against the template's field schema
+  const checked = checkMergeData(template.fields, data);
+  data = checked.data;
+  if (checked.unknownFields.length) logger.warn({ extras: checked.unknownFields }, 'Unexpected fields in merge data');
+  if (checked.fieldErrors.length) throw new FieldValidationError(checked.fieldErrors);
 
   // Validate output type for template format
   const allowedOutputs = ALLOWED_OUTPUTS[template.mimeType];
@@ -387,6 +444,28 @@ async function mergeTemplate({
   // Load template bytes from S3
   const templateBuffer = await loadTemplateBuffer(template);
 
+  // Swap "asset:logo.png" references for the uploaded images
+  let renderData = await assetService.resolveAssetReferences(data, template.assets);
+
+  // Optional fields still blank render as markers; each format service removes the lines,
+  // paragraphs and rows they leave empty
+  renderData = markOptionalBlanks(template.fields, renderData);
+  const optionalFields = template.fields.filter((f) => f.required === false).map((f) => f.name);
+  // {{total | currency:"EUR"}} style filters format for the template's locale (en-US when unset)
+  const formatOptions = { locale: template.locale || undefined };
+
+  // {{quantity * unitPrice}} style expressions are evaluated up front and rendered like plain fields
+  const expressions = await expressionService.findTemplateExpressions(
+    templateBuffer,
+    template.mimeType,
+    template.fields.map((f) => f.name)
+  );
+  renderData = expressionService.addExpressionValues(renderData, expressions);
+
+  // Pre-render {{qr:url}} / {{barcode128:sku}} style tags into images the format services embed
+  const barcodeTags = await barcodeService.findTemplateBarcodeTags(templateBuffer, template.mimeType);
+  renderData = await barcodeService.addBarcodeImages(renderData, barcodeTags);
+
   // Merge template based on format
   let mergedBuffer;
   let intermediateFormat = null;
@@ -394,14 +473,14 @@ async function mergeTemplate({
   switch (template.mimeType) {
     case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
       // DOCX template
-      mergedBuffer = await docxService.fillDocxTemplate(templateBuffer, data);
+      mergedBuffer = await docxService.fillDocxTemplate(templateBuffer, renderData, { optionalFields, ...formatOptions });
       intermediateFormat = 'docx';
       break;
     }
 
     case 'text/html': {
       // HTML template
-      mergedBuffer = htmlService.fillHtmlTemplate(templateBuffer, data);
+      mergedBuffer = htmlService.fillHtmlTemplate(templateBuffer, renderData, formatOptions);
       if (fromWebhook) {
         mergedBuffer = htmlService.sanitizeHtml(mergedBuffer);
       }
@@ -414,10 +493,10 @@ async function mergeTemplate({
       const isForm = await pdfService.isFormBasedPdf(templateBuffer);
       logger.info({ isForm }, 'PDF template type detected');
       if (isForm) {
-        mergedBuffer = await pdfService.fillPdfForm(templateBuffer, data);
+        mergedBuffer = await pdfService.fillPdfForm(templateBuffer, renderData);
       } else {
         logger.info('Using text placeholder replacement');
-        mergedBuffer = await pdfService.fillPdfTextPlaceholders(templateBuffer, data);
+        mergedBuffer = await pdfService.fillPdfTextPlaceholders(templateBuffer, renderData, formatOptions);
       }
       intermediateFormat = 'pdf';
       break;
@@ -425,14 +504,14 @@ async function mergeTemplate({
 
     case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
       // XLSX template
-      mergedBuffer = await xlsxService.fillXlsxTemplate(templateBuffer, data, outputType);
+      mergedBuffer = await xlsxService.fillXlsxTemplate(templateBuffer, renderData, outputType, formatOptions);
       intermediateFormat = 'xlsx';
       break;
     }
 
     case 'application/vnd.openxmlformats-officedocument.presentationml.presentation': {
       // PPTX template
-      mergedBuffer = await pptxService.fillPptxTemplate(templateBuffer, data, outputType);
+      mergedBuffer = await pptxService.fillPptxTemplate(templateBuffer, renderData, outputType, formatOptions);
       intermediateFormat = 'pptx';
       break;
     }
@@ -461,7 +540,9 @@ async function mergeTemplate({
   // HTML conversions
   if (intermediateFormat === 'html' && outputType !== 'html') {
     if (outputType === 'pdf') {
-      outputBuffer = await htmlService.convertHtmlToPdf(mergedBuffer);
+      // uploaded fonts ride along as data URIs, the only URLs the PDF renderer loads
+      const fonts = await assetService.loadTemplateFonts(template.assets);
+      outputBuffer = await htmlService.convertHtmlToPdf(htmlService.injectFontFaces(mergedBuffer, fonts));
     } else if (outputType === 'docx') {
       outputBuffer = await htmlService.convertHtmlToDocx(mergedBuffer);
     }
@@ -559,6 +640,9 @@ async function mergeTemplate({
     };
   }
 
+  // the output's size is known now, so it's checked against the storage quota before it's kept
+  if (metered) await usageService.checkQuotas(userId, { storageBytes: outputBuffer.length });
+
   // Upload to S3
   const s3Key = filePath.replace(/^s3:\/\/[^/]+\//, '');
   await s3.send(
@@ -572,18 +656,31 @@ async function mergeTemplate({
 
   // Create MergeJob record
   // Note: We don't store raw merge data to avoid PII exposure
-  const job = await prisma.mergeJob.create({
-    data: {
-      templateId: template.id,
-      data: null,
-      outputType,
-      status: 'succeeded',
-      filePath,
-      userId: userId || null,
-    },
-  });
+  let job;
+  try {
+    job = await prisma.mergeJob.create({
+      data: {
+        templateId: template.id,
+        data: null,
+        outputType,
+        status: 'succeeded',
+        filePath,
+        fileSize: outputBuffer.length,
+        userId: userId || null,
+        ...(idempotencyKey ? { idempotencyKey } : {}),
+      },
+    });
+  } catch (err) {
+    // another run recorded the key first; its output stands and this one's file goes
+    if (!idempotencyKey || err.code !== 'P2002') throw err;
+    await s3.send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: s3Key })).catch((deleteErr) => {
+      logger.warn({ err: deleteErr, s3Key }, 'Failed to delete duplicate merge output');
+    });
+    const existing = await prisma.mergeJob.findUnique({ where: { idempotencyKey } });
+    return { jobId: existing.id, filePath: existing.filePath, reused: true };
+  }
 
   return { jobId: job.id, filePath };
 }
 
-module.exports = { mergeTemplate };
+module.exports = { mergeTemplate, checkMergeData };
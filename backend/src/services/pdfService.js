@@ -1,6 +1,10 @@
 const { PDFDocument, StandardFonts, PDFName } = require('pdf-lib');
 const path = require('path');
 const fs = require('fs').promises;
+const { parseImageValue } = require('../utils/images');
+const { isBlankMarker, stripBlanks } = require('../utils/blank-values');
+const { resolveFilteredTag } = require('../utils/formatters');
+const { isExpressionTag, expressionFields } = require('../utils/expressions');
 
 /**
  * Extract form field names from a fillable PDF
@@ -28,6 +32,7 @@ async function extractPdfFields(pdfBuffer) {
 
 /**
  * Fill PDF form fields with provided data
+ * Blank optional fields clear text fields and leave choices unselected
  * @param {Buffer} pdfBuffer - PDF file buffer
  * @param {Object} data - Field name/value pairs
  * @returns {Promise<Buffer>} - Filled PDF buffer
@@ -43,6 +48,11 @@ async function fillPdfForm(pdfBuffer, data) {
         const field = form.getField(fieldName);
         const fieldType = field.constructor.name;
 
+        if (isBlankMarker(value)) {
+          if (fieldType === 'PDFTextField') field.setText('');
+          continue;
+        }
+
         // Handle different field types
         if (fieldType === 'PDFTextField') {
           field.setText(String(value));
@@ -80,27 +90,52 @@ async function fillPdfForm(pdfBuffer, data) {
   }
 }
 
+// text placeholder, optionally a barcode tag ({{qr:url}}) drawn as a generated image, or followed
+// by value filters ({{total | currency:"EUR"}}); the name is a field or an expression (see isTextPlaceholder)
+const TEXT_PLACEHOLDER_REGEX = /\{\{\s*(?:(qr|barcode128|ean13|datamatrix)\s*:\s*)?([^{}|]+?)\s*(\|[^}]*)?\}\}/g;
+
+// a field name, or an expression ({{quantity * unitPrice}}) whose result the merge stored under its text
+const isTextPlaceholder = (match) => /^[\w.]+$/.test(match[2]) || (!match[1] && isExpressionTag(match[2]));
+
+// PDF points per CSS pixel (72 vs 96 DPI)
+const POINTS_PER_PIXEL = 0.75;
+
 /**
- * Extract text-based {{placeholder}} names from PDF content
+ * Extract the text of every page of a PDF
+ * Text items are concatenated so placeholders split across items come out whole
  * @param {Buffer} pdfBuffer - PDF file buffer
- * @returns {Promise<string[]>} - Array of placeholder names
+ * @returns {Promise<string[]>} - Text of each page, in order
  */
-async function extractPdfTextPlaceholders(pdfBuffer) {
+async function extractPdfText(pdfBuffer) {
   const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
   const workerSrc = path.join(require.resolve('pdfjs-dist/package.json'), '..', 'legacy', 'build', 'pdf.worker.mjs');
   pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
 
   const doc = await pdfjsLib.getDocument({ data: new Uint8Array(pdfBuffer) }).promise;
-  const fields = new Set();
+  const pages = [];
 
   for (let i = 1; i <= doc.numPages; i++) {
     const page = await doc.getPage(i);
     const textContent = await page.getTextContent();
-    // Concatenate all text items to handle placeholders split across items
-    const fullText = textContent.items.map(item => item.str).join('');
-    const matches = fullText.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g);
-    for (const match of matches) {
-      fields.add(match[1]);
+    pages.push(textContent.items.map(item => item.str).join(''));
+  }
+
+  return pages;
+}
+
+/**
+ * Extract text-based {{placeholder}} names from PDF content
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @returns {Promise<string[]>} - Array of placeholder names
+ */
+async function extractPdfTextPlaceholders(pdfBuffer) {
+  const fields = new Set();
+
+  for (const fullText of await extractPdfText(pdfBuffer)) {
+    for (const match of fullText.matchAll(TEXT_PLACEHOLDER_REGEX)) {
+      if (!isTextPlaceholder(match)) continue;
+      const names = /^[\w.]+$/.test(match[2]) ? [match[2]] : expressionFields(match[2]);
+      names.forEach((name) => fields.add(name));
     }
   }
 
@@ -128,9 +163,11 @@ async function isFormBasedPdf(pdfBuffer) {
  * Uses pdfjs-dist to find placeholder positions and pdf-lib to draw replacements.
  * @param {Buffer} pdfBuffer - PDF file buffer
  * @param {Object} data - Field name/value pairs
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale for value filters (en-US when unset)
  * @returns {Promise<Buffer>} - Filled PDF buffer
  */
-async function fillPdfTextPlaceholders(pdfBuffer, data) {
+async function fillPdfTextPlaceholders(pdfBuffer, data, options = {}) {
   try {
     const { rgb } = require('pdf-lib');
     const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
@@ -170,12 +207,17 @@ async function fillPdfTextPlaceholders(pdfBuffer, data) {
       // Search each line group for placeholders
       for (const lineItems of lineGroups) {
         const fullText = lineItems.map(it => it.str).join('');
-        const regex = /\{\{\s*([\w.]+)\s*\}\}/g;
+        const regex = new RegExp(TEXT_PLACEHOLDER_REGEX.source, 'g');
         let match;
 
         while ((match = regex.exec(fullText)) !== null) {
-          const fieldName = match[1];
-          if (!(fieldName in data)) continue;
+          if (!isTextPlaceholder(match)) continue;
+          // barcode tags read the image the merge pre-render step generated into "qr:field"
+          const fieldName = match[1] ? `${match[1]}:${match[2]}` : match[2];
+          const value = match[1]
+            ? data[fieldName]
+            : resolveFilteredTag(`${match[2]}${match[3] || ''}`, (name) => (name in data ? data[name] : undefined), options);
+          if (match[1] ? !(fieldName in data) : value === undefined) continue;
 
           const matchStart = match.index;
           const matchEnd = match.index + match[0].length;
@@ -256,7 +298,10 @@ async function fillPdfTextPlaceholders(pdfBuffer, data) {
             width,
             height,
             fontSize,
-            value: String(data[fieldName]),
+            // a blank optional field only covers its placeholder; the page layout is fixed, so
+            // the empty space stays
+            value: match[1] ? null : stripBlanks(String(value)),
+            image: match[1] && !isBlankMarker(value) ? parseImageValue(value, fieldName) : null,
           });
         }
       }
@@ -281,6 +326,17 @@ async function fillPdfTextPlaceholders(pdfBuffer, data) {
         borderWidth: 0,
       });
 
+      // Barcode images (always PNG) hang from the top of the placeholder's line
+      if (r.image) {
+        const embedded = await pdfDoc.embedPng(r.image.buffer);
+        const width = r.image.width * POINTS_PER_PIXEL;
+        const height = r.image.height * POINTS_PER_PIXEL;
+        page.drawImage(embedded, { x: r.x, y: r.y + r.fontSize - height, width, height });
+        continue;
+      }
+
+      if (!r.value) continue;
+
       // Draw replacement text at the baseline position
       page.drawText(r.value, {
         x: r.x,
@@ -301,6 +357,7 @@ async function fillPdfTextPlaceholders(pdfBuffer, data) {
 
 module.exports = {
   extractPdfFields,
+  extractPdfText,
   extractPdfTextPlaceholders,
   isFormBasedPdf,
   fillPdfForm,
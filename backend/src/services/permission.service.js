@@ -0,0 +1,186 @@
+/* PERMISSION SERVICE
+The one place that decides who may do what with a template, a folder or their outputs
+- a template or folder outside a workspace belongs to the user who made it, who may do anything with it
+- one inside a workspace is shared with its members, each acting by their role (WorkspaceRole in the schema):
+  owner > editor > merger > viewer, each allowed what the roles after it are
+- outputs (merge jobs) are seen by whoever made them and by the members of their template's workspace */
+
+const prisma = require('../config/prisma');
+
+// Roles from most to least allowed
+const WORKSPACE_ROLES = ['owner', 'editor', 'merger', 'viewer'];
+
+const VIEWER_ACTIONS = ['template:read', 'folder:read', 'output:read'];
+const MERGER_ACTIONS = [...VIEWER_ACTIONS, 'template:merge'];
+const EDITOR_ACTIONS = [...MERGER_ACTIONS, 'template:edit', 'folder:edit', 'workspace:add'];
+const OWNER_ACTIONS = [...EDITOR_ACTIONS, 'template:delete', 'template:share', 'folder:share', 'workspace:manage'];
+
+const ROLE_ACTIONS = {
+  viewer: VIEWER_ACTIONS,
+  merger: MERGER_ACTIONS,
+  editor: EDITOR_ACTIONS,
+  owner: OWNER_ACTIONS,
+};
+
+// What an action is, for the message of a refusal
+const ACTION_DESCRIPTIONS = {
+  'template:merge': 'merge this template',
+  'template:edit': 'change this template',
+  'template:delete': 'delete or restore this template',
+  'template:share': 'move this template between workspaces',
+  'folder:edit': 'change this folder',
+  'folder:share': 'move this folder between workspaces',
+  'workspace:add': 'add templates and folders to this workspace',
+  'workspace:manage': 'manage this workspace',
+};
+
+// Error with the HTTP status the route answers with
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Whether a role allows an action
+ * @param {string|null} role - WorkspaceRole, or null for no access
+ * @param {string} action - e.g. "template:merge"
+ * @returns {boolean}
+ */
+function hasPermission(role, action) {
+  return !!role && ROLE_ACTIONS[role].includes(action);
+}
+
+/**
+ * A user's role in a workspace
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<string|null>} - WorkspaceRole, or null if they aren't a member
+ */
+async function getWorkspaceRole(userId, workspaceId) {
+  const member = await prisma.workspaceMember.findUnique({
+    where: { workspaceId_userId: { workspaceId, userId } },
+    select: { role: true },
+  });
+  return member?.role ?? null;
+}
+
+/**
+ * A user's role for a template: their workspace role when it's shared, owner when it's their own private one
+ * @param {string} userId - User ID
+ * @param {Object|null} template - Template record (uploadedById, workspaceId)
+ * @returns {Promise<string|null>} - WorkspaceRole, or null when they can't see it
+ */
+async function getTemplateRole(userId, template) {
+  if (!template) return null;
+  if (template.workspaceId) return getWorkspaceRole(userId, template.workspaceId);
+  return template.uploadedById && template.uploadedById === userId ? 'owner' : null;
+}
+
+/**
+ * A user's role for a folder, like getTemplateRole
+ * @param {string} userId - User ID
+ * @param {Object|null} folder - Folder record (userId, workspaceId)
+ * @returns {Promise<string|null>} - WorkspaceRole, or null when they can't see it
+ */
+async function getFolderRole(userId, folder) {
+  if (!folder) return null;
+  if (folder.workspaceId) return getWorkspaceRole(userId, folder.workspaceId);
+  return folder.userId === userId ? 'owner' : null;
+}
+
+// Why a role doesn't allow an action: 404 when there's no role at all, so what can't be seen isn't revealed
+function permissionError(role, action, notFoundMessage) {
+  if (!role) return statusError(notFoundMessage, 404);
+  if (hasPermission(role, action)) return null;
+  return statusError(`Your ${role} role doesn't allow you to ${ACTION_DESCRIPTIONS[action] || action}`, 403);
+}
+
+/**
+ * Check that a user may act on a template
+ * @param {string} userId - User ID
+ * @param {Object|null} template - Template record; null is answered like a template they can't see
+ * @param {string} action - e.g. "template:merge"
+ * @returns {Promise<Error|null>} - null when allowed, otherwise an error with status 404 or 403 to answer with
+ */
+async function templatePermissionError(userId, template, action) {
+  return permissionError(await getTemplateRole(userId, template), action, 'Template not found');
+}
+
+/**
+ * Check that a user may act on a folder, like templatePermissionError
+ * @param {string} userId - User ID
+ * @param {Object|null} folder - Folder record
+ * @param {string} action - e.g. "folder:edit"
+ * @returns {Promise<Error|null>} - null when allowed, otherwise an error with status 404 or 403
+ */
+async function folderPermissionError(userId, folder, action) {
+  return permissionError(await getFolderRole(userId, folder), action, 'Folder not found');
+}
+
+/**
+ * Check that a user may act on a workspace, like templatePermissionError
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} action - e.g. "workspace:manage"
+ * @returns {Promise<Error|null>} - null when allowed, otherwise an error with status 404 or 403
+ */
+async function workspacePermissionError(userId, workspaceId, action) {
+  return permissionError(await getWorkspaceRole(userId, workspaceId), action, 'Workspace not found');
+}
+
+/**
+ * Prisma filter for the templates a user can see
+ * @param {string} userId - User ID
+ * @returns {Object} - where clause for prisma.template
+ */
+function visibleTemplatesWhere(userId) {
+  return {
+    OR: [
+      { workspaceId: null, uploadedById: userId },
+      { workspace: { members: { some: { userId } } } },
+    ],
+  };
+}
+
+/**
+ * Prisma filter for the folders a user can see
+ * @param {string} userId - User ID
+ * @returns {Object} - where clause for prisma.folder
+ */
+function visibleFoldersWhere(userId) {
+  return {
+    OR: [
+      { workspaceId: null, userId },
+      { workspace: { members: { some: { userId } } } },
+    ],
+  };
+}
+
+/**
+ * Prisma filter for the merge jobs (outputs) a user can see: their own, and those of their workspaces' templates
+ * @param {string} userId - User ID
+ * @returns {Object} - where clause for prisma.mergeJob
+ */
+function visibleMergeJobsWhere(userId) {
+  return {
+    OR: [
+      { userId },
+      { template: { workspace: { members: { some: { userId } } } } },
+    ],
+  };
+}
+
+module.exports = {
+  WORKSPACE_ROLES,
+  hasPermission,
+  getWorkspaceRole,
+  getTemplateRole,
+  getFolderRole,
+  templatePermissionError,
+  folderPermissionError,
+  workspacePermissionError,
+  visibleTemplatesWhere,
+  visibleFoldersWhere,
+  visibleMergeJobsWhere,
+};
@@ -1,10 +1,422 @@
+const path = require('path');
 const AdmZip = require('adm-zip');
 const { convertPptxToPdf } = require('../utils/libreoffice');
 const { escapeRegExp } = require('../utils/regex');
+const { TemplateParseError } = require('../utils/docx-templating');
+const {
+  PLACEHOLDER_REGEX,
+  SECTION_TAG_REGEX,
+  findSectionTags,
+  stripSectionTags,
+  findPlaceholders,
+  imageTagName,
+  resolvePath,
+  buildSectionTree,
+  expandSectionTree,
+  stringifyValue,
+  replacePlaceholders,
+} = require('../utils/placeholders');
+const { RUN_REGEX, escapeXml, textOf, mergeSplitRuns } = require('../utils/text-runs');
+const { parseImageValue, pxToEmu } = require('../utils/images');
+const { BLANK, isBlankMarker, isBlankOnly, stripBlanks, collapseBlankLines } = require('../utils/blank-values');
+
+const SLIDE_PATH_REGEX = /^ppt\/slides\/slide(\d+)\.xml$/;
+const SLIDE_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide';
+const SLIDE_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.slide+xml';
+const IMAGE_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+
+// non-nesting DrawingML elements, safe to match lazily
+const TABLE_REGEX = /<a:tbl(?:\s[^>]*)?>[\s\S]*?<\/a:tbl>/g;
+const TABLE_ROW_REGEX = /<a:tr(?:\s[^>]*)?>[\s\S]*?<\/a:tr>/g;
+const SHAPE_REGEX = /<p:sp(?:\s[^>]*)?>[\s\S]*?<\/p:sp>/g;
+const TEXT_BODY_REGEX = /<(p|a):txBody>[\s\S]*?<\/\1:txBody>/g;
+const PARAGRAPH_REGEX = /<a:p(?:\s[^>]*)?>[\s\S]*?<\/a:p>/g;
+const LINE_BREAK_REGEX = /<a:br(?:\s[^>]*)?(?:\/>|>[\s\S]*?<\/a:br>)/g;
+
+/**
+ * Read a zip entry as UTF-8 text
+ * @returns {string|null} - Entry text, or null when the entry doesn't exist
+ */
+function readEntry(zip, name) {
+  const entry = zip.getEntry(name);
+  return entry ? entry.getData().toString('utf8') : null;
+}
+
+/**
+ * Write a zip entry, creating it when missing
+ */
+function writeEntry(zip, name, text) {
+  if (zip.getEntry(name)) {
+    zip.updateFile(name, Buffer.from(text, 'utf8'));
+  } else {
+    zip.addFile(name, Buffer.from(text, 'utf8'));
+  }
+}
+
+/**
+ * Read an attribute from a single XML start tag
+ */
+function getAttr(tag, name) {
+  const match = tag.match(new RegExp(`\\s${escapeRegExp(name)}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolve a relationship target against the folder of the part that owns it
+ */
+function resolveTarget(baseDir, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  return path.posix.normalize(path.posix.join(baseDir, target));
+}
+
+/**
+ * Rels part path for a package part, e.g. ppt/slides/slide1.xml -> ppt/slides/_rels/slide1.xml.rels
+ */
+function relsPathFor(partPath) {
+  return `${path.posix.dirname(partPath)}/_rels/${path.posix.basename(partPath)}.rels`;
+}
+
+/**
+ * List slide parts in presentation order, with tags split across text runs merged
+ * Falls back to slide file numbering when presentation.xml is missing
+ * @returns {{ slides: Array<{path: string, xml: string, rId: string|null, sldId: string|null}>, ordered: boolean }}
+ */
+function listSlides(zip) {
+  const presentation = readEntry(zip, 'ppt/presentation.xml');
+  const presentationRels = readEntry(zip, 'ppt/_rels/presentation.xml.rels');
+
+  if (presentation && presentationRels) {
+    const targets = new Map();
+    for (const [tag] of presentationRels.matchAll(/<Relationship\s[^>]*>/g)) {
+      targets.set(getAttr(tag, 'Id'), resolveTarget('ppt', getAttr(tag, 'Target')));
+    }
+
+    const slides = [];
+    for (const [tag] of presentation.matchAll(/<p:sldId\s[^>]*>/g)) {
+      const rId = getAttr(tag, 'r:id');
+      const slidePath = targets.get(rId);
+      const xml = slidePath && readEntry(zip, slidePath);
+      if (xml) slides.push({ path: slidePath, xml: mergeSplitRuns(xml), rId, sldId: tag });
+    }
+    return { slides, ordered: true };
+  }
+
+  const slides = zip
+    .getEntries()
+    .map((entry) => entry.entryName)
+    .filter((name) => SLIDE_PATH_REGEX.test(name))
+    .sort((a, b) => Number(a.match(SLIDE_PATH_REGEX)[1]) - Number(b.match(SLIDE_PATH_REGEX)[1]))
+    .map((name) => ({ path: name, xml: mergeSplitRuns(readEntry(zip, name)), rId: null, sldId: null }));
+  return { slides, ordered: false };
+}
+
+/**
+ * Remove section tags from slide XML
+ * - runs left empty are dropped, and text boxes holding only tags are removed entirely,
+ *   so directives don't leave blank boxes or lines behind
+ */
+function removeSectionTags(xml) {
+  return xml
+    .replace(SHAPE_REGEX, (shape) => {
+      const text = textOf(shape);
+      return findSectionTags(text).length > 0 && !stripSectionTags(text).trim() ? '' : shape;
+    })
+    .replace(RUN_REGEX, (run) => {
+      const text = textOf(run);
+      return findSectionTags(text).length > 0 && !stripSectionTags(text) ? '' : run;
+    })
+    .replace(SECTION_TAG_REGEX, '');
+}
+
+/**
+ * Replace value placeholders in slide XML, XML-escaping the inserted values
+ * options.locale formats filtered values ({{total | currency:"EUR"}})
+ */
+function fillText(xml, scopes, options = {}) {
+  return replacePlaceholders(xml, scopes, (value) => escapeXml(stringifyValue(value)), options);
+}
+
+/**
+ * Expand {{#section}} row blocks inside slide tables
+ * A row holding {{#items}} ... {{/items}} (or a block of rows between them) is repeated per
+ * array item; rows holding only section tags are marker rows and are dropped
+ */
+function renderTables(xml, scopes, slidePath, options = {}) {
+  return xml.replace(TABLE_REGEX, (table) => {
+    const rows = [...table.matchAll(TABLE_ROW_REGEX)];
+    const blocks = rows.map((match, i) => {
+      const text = textOf(match[0]);
+      const tags = findSectionTags(text);
+      return { id: i, tags, markerOnly: tags.length > 0 && !stripSectionTags(text).trim() };
+    });
+
+    const tree = buildSectionTree(blocks, { label: (i) => `Table row ${i + 1}`, file: () => slidePath });
+    if (!tree.hasSections) return table;
+
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    const body = expandSectionTree(tree.children, scopes)
+      .map((entry) => fillText(removeSectionTags(rows[entry.id][0]), entry.scopes, options))
+      .join('');
+
+    return table.slice(0, first.index) + body + table.slice(last.index + last[0].length);
+  });
+}
+
+/**
+ * Replace text boxes holding a single {{%field}} tag with pictures
+ * - the picture takes the box's position; without an explicit size it is fitted into the box
+ * - unresolved image tags are left untouched like other placeholders; a blank optional field
+ *   removes the box
+ * @returns {{ xml: string, images: Array<{rId: string, image: Object}> }} - Slide XML and the
+ *   images its new relationships must point at
+ */
+function placeImages(xml, scopes) {
+  const images = [];
+
+  const out = xml.replace(SHAPE_REGEX, (shape) => {
+    const name = imageTagName(textOf(shape));
+    if (!name) return shape;
+    const value = resolvePath(scopes, name);
+    if (value === undefined) return shape;
+    if (isBlankMarker(value)) return '';
+
+    const image = parseImageValue(value, name);
+    const rId = `rIdImg${images.length + 1}`;
+    images.push({ rId, image });
+
+    const cNvPr = shape.match(/<p:cNvPr\s[^>]*>/);
+    const id = (cNvPr && getAttr(cNvPr[0], 'id')) || 1000 + images.length;
+    const off = shape.match(/<a:off\s+x="(-?\d+)"\s+y="(-?\d+)"/);
+    const ext = shape.match(/<a:ext\s+cx="(\d+)"\s+cy="(\d+)"/);
+    let x = off ? Number(off[1]) : 0;
+    let y = off ? Number(off[2]) : 0;
+    let cx = pxToEmu(image.width);
+    let cy = pxToEmu(image.height);
+
+    if (!image.sized && ext) {
+      // fit into the placeholder box, centred
+      const scale = Math.min(Number(ext[1]) / cx, Number(ext[2]) / cy);
+      x += Math.round((Number(ext[1]) - cx * scale) / 2);
+      y += Math.round((Number(ext[2]) - cy * scale) / 2);
+      cx = Math.round(cx * scale);
+      cy = Math.round(cy * scale);
+    }
+
+    return (
+      `<p:pic><p:nvPicPr><p:cNvPr id="${id}" name="${escapeXml(name)}"/>` +
+      '<p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr><p:nvPr/></p:nvPicPr>' +
+      `<p:blipFill><a:blip r:embed="${rId}"/><a:stretch><a:fillRect/></a:stretch></p:blipFill>` +
+      `<p:spPr><a:xfrm><a:off x="${x}" y="${y}"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+      '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr></p:pic>'
+    );
+  });
+
+  return { xml: out, images };
+}
+
+/**
+ * Add media parts and slide relationships for pictures placed by placeImages
+ */
+function addImageParts(zip, slidePath, images) {
+  if (!images.length) return;
+
+  const relsPath = relsPathFor(slidePath);
+  let rels =
+    readEntry(zip, relsPath) ||
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+  let contentTypes = readEntry(zip, '[Content_Types].xml') || '';
+  let mediaNumber = 1;
+
+  for (const { rId, image } of images) {
+    while (zip.getEntry(`ppt/media/image${mediaNumber}.${image.extension}`)) mediaNumber++;
+    const mediaPath = `ppt/media/image${mediaNumber}.${image.extension}`;
+    zip.addFile(mediaPath, image.buffer);
+
+    const target = path.posix.relative(path.posix.dirname(slidePath), mediaPath);
+    rels = rels.replace('</Relationships>', `<Relationship Id="${rId}" Type="${IMAGE_REL_TYPE}" Target="${target}"/></Relationships>`);
+
+    if (!new RegExp(`<Default\\s[^>]*Extension="${image.extension}"`, 'i').test(contentTypes)) {
+      contentTypes = contentTypes.replace(
+        '</Types>',
+        `<Default Extension="${image.extension}" ContentType="${image.mimeType}"/></Types>`
+      );
+    }
+  }
+
+  writeEntry(zip, relsPath, rels);
+  writeEntry(zip, '[Content_Types].xml', contentTypes);
+}
+
+/**
+ * Remove what blank optional fields left behind in rendered slide XML
+ * - table rows holding only markers are removed (a table keeps its rows when all of them are blank)
+ * - lines holding only markers lose their <a:br>, and paragraphs holding only markers are removed,
+ *   except the one paragraph every text body needs
+ */
+function removeBlankContent(xml) {
+  if (!xml.includes(BLANK)) return xml;
+
+  const out = xml
+    .replace(TABLE_REGEX, (table) => {
+      const rows = [...table.matchAll(TABLE_ROW_REGEX)].map((m) => m[0]);
+      const blank = rows.filter((row) => isBlankOnly(textOf(row)));
+      if (!blank.length || blank.length === rows.length) return table;
+      return table.replace(TABLE_ROW_REGEX, (row) => (isBlankOnly(textOf(row)) ? '' : row));
+    })
+    .replace(TEXT_BODY_REGEX, (body) => {
+      let kept = 0;
+      const paragraphs = body.match(PARAGRAPH_REGEX) || [];
+      const rendered = body.replace(PARAGRAPH_REGEX, (paragraph) => {
+        const collapsed = collapseBlankLines(paragraph, LINE_BREAK_REGEX, textOf);
+        if (isBlankOnly(textOf(collapsed))) return '';
+        kept++;
+        return collapsed;
+      });
+      return kept || !paragraphs.length ? rendered : body;
+    });
+
+  return stripBlanks(out);
+}
+
+/**
+ * Render one slide's XML against a scope chain
+ * @returns {{ xml: string, images: Array }} - Rendered XML plus pictures to add via addImageParts
+ */
+function renderSlide(xml, scopes, slidePath, options = {}) {
+  const placed = placeImages(renderTables(xml, scopes, slidePath, options), scopes);
+  return { xml: removeBlankContent(fillText(removeSectionTags(placed.xml), scopes, options)), images: placed.images };
+}
+
+/**
+ * Section tags that apply to a whole slide - those outside its tables
+ */
+function slideSectionTags(xml) {
+  return findSectionTags(textOf(xml.replace(TABLE_REGEX, '')));
+}
+
+/**
+ * Remove a slide part along with its rels, notes slide and content type overrides
+ */
+function removeSlidePart(zip, slidePath, contentTypes) {
+  const relsPath = relsPathFor(slidePath);
+  const rels = readEntry(zip, relsPath);
+  const parts = [slidePath];
+
+  if (rels) {
+    for (const [tag] of rels.matchAll(/<Relationship\s[^>]*>/g)) {
+      if (/\/notesSlide"/.test(tag)) {
+        const notesPath = resolveTarget(path.posix.dirname(slidePath), getAttr(tag, 'Target'));
+        parts.push(notesPath);
+        if (zip.getEntry(relsPathFor(notesPath))) zip.deleteFile(relsPathFor(notesPath));
+      }
+    }
+    zip.deleteFile(relsPath);
+  }
+
+  for (const part of parts) {
+    if (zip.getEntry(part)) zip.deleteFile(part);
+    contentTypes = contentTypes.replace(
+      new RegExp(`<Override\\s[^>]*PartName="/${escapeRegExp(part)}"[^>]*/>`),
+      ''
+    );
+  }
+  return contentTypes;
+}
+
+/**
+ * Rebuild the deck from the expanded slide plan
+ * - the first copy of a slide reuses its part; further copies get new slide parts, relationship
+ *   ids and slide ids (notes are not copied, since a notes slide belongs to exactly one slide)
+ * - slides left out of the plan are removed
+ */
+function writeDeck(zip, slides, plan, options = {}) {
+  const presentationPath = 'ppt/presentation.xml';
+  const presentationRelsPath = 'ppt/_rels/presentation.xml.rels';
+  let presentation = readEntry(zip, presentationPath);
+  let presentationRels = readEntry(zip, presentationRelsPath);
+  let contentTypes = readEntry(zip, '[Content_Types].xml') || '';
+
+  const maxOf = (values, floor) => values.reduce((max, v) => Math.max(max, v), floor);
+  let nextSlideNumber =
+    maxOf(
+      zip.getEntries().map((e) => e.entryName.match(SLIDE_PATH_REGEX)).filter(Boolean).map((m) => Number(m[1])),
+      0
+    ) + 1;
+  let nextRelId =
+    maxOf([...presentationRels.matchAll(/\sId="rId(\d+)"/g)].map((m) => Number(m[1])), 0) + 1;
+  let nextSlideId =
+    maxOf([...presentation.matchAll(/<p:sldId\s[^>]*>/g)].map(([tag]) => Number(getAttr(tag, 'id'))), 255) + 1;
+
+  const used = new Set();
+  const slideIds = [];
+  const newRels = [];
+  const newOverrides = [];
+  const placedImages = [];
+
+  for (const entry of plan) {
+    const slide = slides[entry.id];
+    const { xml, images } = renderSlide(slide.xml, entry.scopes, slide.path, options);
+
+    if (!used.has(entry.id)) {
+      used.add(entry.id);
+      writeEntry(zip, slide.path, xml);
+      placedImages.push({ path: slide.path, images });
+      slideIds.push(slide.sldId);
+      continue;
+    }
+
+    const copyPath = `ppt/slides/slide${nextSlideNumber++}.xml`;
+    const rId = `rId${nextRelId++}`;
+    writeEntry(zip, copyPath, xml);
+    placedImages.push({ path: copyPath, images });
+
+    const rels = readEntry(zip, relsPathFor(slide.path));
+    if (rels) {
+      writeEntry(zip, relsPathFor(copyPath), rels.replace(/<Relationship\s[^>]*\/notesSlide"[^>]*\/>/g, ''));
+    }
+
+    newRels.push(
+      `<Relationship Id="${rId}" Type="${SLIDE_REL_TYPE}" Target="${path.posix.relative('ppt', copyPath)}"/>`
+    );
+    newOverrides.push(`<Override PartName="/${copyPath}" ContentType="${SLIDE_CONTENT_TYPE}"/>`);
+    slideIds.push(`<p:sldId id="${nextSlideId++}" r:id="${rId}"/>`);
+  }
+
+  slides.forEach((slide, i) => {
+    if (used.has(i)) return;
+    contentTypes = removeSlidePart(zip, slide.path, contentTypes);
+    presentationRels = presentationRels.replace(
+      new RegExp(`<Relationship\\s[^>]*Id="${escapeRegExp(slide.rId)}"[^>]*/>`),
+      ''
+    );
+  });
+
+  presentation = presentation.replace(
+    /<p:sldIdLst>[\s\S]*?<\/p:sldIdLst>/,
+    slideIds.length ? `<p:sldIdLst>${slideIds.join('')}</p:sldIdLst>` : ''
+  );
+  presentationRels = presentationRels.replace('</Relationships>', `${newRels.join('')}</Relationships>`);
+  contentTypes = contentTypes.replace('</Types>', `${newOverrides.join('')}</Types>`);
+
+  writeEntry(zip, presentationPath, presentation);
+  writeEntry(zip, presentationRelsPath, presentationRels);
+  writeEntry(zip, '[Content_Types].xml', contentTypes);
+
+  for (const { path: slidePath, images } of placedImages) {
+    addImageParts(zip, slidePath, images);
+  }
+
+  // keep the slide count in the document properties in step
+  const app = readEntry(zip, 'docProps/app.xml');
+  if (app) writeEntry(zip, 'docProps/app.xml', app.replace(/<Slides>\d+<\/Slides>/, `<Slides>${slideIds.length}</Slides>`));
+}
 
 /**
  * Extract field placeholders from a PPTX template
  * Looks for text containing {{fieldName}} or ${fieldName} patterns
+ * - {{#items}}...{{/items}} sections (slide repeats or table row loops) report the section name
+ *   plus its body fields as dot-paths under it (e.g. "items", "items.name")
  * @param {Buffer} pptxBuffer - PPTX file buffer
  * @returns {Promise<string[]>} - Array of unique field names
  */
@@ -12,18 +424,29 @@ async function extractPptxFields(pptxBuffer) {
   try {
     const zip = new AdmZip(pptxBuffer);
     const fields = new Set();
-    const placeholderRegex = /\{\{([^}]+)\}\}|\$\{([^}]+)\}/g;
-
-    // Extract all slide XML files
-    const entries = zip.getEntries();
-    for (const entry of entries) {
-      if (entry.entryName.match(/ppt\/slides\/slide\d+\.xml/)) {
-        const content = entry.getData().toString('utf8');
-
-        let match;
-        while ((match = placeholderRegex.exec(content)) !== null) {
-          const fieldName = match[1] || match[2];
-          fields.add(fieldName.trim());
+    const tagRegex = new RegExp(`${SECTION_TAG_REGEX.source}|${PLACEHOLDER_REGEX.source}`, 'g');
+
+    // open sections carry over between slides, so a loop can span several of them
+    const stack = [];
+    const prefix = () =>
+      stack.filter((s) => !s.inverted).map((s) => `${s.name}.`).join('');
+
+    for (const slide of listSlides(zip).slides) {
+      for (const match of slide.xml.matchAll(tagRegex)) {
+        const [, sigil, sectionName] = match;
+
+        if (sigil === '/') {
+          // tolerate malformed nesting here - the merge reports it
+          const index = stack.map((s) => s.name).lastIndexOf(sectionName);
+          if (index !== -1) stack.splice(index);
+        } else if (sigil) {
+          fields.add(`${prefix()}${sectionName}`);
+          stack.push({ name: sectionName, inverted: sigil === '^' });
+        } else {
+          // image and barcode tags report the field they read, expressions every field they read
+          for (const fieldName of findPlaceholders(match[0])) {
+            if (fieldName !== '.') fields.add(`${prefix()}${fieldName}`);
+          }
         }
       }
     }
@@ -38,35 +461,37 @@ async function extractPptxFields(pptxBuffer) {
 /**
  * Fill PPTX template with provided data
  * Replaces {{fieldName}} or ${fieldName} patterns with actual values
+ * - {{#products}}...{{/products}} outside a table repeats the slide(s) it spans per array item
+ *   ({{#flag}} / {{^flag}} keep or drop slides conditionally)
+ * - the same tags inside a table repeat table rows
+ * - a text box holding only {{%logo}} becomes that picture (see utils/images.js)
  * @param {Buffer} pptxBuffer - PPTX file buffer
  * @param {Object} data - Field name/value pairs
  * @param {string} outputFormat - 'pptx', 'ppsx', 'pdf', or 'jpg'
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale for value filters (en-US when unset)
  * @returns {Promise<Buffer>} - Filled PPTX buffer
  */
-async function fillPptxTemplate(pptxBuffer, data, outputFormat = 'pptx') {
+async function fillPptxTemplate(pptxBuffer, data, outputFormat = 'pptx', options = {}) {
   try {
     const zip = new AdmZip(pptxBuffer);
+    const { slides, ordered } = listSlides(zip);
 
-    // Process all slide XML files
-    const entries = zip.getEntries();
-    for (const entry of entries) {
-      if (entry.entryName.match(/ppt\/slides\/slide\d+\.xml/)) {
-        let content = entry.getData().toString('utf8');
-
-        // Replace all placeholders
-        for (const [fieldName, fieldValue] of Object.entries(data)) {
-          const escapedFieldName = escapeRegExp(fieldName);
-          const patterns = [
-            new RegExp(`\\{\\{${escapedFieldName}\\}\\}`, 'g'),
-            new RegExp(`\\$\\{${escapedFieldName}\\}`, 'g'),
-          ];
-
-          patterns.forEach((pattern) => {
-            content = content.replace(pattern, fieldValue);
-          });
-        }
+    const tree = buildSectionTree(
+      slides.map((slide, i) => ({ id: i, tags: slideSectionTags(slide.xml) })),
+      { label: (i) => `Slide ${i + 1}`, file: (i) => slides[i].path }
+    );
 
-        zip.updateFile(entry, Buffer.from(content, 'utf8'));
+    if (tree.hasSections) {
+      if (!ordered) {
+        throw new Error('Repeating slides requires ppt/presentation.xml');
+      }
+      writeDeck(zip, slides, expandSectionTree(tree.children, [data]), options);
+    } else {
+      for (const slide of slides) {
+        const { xml, images } = renderSlide(slide.xml, [data], slide.path, options);
+        writeEntry(zip, slide.path, xml);
+        addImageParts(zip, slide.path, images);
       }
     }
 
@@ -91,6 +516,10 @@ async function fillPptxTemplate(pptxBuffer, data, outputFormat = 'pptx') {
 
     return outputBuffer;
   } catch (error) {
+    if (error instanceof TemplateParseError) {
+      error.status = 422;
+      throw error;
+    }
     console.error('Error filling PPTX template:', error);
     throw new Error(`Failed to fill PPTX template: ${error.message}`);
   }
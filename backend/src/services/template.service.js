@@ -90,15 +90,16 @@ async function extractFieldsFromTemplate(buffer, mimeType) {
 
 /**
  * Store template and its fields in database
- * Creates Template + Field[] rows via Prisma
+ * Creates Template + Field[] rows via Prisma; fileSize is the bytes uploaded, counted in the uploader's storage
  */
-async function storeTemplateAndFields(storageKey, displayName, mimeType, fieldNames, uploadedById) {
+async function storeTemplateAndFields(storageKey, displayName, mimeType, fieldNames, uploadedById, fileSize) {
   return await prisma.template.create({
     data: {
       storageKey,
       displayName,
       mimeType,
       uploadedById,
+      fileSize,
       fields: {
         create: fieldNames.map((name) => ({ name })),
       },
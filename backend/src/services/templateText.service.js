@@ -0,0 +1,50 @@
+/* TEMPLATE TEXT - THE TEXT MERGE PRE-RENDER STEPS SCAN FOR TAGS
+Barcode tags and computed expressions are resolved into the merge data before a template renders,
+so the merge first needs every tag the template holds, whatever its format. */
+
+const PizZip = require('pizzip');
+const pdfService = require('./pdfService');
+
+// parts of OOXML packages that can hold tags
+const DOCX_PART_REGEX = /^word\/(document|header\d*|footer\d*)\.xml$/;
+const PPTX_PART_REGEX = /^ppt\/slides\/slide\d+\.xml$/;
+const XLSX_PART_REGEX = /^xl\/(sharedStrings|worksheets\/sheet\d+)\.xml$/;
+
+/**
+ * Text of the XML parts of a zip package, with markup removed so tags split over runs read whole
+ */
+function packageText(buffer, partRegex) {
+  const zip = new PizZip(buffer);
+  return Object.keys(zip.files)
+    .filter((name) => partRegex.test(name))
+    .map((name) => zip.file(name).asText().replace(/<[^>]+>/g, ''))
+    .join('\n');
+}
+
+/**
+ * Read the text a template's tags can appear in
+ * XML text is returned as stored, entities included (utils/formatters.js parseTag decodes them)
+ * @param {Buffer} templateBuffer - Template file bytes
+ * @param {string} mimeType - Template MIME type
+ * @returns {Promise<string>} - Template text; empty for formats without tags
+ */
+async function readTemplateText(templateBuffer, mimeType) {
+  switch (mimeType) {
+    case 'text/html':
+      return templateBuffer.toString('utf-8');
+    case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+      return packageText(templateBuffer, DOCX_PART_REGEX);
+    case 'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+      return packageText(templateBuffer, PPTX_PART_REGEX);
+    case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
+      return packageText(templateBuffer, XLSX_PART_REGEX);
+    case 'application/pdf':
+      return (await pdfService.extractPdfText(templateBuffer)).join('\n');
+    default:
+      return '';
+  }
+}
+
+module.exports = {
+  readTemplateText,
+};
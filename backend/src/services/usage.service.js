@@ -0,0 +1,262 @@
+/* USAGE SERVICE
+What a user has stored and run, and the quotas that limit it
+- storage is counted from the sizes kept as files are written: a template's file, versions and assets count for its
+  uploader, a merge output for whoever ran the merge; files written before sizes were kept count as 0 bytes
+- merges and batch rows are metered per calendar month (UTC) in UsageCounter: a merge is reserved before it runs
+  and given back if it fails, a batch job's rows as they're queued; the rows' merges then don't count again as
+  merges. A reservation only goes through while the counter stays within the quota, so concurrent requests
+  can't overshoot it
+- quotas are set per role (User.role) and each can be changed with an environment variable, e.g.
+  QUOTA_USER_STORAGE_BYTES=10737418240; "unlimited" lifts it */
+
+const prisma = require('../config/prisma');
+
+/**
+ * A quota the request would go past
+ * quota is its name (e.g. "mergesPerMonth"), limit what it allows and used what's been used so far
+ */
+class QuotaExceededError extends Error {
+  constructor(quota, limit, used) {
+    super(QUOTA_MESSAGES[quota](limit));
+    this.name = 'QuotaExceededError';
+    this.status = 403;
+    this.quota = quota;
+    this.limit = limit;
+    this.used = used;
+    this.details = { quota, limit, used };
+  }
+}
+
+// A quota's value from the environment; null is unlimited
+function quotaFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  if (value === 'unlimited') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+const GB = 1024 * 1024 * 1024;
+
+// What each role may store and run; null is unlimited
+const QUOTAS = {
+  user: {
+    templates: quotaFromEnv('QUOTA_USER_TEMPLATES', 200),
+    storageBytes: quotaFromEnv('QUOTA_USER_STORAGE_BYTES', 5 * GB),
+    mergesPerMonth: quotaFromEnv('QUOTA_USER_MERGES_PER_MONTH', 5000),
+    batchRowsPerMonth: quotaFromEnv('QUOTA_USER_BATCH_ROWS_PER_MONTH', 50000),
+  },
+  admin: {
+    templates: quotaFromEnv('QUOTA_ADMIN_TEMPLATES', null),
+    storageBytes: quotaFromEnv('QUOTA_ADMIN_STORAGE_BYTES', null),
+    mergesPerMonth: quotaFromEnv('QUOTA_ADMIN_MERGES_PER_MONTH', null),
+    batchRowsPerMonth: quotaFromEnv('QUOTA_ADMIN_BATCH_ROWS_PER_MONTH', null),
+  },
+};
+
+const QUOTA_MESSAGES = {
+  templates: (limit) => `You've reached your limit of ${limit} templates; delete one to upload another`,
+  storageBytes: (limit) => `This would go past your storage limit of ${formatBytes(limit)}`,
+  mergesPerMonth: (limit) => `You've reached your limit of ${limit} merges this month`,
+  batchRowsPerMonth: (limit) => `This would go past your limit of ${limit} batch rows this month`,
+};
+
+function formatBytes(bytes) {
+  if (bytes >= GB) return `${+(bytes / GB).toFixed(1)} GB`;
+  return `${+(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// The UsageCounter month a date falls in, e.g. "2026-10"
+function monthOf(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Bytes a user has in storage
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { templates, versions, assets, outputs, total } in bytes
+ */
+async function getStorageUsage(userId) {
+  const ofTheirTemplates = { template: { uploadedById: userId } };
+  const [templates, versions, assets, outputs] = await Promise.all([
+    prisma.template.aggregate({ where: { uploadedById: userId }, _sum: { fileSize: true } }),
+    prisma.templateVersion.aggregate({ where: ofTheirTemplates, _sum: { fileSize: true } }),
+    prisma.templateAsset.aggregate({ where: ofTheirTemplates, _sum: { size: true } }),
+    prisma.mergeJob.aggregate({ where: { userId }, _sum: { fileSize: true } }),
+  ]);
+
+  const usage = {
+    templates: templates._sum.fileSize ?? 0,
+    versions: versions._sum.fileSize ?? 0,
+    assets: assets._sum.size ?? 0,
+    outputs: outputs._sum.fileSize ?? 0,
+  };
+  return { ...usage, total: usage.templates + usage.versions + usage.assets + usage.outputs };
+}
+
+/**
+ * What a user has stored and run
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { templates, mergeJobs, batchJobs, storage } templates counts active ones they uploaded
+ */
+async function getUsage(userId) {
+  const [templates, mergeJobs, batchJobs, storage] = await Promise.all([
+    prisma.template.count({ where: { uploadedById: userId, isActive: true } }),
+    prisma.mergeJob.count({ where: { userId } }),
+    prisma.batchJob.count({ where: { userId } }),
+    getStorageUsage(userId),
+  ]);
+  return { templates, mergeJobs, batchJobs, storage };
+}
+
+/**
+ * How much of one quota a user has used
+ * @param {string} userId - User ID
+ * @param {string} quota - templates, storageBytes, mergesPerMonth or batchRowsPerMonth
+ * @returns {Promise<number>}
+ */
+async function getQuotaUsed(userId, quota) {
+  switch (quota) {
+    case 'templates':
+      return prisma.template.count({ where: { uploadedById: userId, isActive: true } });
+    case 'storageBytes':
+      return (await getStorageUsage(userId)).total;
+    default: {
+      const counter = await prisma.usageCounter.findUnique({
+        where: { userId_month: { userId, month: monthOf() } },
+      });
+      return (quota === 'mergesPerMonth' ? counter?.merges : counter?.batchRows) ?? 0;
+    }
+  }
+}
+
+/**
+ * The quotas of a user's role
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { templates, storageBytes, mergesPerMonth, batchRowsPerMonth }; null is unlimited
+ */
+async function getQuotas(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { role: true } });
+  return QUOTAS[user?.role] ?? QUOTAS.user;
+}
+
+/**
+ * How much of a quota a user has left
+ * @param {string} userId - User ID
+ * @param {string} quota - templates, storageBytes, mergesPerMonth or batchRowsPerMonth
+ * @returns {Promise<Object>} - { limit, used, remaining }; remaining is Infinity when it's unlimited
+ */
+async function getQuotaRemaining(userId, quota) {
+  const limit = (await getQuotas(userId))[quota];
+  if (limit === null) return { limit, used: null, remaining: Infinity };
+  const used = await getQuotaUsed(userId, quota);
+  return { limit, used, remaining: Math.max(limit - used, 0) };
+}
+
+/**
+ * Check a user has room for what a request adds to their quotas
+ * @param {string} userId - User ID
+ * @param {Object} amounts - How much the request adds to each quota it uses, e.g. { templates: 1, storageBytes: 5120 };
+ *   asking for 1 byte of storage before an output's size is known turns the request away once there's no room left
+ * @throws {QuotaExceededError} - for the first quota it would go past
+ */
+async function checkQuotas(userId, amounts) {
+  const limits = await getQuotas(userId);
+  for (const [quota, amount] of Object.entries(amounts)) {
+    if (limits[quota] === null) continue;
+    const used = await getQuotaUsed(userId, quota);
+    if (used + amount > limits[quota]) throw new QuotaExceededError(quota, limits[quota], used);
+  }
+}
+
+// UsageCounter columns of the monthly quotas
+const COUNTERS = { merges: 'mergesPerMonth', batchRows: 'batchRowsPerMonth' };
+
+/**
+ * Count merges or batch rows toward this month's quotas before they run
+ * The counter is only incremented while the result stays within each quota, in one conditional update,
+ * so two requests can't both take the last of a quota
+ * @param {string} userId - User ID
+ * @param {Object} counts - { merges, batchRows }
+ * @returns {Promise<Object>} - The reservation, { userId, month, merges, batchRows }, for releaseUsage
+ * @throws {QuotaExceededError} - for the first quota it would go past; nothing is counted
+ */
+async function reserveUsage(userId, { merges = 0, batchRows = 0 }) {
+  const limits = await getQuotas(userId);
+  const month = monthOf();
+  const counts = { merges, batchRows };
+  const key = { userId_month: { userId, month } };
+
+  // the conditional update needs the month's row to exist
+  await prisma.usageCounter.upsert({ where: key, create: { userId, month }, update: {} });
+
+  const where = { userId, month };
+  for (const [column, quota] of Object.entries(COUNTERS)) {
+    if (counts[column] && limits[quota] !== null) where[column] = { lte: limits[quota] - counts[column] };
+  }
+  const { count } = await prisma.usageCounter.updateMany({
+    where,
+    data: { merges: { increment: merges }, batchRows: { increment: batchRows } },
+  });
+
+  if (count === 0) {
+    const counter = await prisma.usageCounter.findUnique({ where: key });
+    const limited = Object.keys(COUNTERS).filter((column) => counts[column] && limits[COUNTERS[column]] !== null);
+    const column = limited.find((c) => (counter?.[c] ?? 0) + counts[c] > limits[COUNTERS[c]]) ?? limited[0];
+    throw new QuotaExceededError(COUNTERS[column], limits[COUNTERS[column]], counter?.[column] ?? 0);
+  }
+  return { userId, month, merges, batchRows };
+}
+
+/**
+ * Give back a reservation whose work didn't happen, e.g. a merge that failed
+ * @param {Object} reservation - From reserveUsage
+ */
+async function releaseUsage({ userId, month, merges = 0, batchRows = 0 }) {
+  await prisma.usageCounter.updateMany({
+    where: { userId, month },
+    data: { merges: { decrement: merges }, batchRows: { decrement: batchRows } },
+  });
+}
+
+/**
+ * A user's usage against each of their quotas, for GET /api/usage
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { quotas: { <quota>: { used, limit } }, storage, periodStart, periodEnd }; a limit of
+ *   null is unlimited, storage is getStorageUsage's breakdown and the monthly quotas start over at periodEnd
+ */
+async function getQuotaUsage(userId) {
+  const now = new Date();
+  const [limits, templates, storage, counter] = await Promise.all([
+    getQuotas(userId),
+    getQuotaUsed(userId, 'templates'),
+    getStorageUsage(userId),
+    prisma.usageCounter.findUnique({ where: { userId_month: { userId, month: monthOf(now) } } }),
+  ]);
+
+  const used = {
+    templates,
+    storageBytes: storage.total,
+    mergesPerMonth: counter?.merges ?? 0,
+    batchRowsPerMonth: counter?.batchRows ?? 0,
+  };
+  return {
+    quotas: Object.fromEntries(Object.keys(used).map((quota) => [quota, { used: used[quota], limit: limits[quota] }])),
+    storage,
+    periodStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString(),
+    periodEnd: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString(),
+  };
+}
+
+module.exports = {
+  QuotaExceededError,
+  QUOTAS,
+  getStorageUsage,
+  getUsage,
+  getQuotas,
+  getQuotaRemaining,
+  checkQuotas,
+  reserveUsage,
+  releaseUsage,
+  getQuotaUsage,
+};
@@ -0,0 +1,127 @@
+/* USER SERVICE
+Account management for admins (routes/admin.routes.js)
+- a deactivated user is turned away on their next request, whether by token or API key
+  (middleware/supabase-auth.js, middleware/api-key-auth.js); their templates, outputs and workspaces stay as they are
+- admins can't deactivate or demote themselves, so there's always an admin left to undo a change */
+
+const prisma = require('../config/prisma');
+const logger = require('../config/logger');
+const { visibleTemplatesWhere } = require('./permission.service');
+const { getUsage } = require('./usage.service');
+
+// Fields of an account shown to admins; never its password, Supabase ID or callback URL
+const USER_SELECT = {
+  id: true,
+  email: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  isActive: true,
+  createdAt: true,
+  lastLogin: true,
+};
+
+// Error with the HTTP status the route answers with
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function findUser(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: USER_SELECT });
+  if (!user) throw statusError('User not found', 404);
+  return user;
+}
+
+/**
+ * List users, newest first
+ * @param {Object} params - { search, role, isActive, limit, offset } search matches email, username and name
+ * @returns {Promise<Object>} - { users, total } total counts every match, not just this page
+ */
+async function listUsers({ search, role, isActive, limit = 20, offset = 0 } = {}) {
+  const contains = { contains: search, mode: 'insensitive' };
+  const where = {
+    ...(search
+      ? { OR: [{ email: contains }, { username: contains }, { firstName: contains }, { lastName: contains }] }
+      : {}),
+    ...(role ? { role } : {}),
+    ...(isActive === undefined ? {} : { isActive }),
+  };
+
+  const [users, total] = await Promise.all([
+    prisma.user.findMany({ where, select: USER_SELECT, orderBy: { createdAt: 'desc' }, take: limit, skip: offset }),
+    prisma.user.count({ where }),
+  ]);
+  return { users, total };
+}
+
+/**
+ * Get a user with their template and job counts and storage usage
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - The user, with usage (services/usage.service.js getUsage)
+ * @throws {Error} - with status 404 when there's no such user
+ */
+async function getUser(userId) {
+  const user = await findUser(userId);
+  return { ...user, usage: await getUsage(userId) };
+}
+
+/**
+ * Deactivate or reactivate an account
+ * While deactivated, their webhook endpoints refuse requests and their batch jobs wait in the queue
+ * @param {string} adminId - Admin making the change
+ * @param {string} userId - User ID
+ * @param {boolean} isActive - false turns the user away from their next request on
+ * @returns {Promise<Object>} - The updated user
+ * @throws {Error} - with status 404 when there's no such user, 409 when admins deactivate themselves
+ */
+async function setUserActive(adminId, userId, isActive) {
+  if (userId === adminId && !isActive) throw statusError("You can't deactivate your own account", 409);
+  await findUser(userId);
+
+  const user = await prisma.user.update({ where: { id: userId }, data: { isActive }, select: USER_SELECT });
+  logger.info({ adminId, userId, isActive }, isActive ? 'User reactivated' : 'User deactivated');
+  return user;
+}
+
+/**
+ * Change a user's role
+ * @param {string} adminId - Admin making the change
+ * @param {string} userId - User ID
+ * @param {string} role - user or admin
+ * @returns {Promise<Object>} - The updated user
+ * @throws {Error} - with status 404 when there's no such user, 409 when admins demote themselves
+ */
+async function setUserRole(adminId, userId, role) {
+  if (userId === adminId && role !== 'admin') throw statusError("You can't remove your own admin role", 409);
+  await findUser(userId);
+
+  const user = await prisma.user.update({ where: { id: userId }, data: { role }, select: USER_SELECT });
+  logger.info({ adminId, userId, role }, 'User role changed');
+  return user;
+}
+
+/**
+ * The templates a user sees, as GET /api/templates lists them for them; read-only, for support
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Their private templates and their workspaces', newest first, with fields
+ * @throws {Error} - with status 404 when there's no such user
+ */
+async function listUserTemplates(userId) {
+  await findUser(userId);
+  return prisma.template.findMany({
+    where: visibleTemplatesWhere(userId),
+    include: { fields: true },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+module.exports = {
+  listUsers,
+  getUser,
+  setUserActive,
+  setUserRole,
+  listUserTemplates,
+};
@@ -0,0 +1,345 @@
+/* WEBHOOK DELIVERY SERVICE
+Outbound callbacks: a signed POST to a user's callback URL when a merge or batch job finishes
+- the body is signed with the user's own callback secret (User.callbackSecret): the hex HMAC-SHA256 of the raw
+  body, in the X-Signature header. Never with WEBHOOK_SECRET, which authenticates inbound webhooks: a callback
+  signed with it could be replayed to them
+- callbacks never reach loopback, private, link-local, multicast or other reserved addresses, nor IPv6 addresses
+  standing for one (IPv4-mapped, IPv4-compatible or NAT64): the address a host name resolves to is checked
+  as the connection is made, and the connection goes to that address. WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this,
+  e.g. to test against a local receiver
+- every delivery is a WebhookDelivery record, tried once right away; one that fails is retried with
+  exponential backoff by the batch workers (workers/batchWorker.js) until WEBHOOK_MAX_ATTEMPTS */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const prisma = require('../config/prisma');
+const logger = require('../config/logger');
+
+// Attempts before a delivery is given up on
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+
+// Wait before the first retry; each retry after it waits twice as long as the one before
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+
+// How long a receiver has to answer
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+
+// Due deliveries tried per pass of the retry loop
+const DUE_BATCH_SIZE = 20;
+
+/**
+ * Sign a callback body
+ * @param {string|Buffer} body - Raw body sent
+ * @param {string} secret - The user's callback secret
+ * @returns {string} - Hex HMAC-SHA256 of the body with the secret
+ */
+function signPayload(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function generateCallbackSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Give a user a new callback secret; callbacks are signed with it from then on
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} - The secret, which is only shown now
+ */
+async function rotateCallbackSecret(userId) {
+  const callbackSecret = generateCallbackSecret();
+  await prisma.user.update({ where: { id: userId }, data: { callbackSecret } });
+  logger.info({ userId }, 'Callback secret rotated');
+  return callbackSecret;
+}
+
+/**
+ * The secret a user's callbacks are signed with, made if they don't have one yet
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - null when there's no such user
+ */
+async function callbackSecretFor(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { callbackSecret: true } });
+  if (!user) return null;
+  if (user.callbackSecret) return user.callbackSecret;
+
+  // two first callbacks at once both try; whichever secret is stored first is the one used
+  await prisma.user.updateMany({
+    where: { id: userId, callbackSecret: null },
+    data: { callbackSecret: generateCallbackSecret() },
+  });
+  const created = await prisma.user.findUnique({ where: { id: userId }, select: { callbackSecret: true } });
+  return created.callbackSecret;
+}
+
+/**
+ * Wait before the retry that follows the given attempt
+ * @param {number} attempts - Attempts made so far, from 1
+ * @returns {number} - Milliseconds
+ */
+function retryDelay(attempts) {
+  return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+// Addresses a callback must not reach: this network, private, shared (carrier-grade NAT), loopback, link-local,
+// benchmarking, multicast and reserved (broadcast among them), and their IPv6 counterparts
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// The eight 16-bit groups of an IPv6 address, which may end in dotted IPv4 (e.g. ::ffff:127.0.0.1)
+function ipv6Groups(address) {
+  const [head, tail] = address.toLowerCase().split('::');
+  const parse = (part) => (part ? part.split(':') : []).flatMap((group) => {
+    if (!group.includes('.')) return [parseInt(group, 16)];
+    const [a, b, c, d] = group.split('.').map(Number);
+    return [(a << 8) | b, (c << 8) | d];
+  });
+  const start = parse(head);
+  const end = parse(tail);
+  return tail === undefined ? start : [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+// The IPv4 address an IPv6 one stands for: IPv4-mapped (::ffff:0:0/96), IPv4-compatible (::/96) or NAT64
+// (64:ff9b::/96), in dotted or hex form; null for any other
+function embeddedIPv4(address) {
+  const groups = ipv6Groups(address);
+  const prefix = groups.slice(0, 6);
+  const zero = prefix.slice(0, 5).every((group) => group === 0);
+  const mapped = zero && (prefix[5] === 0xffff || prefix[5] === 0);
+  const nat64 = prefix[0] === 0x64 && prefix[1] === 0xff9b && prefix.slice(2).every((group) => group === 0);
+  // :: and ::1 count as 0.0.0.0 and 0.0.0.1, which are as private
+  if (!mapped && !nat64) return null;
+  return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv6(address)) {
+    const ipv4 = embeddedIPv4(address);
+    if (ipv4) return PRIVATE_ADDRESSES.check(ipv4, 'ipv4');
+    return PRIVATE_ADDRESSES.check(address, 'ipv6');
+  }
+  return PRIVATE_ADDRESSES.check(address, 'ipv4');
+}
+
+function privateAddressesAllowed() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+function privateAddressError() {
+  const err = new Error('Callback URL points to a private address');
+  err.code = 'PRIVATE_ADDRESS';
+  return err;
+}
+
+/**
+ * dns.lookup for callback connections, failing when the host resolves to a private address
+ * The socket connects to the address passed on here, so a name that resolves differently on a second
+ * lookup (DNS rebinding) can't slip a private address past the check.
+ */
+function publicAddressLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    if (!privateAddressesAllowed() && addresses.some(isPrivateAddress)) return callback(privateAddressError());
+    callback(null, address, family);
+  });
+}
+
+/**
+ * POST a callback body, without following redirects
+ * @param {string} url - Callback URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw body
+ * @returns {Promise<number>} - The receiver's status code
+ */
+function postCallback(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const { protocol, hostname } = new URL(url);
+    // an IP address is connected to without a lookup, so it's checked here
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !privateAddressesAllowed() && isPrivateAddress(host)) {
+      return reject(privateAddressError());
+    }
+
+    const request = (protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicAddressLookup,
+    }, (response) => {
+      clearTimeout(timer);
+      // only the status matters; the body is thrown away
+      response.resume();
+      resolve(response.statusCode);
+    });
+    const timer = setTimeout(() => {
+      const err = new Error(`No answer within ${TIMEOUT_MS}ms`);
+      err.name = 'TimeoutError';
+      request.destroy(err);
+    }, TIMEOUT_MS);
+    request.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Record a callback and try it right away; failures are left to the retry loop
+ * @param {Object} options - { url, event, data, userId, batchJobId }; data is sent as the payload's data
+ * @returns {Promise<Object>} - The WebhookDelivery record, before its first attempt
+ */
+async function queueWebhookDelivery({ url, event, data, userId = null, batchJobId = null }) {
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      userId,
+      event,
+      url,
+      payload: { event, occurredAt: new Date().toISOString(), data },
+      batchJobId,
+    },
+  });
+
+  deliverWebhook(delivery.id).catch((err) => {
+    logger.error({ err, deliveryId: delivery.id }, 'Webhook delivery attempt failed to run');
+  });
+
+  return delivery;
+}
+
+/**
+ * Make one attempt at a pending delivery that is due
+ * The attempt is claimed first, so a delivery is never sent twice at once by different processes.
+ * @param {string} deliveryId - WebhookDelivery ID
+ * @returns {Promise<Object|null>} - The delivery after the attempt, or null if it wasn't due
+ */
+async function deliverWebhook(deliveryId) {
+  const now = new Date();
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: { id: deliveryId, status: 'pending', nextAttemptAt: { lte: now } },
+    // held past the attempt's timeout, so a crashed process's attempt is retried later
+    data: { attempts: { increment: 1 }, nextAttemptAt: new Date(now.getTime() + TIMEOUT_MS + RETRY_BASE_MS) },
+  });
+  if (count === 0) return null;
+
+  const delivery = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+  const body = JSON.stringify(delivery.payload);
+
+  let statusCode = null;
+  let error = null;
+  let retryable = true;
+  try {
+    // a callback is only ever signed with its user's secret
+    const secret = delivery.userId ? await callbackSecretFor(delivery.userId) : null;
+    if (!secret) {
+      error = 'Callback has no user to sign it';
+      retryable = false;
+    } else {
+      statusCode = await postCallback(delivery.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'simple-docs-webhooks',
+        'X-Signature': signPayload(body, secret),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Attempt': String(delivery.attempts),
+      }, body);
+      // a redirect could lead anywhere, so it counts as a failed attempt
+      if (statusCode < 200 || statusCode > 299) error = `Receiver answered with status ${statusCode}`;
+    }
+  } catch (err) {
+    error = err.message;
+    if (err.code === 'PRIVATE_ADDRESS') retryable = false;
+  }
+
+  let data;
+  if (!error) {
+    data = { status: 'delivered', deliveredAt: new Date(), lastStatusCode: statusCode, lastError: null };
+  } else if (!retryable || delivery.attempts >= MAX_ATTEMPTS) {
+    data = { status: 'failed', lastStatusCode: statusCode, lastError: error };
+  } else {
+    data = {
+      lastStatusCode: statusCode,
+      lastError: error,
+      nextAttemptAt: new Date(Date.now() + retryDelay(delivery.attempts)),
+    };
+  }
+
+  const updated = await prisma.webhookDelivery.update({ where: { id: deliveryId }, data });
+
+  if (error) {
+    logger.warn(
+      { deliveryId, event: delivery.event, attempts: delivery.attempts, statusCode, error, status: updated.status },
+      'Webhook delivery attempt failed'
+    );
+  } else {
+    logger.info({ deliveryId, event: delivery.event, attempts: delivery.attempts }, 'Webhook delivered');
+  }
+
+  return updated;
+}
+
+/**
+ * Retry the deliveries whose next attempt is due, oldest first
+ * @returns {Promise<number>} - Deliveries attempted
+ */
+async function deliverDueWebhooks() {
+  const due = await prisma.webhookDelivery.findMany({
+    where: { status: 'pending', nextAttemptAt: { lte: new Date() } },
+    select: { id: true },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: DUE_BATCH_SIZE,
+  });
+
+  let attempted = 0;
+  for (const { id } of due) {
+    if (await deliverWebhook(id)) attempted++;
+  }
+  return attempted;
+}
+
+/**
+ * List a user's webhook deliveries, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { limit, offset, status }
+ * @returns {Promise<Array>} - Deliveries with their last attempt's outcome
+ */
+async function listWebhookDeliveries(userId, { limit = 20, offset = 0, status } = {}) {
+  return prisma.webhookDelivery.findMany({
+    where: { userId, ...(status ? { status } : {}) },
+    select: {
+      id: true,
+      event: true,
+      url: true,
+      status: true,
+      attempts: true,
+      nextAttemptAt: true,
+      lastStatusCode: true,
+      lastError: true,
+      deliveredAt: true,
+      batchJobId: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+    skip: offset,
+  });
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  signPayload,
+  rotateCallbackSecret,
+  retryDelay,
+  queueWebhookDelivery,
+  deliverWebhook,
+  deliverDueWebhooks,
+  listWebhookDeliveries,
+};
@@ -0,0 +1,224 @@
+/* WEBHOOK ENDPOINT SERVICE
+Inbound webhook URLs, one per template and owner, each with its own generated signing secret
+- a request signs its raw body (X-Signature: hex HMAC-SHA256), or, to rule out replays, the string
+  "<timestamp>.<nonce>.<body>" with X-Webhook-Timestamp (unix seconds) and X-Webhook-Nonce set; endpoints
+  require the latter (requireTimestamp) unless created without it
+- rotating a secret keeps the old one working for an overlap window, so partners can switch without downtime
+- revoked endpoints stay in the table, so a leaked URL never works again */
+
+const crypto = require('crypto');
+const prisma = require('../config/prisma');
+const logger = require('../config/logger');
+const { templatePermissionError } = require('./permission.service');
+
+// How far a timestamped request's clock may be from ours; its nonce is remembered this long
+const TIMESTAMP_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS, 10) || 300;
+
+// Overlap after a rotation when none is asked for, and the longest one allowed
+const DEFAULT_OVERLAP_MINUTES = 24 * 60;
+const MAX_OVERLAP_MINUTES = 7 * 24 * 60;
+
+// Fields of an endpoint shown to its owner; the secret itself is only returned when it's made
+const ENDPOINT_SELECT = {
+  id: true,
+  name: true,
+  templateId: true,
+  secret: true,
+  previousSecretExpiresAt: true,
+  requireTimestamp: true,
+  lastUsedAt: true,
+  createdAt: true,
+  template: { select: { displayName: true } },
+};
+
+// Error with the HTTP status the route answers with
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// An endpoint as its owner sees it: where to send requests, and the secret's last characters to tell it apart
+function toPublicEndpoint({ secret, previousSecretExpiresAt, template, ...endpoint }) {
+  return {
+    ...endpoint,
+    templateName: template?.displayName ?? null,
+    url: `/api/webhooks/endpoints/${endpoint.id}`,
+    secretHint: secret.slice(-4),
+    // the previous secret still works until then
+    rotatingUntil: previousSecretExpiresAt && previousSecretExpiresAt > new Date() ? previousSecretExpiresAt : null,
+  };
+}
+
+/**
+ * Create a webhook endpoint for a template the user may merge
+ * @param {string} userId - Owner; merges through the endpoint are attributed to them
+ * @param {Object} params - { templateId, name, requireTimestamp }; requireTimestamp is on unless turned off
+ * @returns {Promise<Object>} - The endpoint, with its secret
+ * @throws {Error} - with status 404 when the user can't see the template, 403 when they can't merge it
+ */
+async function createWebhookEndpoint(userId, { templateId, name, requireTimestamp = true }) {
+  const template = await prisma.template.findUnique({ where: { id: templateId } });
+  if (!template || !template.isActive) {
+    throw statusError('Template not found', 404);
+  }
+  const permissionErr = await templatePermissionError(userId, template, 'template:merge');
+  if (permissionErr) throw permissionErr;
+
+  const endpoint = await prisma.webhookEndpoint.create({
+    data: { userId, templateId, name, requireTimestamp, secret: generateSecret() },
+    select: ENDPOINT_SELECT,
+  });
+
+  logger.info({ endpointId: endpoint.id, templateId, userId }, 'Webhook endpoint created');
+  return { ...toPublicEndpoint(endpoint), secret: endpoint.secret };
+}
+
+/**
+ * List the user's webhook endpoints that haven't been revoked, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Endpoints, without their secrets
+ */
+async function listWebhookEndpoints(userId) {
+  const endpoints = await prisma.webhookEndpoint.findMany({
+    where: { userId, revokedAt: null },
+    select: ENDPOINT_SELECT,
+    orderBy: { createdAt: 'desc' },
+  });
+  return endpoints.map(toPublicEndpoint);
+}
+
+// An endpoint of the user's that hasn't been revoked, or null
+async function findOwnedEndpoint(endpointId, userId) {
+  const endpoint = await prisma.webhookEndpoint.findUnique({ where: { id: endpointId } });
+  return endpoint && endpoint.userId === userId && !endpoint.revokedAt ? endpoint : null;
+}
+
+/**
+ * Give an endpoint a new secret; the current one keeps working for overlapMinutes
+ * A rotation during another's overlap ends that overlap: only the secret being replaced stays valid.
+ * @param {string} endpointId - Endpoint ID
+ * @param {string} userId - User ID for authorization
+ * @param {Object} options - { overlapMinutes } 0 stops the current secret right away
+ * @returns {Promise<Object|null>} - The endpoint, with its new secret, or null if not found or not owned
+ */
+async function rotateWebhookEndpointSecret(endpointId, userId, { overlapMinutes = DEFAULT_OVERLAP_MINUTES } = {}) {
+  const endpoint = await findOwnedEndpoint(endpointId, userId);
+  if (!endpoint) return null;
+
+  const overlapMs = Math.min(overlapMinutes, MAX_OVERLAP_MINUTES) * 60 * 1000;
+  const rotated = await prisma.webhookEndpoint.update({
+    where: { id: endpointId },
+    data: {
+      secret: generateSecret(),
+      previousSecret: overlapMs > 0 ? endpoint.secret : null,
+      previousSecretExpiresAt: overlapMs > 0 ? new Date(Date.now() + overlapMs) : null,
+    },
+    select: ENDPOINT_SELECT,
+  });
+
+  logger.info({ endpointId, overlapMinutes }, 'Webhook endpoint secret rotated');
+  return { ...toPublicEndpoint(rotated), secret: rotated.secret };
+}
+
+/**
+ * Revoke an endpoint; requests to it are refused from then on
+ * @param {string} endpointId - Endpoint ID
+ * @param {string} userId - User ID for authorization
+ * @returns {Promise<boolean>} - false if not found or not owned
+ */
+async function revokeWebhookEndpoint(endpointId, userId) {
+  const endpoint = await findOwnedEndpoint(endpointId, userId);
+  if (!endpoint) return false;
+
+  await prisma.webhookEndpoint.update({
+    where: { id: endpointId },
+    data: { revokedAt: new Date(), previousSecret: null, previousSecretExpiresAt: null },
+  });
+
+  logger.info({ endpointId }, 'Webhook endpoint revoked');
+  return true;
+}
+
+// Whether hex signature `provided` is the HMAC of `signed` with any of the secrets
+function matchesAnySecret(secrets, signed, provided) {
+  let sent;
+  try {
+    sent = Buffer.from(provided, 'hex');
+  } catch {
+    return false;
+  }
+  return secrets.some((secret) => {
+    const expected = crypto.createHmac('sha256', secret).update(signed).digest();
+    return sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+  });
+}
+
+/**
+ * Check a request's signature against an endpoint's secrets
+ * A timestamped request's nonce is recorded, so the same request is refused if sent again.
+ * @param {Object} endpoint - WebhookEndpoint record
+ * @param {Object} request - { raw, signature, timestamp, nonce }; raw is the body Buffer, the rest are headers
+ * @returns {Promise<string|null>} - Why the request is refused, or null when it's genuine
+ */
+async function verifyWebhookSignature(endpoint, { raw, signature, timestamp, nonce }) {
+  if (!signature) return 'Missing signature';
+
+  const secrets = [endpoint.secret];
+  if (endpoint.previousSecret && endpoint.previousSecretExpiresAt > new Date()) {
+    secrets.push(endpoint.previousSecret);
+  }
+
+  if (timestamp === undefined && nonce === undefined) {
+    if (endpoint.requireTimestamp) return 'Endpoint requires a timestamp and nonce';
+    return matchesAnySecret(secrets, raw, signature) ? null : 'Signature does not match';
+  }
+
+  if (!/^\d+$/.test(timestamp || '') || !nonce || nonce.length > 200) {
+    return 'Timestamp and nonce are both required';
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TIMESTAMP_TOLERANCE_SECONDS) {
+    return 'Timestamp is too far from the current time';
+  }
+  const signed = Buffer.concat([Buffer.from(`${timestamp}.${nonce}.`), raw]);
+  if (!matchesAnySecret(secrets, signed, signature)) return 'Signature does not match';
+
+  try {
+    await prisma.webhookNonce.create({ data: { endpointId: endpoint.id, nonce } });
+  } catch (err) {
+    if (err.code === 'P2002') return 'Nonce has already been used';
+    throw err;
+  }
+
+  // nonces past the tolerance can't be replayed anyway, since their timestamps are refused
+  prisma.webhookNonce
+    .deleteMany({
+      where: { endpointId: endpoint.id, createdAt: { lt: new Date(Date.now() - 2 * TIMESTAMP_TOLERANCE_SECONDS * 1000) } },
+    })
+    .catch((err) => logger.warn({ err, endpointId: endpoint.id }, 'Failed to remove old webhook nonces'));
+
+  return null;
+}
+
+/**
+ * Record that an endpoint was used
+ * @param {string} endpointId - Endpoint ID
+ */
+async function markWebhookEndpointUsed(endpointId) {
+  await prisma.webhookEndpoint.update({ where: { id: endpointId }, data: { lastUsedAt: new Date() } });
+}
+
+module.exports = {
+  TIMESTAMP_TOLERANCE_SECONDS,
+  MAX_OVERLAP_MINUTES,
+  createWebhookEndpoint,
+  listWebhookEndpoints,
+  rotateWebhookEndpointSecret,
+  revokeWebhookEndpoint,
+  verifyWebhookSignature,
+  markWebhookEndpointUsed,
+};
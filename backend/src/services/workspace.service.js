@@ -0,0 +1,244 @@
+/* WORKSPACE SERVICE
+Workspaces share templates and folders with teammates, each member acting by their role
+(services/permission.service.js decides what a role allows)
+- whoever creates a workspace is its owner; owners add, change and remove members, and there's always one left
+- a template or folder joins a workspace by being moved into it, and leaves by being moved out (workspaceId null),
+  becoming private to whoever moved it */
+
+const prisma = require('../config/prisma');
+const logger = require('../config/logger');
+const {
+  getWorkspaceRole,
+  templatePermissionError,
+  workspacePermissionError,
+} = require('./permission.service');
+
+const MEMBER_USER_SELECT = { id: true, email: true, firstName: true, lastName: true };
+
+// Error with the HTTP status the route answers with
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Check a user's role in a workspace allows an action
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} action - e.g. "workspace:manage"
+ * @throws {Error} - with status 404 when they aren't a member, 403 when their role isn't enough
+ */
+async function requireWorkspaceRole(userId, workspaceId, action) {
+  const err = await workspacePermissionError(userId, workspaceId, action);
+  if (err) throw err;
+}
+
+// A workspace as its members see it: with their role and how many members it has
+function toWorkspace(workspace, role) {
+  const { _count, ...rest } = workspace;
+  return { ...rest, role, memberCount: _count.members };
+}
+
+/**
+ * List the workspaces a user is a member of, by name
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} - Workspaces with the user's role and their member count
+ */
+async function listWorkspaces(userId) {
+  const memberships = await prisma.workspaceMember.findMany({
+    where: { userId },
+    include: { workspace: { include: { _count: { select: { members: true } } } } },
+    orderBy: { workspace: { name: 'asc' } },
+  });
+  return memberships.map((m) => toWorkspace(m.workspace, m.role));
+}
+
+/**
+ * Create a workspace, with its creator as owner
+ * @param {string} userId - User ID
+ * @param {Object} params - { name }
+ * @returns {Promise<Object>} - The workspace
+ */
+async function createWorkspace(userId, { name }) {
+  const workspace = await prisma.workspace.create({
+    data: { name, members: { create: { userId, role: 'owner' } } },
+    include: { _count: { select: { members: true } } },
+  });
+
+  logger.info({ workspaceId: workspace.id, userId }, 'Workspace created');
+  return toWorkspace(workspace, 'owner');
+}
+
+/**
+ * Rename a workspace; owners only
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} params - { name }
+ * @returns {Promise<Object>} - The workspace
+ */
+async function renameWorkspace(userId, workspaceId, { name }) {
+  await requireWorkspaceRole(userId, workspaceId, 'workspace:manage');
+  const workspace = await prisma.workspace.update({
+    where: { id: workspaceId },
+    data: { name },
+    include: { _count: { select: { members: true } } },
+  });
+  return toWorkspace(workspace, 'owner');
+}
+
+/**
+ * Delete a workspace; owners only. Its templates and folders become private to the owner deleting it
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ */
+async function deleteWorkspace(userId, workspaceId) {
+  await requireWorkspaceRole(userId, workspaceId, 'workspace:manage');
+
+  await prisma.folder.updateMany({
+    where: { workspaceId },
+    data: { workspaceId: null, userId },
+  });
+  await prisma.template.updateMany({
+    where: { workspaceId },
+    data: { workspaceId: null, uploadedById: userId },
+  });
+  await prisma.workspace.delete({ where: { id: workspaceId } });
+
+  logger.info({ workspaceId, userId }, 'Workspace deleted');
+}
+
+/**
+ * List a workspace's members; any member may
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object[]>} - Members with their role and user (id, email and name)
+ */
+async function listMembers(userId, workspaceId) {
+  await requireWorkspaceRole(userId, workspaceId, 'template:read');
+  return prisma.workspaceMember.findMany({
+    where: { workspaceId },
+    include: { user: { select: MEMBER_USER_SELECT } },
+    orderBy: { createdAt: 'asc' },
+  });
+}
+
+/**
+ * Add a member by the email they signed up with; owners only
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} params - { email, role }
+ * @returns {Promise<Object>} - The member; throws with status 404 when nobody has that email, 409 when they're a member
+ */
+async function addMember(userId, workspaceId, { email, role }) {
+  await requireWorkspaceRole(userId, workspaceId, 'workspace:manage');
+
+  const user = await prisma.user.findUnique({ where: { email }, select: { id: true, isActive: true } });
+  if (!user || !user.isActive) throw statusError('No user with that email', 404);
+
+  if (await getWorkspaceRole(user.id, workspaceId)) {
+    throw statusError('They are already a member of this workspace', 409);
+  }
+
+  const member = await prisma.workspaceMember.create({
+    data: { workspaceId, userId: user.id, role },
+    include: { user: { select: MEMBER_USER_SELECT } },
+  });
+
+  logger.info({ workspaceId, userId, memberId: user.id, role }, 'Workspace member added');
+  return member;
+}
+
+// Refuse to leave a workspace without an owner
+async function assertOtherOwner(workspaceId, memberUserId) {
+  const owners = await prisma.workspaceMember.count({
+    where: { workspaceId, role: 'owner', NOT: { userId: memberUserId } },
+  });
+  if (owners === 0) throw statusError('A workspace needs at least one owner', 409);
+}
+
+/**
+ * Change a member's role; owners only
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} memberUserId - The member's user ID
+ * @param {Object} params - { role }
+ * @returns {Promise<Object>} - The member
+ */
+async function updateMember(userId, workspaceId, memberUserId, { role }) {
+  await requireWorkspaceRole(userId, workspaceId, 'workspace:manage');
+
+  const current = await getWorkspaceRole(memberUserId, workspaceId);
+  if (!current) throw statusError('Member not found', 404);
+  if (current === 'owner' && role !== 'owner') await assertOtherOwner(workspaceId, memberUserId);
+
+  return prisma.workspaceMember.update({
+    where: { workspaceId_userId: { workspaceId, userId: memberUserId } },
+    data: { role },
+    include: { user: { select: MEMBER_USER_SELECT } },
+  });
+}
+
+/**
+ * Remove a member; owners may remove anyone, and any member may leave
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} memberUserId - The member's user ID
+ */
+async function removeMember(userId, workspaceId, memberUserId) {
+  if (memberUserId !== userId) await requireWorkspaceRole(userId, workspaceId, 'workspace:manage');
+
+  const current = await getWorkspaceRole(memberUserId, workspaceId);
+  if (!current) {
+    throw statusError(memberUserId === userId ? 'Workspace not found' : 'Member not found', 404);
+  }
+  if (current === 'owner') await assertOtherOwner(workspaceId, memberUserId);
+
+  await prisma.workspaceMember.delete({
+    where: { workspaceId_userId: { workspaceId, userId: memberUserId } },
+  });
+
+  logger.info({ workspaceId, userId, memberId: memberUserId }, 'Workspace member removed');
+}
+
+/**
+ * Move a template into a workspace, or out of one (workspaceId null). Its owner moves it, into a workspace they
+ * may add to; it leaves its folder, which stays where it was
+ * @param {string} userId - User ID
+ * @param {string} templateId - Template ID
+ * @param {string|null} workspaceId - Workspace ID, or null to make it private to the user
+ * @returns {Promise<Object>} - The template
+ */
+async function moveTemplateToWorkspace(userId, templateId, workspaceId) {
+  const template = await prisma.template.findUnique({ where: { id: templateId } });
+  const err = await templatePermissionError(userId, template, 'template:share');
+  if (err) throw err;
+
+  if (workspaceId) await requireWorkspaceRole(userId, workspaceId, 'workspace:add');
+  if ((template.workspaceId ?? null) === workspaceId) return template;
+
+  const updated = await prisma.template.update({
+    where: { id: templateId },
+    data: {
+      workspaceId,
+      folderId: null,
+      ...(workspaceId ? {} : { uploadedById: userId }),
+    },
+  });
+
+  logger.info({ templateId, userId, from: template.workspaceId, to: workspaceId }, 'Template moved between workspaces');
+  return updated;
+}
+
+module.exports = {
+  requireWorkspaceRole,
+  listWorkspaces,
+  createWorkspace,
+  renameWorkspace,
+  deleteWorkspace,
+  listMembers,
+  addMember,
+  updateMember,
+  removeMember,
+  moveTemplateToWorkspace,
+};
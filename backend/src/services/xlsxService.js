@@ -1,10 +1,383 @@
 const ExcelJS = require('exceljs');
 const { convertXlsxToPdf } = require('../utils/libreoffice');
-const { escapeRegExp } = require('../utils/regex');
+const { TemplateParseError } = require('../utils/docx-templating');
+const {
+  findSectionTags,
+  stripSectionTags,
+  PLACEHOLDER_REGEX,
+  findPlaceholders,
+  imageTagName,
+  resolvePath,
+  resolveTag,
+  buildSectionTree,
+  expandSectionTree,
+  replacePlaceholders,
+} = require('../utils/placeholders');
+const { mergeSplitRichText } = require('../utils/text-runs');
+const { parseImageValue } = require('../utils/images');
+const { isBlankMarker, isBlankOnly, stripBlanks, collapseBlankLines } = require('../utils/blank-values');
+
+// ExcelJS cell value types (mirrors ExcelJS.ValueType)
+const CELL_TYPES = ExcelJS.ValueType;
+
+// single cell reference or range, e.g. B5, $B$5, B5:D7 - not preceded by a sheet name or identifier
+const CELL_REF_REGEX =
+  /(^|[^A-Za-z0-9_.!$'])(\$?)([A-Z]{1,3})(\$?)(\d+)(?::(\$?)([A-Z]{1,3})(\$?)(\d+))?(?![A-Za-z0-9_(!])/g;
+
+/**
+ * Get the text of a cell (or cell model) that may contain template tags
+ * Plain strings and rich text only - formulas and typed values are left alone, and merged
+ * slave cells are skipped since they echo their master's value
+ */
+function cellText(cell) {
+  if (cell.type === CELL_TYPES.Merge) return null;
+  if (typeof cell.value === 'string') return cell.value;
+  if (cell.type === CELL_TYPES.RichText) return cell.value.richText.map((run) => run.text || '').join('');
+  return null;
+}
+
+/**
+ * Parse a worksheet's rows into a tree of plain rows and {{#section}} blocks
+ * - a section may open and close on the same row (single-row loop) or span several rows
+ * - rows holding nothing but section tags are marker rows and are dropped from the output
+ * @param {Worksheet} worksheet - ExcelJS worksheet
+ * @returns {{ children: Array, hasSections: boolean }} - Root node of the row tree
+ */
+function parseRowTree(worksheet) {
+  const blocks = [];
+
+  for (let r = 1; r <= worksheet.rowCount; r++) {
+    const row = worksheet.findRow(r);
+    const tags = [];
+    let hasContent = false;
+
+    if (row) {
+      row.eachCell((cell) => {
+        const text = cellText(cell);
+        if (text === null) {
+          if (cell.type !== CELL_TYPES.Merge && cell.type !== CELL_TYPES.Null) hasContent = true;
+          return;
+        }
+        tags.push(...findSectionTags(text));
+        if (stripSectionTags(text).trim()) hasContent = true;
+      });
+    }
+
+    blocks.push({ id: r, tags, markerOnly: tags.length > 0 && !hasContent });
+  }
+
+  return buildSectionTree(blocks, { label: (r) => `Row ${r}`, file: () => worksheet.name });
+}
+
+/**
+ * Length of the shared prefix of two loop instance paths
+ */
+function commonPrefix(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+}
+
+/**
+ * Build a resolver mapping template row numbers to output row numbers for a given output row
+ * - rows in the same loop iteration map to that iteration's copy
+ * - rows inside a loop seen from outside it map to the first copy (range ends map to the last)
+ * - removed rows resolve to null for single references (Excel's #REF! on row deletion);
+ *   range edges snap inward to the nearest surviving row
+ */
+function createRowResolver(plan) {
+  const copies = new Map();
+  plan.forEach((entry, i) => {
+    if (!copies.has(entry.id)) copies.set(entry.id, []);
+    copies.get(entry.id).push({ number: i + 1, instance: entry.instance });
+  });
+
+  return (srcRow, fromInstance, edge = null) => {
+    const candidates = copies.get(srcRow);
+    if (!candidates) {
+      if (!edge) return null;
+      // first output row after the removed one, or the last one before it
+      const position = plan.filter((entry) => entry.id < srcRow).length + 1;
+      return edge === 'start' ? position : position - 1;
+    }
+
+    const best = Math.max(...candidates.map((c) => commonPrefix(c.instance, fromInstance)));
+    const matching = candidates.filter((c) => commonPrefix(c.instance, fromInstance) === best);
+    return edge === 'end' ? matching[matching.length - 1].number : matching[0].number;
+  };
+}
+
+/**
+ * Rewrite row numbers in a formula's same-sheet cell references
+ * String literals and references qualified with another sheet name are left alone
+ * References to rows that no longer exist become #REF!, so totals over a loop that may be
+ * empty should be wrapped, e.g. =IFERROR(SUM(D5:D5), 0)
+ */
+function shiftFormula(formula, resolveRow, instance) {
+  return formula
+    .split('"')
+    .map((segment, i) => {
+      // odd segments are inside string literals
+      if (i % 2 === 1) return segment;
+      return segment.replace(
+        CELL_REF_REGEX,
+        (match, lead, c1, col1, r1, row1, c2, col2, r2, row2) => {
+          if (!row2) {
+            const row = resolveRow(Number(row1), instance);
+            return row === null ? `${lead}#REF!` : `${lead}${c1}${col1}${r1}${row}`;
+          }
+          const start = resolveRow(Number(row1), instance, 'start');
+          const end = resolveRow(Number(row2), instance, 'end');
+          // every row in the range was removed (e.g. an empty loop)
+          if (start > end) return `${lead}#REF!`;
+          return `${lead}${c1}${col1}${r1}${start}:${c2}${col2}${r2}${end}`;
+        }
+      );
+    })
+    .join('"');
+}
+
+/**
+ * True when a number format renders dates/times (ignores quoted literals and [colour] codes)
+ */
+function isDateFormat(numFmt) {
+  if (!numFmt) return false;
+  const bare = numFmt.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+  return /[dmyhs]/i.test(bare);
+}
+
+/**
+ * Convert a data value into a typed cell value
+ * - numbers, booleans and Dates are written as-is
+ * - strings are coerced only when the template cell carries a number/date format, so CSV values
+ *   like "1250.5" land as real numbers in a currency cell while ZIP codes in General cells stay text
+ */
+function toCellValue(value, numFmt) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number' || typeof value === 'boolean' || value instanceof Date) return value;
+
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (!numFmt || numFmt === 'General' || numFmt === '@') return str;
+
+  const trimmed = str.trim();
+  if (isDateFormat(numFmt)) {
+    if (/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(trimmed)) {
+      const date = new Date(trimmed.length === 10 ? `${trimmed}T00:00:00Z` : trimmed);
+      if (!Number.isNaN(date.getTime())) return date;
+    }
+    return str;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+  return str;
+}
+
+/**
+ * Render a string cell's text against a scope chain
+ * A cell holding exactly one placeholder gets a typed value (a filtered one is written as its text);
+ * mixed text stays a string. options.locale formats filtered values
+ */
+function renderCellText(text, scopes, numFmt, options = {}) {
+  const stripped = stripSectionTags(text);
+  if (stripped !== text && !stripped.trim()) return null;
+
+  const whole = stripped.trim().match(/^(?:\{\{\s*([^#^/}][^}]*?)\s*\}\}|\$\{\s*([^}]+?)\s*\})$/);
+  if (whole) {
+    const value = resolveTag(scopes, (whole[1] || whole[2]).trim(), options);
+    if (value !== undefined) return toCellValue(value, numFmt);
+  }
+
+  return replacePlaceholders(stripped, scopes, undefined, options);
+}
+
+/**
+ * Render a rich text cell value against a scope chain
+ * Tags split across runs are merged first; each run keeps its own font
+ */
+function renderRichText(value, scopes, options = {}) {
+  const runs = mergeSplitRichText(value.richText);
+  const text = runs.map((run) => run.text || '').join('');
+  const stripped = stripSectionTags(text);
+  if (stripped !== text && !stripped.trim()) return null;
+
+  const richText = runs
+    .map((run) => ({ ...run, text: replacePlaceholders(stripSectionTags(run.text || ''), scopes, undefined, options) }))
+    .filter((run) => run.text);
+  return richText.length ? { richText } : null;
+}
+
+/**
+ * Remove what blank optional fields left in a rendered cell value
+ * A cell holding only markers is emptied and lines holding only markers are dropped; rows are never
+ * removed, since formulas, merges and print areas point at them
+ */
+function removeBlankText(value) {
+  if (typeof value === 'string') {
+    return isBlankOnly(value) ? null : stripBlanks(collapseBlankLines(value, /\n/g));
+  }
+  if (!value || !Array.isArray(value.richText)) return value;
+
+  const text = value.richText.map((run) => run.text).join('');
+  if (isBlankOnly(text)) return null;
+  const richText = value.richText
+    .map((run) => ({ ...run, text: stripBlanks(run.text) }))
+    .filter((run) => run.text);
+  return { richText };
+}
+
+/**
+ * Render a string or rich text cell value against a scope chain
+ */
+function renderCellValue(value, scopes, numFmt, options = {}) {
+  if (typeof value === 'string') return removeBlankText(renderCellText(value, scopes, numFmt, options));
+  return removeBlankText(renderRichText(value, scopes, options));
+}
+
+/**
+ * Place an image over a cell holding a {{%field}} tag, clearing the tag
+ * Unresolved image tags are left untouched like other placeholders; a blank optional field
+ * just clears the cell
+ */
+function placeImage(cell, name, scopes) {
+  const value = resolvePath(scopes, name);
+  if (value === undefined) return;
+  if (isBlankMarker(value)) {
+    cell.value = null;
+    return;
+  }
+
+  const image = parseImageValue(value, name);
+  const { worksheet } = cell;
+  const imageId = worksheet.workbook.addImage({ buffer: image.buffer, extension: image.extension });
+  worksheet.addImage(imageId, {
+    tl: { col: cell.col - 1, row: cell.row - 1 },
+    ext: { width: image.width, height: image.height },
+  });
+  cell.value = null;
+}
+
+/**
+ * Replace placeholders in-place on a worksheet with no sections (keeps every cell untouched otherwise)
+ */
+function fillFlatWorksheet(worksheet, data, options = {}) {
+  worksheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      const text = cellText(cell);
+      if (text === null || !text.match(PLACEHOLDER_REGEX)) return;
+      const imageName = imageTagName(text);
+      if (imageName) {
+        placeImage(cell, imageName, [data]);
+        return;
+      }
+      cell.value = renderCellValue(cell.value, [data], cell.numFmt, options);
+    });
+  });
+}
+
+/**
+ * Rebuild a worksheet with sections expanded
+ * - loop rows are cloned per array item with styles, heights and merged cells copied
+ * - formulas are re-pointed at the shifted rows (a SUM over a loop row grows to cover every copy)
+ * - conditional rows are kept or removed according to the section value
+ */
+function fillSectionedWorksheet(worksheet, data, tree, options = {}) {
+  // shared formulas can't survive row cloning - give every cell its own formula first
+  worksheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      if (cell.type === CELL_TYPES.Formula && (cell.model.sharedFormula || cell.model.shareType)) {
+        cell.value = { formula: cell.formula };
+      }
+    });
+  });
+
+  const merges = worksheet.model.merges.map((range) => {
+    const [tl, br = tl] = range.split(':');
+    return {
+      top: Number(tl.match(/\d+/)[0]),
+      bottom: Number(br.match(/\d+/)[0]),
+      left: tl.replace(/\d+/g, ''),
+      right: br.replace(/\d+/g, ''),
+    };
+  });
+  worksheet.model.merges.forEach((range) => worksheet.unMergeCells(range));
+
+  // snapshot template rows before overwriting them
+  const originalRowCount = worksheet.rowCount;
+  const templateRows = [];
+  for (let r = 1; r <= originalRowCount; r++) {
+    const row = worksheet.findRow(r);
+    templateRows[r] = row ? JSON.parse(JSON.stringify(row.model)) : null;
+  }
+
+  const plan = expandSectionTree(tree.children, [data]);
+  const resolveRow = createRowResolver(plan);
+
+  // write the planned rows
+  plan.forEach((entry, i) => {
+    const number = i + 1;
+    const source = templateRows[entry.id];
+    const row = worksheet.getRow(number);
+
+    if (!source) {
+      row.model = { number, cells: [], style: {} };
+      return;
+    }
+
+    const cells = source.cells.map((cellModel) => {
+      const col = cellModel.address.replace(/\d+/g, '');
+      const copy = { ...cellModel, address: `${col}${number}` };
+      if (copy.type === CELL_TYPES.Merge) {
+        // merges are re-applied below; keep the slave cell's own style
+        return { address: copy.address, type: CELL_TYPES.Null, style: copy.style };
+      }
+      if (copy.type === CELL_TYPES.Formula && copy.formula) {
+        copy.formula = shiftFormula(copy.formula, resolveRow, entry.instance);
+        delete copy.result;
+      }
+      return copy;
+    });
+
+    row.model = { ...source, number, cells };
+
+    // fill placeholders through the cell API so values get proper types
+    for (const cellModel of source.cells) {
+      const text = cellText(cellModel);
+      if (text === null) continue;
+      const col = cellModel.address.replace(/\d+/g, '');
+      const cell = worksheet.getCell(`${col}${number}`);
+      const imageName = imageTagName(text);
+      if (imageName) {
+        placeImage(cell, imageName, entry.scopes);
+        continue;
+      }
+      cell.value = renderCellValue(cellModel.value, entry.scopes, cellModel.style?.numFmt, options);
+    }
+  });
+
+  // clear rows left over when the output is shorter than the template
+  for (let r = plan.length + 1; r <= originalRowCount; r++) {
+    worksheet.getRow(r).model = { number: r, cells: [], style: {} };
+  }
+
+  // re-apply merged cells to every copy of their top row
+  const applied = new Set();
+  plan.forEach((entry, i) => {
+    for (const merge of merges) {
+      if (merge.top !== entry.id) continue;
+      const top = i + 1;
+      const bottom = merge.bottom === merge.top ? top : resolveRow(merge.bottom, entry.instance, 'end');
+      const range = `${merge.left}${top}:${merge.right}${bottom}`;
+      if (bottom < top || applied.has(range)) continue;
+      applied.add(range);
+      worksheet.mergeCellsWithoutStyle(range);
+    }
+  });
+}
 
 /**
  * Extract field placeholders from an XLSX template
  * Looks for cells containing {{fieldName}} or ${fieldName} patterns
+ * - {{#items}}...{{/items}} sections report the section name plus its body fields as
+ *   dot-paths under it (e.g. "items", "items.description", "items.qty")
  * @param {Buffer} xlsxBuffer - XLSX file buffer
  * @returns {Promise<string[]>} - Array of unique field names
  */
@@ -14,22 +387,39 @@ async function extractXlsxFields(xlsxBuffer) {
     await workbook.xlsx.load(xlsxBuffer);
 
     const fields = new Set();
-    const placeholderRegex = /\{\{([^}]+)\}\}|\$\{([^}]+)\}/g;
 
     // Iterate through all worksheets
     workbook.eachSheet((worksheet) => {
+      // open sections, outermost first; inverted sections don't add a path segment
+      const stack = [];
+      const prefix = () =>
+        stack.filter((s) => !s.inverted).map((s) => `${s.name}.`).join('');
+
       worksheet.eachRow((row) => {
+        const closes = [];
+
         row.eachCell((cell) => {
-          const value = cell.value;
+          const text = cellText(cell);
+          if (text === null) return;
 
-          if (typeof value === 'string') {
-            let match;
-            while ((match = placeholderRegex.exec(value)) !== null) {
-              const fieldName = match[1] || match[2];
-              fields.add(fieldName.trim());
+          for (const tag of findSectionTags(text)) {
+            if (tag.type === 'close') {
+              closes.push(tag.name);
+            } else {
+              fields.add(`${prefix()}${tag.name}`);
+              stack.push({ name: tag.name, inverted: tag.type === 'inverted' });
             }
           }
+          for (const name of findPlaceholders(text)) {
+            if (name !== '.') fields.add(`${prefix()}${name}`);
+          }
         });
+
+        // tolerate malformed nesting here - the merge reports it with row numbers
+        for (const name of closes) {
+          const index = stack.map((s) => s.name).lastIndexOf(name);
+          if (index !== -1) stack.splice(index);
+        }
       });
     });
 
@@ -43,49 +433,47 @@ async function extractXlsxFields(xlsxBuffer) {
 /**
  * Fill XLSX template with provided data
  * Replaces {{fieldName}} or ${fieldName} patterns with actual values
+ * - {{#items}}...{{/items}} repeats rows per array item (same row or spanning rows)
+ * - {{#flag}}...{{/flag}} / {{^flag}}...{{/flag}} keep or drop rows conditionally
+ * - a cell holding a single placeholder gets a typed value (number, date, boolean)
+ * - rich text cells keep their per-run fonts, even when a tag spans several runs
+ * - a cell holding only {{%logo}} gets the image placed over it (see utils/images.js)
  * @param {Buffer} xlsxBuffer - XLSX file buffer
  * @param {Object} data - Field name/value pairs
  * @param {string} outputFormat - 'xlsx' or 'pdf'
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale for value filters (en-US when unset)
  * @returns {Promise<Buffer>} - Filled XLSX buffer
  */
-async function fillXlsxTemplate(xlsxBuffer, data, outputFormat = 'xlsx') {
+async function fillXlsxTemplate(xlsxBuffer, data, outputFormat = 'xlsx', options = {}) {
   try {
     const workbook = new ExcelJS.Workbook();
     await workbook.xlsx.load(xlsxBuffer);
 
     // Iterate through all worksheets
+    let reshaped = false;
     workbook.eachSheet((worksheet) => {
-      worksheet.eachRow((row) => {
-        row.eachCell((cell) => {
-          const value = cell.value;
-
-          if (typeof value === 'string') {
-            let newValue = value;
-
-            // Replace all placeholders in the cell
-            for (const [fieldName, fieldValue] of Object.entries(data)) {
-              const escapedFieldName = escapeRegExp(fieldName);
-              const patterns = [
-                new RegExp(`\\{\\{${escapedFieldName}\\}\\}`, 'g'),
-                new RegExp(`\\$\\{${escapedFieldName}\\}`, 'g'),
-              ];
-
-              patterns.forEach((pattern) => {
-                newValue = newValue.replace(pattern, fieldValue);
-              });
-            }
-
-            if (newValue !== value) {
-              cell.value = newValue;
-            }
-          }
-        });
-      });
+      const tree = parseRowTree(worksheet);
+      if (tree.hasSections) {
+        fillSectionedWorksheet(worksheet, data, tree, options);
+        reshaped = true;
+      } else {
+        fillFlatWorksheet(worksheet, data, options);
+      }
     });
 
+    // shifted formulas have no cached results - ask Excel/LibreOffice to recalculate
+    if (reshaped) {
+      workbook.calcProperties = { ...workbook.calcProperties, fullCalcOnLoad: true };
+    }
+
     const buffer = await workbook.xlsx.writeBuffer();
     return Buffer.from(buffer);
   } catch (error) {
+    if (error instanceof TemplateParseError) {
+      error.status = 422;
+      throw error;
+    }
     console.error('Error filling XLSX template:', error);
     throw new Error(`Failed to fill XLSX template: ${error.message}`);
   }
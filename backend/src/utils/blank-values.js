@@ -0,0 +1,90 @@
+/* BLANK OPTIONAL VALUES - HOW THE FORMAT SERVICES DROP WHAT AN EMPTY OPTIONAL FIELD LEAVES BEHIND
+- before rendering, missing or empty optional fields are filled with the BLANK marker, a private-use
+  character no real data contains and no escaping (XML, HTML, Mustache) touches
+- after rendering, each format service removes the lines, paragraphs and table rows whose only
+  content is markers, then strips the markers that are left
+- a line holding "{{middleName}}" disappears, while "Middle name: {{middleName}}" stays as "Middle name: " */
+
+const { fillBlankFields } = require('./field-validation');
+
+const BLANK = '\uE000';
+const BLANK_REGEX = /\uE000/g;
+
+/**
+ * Whether a value is the BLANK marker
+ */
+function isBlankMarker(value) {
+  return value === BLANK;
+}
+
+/**
+ * Remove every BLANK marker from a text
+ */
+function stripBlanks(text) {
+  return String(text).replace(BLANK_REGEX, '');
+}
+
+/**
+ * Whether a text holds at least one marker and nothing else but whitespace
+ */
+function isBlankOnly(text) {
+  return typeof text === 'string' && text.includes(BLANK) && !stripBlanks(text).trim();
+}
+
+/**
+ * Fill missing or empty optional fields with the BLANK marker
+ * @param {Array<Object>} fields - The template's Field records
+ * @param {Object} data - Merge data, with defaults already applied
+ * @returns {Object} - Copy of the data with markers filled in (the same object when nothing changed)
+ */
+function markOptionalBlanks(fields, data) {
+  return fillBlankFields(fields.filter((f) => f.required === false), data, () => BLANK);
+}
+
+/**
+ * Remove the line breaks around lines that hold nothing but markers
+ * Each blank line takes the break before it (or after it, for the first line) with it, so
+ * "a<br>{{blank}}<br>b" becomes "a<br>b"
+ * @param {string} markup - Text or markup holding line breaks
+ * @param {RegExp} breakRegex - Global regex matching one line break
+ * @param {Function} [textOf] - Maps the markup of a line to its visible text
+ * @returns {string} - Markup with the breaks removed (markers are left for the caller to strip)
+ */
+function collapseBlankLines(markup, breakRegex, textOf = (line) => line) {
+  const breaks = [...markup.matchAll(breakRegex)];
+  if (!breaks.length || !markup.includes(BLANK)) return markup;
+
+  // line i runs from the end of break i-1 to the start of break i
+  const lineAt = (i) => {
+    const start = i === 0 ? 0 : breaks[i - 1].index + breaks[i - 1][0].length;
+    const end = i === breaks.length ? markup.length : breaks[i].index;
+    return markup.slice(start, end);
+  };
+
+  const dropped = new Set();
+  for (let i = 0; i <= breaks.length; i++) {
+    if (!isBlankOnly(textOf(lineAt(i)))) continue;
+    if (i > 0 && !dropped.has(i - 1)) dropped.add(i - 1);
+    else if (i < breaks.length) dropped.add(i);
+  }
+  if (!dropped.size) return markup;
+
+  let out = '';
+  let last = 0;
+  breaks.forEach((match, i) => {
+    if (!dropped.has(i)) return;
+    out += markup.slice(last, match.index);
+    last = match.index + match[0].length;
+  });
+  return out + markup.slice(last);
+}
+
+module.exports = {
+  BLANK,
+  BLANK_REGEX,
+  isBlankMarker,
+  stripBlanks,
+  isBlankOnly,
+  markOptionalBlanks,
+  collapseBlankLines,
+};
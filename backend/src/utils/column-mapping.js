@@ -0,0 +1,177 @@
+/* CSV COLUMN MAPPING - HOW THE COLUMNS OF A DATA FILE BECOME TEMPLATE FIELDS
+- a mapping is a list of rules, one per template field:
+-- column: { field, type: "column", column } copies (renames) one column
+-- concat: { field, type: "concat", columns, separator } joins several columns, skipping empty ones
+-- constant: { field, type: "constant", value } gives every row the same value
+-- split: { field, type: "split", column, part: "first" | "last" } takes one half of a full name
+- columns without a rule are kept as they are, so headers that already match their fields still merge
+- suggestMappings proposes column rules by name (case/whitespace/punctuation-insensitive, then fuzzy)
+  and name splits for first/last name fields */
+
+// headers at least this similar to a field name are suggested for it
+const FUZZY_THRESHOLD = 0.75;
+
+// field names that take one half of a full name
+const FIRST_NAME_KEYS = ['firstname', 'givenname', 'forename', 'first'];
+const LAST_NAME_KEYS = ['lastname', 'surname', 'familyname', 'last'];
+// headers holding a full name
+const FULL_NAME_KEYS = ['name', 'fullname', 'customername', 'contactname'];
+
+/**
+ * Comparable form of a header or field name: "First Name", "first_name" and "firstName" all read firstname
+ */
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How alike two names are, from 0 to 1 (1 when they normalize the same)
+ * One name containing the other ("email" in "Email Address") counts as a close match
+ */
+function nameSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const edit = 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+  const shorter = Math.min(x.length, y.length);
+  const contained = shorter >= 3 && (x.includes(y) || y.includes(x)) ? 0.8 : 0;
+  return Math.max(edit, contained);
+}
+
+/**
+ * Split a full name into first and last name
+ * "Ada King Lovelace" -> first "Ada", last "King Lovelace"; "Lovelace, Ada" -> first "Ada", last "Lovelace"
+ * @param {any} value - Full name
+ * @returns {{first: string, last: string}}
+ */
+function splitFullName(value) {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  if (text.includes(',')) {
+    const [last, ...rest] = text.split(',');
+    return { first: rest.join(',').trim(), last: last.trim() };
+  }
+  const [first = '', ...rest] = text.split(/\s+/).filter(Boolean);
+  return { first, last: rest.join(' ') };
+}
+
+/**
+ * Suggest a mapping from a data file's headers to a template's fields
+ * Each header fills at most one field through a column rule, best matches first
+ * @param {Array<string>} headers - Column names of the file
+ * @param {Array<string>} fields - Template field names
+ * @returns {Array<Object>} - Rules, in field order; column rules carry match ("exact" or "fuzzy") and
+ *   score, split rules match "name"
+ */
+function suggestMappings(headers, fields) {
+  const candidates = [];
+  fields.forEach((field) => {
+    headers.forEach((column) => {
+      const score = nameSimilarity(field, column);
+      if (score >= FUZZY_THRESHOLD) candidates.push({ field, column, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const byField = new Map();
+  const usedColumns = new Set();
+  for (const { field, column, score } of candidates) {
+    if (byField.has(field) || usedColumns.has(column)) continue;
+    byField.set(field, {
+      field,
+      type: 'column',
+      column,
+      match: score === 1 ? 'exact' : 'fuzzy',
+      score: Math.round(score * 100) / 100,
+    });
+    usedColumns.add(column);
+  }
+
+  // first/last name fields without a column of their own can come out of a full name column
+  const fullName = headers.find((column) => {
+    const key = normalizeName(column);
+    return FULL_NAME_KEYS.includes(key) || key.endsWith('fullname');
+  });
+  if (fullName) {
+    fields.forEach((field) => {
+      if (byField.has(field)) return;
+      const key = normalizeName(field);
+      const part = FIRST_NAME_KEYS.includes(key) ? 'first' : LAST_NAME_KEYS.includes(key) ? 'last' : null;
+      if (part) byField.set(field, { field, type: 'split', column: fullName, part, match: 'name' });
+    });
+  }
+
+  return fields.filter((field) => byField.has(field)).map((field) => byField.get(field));
+}
+
+/**
+ * Columns a mapping reads
+ * @param {Array<Object>} rules - Mapping rules
+ * @returns {Array<string>} - Unique column names
+ */
+function mappingColumns(rules) {
+  const columns = rules.flatMap((rule) => {
+    if (rule.type === 'concat') return rule.columns;
+    if (rule.type === 'column' || rule.type === 'split') return [rule.column];
+    return [];
+  });
+  return [...new Set(columns)];
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+function ruleValue(row, rule) {
+  switch (rule.type) {
+    case 'column':
+      return row[rule.column] ?? '';
+    case 'concat':
+      return rule.columns
+        .map((column) => row[column])
+        .filter((value) => !isEmpty(value))
+        .join(rule.separator ?? ' ');
+    case 'constant':
+      return rule.value;
+    case 'split':
+      return splitFullName(row[rule.column])[rule.part];
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Apply a mapping to one data row
+ * @param {Object} row - Row keyed by column name
+ * @param {Array<Object>} rules - Mapping rules (see the header)
+ * @returns {Object} - The row with every mapped field set; unmapped columns are kept
+ */
+function applyColumnMapping(row, rules) {
+  if (!rules || rules.length === 0) return row;
+  const mapped = { ...row };
+  for (const rule of rules) mapped[rule.field] = ruleValue(row, rule);
+  return mapped;
+}
+
+module.exports = {
+  normalizeName,
+  nameSimilarity,
+  splitFullName,
+  suggestMappings,
+  mappingColumns,
+  applyColumnMapping,
+};
@@ -76,8 +76,49 @@ function sanitizeCsvRows(rows) {
   return rows.map(row => sanitizeCsvRow(row));
 }
 
+/**
+ * Sanitizes a typed value from an XLSX or JSON data source
+ * Text is sanitized like a CSV value; numbers, booleans and nulls are kept as they are, since they
+ * can't carry a formula, and arrays/objects (loop data) are sanitized all the way down
+ * @param {any} value - The value to sanitize
+ * @returns {any} - Sanitized value of the same shape
+ */
+function sanitizeDataValue(value) {
+  if (typeof value === 'string') {
+    return sanitizeCsvValue(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(sanitizeDataValue);
+  }
+  if (typeof value === 'object' && value !== null) {
+    return sanitizeDataRow(value);
+  }
+  return value;
+}
+
+/**
+ * Sanitizes all values in a typed data row
+ * @param {Object} row - Row object from an XLSX or JSON data source
+ * @returns {Object} - Sanitized row object
+ */
+function sanitizeDataRow(row) {
+  if (typeof row !== 'object' || row === null) {
+    return {};
+  }
+
+  const sanitized = {};
+
+  for (const [key, value] of Object.entries(row)) {
+    sanitized[key] = sanitizeDataValue(value);
+  }
+
+  return sanitized;
+}
+
 module.exports = {
   sanitizeCsvValue,
   sanitizeCsvRow,
   sanitizeCsvRows,
+  sanitizeDataValue,
+  sanitizeDataRow,
 };
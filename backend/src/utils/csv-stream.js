@@ -0,0 +1,93 @@
+/* STREAMING CSV READER - ROWS OF AN UPLOADED CSV, ONE AT A TIME
+- the upload is parsed as it is read, so a 100k-row statement run never sits in memory as one array
+- the first row is the header; blank lines are skipped, values trimmed and sanitized against formula
+  injection (utils/csv-sanitizer.js), and a leading BOM (Excel exports) is dropped
+- reading past maxRows stops the parse with a RowLimitError; other batch sources (utils/data-sources.js)
+  share the error and the reader shape */
+
+const fs = require('fs');
+const { Readable, pipeline } = require('stream');
+const { parse } = require('csv-parse');
+const { sanitizeCsvRow } = require('./csv-sanitizer');
+
+/**
+ * A batch data file with more rows than allowed
+ */
+class RowLimitError extends Error {
+  constructor(maxRows, label = 'CSV') {
+    super(`Too many rows. Maximum ${maxRows} rows per ${label}.`);
+    this.name = 'RowLimitError';
+    this.status = 413;
+    this.maxRows = maxRows;
+  }
+}
+
+/**
+ * Whether an error came from the CSV parser (malformed quotes, inconsistent columns, ...)
+ */
+function isCsvParseError(err) {
+  return typeof err?.code === 'string' && err.code.startsWith('CSV_');
+}
+
+/**
+ * Open a multer file as a stream, whether it was kept in memory or written to disk
+ * @param {Object} file - req.file
+ * @returns {Readable}
+ */
+function openUpload(file) {
+  return file.path ? fs.createReadStream(file.path) : Readable.from([file.buffer]);
+}
+
+/**
+ * Read the rows of a CSV stream
+ * @param {Readable} source - CSV bytes
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Rows allowed before RowLimitError is thrown
+ * @param {number} [options.headerRow] - Line of the header (1-based); lines above it are skipped
+ * @returns {{rows: AsyncIterator<Object>, count: Function, hasHeader: Function, headers: Function}} - rows
+ *   is a single iterator, so callers can peek at the first rows and hand the rest on; count() gives the
+ *   rows read so far, hasHeader() whether the file had any column names at all and headers() the names
+ */
+function readCsvRows(source, { maxRows = Infinity, headerRow = 1 } = {}) {
+  let header = null;
+  let count = 0;
+
+  const parser = parse({
+    // first row is the header; each following row is an object keyed by its names
+    columns: (names) => {
+      header = names;
+      return names;
+    },
+    bom: true,
+    from_line: headerRow,
+    skip_empty_lines: true,
+    trim: true,
+  });
+  // source errors (e.g. a failed disk read) reach the reader through the parser
+  pipeline(source, parser, () => {});
+
+  async function* rows() {
+    for await (const record of parser) {
+      count++;
+      if (count > maxRows) {
+        parser.destroy();
+        throw new RowLimitError(maxRows);
+      }
+      yield sanitizeCsvRow(record);
+    }
+  }
+
+  return {
+    rows: rows(),
+    count: () => count,
+    hasHeader: () => !!header && header.some((name) => name !== ''),
+    headers: () => (header || []).filter((name) => name !== ''),
+  };
+}
+
+module.exports = {
+  RowLimitError,
+  isCsvParseError,
+  openUpload,
+  readCsvRows,
+};
@@ -0,0 +1,268 @@
+/* BATCH DATA SOURCES - ROWS OF AN UPLOADED CSV, XLSX, JSON OR NDJSON FILE
+- every format is read through the same reader shape as utils/csv-stream.js, so the merge-csv route
+  and batch jobs don't care where the rows came from
+- xlsx: one sheet (by name, the first by default) of a workbook, streamed; the header row can sit
+  below a title block, and cells keep their types (numbers, booleans, dates as ISO strings)
+- json: an array of row objects, parsed whole; ndjson: one row object per line, streamed, for sources
+  too big to parse at once
+- rows are sanitized against formula injection (utils/csv-sanitizer.js); text is, typed values and
+  nested loop data keep their shape
+- reading past maxRows stops with a RowLimitError; a file that can't be read throws a DataSourceError */
+
+const path = require('path');
+const readline = require('readline');
+const ExcelJS = require('exceljs');
+const { readCsvRows, isCsvParseError, RowLimitError } = require('./csv-stream');
+const { sanitizeDataRow } = require('./csv-sanitizer');
+
+// names used in messages
+const FORMAT_LABELS = {
+  csv: 'CSV',
+  xlsx: 'XLSX',
+  json: 'JSON',
+  ndjson: 'NDJSON',
+};
+
+const EXTENSION_FORMATS = {
+  '.xlsx': 'xlsx',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+};
+
+const MIME_FORMATS = {
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+};
+
+/**
+ * A data file that isn't the format it claims to be, or holds something other than rows
+ */
+class DataSourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DataSourceError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Whether an error means the uploaded rows couldn't be read
+ */
+function isDataSourceError(err) {
+  return err instanceof DataSourceError || isCsvParseError(err);
+}
+
+/**
+ * Format of an uploaded data file, from its extension and then its declared mimetype
+ * @param {Object} file - req.file (originalname, mimetype)
+ * @returns {string} - csv, xlsx, json or ndjson; anything else is read as CSV
+ */
+function dataSourceFormat(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  return EXTENSION_FORMATS[ext] || MIME_FORMATS[(file.mimetype || '').toLowerCase()] || 'csv';
+}
+
+/* gives rows to the reader one by one, counting them against maxRows
+- sources without a header row (JSON) report the keys of the rows read so far as their headers */
+function limitedReader(generate, { maxRows, label, hasHeader, headers }) {
+  let count = 0;
+  const keys = new Set();
+
+  async function* rows() {
+    for await (const row of generate()) {
+      count++;
+      if (count > maxRows) throw new RowLimitError(maxRows, label);
+      if (!headers) Object.keys(row).forEach((key) => keys.add(key));
+      yield sanitizeDataRow(row);
+    }
+  }
+
+  return {
+    rows: rows(),
+    count: () => count,
+    hasHeader,
+    headers: headers || (() => [...keys]),
+  };
+}
+
+/**
+ * Plain value of an XLSX cell
+ * @param {any} value - ExcelJS cell value
+ * @returns {any} - text, number, boolean or null; dates become ISO strings (just the date at midnight UTC)
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (typeof value !== 'object') return value;
+  if (Array.isArray(value.richText)) return value.richText.map((run) => run.text).join('');
+  // formulas keep the result Excel last calculated
+  if ('formula' in value || 'sharedFormula' in value) return cellValue(value.result);
+  // hyperlinks show their text
+  if ('text' in value) return cellValue(value.text);
+  // errors (#N/A, #DIV/0!, ...) read as empty
+  return null;
+}
+
+/**
+ * Read the rows of one XLSX sheet
+ * @param {Readable} source - XLSX bytes
+ * @param {Object} [options]
+ * @param {string} [options.sheet] - Sheet name; the first sheet when left out
+ * @param {number} [options.headerRow] - Row of the header (1-based); rows above it are skipped
+ * @param {number} [options.maxRows] - Rows allowed before RowLimitError is thrown
+ * @returns {Object} - Row reader, see readCsvRows
+ */
+function readXlsxRows(source, { sheet, headerRow = 1, maxRows = Infinity } = {}) {
+  let header = null;
+
+  async function* generate() {
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(source, {
+      worksheets: 'emit',
+      sharedStrings: 'cache',
+      // number formats tell dates apart from numbers
+      styles: 'cache',
+      hyperlinks: 'ignore',
+      entries: 'ignore',
+    });
+    const seen = [];
+
+    try {
+      for await (const worksheet of reader) {
+        seen.push(worksheet.name);
+        if (sheet ? worksheet.name !== sheet : seen.length > 1) continue;
+
+        for await (const row of worksheet) {
+          if (row.number < headerRow) continue;
+          const values = row.values.map(cellValue);
+          if (row.number === headerRow) {
+            header = values.map((name) => (name === null ? '' : String(name).trim()));
+            continue;
+          }
+          if (!header) continue;
+
+          const record = {};
+          header.forEach((name, col) => {
+            // columns without a name are notes beside the data
+            if (name) record[name] = values[col] ?? '';
+          });
+          if (Object.values(record).some((value) => value !== '' && value !== null)) yield record;
+        }
+        return;
+      }
+    } catch (err) {
+      throw new DataSourceError(`Could not read the workbook: ${err.message}`);
+    }
+
+    if (sheet) throw new DataSourceError(`Sheet '${sheet}' not found. Sheets: ${seen.join(', ')}`);
+  }
+
+  return limitedReader(generate, {
+    maxRows,
+    label: FORMAT_LABELS.xlsx,
+    hasHeader: () => !!header && header.some((name) => name !== ''),
+    headers: () => (header || []).filter((name) => name !== ''),
+  });
+}
+
+function assertRowObject(row, position) {
+  if (typeof row !== 'object' || row === null || Array.isArray(row)) {
+    throw new DataSourceError(`${position} is not an object`);
+  }
+  return row;
+}
+
+/**
+ * Read the rows of a JSON array
+ * @param {Readable} source - JSON bytes; the whole document is parsed at once
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Rows allowed before RowLimitError is thrown
+ * @returns {Object} - Row reader, see readCsvRows
+ */
+function readJsonRows(source, { maxRows = Infinity } = {}) {
+  async function* generate() {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.concat(chunks).toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (err) {
+      throw new DataSourceError(err.message);
+    }
+    if (!Array.isArray(data)) throw new DataSourceError('Expected an array of row objects');
+
+    for (let i = 0; i < data.length; i++) {
+      yield assertRowObject(data[i], `Row ${i + 1}`);
+    }
+  }
+
+  // JSON rows carry their own keys; there's no header to miss
+  return limitedReader(generate, { maxRows, label: FORMAT_LABELS.json, hasHeader: () => false });
+}
+
+/**
+ * Read the rows of an NDJSON file, one JSON object per line
+ * @param {Readable} source - NDJSON bytes
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Rows allowed before RowLimitError is thrown
+ * @returns {Object} - Row reader, see readCsvRows
+ */
+function readNdjsonRows(source, { maxRows = Infinity } = {}) {
+  async function* generate() {
+    const lines = readline.createInterface({ input: source, crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      const text = (lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line).trim();
+      if (!text) continue;
+
+      let row;
+      try {
+        row = JSON.parse(text);
+      } catch (err) {
+        throw new DataSourceError(`Line ${lineNumber}: ${err.message}`);
+      }
+      yield assertRowObject(row, `Line ${lineNumber}`);
+    }
+  }
+
+  return limitedReader(generate, { maxRows, label: FORMAT_LABELS.ndjson, hasHeader: () => false });
+}
+
+/**
+ * Read the rows of an uploaded data file
+ * @param {Readable} source - File bytes
+ * @param {Object} options
+ * @param {string} options.format - csv, xlsx, json or ndjson (see dataSourceFormat)
+ * @param {string} [options.sheet] - XLSX sheet name
+ * @param {number} [options.headerRow] - CSV/XLSX header row (1-based)
+ * @param {number} [options.maxRows] - Rows allowed before RowLimitError is thrown
+ * @returns {Object} - Row reader, see readCsvRows
+ */
+function readDataRows(source, { format, sheet, headerRow, maxRows } = {}) {
+  switch (format) {
+    case 'xlsx':
+      return readXlsxRows(source, { sheet, headerRow, maxRows });
+    case 'json':
+      return readJsonRows(source, { maxRows });
+    case 'ndjson':
+      return readNdjsonRows(source, { maxRows });
+    default:
+      return readCsvRows(source, { headerRow, maxRows });
+  }
+}
+
+module.exports = {
+  FORMAT_LABELS,
+  DataSourceError,
+  isDataSourceError,
+  dataSourceFormat,
+  readDataRows,
+};
@@ -4,6 +4,7 @@ const PizZip = require("pizzip");
 /* DOCXTEMPLATER - DOCX TEMPLATING ENGINE 
 edits XML parts and then re-zips the package back into a valid .docx */
 const Docxtemplater = require("docxtemplater");
+const { BLANK, stripBlanks, isBlankOnly, collapseBlankLines } = require("./blank-values");
 
 /* *** DOCXTEMPLATER OPTIONS  
 - sets Mustache-style {{ }} delimiters and a strict nullGetter that throws when a tag has no value */
@@ -42,6 +43,185 @@ class TemplateParseError extends Error {
   }
 }
 
+/* CREATENULLGETTER(OPTIONALFIELDS) - STRICT NULLGETTER THAT LETS OPTIONAL FIELDS THROUGH
+- optionalFields - names of fields marked required: false; a loop body tag matches either its bare
+  name ("note") or its dot-path under the loops it sits in ("items.note")
+- an optional text tag renders as the BLANK marker so its line/paragraph/row can be collapsed after
+  rendering; optional sections and other module tags render as "" (a hidden section) */
+function createNullGetter(optionalFields = []) {
+  const optional = new Set(optionalFields);
+  return (part, scopeManager) => {
+    const { imageTagKey } = require("./placeholders");
+    const { tagFieldName } = require("./formatters");
+    const name = imageTagKey(part?.value || "") ?? tagFieldName(part?.value || "");
+    const path = [...(scopeManager?.scopePath || []), name].join(".");
+    if (optional.has(name) || optional.has(path)) return part.module ? "" : BLANK;
+    return DOCX_OPTIONS.nullGetter(part);
+  };
+}
+
+/* IMAGE TAGS - {{%logo}} INSERTS AN INLINE PICTURE (value shapes documented in utils/images.js)
+- docxtemplater only renders text, so the parser resolves an image tag to a token string and
+  collects the image; embedImages then swaps each token for a <w:drawing> run after rendering */
+const IMAGE_TOKEN_REGEX = /\[\[docx-image:(\d+)\]\]/g;
+const IMAGE_REL_TYPE = "http://schemas.openxmlformats.org/officeDocument/2006/relationships/image";
+// document body, headers and footers can all hold tags
+const IMAGE_PART_REGEX = /^word\/(document|header\d*|footer\d*)\.xml$/;
+
+/* CREATEPARSER(IMAGES, OPTIONS) - DOCXTEMPLATER'S DEFAULT PARSER PLUS IMAGE, BARCODE AND FILTER TAGS
+- images - array collecting parsed images for this render; a tag's token is its index
+- options.locale - locale for {{amount | currency:"EUR"}} style filters (see utils/formatters.js)
+- {{qr:url}} style barcode tags read the image generated into the "qr:url" key before rendering
+- a blank optional field (the BLANK marker) hides a section and leaves an image tag empty
+- unknown filters fail when the tag is compiled, so the upload linter reports them */
+function createParser(images, options = {}) {
+  // lazy require - images.js, placeholders.js, formatters.js and expressions.js depend on TemplateParseError defined in this file
+  const { parseImageValue } = require("./images");
+  const { imageTagKey } = require("./placeholders");
+  const { parseTag, checkFilters, applyFilters } = require("./formatters");
+  const { isExpressionTag, parseExpression } = require("./expressions");
+
+  return (tag, meta) => {
+    const imageName = imageTagKey(tag);
+    const isSection = meta?.tag?.module === "loop";
+    const { name, filters } = imageName ? { name: tag, filters: [] } : parseTag(tag);
+    checkFilters(filters, tag.trim());
+    // expression results are added to the data before rendering; parsing here lets the upload lint report bad syntax
+    if (!imageName && !isSection && isExpressionTag(name)) parseExpression(name);
+    return {
+      get(scope, context) {
+        // same lookup as docxtemplater's default parser
+        if (!imageName) {
+          const value = name === "." ? scope : scope ? scope[name] : scope;
+          if (isSection) return value === BLANK ? "" : value;
+          // a missing value is looked up in outer scopes first; default only applies at the outermost
+          if (value === undefined && context?.num > 0) return undefined;
+          return applyFilters(value, filters, { locale: options.locale, tagText: tag.trim() });
+        }
+        // undefined lets docxtemplater try outer scopes, then the nullGetter
+        const value = scope ? scope[imageName] : undefined;
+        if (value === undefined || value === BLANK) return value;
+        images.push(parseImageValue(value, imageName));
+        return `[[docx-image:${images.length - 1}]]`;
+      },
+    };
+  };
+}
+
+// inline picture XML, namespaces declared locally so any part can hold it
+function drawingXml(image, rId, id) {
+  const { pxToEmu } = require("./images");
+  const cx = pxToEmu(image.width);
+  const cy = pxToEmu(image.height);
+  return (
+    '<w:drawing><wp:inline xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" distT="0" distB="0" distL="0" distR="0">' +
+    `<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${id}" name="Picture ${id}"/>` +
+    '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    `<pic:nvPicPr><pic:cNvPr id="${id}" name="image${id}.${image.extension}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+    `<pic:blipFill><a:blip xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:embed="${rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+    `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+    "</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>"
+  );
+}
+
+/* EMBEDIMAGES(ZIP, IMAGES) - REPLACES IMAGE TOKENS WITH PICTURES
+- splits the run holding a token so the picture gets its own run with the same formatting
+- adds the media file, the part's relationship and the content type default */
+function embedImages(zip, images) {
+  if (!images.length) return;
+
+  let contentTypes = zip.file("[Content_Types].xml")?.asText() || "";
+  let mediaNumber = 1;
+
+  for (const name of Object.keys(zip.files).filter((n) => IMAGE_PART_REGEX.test(n))) {
+    let xml = zip.file(name).asText();
+    if (!xml.includes("[[docx-image:")) continue;
+
+    const relsPath = name.replace(/^word\//, "word/_rels/") + ".rels";
+    let rels =
+      zip.file(relsPath)?.asText() ||
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+    const relIds = new Map();
+
+    // one relationship per image per part, even when a token appears several times
+    const relFor = (index) => {
+      if (relIds.has(index)) return relIds.get(index);
+      const image = images[index];
+      while (zip.file(`word/media/image${mediaNumber}.${image.extension}`)) mediaNumber++;
+      const target = `media/image${mediaNumber}.${image.extension}`;
+      zip.file(`word/${target}`, image.buffer);
+
+      const rId = `rIdImg${index + 1}`;
+      rels = rels.replace(
+        "</Relationships>",
+        `<Relationship Id="${rId}" Type="${IMAGE_REL_TYPE}" Target="${target}"/></Relationships>`
+      );
+      if (!new RegExp(`<Default\\s[^>]*Extension="${image.extension}"`, "i").test(contentTypes)) {
+        contentTypes = contentTypes.replace(
+          "</Types>",
+          `<Default Extension="${image.extension}" ContentType="${image.mimeType}"/></Types>`
+        );
+      }
+      relIds.set(index, rId);
+      return rId;
+    };
+
+    xml = xml.replace(/<w:r(?:\s[^>]*)?>[\s\S]*?<\/w:r>/g, (run) => {
+      if (!run.includes("[[docx-image:")) return run;
+      const rPr = (run.match(/<w:rPr>[\s\S]*?<\/w:rPr>/) || [""])[0];
+      return run.replace(IMAGE_TOKEN_REGEX, (token, index) => {
+        const drawing = drawingXml(images[index], relFor(Number(index)), 5000 + Number(index));
+        return `</w:t></w:r><w:r>${rPr}${drawing}</w:r><w:r>${rPr}<w:t xml:space="preserve">`;
+      });
+    });
+
+    zip.file(name, xml);
+    zip.file(relsPath, rels);
+  }
+
+  zip.file("[Content_Types].xml", contentTypes);
+}
+
+/* BLANK CONTENT - WHAT BLANK OPTIONAL FIELDS LEAVE BEHIND (see utils/blank-values.js)
+- table rows and paragraphs whose only text is BLANK markers are removed, and so are soft line
+  breaks (<w:br/>, not page or column breaks) around lines holding only markers
+- rows holding a nested table and paragraphs holding pictures, text boxes or section properties stay
+- Word needs a paragraph in every cell, header and footer, so one left without any gets an empty one */
+const TABLE_ROW_REGEX = /<w:tr(?:\s[^>]*)?(?<!\/)>[\s\S]*?<\/w:tr>/g;
+const PARAGRAPH_REGEX = /<w:p(?:\s[^>]*)?(?<!\/)>[\s\S]*?<\/w:p>/g;
+const LINE_BREAK_REGEX = /<w:br(?![^>]*w:type="(?:page|column)")(?:\s[^>]*)?\/>/g;
+const KEEP_PARAGRAPH_REGEX = /<w:(?:drawing|pict|object|txbxContent|sectPr)[\s>/]/;
+const HAS_PARAGRAPH_REGEX = /<w:p[\s>/]/;
+
+// visible text of a WordprocessingML fragment
+const xmlText = (xml) => xml.replace(/<[^>]+>/g, "");
+
+function removeBlankContent(zip) {
+  for (const name of Object.keys(zip.files).filter((n) => IMAGE_PART_REGEX.test(n))) {
+    let xml = zip.file(name).asText();
+    if (!xml.includes(BLANK)) continue;
+
+    xml = xml
+      .replace(TABLE_ROW_REGEX, (row) => (!row.includes("<w:tbl") && isBlankOnly(xmlText(row)) ? "" : row))
+      // tables with every row removed go too
+      .replace(/<w:tbl>(?:(?!<w:tbl[\s>]|<w:tr[\s>])[\s\S])*?<\/w:tbl>/g, "")
+      .replace(PARAGRAPH_REGEX, (paragraph) => {
+        if (KEEP_PARAGRAPH_REGEX.test(paragraph)) return paragraph;
+        const collapsed = collapseBlankLines(paragraph, LINE_BREAK_REGEX, xmlText);
+        return isBlankOnly(xmlText(collapsed)) ? "" : collapsed;
+      })
+      // cells must end with a paragraph and hold at least one
+      .replace(/(<\/w:tbl>)(\s*<\/w:tc>)/g, "$1<w:p/>$2")
+      .replace(/(<w:tc(?:\s[^>]*)?>)((?:(?!<w:p[\s>/]|<w:tc[\s>])[\s\S])*?)(<\/w:tc>)/g, "$1$2<w:p/>$3");
+
+    if (!HAS_PARAGRAPH_REGEX.test(xml)) {
+      xml = xml.replace(/<\/w:(hdr|ftr)>/, "<w:p/>$&").replace(/<w:body>/, "$&<w:p/>");
+    }
+    zip.file(name, stripBlanks(xml));
+  }
+}
+
 /* ISDOCXERROR(E) & MAPDOCXDETAILS(E) DETECT/NORMALIZE DOCXTEMPLATER'S ERROR SHAPE
 type guard for Docxtemplater errors (single or multi) */
 function isDocxError(e) {
@@ -55,7 +235,19 @@ function mapDocxDetails(e) {
   // Docxtemplater throws a TemplateError that carries extra info on e.properties.errors
   const list = Array.isArray(e.properties?.errors) ? e.properties.errors : [e];
   // if there are errors, they are a template-parse problem (bad tags, duplicate braces, etc.)
-  return list.map((er) => ({
+  return list.flatMap((er) => {
+    // errors thrown by my own parser (e.g. invalid image values) keep their details
+    const root = er.properties?.rootError;
+    if (root instanceof TemplateParseError) {
+      return root.details.map((d) => ({ ...d, file: er.properties.file, offset: er.properties.offset }));
+    }
+    return [mapDocxError(er)];
+  });
+}
+
+// one Docxtemplater error -> one details entry
+function mapDocxError(er) {
+  return {
     // machine-friendly code e.g. duplicate_open-tag
     id: er.properties?.id,
     // short human description e.g. "Duplicate open tag, expected one open tag"
@@ -66,7 +258,7 @@ function mapDocxDetails(e) {
     file: er.properties?.file,
     // byte/char position within that file's text slice
     offset: er.properties?.offset,
-  }));
+  };
 }
 
 /* CORE RENDERER
@@ -74,22 +266,27 @@ buffer - raw file bytes
 data = {} - key/value object for the tags which defaults to empty
 options object - destructure allowNulls with default of false; options defaults to {} */
 function renderInternal(buffer, data = {}, options = {}) {
-  // allowNulls - a "back door" flag that the linter uses to relax nullGetter
-  const { allowNulls = false } = options;
+  /* allowNulls - a "back door" flag that the linter uses to relax nullGetter
+  optionalFields - field names the strict nullGetter lets through as blanks
+  locale - locale for value filters */
+  const { allowNulls = false, optionalFields = [], locale } = options;
   /* OPENS DOCX WITH PIZZIP   
   ZIP - compressed archive format that can bundle many files/folders into one file
   opens the DOCX (which is a ZIP) in memory so Docxtemplater can read its XML parts
   XML - plain-text data format for structuring information using tags I define
   - a .docx file is a ZIP container, a package of XML files, plus assets (images, fonts) */
   const zip = new PizZip(buffer);
+  // images resolved from {{%tag}}s during this render
+  const images = [];
   const docxOpts = allowNulls
     ? /* IN ALLOWSNULL MODE USED BY LINTER, RELAXES NULLGETTER TO RETURN "" INSTEAD OF THROWING 
       - so render won't throw on undefined variables */
-      { ...DOCX_OPTIONS, nullGetter: () => "" }
-    : DOCX_OPTIONS;
-  // INSTANTIATES DOCXTEMPLATER
-  const doc = new Docxtemplater(zip, docxOpts);
+      { ...DOCX_OPTIONS, parser: createParser(images, { locale }), nullGetter: () => "" }
+    : { ...DOCX_OPTIONS, parser: createParser(images, { locale }), nullGetter: createNullGetter(optionalFields) };
+  let doc;
   try {
+    // INSTANTIATES DOCXTEMPLATER (passing options compiles the template, so tag errors surface here too)
+    doc = new Docxtemplater(zip, docxOpts);
     /* CALLS .RENDER(DATA), THEN .GETZIP().GENERATE({ TYPE: "NODEBUFFER" })
     Docxtemplater instance passes data directly to render() which executes the template render */
     doc.render(data);
@@ -99,7 +296,10 @@ function renderInternal(buffer, data = {}, options = {}) {
     // if it's not a Docxtemplater-style error, rethrow the original error unchanged
     throw e;
   }
-  // returns the final merged DOCX from Docxtemplater instance as a Node.js Buffer,
+  // DROPS WHAT BLANK OPTIONAL FIELDS LEFT BEHIND (the linter's output is thrown away)
+  if (!allowNulls) removeBlankContent(doc.getZip());
+  // SWAPS IMAGE TOKENS FOR PICTURES, THEN RETURNS THE FINAL MERGED DOCX AS A NODE.JS BUFFER
+  embedImages(doc.getZip(), images);
   return doc.getZip().generate({ type: "nodebuffer" });
 }
 
@@ -119,12 +319,13 @@ function lintDocxBuffer(buffer) {
   }
 }
 
-/* RENDERDOCXBUFFERORTHROW(BUFFER, DATA): STRICT MERGE (THROWS TEMPLATEPARSEERROR ON TEMPLATE ISSUES)
+/* RENDERDOCXBUFFERORTHROW(BUFFER, DATA, OPTIONS): STRICT MERGE (THROWS TEMPLATEPARSEERROR ON TEMPLATE ISSUES)
 MERGE HELPER - DOCX templating 
 - public merge API, calls the engine with the strict setting (no allowNulls) so real merges must error on 
-  missing tags */
-function renderDocxBufferOrThrow(templateBuffer, data) {
-  return renderInternal(templateBuffer, data);
+  missing tags, except those of the optional fields listed in options.optionalFields
+- options.locale formats filtered values */
+function renderDocxBufferOrThrow(templateBuffer, data, options = {}) {
+  return renderInternal(templateBuffer, data, { optionalFields: options.optionalFields, locale: options.locale });
 }
 
 module.exports = {
@@ -25,6 +25,7 @@ const ErrorCodes = {
   // Authorization (403)
   FORBIDDEN: 'FORBIDDEN',
   ACCOUNT_DISABLED: 'ACCOUNT_DISABLED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
 
   // Validation (400)
   VALIDATION_ERROR: 'VALIDATION_ERROR',
@@ -53,6 +54,7 @@ const ErrorCodes = {
   // Unprocessable (422)
   TEMPLATE_PARSE_ERROR: 'TEMPLATE_PARSE_ERROR',
   FIELD_MISMATCH: 'FIELD_MISMATCH',
+  FIELD_VALIDATION_ERROR: 'FIELD_VALIDATION_ERROR',
   EMPTY_DATA: 'EMPTY_DATA',
 
   // Rate Limiting (429)
@@ -114,6 +116,10 @@ const errorResponse = {
   forbidden: (res, message = 'Forbidden', code = ErrorCodes.FORBIDDEN) =>
     sendError(res, 403, code, message),
 
+  // 403 Forbidden, over a usage quota; details is { quota, limit, used }
+  quotaExceeded: (res, message, details) =>
+    sendError(res, 403, ErrorCodes.QUOTA_EXCEEDED, message, { details }),
+
   // 404 Not Found
   notFound: (res, message = 'Not found', code = ErrorCodes.NOT_FOUND) =>
     sendError(res, 404, code, message),
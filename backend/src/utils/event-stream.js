@@ -0,0 +1,104 @@
+/* EVENT STREAM
+Server-Sent Events responses (text/event-stream) that stay open while a job runs
+- a comment goes out when nothing else has for KEEP_ALIVE_MS, so proxies don't drop an idle stream
+- open streams are ended on shutdown (closeEventStreams), or the HTTP server would wait on them */
+
+// Longest silence before a keep-alive comment
+const KEEP_ALIVE_MS = 15000;
+
+const openStreams = new Set();
+
+/**
+ * Start an event stream response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response; the stream closes when the client disconnects
+ * @returns {Object} - { send(event, data, id), wait(ms), wake(), end(), closed }
+ */
+function openEventStream(req, res) {
+  // the app-wide request timeout is for merges, not streams
+  req.setTimeout(0);
+  res.setTimeout(0);
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // nginx buffers responses unless told otherwise
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let lastWrite = Date.now();
+  let waiting = null;
+
+  const stream = {
+    closed: false,
+
+    /**
+     * Send an event; data is sent as JSON, and id becomes the client's Last-Event-ID
+     */
+    send(event, data, id) {
+      if (stream.closed) return;
+      const idLine = id === undefined ? '' : `id: ${id}\n`;
+      res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      lastWrite = Date.now();
+    },
+
+    /**
+     * Resolve after ms, on wake(), or once the stream closes
+     */
+    wait(ms) {
+      return new Promise((resolve) => {
+        if (stream.closed) return resolve();
+        const timer = setTimeout(() => {
+          if (!stream.closed && Date.now() - lastWrite >= KEEP_ALIVE_MS) {
+            res.write(': keep-alive\n\n');
+            lastWrite = Date.now();
+          }
+          done();
+        }, ms);
+        const done = () => {
+          clearTimeout(timer);
+          waiting = null;
+          resolve();
+        };
+        waiting = done;
+      });
+    },
+
+    wake() {
+      waiting?.();
+    },
+
+    end() {
+      if (stream.closed) return;
+      stream.closed = true;
+      openStreams.delete(stream);
+      stream.wake();
+      res.end();
+    },
+  };
+
+  openStreams.add(stream);
+  // the response closes when the client disconnects (the request's close only means its body was read)
+  res.on('close', () => {
+    stream.closed = true;
+    openStreams.delete(stream);
+    stream.wake();
+  });
+
+  return stream;
+}
+
+/**
+ * End every open event stream, for a graceful shutdown
+ */
+function closeEventStreams() {
+  for (const stream of openStreams) {
+    stream.end();
+  }
+}
+
+module.exports = {
+  openEventStream,
+  closeEventStreams,
+};
@@ -0,0 +1,429 @@
+/* COMPUTED EXPRESSIONS - {{quantity * unitPrice}}, {{sum(items, "total")}}, {{firstName + " " + lastName}}
+- a value tag holding an operator, a call or a quoted string is an expression; the merge evaluates it
+  before rendering (services/expression.service.js) and stores the result under the tag's text, so
+  every format service renders it like any other value, filters included
+- one that doesn't parse is a TemplateParseError, at upload and at merge
+- field names may join their words with -, /, & or an apostrophe written without spaces around it
+  ({{first-name}}, {{Qty/Unit}}, {{R&D Budget}}, {{Customer's Name}}): those tags stay plain fields,
+  so dividing takes spaces ({{total / count}}); a tag named like a field of the template or a key of the
+  merge data ({{Name - Title}}) is that field too
+- expressions are parsed into a small syntax tree and interpreted: nothing reaches eval or Function,
+  only own properties of the merge data can be read and only the FUNCTIONS below can be called
+- operators: + - * / %, == != < <= > >=, and (&&), or, not (!), cond ? a : b and parentheses;
+  "||" can't be used since "|" starts the tag's filters
+- + adds when both sides read as numbers ("2" from a CSV counts) and joins text otherwise
+- a blank optional field reads as empty: 0 in arithmetic, "" in text
+- a field missing from the data leaves the tag unresolved, like a plain missing field */
+
+const { TemplateParseError } = require('./docx-templating');
+const { toNumber } = require('./field-validation');
+const { isBlankMarker } = require('./blank-values');
+const { PLACEHOLDER_REGEX, isTruthy, stringifyValue } = require('./placeholders');
+const { tagFieldName } = require('./formatters');
+
+// a tag is an expression once it holds one of these (or a word operator between lowercase names);
+// "first-name" and "First Name" stay plain fields
+const EXPRESSION_HINT_REGEX = /[()*/%+<>=!?"'“”‘’&,]|\s-|-\s|^-|^not\s+[a-z_$]|[\w$]\s+(?:and|or)\s+[a-z_$]/;
+
+// characters joining two words of a field name: "Qty/Unit", "R&D", "Customer's"
+const NAME_JOINER_REGEX = /(?<=[\p{L}\p{N}_$])[/&'’](?=[\p{L}\p{N}_$])/gu;
+
+const QUOTES = { '"': '"', "'": "'", '“': '”', '‘': '’' };
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+const KEYWORDS = { true: true, false: false, null: null };
+const WORD_OPERATORS = { and: '&&', or: 'or', not: '!' };
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*(?:\.[\w$]+)*/;
+const NUMBER_REGEX = /^(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i;
+
+// fields whose missing value makes the whole expression unresolved
+const MISSING = Symbol('missing');
+
+// own keys only - "constructor" must not find Object.prototype.constructor
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Whether the text between a tag's braces (filters removed) is an expression rather than a field
+ */
+function isExpressionTag(name) {
+  if (typeof name !== 'string' || /^\s*%/.test(name)) return false;
+  return EXPRESSION_HINT_REGEX.test(name.trim().replace(NAME_JOINER_REGEX, ''));
+}
+
+function expressionError(id, explanation, text) {
+  const err = new TemplateParseError([{ id, explanation, xtag: `{{${text}}}` }]);
+  err.status = 422;
+  return err;
+}
+
+/**
+ * Split an expression into tokens
+ * @returns {Array<{type: string, value: any, position: number}>} - number, string, name and op tokens
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (QUOTES[ch]) {
+      const end = text.indexOf(QUOTES[ch], i + 1);
+      if (end === -1) throw expressionError('invalid_expression', `Unterminated string at position ${i + 1}`, text);
+      tokens.push({ type: 'string', value: text.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    const number = rest.match(NUMBER_REGEX);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const name = rest.match(IDENTIFIER_REGEX);
+    if (name) {
+      const word = name[0];
+      if (has(WORD_OPERATORS, word)) tokens.push({ type: 'op', value: WORD_OPERATORS[word], position: i });
+      else if (has(KEYWORDS, word)) tokens.push({ type: 'literal', value: KEYWORDS[word], position: i });
+      else tokens.push({ type: 'name', value: word, position: i });
+      i += word.length;
+      continue;
+    }
+
+    const op = OPERATORS.find((o) => rest.startsWith(o));
+    if (!op) throw expressionError('invalid_expression', `Unexpected "${ch}" at position ${i + 1}`, text);
+    // === and !== mean the same as == and != here
+    tokens.push({ type: 'op', value: op.length === 3 ? op.slice(0, 2) : op, position: i });
+    i += op.length;
+  }
+  return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ * Nodes: literal, field (a dot-path), unary, binary, logical, conditional and call
+ * @param {string} text - Expression text, e.g. 'quantity * unitPrice'
+ * @returns {Object} - Root node
+ * @throws {TemplateParseError} - id invalid_expression or unknown_function, status 422
+ */
+function parseExpression(text) {
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+  const fail = (token) => {
+    const explanation = token
+      ? `Unexpected "${text.slice(token.position).split(/\s/)[0]}" at position ${token.position + 1}`
+      : 'Unexpected end of expression';
+    throw expressionError('invalid_expression', explanation, text);
+  };
+  const expect = (op) => {
+    if (!isOp(op)) fail(peek());
+    index++;
+  };
+
+  // binary levels, loosest first
+  const LEVELS = [['or'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+  const conditional = () => {
+    const test = binary(0);
+    if (!isOp('?')) return test;
+    index++;
+    const consequent = conditional();
+    expect(':');
+    return { type: 'conditional', test, consequent, alternate: conditional() };
+  };
+
+  const binary = (level) => {
+    if (level === LEVELS.length) return unary();
+    let left = binary(level + 1);
+    while (isOp(...LEVELS[level])) {
+      const op = tokens[index++].value;
+      const right = binary(level + 1);
+      left = op === 'or' || op === '&&' ? { type: 'logical', op, left, right } : { type: 'binary', op, left, right };
+    }
+    return left;
+  };
+
+  const unary = () => {
+    if (isOp('-', '!', '+')) {
+      const op = tokens[index++].value;
+      return { type: 'unary', op, argument: unary() };
+    }
+    return primary();
+  };
+
+  const primary = () => {
+    const token = tokens[index++];
+    if (!token) fail();
+    if (token.type === 'number' || token.type === 'string' || token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'name') {
+      if (!isOp('(')) return { type: 'field', path: token.value };
+      if (!has(FUNCTIONS, token.value)) {
+        throw expressionError('unknown_function', `Unknown function "${token.value}"`, text);
+      }
+      index++;
+      const args = [];
+      while (!isOp(')')) {
+        if (args.length) expect(',');
+        args.push(conditional());
+      }
+      index++;
+      return { type: 'call', name: token.value, args };
+    }
+    if (token.value === '(') {
+      const inner = conditional();
+      expect(')');
+      return inner;
+    }
+    return fail(token);
+  };
+
+  const root = conditional();
+  if (index < tokens.length) fail(peek());
+  return root;
+}
+
+/**
+ * Read a dot-path through own properties only, so prototypes (constructor, __proto__) stay out of reach
+ */
+function readPath(value, path) {
+  let cur = value;
+  for (const part of path.split('.')) {
+    if (cur === null || cur === undefined || !has(Object(cur), part)) return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+const isEmpty = (value) => value === null || value === '' || isBlankMarker(value);
+
+// number a value reads as, or null; CSV values like "12", "1,250.00" and "$19.99" count
+function numberOf(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  return toNumber(value, 'number') ?? toNumber(value, 'currency');
+}
+
+function textOf(value) {
+  return isEmpty(value) ? '' : stringifyValue(value);
+}
+
+// arithmetic rounds away float noise, so 0.1 * 3 gives 0.3
+function tidy(number, text) {
+  if (!Number.isFinite(number)) throw expressionError('expression_error', 'The result is too large', text);
+  return Number(number.toPrecision(15));
+}
+
+/**
+ * Functions an expression may call; each maps (args, text) to a value
+ * Aggregates take a list and optionally the item field to read: sum(items, "total")
+ */
+const FUNCTIONS = {
+  sum: (args, text) => tidy(listNumbers('sum', args, text).reduce((a, b) => a + b, 0), text),
+  avg: (args, text) => {
+    const numbers = listNumbers('avg', args, text);
+    return numbers.length ? tidy(numbers.reduce((a, b) => a + b, 0) / numbers.length, text) : '';
+  },
+  min: (args, text) => {
+    const numbers = listNumbers('min', args, text);
+    return numbers.length ? Math.min(...numbers) : '';
+  },
+  max: (args, text) => {
+    const numbers = listNumbers('max', args, text);
+    return numbers.length ? Math.max(...numbers) : '';
+  },
+  count: ([list, field], text) => listValues('count', list, field, text).length,
+  // digits are clamped to 0-15; a double holds no more
+  round: ([value, digits], text) => {
+    const factor = 10 ** Math.min(Math.max(Math.trunc(numberArg('round', digits ?? 0, text)), 0), 15);
+    return tidy(Math.round(numberArg('round', value, text) * factor) / factor, text);
+  },
+  floor: ([value], text) => Math.floor(numberArg('floor', value, text)),
+  ceil: ([value], text) => Math.ceil(numberArg('ceil', value, text)),
+  abs: ([value], text) => Math.abs(numberArg('abs', value, text)),
+};
+
+function numberArg(name, value, text) {
+  if (isEmpty(value)) return 0;
+  const number = numberOf(value);
+  if (number === null) throw expressionError('expression_error', `${name}() needs a number, got "${textOf(value)}"`, text);
+  return number;
+}
+
+// the non-empty values of a list, or of one field of its items
+function listValues(name, list, field, text) {
+  if (list === undefined || isEmpty(list)) return [];
+  if (!Array.isArray(list)) throw expressionError('expression_error', `${name}() needs a list`, text);
+  return list
+    .map((item) => (field === undefined ? item : readPath(item, String(field))))
+    .filter((value) => value !== undefined && !isEmpty(value));
+}
+
+// min(a, b, c) works on its arguments; min(items, "price") on a list (a missing list is empty)
+function listNumbers(name, args, text) {
+  const values = Array.isArray(args[0]) || args[0] === undefined
+    ? listValues(name, args[0], args[1], text)
+    : args.filter((value) => !isEmpty(value));
+  return values.map((value) => numberArg(name, value, text));
+}
+
+const AGGREGATES = ['sum', 'avg', 'min', 'max', 'count'];
+
+function compare(op, left, right) {
+  const a = numberOf(left);
+  const b = numberOf(right);
+  const [x, y] = a !== null && b !== null ? [a, b] : [textOf(left), textOf(right)];
+  switch (op) {
+    case '==': return x === y;
+    case '!=': return x !== y;
+    case '<': return x < y;
+    case '<=': return x <= y;
+    case '>': return x > y;
+    default: return x >= y;
+  }
+}
+
+function add(left, right, text) {
+  const a = isEmpty(left) ? 0 : numberOf(left);
+  const b = isEmpty(right) ? 0 : numberOf(right);
+  if (a !== null && b !== null && !(isEmpty(left) && isEmpty(right))) return tidy(a + b, text);
+  return textOf(left) + textOf(right);
+}
+
+function operand(value, text) {
+  if (isEmpty(value)) return 0;
+  const number = numberOf(value);
+  if (number === null) throw expressionError('expression_error', `"${textOf(value)}" is not a number`, text);
+  return number;
+}
+
+function arithmetic(op, left, right, text) {
+  const [a, b] = [operand(left, text), operand(right, text)];
+  if ((op === '/' || op === '%') && b === 0) throw expressionError('expression_error', 'Division by zero', text);
+  if (op === '-') return tidy(a - b, text);
+  if (op === '*') return tidy(a * b, text);
+  if (op === '/') return tidy(a / b, text);
+  return tidy(a % b, text);
+}
+
+/**
+ * Evaluate a parsed expression against a scope chain
+ * @param {Object} node - From parseExpression
+ * @param {Array<any>} scopes - Scope chain, outermost first; loop items look up outer values
+ * @param {string} text - Expression text, for error details
+ * @returns {any} - The value, or undefined when a field it reads is missing from the data
+ * @throws {TemplateParseError} - id expression_error (e.g. "abc" * 2, division by zero), status 422
+ */
+function evaluateExpression(node, scopes, text) {
+  const lookup = (path) => {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      if (!scope || typeof scope !== 'object') continue;
+      // flat keys win so a literal "customer.name" key still resolves, like in the renderers
+      if (has(scope, path)) return scope[path];
+      if (has(scope, path.split('.')[0])) return readPath(scope, path);
+    }
+    return undefined;
+  };
+
+  const evaluate = (n) => {
+    switch (n.type) {
+      case 'literal':
+        return n.value;
+      case 'field': {
+        const value = lookup(n.path);
+        if (value === undefined) throw MISSING;
+        return value;
+      }
+      case 'unary': {
+        const value = evaluate(n.argument);
+        if (n.op === '!') return !isTruthy(value);
+        return n.op === '-' ? -operand(value, text) : operand(value, text);
+      }
+      case 'logical': {
+        const left = evaluate(n.left);
+        if (n.op === '&&') return isTruthy(left) ? evaluate(n.right) : left;
+        return isTruthy(left) ? left : evaluate(n.right);
+      }
+      case 'conditional':
+        return isTruthy(evaluate(n.test)) ? evaluate(n.consequent) : evaluate(n.alternate);
+      case 'call': {
+        // aggregates read a missing list as empty; other functions need their values
+        const args = n.args.map((arg) => (arg.type === 'field' && AGGREGATES.includes(n.name) ? lookup(arg.path) : evaluate(arg)));
+        return FUNCTIONS[n.name](args, text);
+      }
+      default: {
+        const left = evaluate(n.left);
+        const right = evaluate(n.right);
+        if (n.op === '+') return add(left, right, text);
+        if (['-', '*', '/', '%'].includes(n.op)) return arithmetic(n.op, left, right, text);
+        return compare(n.op, left, right);
+      }
+    }
+  };
+
+  try {
+    return evaluate(node);
+  } catch (err) {
+    if (err === MISSING) return undefined;
+    throw err;
+  }
+}
+
+/**
+ * The fields an expression reads, as dot-paths
+ * An aggregate over a list also reports the item field it reads: sum(items, "total") -> items, items.total
+ * @param {string} text - Expression text
+ * @returns {string[]} - Unique field paths; none when the expression doesn't parse
+ */
+function expressionFields(text) {
+  let root;
+  try {
+    root = parseExpression(text);
+  } catch {
+    return [];
+  }
+
+  const fields = new Set();
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'field') fields.add(node.path);
+    if (node.type === 'call' && node.args[0]?.type === 'field' && node.args[1]?.type === 'literal' && typeof node.args[1].value === 'string') {
+      fields.add(node.args[0].path);
+      fields.add(`${node.args[0].path}.${node.args[1].value}`);
+    }
+    Object.values(node).forEach((child) => (Array.isArray(child) ? child.forEach(visit) : visit(child)));
+  };
+  visit(root);
+  return [...fields];
+}
+
+/**
+ * The fields read by the expression tags in a text, for field extraction
+ * @param {string} text - Template text
+ * @returns {string[]} - Field paths in reading order (may contain duplicates)
+ */
+function findExpressionFields(text) {
+  return [...text.matchAll(PLACEHOLDER_REGEX)]
+    .map((m) => (m[1] ? tagFieldName(m[1]) : ''))
+    .filter(isExpressionTag)
+    .flatMap(expressionFields);
+}
+
+module.exports = {
+  FUNCTIONS,
+  isExpressionTag,
+  parseExpression,
+  evaluateExpression,
+  expressionFields,
+  findExpressionFields,
+};
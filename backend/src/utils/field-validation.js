@@ -0,0 +1,310 @@
+/* MERGE DATA VALIDATION AGAINST A TEMPLATE'S FIELD SCHEMA
+- every Field has a type (string, number, date, email, enum, boolean, currency), a required flag, an
+  optional default and optional pattern/min/max/options rules
+- values are checked as given: CSV and webhook values arrive as strings, so "42" is a valid number
+- loop body fields ("items.qty") are checked on every item of the loop's array
+- every problem is collected, one entry per value, so forms and CSV reports can point at the exact cell */
+
+const FIELD_TYPES = ['string', 'number', 'date', 'email', 'enum', 'boolean', 'currency'];
+
+// optional Field properties, left out of definitions when unset
+const RULE_KEYS = ['defaultValue', 'pattern', 'min', 'max', 'description'];
+
+const NUMBER_REGEX = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+// optional currency symbol, optional thousands separators, at most two decimals
+const CURRENCY_REGEX = /^[+-]?[$€£¥]?\s?(\d{1,3}(,\d{3})+|\d+)(\.\d{1,2})?$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BOOLEAN_VALUES = ['true', 'false', 'yes', 'no', '1', '0'];
+
+/**
+ * Merge data that doesn't satisfy the template's field schema
+ * details lists every problem as { field, path, code, message }
+ */
+class FieldValidationError extends Error {
+  constructor(details) {
+    super(`Invalid merge data: ${details.map((d) => d.message).join('; ')}`);
+    this.name = 'FieldValidationError';
+    this.status = 422;
+    this.details = details;
+  }
+}
+
+/**
+ * The schema part of a Field record, as stored in version snapshots and edited through PUT /fields
+ * Unset rules are left out, so the result can be passed straight to prisma.field.create
+ * @param {Object} field - Field record or snapshot entry (older snapshots only have a name)
+ * @returns {Object} - { name, type, required, options, ...rules }
+ */
+function fieldDefinition(field) {
+  const definition = {
+    name: field.name,
+    type: field.type || 'string',
+    required: field.required !== false,
+    options: Array.isArray(field.options) ? field.options : [],
+  };
+  for (const key of RULE_KEYS) {
+    if (field[key] !== undefined && field[key] !== null) definition[key] = field[key];
+  }
+  return definition;
+}
+
+const isPlainObject = (value) => !!value && Object.getPrototypeOf(value) === Object.prototype;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Visit every value a field name resolves to in the data
+ * Arrays on the way fan out to their items; a scalar on the way is a conditional section whose body
+ * is resolved at render time, so nothing is visited. A key missing from a loop item falls back to
+ * outer scopes like the renderers do.
+ * @param {Object} data - Merge data
+ * @param {string} name - Dot-path field name
+ * @param {Function} visit - Called with (value, path, container, key); container is null when a
+ *   parent object is missing
+ */
+function forEachFieldValue(data, name, visit) {
+  const parts = name.split('.');
+
+  const walk = (scopes, index, path) => {
+    const container = scopes[scopes.length - 1];
+    const key = parts[index];
+    const here = path ? `${path}.${key}` : key;
+    let value = container[key];
+
+    if (index === parts.length - 1) {
+      for (let s = scopes.length - 2; value === undefined && s >= 0; s--) value = scopes[s][key];
+      return visit(value, here, container, key);
+    }
+    if (Array.isArray(value)) {
+      return value.forEach((item, n) => {
+        if (isPlainObject(item)) walk([...scopes, item], index + 1, `${here}[${n}]`);
+      });
+    }
+    if (isPlainObject(value)) return walk([...scopes, value], index + 1, here);
+    if (value === undefined || value === null) {
+      return visit(undefined, [here, ...parts.slice(index + 1)].join('.'), null, parts[parts.length - 1]);
+    }
+    // scalar section: nothing to check until render time
+  };
+
+  walk([data || {}], 0, '');
+}
+
+/**
+ * Copy the objects and arrays of merge data so defaults can be filled in; leaf values (Dates too) are shared
+ */
+function copyContainers(value) {
+  if (Array.isArray(value)) return value.map(copyContainers);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, copyContainers(v)]));
+  }
+  return value;
+}
+
+/**
+ * Fill the values a set of fields leaves missing or empty
+ * @param {Array<Object>} fields - Fields to fill
+ * @param {Object} data - Merge data
+ * @param {Function} valueFor - Maps a field to the value to fill in
+ * @returns {Object} - Copy of the data with values filled in (the same object when nothing changed)
+ */
+function fillBlankFields(fields, data, valueFor) {
+  if (!fields.length) return data;
+
+  const out = copyContainers(data || {});
+  let changed = false;
+  for (const field of fields) {
+    forEachFieldValue(out, field.name, (value, path, container, key) => {
+      if (!isBlank(value)) return;
+      // a missing parent object is created for top-level dotted fields only, never inside loops
+      if (!container) {
+        if (path.includes('[')) return;
+        container = field.name.split('.').slice(0, -1).reduce((obj, part) => {
+          if (!isPlainObject(obj[part])) obj[part] = {};
+          return obj[part];
+        }, out);
+      }
+      container[key] = valueFor(field);
+      changed = true;
+    });
+  }
+  return changed ? out : data;
+}
+
+/**
+ * Fill missing or empty values with field defaults
+ * @param {Array<Object>} fields - The template's Field records
+ * @param {Object} data - Merge data
+ * @returns {Object} - Copy of the data with defaults applied (the same object when nothing changed)
+ */
+function applyFieldDefaults(fields, data) {
+  const withDefaults = fields.filter((f) => f.defaultValue !== undefined && f.defaultValue !== null);
+  return fillBlankFields(withDefaults, data, (field) => field.defaultValue);
+}
+
+// CSV sanitization prefixes values like "-5" with a quote to defuse formulas; numbers read through it
+const unquote = (text) => text.replace(/^'(?=[-+=@])/, '');
+
+/**
+ * Parse a number or currency value
+ * @returns {number|null} - null when the value isn't one
+ */
+function toNumber(value, type) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const text = unquote(value.trim());
+  if (type === 'currency') {
+    return CURRENCY_REGEX.test(text) ? Number(text.replace(/[$€£¥,\s]/g, '')) : null;
+  }
+  return NUMBER_REGEX.test(text) ? Number(text) : null;
+}
+
+/**
+ * Whether a pattern rule is safe to run against merge values
+ * A repeated group that itself repeats something, like (a+)+ or (\w*\s?)*, can take exponential time to
+ * fail a match, so such patterns are refused when a field is saved
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean}
+ */
+function isSafePattern(pattern) {
+  // one entry per open group: whether something in it repeats
+  const groups = [{ repeats: false }];
+  // the group that just closed, which a quantifier after it applies to
+  let closed = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const target = closed;
+    closed = null;
+
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '[') {
+      // a ] right after [ or [^ is part of the class
+      i += pattern[i + 1] === '^' ? 2 : 1;
+      if (pattern[i] === ']') i++;
+      while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+    } else if (ch === '(') {
+      groups.push({ repeats: false });
+      // (?:, (?= and the like; the ? isn't a quantifier
+      if (pattern[i + 1] === '?') i++;
+    } else if (ch === ')' && groups.length > 1) {
+      closed = groups.pop();
+      if (closed.repeats) groups[groups.length - 1].repeats = true;
+    } else {
+      const bounds = ch === '{' && pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+      const repeats = ch === '*' || ch === '+' || (bounds && (bounds[2] ? bounds[3] === '' || +bounds[3] > 1 : +bounds[1] > 1));
+      if (repeats) {
+        if (target?.repeats) return false;
+        groups[groups.length - 1].repeats = true;
+      }
+      if (bounds) i += bounds[0].length - 1;
+    }
+  }
+  return true;
+}
+
+/**
+ * Check one non-empty scalar value against a field's type and rules
+ * @param {Object} field - Field record
+ * @param {any} value - The value
+ * @param {RegExp} [pattern] - field.pattern compiled, so checking many values compiles it once
+ * @returns {{code: string, reason: string}|null} - The first problem, or null when valid
+ */
+function checkValue(field, value, pattern = field.pattern ? new RegExp(field.pattern) : null) {
+  const type = field.type || 'string';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  const hasMin = field.min !== undefined && field.min !== null;
+  const hasMax = field.max !== undefined && field.max !== null;
+
+  switch (type) {
+    case 'number':
+    case 'currency': {
+      const amount = toNumber(value, type);
+      if (amount === null) {
+        return {
+          code: 'invalid_type',
+          reason: type === 'currency' ? 'must be an amount with at most two decimals' : 'must be a number',
+        };
+      }
+      if (hasMin && amount < field.min) return { code: 'too_small', reason: `must be at least ${field.min}` };
+      if (hasMax && amount > field.max) return { code: 'too_large', reason: `must be at most ${field.max}` };
+      break;
+    }
+    case 'date': {
+      const valid = value instanceof Date
+        ? !Number.isNaN(value.getTime())
+        : DATE_REGEX.test(text.trim()) && !Number.isNaN(Date.parse(text.trim()));
+      if (!valid) return { code: 'invalid_type', reason: 'must be a date (YYYY-MM-DD)' };
+      break;
+    }
+    case 'email':
+      if (!EMAIL_REGEX.test(text.trim())) return { code: 'invalid_type', reason: 'must be an email address' };
+      break;
+    case 'enum': {
+      const options = field.options || [];
+      if (!options.includes(text)) {
+        return { code: 'invalid_option', reason: `must be one of: ${options.join(', ')}` };
+      }
+      break;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean' && !BOOLEAN_VALUES.includes(text.trim().toLowerCase())) {
+        return { code: 'invalid_type', reason: 'must be true or false' };
+      }
+      break;
+    default:
+      if (hasMin && text.length < field.min) {
+        return { code: 'too_small', reason: `must be at least ${field.min} characters` };
+      }
+      if (hasMax && text.length > field.max) {
+        return { code: 'too_large', reason: `must be at most ${field.max} characters` };
+      }
+  }
+
+  if (pattern && !pattern.test(text)) {
+    return { code: 'pattern', reason: `must match ${field.pattern}` };
+  }
+  return null;
+}
+
+/**
+ * Validate merge data against a template's field schema
+ * Object and array values (images, loops) count as provided and skip the type checks
+ * @param {Array<Object>} fields - The template's Field records
+ * @param {Object} data - Merge data, with defaults already applied
+ * @returns {Array<{field: string, path: string, code: string, message: string}>} - Empty when valid
+ */
+function validateFieldValues(fields, data) {
+  const errors = [];
+  for (const field of fields) {
+    const required = field.required !== false;
+    const pattern = field.pattern ? new RegExp(field.pattern) : null;
+    forEachFieldValue(data, field.name, (value, path) => {
+      if (isBlank(value)) {
+        if (required) errors.push({ field: field.name, path, code: 'required', message: `${path} is required` });
+        return;
+      }
+      if (typeof value === 'object' && !(value instanceof Date)) return;
+
+      const problem = checkValue(field, value, pattern);
+      if (problem) {
+        errors.push({ field: field.name, path, code: problem.code, message: `${path} ${problem.reason}` });
+      }
+    });
+  }
+  return errors;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  FieldValidationError,
+  fieldDefinition,
+  fillBlankFields,
+  applyFieldDefaults,
+  toNumber,
+  isSafePattern,
+  checkValue,
+  validateFieldValues,
+};
@@ -0,0 +1,241 @@
+/* VALUE FORMATTERS - {{amount | currency:"EUR"}}, {{dueDate | date:"MMMM d, yyyy"}}, {{name | upper}}
+- a tag's value runs through its filters left to right before it is written, in every format
+- filter arguments follow a colon; quote them when they hold spaces, colons or pipes. Word's curly
+  quotes count as quotes, since autocorrect swaps them in as the template is typed
+- numbers, currencies, percentages and month/weekday names follow the template's locale (en-US
+  when none is set), so one data set gives "$1,234.50" for a US template and "1.234,50 $" for de-DE
+- dates are formatted in UTC: a date-only value like "2026-10-19" never shifts a day
+- a blank optional field (see utils/blank-values.js) stays blank, except through default */
+
+const { TemplateParseError } = require('./docx-templating');
+const { isBlankMarker } = require('./blank-values');
+const { toNumber } = require('./field-validation');
+const { unescapeXml } = require('./text-runs');
+
+const DEFAULT_LOCALE = 'en-US';
+
+const QUOTES = { '"': '"', "'": "'", '“': '”', '‘': '’' };
+// single quoted runs in a date pattern are literal text, like in date-fns and Java
+const DATE_TOKEN_REGEX = /'[^']*'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|ss|a/g;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a locale tag is well-formed, e.g. "de-DE" or "en"
+ */
+function isValidLocale(locale) {
+  if (typeof locale !== 'string' || !locale.trim()) return false;
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Split text on a separator, ignoring separators inside quotes
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let closing = null;
+  for (const ch of text) {
+    if (closing) {
+      if (ch === closing) closing = null;
+    } else if (QUOTES[ch]) {
+      closing = QUOTES[ch];
+    } else if (ch === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
+
+// "EUR" -> EUR, 2 -> 2; unquoted arguments are taken as written
+function parseArgument(text) {
+  const trimmed = text.trim();
+  const closing = QUOTES[trimmed[0]];
+  if (closing && trimmed.length > 1 && trimmed.endsWith(closing)) return trimmed.slice(1, -1);
+  return trimmed;
+}
+
+/**
+ * Split the text between a tag's braces into the field name and its filters
+ * XML entities are decoded first, so tags read straight from slide XML parse the same
+ * @param {string} text - e.g. 'amount | currency:"EUR"'
+ * @returns {{name: string, filters: Array<{name: string, args: string[]}>}} - filters in order
+ */
+function parseTag(text) {
+  const [name, ...segments] = splitOutsideQuotes(unescapeXml(String(text)), '|');
+  return {
+    name: name.trim(),
+    filters: segments.map((segment) => {
+      const [filterName, ...args] = splitOutsideQuotes(segment, ':');
+      return { name: filterName.trim(), args: args.map(parseArgument) };
+    }),
+  };
+}
+
+/**
+ * The field name a tag reads, without its filters
+ */
+function tagFieldName(text) {
+  return parseTag(text).name;
+}
+
+// filter problems point at the whole tag, like docxtemplater's own errors
+function filterError(id, explanation, tagText) {
+  const err = new TemplateParseError([{ id, explanation, xtag: `{{${tagText}}}` }]);
+  err.status = 422;
+  return err;
+}
+
+/**
+ * Read a date from a Date, an ISO string or a timestamp
+ * @returns {Date|null} - null when the value isn't a date
+ */
+function toDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') return new Date(value);
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  const date = new Date(DATE_ONLY_REGEX.test(text) ? `${text}T00:00:00Z` : text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatDate(date, pattern, locale) {
+  if (!pattern) return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(date);
+
+  const name = (options) => new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }).format(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  const hours = date.getUTCHours();
+  const tokens = {
+    yyyy: () => String(date.getUTCFullYear()),
+    yy: () => pad(date.getUTCFullYear() % 100),
+    MMMM: () => name({ month: 'long' }),
+    MMM: () => name({ month: 'short' }),
+    MM: () => pad(date.getUTCMonth() + 1),
+    M: () => String(date.getUTCMonth() + 1),
+    dd: () => pad(date.getUTCDate()),
+    d: () => String(date.getUTCDate()),
+    EEEE: () => name({ weekday: 'long' }),
+    EEE: () => name({ weekday: 'short' }),
+    HH: () => pad(hours),
+    H: () => String(hours),
+    hh: () => pad(hours % 12 || 12),
+    h: () => String(hours % 12 || 12),
+    mm: () => pad(date.getUTCMinutes()),
+    ss: () => pad(date.getUTCSeconds()),
+    a: () => new Intl.DateTimeFormat(locale, { hour: 'numeric', hour12: true, timeZone: 'UTC' })
+      .formatToParts(date)
+      .find((part) => part.type === 'dayPeriod')?.value || (hours < 12 ? 'AM' : 'PM'),
+  };
+  return pattern.replace(DATE_TOKEN_REGEX, (token) => (token.startsWith("'") ? token.slice(1, -1) : tokens[token]()));
+}
+
+// fixed decimals when given ("number:2"), the locale's defaults otherwise
+function decimalOptions(decimals) {
+  if (decimals === undefined || decimals === '') return {};
+  const digits = Number(decimals);
+  return { minimumFractionDigits: digits, maximumFractionDigits: digits };
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || isBlankMarker(value);
+
+/**
+ * Filters by name; each maps (value, args, { locale, tagText }) to the new value
+ * Values a filter can't read (e.g. "n/a" through currency) pass through unchanged
+ */
+const FILTERS = {
+  upper: (value, args, { locale }) => String(value).toLocaleUpperCase(locale),
+  lower: (value, args, { locale }) => String(value).toLocaleLowerCase(locale),
+  capitalize: (value, args, { locale }) => {
+    const text = String(value);
+    return text.charAt(0).toLocaleUpperCase(locale) + text.slice(1);
+  },
+  title: (value, args, { locale }) =>
+    String(value).toLocaleLowerCase(locale).replace(/(^|[\s-])(\p{L})/gu, (m, sep, ch) => sep + ch.toLocaleUpperCase(locale)),
+  trim: (value) => String(value).trim(),
+  number: (value, [decimals], { locale }) => {
+    const amount = toNumber(value, 'number');
+    return amount === null ? value : new Intl.NumberFormat(locale, decimalOptions(decimals)).format(amount);
+  },
+  percent: (value, [decimals], { locale }) => {
+    const amount = toNumber(value, 'number');
+    return amount === null ? value : new Intl.NumberFormat(locale, { style: 'percent', ...decimalOptions(decimals) }).format(amount);
+  },
+  currency: (value, [code, decimals], { locale, tagText }) => {
+    if (!code) throw filterError('invalid_filter', 'The currency filter needs a currency code, e.g. currency:"EUR"', tagText);
+    const amount = toNumber(value, 'currency');
+    if (amount === null) return value;
+    try {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency: code, ...decimalOptions(decimals) }).format(amount);
+    } catch {
+      throw filterError('invalid_filter', `"${code}" is not a currency code`, tagText);
+    }
+  },
+  date: (value, [pattern], { locale }) => {
+    const date = toDate(value);
+    return date ? formatDate(date, pattern, locale) : value;
+  },
+};
+
+/**
+ * Check a tag's filters exist, so a template can be rejected before any data arrives
+ * @throws {TemplateParseError} - id unknown_filter, status 422
+ */
+function checkFilters(filters, tagText) {
+  for (const filter of filters) {
+    if (filter.name !== 'default' && !FILTERS[filter.name]) {
+      throw filterError('unknown_filter', `Unknown filter "${filter.name}"`, tagText);
+    }
+  }
+}
+
+/**
+ * Run a value through a tag's filters
+ * Missing values skip every filter but default, so unresolved tags stay unresolved
+ * @param {any} value - Resolved field value
+ * @param {Array<{name: string, args: string[]}>} filters - From parseTag
+ * @param {Object} [options]
+ * @param {string} [options.locale] - BCP 47 locale (defaults to en-US)
+ * @param {string} [options.tagText] - Text between the tag's braces, for error details
+ * @returns {any} - Filtered value (a string once any formatting filter ran)
+ * @throws {TemplateParseError} - unknown filters and bad filter arguments, status 422
+ */
+function applyFilters(value, filters, options = {}) {
+  if (!filters.length) return value;
+  const context = { locale: options.locale || DEFAULT_LOCALE, tagText: options.tagText || '' };
+  checkFilters(filters, context.tagText);
+
+  return filters.reduce((current, filter) => {
+    if (filter.name === 'default') return isEmpty(current) ? filter.args[0] ?? '' : current;
+    if (isEmpty(current) || (typeof current === 'object' && !(current instanceof Date))) return current;
+    return FILTERS[filter.name](current, filter.args, context);
+  }, value);
+}
+
+/**
+ * Resolve a tag's text (with or without filters) against a lookup
+ * @param {string} text - Text between the tag's braces
+ * @param {Function} lookup - Maps a field name to its value
+ * @param {Object} [options] - { locale }
+ */
+function resolveFilteredTag(text, lookup, options = {}) {
+  const { name, filters } = parseTag(text);
+  return applyFilters(lookup(name), filters, { ...options, tagText: String(text).trim() });
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  FILTERS,
+  isValidLocale,
+  parseTag,
+  tagFieldName,
+  checkFilters,
+  applyFilters,
+  resolveFilteredTag,
+};
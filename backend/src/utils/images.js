@@ -0,0 +1,122 @@
+/* IMAGE PLACEHOLDER HELPERS
+- {{%logo}} tags insert an image instead of text, in every template format
+- the value is a base64 data URI, or an object { src, width, height } with the size in pixels
+- only one dimension given keeps the aspect ratio; none uses the image's own size */
+
+const { TemplateParseError } = require('./docx-templating');
+
+// decoded images bigger than this are rejected rather than embedded
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// 1px at 96 DPI in EMUs (English Metric Units, used by OOXML drawings)
+const EMU_PER_PIXEL = 9525;
+
+const IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/gif': 'gif',
+};
+
+const DATA_URI_REGEX = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/;
+
+/**
+ * Read the pixel size of a PNG, JPEG or GIF from its header
+ * @param {Buffer} buffer - Image bytes
+ * @returns {{width: number, height: number}|null} - Size, or null when unreadable
+ */
+function readImageSize(buffer) {
+  // PNG: IHDR chunk right after the signature
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: logical screen size
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // JPEG: walk segments to the first start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isFrame) {
+        return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a TemplateParseError for a bad image value
+ */
+function imageError(name, explanation) {
+  return new TemplateParseError([{ id: 'invalid_image', explanation, xtag: `{{%${name}}}` }]);
+}
+
+/**
+ * Turn an image placeholder value into embeddable image data
+ * @param {any} value - Data URI string or { src, width, height }
+ * @param {string} name - Tag name, for error details
+ * @returns {{buffer: Buffer, mimeType: string, extension: string, dataUri: string, width: number, height: number, sized: boolean}}
+ *   sized is false when the value gave no size and the image's own size is used
+ * @throws {TemplateParseError} - When the value is not a supported image
+ */
+function parseImageValue(value, name) {
+  const spec = typeof value === 'string' ? { src: value } : value;
+  if (!spec || typeof spec !== 'object' || typeof spec.src !== 'string') {
+    throw imageError(name, `Image "${name}" must be a data URI or an object with a "src" data URI`);
+  }
+
+  const match = spec.src.trim().match(DATA_URI_REGEX);
+  const declaredType = match && match[1].toLowerCase();
+  if (!match || !IMAGE_TYPES[declaredType]) {
+    throw imageError(name, `Image "${name}" must be a base64 PNG, JPEG or GIF data URI`);
+  }
+
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw imageError(name, `Image "${name}" is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`);
+  }
+
+  const natural = readImageSize(buffer);
+  if (!natural || !natural.width || !natural.height) {
+    throw imageError(name, `Image "${name}" could not be read`);
+  }
+
+  const width = Number(spec.width) || 0;
+  const height = Number(spec.height) || 0;
+  const ratio = natural.height / natural.width;
+  const mimeType = declaredType === 'image/jpg' ? 'image/jpeg' : declaredType;
+
+  return {
+    buffer,
+    mimeType,
+    extension: IMAGE_TYPES[mimeType],
+    dataUri: `data:${mimeType};base64,${buffer.toString('base64')}`,
+    width: Math.round(width || (height ? height / ratio : natural.width)),
+    height: Math.round(height || (width ? width * ratio : natural.height)),
+    sized: !!(width || height),
+  };
+}
+
+/**
+ * Convert pixels to EMUs
+ */
+function pxToEmu(px) {
+  return Math.round(px * EMU_PER_PIXEL);
+}
+
+module.exports = {
+  EMU_PER_PIXEL,
+  readImageSize,
+  parseImageValue,
+  pxToEmu,
+};
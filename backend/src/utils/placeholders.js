@@ -0,0 +1,319 @@
+/* PLACEHOLDER HELPERS SHARED BY THE XML-BASED FORMAT SERVICES
+- {{field}} / ${field} value tags, {{#section}} / {{^section}} / {{/section}} block tags
+- value tags may carry formatting filters, {{amount | currency:"EUR"}} (see utils/formatters.js)
+- {{%field}} image tags (see utils/images.js) - rendered by each format service, never as text
+- {{qr:field}} / {{barcode128:field}} / {{ean13:field}} / {{datamatrix:field}} barcode tags - image tags whose
+  image is generated from the field's value before rendering (see services/barcode.service.js)
+- sections follow Mustache semantics: arrays repeat, truthy values show once, falsy values hide,
+  {{^section}} inverts the check; an optional field left blank (see utils/blank-values.js) is falsy */
+
+const { TemplateParseError } = require('./docx-templating');
+const { isBlankMarker } = require('./blank-values');
+const { tagFieldName, resolveFilteredTag } = require('./formatters');
+
+// matches a single value tag, capturing the name from either syntax
+const PLACEHOLDER_REGEX = /\{\{\s*([^#^/}][^}]*?)\s*\}\}|\$\{\s*([^}]+?)\s*\}/g;
+
+// matches an image tag, capturing the field name
+const IMAGE_TAG_REGEX = /\{\{\s*%\s*([^}]+?)\s*\}\}/g;
+
+// barcode tag prefixes; a barcode tag reads its image from the "<prefix>:<field>" data key
+const BARCODE_PREFIXES = ['qr', 'barcode128', 'ean13', 'datamatrix'];
+
+// matches a barcode tag, capturing the prefix and the field name
+const BARCODE_TAG_REGEX = new RegExp(`\\{\\{\\s*(${BARCODE_PREFIXES.join('|')})\\s*:\\s*([^}]+?)\\s*\\}\\}`, 'g');
+const BARCODE_BODY_REGEX = new RegExp(`^(${BARCODE_PREFIXES.join('|')})\\s*:\\s*(.+)$`);
+
+// matches a section open/close tag, capturing the sigil and the section name
+const SECTION_TAG_REGEX = /\{\{\s*([#^/])\s*([^}]+?)\s*\}\}/g;
+
+/**
+ * Find all section tags in a string, in reading order
+ * @param {string} text - Text to scan
+ * @returns {Array<{type: string, name: string, index: number, raw: string}>} - type is 'open', 'inverted' or 'close'
+ */
+function findSectionTags(text) {
+  const tags = [];
+  if (typeof text !== 'string') return tags;
+
+  for (const match of text.matchAll(SECTION_TAG_REGEX)) {
+    const type = match[1] === '#' ? 'open' : match[1] === '^' ? 'inverted' : 'close';
+    tags.push({ type, name: match[2], index: match.index, raw: match[0] });
+  }
+  return tags;
+}
+
+/**
+ * Remove all section tags from a string
+ * @param {string} text - Text containing section tags
+ * @returns {string} - Text with section tags stripped
+ */
+function stripSectionTags(text) {
+  return text.replace(SECTION_TAG_REGEX, '');
+}
+
+/**
+ * Find all value placeholders in a string
+ * Expression tags ({{quantity * unitPrice}}) report the fields they read
+ * @param {string} text - Text to scan
+ * @returns {string[]} - Field names in reading order (may contain duplicates), without filters
+ */
+function findPlaceholders(text) {
+  if (typeof text !== 'string') return [];
+  // lazy require - expressions.js reads values through this file's helpers
+  const { isExpressionTag, expressionFields } = require('./expressions');
+  return [...text.matchAll(PLACEHOLDER_REGEX)].flatMap((m) => {
+    const name = (m[1] || m[2]).trim();
+    const barcode = m[1] && parseBarcodeTag(name);
+    if (barcode) return [barcode.name];
+    const field = tagFieldName(name.replace(/^%\s*/, ''));
+    return m[1] && isExpressionTag(field) ? expressionFields(field) : [field];
+  });
+}
+
+/**
+ * Split the inside of a barcode tag ("qr:trackingUrl") into its parts
+ * @param {string} tag - Tag text between the braces
+ * @returns {{type: string, name: string, key: string}|null} - key is the data key holding the generated image
+ */
+function parseBarcodeTag(tag) {
+  const match = tag.trim().match(BARCODE_BODY_REGEX);
+  if (!match) return null;
+  const name = match[2].trim();
+  return { type: match[1], name, key: `${match[1]}:${name}` };
+}
+
+/**
+ * Find all barcode tags in a string
+ * @param {string} text - Text to scan
+ * @returns {Array<{type: string, name: string, key: string}>} - Tags in reading order (may contain duplicates)
+ */
+function findBarcodeTags(text) {
+  if (typeof text !== 'string') return [];
+  return [...text.matchAll(BARCODE_TAG_REGEX)].map((m) => parseBarcodeTag(`${m[1]}:${m[2]}`));
+}
+
+/**
+ * Get the data key an image tag reads from, given the text between its braces
+ * - "%logo" -> "logo", "qr: url" -> "qr:url", anything else -> null
+ */
+function imageTagKey(tag) {
+  const trimmed = tag.trim();
+  if (trimmed.startsWith('%')) return trimmed.slice(1).trim();
+  const barcode = parseBarcodeTag(trimmed);
+  return barcode ? barcode.key : null;
+}
+
+/**
+ * Get the data key when a text consists of a single image or barcode tag
+ * @param {string} text - Text to check (surrounding whitespace is ignored)
+ * @returns {string|null} - Data key, or null when the text is anything else
+ */
+function imageTagName(text) {
+  if (typeof text !== 'string') return null;
+  const match = text.trim().match(/^\{\{([^{}]+)\}\}$/);
+  return match ? imageTagKey(match[1]) : null;
+}
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Resolve a dot-path against a chain of scopes, innermost scope last
+ * - "." resolves to the current loop item itself (arrays of primitives)
+ * - falls back to outer scopes so loop bodies can still reach top-level fields
+ * @param {Array<any>} scopes - Scope chain, e.g. [data, currentItem]
+ * @param {string} name - Dot-path field name
+ * @returns {any} - Resolved value, or undefined when no scope has it
+ */
+function resolvePath(scopes, name) {
+  if (name === '.') return scopes[scopes.length - 1];
+
+  // flat keys win so a literal "customer.name" key still resolves
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope && typeof scope === 'object' && has(scope, name)) {
+      return scope[name];
+    }
+  }
+
+  const parts = name.split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    let cur = scopes[i];
+    if (!cur || typeof cur !== 'object' || !has(cur, parts[0])) continue;
+    // own properties only, so {{constructor.name}} doesn't reach Object's prototype
+    for (const part of parts) {
+      cur = cur === null || cur === undefined || !has(cur, part) ? undefined : cur[part];
+    }
+    return cur;
+  }
+
+  return undefined;
+}
+
+/**
+ * Mustache truthiness - empty arrays, empty strings and blank optional fields hide a section
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value && !isBlankMarker(value);
+}
+
+/**
+ * Expand a section value into the scope chains its body renders with
+ * - arrays render once per item, truthy values once, falsy values not at all
+ * @param {any} value - Resolved section value
+ * @param {boolean} inverted - true for {{^section}}
+ * @param {Array<any>} scopes - Current scope chain
+ * @returns {Array<Array<any>>} - One scope chain per rendered copy of the body
+ */
+function sectionScopes(value, inverted, scopes) {
+  if (inverted) return isTruthy(value) ? [] : [scopes];
+  if (Array.isArray(value)) return value.map((item) => [...scopes, item]);
+  if (!isTruthy(value)) return [];
+  return [typeof value === 'object' ? [...scopes, value] : scopes];
+}
+
+/**
+ * Build a tree of blocks and sections from blocks in reading order (rows, slides, ...)
+ * - opening tags apply to the block they sit in, closing tags apply after it, so a section can
+ *   open and close within one block or span several
+ * @param {Array<{id: any, tags: Array, markerOnly?: boolean}>} blocks - Blocks with their section tags
+ * @param {Object} describe - { label(id), file(id) } used in parse error details
+ * @returns {{ children: Array, hasSections: boolean }} - Root node of the tree
+ */
+function buildSectionTree(blocks, describe) {
+  const root = { type: 'root', children: [], hasSections: false };
+  const stack = [root];
+  const fail = (id, explanation, block) => {
+    throw new TemplateParseError([{ id, explanation, file: describe.file(block.id) }]);
+  };
+
+  for (const block of blocks) {
+    // a block that closes a section and then opens another is ambiguous
+    let closed = false;
+    const closes = [];
+    for (const tag of block.tags) {
+      if (tag.type === 'close') {
+        closed = true;
+        closes.push(tag);
+        continue;
+      }
+      if (closed) {
+        fail(
+          'section_order',
+          `${describe.label(block.id)} closes a section before opening "${tag.name}"; put them in separate blocks`,
+          block
+        );
+      }
+      const node = { type: 'section', name: tag.name, inverted: tag.type === 'inverted', start: block.id, children: [] };
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+      root.hasSections = true;
+    }
+
+    stack[stack.length - 1].children.push({ type: 'block', id: block.id, markerOnly: !!block.markerOnly });
+
+    for (const tag of closes) {
+      const open = stack[stack.length - 1];
+      if (open.type !== 'section' || open.name !== tag.name) {
+        fail('unopened_section', `${describe.label(block.id)} closes section "${tag.name}" which is not open`, block);
+      }
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    fail(
+      'unclosed_section',
+      `Section "${open.name}" opened in ${describe.label(open.start)} is never closed`,
+      { id: open.start }
+    );
+  }
+
+  return root;
+}
+
+/**
+ * Walk a section tree with data, producing the output plan
+ * Each entry records its source block id, scope chain and loop instance path
+ * (the instance path tells copies made in the same loop iteration apart)
+ * @param {Array} nodes - Tree nodes from buildSectionTree
+ * @param {Array<any>} scopes - Scope chain, e.g. [data]
+ * @returns {Array<{id: any, scopes: Array, instance: string[]}>} - Blocks to output, in order
+ */
+function expandSectionTree(nodes, scopes, instance = [], out = []) {
+  for (const node of nodes) {
+    if (node.type === 'block') {
+      if (!node.markerOnly) out.push({ id: node.id, scopes, instance });
+      continue;
+    }
+
+    const value = resolvePath(scopes, node.name);
+    sectionScopes(value, node.inverted, scopes).forEach((childScopes, i) => {
+      expandSectionTree(node.children, childScopes, [...instance, `${node.start}:${i}`], out);
+    });
+  }
+  return out;
+}
+
+/**
+ * Convert a resolved value into display text
+ */
+function stringifyValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Resolve a value tag, filters included, against a scope chain
+ * @param {Array<any>} scopes - Scope chain for lookups
+ * @param {string} tag - Text between the tag's braces, e.g. 'total | currency:"EUR"'
+ * @param {Object} [options] - { locale } for the filters
+ * @returns {any} - Filtered value, or undefined when no scope has the field
+ */
+function resolveTag(scopes, tag, options = {}) {
+  return resolveFilteredTag(tag, (name) => resolvePath(scopes, name), options);
+}
+
+/**
+ * Replace value placeholders in a string, leaving unresolved ones and image/barcode tags untouched
+ * @param {string} text - Text containing placeholders
+ * @param {Array<any>} scopes - Scope chain for lookups
+ * @param {Function} [format] - Maps resolved values to replacement text
+ * @param {Object} [options] - { locale } for the filters
+ * @returns {string} - Text with placeholders replaced
+ */
+function replacePlaceholders(text, scopes, format = stringifyValue, options = {}) {
+  return text.replace(PLACEHOLDER_REGEX, (match, curly, dollar) => {
+    const tag = (curly || dollar).trim();
+    if (curly && imageTagKey(tag) !== null) return match;
+    const value = resolveTag(scopes, tag, options);
+    return value === undefined ? match : format(value);
+  });
+}
+
+module.exports = {
+  PLACEHOLDER_REGEX,
+  IMAGE_TAG_REGEX,
+  BARCODE_PREFIXES,
+  BARCODE_TAG_REGEX,
+  SECTION_TAG_REGEX,
+  findSectionTags,
+  stripSectionTags,
+  findPlaceholders,
+  parseBarcodeTag,
+  findBarcodeTags,
+  imageTagKey,
+  imageTagName,
+  resolvePath,
+  resolveTag,
+  isTruthy,
+  sectionScopes,
+  buildSectionTree,
+  expandSectionTree,
+  stringifyValue,
+  replacePlaceholders,
+};
@@ -0,0 +1,128 @@
+/* TEXT RUN HELPERS
+- editors split text into formatting runs at arbitrary points (spell-check, partial bold, ...),
+  so a placeholder like {{name}} can end up spread over several runs
+- these helpers move every tag's text into the run it starts in (keeping that run's formatting),
+  so the format services can find and replace tags run by run
+- covers DrawingML paragraphs (<a:p>/<a:r>/<a:t>, used by PPTX) and ExcelJS rich text values */
+
+// any {{...}} or ${...} tag, value or section
+const TAG_REGEX = /\{\{[^{}]*\}\}|\$\{[^{}]*\}/g;
+
+// non-nesting DrawingML elements, safe to match lazily
+const PARAGRAPH_REGEX = /<a:p(?:\s[^>]*)?>[\s\S]*?<\/a:p>/g;
+const RUN_REGEX = /<a:r(?:\s[^>]*)?>[\s\S]*?<\/a:r>/g;
+const TEXT_REGEX = /<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>/g;
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+/**
+ * Escape text for use inside an XML text node or attribute
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (ch) => XML_ENTITIES[ch]);
+}
+
+/**
+ * Decode the predefined XML entities and numeric character references
+ */
+function unescapeXml(text) {
+  return text.replace(/&(?:(amp|lt|gt|quot|apos)|#(\d+)|#x([0-9a-fA-F]+));/g, (match, name, dec, hex) => {
+    if (name) return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name];
+    return String.fromCodePoint(dec ? Number(dec) : parseInt(hex, 16));
+  });
+}
+
+/**
+ * Decoded text of all <a:t> elements in a DrawingML fragment
+ */
+function textOf(xml) {
+  return [...xml.matchAll(TEXT_REGEX)].map((m) => unescapeXml(m[1])).join('');
+}
+
+/**
+ * Reassign run texts so every tag sits entirely inside the run it starts in
+ * @param {string[]} texts - Text of each run, in order
+ * @returns {string[]} - New run texts (the same array when nothing was split)
+ */
+function consolidateTags(texts) {
+  const full = texts.join('');
+  const owner = [];
+  texts.forEach((text, i) => {
+    for (let k = 0; k < text.length; k++) owner.push(i);
+  });
+
+  let changed = false;
+  for (const match of full.matchAll(TAG_REGEX)) {
+    const first = owner[match.index];
+    for (let k = match.index; k < match.index + match[0].length; k++) {
+      if (owner[k] !== first) {
+        owner[k] = first;
+        changed = true;
+      }
+    }
+  }
+  if (!changed) return texts;
+
+  const out = texts.map(() => '');
+  for (let k = 0; k < full.length; k++) out[owner[k]] += full[k];
+  return out;
+}
+
+/**
+ * Merge tags split across <a:r> runs in every paragraph of a DrawingML fragment
+ * Runs left empty by the merge are removed; the text of changed runs is re-escaped
+ * @param {string} xml - Slide (or other DrawingML) XML
+ * @returns {string} - XML with every tag inside a single run
+ */
+function mergeSplitRuns(xml) {
+  return xml.replace(PARAGRAPH_REGEX, (paragraph) => {
+    const runs = [...paragraph.matchAll(RUN_REGEX)];
+    if (runs.length < 2) return paragraph;
+
+    const texts = runs.map((match) => textOf(match[0]));
+    const merged = consolidateTags(texts);
+    if (merged === texts) return paragraph;
+
+    let out = '';
+    let last = 0;
+    runs.forEach((match, i) => {
+      out += paragraph.slice(last, match.index);
+      last = match.index + match[0].length;
+
+      if (merged[i] === texts[i]) {
+        out += match[0];
+      } else if (merged[i]) {
+        out += match[0].replace(TEXT_REGEX, (element) =>
+          element.replace(/>[^<]*</, () => `>${escapeXml(merged[i])}<`)
+        );
+      }
+    });
+    return out + paragraph.slice(last);
+  });
+}
+
+/**
+ * Merge tags split across ExcelJS rich text runs
+ * @param {Array<{text: string, font?: Object}>} richText - ExcelJS rich text runs
+ * @returns {Array<{text: string, font?: Object}>} - Runs with every tag inside a single run
+ */
+function mergeSplitRichText(richText) {
+  const texts = richText.map((run) => run.text || '');
+  const merged = consolidateTags(texts);
+  if (merged === texts) return richText;
+
+  return richText
+    .map((run, i) => ({ ...run, text: merged[i] }))
+    .filter((run, i) => run.text || !texts[i]);
+}
+
+module.exports = {
+  RUN_REGEX,
+  TEXT_REGEX,
+  escapeXml,
+  unescapeXml,
+  textOf,
+  consolidateTags,
+  mergeSplitRuns,
+  mergeSplitRichText,
+};
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/* BATCH JOB WORKER
+Runs queued batch jobs (large CSV merges). The BatchJob table is the queue: each worker loop claims
+one job at a time under a lease it renews while it works (services/batchJob.service.js), so any
+number of loops, in any number of processes, can share it.
+- embedded: app.js starts BATCH_WORKERS loops next to the HTTP server (1 by default; 0 leaves batch
+  jobs to standalone workers)
+- standalone: `npm run worker` runs BATCH_WORKER_CONCURRENCY loops, so merges scale apart from the
+  HTTP server
+On shutdown a loop hands its job back to the queue after the row it is merging.
+Next to its loops, each process also retries callback deliveries that are due (services/webhookDelivery.service.js). */
+
+require('dotenv').config();
+const os = require('os');
+const { randomUUID } = require('crypto');
+const logger = require('../config/logger');
+const {
+  claimBatchJob,
+  processBatchJob,
+  recoverBatchJobs,
+  batchJobEvents,
+} = require('../services/batchJob.service');
+const { deliverDueWebhooks } = require('../services/webhookDelivery.service');
+
+// How often an idle loop looks for jobs queued by other processes
+const POLL_MS = parseInt(process.env.BATCH_POLL_MS, 10) || 2000;
+
+// How often failed callback deliveries are looked at for a retry that's due
+const DELIVERY_POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS, 10) || 5000;
+
+/**
+ * Resolve after ms, or as soon as the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal.addEventListener('abort', done);
+  });
+}
+
+/**
+ * Wait until POLL_MS passes, a job is queued in this process, or the worker stops
+ */
+function waitForWork(signal) {
+  return new Promise((resolve) => {
+    if (signal.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      batchJobEvents.off('queued', done);
+      signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, POLL_MS);
+    batchJobEvents.on('queued', done);
+    signal.addEventListener('abort', done);
+  });
+}
+
+/**
+ * Claim and process jobs one at a time until the signal aborts
+ * @param {string} workerId - ID the loop's leases are held under
+ * @param {AbortSignal} signal - Aborted to stop the loop
+ */
+async function runWorkerLoop(workerId, signal) {
+  while (!signal.aborted) {
+    try {
+      const claimed = await claimBatchJob(workerId);
+      if (claimed) {
+        await processBatchJob(claimed.id, workerId, { signal });
+        continue;
+      }
+    } catch (err) {
+      logger.error({ err, workerId }, 'Batch worker failed to run a job');
+    }
+    await waitForWork(signal);
+  }
+}
+
+/**
+ * Retry due callback deliveries every DELIVERY_POLL_MS until the signal aborts
+ * @param {AbortSignal} signal - Aborted to stop the loop
+ */
+async function runDeliveryLoop(signal) {
+  while (!signal.aborted) {
+    try {
+      await deliverDueWebhooks();
+    } catch (err) {
+      logger.error({ err }, 'Failed to retry webhook deliveries');
+    }
+    await sleep(DELIVERY_POLL_MS, signal);
+  }
+}
+
+/**
+ * Start batch worker loops in this process
+ * @param {Object} options - { count } loops to run, each processing one job at a time
+ * @returns {Object} - { workerIds, stop() }; stop resolves once every loop has handed back its job
+ */
+function startBatchWorkers({ count = 1 } = {}) {
+  const controller = new AbortController();
+  const workerIds = Array.from(
+    { length: count },
+    (_, i) => `${os.hostname()}:${process.pid}:${i}:${randomUUID().slice(0, 8)}`
+  );
+
+  const loops = (async () => {
+    try {
+      await recoverBatchJobs();
+    } catch (err) {
+      logger.error({ err }, 'Failed to recover batch jobs');
+    }
+    await Promise.all([
+      ...workerIds.map((workerId) => runWorkerLoop(workerId, controller.signal)),
+      runDeliveryLoop(controller.signal),
+    ]);
+  })();
+
+  logger.info({ count, pollMs: POLL_MS }, 'Batch workers started');
+
+  return {
+    workerIds,
+    stop: async () => {
+      controller.abort();
+      await loops;
+      logger.info({ count }, 'Batch workers stopped');
+    },
+  };
+}
+
+// STANDALONE ENTRY POINT
+if (require.main === module) {
+  const requiredEnvVars = ['DATABASE_URL', 'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'S3_BUCKET'];
+  const missing = requiredEnvVars.filter((k) => !process.env[k]?.trim());
+  if (missing.length > 0) {
+    console.error('Missing required environment variables', missing);
+    process.exit(1);
+  }
+
+  const prisma = require('../config/prisma');
+  const { shutdown: shutdownConversion } = require('../services/conversionService');
+
+  const count = parseInt(process.env.BATCH_WORKER_CONCURRENCY, 10) || 1;
+  const workers = startBatchWorkers({ count });
+
+  const shutdown = async (signal) => {
+    logger.info({ signal }, 'Shutdown signal received, handing back batch jobs');
+
+    // a row merge can take a while; past this, expired leases hand the jobs on anyway
+    setTimeout(() => {
+      logger.error('Forced batch worker shutdown after timeout');
+      process.exit(1);
+    }, 60000).unref();
+
+    await workers.stop();
+    try {
+      await shutdownConversion();
+    } catch (err) {
+      logger.warn({ err }, 'Error shutting down conversion worker');
+    }
+    await prisma.$disconnect();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+module.exports = {
+  startBatchWorkers,
+  runWorkerLoop,
+  runDeliveryLoop,
+};
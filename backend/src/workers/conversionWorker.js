@@ -148,6 +148,9 @@ async function convertHtmlToPdf(htmlBuffer) {
       timeout: 20000,
     });
 
+    // Wait for embedded @font-face fonts so text doesn't render in a fallback font
+    await page.evaluate(() => document.fonts.ready);
+
     const pdfBuffer = await page.pdf({ format: 'Letter' });
     return Buffer.from(pdfBuffer);
   } finally {
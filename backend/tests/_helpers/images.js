@@ -0,0 +1,16 @@
+/* builds a PNG data URI of a given pixel size for image placeholder tests
+- only the signature and IHDR header are real, which is all the size reader and the
+  format services look at */
+exports.pngDataUri = (width = 1, height = 1) => {
+  const buf = Buffer.alloc(33);
+  // PNG signature
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buf, 0);
+  // IHDR chunk: length, type, width, height, bit depth, colour type
+  buf.writeUInt32BE(13, 8);
+  buf.write("IHDR", 12, "ascii");
+  buf.writeUInt32BE(width, 16);
+  buf.writeUInt32BE(height, 20);
+  buf[24] = 8;
+  buf[25] = 6;
+  return `data:image/png;base64,${buf.toString("base64")}`;
+};
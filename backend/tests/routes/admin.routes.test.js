@@ -1,7 +1,11 @@
 const request = require("supertest");
 const express = require("express");
 
+jest.mock("../../src/config/prisma");
+jest.mock("../../src/middleware/supabase-auth");
+jest.mock("../../src/storage/supabase-storage");
 jest.mock("../../src/services/cleanup.service");
+jest.mock("../../src/services/user.service");
 jest.mock("../../src/config/logger", () => ({
   debug: jest.fn(),
   info: jest.fn(),
@@ -10,6 +14,14 @@ jest.mock("../../src/config/logger", () => ({
 }));
 
 const { runCleanup, OUTPUT_RETENTION_DAYS } = require("../../src/services/cleanup.service");
+const authenticateSupabase = require("../../src/middleware/supabase-auth");
+const {
+  listUsers,
+  getUser,
+  setUserActive,
+  setUserRole,
+  listUserTemplates,
+} = require("../../src/services/user.service");
 
 // Store original env
 const originalCleanupSecret = process.env.CLEANUP_SECRET;
@@ -120,3 +132,162 @@ describe("GET /api/admin/health", () => {
     expect(res.status).toBe(401);
   });
 });
+
+describe("user management", () => {
+  const admin = { id: "cladmin000000000000000001", email: "admin@example.com", role: "admin" };
+  const userId = "cluser0000000000000000002";
+  let signedInAs;
+
+  // Error with the status the user service throws with
+  const statusError = (message, status) => Object.assign(new Error(message), { status });
+
+  beforeEach(() => {
+    signedInAs = admin;
+    authenticateSupabase.mockImplementation((req, res, next) => {
+      req.user = signedInAs;
+      next();
+    });
+  });
+
+  test("refuses users without the admin role", async () => {
+    signedInAs = { ...admin, role: "user" };
+
+    const res = await request(app).get("/api/admin/users");
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toEqual({ code: "FORBIDDEN", message: "This requires the admin role" });
+    expect(listUsers).not.toHaveBeenCalled();
+  });
+
+  test("doesn't accept the cleanup secret in place of a signed-in admin", async () => {
+    authenticateSupabase.mockImplementation((req, res) => res.status(401).json({ error: { code: "UNAUTHORIZED" } }));
+
+    const res = await request(app)
+      .get("/api/admin/users")
+      .set("Authorization", "Bearer test-secret-123");
+
+    expect(res.status).toBe(401);
+    expect(listUsers).not.toHaveBeenCalled();
+  });
+
+  describe("GET /api/admin/users", () => {
+    test("lists users with the filters and page", async () => {
+      listUsers.mockResolvedValue({ users: [{ id: userId, email: "sam@example.com" }], total: 41 });
+
+      const res = await request(app).get("/api/admin/users?search=%20sam%20&role=user&isActive=false&limit=10&offset=20");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ users: [{ id: userId, email: "sam@example.com" }], total: 41, limit: 10, offset: 20 });
+      expect(listUsers).toHaveBeenCalledWith({ search: "sam", role: "user", isActive: false, limit: 10, offset: 20 });
+    });
+
+    test("leaves out filters that aren't given", async () => {
+      listUsers.mockResolvedValue({ users: [], total: 0 });
+
+      await request(app).get("/api/admin/users").expect(200);
+
+      expect(listUsers).toHaveBeenCalledWith({
+        search: undefined,
+        role: undefined,
+        isActive: undefined,
+        limit: 20,
+        offset: 0,
+      });
+    });
+
+    test("rejects an unknown role", async () => {
+      const res = await request(app).get("/api/admin/users?role=owner");
+
+      expect(res.status).toBe(400);
+      expect(listUsers).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/admin/users/:id", () => {
+    test("returns the user with their usage", async () => {
+      const user = { id: userId, usage: { templates: 3, mergeJobs: 12, batchJobs: 1, storage: { total: 2048 } } };
+      getUser.mockResolvedValue(user);
+
+      const res = await request(app).get(`/api/admin/users/${userId}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(user);
+      expect(getUser).toHaveBeenCalledWith(userId);
+    });
+
+    test("returns 404 for an unknown user", async () => {
+      getUser.mockRejectedValue(statusError("User not found", 404));
+
+      const res = await request(app).get(`/api/admin/users/${userId}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe("USER_NOT_FOUND");
+    });
+  });
+
+  describe("PUT /api/admin/users/:id/status", () => {
+    test("deactivates a user", async () => {
+      setUserActive.mockResolvedValue({ id: userId, isActive: false });
+
+      const res = await request(app).put(`/api/admin/users/${userId}/status`).send({ isActive: false });
+
+      expect(res.status).toBe(200);
+      expect(setUserActive).toHaveBeenCalledWith(admin.id, userId, false);
+    });
+
+    test("requires isActive", async () => {
+      const res = await request(app).put(`/api/admin/users/${userId}/status`).send({});
+
+      expect(res.status).toBe(400);
+      expect(setUserActive).not.toHaveBeenCalled();
+    });
+
+    test("returns 409 when admins deactivate themselves", async () => {
+      setUserActive.mockRejectedValue(statusError("You can't deactivate your own account", 409));
+
+      const res = await request(app).put(`/api/admin/users/${admin.id}/status`).send({ isActive: false });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.message).toBe("You can't deactivate your own account");
+    });
+  });
+
+  describe("PUT /api/admin/users/:id/role", () => {
+    test("changes a user's role", async () => {
+      setUserRole.mockResolvedValue({ id: userId, role: "admin" });
+
+      const res = await request(app).put(`/api/admin/users/${userId}/role`).send({ role: "admin" });
+
+      expect(res.status).toBe(200);
+      expect(setUserRole).toHaveBeenCalledWith(admin.id, userId, "admin");
+    });
+
+    test("rejects an unknown role", async () => {
+      const res = await request(app).put(`/api/admin/users/${userId}/role`).send({ role: "owner" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toBe("Role must be user or admin");
+    });
+  });
+
+  describe("GET /api/admin/users/:id/templates", () => {
+    test("lists the templates the user sees", async () => {
+      listUserTemplates.mockResolvedValue([{ id: "cltemplat0000000000000001", displayName: "Invoice.docx" }]);
+
+      const res = await request(app).get(`/api/admin/users/${userId}/templates`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(1);
+      expect(listUserTemplates).toHaveBeenCalledWith(userId);
+    });
+
+    test("returns 500 on an unexpected error", async () => {
+      listUserTemplates.mockRejectedValue(new Error("Database error"));
+
+      const res = await request(app).get(`/api/admin/users/${userId}/templates`);
+
+      expect(res.status).toBe(500);
+      expect(res.body.error.message).toBe("Failed to list user templates");
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// Mock dependencies BEFORE importing
+jest.mock("../../src/config/prisma");
+jest.mock("../../src/middleware/supabase-auth");
+jest.mock("../../src/services/apiKey.service", () => ({
+  ...jest.requireActual("../../src/services/apiKey.service"),
+  createApiKey: jest.fn(),
+  listApiKeys: jest.fn(),
+  revokeApiKey: jest.fn(),
+}));
+
+const request = require("supertest");
+const express = require("express");
+const apiKeyRouter = require("../../src/routes/apiKey.routes");
+const authenticateSupabase = require("../../src/middleware/supabase-auth");
+const { createApiKey, listApiKeys, revokeApiKey } = require("../../src/services/apiKey.service");
+
+// Mock user for authenticated requests
+const mockUser = {
+  id: "cluser0000000000000000001",
+  email: "test@example.com",
+};
+
+const API_KEY_ID = "clapikey00000000000000001";
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Add mock logger to requests
+  app.use((req, res, next) => {
+    req.log = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+    };
+    next();
+  });
+
+  app.use("/api", apiKeyRouter);
+  return app;
+};
+
+describe("API Key Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    authenticateSupabase.mockImplementation((req, res, next) => {
+      req.user = mockUser;
+      next();
+    });
+  });
+
+  describe("GET /api/api-keys", () => {
+    test("lists the user's keys", async () => {
+      const keys = [{ id: API_KEY_ID, name: "Zapier", prefix: "sdk_0a1b2c3d", scopes: ["merge:write"] }];
+      listApiKeys.mockResolvedValue(keys);
+
+      const response = await request(app).get("/api/api-keys").expect(200);
+
+      expect(response.body).toEqual(keys);
+      expect(listApiKeys).toHaveBeenCalledWith(mockUser.id);
+    });
+
+    test("requires a Supabase session", async () => {
+      authenticateSupabase.mockImplementation((req, res) => res.status(401).json({ error: { code: "UNAUTHORIZED" } }));
+
+      await request(app).get("/api/api-keys").expect(401);
+
+      expect(listApiKeys).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/api-keys", () => {
+    test("creates a key and returns it", async () => {
+      const created = { id: API_KEY_ID, name: "Zapier", key: "sdk_0a1b2c3d_secret" };
+      createApiKey.mockResolvedValue(created);
+
+      const response = await request(app)
+        .post("/api/api-keys")
+        .send({ name: " Zapier ", scopes: ["merge:write", "outputs:read"], expiresInDays: 90 })
+        .expect(201);
+
+      expect(response.body).toEqual(created);
+      expect(createApiKey).toHaveBeenCalledWith(mockUser.id, {
+        name: "Zapier",
+        scopes: ["merge:write", "outputs:read"],
+        expiresInDays: 90,
+      });
+    });
+
+    test("rejects an unknown scope", async () => {
+      await request(app).post("/api/api-keys").send({ name: "Zapier", scopes: ["admin"] }).expect(400);
+
+      expect(createApiKey).not.toHaveBeenCalled();
+    });
+
+    test("rejects a key without scopes", async () => {
+      const response = await request(app).post("/api/api-keys").send({ name: "Zapier", scopes: [] }).expect(400);
+
+      expect(response.body.error.message).toBe("Choose at least one scope");
+    });
+
+    test("returns 409 past the key limit", async () => {
+      createApiKey.mockRejectedValue(Object.assign(new Error("You can have at most 25 API keys; revoke one first"), {
+        status: 409,
+      }));
+
+      const response = await request(app).post("/api/api-keys").send({ name: "Zapier", scopes: ["merge:write"] }).expect(409);
+
+      expect(response.body.error.code).toBe("CONFLICT");
+    });
+  });
+
+  describe("DELETE /api/api-keys/:id", () => {
+    test("revokes the key", async () => {
+      revokeApiKey.mockResolvedValue(true);
+
+      await request(app).delete(`/api/api-keys/${API_KEY_ID}`).expect(204);
+
+      expect(revokeApiKey).toHaveBeenCalledWith(API_KEY_ID, mockUser.id);
+    });
+
+    test("returns 404 for a key that isn't the user's", async () => {
+      revokeApiKey.mockResolvedValue(false);
+
+      const response = await request(app).delete(`/api/api-keys/${API_KEY_ID}`).expect(404);
+
+      expect(response.body.error.message).toBe("API key not found");
+    });
+  });
+});
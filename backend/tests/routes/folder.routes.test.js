@@ -57,6 +57,11 @@ describe("Folder Routes", () => {
       req.user = mockUser;
       next();
     });
+
+    // Folders are looked up by id, then checked against the user; reset so queued lookups don't leak between tests
+    prisma.folder.findUnique.mockReset().mockResolvedValue(null);
+    prisma.folder.findFirst.mockReset().mockResolvedValue(null);
+    prisma.workspaceMember.findUnique.mockReset().mockResolvedValue(null);
   });
 
   describe("GET /api/folders", () => {
@@ -73,7 +78,12 @@ describe("Folder Routes", () => {
       expect(response.status).toBe(200);
       expect(response.body).toEqual(mockFolders);
       expect(prisma.folder.findMany).toHaveBeenCalledWith({
-        where: { userId: mockUser.id },
+        where: {
+          OR: [
+            { workspaceId: null, userId: mockUser.id },
+            { workspace: { members: { some: { userId: mockUser.id } } } },
+          ],
+        },
         include: {
           _count: {
             select: {
@@ -127,7 +137,7 @@ describe("Folder Routes", () => {
     });
 
     test("should create a nested folder successfully", async () => {
-      const parentFolder = { id: testIds.parent1, name: "Parent", depth: 1 };
+      const parentFolder = { id: testIds.parent1, name: "Parent", depth: 1, userId: mockUser.id };
       const newFolder = {
         id: testIds.folderNew,
         name: "Child Folder",
@@ -136,9 +146,8 @@ describe("Folder Routes", () => {
         _count: { templates: 0, children: 0 },
       };
 
-      prisma.folder.findFirst
-        .mockResolvedValueOnce(parentFolder) // Parent exists
-        .mockResolvedValueOnce(null); // No duplicate
+      prisma.folder.findUnique.mockResolvedValueOnce(parentFolder); // Parent exists
+      prisma.folder.findFirst.mockResolvedValueOnce(null); // No duplicate
       prisma.folder.create.mockResolvedValue(newFolder);
 
       const response = await request(app)
@@ -179,9 +188,9 @@ describe("Folder Routes", () => {
     });
 
     test("should return 400 when max depth exceeded", async () => {
-      const parentFolder = { id: testIds.parent1, name: "Deep", depth: 4 };
+      const parentFolder = { id: testIds.parent1, name: "Deep", depth: 4, userId: mockUser.id };
 
-      prisma.folder.findFirst.mockResolvedValueOnce(parentFolder);
+      prisma.folder.findUnique.mockResolvedValueOnce(parentFolder);
 
       const response = await request(app)
         .post("/api/folders")
@@ -192,7 +201,7 @@ describe("Folder Routes", () => {
     });
 
     test("should return 404 when parent folder not found", async () => {
-      prisma.folder.findFirst.mockResolvedValue(null);
+      prisma.folder.findUnique.mockResolvedValue(null);
 
       const response = await request(app)
         .post("/api/folders")
@@ -212,11 +221,25 @@ describe("Folder Routes", () => {
       expect(response.status).toBe(409);
       expect(response.body.error.message).toBe("A root folder with this name already exists");
     });
+
+    test("should return 403 when the user only views the parent's workspace", async () => {
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: testIds.parent1, depth: 1, userId: "cluser0000000000000000002", workspaceId: "clworkspa0000000000000001" });
+      prisma.workspaceMember.findUnique.mockResolvedValue({ role: "viewer" });
+
+      const response = await request(app)
+        .post("/api/folders")
+        .send({ name: "Child", parentId: testIds.parent1 });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe("FORBIDDEN");
+      expect(response.body.error.message).toBe("Your viewer role doesn't allow you to change this folder");
+      expect(prisma.folder.create).not.toHaveBeenCalled();
+    });
   });
 
   describe("PUT /api/folders/:id", () => {
     test("should rename folder successfully", async () => {
-      const folder = { id: testIds.folder1, name: "Old Name", parentId: null };
+      const folder = { id: testIds.folder1, name: "Old Name", parentId: null, userId: mockUser.id };
       const renamedFolder = {
         id: testIds.folder1,
         name: "New Name",
@@ -224,9 +247,7 @@ describe("Folder Routes", () => {
         _count: { templates: 0, children: 0 },
       };
 
-      prisma.folder.findFirst
-        .mockResolvedValueOnce(folder) // Folder exists
-        .mockResolvedValueOnce(null); // No duplicate
+      prisma.folder.findUnique.mockResolvedValueOnce(folder); // Folder exists
       prisma.folder.update.mockResolvedValue(renamedFolder);
 
       const response = await request(app)
@@ -247,8 +268,6 @@ describe("Folder Routes", () => {
     });
 
     test("should return 404 when folder not found", async () => {
-      prisma.folder.findFirst.mockResolvedValue(null);
-
       const response = await request(app)
         .put(`/api/folders/${testIds.nonexistent}`)
         .send({ name: "New Name" });
@@ -258,12 +277,11 @@ describe("Folder Routes", () => {
     });
 
     test("should return 409 when duplicate name exists in same location", async () => {
-      const folder = { id: testIds.folder1, name: "Old Name", parentId: null };
+      const folder = { id: testIds.folder1, name: "Old Name", parentId: null, userId: mockUser.id };
       const existing = { id: testIds.folder2, name: "New Name", parentId: null };
 
-      prisma.folder.findFirst
-        .mockResolvedValueOnce(folder)
-        .mockResolvedValueOnce(existing);
+      prisma.folder.findUnique.mockResolvedValueOnce(folder);
+      prisma.folder.findFirst.mockResolvedValueOnce(existing);
 
       const response = await request(app)
         .put(`/api/folders/${testIds.folder1}`)
@@ -276,8 +294,8 @@ describe("Folder Routes", () => {
 
   describe("PUT /api/folders/:id/move", () => {
     test("should move folder to new parent successfully", async () => {
-      const folder = { id: testIds.folder1, name: "Folder", depth: 1, children: [] };
-      const newParent = { id: testIds.parent1, name: "Parent", depth: 1 };
+      const folder = { id: testIds.folder1, name: "Folder", depth: 1, userId: mockUser.id };
+      const newParent = { id: testIds.parent1, name: "Parent", depth: 1, userId: mockUser.id };
       const movedFolder = {
         id: testIds.folder1,
         name: "Folder",
@@ -286,11 +304,9 @@ describe("Folder Routes", () => {
         _count: { templates: 0, children: 0 },
       };
 
-      prisma.folder.findFirst
+      prisma.folder.findUnique
         .mockResolvedValueOnce(folder) // Folder exists
-        .mockResolvedValueOnce(newParent) // New parent exists
-        .mockResolvedValueOnce(null); // No duplicate
-      prisma.folder.findUnique.mockResolvedValue(null); // For cycle detection
+        .mockResolvedValueOnce(newParent); // New parent exists; then null for cycle detection
       prisma.folder.findMany.mockResolvedValue([]); // No children
       prisma.folder.update.mockResolvedValue(movedFolder);
 
@@ -303,7 +319,7 @@ describe("Folder Routes", () => {
     });
 
     test("should move folder to root successfully", async () => {
-      const folder = { id: testIds.folder1, name: "Folder", depth: 2, parentId: testIds.oldParent, children: [] };
+      const folder = { id: testIds.folder1, name: "Folder", depth: 2, parentId: testIds.oldParent, userId: mockUser.id };
       const movedFolder = {
         id: testIds.folder1,
         name: "Folder",
@@ -312,9 +328,7 @@ describe("Folder Routes", () => {
         _count: { templates: 0, children: 0 },
       };
 
-      prisma.folder.findFirst
-        .mockResolvedValueOnce(folder) // Folder exists
-        .mockResolvedValueOnce(null); // No duplicate at root
+      prisma.folder.findUnique.mockResolvedValueOnce(folder); // Folder exists; no duplicate at root
       prisma.folder.findMany.mockResolvedValue([]); // No children
       prisma.folder.update.mockResolvedValue(movedFolder);
 
@@ -327,9 +341,9 @@ describe("Folder Routes", () => {
     });
 
     test("should return 400 when trying to move folder into itself", async () => {
-      const folder = { id: testIds.folder1, name: "Folder", depth: 1, children: [] };
+      const folder = { id: testIds.folder1, name: "Folder", depth: 1, userId: mockUser.id };
 
-      prisma.folder.findFirst.mockResolvedValueOnce(folder);
+      prisma.folder.findUnique.mockResolvedValueOnce(folder);
 
       const response = await request(app)
         .put(`/api/folders/${testIds.folder1}/move`)
@@ -340,8 +354,6 @@ describe("Folder Routes", () => {
     });
 
     test("should return 404 when folder not found", async () => {
-      prisma.folder.findFirst.mockResolvedValue(null);
-
       const response = await request(app)
         .put(`/api/folders/${testIds.nonexistent}/move`)
         .send({ newParentId: testIds.parent1 });
@@ -351,11 +363,9 @@ describe("Folder Routes", () => {
     });
 
     test("should return 404 when target folder not found", async () => {
-      const folder = { id: testIds.folder1, name: "Folder", depth: 1, children: [] };
+      const folder = { id: testIds.folder1, name: "Folder", depth: 1, userId: mockUser.id };
 
-      prisma.folder.findFirst
-        .mockResolvedValueOnce(folder) // Folder exists
-        .mockResolvedValueOnce(null); // Target not found
+      prisma.folder.findUnique.mockResolvedValueOnce(folder); // Folder exists; target not found
 
       const response = await request(app)
         .put(`/api/folders/${testIds.folder1}/move`)
@@ -364,13 +374,30 @@ describe("Folder Routes", () => {
       expect(response.status).toBe(404);
       expect(response.body.error.message).toBe("Target folder not found");
     });
+
+    test("should return 400 when moving into another workspace's folder", async () => {
+      const folder = { id: testIds.folder1, name: "Folder", depth: 1, userId: mockUser.id, workspaceId: null };
+      const newParent = { id: testIds.parent1, name: "Shared", depth: 1, workspaceId: "clworkspa0000000000000001" };
+
+      prisma.folder.findUnique
+        .mockResolvedValueOnce(folder)
+        .mockResolvedValueOnce(newParent);
+      prisma.workspaceMember.findUnique.mockResolvedValue({ role: "editor" });
+
+      const response = await request(app)
+        .put(`/api/folders/${testIds.folder1}/move`)
+        .send({ newParentId: testIds.parent1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe("A folder can only be moved within its own workspace");
+    });
   });
 
   describe("DELETE /api/folders/:id", () => {
     test("should delete folder successfully", async () => {
-      const folder = { id: testIds.folder1, name: "Folder" };
+      const folder = { id: testIds.folder1, name: "Folder", userId: mockUser.id };
 
-      prisma.folder.findFirst.mockResolvedValue(folder);
+      prisma.folder.findUnique.mockResolvedValue(folder);
       prisma.folder.findMany.mockResolvedValue([]); // No children
       prisma.template.updateMany.mockResolvedValue({ count: 0 });
       prisma.folder.delete.mockResolvedValue(folder);
@@ -381,19 +408,26 @@ describe("Folder Routes", () => {
     });
 
     test("should return 404 when folder not found", async () => {
-      prisma.folder.findFirst.mockResolvedValue(null);
-
       const response = await request(app).delete(`/api/folders/${testIds.nonexistent}`);
 
       expect(response.status).toBe(404);
       expect(response.body.error.message).toBe("Folder not found");
     });
+
+    test("should return 404 for another user's private folder", async () => {
+      prisma.folder.findUnique.mockResolvedValue({ id: testIds.folder1, name: "Folder", userId: "cluser0000000000000000002" });
+
+      const response = await request(app).delete(`/api/folders/${testIds.folder1}`);
+
+      expect(response.status).toBe(404);
+      expect(prisma.folder.delete).not.toHaveBeenCalled();
+    });
   });
 
   describe("PUT /api/templates/:id/move", () => {
     test("should move template to folder successfully", async () => {
-      const template = { id: testIds.template1, name: "Template" };
-      const folder = { id: testIds.folder1, name: "Folder" };
+      const template = { id: testIds.template1, name: "Template", uploadedById: mockUser.id };
+      const folder = { id: testIds.folder1, name: "Folder", userId: mockUser.id };
       const movedTemplate = {
         id: testIds.template1,
         name: "Template",
@@ -403,7 +437,7 @@ describe("Folder Routes", () => {
       };
 
       prisma.template.findUnique.mockResolvedValue(template);
-      prisma.folder.findFirst.mockResolvedValue(folder);
+      prisma.folder.findUnique.mockResolvedValue(folder);
       prisma.template.update.mockResolvedValue(movedTemplate);
 
       const response = await request(app)
@@ -415,7 +449,7 @@ describe("Folder Routes", () => {
     });
 
     test("should unfile template successfully", async () => {
-      const template = { id: testIds.template1, name: "Template", folderId: testIds.folder1 };
+      const template = { id: testIds.template1, name: "Template", folderId: testIds.folder1, uploadedById: mockUser.id };
       const unfiledTemplate = {
         id: testIds.template1,
         name: "Template",
@@ -447,10 +481,9 @@ describe("Folder Routes", () => {
     });
 
     test("should return 404 when target folder not found", async () => {
-      const template = { id: testIds.template1, name: "Template" };
+      const template = { id: testIds.template1, name: "Template", uploadedById: mockUser.id };
 
       prisma.template.findUnique.mockResolvedValue(template);
-      prisma.folder.findFirst.mockResolvedValue(null);
 
       const response = await request(app)
         .put(`/api/templates/${testIds.template1}/move`)
@@ -459,6 +492,21 @@ describe("Folder Routes", () => {
       expect(response.status).toBe(404);
       expect(response.body.error.message).toBe("Folder not found");
     });
+
+    test("should return 403 when a merger files a workspace template", async () => {
+      const template = { id: testIds.template1, name: "Template", uploadedById: "cluser0000000000000000002", workspaceId: "clworkspa0000000000000001" };
+
+      prisma.template.findUnique.mockResolvedValue(template);
+      prisma.workspaceMember.findUnique.mockResolvedValue({ role: "merger" });
+
+      const response = await request(app)
+        .put(`/api/templates/${testIds.template1}/move`)
+        .send({ folderId: null });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.message).toBe("Your merger role doesn't allow you to change this template");
+      expect(prisma.template.update).not.toHaveBeenCalled();
+    });
   });
 
   describe("Authentication", () => {
@@ -1,7 +1,12 @@
 const request = require("supertest");
 const express = require("express");
 const crypto = require("crypto");
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
 
 // Mock rate limiter to avoid database connection during tests
 jest.mock("../../src/middleware/rate-limiter", () => ({
@@ -35,18 +40,49 @@ const { s3 } = require("../../src/storage/supabase-storage");
 
 // mocks batch job service
 jest.mock("../../src/services/batchJob.service", () => ({
+  batchJobEvents: new (require("events").EventEmitter)(),
   shouldProcessInline: jest.fn(),
   processRowsInline: jest.fn(),
+  bundleInlineResults: jest.fn(),
   createBatchJob: jest.fn(),
+  retryBatchJob: jest.fn(),
+  pauseBatchJob: jest.fn(),
+  resumeBatchJob: jest.fn(),
+  cancelBatchJob: jest.fn(),
   getBatchJobStatus: jest.fn(),
+  readBatchJobProgress: jest.fn(),
+  watchBatchJob: jest.fn(),
   listBatchJobs: jest.fn(),
 }));
 
-const { shouldProcessInline, processRowsInline, getBatchJobStatus, listBatchJobs } = require("../../src/services/batchJob.service");
+const {
+  shouldProcessInline,
+  processRowsInline,
+  bundleInlineResults,
+  createBatchJob,
+  retryBatchJob,
+  pauseBatchJob,
+  resumeBatchJob,
+  cancelBatchJob,
+  getBatchJobStatus,
+  readBatchJobProgress,
+  watchBatchJob,
+  listBatchJobs,
+  batchJobEvents,
+} = require("../../src/services/batchJob.service");
+
+// mocks callbacks sent once merges finish
+jest.mock("../../src/services/webhookDelivery.service", () => ({
+  queueWebhookDelivery: jest.fn(),
+}));
+
+const { queueWebhookDelivery } = require("../../src/services/webhookDelivery.service");
 
 // mocks merge service
 jest.mock("../../src/services/merge.service", () => ({
   mergeTemplate: jest.fn(),
+  // dry runs check rows with the real field validation
+  checkMergeData: jest.requireActual("../../src/services/merge.service").checkMergeData,
 }));
 
 const { mergeTemplate } = require("../../src/services/merge.service");
@@ -58,6 +94,17 @@ jest.mock("../../src/services/template.service", () => ({
 
 const { resolveTemplateFile } = require("../../src/services/template.service");
 
+// mocks quota checks; the real error class is kept for the routes' instanceof checks
+jest.mock("../../src/services/usage.service", () => ({
+  ...jest.requireActual("../../src/services/usage.service"),
+  checkQuotas: jest.fn(),
+  reserveUsage: jest.fn(),
+  releaseUsage: jest.fn(),
+}));
+
+const { checkQuotas, reserveUsage, releaseUsage, QuotaExceededError } = require("../../src/services/usage.service");
+const { FieldValidationError } = require("../../src/utils/field-validation");
+
 // Use actual multer for CSV file uploads
 const multer = require("multer");
 const uploadCsv = multer({ storage: multer.memoryStorage() });
@@ -86,6 +133,9 @@ describe("Merge Routes", () => {
   beforeAll(() => {
     process.env.WEBHOOK_SECRET = "test-webhook-secret";
     process.env.S3_BUCKET = "test-bucket";
+    // read when the router loads
+    process.env.CSV_MAX_ROWS = "1000";
+    process.env.BATCH_PROGRESS_STREAMS_PER_USER = "1";
   });
 
   beforeEach(() => {
@@ -93,6 +143,8 @@ describe("Merge Routes", () => {
 
     // Default batch job mocks - inline processing for small CSVs
     shouldProcessInline.mockReturnValue(true);
+    reserveUsage.mockImplementation(async (userId, counts) => ({ userId, month: "2026-10", ...counts }));
+    releaseUsage.mockResolvedValue();
 
     // creates express app
     app = express();
@@ -246,6 +298,140 @@ describe("Merge Routes", () => {
       );
     });
 
+    test("should merge a workspace template as a member with the merger role", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-456",
+        workspaceId: "clworkspa0000000000000001",
+        mimeType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      prisma.workspaceMember.findUnique.mockResolvedValueOnce({ role: "merger" });
+      mergeTemplate.mockResolvedValue({ jobId: 102, filePath: "s3://test-bucket/outputs/result.pdf" });
+
+      await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge`)
+        .send({ data: { name: "John Doe" }, outputType: "pdf" })
+        .expect(200);
+
+      // the output is the member's, seen by the workspace through its template
+      expect(mergeTemplate).toHaveBeenCalledWith(expect.objectContaining({ userId: "user-123" }));
+    });
+
+    test("should return 403 when a workspace viewer merges", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-456",
+        workspaceId: "clworkspa0000000000000001",
+        mimeType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      prisma.workspaceMember.findUnique.mockResolvedValueOnce({ role: "viewer" });
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge`)
+        .send({ data: { name: "John Doe" }, outputType: "pdf" })
+        .expect(403);
+
+      expect(response.body.error.message).toBe("Your viewer role doesn't allow you to merge this template");
+      expect(mergeTemplate).not.toHaveBeenCalled();
+    });
+
+    test("should merge as the owner of an API key with merge:write", async () => {
+      const key = `sdk_0a1b2c3d_${"k".repeat(43)}`;
+      const keyOwner = { id: "user-456", email: "integration@example.com", isActive: true };
+      prisma.apiKey.findUnique.mockResolvedValue({
+        id: "key-1",
+        userId: "user-456",
+        name: "Zapier",
+        prefix: "sdk_0a1b2c3d",
+        keyHash: crypto.createHash("sha256").update(key).digest("hex"),
+        scopes: ["merge:write"],
+        expiresAt: null,
+        lastUsedAt: null,
+        revokedAt: null,
+        user: keyOwner,
+      });
+      prisma.apiKey.update.mockResolvedValue({});
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-456",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      mergeTemplate.mockResolvedValue({ jobId: 102, filePath: "s3://test-bucket/outputs/result.pdf" });
+
+      await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge`)
+        .set("X-API-Key", key)
+        .send({ data: { name: "John" }, outputType: "pdf" })
+        .expect(200);
+
+      expect(mergeTemplate).toHaveBeenCalledWith(expect.objectContaining({ userId: "user-456" }));
+
+      // the same key can't read outputs
+      await request(app).get("/api/jobs").set("X-API-Key", key).expect(403);
+    });
+
+    test("should send the result to the callback URL sent", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      mergeTemplate.mockResolvedValue({ jobId: 101, filePath: "s3://test-bucket/outputs/result.pdf" });
+      queueWebhookDelivery.mockResolvedValue({});
+
+      await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge`)
+        .send({ data: { name: "John" }, outputType: "pdf", callbackUrl: "https://example.com/hooks" })
+        .expect(200);
+
+      expect(queueWebhookDelivery).toHaveBeenCalledWith({
+        url: "https://example.com/hooks",
+        event: "merge.completed",
+        userId: "user-123",
+        data: {
+          templateId: VALID_TEMPLATE_ID,
+          count: 1,
+          jobs: [{ jobId: 101, filePath: "s3://test-bucket/outputs/result.pdf" }],
+        },
+      });
+    });
+
+    test("should fall back to the user's callback URL", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      mergeTemplate.mockResolvedValue({ jobId: 101, filePath: "s3://test-bucket/outputs/result.pdf" });
+      queueWebhookDelivery.mockResolvedValue({});
+      mockUser.callbackUrl = "https://example.com/user-hooks";
+
+      try {
+        await request(app)
+          .post(`/api/templates/${VALID_TEMPLATE_ID}/merge`)
+          .send({ data: { name: "John" }, outputType: "pdf" })
+          .expect(200);
+      } finally {
+        delete mockUser.callbackUrl;
+      }
+
+      expect(queueWebhookDelivery).toHaveBeenCalledWith(
+        expect.objectContaining({ url: "https://example.com/user-hooks", event: "merge.completed" })
+      );
+    });
+
+    test("should reject a callback URL that isn't http or https", async () => {
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge`)
+        .send({ data: { name: "John" }, callbackUrl: "ftp://example.com/hooks" })
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Callback URL must be an http or https URL");
+      expect(mergeTemplate).not.toHaveBeenCalled();
+    });
+
     test("should return 404 when template not found", async () => {
       prisma.template.findUnique.mockResolvedValue(null);
 
@@ -327,6 +513,48 @@ describe("Merge Routes", () => {
       expect(response.body.error.details).toBeDefined();
     });
 
+    test("should return 422 with per-field errors when data breaks the field schema", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      const details = [
+        { field: "email", path: "email", code: "invalid_type", message: "email must be an email address" },
+        { field: "total", path: "total", code: "required", message: "total is required" },
+      ];
+      mergeTemplate.mockRejectedValue(new FieldValidationError(details));
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge`)
+        .send({ data: { email: "nope" } })
+        .expect(422);
+
+      expect(response.body.error.code).toBe("FIELD_VALIDATION_ERROR");
+      expect(response.body.error.details).toEqual(details);
+    });
+
+    test("should return 403 when the merge would go past a quota", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      mergeTemplate.mockRejectedValue(new QuotaExceededError("mergesPerMonth", 5000, 5000));
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge`)
+        .send({ data: { name: "Test" } })
+        .expect(403);
+
+      expect(response.body.error.code).toBe("QUOTA_EXCEEDED");
+      expect(response.body.error.details).toEqual({ quota: "mergesPerMonth", limit: 5000, used: 5000 });
+    });
+
     test("should return 400 for other errors", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: VALID_TEMPLATE_ID,
@@ -449,7 +677,7 @@ describe("Merge Routes", () => {
         .field("outputType", "pdf")
         .expect(400);
 
-      expect(response.body.error.message).toContain("No CSV file uploaded");
+      expect(response.body.error.message).toContain("No data file uploaded");
     });
 
     test("should return 400 with invalid CSV format", async () => {
@@ -490,219 +718,1126 @@ describe("Merge Routes", () => {
       expect(response.body.error.message).toContain("No data rows found");
     });
 
-    test("should return 422 for template parse errors", async () => {
+    test("should merge the rows of an XLSX sheet from its header row", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: VALID_TEMPLATE_ID,
         uploadedById: "user-123",
-        mimeType:
-          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        mimeType: "application/pdf",
       });
-
       processRowsInline.mockResolvedValue([
-        { rowIndex: 0, success: false, error: "TEMPLATE_PARSE_ERROR" },
+        { rowIndex: 0, success: true, job: { jobId: 301, filePath: "s3://test-bucket/outputs/a.pdf" } },
       ]);
 
-      const csvContent = "name,email\nJohn,john@example.com";
+      const workbook = new ExcelJS.Workbook();
+      workbook.addWorksheet("Notes").addRow(["ignore me"]);
+      const sheet = workbook.addWorksheet("Invoices");
+      sheet.addRow(["March invoices"]);
+      sheet.addRow(["name", "total"]);
+      sheet.addRow(["Ada", 12.5]);
+      const xlsx = Buffer.from(await workbook.xlsx.writeBuffer());
 
       const response = await request(app)
         .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
         .field("outputType", "pdf")
-        .attach("csv", Buffer.from(csvContent), "data.csv")
-        .expect(422);
+        .field("sheet", "Invoices")
+        .field("headerRow", "2")
+        .attach("csv", xlsx, "invoices.xlsx")
+        .expect(200);
 
-      expect(response.body.error.message).toBe(
-        "Template has invalid Docxtemplater tags"
+      expect(response.body.count).toBe(1);
+      expect(processRowsInline).toHaveBeenCalledWith(
+        expect.objectContaining({ rows: [{ name: "Ada", total: 12.5 }] })
       );
     });
 
-    test("should return 400 for invalid template ID format", async () => {
-      const csvContent = "name,email\nJohn,john@example.com";
+    test("should return 400 naming the sheets when the XLSX sheet is missing", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+
+      const workbook = new ExcelJS.Workbook();
+      workbook.addWorksheet("Invoices").addRow(["name"]);
+      const xlsx = Buffer.from(await workbook.xlsx.writeBuffer());
 
       const response = await request(app)
-        .post("/api/templates/invalid-id/merge-csv")
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
         .field("outputType", "pdf")
-        .attach("csv", Buffer.from(csvContent), "data.csv")
+        .field("sheet", "Orders")
+        .attach("csv", xlsx, "invoices.xlsx")
         .expect(400);
 
-      expect(response.body.error.message).toBe("Invalid template ID format");
+      expect(response.body.error.message).toBe("Invalid XLSX format");
+      expect(response.body.error.details).toBe("Sheet 'Orders' not found. Sheets: Invoices");
     });
 
-    test("should handle CSV with BOM character", async () => {
+    test("should merge the rows of a JSON array, keeping nested data", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: VALID_TEMPLATE_ID,
         uploadedById: "user-123",
-        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        mimeType: "application/pdf",
       });
-
       processRowsInline.mockResolvedValue([
-        { rowIndex: 0, success: true, job: { jobId: 301 } },
+        { rowIndex: 0, success: true, job: { jobId: 302, filePath: "s3://test-bucket/outputs/b.pdf" } },
       ]);
 
-      const csvContent = "\uFEFFname,email\nJohn,john@example.com";
-
-      const response = await request(app)
+      const rows = [{ name: "=Ada", items: [{ sku: "A-1", qty: 2 }] }];
+      await request(app)
         .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
         .field("outputType", "pdf")
-        .attach("csv", Buffer.from(csvContent), "data.csv")
+        .attach("csv", Buffer.from(JSON.stringify(rows)), { filename: "rows.json", contentType: "application/json" })
         .expect(200);
 
-      expect(response.body.count).toBe(1);
+      expect(processRowsInline).toHaveBeenCalledWith(
+        expect.objectContaining({ rows: [{ name: "'=Ada", items: [{ sku: "A-1", qty: 2 }] }] })
+      );
     });
 
-    test("should return 400 for empty CSV", async () => {
+    test("should queue a large NDJSON file with every row", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: VALID_TEMPLATE_ID,
         uploadedById: "user-123",
-        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        mimeType: "application/pdf",
+      });
+      shouldProcessInline.mockImplementation((count) => count <= 10);
+      const received = [];
+      createBatchJob.mockImplementation(async ({ rows }) => {
+        for await (const row of rows) received.push(row);
+        return { id: "batch-7", totalRows: received.length };
       });
 
+      const ndjson = Array.from({ length: 12 }, (_, i) => JSON.stringify({ n: i })).join("\n");
       const response = await request(app)
         .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
         .field("outputType", "pdf")
-        .attach("csv", Buffer.from("   "), "data.csv")
-        .expect(400);
+        .attach("csv", Buffer.from(ndjson), "rows.ndjson")
+        .expect(202);
 
-      expect(response.body.error.message).toContain("empty");
+      expect(response.body.totalRows).toBe(12);
+      expect(received[11]).toEqual({ n: 11 });
     });
 
-    test("should return 413 for CSV with more than 1000 rows", async () => {
+    test("should return 400 for a JSON file that isn't an array", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: VALID_TEMPLATE_ID,
         uploadedById: "user-123",
-        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        mimeType: "application/pdf",
       });
 
-      const header = "name\n";
-      const rows = Array(1001).fill("John\n").join("");
-      const csvContent = header + rows;
-
       const response = await request(app)
         .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
         .field("outputType", "pdf")
-        .attach("csv", Buffer.from(csvContent), "data.csv")
-        .expect(413);
+        .attach("csv", Buffer.from('{"name":"Ada"}'), "rows.json")
+        .expect(400);
 
-      expect(response.body.error.message).toContain("Too many rows");
+      expect(response.body.error.message).toBe("Invalid JSON format");
+      expect(response.body.error.details).toBe("Expected an array of row objects");
     });
 
-    test("should queue batch job for large CSV when not inline", async () => {
+    test("should return 400 for an empty JSON array", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: VALID_TEMPLATE_ID,
         uploadedById: "user-123",
-        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        mimeType: "application/pdf",
       });
 
-      shouldProcessInline.mockReturnValue(false);
-      const { createBatchJob } = require("../../src/services/batchJob.service");
-      createBatchJob.mockResolvedValue({ id: "batch-123" });
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from("[]"), "rows.json")
+        .expect(400);
 
-      const csvContent = "name\nJohn\nJane";
+      expect(response.body.error.message).toBe("Uploaded JSON is empty.");
+    });
+
+    test("should return 400 for an invalid headerRow", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
 
       const response = await request(app)
         .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
         .field("outputType", "pdf")
-        .attach("csv", Buffer.from(csvContent), "data.csv")
-        .expect(202);
+        .field("headerRow", "0")
+        .attach("csv", Buffer.from("name\nAda"), "data.csv")
+        .expect(400);
 
-      expect(response.body.batchJobId).toBe("batch-123");
-      expect(response.body.totalRows).toBe(2);
-      expect(response.body.statusUrl).toBe("/api/batch-jobs/batch-123");
+      expect(response.body.error.message).toBe("headerRow must be a whole number of 1 or more");
     });
 
-    test("should return partial success with errors for failed rows", async () => {
+    test("should return 422 for template parse errors", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: VALID_TEMPLATE_ID,
         uploadedById: "user-123",
-        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        mimeType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
       });
 
       processRowsInline.mockResolvedValue([
-        { rowIndex: 0, success: true, job: { jobId: 401 } },
-        { rowIndex: 1, success: false, error: "Missing field: name" },
+        { rowIndex: 0, success: false, error: "TEMPLATE_PARSE_ERROR" },
       ]);
 
-      const csvContent = "name,email\nJohn,john@example.com\n,missing@example.com";
+      const csvContent = "name,email\nJohn,john@example.com";
 
       const response = await request(app)
         .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
         .field("outputType", "pdf")
         .attach("csv", Buffer.from(csvContent), "data.csv")
-        .expect(200);
+        .expect(422);
 
-      expect(response.body.count).toBe(2);
-      expect(response.body.jobs).toHaveLength(1);
-      expect(response.body.errors).toHaveLength(1);
-      expect(response.body.errors[0].rowIndex).toBe(1);
+      expect(response.body.error.message).toBe(
+        "Template has invalid Docxtemplater tags"
+      );
     });
-  });
 
-  describe("POST /api/webhooks/templates/:templateId", () => {
-    test("should process webhook with valid HMAC and JSON", async () => {
+    test("should include per-field errors for rows that break the field schema", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
         mimeType:
           "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
       });
 
-      mergeTemplate.mockResolvedValue({
-        jobId: 301,
-        filePath: "s3://test-bucket/outputs/result.pdf",
-      });
+      const fieldErrors = [
+        { field: "email", path: "email", code: "invalid_type", message: "email must be an email address" },
+      ];
+      processRowsInline.mockResolvedValue([
+        { rowIndex: 0, success: true, job: { jobId: 1 } },
+        { rowIndex: 1, success: false, error: "Invalid merge data: email must be an email address", fieldErrors },
+      ]);
 
-      const body = JSON.stringify({ name: "John", email: "john@example.com" });
-      const signature = generateHMAC(body);
+      const csvContent = "name,email\nJohn,john@example.com\nJane,nope";
 
       const response = await request(app)
-        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}?outputType=pdf`)
-        .set("Content-Type", "application/json")
-        .set("x-signature", signature)
-        .send(body)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from(csvContent), "data.csv")
         .expect(200);
 
-      expect(response.body.count).toBe(1);
-      expect(response.body.jobs).toHaveLength(1);
-      expect(mergeTemplate).toHaveBeenCalledWith({
-        templateId: VALID_TEMPLATE_ID,
-        data: { name: "John", email: "john@example.com" },
-        outputType: "pdf",
-        userId: null,
-        fromWebhook: true,
-      });
+      expect(response.body.errors).toEqual([
+        { rowIndex: 1, error: "Invalid merge data: email must be an email address", fieldErrors },
+      ]);
     });
 
-    test("should process webhook with valid HMAC and CSV", async () => {
+    test("should bundle inline outputs into a batch job download", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: VALID_TEMPLATE_ID,
-        mimeType:
-          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
       });
-
-      mergeTemplate
-        .mockResolvedValueOnce({
-          jobId: 302,
-          filePath: "s3://test-bucket/outputs/result1.pdf",
-        })
-        .mockResolvedValueOnce({
-          jobId: 303,
-          filePath: "s3://test-bucket/outputs/result3.pdf",
-        });
-
-      const body = "name,email\nJohn,john@example.com\nJane,jane@example.com";
-      const signature = generateHMAC(body);
+      const results = [
+        { rowIndex: 0, success: true, job: { jobId: 201, filePath: "s3://test-bucket/outputs/a.docx" } },
+      ];
+      processRowsInline.mockResolvedValue(results);
+      bundleInlineResults.mockResolvedValue({ id: "batch-7", bundlePath: "s3://test-bucket/outputs/bundles/batch-batch-7.zip" });
 
       const response = await request(app)
-        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}?outputType=pdf`)
-        .set("Content-Type", "text/csv")
-        .set("x-signature", signature)
-        .send(body)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "docx")
+        .field("bundle", "zip")
+        .attach("csv", Buffer.from("name\nJohn"), "data.csv")
         .expect(200);
 
-      expect(response.body.count).toBe(2);
-      expect(response.body.jobs).toHaveLength(2);
-      expect(mergeTemplate).toHaveBeenCalledTimes(2);
+      expect(bundleInlineResults).toHaveBeenCalledWith({
+        templateId: VALID_TEMPLATE_ID,
+        outputType: "docx",
+        userId: "user-123",
+        bundle: "zip",
+        results,
+      });
+      expect(response.body.batchJobId).toBe("batch-7");
+      expect(response.body.bundle).toEqual({ type: "zip", downloadUrl: "/api/batch-jobs/batch-7/bundle" });
     });
 
-    test("should process JSON array", async () => {
+    test("should report a bundle that couldn't be built", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+      processRowsInline.mockResolvedValue([
+        { rowIndex: 0, success: true, job: { jobId: 201, filePath: "s3://test-bucket/outputs/a.pdf" } },
+      ]);
+      bundleInlineResults.mockResolvedValue({ id: "batch-8", bundlePath: null, error: "Could not create the pdf bundle: bad PDF" });
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .field("bundle", "pdf")
+        .attach("csv", Buffer.from("name\nJohn"), "data.csv")
+        .expect(200);
+
+      expect(response.body.jobs).toHaveLength(1);
+      expect(response.body.bundle).toEqual({ type: "pdf", error: "Could not create the pdf bundle: bad PDF" });
+    });
+
+    test("should return 400 for a PDF bundle of non-PDF outputs", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "docx")
+        .field("bundle", "pdf")
+        .attach("csv", Buffer.from("name\nJohn"), "data.csv")
+        .expect(400);
+
+      expect(response.body.error.message).toBe("A merged PDF bundle needs outputType 'pdf'");
+      expect(processRowsInline).not.toHaveBeenCalled();
+    });
+
+    test("should stream every row of a large CSV into the batch job", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+      shouldProcessInline.mockImplementation((count) => count <= 10);
+      const received = [];
+      createBatchJob.mockImplementation(async ({ rows }) => {
+        for await (const row of rows) received.push(row);
+        return { id: "batch-6", totalRows: received.length };
+      });
+
+      const names = Array.from({ length: 25 }, (_, i) => `Name ${i}`);
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from(`name,formula\n${names.map((n) => `${n},=1+1`).join("\n")}`), "data.csv")
+        .expect(202);
+
+      expect(processRowsInline).not.toHaveBeenCalled();
+      expect(response.body.totalRows).toBe(25);
+      expect(received.map((r) => r.name)).toEqual(names);
+      // values are sanitized as they stream
+      expect(received[0].formula).toBe("'=1+1");
+    });
+
+    test("should return 400 when a large CSV breaks after the first rows", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+      shouldProcessInline.mockImplementation((count) => count <= 10);
+      createBatchJob.mockImplementation(async ({ rows }) => {
+        for await (const row of rows) void row;
+        return { id: "batch-6" };
+      });
+
+      const lines = Array.from({ length: 20 }, (_, i) => `Name ${i}`);
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from(`name\n${lines.join("\n")}\n"unclosed`), "data.csv")
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Invalid CSV format");
+    });
+
+    test("should pass the bundle option to queued batch jobs", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+      shouldProcessInline.mockReturnValue(false);
+      createBatchJob.mockResolvedValue({ id: "batch-5" });
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .field("bundle", "pdf")
+        .attach("csv", Buffer.from("name\nJohn\nJane"), "data.csv")
+        .expect(202);
+
+      expect(createBatchJob).toHaveBeenCalledWith(expect.objectContaining({ bundle: "pdf", outputType: "pdf" }));
+      expect(response.body.bundle).toEqual({ type: "pdf", downloadUrl: "/api/batch-jobs/batch-5/bundle" });
+    });
+
+    test("should give queued batch jobs the callback URL sent", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+      shouldProcessInline.mockReturnValue(false);
+      createBatchJob.mockResolvedValue({ id: "batch-5" });
+
+      await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .field("callbackUrl", "https://example.com/hooks")
+        .attach("csv", Buffer.from("name\nJohn\nJane"), "data.csv")
+        .expect(202);
+
+      expect(createBatchJob).toHaveBeenCalledWith(expect.objectContaining({ callbackUrl: "https://example.com/hooks" }));
+    });
+
+    test("should send inline CSV merges' results to the callback URL", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+      processRowsInline.mockResolvedValue([
+        { rowIndex: 0, success: true, job: { jobId: 1, filePath: "s3://test-bucket/outputs/a.pdf" } },
+      ]);
+      queueWebhookDelivery.mockResolvedValue({});
+
+      await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .field("callbackUrl", "https://example.com/hooks")
+        .attach("csv", Buffer.from("name\nJohn"), "data.csv")
+        .expect(200);
+
+      expect(queueWebhookDelivery).toHaveBeenCalledWith(expect.objectContaining({
+        url: "https://example.com/hooks",
+        event: "merge.completed",
+        data: { templateId: VALID_TEMPLATE_ID, count: 1, jobs: [{ jobId: 1, filePath: "s3://test-bucket/outputs/a.pdf" }] },
+      }));
+    });
+
+    test("should reject an invalid callback URL before reading the file", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("callbackUrl", "not a url")
+        .attach("csv", Buffer.from("name\nJohn"), "data.csv")
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Callback URL must be an http or https URL");
+      expect(processRowsInline).not.toHaveBeenCalled();
+    });
+
+    test("should return 400 for invalid template ID format", async () => {
+      const csvContent = "name,email\nJohn,john@example.com";
+
+      const response = await request(app)
+        .post("/api/templates/invalid-id/merge-csv")
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from(csvContent), "data.csv")
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Invalid template ID format");
+    });
+
+    test("should handle CSV with BOM character", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      processRowsInline.mockResolvedValue([
+        { rowIndex: 0, success: true, job: { jobId: 301 } },
+      ]);
+
+      const csvContent = "\uFEFFname,email\nJohn,john@example.com";
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from(csvContent), "data.csv")
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+    });
+
+    test("should return 400 for empty CSV", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from("   "), "data.csv")
+        .expect(400);
+
+      expect(response.body.error.message).toContain("empty");
+    });
+
+    test("should return 413 for CSV with more than 1000 rows", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      const header = "name\n";
+      const rows = Array(1001).fill("John\n").join("");
+      const csvContent = header + rows;
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from(csvContent), "data.csv")
+        .expect(413);
+
+      expect(response.body.error.message).toContain("Too many rows");
+    });
+
+    test("should queue batch job for large CSV when not inline", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      shouldProcessInline.mockReturnValue(false);
+      const { createBatchJob } = require("../../src/services/batchJob.service");
+      createBatchJob.mockResolvedValue({ id: "batch-123", totalRows: 2 });
+
+      const csvContent = "name\nJohn\nJane";
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from(csvContent), "data.csv")
+        .expect(202);
+
+      expect(response.body.batchJobId).toBe("batch-123");
+      expect(response.body.totalRows).toBe(2);
+      expect(response.body.statusUrl).toBe("/api/batch-jobs/batch-123");
+    });
+
+    test("should turn away an inline CSV with more rows than the merge quota has left", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      reserveUsage.mockRejectedValueOnce(new QuotaExceededError("mergesPerMonth", 5000, 4999));
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from("name\nJohn\nJane"), "data.csv")
+        .expect(403);
+
+      expect(response.body.error.code).toBe("QUOTA_EXCEEDED");
+      expect(checkQuotas).toHaveBeenCalledWith("user-123", { storageBytes: 1 });
+      expect(reserveUsage).toHaveBeenCalledWith("user-123", { merges: 2 });
+      expect(processRowsInline).not.toHaveBeenCalled();
+    });
+
+    test("should give back the merges of inline rows that failed", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      processRowsInline.mockResolvedValue([
+        { rowIndex: 0, success: true, job: { jobId: "job-1" } },
+        { rowIndex: 1, success: false, error: "Row failed" },
+        { rowIndex: 2, success: false, error: "Row failed" },
+      ]);
+
+      await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from("name\nJohn\nJane\nJim"), "data.csv")
+        .expect(200);
+
+      expect(reserveUsage).toHaveBeenCalledWith("user-123", { merges: 3 });
+      expect(releaseUsage).toHaveBeenCalledWith({ userId: "user-123", month: "2026-10", merges: 2 });
+    });
+
+    test("should give back every merge when inline processing throws", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      processRowsInline.mockRejectedValue(new Error("Worker pool closed"));
+
+      await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from("name\nJohn\nJane"), "data.csv")
+        .expect(400);
+
+      expect(releaseUsage).toHaveBeenCalledWith({ userId: "user-123", month: "2026-10", merges: 2 });
+    });
+
+    test("should return 403 when a queued batch goes past the batch row quota", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      shouldProcessInline.mockReturnValue(false);
+      const { createBatchJob } = require("../../src/services/batchJob.service");
+      createBatchJob.mockRejectedValue(new QuotaExceededError("batchRowsPerMonth", 50000, 49999));
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from("name\nJohn\nJane"), "data.csv")
+        .expect(403);
+
+      expect(response.body.error.message).toBe("This would go past your limit of 50000 batch rows this month");
+    });
+
+    test("should return partial success with errors for failed rows", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      processRowsInline.mockResolvedValue([
+        { rowIndex: 0, success: true, job: { jobId: 401 } },
+        { rowIndex: 1, success: false, error: "Missing field: name" },
+      ]);
+
+      const csvContent = "name,email\nJohn,john@example.com\n,missing@example.com";
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from(csvContent), "data.csv")
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.jobs).toHaveLength(1);
+      expect(response.body.errors).toHaveLength(1);
+      expect(response.body.errors[0].rowIndex).toBe(1);
+    });
+
+    test("should map columns into template fields before merging", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+      processRowsInline.mockResolvedValue([{ rowIndex: 0, success: true, job: { jobId: 501 } }]);
+
+      const mapping = [
+        { field: "name", type: "concat", columns: ["First", "Last"] },
+        { field: "company", type: "constant", value: "ACME" },
+      ];
+      await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .field("mapping", JSON.stringify(mapping))
+        .attach("csv", Buffer.from("First,Last\nAda,Lovelace"), "data.csv")
+        .expect(200);
+
+      expect(processRowsInline).toHaveBeenCalledWith(
+        expect.objectContaining({
+          rows: [{ First: "Ada", Last: "Lovelace", name: "Ada Lovelace", company: "ACME" }],
+        })
+      );
+    });
+
+    test("should map every row of a queued batch with a saved mapping", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+      prisma.columnMapping.findUnique.mockResolvedValue({
+        id: "cm00000000000000000000001",
+        templateId: VALID_TEMPLATE_ID,
+        rules: [{ field: "total", type: "column", column: "Amount" }],
+      });
+      shouldProcessInline.mockImplementation((count) => count <= 10);
+      const received = [];
+      createBatchJob.mockImplementation(async ({ rows }) => {
+        for await (const row of rows) received.push(row);
+        return { id: "batch-8", totalRows: received.length };
+      });
+
+      const amounts = Array.from({ length: 15 }, (_, i) => String(i));
+      await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("outputType", "pdf")
+        .field("mappingId", "cm00000000000000000000001")
+        .attach("csv", Buffer.from(`Amount\n${amounts.join("\n")}`), "data.csv")
+        .expect(202);
+
+      expect(received.map((row) => row.total)).toEqual(amounts);
+    });
+
+    test("should return 404 for a mapping saved on another template", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+      prisma.columnMapping.findUnique.mockResolvedValue({
+        id: "cm00000000000000000000001",
+        templateId: "cm99999999999999999999999",
+        rules: [],
+      });
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("mappingId", "cm00000000000000000000001")
+        .attach("csv", Buffer.from("name\nAda"), "data.csv")
+        .expect(404);
+
+      expect(response.body.error.message).toBe("Column mapping not found");
+      expect(processRowsInline).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ["not json", "mapping must be a JSON array of rules"],
+      [JSON.stringify([{ field: "a", type: "lookup" }]), "Mapping rule type must be column, concat, constant or split"],
+      [
+        JSON.stringify([
+          { field: "a", type: "column", column: "x" },
+          { field: "a", type: "constant", value: 1 },
+        ]),
+        "Each field can only be mapped once",
+      ],
+    ])("should return 400 for the mapping %s", async (mapping, message) => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("mapping", mapping)
+        .attach("csv", Buffer.from("name\nAda"), "data.csv")
+        .expect(400);
+
+      expect(response.body.error.message).toContain(message);
+    });
+
+    test("should return 400 when the mapping reads columns the file lacks", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+      });
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .field("mapping", JSON.stringify([{ field: "name", type: "split", column: "Full Name", part: "first" }]))
+        .attach("csv", Buffer.from("name\nAda"), "data.csv")
+        .expect(400);
+
+      expect(response.body.error.code).toBe("FIELD_MISMATCH");
+      expect(response.body.error.message).toBe("Column mapping uses columns missing from the CSV: Full Name");
+      expect(processRowsInline).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/templates/:templateId/merge-csv?dryRun=true", () => {
+    const template = {
+      id: VALID_TEMPLATE_ID,
+      uploadedById: "user-123",
+      mimeType: "application/pdf",
+      fields: [
+        { name: "name", type: "string", required: true },
+        { name: "email", type: "email", required: true },
+        { name: "total", type: "number", required: false },
+      ],
+    };
+
+    test("should report the rows that would fail without merging anything", async () => {
+      prisma.template.findUnique.mockResolvedValue(template);
+
+      const csvContent = "name,email,total,notes\nAda,ada@example.com,12,vip\n,bob@example,x,\nCy,cy@example.com,,";
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv?dryRun=true`)
+        .field("outputType", "pdf")
+        .attach("csv", Buffer.from(csvContent), "data.csv")
+        .expect(200);
+
+      expect(response.body).toEqual({
+        dryRun: true,
+        totalRows: 3,
+        validRows: 2,
+        invalidRows: 1,
+        unknownColumns: ["notes"],
+        errors: [
+          {
+            rowIndex: 1,
+            error: "name is required; email must be an email address; total must be a number",
+            fieldErrors: [
+              { field: "name", path: "name", code: "required", message: "name is required" },
+              { field: "email", path: "email", code: "invalid_type", message: "email must be an email address" },
+              { field: "total", path: "total", code: "invalid_type", message: "total must be a number" },
+            ],
+            data: { name: "", email: "bob@example", total: "x", notes: "" },
+          },
+        ],
+      });
+      expect(processRowsInline).not.toHaveBeenCalled();
+      expect(createBatchJob).not.toHaveBeenCalled();
+      expect(mergeTemplate).not.toHaveBeenCalled();
+      expect(s3.send).not.toHaveBeenCalled();
+    });
+
+    test("should check every row of a large file through the column mapping", async () => {
+      prisma.template.findUnique.mockResolvedValue(template);
+      shouldProcessInline.mockImplementation((count) => count <= 10);
+
+      const lines = Array.from({ length: 30 }, (_, i) => `Person ${i},${i === 25 ? "nope" : `p${i}@example.com`}`);
+      const mapping = [
+        { field: "name", type: "column", column: "Full Name" },
+        { field: "email", type: "column", column: "Mail" },
+      ];
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv?dryRun=true`)
+        .field("mapping", JSON.stringify(mapping))
+        .attach("csv", Buffer.from(`Full Name,Mail\n${lines.join("\n")}`), "data.csv")
+        .expect(200);
+
+      expect(response.body.totalRows).toBe(30);
+      expect(response.body.invalidRows).toBe(1);
+      // columns the mapping reads aren't unknown
+      expect(response.body.unknownColumns).toEqual([]);
+      expect(response.body.errors[0].rowIndex).toBe(25);
+      // the row as uploaded, so it can be fixed and sent again
+      expect(response.body.errors[0].data).toEqual({ "Full Name": "Person 25", Mail: "nope" });
+      expect(createBatchJob).not.toHaveBeenCalled();
+    });
+
+    test("should return 400 when the file breaks after the first rows", async () => {
+      prisma.template.findUnique.mockResolvedValue(template);
+      shouldProcessInline.mockImplementation((count) => count <= 10);
+
+      const lines = Array.from({ length: 20 }, (_, i) => `Person ${i},p${i}@example.com`);
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv?dryRun=true`)
+        .attach("csv", Buffer.from(`name,email\n${lines.join("\n")}\n"unclosed,x`), "data.csv")
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Invalid CSV format");
+    });
+
+    test("should return 400 for an invalid dryRun value", async () => {
+      await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv?dryRun=maybe`)
+        .attach("csv", Buffer.from("name\nAda"), "data.csv")
+        .expect(400);
+
+      expect(prisma.template.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/templates/:templateId/merge-csv/preview", () => {
+    const template = {
+      id: VALID_TEMPLATE_ID,
+      uploadedById: "user-123",
+      mimeType: "application/pdf",
+      fields: [
+        { name: "firstName", type: "text", required: true },
+        { name: "lastName", type: "text", required: false },
+        { name: "email", type: "email", required: true },
+        { name: "total", type: "number", required: false },
+      ],
+    };
+
+    test("should suggest a mapping and show the first rows before and after it", async () => {
+      prisma.template.findUnique.mockResolvedValue(template);
+
+      const rows = Array.from({ length: 8 }, (_, i) => `Ada Lovelace ${i},ada${i}@example.com,London`);
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv/preview`)
+        .attach("csv", Buffer.from(`Full Name,E-Mail,City\n${rows.join("\n")}`), "data.csv")
+        .expect(200);
+
+      expect(response.body.format).toBe("csv");
+      expect(response.body.headers).toEqual(["Full Name", "E-Mail", "City"]);
+      expect(response.body.mapping).toEqual([
+        { field: "firstName", type: "split", column: "Full Name", part: "first", match: "name" },
+        { field: "lastName", type: "split", column: "Full Name", part: "last", match: "name" },
+        { field: "email", type: "column", column: "E-Mail", match: "exact", score: 1 },
+      ]);
+      expect(response.body.suggestions).toEqual(response.body.mapping);
+      expect(response.body.unmappedFields).toEqual(["total"]);
+      expect(response.body.unusedColumns).toEqual(["City"]);
+      expect(response.body.sampleRows).toHaveLength(5);
+      expect(response.body.mappedRows[0]).toEqual({
+        "Full Name": "Ada Lovelace 0",
+        "E-Mail": "ada0@example.com",
+        City: "London",
+        firstName: "Ada",
+        lastName: "Lovelace 0",
+        email: "ada0@example.com",
+      });
+      expect(processRowsInline).not.toHaveBeenCalled();
+      expect(createBatchJob).not.toHaveBeenCalled();
+    });
+
+    test("should preview the mapping sent and report columns the file lacks", async () => {
+      prisma.template.findUnique.mockResolvedValue(template);
+
+      const mapping = [
+        { field: "email", type: "column", column: "Mail" },
+        { field: "total", type: "constant", value: 0 },
+      ];
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv/preview`)
+        .field("mapping", JSON.stringify(mapping))
+        .attach("csv", Buffer.from("email,firstName\nada@example.com,Ada"), "data.csv")
+        .expect(200);
+
+      expect(response.body.mapping).toEqual(mapping);
+      expect(response.body.missingColumns).toEqual(["Mail"]);
+      // lastName has neither a rule nor a column of its own
+      expect(response.body.unmappedFields).toEqual(["lastName"]);
+      expect(response.body.mappedRows).toEqual([{ email: "", firstName: "Ada", total: 0 }]);
+    });
+
+    test("should preview a saved mapping", async () => {
+      prisma.template.findUnique.mockResolvedValue(template);
+      prisma.columnMapping.findUnique.mockResolvedValue({
+        id: "cm00000000000000000000001",
+        templateId: VALID_TEMPLATE_ID,
+        rules: [{ field: "total", type: "column", column: "Amount" }],
+      });
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv/preview`)
+        .field("mappingId", "cm00000000000000000000001")
+        .attach("csv", Buffer.from("Amount\n12"), "data.csv")
+        .expect(200);
+
+      expect(response.body.mappedRows).toEqual([{ Amount: "12", total: "12" }]);
+    });
+
+    test("should return 404 when template belongs to different user (tenant isolation)", async () => {
+      prisma.template.findUnique.mockResolvedValue({ ...template, uploadedById: "other-user" });
+
+      await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv/preview`)
+        .attach("csv", Buffer.from("email\nada@example.com"), "data.csv")
+        .expect(404);
+    });
+
+    test("should return 400 for an empty file", async () => {
+      prisma.template.findUnique.mockResolvedValue(template);
+
+      const response = await request(app)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv/preview`)
+        .attach("csv", Buffer.from("[]"), "rows.json")
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Uploaded JSON is empty.");
+    });
+  });
+
+  describe("temp files of data uploads", () => {
+    // the router is loaded again with uploads written to disk, as in production
+    let diskApp;
+    let diskPrisma;
+    let uploadDir;
+
+    beforeAll(() => {
+      uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "merge-uploads-"));
+      jest.isolateModules(() => {
+        jest.doMock("../../src/middleware/upload.middleware", () => {
+          const actualMulter = require("multer");
+          return { uploadCsv: actualMulter({ storage: actualMulter.diskStorage({ destination: uploadDir }) }) };
+        });
+        diskPrisma = require("../../src/config/prisma");
+        diskApp = express();
+        diskApp.use((req, res, next) => {
+          req.log = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+          next();
+        });
+        diskApp.use("/api", require("../../src/routes/merge.routes"));
+      });
+    });
+
+    afterAll(() => {
+      fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    // files are removed once the response closes, just after the client has it
+    async function uploadedFiles() {
+      for (let i = 0; i < 50 && fs.readdirSync(uploadDir).length; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      return fs.readdirSync(uploadDir);
+    }
+
+    test("should not write the file when the template ID is invalid", async () => {
+      await request(diskApp)
+        .post("/api/templates/not-a-template/merge-csv")
+        .attach("csv", Buffer.from("email\nada@example.com"), "data.csv")
+        .expect(400);
+
+      expect(await uploadedFiles()).toEqual([]);
+      expect(diskPrisma.template.findUnique).not.toHaveBeenCalled();
+    });
+
+    test("should not write the file when the query is invalid", async () => {
+      await request(diskApp)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv?dryRun=yes`)
+        .attach("csv", Buffer.from("email\nada@example.com"), "data.csv")
+        .expect(400);
+
+      expect(await uploadedFiles()).toEqual([]);
+    });
+
+    test("should delete the file when the merge is refused", async () => {
+      diskPrisma.template.findUnique.mockResolvedValue(null);
+
+      await request(diskApp)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv`)
+        .attach("csv", Buffer.from("email\nada@example.com"), "data.csv")
+        .expect(404);
+
+      expect(await uploadedFiles()).toEqual([]);
+    });
+
+    test("should delete the file after a preview", async () => {
+      diskPrisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/pdf",
+        fields: [{ name: "email", type: "email", required: true }],
+      });
+
+      const response = await request(diskApp)
+        .post(`/api/templates/${VALID_TEMPLATE_ID}/merge-csv/preview`)
+        .attach("csv", Buffer.from("email\nada@example.com"), "data.csv")
+        .expect(200);
+
+      expect(response.body.mappedRows).toEqual([{ email: "ada@example.com" }]);
+      expect(await uploadedFiles()).toEqual([]);
+    });
+  });
+
+  describe("POST /api/webhooks/templates/:templateId", () => {
+    test("should process webhook with valid HMAC and JSON", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      mergeTemplate.mockResolvedValue({
+        jobId: 301,
+        filePath: "s3://test-bucket/outputs/result.pdf",
+      });
+
+      const body = JSON.stringify({ name: "John", email: "john@example.com" });
+      const signature = generateHMAC(body);
+
+      const response = await request(app)
+        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}?outputType=pdf`)
+        .set("Content-Type", "application/json")
+        .set("x-signature", signature)
+        .send(body)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.jobs).toHaveLength(1);
+      // attributed to the template's owner
+      expect(mergeTemplate).toHaveBeenCalledWith({
+        templateId: VALID_TEMPLATE_ID,
+        data: { name: "John", email: "john@example.com" },
+        outputType: "pdf",
+        userId: "user-123",
+        fromWebhook: true,
+      });
+      expect(response.headers.deprecation).toBe("true");
+    });
+
+    test("should turn away rows past the template owner's merge quota before merging any", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      checkQuotas.mockRejectedValueOnce(new QuotaExceededError("mergesPerMonth", 5000, 5000));
+
+      const body = JSON.stringify([{ name: "John" }, { name: "Jane" }]);
+
+      const response = await request(app)
+        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}?outputType=pdf`)
+        .set("Content-Type", "application/json")
+        .set("x-signature", generateHMAC(body))
+        .send(body)
+        .expect(403);
+
+      expect(response.body.error.code).toBe("QUOTA_EXCEEDED");
+      expect(checkQuotas).toHaveBeenCalledWith("user-123", { mergesPerMonth: 2, storageBytes: 1 });
+      expect(mergeTemplate).not.toHaveBeenCalled();
+    });
+
+    test("should refuse the global secret once it's disabled", async () => {
+      process.env.WEBHOOK_GLOBAL_SECRET_DISABLED = "true";
+      const body = JSON.stringify({ name: "John" });
+
+      try {
+        const response = await request(app)
+          .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}`)
+          .set("Content-Type", "application/json")
+          .set("x-signature", generateHMAC(body))
+          .send(body)
+          .expect(401);
+
+        expect(response.body.error.message).toBe(
+          "Webhooks signed with the global secret are disabled; use a webhook endpoint"
+        );
+      } finally {
+        delete process.env.WEBHOOK_GLOBAL_SECRET_DISABLED;
+      }
+      expect(mergeTemplate).not.toHaveBeenCalled();
+    });
+
+    test("should process webhook with valid HMAC and CSV", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        mimeType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      mergeTemplate
+        .mockResolvedValueOnce({
+          jobId: 302,
+          filePath: "s3://test-bucket/outputs/result1.pdf",
+        })
+        .mockResolvedValueOnce({
+          jobId: 303,
+          filePath: "s3://test-bucket/outputs/result3.pdf",
+        });
+
+      const body = "name,email\nJohn,john@example.com\nJane,jane@example.com";
+      const signature = generateHMAC(body);
+
+      const response = await request(app)
+        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}?outputType=pdf`)
+        .set("Content-Type", "text/csv")
+        .set("x-signature", signature)
+        .send(body)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.jobs).toHaveLength(2);
+      expect(mergeTemplate).toHaveBeenCalledTimes(2);
+    });
+
+    test("should process JSON array", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: VALID_TEMPLATE_ID,
         mimeType:
@@ -810,81 +1945,318 @@ describe("Merge Routes", () => {
       const body = JSON.stringify(rows);
       const signature = generateHMAC(body);
 
-      const response = await request(app)
-        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}`)
-        .set("Content-Type", "application/json")
-        .set("x-signature", signature)
-        .send(body)
-        .expect(413);
+      const response = await request(app)
+        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}`)
+        .set("Content-Type", "application/json")
+        .set("x-signature", signature)
+        .send(body)
+        .expect(413);
+
+      expect(response.body.error.message).toBe("Too many rows");
+    });
+
+    test("should return warnings when merge produces warnings", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        mimeType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      mergeTemplate.mockResolvedValue({
+        jobId: 501,
+        filePath: "s3://output",
+        warnings: ["Field 'extra' not in template"],
+      });
+      const body = JSON.stringify({ name: "John", extra: "data" });
+      const signature = generateHMAC(body);
+
+      const response = await request(app)
+        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}`)
+        .set("Content-Type", "application/json")
+        .set("x-signature", signature)
+        .send(body)
+        .expect(200);
+
+      expect(response.body.warnings).toBeDefined();
+      expect(response.body.warnings).toHaveLength(1);
+      expect(response.body.warnings[0].row).toBe(1);
+    });
+
+    test("should return 422 for template parse errors", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        mimeType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      const parseError = new Error("TEMPLATE_PARSE_ERROR");
+      parseError.details = [{ id: "error" }];
+      mergeTemplate.mockRejectedValue(parseError);
+
+      const body = JSON.stringify({ name: "John" });
+      const signature = generateHMAC(body);
+
+      const response = await request(app)
+        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}`)
+        .set("Content-Type", "application/json")
+        .set("x-signature", signature)
+        .send(body)
+        .expect(422);
+
+      expect(response.body.error.message).toBe(
+        "Template has invalid Docxtemplater tags"
+      );
+    });
+
+    test("should return 422 with the failing row's field errors", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        mimeType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+
+      mergeTemplate
+        .mockResolvedValueOnce({ jobId: 1, filePath: "a.pdf" })
+        .mockRejectedValueOnce(
+          new FieldValidationError([
+            { field: "qty", path: "qty", code: "invalid_type", message: "qty must be a number" },
+          ])
+        );
+
+      const body = JSON.stringify([{ qty: "1" }, { qty: "two" }]);
+      const signature = generateHMAC(body);
+
+      const response = await request(app)
+        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}`)
+        .set("Content-Type", "application/json")
+        .set("x-signature", signature)
+        .send(body)
+        .expect(422);
+
+      expect(response.body.error.code).toBe("FIELD_VALIDATION_ERROR");
+      expect(response.body.error.message).toBe("Row 2 does not match the template's fields");
+      expect(response.body.error.details).toEqual([
+        { row: 2, field: "qty", path: "qty", code: "invalid_type", message: "qty must be a number" },
+      ]);
+    });
+
+    test("should answer 202 with a callback URL and send the result there", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      mergeTemplate.mockResolvedValue({ jobId: 301, filePath: "s3://test-bucket/outputs/result.pdf" });
+      let sent;
+      const delivered = new Promise((resolve) => (sent = resolve));
+      queueWebhookDelivery.mockImplementation(async (delivery) => sent(delivery));
+
+      const body = JSON.stringify({ name: "John" });
+      const callbackUrl = encodeURIComponent("https://example.com/hooks");
+      const response = await request(app)
+        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}?outputType=pdf&callbackUrl=${callbackUrl}`)
+        .set("Content-Type", "application/json")
+        .set("x-signature", generateHMAC(body))
+        .send(body)
+        .expect(202);
+
+      expect(response.body.count).toBe(1);
+      expect(await delivered).toEqual({
+        url: "https://example.com/hooks",
+        event: "merge.completed",
+        userId: null,
+        data: {
+          templateId: VALID_TEMPLATE_ID,
+          count: 1,
+          jobs: [{ jobId: 301, filePath: "s3://test-bucket/outputs/result.pdf" }],
+        },
+      });
+      expect(mergeTemplate).toHaveBeenCalledWith(expect.objectContaining({ outputType: "pdf" }));
+    });
+
+    test("should send merge.failed to the callback URL when a row fails", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      mergeTemplate.mockRejectedValue(new Error("Conversion failed"));
+      let sent;
+      const delivered = new Promise((resolve) => (sent = resolve));
+      queueWebhookDelivery.mockImplementation(async (delivery) => sent(delivery));
+
+      const body = JSON.stringify({ name: "John" });
+      await request(app)
+        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}?callbackUrl=${encodeURIComponent("https://example.com/hooks")}`)
+        .set("Content-Type", "application/json")
+        .set("x-signature", generateHMAC(body))
+        .send(body)
+        .expect(202);
+
+      expect(await delivered).toMatchObject({
+        event: "merge.failed",
+        data: { templateId: VALID_TEMPLATE_ID, row: 1, error: "Conversion failed" },
+      });
+    });
+
+    test("should return 400 for an invalid callback URL", async () => {
+      const body = JSON.stringify({ name: "John" });
+
+      const response = await request(app)
+        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}?callbackUrl=javascript:alert(1)`)
+        .set("Content-Type", "application/json")
+        .set("x-signature", generateHMAC(body))
+        .send(body)
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Callback URL must be an http or https URL");
+      expect(mergeTemplate).not.toHaveBeenCalled();
+    });
+
+    test("should return 400 for invalid template ID format", async () => {
+      const body = JSON.stringify({ name: "John" });
+      const signature = generateHMAC(body);
+
+      const response = await request(app)
+        .post("/api/webhooks/templates/invalid-id")
+        .set("Content-Type", "application/json")
+        .set("x-signature", signature)
+        .send(body)
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Invalid template ID format");
+    });
+  });
+
+  describe("POST /api/webhooks/endpoints/:endpointId", () => {
+    const ENDPOINT_ID = "clendpoint000000000000001";
+    const SECRET = "whsec_endpoint-secret";
+    const endpoint = {
+      id: ENDPOINT_ID,
+      userId: "user-123",
+      templateId: VALID_TEMPLATE_ID,
+      secret: SECRET,
+      previousSecret: null,
+      previousSecretExpiresAt: null,
+      requireTimestamp: false,
+      revokedAt: null,
+      user: { isActive: true },
+    };
+
+    const sign = (payload, secret = SECRET) => crypto.createHmac("sha256", secret).update(payload).digest("hex");
+    const send = (body, headers) => {
+      const req = request(app)
+        .post(`/api/webhooks/endpoints/${ENDPOINT_ID}?outputType=pdf`)
+        .set("Content-Type", "application/json");
+      Object.entries(headers).forEach(([name, value]) => req.set(name, value));
+      return req.send(body);
+    };
+
+    beforeEach(() => {
+      prisma.webhookEndpoint.findUnique.mockResolvedValue(endpoint);
+      prisma.webhookEndpoint.update.mockResolvedValue({});
+      prisma.webhookNonce.create.mockResolvedValue({});
+      prisma.webhookNonce.deleteMany.mockResolvedValue({ count: 0 });
+      prisma.template.findUnique.mockResolvedValue({
+        id: VALID_TEMPLATE_ID,
+        uploadedById: "user-123",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      mergeTemplate.mockResolvedValue({ jobId: 501, filePath: "s3://test-bucket/outputs/result.pdf" });
+    });
+
+    test("should merge into the endpoint's template as its owner", async () => {
+      const body = JSON.stringify({ name: "John" });
+
+      const response = await send(body, { "x-signature": sign(body) }).expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.headers.deprecation).toBeUndefined();
+      expect(mergeTemplate).toHaveBeenCalledWith({
+        templateId: VALID_TEMPLATE_ID,
+        data: { name: "John" },
+        outputType: "pdf",
+        userId: "user-123",
+        fromWebhook: true,
+      });
+      expect(prisma.webhookEndpoint.update).toHaveBeenCalledWith({
+        where: { id: ENDPOINT_ID },
+        data: { lastUsedAt: expect.any(Date) },
+      });
+    });
+
+    test("should refuse the global secret", async () => {
+      const body = JSON.stringify({ name: "John" });
+
+      await send(body, { "x-signature": generateHMAC(body) }).expect(401);
+
+      expect(mergeTemplate).not.toHaveBeenCalled();
+    });
+
+    test("should refuse a revoked endpoint", async () => {
+      prisma.webhookEndpoint.findUnique.mockResolvedValue({ ...endpoint, revokedAt: new Date() });
+      const body = JSON.stringify({ name: "John" });
 
-      expect(response.body.error.message).toBe("Too many rows");
+      await send(body, { "x-signature": sign(body) }).expect(401);
+
+      expect(mergeTemplate).not.toHaveBeenCalled();
     });
 
-    test("should return warnings when merge produces warnings", async () => {
-      prisma.template.findUnique.mockResolvedValue({
-        id: VALID_TEMPLATE_ID,
-        mimeType:
-          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-      });
+    test("should refuse an endpoint of a deactivated user", async () => {
+      prisma.webhookEndpoint.findUnique.mockResolvedValue({ ...endpoint, user: { isActive: false } });
+      const body = JSON.stringify({ name: "John" });
 
-      mergeTemplate.mockResolvedValue({
-        jobId: 501,
-        filePath: "s3://output",
-        warnings: ["Field 'extra' not in template"],
+      await send(body, { "x-signature": sign(body) }).expect(401);
+
+      expect(mergeTemplate).not.toHaveBeenCalled();
+      expect(prisma.webhookEndpoint.findUnique).toHaveBeenCalledWith({
+        where: { id: ENDPOINT_ID },
+        include: { user: { select: { isActive: true } } },
       });
-      const body = JSON.stringify({ name: "John", extra: "data" });
-      const signature = generateHMAC(body);
+    });
 
-      const response = await request(app)
-        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}`)
-        .set("Content-Type", "application/json")
-        .set("x-signature", signature)
-        .send(body)
-        .expect(200);
+    test("should refuse an unknown endpoint", async () => {
+      prisma.webhookEndpoint.findUnique.mockResolvedValue(null);
+      const body = JSON.stringify({ name: "John" });
 
-      expect(response.body.warnings).toBeDefined();
-      expect(response.body.warnings).toHaveLength(1);
-      expect(response.body.warnings[0].row).toBe(1);
+      await send(body, { "x-signature": sign(body) }).expect(401);
     });
 
-    test("should return 422 for template parse errors", async () => {
+    test("should return 404 once the template is no longer the owner's", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: VALID_TEMPLATE_ID,
-        mimeType:
-          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        uploadedById: "other-user-456",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
       });
+      const body = JSON.stringify({ name: "John" });
 
-      const parseError = new Error("TEMPLATE_PARSE_ERROR");
-      parseError.details = [{ id: "error" }];
-      mergeTemplate.mockRejectedValue(parseError);
+      await send(body, { "x-signature": sign(body) }).expect(404);
+
+      expect(mergeTemplate).not.toHaveBeenCalled();
+    });
 
+    test("should accept a timestamped request once, recording its nonce", async () => {
       const body = JSON.stringify({ name: "John" });
-      const signature = generateHMAC(body);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const headers = {
+        "x-webhook-timestamp": timestamp,
+        "x-webhook-nonce": "nonce-1",
+        "x-signature": sign(`${timestamp}.nonce-1.${body}`),
+      };
 
-      const response = await request(app)
-        .post(`/api/webhooks/templates/${VALID_TEMPLATE_ID}`)
-        .set("Content-Type", "application/json")
-        .set("x-signature", signature)
-        .send(body)
-        .expect(422);
+      await send(body, headers).expect(200);
+      expect(prisma.webhookNonce.create).toHaveBeenCalledWith({ data: { endpointId: ENDPOINT_ID, nonce: "nonce-1" } });
 
-      expect(response.body.error.message).toBe(
-        "Template has invalid Docxtemplater tags"
-      );
+      prisma.webhookNonce.create.mockRejectedValue(Object.assign(new Error("Unique constraint failed"), { code: "P2002" }));
+      await send(body, headers).expect(401);
+      expect(mergeTemplate).toHaveBeenCalledTimes(1);
     });
 
-    test("should return 400 for invalid template ID format", async () => {
+    test("should refuse a plain signature when the endpoint requires a timestamp", async () => {
+      prisma.webhookEndpoint.findUnique.mockResolvedValue({ ...endpoint, requireTimestamp: true });
       const body = JSON.stringify({ name: "John" });
-      const signature = generateHMAC(body);
 
-      const response = await request(app)
-        .post("/api/webhooks/templates/invalid-id")
-        .set("Content-Type", "application/json")
-        .set("x-signature", signature)
-        .send(body)
-        .expect(400);
+      await send(body, { "x-signature": sign(body) }).expect(401);
 
-      expect(response.body.error.message).toBe("Invalid template ID format");
+      expect(mergeTemplate).not.toHaveBeenCalled();
     });
   });
 
@@ -911,7 +2283,10 @@ describe("Merge Routes", () => {
       expect(prisma.mergeJob.findFirst).toHaveBeenCalledWith({
         where: {
           filePath: "s3://test-bucket/outputs/result.pdf",
-          userId: "user-123",
+          OR: [
+            { userId: "user-123" },
+            { template: { workspace: { members: { some: { userId: "user-123" } } } } },
+          ],
         },
       });
     });
@@ -1018,7 +2393,12 @@ describe("Merge Routes", () => {
       expect(response.body).toEqual(mockJobs);
       expect(prisma.mergeJob.findMany).toHaveBeenCalledWith(
         expect.objectContaining({
-          where: { userId: "user-123" },
+          where: {
+            OR: [
+              { userId: "user-123" },
+              { template: { workspace: { members: { some: { userId: "user-123" } } } } },
+            ],
+          },
         })
       );
     });
@@ -1107,6 +2487,33 @@ describe("Merge Routes", () => {
       expect(listBatchJobs).toHaveBeenCalledWith("user-123", expect.any(Object));
     });
 
+    test("should list for an API key with outputs:read but not one with only merge:write", async () => {
+      const key = `sdk_0a1b2c3d_${"k".repeat(43)}`;
+      const apiKey = {
+        id: "key-1",
+        userId: "user-456",
+        name: "Dashboard",
+        prefix: "sdk_0a1b2c3d",
+        keyHash: crypto.createHash("sha256").update(key).digest("hex"),
+        scopes: ["outputs:read"],
+        expiresAt: null,
+        lastUsedAt: null,
+        revokedAt: null,
+        user: { id: "user-456", email: "integration@example.com", isActive: true },
+      };
+      prisma.apiKey.findUnique.mockResolvedValue(apiKey);
+      prisma.apiKey.update.mockResolvedValue({});
+      listBatchJobs.mockResolvedValue([]);
+
+      await request(app).get("/api/batch-jobs").set("X-API-Key", key).expect(200);
+      expect(listBatchJobs).toHaveBeenCalledWith("user-456", expect.any(Object));
+
+      prisma.apiKey.findUnique.mockResolvedValue({ ...apiKey, scopes: ["merge:write"] });
+      const response = await request(app).get("/api/batch-jobs").set("X-API-Key", key).expect(403);
+
+      expect(response.body.error.message).toBe("API key lacks the outputs:read scope");
+    });
+
     test("should return 500 on error", async () => {
       listBatchJobs.mockRejectedValue(new Error("DB error"));
 
@@ -1151,4 +2558,442 @@ describe("Merge Routes", () => {
       expect(response.body.error.message).toBe("Failed to get batch job status");
     });
   });
+
+  describe("GET /api/batch-jobs/:id/events", () => {
+    const counters = { totalRows: 2, error: null, bundlePath: null, completedAt: null };
+
+    // what the job's watch reads is sent to its listener by the test
+    let watchListener;
+    let unwatch;
+    beforeEach(() => {
+      watchListener = null;
+      unwatch = jest.fn();
+      watchBatchJob.mockImplementation((batchJobId, listener) => {
+        watchListener = listener;
+        return unwatch;
+      });
+    });
+
+    // the events of a text/event-stream body, without keep-alive comments
+    function parseEvents(text) {
+      return text
+        .split("\n\n")
+        .filter((block) => block && !block.startsWith(":"))
+        .map((block) => {
+          const fields = Object.fromEntries(block.split("\n").map((line) => line.split(/: (.*)/s).slice(0, 2)));
+          return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+        });
+    }
+
+    test("should stream progress and row results until the job finishes", async () => {
+      readBatchJobProgress
+        .mockResolvedValueOnce({
+          ...counters,
+          status: "processing",
+          processedRows: 1,
+          failedRows: 0,
+          results: [{ rowIndex: 0, success: true, mergeJobId: 1 }],
+        })
+        .mockResolvedValueOnce({
+          ...counters,
+          status: "completed",
+          processedRows: 2,
+          failedRows: 1,
+          results: [{ rowIndex: 1, success: false, error: "boom" }],
+        })
+        .mockResolvedValueOnce({ ...counters, status: "completed", processedRows: 2, failedRows: 1, results: [] });
+
+      const response = await request(app)
+        .get("/api/batch-jobs/batch-1/events")
+        .expect(200)
+        .expect("Content-Type", /text\/event-stream/);
+
+      expect(parseEvents(response.text)).toEqual([
+        { id: "0", event: "result", data: { rowIndex: 0, success: true, mergeJobId: 1 } },
+        { event: "progress", data: { status: "processing", totalRows: 2, processedRows: 1, failedRows: 0 } },
+        { id: "1", event: "result", data: { rowIndex: 1, success: false, error: "boom" } },
+        { event: "progress", data: { status: "completed", totalRows: 2, processedRows: 2, failedRows: 1 } },
+        { event: "done", data: { ...counters, status: "completed", processedRows: 2, failedRows: 1 } },
+      ]);
+      expect(readBatchJobProgress.mock.calls.map(([, , after]) => after)).toEqual([0, 1, 2]);
+      expect(readBatchJobProgress).toHaveBeenCalledWith("batch-1", "user-123", 0);
+    });
+
+    test("should carry on after the row of Last-Event-ID", async () => {
+      readBatchJobProgress.mockResolvedValue({ ...counters, status: "cancelled", processedRows: 1, failedRows: 0, results: [] });
+
+      const response = await request(app)
+        .get("/api/batch-jobs/batch-1/events")
+        .set("Last-Event-ID", "4")
+        .expect(200);
+
+      expect(readBatchJobProgress).toHaveBeenCalledWith("batch-1", "user-123", 5);
+      expect(parseEvents(response.text).map((e) => e.event)).toEqual(["progress", "done"]);
+    });
+
+    test("should push rows merged in this process without waiting for the next read", async () => {
+      readBatchJobProgress
+        .mockImplementationOnce(async () => {
+          setTimeout(() => {
+            batchJobEvents.emit("progress", { batchJobId: "other-batch", processedRows: 9, failedRows: 0, result: { rowIndex: 0 } });
+            batchJobEvents.emit("progress", {
+              batchJobId: "batch-1",
+              processedRows: 1,
+              failedRows: 0,
+              result: { rowIndex: 0, success: true },
+            });
+            watchListener({ ...counters, status: "completed", processedRows: 1, failedRows: 0 });
+          }, 10);
+          return { ...counters, status: "processing", processedRows: 0, failedRows: 0, results: [] };
+        })
+        .mockResolvedValueOnce({ ...counters, status: "completed", processedRows: 1, failedRows: 0, results: [] });
+
+      const response = await request(app).get("/api/batch-jobs/batch-1/events").expect(200);
+
+      const events = parseEvents(response.text);
+      expect(events.filter((e) => e.event === "result")).toEqual([
+        { id: "0", event: "result", data: { rowIndex: 0, success: true } },
+      ]);
+      expect(events[2]).toEqual({
+        event: "progress",
+        data: { status: "processing", totalRows: 2, processedRows: 1, failedRows: 0 },
+      });
+      expect(events.at(-1).event).toBe("done");
+      expect(readBatchJobProgress.mock.calls.map(([, , after]) => after)).toEqual([0, 1]);
+      expect(batchJobEvents.listenerCount("progress")).toBe(0);
+      expect(unwatch).toHaveBeenCalled();
+    });
+
+    test("should only read stored results once the job's watch shows rows it hasn't sent", async () => {
+      readBatchJobProgress
+        .mockImplementationOnce(async () => {
+          setTimeout(() => {
+            // a job on another instance that hasn't stored a row yet
+            watchListener({ ...counters, status: "processing", processedRows: 0, failedRows: 0 });
+            setTimeout(() => watchListener({ ...counters, status: "processing", processedRows: 1, failedRows: 0 }), 10);
+          }, 10);
+          return { ...counters, status: "pending", processedRows: 0, failedRows: 0, results: [] };
+        })
+        .mockResolvedValueOnce({
+          ...counters,
+          status: "completed",
+          processedRows: 1,
+          failedRows: 0,
+          results: [{ rowIndex: 0, success: true }],
+        })
+        .mockResolvedValueOnce({ ...counters, status: "completed", processedRows: 1, failedRows: 0, results: [] });
+
+      const response = await request(app).get("/api/batch-jobs/batch-1/events").expect(200);
+
+      expect(watchBatchJob).toHaveBeenCalledWith("batch-1", expect.any(Function));
+      expect(readBatchJobProgress.mock.calls.map(([, , after]) => after)).toEqual([0, 0, 1]);
+      expect(parseEvents(response.text).map((e) => e.event)).toEqual([
+        "progress",
+        "progress",
+        "result",
+        "progress",
+        "done",
+      ]);
+    });
+
+    test("should end the stream once the job's watch finds it deleted", async () => {
+      readBatchJobProgress.mockImplementationOnce(async () => {
+        setTimeout(() => watchListener(null), 10);
+        return { ...counters, status: "processing", processedRows: 0, failedRows: 0, results: [] };
+      });
+
+      const response = await request(app).get("/api/batch-jobs/batch-1/events").expect(200);
+
+      expect(parseEvents(response.text).map((e) => e.event)).toEqual(["progress"]);
+      expect(readBatchJobProgress).toHaveBeenCalledTimes(1);
+      expect(unwatch).toHaveBeenCalled();
+    });
+
+    test("should refuse a stream past the user's limit until one closes", async () => {
+      readBatchJobProgress.mockResolvedValue({ ...counters, status: "processing", processedRows: 0, failedRows: 0, results: [] });
+      const server = app.listen(0);
+      try {
+        const first = http.get(`http://127.0.0.1:${server.address().port}/api/batch-jobs/batch-1/events`);
+        await new Promise((resolve) => first.on("response", resolve));
+
+        const response = await request(server).get("/api/batch-jobs/batch-2/events").expect(429);
+        expect(response.body.error.message).toBe(
+          "You can follow at most 1 batch jobs at once; close one to follow another"
+        );
+
+        first.destroy();
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        readBatchJobProgress.mockResolvedValue({ ...counters, status: "completed", processedRows: 0, failedRows: 0, results: [] });
+        await request(server).get("/api/batch-jobs/batch-2/events").expect(200);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    test("should return 404 when batch job not found", async () => {
+      readBatchJobProgress.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get("/api/batch-jobs/batch-1/events")
+        .expect(404);
+
+      expect(response.body.error.message).toBe("Batch job not found");
+    });
+
+    test("should end the stream with an error event when reading fails", async () => {
+      readBatchJobProgress
+        .mockResolvedValueOnce({
+          ...counters,
+          status: "processing",
+          processedRows: 1,
+          failedRows: 0,
+          results: [{ rowIndex: 0, success: true }],
+        })
+        .mockRejectedValueOnce(new Error("DB error"));
+
+      const response = await request(app).get("/api/batch-jobs/batch-1/events").expect(200);
+
+      expect(parseEvents(response.text).at(-1)).toEqual({
+        event: "error",
+        data: { message: "Failed to stream batch job progress" },
+      });
+    });
+  });
+
+  describe("POST /api/batch-jobs/:id/retry", () => {
+    test("should queue the failed rows with their corrections and link the retry", async () => {
+      retryBatchJob.mockResolvedValue({ id: "batch-2", retryOfId: "batch-1", totalRows: 3, status: "pending" });
+
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/retry")
+        .send({ rows: [{ rowIndex: 4, data: { name: "Ada", email: "ada@example.com" } }] })
+        .expect(202);
+
+      expect(response.body).toEqual({
+        message: "Batch job retry queued for processing",
+        batchJobId: "batch-2",
+        retryOf: "batch-1",
+        totalRows: 3,
+        statusUrl: "/api/batch-jobs/batch-2",
+      });
+      expect(retryBatchJob).toHaveBeenCalledWith("batch-1", "user-123", {
+        rows: [{ rowIndex: 4, data: { name: "Ada", email: "ada@example.com" } }],
+      });
+    });
+
+    test("should retry the failed rows as they were without a body", async () => {
+      retryBatchJob.mockResolvedValue({ id: "batch-2", retryOfId: "batch-1", totalRows: 2, status: "pending" });
+
+      await request(app)
+        .post("/api/batch-jobs/batch-1/retry")
+        .expect(202);
+
+      expect(retryBatchJob).toHaveBeenCalledWith("batch-1", "user-123", { rows: [] });
+    });
+
+    test("should reject a row corrected twice", async () => {
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/retry")
+        .send({ rows: [{ rowIndex: 1, data: { name: "A" } }, { rowIndex: 1, data: { name: "B" } }] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe("VALIDATION_ERROR");
+      expect(retryBatchJob).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 when the batch job isn't the user's", async () => {
+      retryBatchJob.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/retry")
+        .expect(404);
+
+      expect(response.body.error.message).toBe("Batch job not found");
+    });
+
+    test("should return 409 when there is nothing to retry", async () => {
+      const err = new Error("Batch job has no failed rows to retry");
+      err.status = 409;
+      retryBatchJob.mockRejectedValue(err);
+
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/retry")
+        .expect(409);
+
+      expect(response.body.error).toEqual(expect.objectContaining({
+        code: "CONFLICT",
+        message: "Batch job has no failed rows to retry",
+      }));
+    });
+
+    test("should return 400 when a correction is for a row that didn't fail", async () => {
+      const err = new Error("Rows 0 did not fail and can't be corrected");
+      err.status = 400;
+      retryBatchJob.mockRejectedValue(err);
+
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/retry")
+        .send({ rows: [{ rowIndex: 0, data: { name: "A" } }] })
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Rows 0 did not fail and can't be corrected");
+    });
+
+    test("should return 500 on error", async () => {
+      retryBatchJob.mockRejectedValue(new Error("DB error"));
+
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/retry")
+        .expect(500);
+
+      expect(response.body.error.message).toBe("Failed to retry batch job");
+    });
+  });
+
+  describe("POST /api/batch-jobs/:id/pause, /resume and /cancel", () => {
+    test("should pause a batch job", async () => {
+      pauseBatchJob.mockResolvedValue({ id: "batch-1", status: "paused" });
+
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/pause")
+        .expect(200);
+
+      expect(response.body).toEqual({ message: "Batch job paused", batchJobId: "batch-1", status: "paused" });
+      expect(pauseBatchJob).toHaveBeenCalledWith("batch-1", "user-123");
+    });
+
+    test("should resume a paused batch job", async () => {
+      resumeBatchJob.mockResolvedValue({ id: "batch-1", status: "pending" });
+
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/resume")
+        .expect(200);
+
+      expect(response.body).toEqual({ message: "Batch job resumed", batchJobId: "batch-1", status: "pending" });
+    });
+
+    test("should cancel a batch job and delete its outputs when asked", async () => {
+      cancelBatchJob.mockResolvedValue({ id: "batch-1", status: "cancelled", deletedOutputs: 4 });
+
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/cancel")
+        .send({ deleteOutputs: true })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        message: "Batch job cancelled",
+        batchJobId: "batch-1",
+        status: "cancelled",
+        deletedOutputs: 4,
+      });
+      expect(cancelBatchJob).toHaveBeenCalledWith("batch-1", "user-123", { deleteOutputs: true });
+    });
+
+    test("should keep outputs when cancelling without a body", async () => {
+      cancelBatchJob.mockResolvedValue({ id: "batch-1", status: "cancelled", deletedOutputs: 0 });
+
+      await request(app)
+        .post("/api/batch-jobs/batch-1/cancel")
+        .expect(200);
+
+      expect(cancelBatchJob).toHaveBeenCalledWith("batch-1", "user-123", { deleteOutputs: false });
+    });
+
+    test("should reject a deleteOutputs that isn't a boolean", async () => {
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/cancel")
+        .send({ deleteOutputs: "yes" })
+        .expect(400);
+
+      expect(response.body.error.code).toBe("VALIDATION_ERROR");
+      expect(cancelBatchJob).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 when the batch job isn't the user's", async () => {
+      pauseBatchJob.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/pause")
+        .expect(404);
+
+      expect(response.body.error.message).toBe("Batch job not found");
+    });
+
+    test("should return 409 when the status doesn't allow the change", async () => {
+      const err = new Error("A completed batch job can't be cancelled");
+      err.status = 409;
+      cancelBatchJob.mockRejectedValue(err);
+
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/cancel")
+        .expect(409);
+
+      expect(response.body.error.message).toBe("A completed batch job can't be cancelled");
+    });
+
+    test("should return 500 on error", async () => {
+      resumeBatchJob.mockRejectedValue(new Error("DB error"));
+
+      const response = await request(app)
+        .post("/api/batch-jobs/batch-1/resume")
+        .expect(500);
+
+      expect(response.body.error.message).toBe("Failed to change batch job status");
+    });
+  });
+
+  describe("GET /api/batch-jobs/:id/bundle", () => {
+    test("should stream the bundle when user owns the batch job", async () => {
+      getBatchJobStatus.mockResolvedValue({
+        id: "batch-1",
+        status: "completed",
+        bundle: "zip",
+        bundlePath: "s3://test-bucket/outputs/bundles/batch-batch-1.zip",
+      });
+      s3.send.mockResolvedValue({ Body: Readable.from([Buffer.from("zip contents")]) });
+
+      const response = await request(app)
+        .get("/api/batch-jobs/batch-1/bundle")
+        .expect(200);
+
+      expect(response.headers["content-type"]).toBe("application/zip");
+      expect(response.headers["content-disposition"]).toBe('attachment; filename="batch-batch-1.zip"');
+      expect(s3.send.mock.calls[0][0].input).toEqual({
+        Bucket: "test-bucket",
+        Key: "outputs/bundles/batch-batch-1.zip",
+      });
+      expect(getBatchJobStatus).toHaveBeenCalledWith("batch-1", "user-123");
+    });
+
+    test("should return 404 when the batch job isn't the user's", async () => {
+      getBatchJobStatus.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get("/api/batch-jobs/batch-1/bundle")
+        .expect(404);
+
+      expect(response.body.error.message).toBe("Batch job not found");
+      expect(s3.send).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 when the batch job has no bundle", async () => {
+      getBatchJobStatus.mockResolvedValue({ id: "batch-1", status: "completed", bundle: null, bundlePath: null });
+
+      const response = await request(app)
+        .get("/api/batch-jobs/batch-1/bundle")
+        .expect(404);
+
+      expect(response.body.error.message).toBe("This batch job has no bundle");
+    });
+
+    test("should return 409 while the batch job is still running", async () => {
+      getBatchJobStatus.mockResolvedValue({ id: "batch-1", status: "processing", bundle: "pdf", bundlePath: null });
+
+      const response = await request(app)
+        .get("/api/batch-jobs/batch-1/bundle")
+        .expect(409);
+
+      expect(response.body.error.message).toBe("Bundle is not ready yet");
+    });
+  });
 });
@@ -6,14 +6,20 @@ jest.mock("../../src/services/template.service", () => ({
   extractFieldsFromTemplate: jest.fn(),
   storeTemplateAndFields: jest.fn(),
 }));
+jest.mock("../../src/services/usage.service", () => ({
+  ...jest.requireActual("../../src/services/usage.service"),
+  checkQuotas: jest.fn(),
+}));
 
 const request = require("supertest");
 const express = require("express");
 const templateRouter = require("../../src/routes/template.routes");
 const authenticateSupabase = require("../../src/middleware/supabase-auth");
 const prisma = require("../../src/config/prisma");
-const { s3, HeadObjectCommand } = require("../../src/storage/supabase-storage");
+const { s3, HeadObjectCommand, PutObjectCommand, DeleteObjectCommand } = require("../../src/storage/supabase-storage");
 const { extractFieldsFromTemplate } = require("../../src/services/template.service");
+const { checkQuotas, QuotaExceededError } = require("../../src/services/usage.service");
+const { pngDataUri } = require("../_helpers/images");
 
 // Mock user for authenticated requests
 const mockUser = {
@@ -76,7 +82,12 @@ describe("Template Routes", () => {
       // Verify query filters by user
       expect(prisma.template.findMany).toHaveBeenCalledWith(
         expect.objectContaining({
-          where: { uploadedById: "cluser0000000000000000001" },
+          where: {
+            OR: [
+              { workspaceId: null, uploadedById: "cluser0000000000000000001" },
+              { workspace: { members: { some: { userId: "cluser0000000000000000001" } } } },
+            ],
+          },
         })
       );
     });
@@ -132,6 +143,27 @@ describe("Template Routes", () => {
       expect(response.status).toBe(404);
       expect(response.body.error.message).toBe("Template not found");
     });
+
+    test("should return a workspace template to any member", async () => {
+      const mockTemplate = {
+        id: "cltemplat0000000000000001",
+        displayName: "Invoice Template",
+        uploadedById: "other-user-456",
+        workspaceId: "clworkspa0000000000000001",
+        fields: [],
+      };
+
+      prisma.template.findUnique.mockResolvedValue(mockTemplate);
+      prisma.workspaceMember.findUnique.mockResolvedValueOnce({ role: "viewer" });
+
+      const response = await request(app).get("/api/templates/cltemplat0000000000000001");
+
+      expect(response.status).toBe(200);
+      expect(prisma.workspaceMember.findUnique).toHaveBeenCalledWith({
+        where: { workspaceId_userId: { workspaceId: "clworkspa0000000000000001", userId: "cluser0000000000000000001" } },
+        select: { role: true },
+      });
+    });
   });
 
   describe("DELETE /api/templates/:id (Deactivate)", () => {
@@ -181,6 +213,44 @@ describe("Template Routes", () => {
       expect(prisma.template.update).not.toHaveBeenCalled();
     });
 
+    test("should return 403 when a workspace editor deletes a template", async () => {
+      const mockTemplate = {
+        id: "cltemplat0000000000000001",
+        displayName: "Invoice Template",
+        isActive: true,
+        uploadedById: "other-user-456",
+        workspaceId: "clworkspa0000000000000001",
+      };
+
+      prisma.template.findUnique.mockResolvedValue(mockTemplate);
+      prisma.workspaceMember.findUnique.mockResolvedValueOnce({ role: "editor" });
+
+      const response = await request(app).delete("/api/templates/cltemplat0000000000000001");
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe("FORBIDDEN");
+      expect(response.body.error.message).toBe("Your editor role doesn't allow you to delete or restore this template");
+      expect(prisma.template.update).not.toHaveBeenCalled();
+    });
+
+    test("should let a workspace owner delete a template they didn't upload", async () => {
+      const mockTemplate = {
+        id: "cltemplat0000000000000001",
+        displayName: "Invoice Template",
+        isActive: true,
+        uploadedById: "other-user-456",
+        workspaceId: "clworkspa0000000000000001",
+      };
+
+      prisma.template.findUnique.mockResolvedValue(mockTemplate);
+      prisma.template.update.mockResolvedValue({ ...mockTemplate, isActive: false });
+      prisma.workspaceMember.findUnique.mockResolvedValueOnce({ role: "owner" });
+
+      const response = await request(app).delete("/api/templates/cltemplat0000000000000001");
+
+      expect(response.status).toBe(204);
+    });
+
     test("should return 404 when template already deactivated", async () => {
       const mockTemplate = {
         id: "cltemplat0000000000000001",
@@ -406,6 +476,75 @@ describe("Template Routes", () => {
       expect(response.body.message).toContain("Reverted to version");
     });
 
+    test("snapshots and restores the full field schema", async () => {
+      const mockVersion = {
+        id: "clversion0000000000000001",
+        templateId: "cltemplat0000000000000001",
+        versionNumber: 1,
+        storageKey: "old-storage-key",
+        mimeType: "text/html",
+        displayName: "Old Name",
+        fieldsSnapshot: [
+          { id: "clfield000000000000000001", name: "total", type: "currency", required: true, options: [], min: 0 },
+          // snapshots from before typed fields only stored a name
+          { id: "clfield000000000000000003", name: "note" },
+        ],
+        expiresAt: new Date(Date.now() + 86400000),
+      };
+
+      prisma.templateVersion.findUnique.mockResolvedValue(mockVersion);
+      prisma.template.findUnique.mockResolvedValue({
+        id: "cltemplat0000000000000001",
+        storageKey: "current-storage-key",
+        mimeType: "text/html",
+        displayName: "Current Name",
+        uploadedById: "cluser0000000000000000001",
+        fields: [
+          {
+            id: "clfield000000000000000002",
+            templateId: "cltemplat0000000000000001",
+            name: "status",
+            type: "enum",
+            required: false,
+            defaultValue: "open",
+            pattern: null,
+            min: null,
+            max: null,
+            options: ["open", "closed"],
+            description: "Ticket status",
+          },
+        ],
+      });
+      prisma.templateVersion.findFirst.mockResolvedValue({ versionNumber: 1 });
+      prisma.templateVersion.create.mockResolvedValue({});
+      prisma.field.deleteMany.mockResolvedValue({});
+      prisma.field.createMany.mockResolvedValue({});
+      prisma.template.update.mockResolvedValue({ id: "cltemplat0000000000000001", fields: [] });
+      s3.send.mockResolvedValue({});
+
+      await request(app)
+        .post("/api/templates/cltemplat0000000000000001/versions/clversion0000000000000001/revert")
+        .expect(200);
+
+      expect(prisma.templateVersion.create.mock.calls[0][0].data.fieldsSnapshot).toEqual([
+        {
+          id: "clfield000000000000000002",
+          name: "status",
+          type: "enum",
+          required: false,
+          defaultValue: "open",
+          options: ["open", "closed"],
+          description: "Ticket status",
+        },
+      ]);
+      expect(prisma.field.createMany).toHaveBeenCalledWith({
+        data: [
+          { templateId: "cltemplat0000000000000001", name: "total", type: "currency", required: true, options: [], min: 0 },
+          { templateId: "cltemplat0000000000000001", name: "note", type: "string", required: true, options: [] },
+        ],
+      });
+    });
+
     test("should return 404 when version not found", async () => {
       prisma.templateVersion.findUnique.mockResolvedValue(null);
 
@@ -512,6 +651,7 @@ describe("Template Routes", () => {
       displayName: "Old Name.docx",
       mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
       storageKey: "old-key.docx",
+      fileSize: 2048,
       isActive: true,
       uploadedById: "cluser0000000000000000001",
       defaultOutputType: null,
@@ -541,6 +681,50 @@ describe("Template Routes", () => {
       );
     });
 
+    test("should return 403 when a workspace merger edits the template", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        ...existingTemplate,
+        uploadedById: "other-user-456",
+        workspaceId: "clworkspa0000000000000001",
+      });
+      prisma.workspaceMember.findUnique.mockResolvedValueOnce({ role: "merger" });
+
+      const response = await request(app)
+        .put(`/api/templates/${templateId}`)
+        .field("displayName", "New Name.docx")
+        .expect(403);
+
+      expect(response.body.error.message).toBe("Your merger role doesn't allow you to change this template");
+      expect(prisma.template.update).not.toHaveBeenCalled();
+    });
+
+    test("should update and clear the template locale", async () => {
+      prisma.template.findUnique.mockResolvedValue(existingTemplate);
+      prisma.template.update.mockResolvedValue({ ...existingTemplate, locale: "de-DE" });
+
+      await request(app).put(`/api/templates/${templateId}`).field("locale", "de-DE").expect(200);
+      expect(prisma.template.update).toHaveBeenCalledWith(
+        expect.objectContaining({ data: expect.objectContaining({ locale: "de-DE" }) })
+      );
+
+      await request(app).put(`/api/templates/${templateId}`).field("locale", "").expect(200);
+      expect(prisma.template.update).toHaveBeenLastCalledWith(
+        expect.objectContaining({ data: expect.objectContaining({ locale: null }) })
+      );
+    });
+
+    test("should reject an invalid locale", async () => {
+      prisma.template.findUnique.mockResolvedValue(existingTemplate);
+
+      const response = await request(app)
+        .put(`/api/templates/${templateId}`)
+        .field("locale", "not a locale")
+        .expect(400);
+
+      expect(response.body.error.code).toBe("VALIDATION_ERROR");
+      expect(prisma.template.update).not.toHaveBeenCalled();
+    });
+
     test("should return 404 when template not found", async () => {
       prisma.template.findUnique.mockResolvedValue(null);
 
@@ -609,8 +793,14 @@ describe("Template Routes", () => {
         .attach("template", Buffer.from(htmlContent), "template.html")
         .expect(200);
 
-      // Should have created a version snapshot
-      expect(prisma.templateVersion.create).toHaveBeenCalled();
+      // Should have created a version snapshot, keeping the old file's size
+      expect(prisma.templateVersion.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ storageKey: "old-key.docx", fileSize: 2048 }),
+      });
+      // Should have recorded the new file's size
+      expect(prisma.template.update).toHaveBeenCalledWith(
+        expect.objectContaining({ data: expect.objectContaining({ fileSize: Buffer.byteLength(htmlContent) }) })
+      );
       // Should have uploaded to S3
       expect(s3.send).toHaveBeenCalled();
       // Should have extracted fields from new file
@@ -620,6 +810,50 @@ describe("Template Routes", () => {
       expect(prisma.field.createMany).toHaveBeenCalled();
     });
 
+    test("should return 422 when the replacement file has an expression that doesn't parse", async () => {
+      prisma.template.findUnique.mockResolvedValue(existingTemplate);
+
+      const response = await request(app)
+        .put(`/api/templates/${templateId}`)
+        .attach("template", Buffer.from("<html><body>{{name}} {{qty * (price}}</body></html>"), "template.html")
+        .expect(422);
+
+      expect(response.body.error.message).toBe("Template has expressions that don't parse");
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ id: "invalid_expression", xtag: "{{qty * (price}}" }),
+      ]);
+      expect(prisma.templateVersion.create).not.toHaveBeenCalled();
+    });
+
+    test("keeps the rules of fields the replacement file still uses", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        ...existingTemplate,
+        fields: [
+          { id: "f1", name: "email", type: "email", required: true, options: [], description: "Contact" },
+          { id: "f2", name: "dropped", type: "number", required: false, options: [] },
+        ],
+      });
+      prisma.templateVersion.findFirst.mockResolvedValue({ versionNumber: 1 });
+      prisma.templateVersion.create.mockResolvedValue({});
+      s3.send.mockResolvedValue({});
+      extractFieldsFromTemplate.mockResolvedValue(["name", "email"]);
+      prisma.field.deleteMany.mockResolvedValue({});
+      prisma.field.createMany.mockResolvedValue({});
+      prisma.template.update.mockResolvedValue(existingTemplate);
+
+      await request(app)
+        .put(`/api/templates/${templateId}`)
+        .attach("template", Buffer.from("<html><body>{{name}} {{email}}</body></html>"), "template.html")
+        .expect(200);
+
+      expect(prisma.field.createMany).toHaveBeenCalledWith({
+        data: [
+          { templateId, name: "name" },
+          { templateId, name: "email", type: "email", required: true, options: [], description: "Contact" },
+        ],
+      });
+    });
+
     test("should return 500 on database error", async () => {
       prisma.template.findUnique.mockRejectedValue(new Error("Database error"));
 
@@ -631,4 +865,368 @@ describe("Template Routes", () => {
       expect(response.body.error.message).toBe("Failed to update template");
     });
   });
+
+  describe("PUT /api/templates/:id/fields", () => {
+    const templateId = "cltemplat0000000000000001";
+    const ownedTemplate = {
+      id: templateId,
+      uploadedById: "cluser0000000000000000001",
+      fields: [
+        { id: "f1", name: "total" },
+        { id: "f2", name: "status" },
+        { id: "f3", name: "note" },
+      ],
+    };
+
+    beforeEach(() => {
+      prisma.$transaction.mockImplementation((operations) => Promise.all(operations));
+    });
+
+    test("replaces the definitions of the listed fields", async () => {
+      prisma.template.findUnique.mockResolvedValue(ownedTemplate);
+      prisma.field.deleteMany.mockResolvedValue({});
+      prisma.field.createMany.mockResolvedValue({});
+
+      const response = await request(app)
+        .put(`/api/templates/${templateId}/fields`)
+        .send({
+          fields: [
+            { name: "total", type: "currency", min: 0, description: "Invoice total" },
+            { name: "status", type: "enum", options: ["open", "paid"], required: false, defaultValue: "open" },
+          ],
+        })
+        .expect(200);
+
+      expect(response.body.id).toBe(templateId);
+      expect(prisma.field.deleteMany).toHaveBeenCalledWith({
+        where: { templateId, name: { in: ["total", "status"] } },
+      });
+      expect(prisma.field.createMany).toHaveBeenCalledWith({
+        data: [
+          { templateId, name: "total", type: "currency", required: true, options: [], min: 0, description: "Invoice total" },
+          { templateId, name: "status", type: "enum", required: false, options: ["open", "paid"], defaultValue: "open" },
+        ],
+      });
+      expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    });
+
+    test("returns 500 and keeps the old definitions when replacing them fails", async () => {
+      prisma.template.findUnique.mockResolvedValue(ownedTemplate);
+      prisma.field.deleteMany.mockReturnValue("delete-query");
+      prisma.field.createMany.mockReturnValue("create-query");
+      prisma.$transaction.mockRejectedValue(new Error("db down"));
+
+      await request(app)
+        .put(`/api/templates/${templateId}/fields`)
+        .send({ fields: [{ name: "total", type: "number" }] })
+        .expect(500);
+
+      expect(prisma.$transaction).toHaveBeenCalledWith(["delete-query", "create-query"]);
+    });
+
+    test("returns 400 for fields the template doesn't have", async () => {
+      prisma.template.findUnique.mockResolvedValue(ownedTemplate);
+
+      const response = await request(app)
+        .put(`/api/templates/${templateId}/fields`)
+        .send({ fields: [{ name: "total" }, { name: "missing" }] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe("FIELD_MISMATCH");
+      expect(response.body.error.details).toEqual(["missing"]);
+      expect(prisma.field.createMany).not.toHaveBeenCalled();
+    });
+
+    test("returns 400 when a default breaks its own rules", async () => {
+      prisma.template.findUnique.mockResolvedValue(ownedTemplate);
+
+      const response = await request(app)
+        .put(`/api/templates/${templateId}/fields`)
+        .send({ fields: [{ name: "total", type: "number", max: 100, defaultValue: 500 }] })
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        { field: "total", code: "too_large", message: "Default for total must be at most 100" },
+      ]);
+      expect(prisma.field.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [{ name: "status", type: "enum" }, "Enum fields need at least one option"],
+      [{ name: "total", min: 5, max: 1 }, "min cannot be greater than max"],
+      [{ name: "note", pattern: "([a-z" }, "Invalid regular expression"],
+      [{ name: "note", pattern: "^(\\w+\\s?)*$" }, "Pattern repeats a part that itself repeats, e.g. (a+)+, which can take too long to match"],
+      [{ name: "note", type: "uuid" }, undefined],
+    ])("rejects invalid definition %o", async (field, message) => {
+      const response = await request(app)
+        .put(`/api/templates/${templateId}/fields`)
+        .send({ fields: [field] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe("VALIDATION_ERROR");
+      if (message) expect(response.body.error.message).toContain(message);
+      expect(prisma.template.findUnique).not.toHaveBeenCalled();
+    });
+
+    test("returns 404 for another user's template", async () => {
+      prisma.template.findUnique.mockResolvedValue({ ...ownedTemplate, uploadedById: "other-user" });
+
+      await request(app)
+        .put(`/api/templates/${templateId}/fields`)
+        .send({ fields: [{ name: "total" }] })
+        .expect(404);
+    });
+  });
+
+  describe("Template assets", () => {
+    const templateId = "cltemplat0000000000000001";
+    const assetId = "classet00000000000000001a";
+    const ownedTemplate = { id: templateId, uploadedById: "cluser0000000000000000001" };
+    const pngBytes = Buffer.from(pngDataUri(2, 2).split(",")[1], "base64");
+    const woff2Bytes = Buffer.concat([Buffer.from("wOF2"), Buffer.from([0, 1, 0, 0]), Buffer.alloc(40)]);
+
+    beforeEach(() => {
+      prisma.template.findUnique.mockResolvedValue(ownedTemplate);
+      s3.send.mockResolvedValue({});
+    });
+
+    test("lists a template's assets without storage keys", async () => {
+      prisma.templateAsset.findMany.mockResolvedValue([
+        { id: assetId, templateId, name: "logo.png", kind: "image", mimeType: "image/png", size: 10, storageKey: "assets/x/1-logo.png" },
+      ]);
+
+      const response = await request(app).get(`/api/templates/${templateId}/assets`).expect(200);
+
+      expect(response.body).toEqual([
+        expect.objectContaining({ id: assetId, name: "logo.png", kind: "image" }),
+      ]);
+      expect(response.body[0].storageKey).toBeUndefined();
+      expect(prisma.templateAsset.findMany).toHaveBeenCalledWith({
+        where: { templateId },
+        orderBy: { name: "asc" },
+      });
+    });
+
+    test("returns 404 when listing assets of another user's template", async () => {
+      prisma.template.findUnique.mockResolvedValue({ ...ownedTemplate, uploadedById: "other-user" });
+
+      await request(app).get(`/api/templates/${templateId}/assets`).expect(404);
+      expect(prisma.templateAsset.findMany).not.toHaveBeenCalled();
+    });
+
+    test("uploads an image next to the template", async () => {
+      prisma.templateAsset.findUnique.mockResolvedValue(null);
+      prisma.templateAsset.create.mockImplementation(({ data }) => Promise.resolve({ id: assetId, ...data }));
+
+      const response = await request(app)
+        .post(`/api/templates/${templateId}/assets`)
+        .attach("asset", pngBytes, { filename: "logo.png", contentType: "image/png" })
+        .expect(201);
+
+      expect(response.body).toMatchObject({ id: assetId, name: "logo.png", kind: "image", mimeType: "image/png" });
+      const put = s3.send.mock.calls.map(([cmd]) => cmd).find((cmd) => cmd instanceof PutObjectCommand);
+      expect(put.input.Key).toMatch(new RegExp(`^uploads/assets/${templateId}/\\d+-[\\w-]+-logo\\.png$`));
+      expect(put.input.ContentType).toBe("image/png");
+    });
+
+    test("uploads a font under a custom name, detected from its bytes", async () => {
+      prisma.templateAsset.findUnique.mockResolvedValue(null);
+      prisma.templateAsset.create.mockImplementation(({ data }) => Promise.resolve({ id: assetId, ...data }));
+
+      const response = await request(app)
+        .post(`/api/templates/${templateId}/assets`)
+        .field("name", "BrandSans.woff2")
+        .attach("asset", woff2Bytes, { filename: "brand-sans-v2.woff2", contentType: "application/octet-stream" })
+        .expect(201);
+
+      expect(response.body).toMatchObject({ name: "BrandSans.woff2", kind: "font", mimeType: "font/woff2" });
+    });
+
+    test("returns 403 when the asset would go past the uploader's storage quota", async () => {
+      prisma.templateAsset.findUnique.mockResolvedValue(null);
+      checkQuotas.mockRejectedValueOnce(new QuotaExceededError("storageBytes", 1024, 1000));
+
+      const response = await request(app)
+        .post(`/api/templates/${templateId}/assets`)
+        .attach("asset", pngBytes, { filename: "logo.png", contentType: "image/png" })
+        .expect(403);
+
+      expect(response.body.error.code).toBe("QUOTA_EXCEEDED");
+      expect(response.body.error.details).toEqual({ quota: "storageBytes", limit: 1024, used: 1000 });
+      expect(checkQuotas).toHaveBeenCalledWith(ownedTemplate.uploadedById, { storageBytes: pngBytes.length });
+      expect(s3.send).not.toHaveBeenCalled();
+    });
+
+    test("rejects files whose bytes are not an image or font", async () => {
+      const response = await request(app)
+        .post(`/api/templates/${templateId}/assets`)
+        .attach("asset", Buffer.from("not really a font"), { filename: "fake.ttf", contentType: "font/ttf" })
+        .expect(415);
+
+      expect(response.body.error.message).toMatch(/Assets must be/);
+      expect(prisma.templateAsset.create).not.toHaveBeenCalled();
+    });
+
+    test("returns 409 when an asset with the same name exists", async () => {
+      prisma.templateAsset.findUnique.mockResolvedValue({ id: assetId, name: "logo.png" });
+
+      await request(app)
+        .post(`/api/templates/${templateId}/assets`)
+        .attach("asset", pngBytes, { filename: "logo.png", contentType: "image/png" })
+        .expect(409);
+
+      expect(s3.send).not.toHaveBeenCalled();
+    });
+
+    test("removes the stored file when saving the record fails", async () => {
+      prisma.templateAsset.findUnique.mockResolvedValue(null);
+      prisma.templateAsset.create.mockRejectedValue(new Error("Database error"));
+
+      await request(app)
+        .post(`/api/templates/${templateId}/assets`)
+        .attach("asset", pngBytes, { filename: "logo.png", contentType: "image/png" })
+        .expect(500);
+
+      expect(s3.send.mock.calls.some(([cmd]) => cmd instanceof DeleteObjectCommand)).toBe(true);
+    });
+
+    test("deletes an asset and its stored file", async () => {
+      prisma.templateAsset.findUnique.mockResolvedValue({ id: assetId, templateId, storageKey: "assets/x/1-logo.png" });
+
+      await request(app).delete(`/api/templates/${templateId}/assets/${assetId}`).expect(204);
+
+      expect(prisma.templateAsset.delete).toHaveBeenCalledWith({ where: { id: assetId } });
+      const del = s3.send.mock.calls.map(([cmd]) => cmd).find((cmd) => cmd instanceof DeleteObjectCommand);
+      expect(del.input.Key).toBe("uploads/assets/x/1-logo.png");
+    });
+
+    test("returns 404 when deleting an asset of a different template", async () => {
+      prisma.templateAsset.findUnique.mockResolvedValue({ id: assetId, templateId: "clother00000000000000000x" });
+
+      await request(app).delete(`/api/templates/${templateId}/assets/${assetId}`).expect(404);
+      expect(prisma.templateAsset.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Column mappings", () => {
+    const templateId = "cltemplat0000000000000001";
+    const mappingId = "clmapping0000000000000001";
+    const ownedTemplate = {
+      id: templateId,
+      uploadedById: "cluser0000000000000000001",
+      fields: [{ name: "firstName" }, { name: "total" }],
+    };
+    const rules = [
+      { field: "firstName", type: "split", column: "Full Name", part: "first" },
+      { field: "total", type: "column", column: "Amount" },
+    ];
+
+    beforeEach(() => {
+      prisma.template.findUnique.mockResolvedValue(ownedTemplate);
+    });
+
+    test("lists a template's saved mappings", async () => {
+      prisma.columnMapping.findMany.mockResolvedValue([{ id: mappingId, templateId, name: "CRM export", rules }]);
+
+      const response = await request(app).get(`/api/templates/${templateId}/mappings`).expect(200);
+
+      expect(response.body).toEqual([{ id: mappingId, templateId, name: "CRM export", rules }]);
+      expect(prisma.columnMapping.findMany).toHaveBeenCalledWith({
+        where: { templateId },
+        orderBy: { name: "asc" },
+      });
+    });
+
+    test("returns 404 when listing mappings of another user's template", async () => {
+      prisma.template.findUnique.mockResolvedValue({ ...ownedTemplate, uploadedById: "other-user" });
+
+      await request(app).get(`/api/templates/${templateId}/mappings`).expect(404);
+      expect(prisma.columnMapping.findMany).not.toHaveBeenCalled();
+    });
+
+    test("saves a named mapping", async () => {
+      prisma.columnMapping.findUnique.mockResolvedValue(null);
+      prisma.columnMapping.create.mockImplementation(({ data }) => Promise.resolve({ id: mappingId, ...data }));
+
+      const response = await request(app)
+        .post(`/api/templates/${templateId}/mappings`)
+        .send({ name: " CRM export ", rules })
+        .expect(201);
+
+      expect(response.body).toEqual({ id: mappingId, templateId, name: "CRM export", rules });
+    });
+
+    test("rejects rules for fields the template doesn't have", async () => {
+      const response = await request(app)
+        .post(`/api/templates/${templateId}/mappings`)
+        .send({ name: "CRM export", rules: [{ field: "email", type: "column", column: "Mail" }] })
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Unknown template fields: email");
+      expect(prisma.columnMapping.create).not.toHaveBeenCalled();
+    });
+
+    test("rejects invalid rules", async () => {
+      await request(app)
+        .post(`/api/templates/${templateId}/mappings`)
+        .send({ name: "CRM export", rules: [{ field: "total", type: "concat", columns: [] }] })
+        .expect(400);
+
+      expect(prisma.columnMapping.create).not.toHaveBeenCalled();
+    });
+
+    test("returns 409 when a mapping with the same name exists", async () => {
+      prisma.columnMapping.findUnique.mockResolvedValue({ id: mappingId, templateId, name: "CRM export" });
+
+      const response = await request(app)
+        .post(`/api/templates/${templateId}/mappings`)
+        .send({ name: "CRM export", rules })
+        .expect(409);
+
+      expect(response.body.error.message).toBe('A mapping named "CRM export" already exists');
+    });
+
+    test("updates a mapping's name and rules", async () => {
+      prisma.columnMapping.findUnique
+        .mockResolvedValueOnce({ id: mappingId, templateId, name: "CRM export", rules: [] })
+        .mockResolvedValueOnce(null);
+      prisma.columnMapping.update.mockImplementation(({ data }) => Promise.resolve({ id: mappingId, templateId, ...data }));
+
+      const response = await request(app)
+        .put(`/api/templates/${templateId}/mappings/${mappingId}`)
+        .send({ name: "CRM export v2", rules })
+        .expect(200);
+
+      expect(response.body).toEqual({ id: mappingId, templateId, name: "CRM export v2", rules });
+      expect(prisma.columnMapping.update).toHaveBeenCalledWith({
+        where: { id: mappingId },
+        data: { name: "CRM export v2", rules },
+      });
+    });
+
+    test("returns 404 when updating a mapping of a different template", async () => {
+      prisma.columnMapping.findUnique.mockResolvedValue({ id: mappingId, templateId: "clother00000000000000000x" });
+
+      await request(app)
+        .put(`/api/templates/${templateId}/mappings/${mappingId}`)
+        .send({ name: "CRM export", rules })
+        .expect(404);
+
+      expect(prisma.columnMapping.update).not.toHaveBeenCalled();
+    });
+
+    test("deletes a mapping", async () => {
+      prisma.columnMapping.findUnique.mockResolvedValue({ id: mappingId, templateId });
+
+      await request(app).delete(`/api/templates/${templateId}/mappings/${mappingId}`).expect(204);
+
+      expect(prisma.columnMapping.delete).toHaveBeenCalledWith({ where: { id: mappingId } });
+    });
+
+    test("returns 400 for an invalid mapping ID", async () => {
+      const response = await request(app).delete(`/api/templates/${templateId}/mappings/not-an-id`).expect(400);
+
+      expect(response.body.error.message).toMatch(/Invalid mapping ID format/);
+    });
+  });
 });
@@ -50,6 +50,14 @@ jest.mock("../../src/utils/html-lint", () => ({
 const { lintDocxBuffer } = require("../../src/utils/docx-templating");
 const { lintHtmlBuffer } = require("../../src/utils/html-lint");
 
+// mocks quota checks; the real error class is kept for the routes' instanceof checks
+jest.mock("../../src/services/usage.service", () => ({
+  ...jest.requireActual("../../src/services/usage.service"),
+  checkQuotas: jest.fn(),
+}));
+
+const { checkQuotas, QuotaExceededError } = require("../../src/services/usage.service");
+
 describe("Upload Routes", () => {
   let app;
 
@@ -141,6 +149,27 @@ describe("Upload Routes", () => {
       expect(storeTemplateAndFields).toHaveBeenCalled();
     });
 
+    test("should return 403 past the user's template or storage quota", async () => {
+      FileType.fromBuffer.mockResolvedValue({
+        ext: "docx",
+        mime: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+      checkQuotas.mockRejectedValueOnce(new QuotaExceededError("templates", 200, 200));
+
+      const docxBuffer = Buffer.from("fake docx content");
+
+      const response = await request(app)
+        .post("/api/upload")
+        .attach("template", docxBuffer, "sample.docx")
+        .expect(403);
+
+      expect(response.body.error.code).toBe("QUOTA_EXCEEDED");
+      expect(response.body.error.message).toBe("You've reached your limit of 200 templates; delete one to upload another");
+      expect(checkQuotas).toHaveBeenCalledWith("user-123", { templates: 1, storageBytes: docxBuffer.length });
+      expect(s3.send).not.toHaveBeenCalled();
+      expect(storeTemplateAndFields).not.toHaveBeenCalled();
+    });
+
     test("should successfully upload a valid HTML file", async () => {
       FileType.fromBuffer.mockResolvedValue({
         ext: "html",
@@ -471,7 +500,8 @@ describe("Upload Routes", () => {
         "sample (1).html",        // displayName (auto-incremented)
         "text/html",              // mimeType
         expect.any(Array),        // fields
-        "user-123"                // userId
+        "user-123",               // userId
+        htmlBuffer.length         // fileSize
       );
     });
 
@@ -0,0 +1,83 @@
+// Mock dependencies BEFORE importing
+jest.mock("../../src/config/prisma");
+jest.mock("../../src/middleware/supabase-auth");
+jest.mock("../../src/services/usage.service", () => ({
+  getQuotaUsage: jest.fn(),
+}));
+
+const request = require("supertest");
+const express = require("express");
+const usageRouter = require("../../src/routes/usage.routes");
+const authenticateSupabase = require("../../src/middleware/supabase-auth");
+const { getQuotaUsage } = require("../../src/services/usage.service");
+
+// Mock user for authenticated requests
+const mockUser = {
+  id: "cluser0000000000000000001",
+  email: "test@example.com",
+};
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Add mock logger to requests
+  app.use((req, res, next) => {
+    req.log = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+    };
+    next();
+  });
+
+  app.use("/api", usageRouter);
+  return app;
+};
+
+describe("Usage Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    authenticateSupabase.mockImplementation((req, res, next) => {
+      req.user = mockUser;
+      next();
+    });
+  });
+
+  describe("GET /api/usage", () => {
+    test("returns the user's usage against their quotas", async () => {
+      const usage = {
+        quotas: {
+          templates: { used: 3, limit: 200 },
+          storageBytes: { used: 4000, limit: 5368709120 },
+          mergesPerMonth: { used: 12, limit: 5000 },
+          batchRowsPerMonth: { used: 0, limit: null },
+        },
+        storage: { templates: 1000, versions: 400, assets: 100, outputs: 2500, total: 4000 },
+        periodStart: "2026-10-01T00:00:00.000Z",
+        periodEnd: "2026-11-01T00:00:00.000Z",
+      };
+      getQuotaUsage.mockResolvedValue(usage);
+
+      const res = await request(app).get("/api/usage");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(usage);
+      expect(getQuotaUsage).toHaveBeenCalledWith(mockUser.id);
+    });
+
+    test("returns 500 when usage can't be loaded", async () => {
+      getQuotaUsage.mockRejectedValue(new Error("db down"));
+
+      const res = await request(app).get("/api/usage");
+
+      expect(res.status).toBe(500);
+      expect(res.body.error.message).toBe("Failed to load usage");
+    });
+  });
+});
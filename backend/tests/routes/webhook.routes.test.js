@@ -0,0 +1,263 @@
+// Mock dependencies BEFORE importing
+jest.mock("../../src/config/prisma");
+jest.mock("../../src/middleware/supabase-auth");
+jest.mock("../../src/services/webhookDelivery.service", () => ({
+  listWebhookDeliveries: jest.fn(),
+  rotateCallbackSecret: jest.fn(),
+}));
+jest.mock("../../src/services/webhookEndpoint.service", () => ({
+  createWebhookEndpoint: jest.fn(),
+  listWebhookEndpoints: jest.fn(),
+  rotateWebhookEndpointSecret: jest.fn(),
+  revokeWebhookEndpoint: jest.fn(),
+}));
+
+const request = require("supertest");
+const express = require("express");
+const webhookRouter = require("../../src/routes/webhook.routes");
+const authenticateSupabase = require("../../src/middleware/supabase-auth");
+const { listWebhookDeliveries, rotateCallbackSecret } = require("../../src/services/webhookDelivery.service");
+const {
+  createWebhookEndpoint,
+  listWebhookEndpoints,
+  rotateWebhookEndpointSecret,
+  revokeWebhookEndpoint,
+} = require("../../src/services/webhookEndpoint.service");
+const prisma = require("../../src/config/prisma");
+
+// Mock user for authenticated requests
+const mockUser = {
+  id: "cluser0000000000000000001",
+  email: "test@example.com",
+  callbackUrl: "https://example.com/hooks",
+  callbackSecret: "whsec_existing1234",
+};
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Add mock logger to requests
+  app.use((req, res, next) => {
+    req.log = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+    };
+    next();
+  });
+
+  app.use("/api", webhookRouter);
+  return app;
+};
+
+describe("Webhook Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    authenticateSupabase.mockImplementation((req, res, next) => {
+      req.user = mockUser;
+      next();
+    });
+  });
+
+  describe("/api/webhook-endpoints", () => {
+    const ENDPOINT_ID = "clendpoint000000000000001";
+    const TEMPLATE_ID = "cltemplate000000000000001";
+
+    test("lists the user's endpoints", async () => {
+      const endpoints = [{ id: ENDPOINT_ID, name: "CRM", secretHint: "abcd" }];
+      listWebhookEndpoints.mockResolvedValue(endpoints);
+
+      const response = await request(app).get("/api/webhook-endpoints").expect(200);
+
+      expect(response.body).toEqual(endpoints);
+      expect(listWebhookEndpoints).toHaveBeenCalledWith(mockUser.id);
+    });
+
+    test("creates an endpoint and returns its secret", async () => {
+      const endpoint = { id: ENDPOINT_ID, name: "CRM", secret: "whsec_new" };
+      createWebhookEndpoint.mockResolvedValue(endpoint);
+
+      const response = await request(app)
+        .post("/api/webhook-endpoints")
+        .send({ templateId: TEMPLATE_ID, name: "  CRM  " })
+        .expect(201);
+
+      expect(response.body).toEqual(endpoint);
+      expect(createWebhookEndpoint).toHaveBeenCalledWith(mockUser.id, {
+        templateId: TEMPLATE_ID,
+        name: "CRM",
+        requireTimestamp: true,
+      });
+    });
+
+    test("creates an endpoint that accepts untimestamped signatures when asked to", async () => {
+      createWebhookEndpoint.mockResolvedValue({ id: ENDPOINT_ID });
+
+      await request(app)
+        .post("/api/webhook-endpoints")
+        .send({ templateId: TEMPLATE_ID, name: "Legacy CRM", requireTimestamp: false })
+        .expect(201);
+
+      expect(createWebhookEndpoint).toHaveBeenCalledWith(mockUser.id, {
+        templateId: TEMPLATE_ID,
+        name: "Legacy CRM",
+        requireTimestamp: false,
+      });
+    });
+
+    test("rejects an endpoint without a name", async () => {
+      await request(app).post("/api/webhook-endpoints").send({ templateId: TEMPLATE_ID, name: " " }).expect(400);
+
+      expect(createWebhookEndpoint).not.toHaveBeenCalled();
+    });
+
+    test("returns 404 for a template that isn't the user's", async () => {
+      createWebhookEndpoint.mockRejectedValue(Object.assign(new Error("Template not found"), { status: 404 }));
+
+      const response = await request(app)
+        .post("/api/webhook-endpoints")
+        .send({ templateId: TEMPLATE_ID, name: "CRM" })
+        .expect(404);
+
+      expect(response.body.error.code).toBe("TEMPLATE_NOT_FOUND");
+    });
+
+    test("rotates an endpoint's secret with the default overlap", async () => {
+      rotateWebhookEndpointSecret.mockResolvedValue({ id: ENDPOINT_ID, secret: "whsec_rotated" });
+
+      const response = await request(app).post(`/api/webhook-endpoints/${ENDPOINT_ID}/rotate`).send({}).expect(200);
+
+      expect(response.body.secret).toBe("whsec_rotated");
+      expect(rotateWebhookEndpointSecret).toHaveBeenCalledWith(ENDPOINT_ID, mockUser.id, { overlapMinutes: 1440 });
+    });
+
+    test("rejects an overlap longer than a week", async () => {
+      await request(app)
+        .post(`/api/webhook-endpoints/${ENDPOINT_ID}/rotate`)
+        .send({ overlapMinutes: 20000 })
+        .expect(400);
+
+      expect(rotateWebhookEndpointSecret).not.toHaveBeenCalled();
+    });
+
+    test("returns 404 when rotating an endpoint that isn't the user's", async () => {
+      rotateWebhookEndpointSecret.mockResolvedValue(null);
+
+      await request(app).post(`/api/webhook-endpoints/${ENDPOINT_ID}/rotate`).send({}).expect(404);
+    });
+
+    test("revokes an endpoint", async () => {
+      revokeWebhookEndpoint.mockResolvedValue(true);
+
+      await request(app).delete(`/api/webhook-endpoints/${ENDPOINT_ID}`).expect(204);
+
+      expect(revokeWebhookEndpoint).toHaveBeenCalledWith(ENDPOINT_ID, mockUser.id);
+    });
+
+    test("returns 404 when revoking an endpoint that isn't the user's", async () => {
+      revokeWebhookEndpoint.mockResolvedValue(false);
+
+      const response = await request(app).delete(`/api/webhook-endpoints/${ENDPOINT_ID}`).expect(404);
+
+      expect(response.body.error.message).toBe("Webhook endpoint not found");
+    });
+  });
+
+  describe("GET /api/webhook-deliveries", () => {
+    test("lists the user's deliveries with paging", async () => {
+      const deliveries = [{ id: "delivery-1", event: "batch.completed", status: "delivered", attempts: 1 }];
+      listWebhookDeliveries.mockResolvedValue(deliveries);
+
+      const response = await request(app).get("/api/webhook-deliveries?status=delivered&limit=5").expect(200);
+
+      expect(response.body).toEqual({ deliveries, limit: 5, offset: 0 });
+      expect(listWebhookDeliveries).toHaveBeenCalledWith(mockUser.id, { limit: 5, offset: 0, status: "delivered" });
+    });
+
+    test("rejects an unknown status", async () => {
+      await request(app).get("/api/webhook-deliveries?status=lost").expect(400);
+
+      expect(listWebhookDeliveries).not.toHaveBeenCalled();
+    });
+
+    test("returns 500 when the deliveries can't be loaded", async () => {
+      listWebhookDeliveries.mockRejectedValue(new Error("db down"));
+
+      const response = await request(app).get("/api/webhook-deliveries").expect(500);
+
+      expect(response.body.error.message).toBe("Failed to list webhook deliveries");
+    });
+  });
+
+  describe("/api/callback-settings", () => {
+    test("returns the user's callback URL", async () => {
+      const response = await request(app).get("/api/callback-settings").expect(200);
+
+      expect(response.body).toEqual({ callbackUrl: "https://example.com/hooks", secretHint: "1234" });
+    });
+
+    test("sets the callback URL", async () => {
+      prisma.user.update.mockResolvedValue({});
+
+      const response = await request(app)
+        .put("/api/callback-settings")
+        .send({ callbackUrl: "https://example.com/new-hooks" })
+        .expect(200);
+
+      expect(response.body).toEqual({ callbackUrl: "https://example.com/new-hooks" });
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: mockUser.id },
+        data: { callbackUrl: "https://example.com/new-hooks" },
+      });
+    });
+
+    test("returns a new signing secret with the first callback URL set", async () => {
+      authenticateSupabase.mockImplementation((req, res, next) => {
+        req.user = { ...mockUser, callbackUrl: null, callbackSecret: null };
+        next();
+      });
+      prisma.user.update.mockResolvedValue({});
+      rotateCallbackSecret.mockResolvedValue("whsec_new");
+
+      const response = await request(app)
+        .put("/api/callback-settings")
+        .send({ callbackUrl: "https://example.com/new-hooks" })
+        .expect(200);
+
+      expect(response.body).toEqual({ callbackUrl: "https://example.com/new-hooks", secret: "whsec_new" });
+      expect(rotateCallbackSecret).toHaveBeenCalledWith(mockUser.id);
+    });
+
+    test("rotates the signing secret", async () => {
+      rotateCallbackSecret.mockResolvedValue("whsec_rotated");
+
+      const response = await request(app).post("/api/callback-settings/secret").expect(200);
+
+      expect(response.body).toEqual({ secret: "whsec_rotated" });
+    });
+
+    test("clears the callback URL with null", async () => {
+      prisma.user.update.mockResolvedValue({});
+
+      await request(app).put("/api/callback-settings").send({ callbackUrl: null }).expect(200);
+
+      expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: mockUser.id }, data: { callbackUrl: null } });
+    });
+
+    test("rejects a URL that isn't http or https", async () => {
+      const response = await request(app)
+        .put("/api/callback-settings")
+        .send({ callbackUrl: "file:///etc/passwd" })
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Callback URL must be an http or https URL");
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,248 @@
+// Mock dependencies BEFORE importing
+jest.mock("../../src/config/prisma");
+jest.mock("../../src/middleware/supabase-auth");
+jest.mock("../../src/services/workspace.service");
+jest.mock("../../src/services/folder.service");
+
+const request = require("supertest");
+const express = require("express");
+const workspaceRouter = require("../../src/routes/workspace.routes");
+const authenticateSupabase = require("../../src/middleware/supabase-auth");
+const {
+  listWorkspaces,
+  createWorkspace,
+  deleteWorkspace,
+  addMember,
+  updateMember,
+  removeMember,
+  moveTemplateToWorkspace,
+} = require("../../src/services/workspace.service");
+const { moveFolderToWorkspace } = require("../../src/services/folder.service");
+
+// Mock user for authenticated requests
+const mockUser = {
+  id: "cluser0000000000000000001",
+  email: "test@example.com",
+};
+
+const testIds = {
+  workspace: "clworkspa0000000000000001",
+  member: "cluser0000000000000000002",
+  template: "cltemplat0000000000000001",
+  folder: "clfolder00000000000000001",
+};
+
+// Error with the status the services throw with
+const statusError = (message, status) => Object.assign(new Error(message), { status });
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Add mock logger to requests
+  app.use((req, res, next) => {
+    req.log = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+    };
+    next();
+  });
+
+  app.use("/api", workspaceRouter);
+  return app;
+};
+
+describe("Workspace Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    authenticateSupabase.mockImplementation((req, res, next) => {
+      req.user = mockUser;
+      next();
+    });
+  });
+
+  describe("GET /api/workspaces", () => {
+    test("lists the user's workspaces", async () => {
+      const workspaces = [{ id: testIds.workspace, name: "Sales", role: "owner", memberCount: 2 }];
+      listWorkspaces.mockResolvedValue(workspaces);
+
+      const response = await request(app).get("/api/workspaces").expect(200);
+
+      expect(response.body).toEqual(workspaces);
+      expect(listWorkspaces).toHaveBeenCalledWith(mockUser.id);
+    });
+  });
+
+  describe("POST /api/workspaces", () => {
+    test("creates a workspace with a trimmed name", async () => {
+      createWorkspace.mockResolvedValue({ id: testIds.workspace, name: "Sales", role: "owner", memberCount: 1 });
+
+      await request(app).post("/api/workspaces").send({ name: "  Sales " }).expect(201);
+
+      expect(createWorkspace).toHaveBeenCalledWith(mockUser.id, { name: "Sales" });
+    });
+
+    test("requires a name", async () => {
+      const response = await request(app).post("/api/workspaces").send({ name: " " }).expect(400);
+
+      expect(response.body.error.message).toBe("Workspace name is required");
+      expect(createWorkspace).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("DELETE /api/workspaces/:id", () => {
+    test("deletes the workspace", async () => {
+      deleteWorkspace.mockResolvedValue();
+
+      await request(app).delete(`/api/workspaces/${testIds.workspace}`).expect(204);
+
+      expect(deleteWorkspace).toHaveBeenCalledWith(mockUser.id, testIds.workspace);
+    });
+
+    test("returns 403 to a member who isn't an owner", async () => {
+      deleteWorkspace.mockRejectedValue(statusError("Your editor role doesn't allow you to manage this workspace", 403));
+
+      const response = await request(app).delete(`/api/workspaces/${testIds.workspace}`).expect(403);
+
+      expect(response.body.error).toEqual({
+        code: "FORBIDDEN",
+        message: "Your editor role doesn't allow you to manage this workspace",
+      });
+    });
+  });
+
+  describe("POST /api/workspaces/:id/members", () => {
+    test("adds a member", async () => {
+      addMember.mockResolvedValue({ workspaceId: testIds.workspace, userId: testIds.member, role: "merger" });
+
+      await request(app)
+        .post(`/api/workspaces/${testIds.workspace}/members`)
+        .send({ email: "sam@example.com", role: "merger" })
+        .expect(201);
+
+      expect(addMember).toHaveBeenCalledWith(mockUser.id, testIds.workspace, { email: "sam@example.com", role: "merger" });
+    });
+
+    test("rejects an unknown role", async () => {
+      const response = await request(app)
+        .post(`/api/workspaces/${testIds.workspace}/members`)
+        .send({ email: "sam@example.com", role: "admin" })
+        .expect(400);
+
+      expect(response.body.error.message).toBe("Role must be one of owner, editor, merger, viewer");
+      expect(addMember).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [404, "No user with that email", "NOT_FOUND"],
+      [409, "They are already a member of this workspace", "CONFLICT"],
+    ])("answers %i from the service", async (status, message, code) => {
+      addMember.mockRejectedValue(statusError(message, status));
+
+      const response = await request(app)
+        .post(`/api/workspaces/${testIds.workspace}/members`)
+        .send({ email: "sam@example.com", role: "viewer" })
+        .expect(status);
+
+      expect(response.body.error).toEqual({ code, message });
+    });
+  });
+
+  describe("PUT /api/workspaces/:id/members/:userId", () => {
+    test("changes a member's role", async () => {
+      updateMember.mockResolvedValue({ workspaceId: testIds.workspace, userId: testIds.member, role: "editor" });
+
+      await request(app)
+        .put(`/api/workspaces/${testIds.workspace}/members/${testIds.member}`)
+        .send({ role: "editor" })
+        .expect(200);
+
+      expect(updateMember).toHaveBeenCalledWith(mockUser.id, testIds.workspace, testIds.member, { role: "editor" });
+    });
+
+    test("returns 409 when it would leave no owner", async () => {
+      updateMember.mockRejectedValue(statusError("A workspace needs at least one owner", 409));
+
+      await request(app)
+        .put(`/api/workspaces/${testIds.workspace}/members/${mockUser.id}`)
+        .send({ role: "viewer" })
+        .expect(409);
+    });
+  });
+
+  describe("DELETE /api/workspaces/:id/members/:userId", () => {
+    test("removes a member", async () => {
+      removeMember.mockResolvedValue();
+
+      await request(app).delete(`/api/workspaces/${testIds.workspace}/members/${testIds.member}`).expect(204);
+
+      expect(removeMember).toHaveBeenCalledWith(mockUser.id, testIds.workspace, testIds.member);
+    });
+  });
+
+  describe("PUT /api/templates/:id/workspace", () => {
+    test("moves a template into a workspace", async () => {
+      moveTemplateToWorkspace.mockResolvedValue({ id: testIds.template, workspaceId: testIds.workspace });
+
+      const response = await request(app)
+        .put(`/api/templates/${testIds.template}/workspace`)
+        .send({ workspaceId: testIds.workspace })
+        .expect(200);
+
+      expect(response.body.workspaceId).toBe(testIds.workspace);
+      expect(moveTemplateToWorkspace).toHaveBeenCalledWith(mockUser.id, testIds.template, testIds.workspace);
+    });
+
+    test("moves a template out of its workspace with null", async () => {
+      moveTemplateToWorkspace.mockResolvedValue({ id: testIds.template, workspaceId: null });
+
+      await request(app).put(`/api/templates/${testIds.template}/workspace`).send({ workspaceId: null }).expect(200);
+
+      expect(moveTemplateToWorkspace).toHaveBeenCalledWith(mockUser.id, testIds.template, null);
+    });
+
+    test("requires a workspaceId, even if null", async () => {
+      await request(app).put(`/api/templates/${testIds.template}/workspace`).send({}).expect(400);
+
+      expect(moveTemplateToWorkspace).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("PUT /api/folders/:id/workspace", () => {
+    test("moves a folder into a workspace", async () => {
+      moveFolderToWorkspace.mockResolvedValue({ id: testIds.folder, workspaceId: testIds.workspace });
+
+      await request(app)
+        .put(`/api/folders/${testIds.folder}/workspace`)
+        .send({ workspaceId: testIds.workspace })
+        .expect(200);
+
+      expect(moveFolderToWorkspace).toHaveBeenCalledWith(mockUser.id, testIds.folder, testIds.workspace);
+    });
+
+    test("returns 409 when the workspace's root has a folder of that name", async () => {
+      moveFolderToWorkspace.mockRejectedValue(new Error("A root folder with this name already exists"));
+
+      const response = await request(app)
+        .put(`/api/folders/${testIds.folder}/workspace`)
+        .send({ workspaceId: testIds.workspace })
+        .expect(409);
+
+      expect(response.body.error.code).toBe("ALREADY_EXISTS");
+    });
+  });
+
+  test("returns 500 on an unexpected error", async () => {
+    listWorkspaces.mockRejectedValue(new Error("Database error"));
+
+    const response = await request(app).get("/api/workspaces").expect(500);
+
+    expect(response.body.error.message).toBe("Failed to list workspaces");
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for apiKey.service.js
+ * Tests: key creation (hashed at rest), listing, revocation, lookup of a sent key and last-used tracking
+ */
+
+const crypto = require("crypto");
+
+jest.mock("../../src/config/prisma", () => ({
+  apiKey: {
+    count: jest.fn(),
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+const prisma = require("../../src/config/prisma");
+
+jest.mock("../../src/config/logger", () => ({
+  warn: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+}));
+
+const {
+  MAX_API_KEYS,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  markApiKeyUsed,
+} = require("../../src/services/apiKey.service");
+
+const KEY = `sdk_0a1b2c3d_${"k".repeat(43)}`;
+const hash = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+// A stored key, as prisma returns it with its user
+function storedKey(overrides = {}) {
+  return {
+    id: "key-1",
+    userId: "user-1",
+    name: "Zapier",
+    prefix: "sdk_0a1b2c3d",
+    keyHash: hash(KEY),
+    scopes: ["merge:write"],
+    expiresAt: null,
+    lastUsedAt: null,
+    revokedAt: null,
+    user: { id: "user-1", isActive: true },
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("createApiKey", () => {
+  beforeEach(() => {
+    prisma.apiKey.count.mockResolvedValue(0);
+    prisma.apiKey.create.mockImplementation(async ({ data }) => ({ id: "key-1", ...data }));
+  });
+
+  test("stores only the hash and prefix, returning the key once", async () => {
+    const created = await createApiKey("user-1", { name: "Zapier", scopes: ["merge:write", "merge:write"] });
+
+    const { data } = prisma.apiKey.create.mock.calls[0][0];
+    expect(created.key).toMatch(/^sdk_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/);
+    expect(data).toEqual({
+      userId: "user-1",
+      name: "Zapier",
+      prefix: created.key.slice(0, 12),
+      keyHash: hash(created.key),
+      scopes: ["merge:write"],
+      expiresAt: null,
+    });
+    expect(JSON.stringify(data)).not.toContain(created.key);
+  });
+
+  test("sets an expiry from expiresInDays", async () => {
+    const before = Date.now();
+
+    await createApiKey("user-1", { name: "Zapier", scopes: ["outputs:read"], expiresInDays: 30 });
+
+    const { expiresAt } = prisma.apiKey.create.mock.calls[0][0].data;
+    expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 30 * 24 * 60 * 60 * 1000);
+  });
+
+  test("refuses a key past the limit", async () => {
+    prisma.apiKey.count.mockResolvedValue(MAX_API_KEYS);
+
+    await expect(createApiKey("user-1", { name: "Zapier", scopes: ["merge:write"] }))
+      .rejects.toMatchObject({ status: 409 });
+    expect(prisma.apiKey.count).toHaveBeenCalledWith({ where: { userId: "user-1", revokedAt: null } });
+    expect(prisma.apiKey.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("listApiKeys", () => {
+  test("lists the user's keys that aren't revoked, without their hashes", async () => {
+    prisma.apiKey.findMany.mockResolvedValue([]);
+
+    await listApiKeys("user-1");
+
+    const query = prisma.apiKey.findMany.mock.calls[0][0];
+    expect(query).toMatchObject({ where: { userId: "user-1", revokedAt: null }, orderBy: { createdAt: "desc" } });
+    expect(query.select.keyHash).toBeUndefined();
+  });
+});
+
+describe("revokeApiKey", () => {
+  test("revokes the user's key", async () => {
+    prisma.apiKey.updateMany.mockResolvedValue({ count: 1 });
+
+    expect(await revokeApiKey("key-1", "user-1")).toBe(true);
+    expect(prisma.apiKey.updateMany).toHaveBeenCalledWith({
+      where: { id: "key-1", userId: "user-1", revokedAt: null },
+      data: { revokedAt: expect.any(Date) },
+    });
+  });
+
+  test("returns false when nothing was revoked", async () => {
+    prisma.apiKey.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await revokeApiKey("key-1", "user-2")).toBe(false);
+  });
+});
+
+describe("findApiKey", () => {
+  test("finds a key by its prefix and checks its hash", async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(storedKey());
+
+    expect(await findApiKey(KEY)).toMatchObject({ id: "key-1" });
+    expect(prisma.apiKey.findUnique).toHaveBeenCalledWith({
+      where: { prefix: "sdk_0a1b2c3d" },
+      include: { user: true },
+    });
+  });
+
+  test("refuses a key whose secret doesn't match", async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(storedKey());
+
+    expect(await findApiKey(`sdk_0a1b2c3d_${"x".repeat(43)}`)).toBeNull();
+  });
+
+  test("refuses a revoked key", async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(storedKey({ revokedAt: new Date() }));
+
+    expect(await findApiKey(KEY)).toBeNull();
+  });
+
+  test("doesn't look up something that isn't a key", async () => {
+    expect(await findApiKey("eyJhbGciOiJIUzI1NiJ9.payload.sig")).toBeNull();
+    expect(prisma.apiKey.findUnique).not.toHaveBeenCalled();
+  });
+});
+
+describe("markApiKeyUsed", () => {
+  test("records the use", async () => {
+    prisma.apiKey.update.mockResolvedValue({});
+
+    await markApiKeyUsed(storedKey());
+
+    expect(prisma.apiKey.update).toHaveBeenCalledWith({ where: { id: "key-1" }, data: { lastUsedAt: expect.any(Date) } });
+  });
+
+  test("skips the write when the key was used in the last minute", async () => {
+    await markApiKeyUsed(storedKey({ lastUsedAt: new Date(Date.now() - 10 * 1000) }));
+
+    expect(prisma.apiKey.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+// scanning reads real DOCX packages instead of the root manual mock
+jest.unmock("pizzip");
+const PizZip = require("pizzip");
+const AdmZip = require("adm-zip");
+
+const pdfService = require("../../src/services/pdfService");
+const {
+  findTemplateBarcodeTags,
+  renderBarcode,
+  addBarcodeImages,
+} = require("../../src/services/barcode.service");
+const { readImageSize } = require("../../src/utils/images");
+const { BLANK } = require("../../src/utils/blank-values");
+
+const DOCX = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const PPTX = "application/vnd.openxmlformats-officedocument.presentationml.presentation";
+
+const decode = (dataUri) => Buffer.from(dataUri.split(",")[1], "base64");
+
+describe("barcode.service", () => {
+  describe("renderBarcode", () => {
+    test.each([
+      ["qr", "https://example.com/track/123"],
+      ["barcode128", "SKU-0042"],
+      ["ean13", "590123412345"],
+      ["datamatrix", "LOT 7 / 2026"],
+    ])("renders %s as a PNG data URI", async (type, text) => {
+      const dataUri = await renderBarcode(type, text, "value");
+
+      expect(dataUri).toMatch(/^data:image\/png;base64,/);
+      const size = readImageSize(decode(dataUri));
+      expect(size.width).toBeGreaterThan(0);
+      expect(size.height).toBeGreaterThan(0);
+    });
+
+    test("rejects values the symbology can't encode with a 422 parse error", async () => {
+      await expect(renderBarcode("ean13", "12345", "sku")).rejects.toMatchObject({
+        message: "TEMPLATE_PARSE_ERROR",
+        status: 422,
+        details: [
+          expect.objectContaining({
+            id: "invalid_barcode",
+            xtag: "{{ean13:sku}}",
+            explanation: expect.stringMatching(/^Cannot encode "sku" as EAN-13: /),
+          }),
+        ],
+      });
+    });
+  });
+
+  describe("findTemplateBarcodeTags", () => {
+    test("finds unique tags in HTML", async () => {
+      const html = Buffer.from("<p>{{qr:url}} {{ barcode128 : sku }} {{qr:url}} {{name}} {{%logo}}</p>");
+
+      expect(await findTemplateBarcodeTags(html, "text/html")).toEqual([
+        { type: "qr", name: "url", key: "qr:url" },
+        { type: "barcode128", name: "sku", key: "barcode128:sku" },
+      ]);
+    });
+
+    test("finds tags split across DOCX runs and in headers", async () => {
+      const zip = new PizZip();
+      zip.file("word/document.xml", "<w:p><w:r><w:t>{{ean</w:t></w:r><w:r><w:t>13:code}}</w:t></w:r></w:p>");
+      zip.file("word/header1.xml", "<w:p><w:r><w:t>{{datamatrix:lot}}</w:t></w:r></w:p>");
+      zip.file("word/styles.xml", "<w:t>{{qr:ignored}}</w:t>");
+
+      const tags = await findTemplateBarcodeTags(zip.generate({ type: "nodebuffer" }), DOCX);
+      expect(tags.map((t) => t.key).sort()).toEqual(["datamatrix:lot", "ean13:code"]);
+    });
+
+    test("finds tags on PPTX slides", async () => {
+      const zip = new AdmZip();
+      zip.addFile("ppt/slides/slide1.xml", Buffer.from("<a:p><a:r><a:t>{{qr:link}}</a:t></a:r></a:p>"));
+      zip.addFile("ppt/slideLayouts/slideLayout1.xml", Buffer.from("<a:t>{{qr:layout}}</a:t>"));
+
+      expect(await findTemplateBarcodeTags(zip.toBuffer(), PPTX)).toEqual([
+        { type: "qr", name: "link", key: "qr:link" },
+      ]);
+    });
+
+    test("reads PDF text through pdfService", async () => {
+      const spy = jest.spyOn(pdfService, "extractPdfText").mockResolvedValue(["Ticket {{qr:ticket}}"]);
+
+      expect(await findTemplateBarcodeTags(Buffer.from("%PDF"), "application/pdf")).toEqual([
+        { type: "qr", name: "ticket", key: "qr:ticket" },
+      ]);
+      spy.mockRestore();
+    });
+
+    test("finds tags in XLSX shared strings", async () => {
+      const zip = new AdmZip();
+      zip.addFile("xl/sharedStrings.xml", Buffer.from("<si><r><t>{{barcode128:</t></r><r><t>sku}}</t></r></si>"));
+      const xlsx = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+      expect(await findTemplateBarcodeTags(zip.toBuffer(), xlsx)).toEqual([
+        { type: "barcode128", name: "sku", key: "barcode128:sku" },
+      ]);
+    });
+
+    test("returns no tags for other formats", async () => {
+      expect(await findTemplateBarcodeTags(Buffer.from("{{qr:x}}"), "text/plain")).toEqual([]);
+    });
+  });
+
+  describe("addBarcodeImages", () => {
+    const qr = { type: "qr", name: "url", key: "qr:url" };
+    const sku = { type: "barcode128", name: "sku", key: "barcode128:sku" };
+
+    test("returns the data unchanged without tags", async () => {
+      const data = { url: "x" };
+      expect(await addBarcodeImages(data, [])).toBe(data);
+    });
+
+    test("adds an image next to each value, including loop items", async () => {
+      const data = { url: "https://example.com", items: [{ sku: "A-1" }, { sku: "B-2" }] };
+
+      const out = await addBarcodeImages(data, [qr, sku]);
+
+      expect(out["qr:url"]).toMatch(/^data:image\/png;base64,/);
+      expect(out.items[0]["barcode128:sku"]).toMatch(/^data:image\/png;base64,/);
+      expect(out.items[1]["barcode128:sku"]).not.toBe(out.items[0]["barcode128:sku"]);
+      expect(out.url).toBe("https://example.com");
+      // the caller's data is left alone
+      expect(data["qr:url"]).toBeUndefined();
+    });
+
+    test("resolves dotted field names", async () => {
+      const tag = { type: "qr", name: "order.url", key: "qr:order.url" };
+      const out = await addBarcodeImages({ order: { url: "https://example.com/o/1" } }, [tag]);
+      expect(out["qr:order.url"]).toMatch(/^data:image\/png;base64,/);
+    });
+
+    test("skips empty and missing values", async () => {
+      const out = await addBarcodeImages({ url: "", items: [{ name: "no sku" }] }, [qr, sku]);
+      expect(out).toEqual({ url: "", items: [{ name: "no sku" }] });
+    });
+
+    test("passes blank optional fields on as blank images", async () => {
+      const out = await addBarcodeImages({ url: BLANK }, [qr]);
+      expect(out).toEqual({ url: BLANK, "qr:url": BLANK });
+    });
+  });
+});
@@ -3,13 +3,29 @@
  * Tests: batch job processing for large CSV merge operations
  */
 
-// Mock prisma with batchJob model
+// Mock prisma with batchJob and batchJobChunk models
 jest.mock("../../src/config/prisma", () => ({
   batchJob: {
     create: jest.fn(),
     findUnique: jest.fn(),
     findMany: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
+    delete: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  mergeJob: {
+    deleteMany: jest.fn(),
+  },
+  $queryRaw: jest.fn(),
+  $executeRaw: jest.fn(),
+  batchJobChunk: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    aggregate: jest.fn(),
   },
 }));
 const prisma = require("../../src/config/prisma");
@@ -28,6 +44,31 @@ jest.mock("../../src/utils/concurrency", () => ({
 }));
 const { mergeLimiter } = require("../../src/utils/concurrency");
 
+// Mock bundle service
+jest.mock("../../src/services/bundle.service", () => ({
+  createBundle: jest.fn(),
+}));
+const { createBundle } = require("../../src/services/bundle.service");
+
+// Mock storage, where outputs of cancelled jobs are deleted
+jest.mock("../../src/storage/supabase-storage");
+const { s3 } = require("../../src/storage/supabase-storage");
+
+// Mock callbacks sent when a job finishes
+jest.mock("../../src/services/webhookDelivery.service", () => ({
+  queueWebhookDelivery: jest.fn(),
+}));
+const { queueWebhookDelivery } = require("../../src/services/webhookDelivery.service");
+
+// Mock quotas: checks pass and batch rows are unlimited unless a test says otherwise
+jest.mock("../../src/services/usage.service", () => ({
+  ...jest.requireActual("../../src/services/usage.service"),
+  checkQuotas: jest.fn(),
+  reserveUsage: jest.fn(),
+  releaseUsage: jest.fn(),
+}));
+const usageService = require("../../src/services/usage.service");
+
 // Mock logger to suppress output during tests
 jest.mock("../../src/config/logger", () => ({
   warn: jest.fn(),
@@ -38,14 +79,53 @@ const logger = require("../../src/config/logger");
 
 const {
   INLINE_THRESHOLD,
+  BATCH_CHUNK_SIZE,
   shouldProcessInline,
   processRowsInline,
+  bundleInlineResults,
   createBatchJob,
+  retryBatchJob,
+  pauseBatchJob,
+  resumeBatchJob,
+  cancelBatchJob,
+  discardBatchOutputs,
+  claimBatchJob,
+  renewBatchLease,
   processBatchJob,
   getBatchJobStatus,
+  readBatchJobProgress,
+  watchBatchJob,
   listBatchJobs,
-  resumePendingBatchJobs,
+  recoverBatchJobs,
+  batchJobEvents,
 } = require("../../src/services/batchJob.service");
+const { FieldValidationError } = require("../../src/utils/field-validation");
+
+// Stores a batch job's rows as chunks of `size`; chunk updates are kept so results can be read back
+function mockChunks(rows, { size = rows.length, processed = [] } = {}) {
+  const chunks = [];
+  for (let firstRow = 0; firstRow < rows.length; firstRow += size) {
+    const index = chunks.length;
+    const chunkRows = rows.slice(firstRow, firstRow + size);
+    chunks.push({
+      id: `chunk-${index}`,
+      index,
+      firstRow,
+      rowCount: chunkRows.length,
+      rows: chunkRows,
+      results: null,
+      processedAt: processed.includes(index) ? new Date() : null,
+    });
+  }
+  prisma.batchJobChunk.findUnique.mockImplementation(async ({ where }) => chunks[where.batchJobId_index.index] || null);
+  prisma.batchJobChunk.update.mockImplementation(async ({ where, data }) => {
+    const chunk = chunks.find((c) => c.id === where.id);
+    Object.assign(chunk, data);
+    return chunk;
+  });
+  prisma.batchJobChunk.findMany.mockImplementation(async () => chunks);
+  return chunks;
+}
 
 beforeEach(() => {
   jest.clearAllMocks();
@@ -54,6 +134,11 @@ beforeEach(() => {
     jobId: "job-123",
     filePath: "s3://bucket/outputs/test.pdf",
   });
+  usageService.checkQuotas.mockResolvedValue();
+  usageService.reserveUsage.mockImplementation(async (userId, counts) => ({ userId, month: "2026-10", ...counts }));
+  usageService.releaseUsage.mockResolvedValue();
+  // the worker holds the lease unless a test takes it away
+  prisma.batchJob.updateMany.mockResolvedValue({ count: 1 });
 });
 
 describe("batchJob.service", () => {
@@ -139,6 +224,25 @@ describe("batchJob.service", () => {
       });
     });
 
+    test("should keep per-field errors of rows that break the field schema", async () => {
+      const details = [{ field: "qty", path: "qty", code: "invalid_type", message: "qty must be a number" }];
+      mergeTemplate.mockRejectedValueOnce(new FieldValidationError(details));
+
+      const results = await processRowsInline({
+        templateId: "tpl-1",
+        rows: [{ qty: "two" }],
+        outputType: "pdf",
+        userId: "user-1",
+      });
+
+      expect(results[0]).toEqual({
+        rowIndex: 0,
+        success: false,
+        error: "Invalid merge data: qty must be a number",
+        fieldErrors: details,
+      });
+    });
+
     test("should use concurrency limiter for each row", async () => {
       const rows = [{ name: "Test" }];
 
@@ -179,23 +283,18 @@ describe("batchJob.service", () => {
         data: { name: "Test", email: "test@example.com" },
         outputType: "docx",
         userId: "user-456",
+        counted: true,
       });
     });
   });
 
   describe("createBatchJob", () => {
-    test("should create batch job with correct data", async () => {
-      const mockBatchJob = {
-        id: "batch-1",
-        templateId: "tpl-1",
-        userId: "user-1",
-        outputType: "pdf",
-        totalRows: 50,
-        status: "pending",
-      };
-
-      prisma.batchJob.create.mockResolvedValue(mockBatchJob);
+    beforeEach(() => {
+      prisma.batchJob.create.mockResolvedValue({ id: "batch-1", status: "ingesting" });
+      prisma.batchJob.update.mockImplementation(async ({ data }) => ({ id: "batch-1", ...data }));
+    });
 
+    test("should create batch job with correct data", async () => {
       const result = await createBatchJob({
         templateId: "tpl-1",
         rows: Array(50).fill({ name: "Test" }),
@@ -203,25 +302,75 @@ describe("batchJob.service", () => {
         userId: "user-1",
       });
 
-      expect(result).toEqual(mockBatchJob);
       expect(prisma.batchJob.create).toHaveBeenCalledWith({
         data: {
           templateId: "tpl-1",
           userId: "user-1",
           outputType: "pdf",
-          totalRows: 50,
+          totalRows: 0,
+          status: "ingesting",
+        },
+      });
+      expect(prisma.batchJobChunk.create).toHaveBeenCalledWith({
+        data: {
+          batchJobId: "batch-1",
+          index: 0,
+          firstRow: 0,
+          rowCount: 50,
           rows: Array(50).fill({ name: "Test" }),
-          status: "pending",
         },
       });
+      // only picked up once every row is stored
+      expect(prisma.batchJob.update).toHaveBeenCalledWith({
+        where: { id: "batch-1" },
+        data: { totalRows: 50, status: "pending" },
+      });
+      expect(result).toEqual({ id: "batch-1", totalRows: 50, status: "pending" });
     });
 
-    test("should trigger background processing via setImmediate", async () => {
-      prisma.batchJob.create.mockResolvedValue({
-        id: "batch-1",
-        status: "pending",
+    test("should split rows into chunks of BATCH_CHUNK_SIZE", async () => {
+      const rows = Array.from({ length: BATCH_CHUNK_SIZE + 2 }, (_, i) => ({ n: i }));
+
+      await createBatchJob({ templateId: "tpl-1", rows, outputType: "pdf", userId: "user-1" });
+
+      const chunks = prisma.batchJobChunk.create.mock.calls.map(([{ data }]) => data);
+      expect(chunks.map(({ index, firstRow, rowCount }) => ({ index, firstRow, rowCount }))).toEqual([
+        { index: 0, firstRow: 0, rowCount: BATCH_CHUNK_SIZE },
+        { index: 1, firstRow: BATCH_CHUNK_SIZE, rowCount: 2 },
+      ]);
+      expect(chunks[1].rows).toEqual([{ n: BATCH_CHUNK_SIZE }, { n: BATCH_CHUNK_SIZE + 1 }]);
+    });
+
+    test("should read rows from an async iterable", async () => {
+      async function* stream() {
+        yield { name: "A" };
+        yield { name: "B" };
+      }
+
+      const result = await createBatchJob({ templateId: "tpl-1", rows: stream(), outputType: "pdf", userId: "user-1" });
+
+      expect(result.totalRows).toBe(2);
+      expect(prisma.batchJobChunk.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ rows: [{ name: "A" }, { name: "B" }] }),
       });
+    });
+
+    test("should remove the job and rethrow when the rows can't be read", async () => {
+      async function* stream() {
+        yield { name: "A" };
+        throw new Error("Invalid Record Length");
+      }
+      prisma.batchJob.delete.mockResolvedValue({ id: "batch-1" });
+
+      await expect(
+        createBatchJob({ templateId: "tpl-1", rows: stream(), outputType: "pdf", userId: "user-1" })
+      ).rejects.toThrow("Invalid Record Length");
 
+      expect(prisma.batchJob.delete).toHaveBeenCalledWith({ where: { id: "batch-1" } });
+      expect(prisma.batchJob.update).not.toHaveBeenCalled();
+    });
+
+    test("should trigger background processing via setImmediate", async () => {
       const result = await createBatchJob({
         templateId: "tpl-1",
         rows: [{ name: "Test" }],
@@ -234,26 +383,69 @@ describe("batchJob.service", () => {
       // Background processing is triggered via setImmediate which is tested
       // through the processBatchJob tests
     });
+
+    test("should reserve each stored chunk's rows toward the user's batch row quota", async () => {
+      await createBatchJob({
+        templateId: "tpl-1",
+        rows: Array(BATCH_CHUNK_SIZE + 3).fill({ name: "Test" }),
+        outputType: "pdf",
+        userId: "user-1",
+      });
+
+      expect(usageService.checkQuotas).toHaveBeenCalledWith("user-1", { storageBytes: 1, batchRowsPerMonth: 1 });
+      expect(usageService.reserveUsage.mock.calls).toEqual([
+        ["user-1", { batchRows: BATCH_CHUNK_SIZE }],
+        ["user-1", { batchRows: 3 }],
+      ]);
+      expect(usageService.releaseUsage).not.toHaveBeenCalled();
+    });
+
+    test("should refuse a job when no batch rows are left this month", async () => {
+      usageService.checkQuotas.mockRejectedValue(new usageService.QuotaExceededError("batchRowsPerMonth", 100, 100));
+
+      await expect(
+        createBatchJob({ templateId: "tpl-1", rows: [{ name: "Test" }], outputType: "pdf", userId: "user-1" })
+      ).rejects.toBeInstanceOf(usageService.QuotaExceededError);
+      expect(prisma.batchJob.create).not.toHaveBeenCalled();
+    });
+
+    test("should remove the job and give its rows back once it has more rows than the quota has left", async () => {
+      usageService.reserveUsage
+        .mockResolvedValueOnce({ userId: "user-1", month: "2026-10", batchRows: BATCH_CHUNK_SIZE })
+        .mockRejectedValueOnce(new usageService.QuotaExceededError("batchRowsPerMonth", 100, 98));
+      prisma.batchJob.delete.mockResolvedValue({ id: "batch-1" });
+
+      await expect(
+        createBatchJob({
+          templateId: "tpl-1",
+          rows: Array(BATCH_CHUNK_SIZE + 3).fill({ name: "Test" }),
+          outputType: "pdf",
+          userId: "user-1",
+        })
+      ).rejects.toMatchObject({ status: 403, details: { quota: "batchRowsPerMonth", limit: 100, used: 98 } });
+      expect(prisma.batchJob.delete).toHaveBeenCalledWith({ where: { id: "batch-1" } });
+      expect(usageService.releaseUsage).toHaveBeenCalledWith({ userId: "user-1", month: "2026-10", batchRows: BATCH_CHUNK_SIZE });
+    });
   });
 
   describe("processBatchJob", () => {
     test("should skip if batch job not found", async () => {
       prisma.batchJob.findUnique.mockResolvedValue(null);
 
-      await processBatchJob("nonexistent-id");
+      await processBatchJob("nonexistent-id", "worker-1");
 
-      expect(prisma.batchJob.update).not.toHaveBeenCalled();
+      expect(prisma.batchJob.updateMany).not.toHaveBeenCalled();
     });
 
-    test("should skip if batch job is not pending", async () => {
+    test("should skip if batch job is not processing", async () => {
       prisma.batchJob.findUnique.mockResolvedValue({
         id: "batch-1",
         status: "completed",
       });
 
-      await processBatchJob("batch-1");
+      await processBatchJob("batch-1", "worker-1");
 
-      expect(prisma.batchJob.update).not.toHaveBeenCalled();
+      expect(prisma.batchJob.updateMany).not.toHaveBeenCalled();
     });
 
     test("should process pending batch job", async () => {
@@ -262,76 +454,216 @@ describe("batchJob.service", () => {
         templateId: "tpl-1",
         userId: "user-1",
         outputType: "pdf",
-        status: "pending",
-        rows: [{ name: "Test" }],
+        status: "processing",
+        leaseOwner: "worker-1",
       });
+      mockChunks([{ name: "Test" }]);
       prisma.batchJob.update.mockResolvedValue({});
 
-      await processBatchJob("batch-1");
+      await processBatchJob("batch-1", "worker-1");
 
-      // Should update to processing first
-      expect(prisma.batchJob.update).toHaveBeenCalledWith({
-        where: { id: "batch-1" },
-        data: {
-          status: "processing",
-          startedAt: expect.any(Date),
-        },
-      });
+      // merged once per row, however often the job is taken over
+      expect(mergeTemplate).toHaveBeenCalledWith(expect.objectContaining({ idempotencyKey: "batch:batch-1:0" }));
 
-      // Should update to completed at the end
-      expect(prisma.batchJob.update).toHaveBeenCalledWith({
-        where: { id: "batch-1" },
+      // Should update to completed at the end, giving up the lease
+      expect(prisma.batchJob.updateMany).toHaveBeenCalledWith({
+        where: { id: "batch-1", leaseOwner: "worker-1" },
         data: expect.objectContaining({
           status: "completed",
           processedRows: 1,
           failedRows: 0,
           completedAt: expect.any(Date),
+          leaseOwner: null,
         }),
       });
     });
 
+    test("should send the job's callback once it completes", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({
+        id: "batch-1",
+        templateId: "tpl-1",
+        userId: "user-1",
+        outputType: "pdf",
+        status: "processing",
+        totalRows: 2,
+        leaseOwner: "worker-1",
+        callbackUrl: "https://example.com/hooks",
+      });
+      mockChunks([{ name: "A" }, { name: "B" }]);
+      prisma.batchJob.update.mockResolvedValue({});
+      mergeTemplate.mockResolvedValueOnce({ jobId: 1 }).mockRejectedValueOnce(new Error("bad row"));
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(queueWebhookDelivery).toHaveBeenCalledWith({
+        url: "https://example.com/hooks",
+        event: "batch.completed",
+        userId: "user-1",
+        batchJobId: "batch-1",
+        data: {
+          batchJobId: "batch-1",
+          templateId: "tpl-1",
+          status: "completed",
+          totalRows: 2,
+          processedRows: 2,
+          failedRows: 1,
+          error: null,
+          statusUrl: "/api/batch-jobs/batch-1",
+        },
+      });
+    });
+
+    test("should send no callback for a job without a callback URL", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({
+        id: "batch-1",
+        templateId: "tpl-1",
+        outputType: "pdf",
+        status: "processing",
+        leaseOwner: "worker-1",
+      });
+      mockChunks([{ name: "A" }]);
+      prisma.batchJob.update.mockResolvedValue({});
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(queueWebhookDelivery).not.toHaveBeenCalled();
+    });
+
+    test("should send batch.failed when the job fails, and stay failed if the callback can't be queued", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({
+        id: "batch-1",
+        templateId: "tpl-1",
+        outputType: "pdf",
+        status: "processing",
+        leaseOwner: "worker-1",
+        callbackUrl: "https://example.com/hooks",
+      });
+      prisma.batchJobChunk.aggregate.mockRejectedValueOnce(new Error("db down"));
+      prisma.batchJob.update.mockResolvedValue({});
+      queueWebhookDelivery.mockRejectedValueOnce(new Error("still down"));
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(prisma.batchJob.updateMany).toHaveBeenCalledWith({
+        where: { id: "batch-1", leaseOwner: "worker-1" },
+        data: expect.objectContaining({ status: "failed", error: "db down" }),
+      });
+      expect(queueWebhookDelivery).toHaveBeenCalledWith(expect.objectContaining({
+        event: "batch.failed",
+        data: expect.objectContaining({ status: "failed", error: "db down" }),
+      }));
+      expect(logger.error).toHaveBeenCalledWith(
+        { err: expect.any(Error), batchJobId: "batch-1" },
+        "Failed to queue batch job callback"
+      );
+    });
+
+    test("should report each row's progress and store results with the counters", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({
+        id: "batch-1",
+        templateId: "tpl-1",
+        userId: "user-1",
+        outputType: "pdf",
+        status: "processing",
+        leaseOwner: "worker-1",
+      });
+      mockChunks(Array.from({ length: 12 }, (_, i) => ({ name: `Row ${i}` })));
+      const storeChunk = prisma.batchJobChunk.update.getMockImplementation();
+      const storedSoFar = [];
+      prisma.batchJobChunk.update.mockImplementation(async (args) => {
+        if (!args.data.processedAt) storedSoFar.push(args.data.results.length);
+        return storeChunk(args);
+      });
+      prisma.batchJob.update.mockResolvedValue({});
+      const events = [];
+      const onProgress = (event) => events.push(event);
+      batchJobEvents.on("progress", onProgress);
+
+      await processBatchJob("batch-1", "worker-1");
+      batchJobEvents.off("progress", onProgress);
+
+      const rowEvents = events.filter((event) => event.result);
+      expect(rowEvents).toHaveLength(12);
+      expect(rowEvents[11]).toEqual({
+        batchJobId: "batch-1",
+        processedRows: 12,
+        failedRows: 0,
+        result: expect.objectContaining({ rowIndex: 11, success: true }),
+      });
+      // and once more when it completes
+      expect(events.at(-1)).toEqual({ batchJobId: "batch-1" });
+
+      // results so far are stored after the 1st and 11th rows, for streams on other instances
+      expect(storedSoFar).toEqual([1, 11]);
+    });
+
     test("should handle failed rows", async () => {
       prisma.batchJob.findUnique.mockResolvedValue({
         id: "batch-1",
         templateId: "tpl-1",
         userId: "user-1",
         outputType: "pdf",
-        status: "pending",
-        rows: [{ name: "Test1" }, { name: "Test2" }],
+        status: "processing",
+        leaseOwner: "worker-1",
       });
+      mockChunks([{ name: "Test1" }, { name: "Test2" }]);
       prisma.batchJob.update.mockResolvedValue({});
 
       mergeTemplate
         .mockResolvedValueOnce({ jobId: "job-1", filePath: "path1" })
         .mockRejectedValueOnce(new Error("Failed"));
 
-      await processBatchJob("batch-1");
+      await processBatchJob("batch-1", "worker-1");
 
       // Check final update includes failure count
-      const finalUpdate = prisma.batchJob.update.mock.calls.find(
+      const finalUpdate = prisma.batchJob.updateMany.mock.calls.find(
         (call) => call[0].data.status === "completed"
       );
       expect(finalUpdate[0].data.failedRows).toBe(1);
       expect(finalUpdate[0].data.processedRows).toBe(2);
     });
 
+    test("should record per-field errors in row results", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({
+        id: "batch-1",
+        templateId: "tpl-1",
+        userId: "user-1",
+        outputType: "pdf",
+        status: "processing",
+        leaseOwner: "worker-1",
+      });
+      mockChunks([{ email: "nope" }]);
+      prisma.batchJob.update.mockResolvedValue({});
+
+      const details = [{ field: "email", path: "email", code: "invalid_type", message: "email must be an email address" }];
+      mergeTemplate.mockRejectedValueOnce(new FieldValidationError(details));
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(prisma.batchJobChunk.update).toHaveBeenCalledWith({
+        where: { id: "chunk-0" },
+        data: expect.objectContaining({ failedRows: 1 }),
+      });
+      const [{ data }] = prisma.batchJobChunk.update.mock.calls[0];
+      expect(data.results[0]).toMatchObject({ rowIndex: 0, success: false, fieldErrors: details });
+    });
+
     test("should handle complete job failure when update fails", async () => {
       prisma.batchJob.findUnique.mockResolvedValue({
         id: "batch-1",
         templateId: "tpl-1",
         userId: "user-1",
         outputType: "pdf",
-        status: "pending",
-        rows: [{ name: "Test" }],
+        status: "processing",
+        leaseOwner: "worker-1",
       });
+      mockChunks([{ name: "Test" }]);
 
-      // Make the first update (to processing) succeed
-      prisma.batchJob.update
-        .mockResolvedValueOnce({}) // status: processing
-        .mockResolvedValueOnce({}) // progress update
-        .mockRejectedValueOnce(new Error("Database error")); // final update fails
+      prisma.batchJob.updateMany
+        .mockResolvedValueOnce({ count: 1 }) // progress update
+        .mockRejectedValueOnce(new Error("Database error")); // counters after the chunk fail
 
-      await processBatchJob("batch-1");
+      await processBatchJob("batch-1", "worker-1");
 
       // Should mark as failed and log error
       expect(logger.error).toHaveBeenCalledWith(
@@ -346,12 +678,14 @@ describe("batchJob.service", () => {
         templateId: "tpl-1",
         userId: "user-1",
         outputType: "pdf",
-        status: "pending",
-        rows: [{ name: "Test1" }, { name: "Test2" }],
+        totalRows: 2,
+        status: "processing",
+        leaseOwner: "worker-1",
       });
+      mockChunks([{ name: "Test1" }, { name: "Test2" }]);
       prisma.batchJob.update.mockResolvedValue({});
 
-      await processBatchJob("batch-1");
+      await processBatchJob("batch-1", "worker-1");
 
       expect(logger.info).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -365,6 +699,337 @@ describe("batchJob.service", () => {
     });
   });
 
+  describe("chunked processing", () => {
+    const pendingJob = {
+      id: "batch-1",
+      templateId: "tpl-1",
+      userId: "user-1",
+      outputType: "pdf",
+      totalRows: 5,
+      status: "processing",
+      leaseOwner: "worker-1",
+    };
+    const rows = ["A", "B", "C", "D", "E"].map((name) => ({ name }));
+
+    test("processes chunks in order and stores each chunk's results", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue(pendingJob);
+      prisma.batchJob.update.mockResolvedValue({});
+      const chunks = mockChunks(rows, { size: 2 });
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(mergeTemplate.mock.calls.map(([{ data }]) => data.name)).toEqual(["A", "B", "C", "D", "E"]);
+      expect(chunks.map((c) => c.results.map((r) => r.rowIndex))).toEqual([[0, 1], [2, 3], [4]]);
+      expect(chunks.every((c) => c.processedAt instanceof Date)).toBe(true);
+      // counters saved after every chunk
+      expect(prisma.batchJob.updateMany).toHaveBeenCalledWith({
+        where: { id: "batch-1", leaseOwner: "worker-1" },
+        data: { processedRows: 4, failedRows: 0 },
+      });
+    });
+
+    test("skips chunks finished before a restart and continues their counts", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue(pendingJob);
+      prisma.batchJob.update.mockResolvedValue({});
+      prisma.batchJobChunk.aggregate.mockResolvedValue({ _sum: { rowCount: 4, failedRows: 1 } });
+      mockChunks(rows, { size: 2, processed: [0, 1] });
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(prisma.batchJobChunk.aggregate).toHaveBeenCalledWith({
+        where: { batchJobId: "batch-1", processedAt: { not: null } },
+        _sum: { rowCount: true, failedRows: true },
+      });
+      expect(mergeTemplate).toHaveBeenCalledTimes(1);
+      expect(mergeTemplate).toHaveBeenCalledWith(expect.objectContaining({ data: { name: "E" } }));
+      expect(prisma.batchJob.updateMany).toHaveBeenLastCalledWith({
+        where: { id: "batch-1", leaseOwner: "worker-1" },
+        data: expect.objectContaining({ status: "completed", processedRows: 5, failedRows: 1 }),
+      });
+    });
+  });
+
+  describe("bundles", () => {
+    const pendingJob = {
+      id: "batch-1",
+      templateId: "tpl-1",
+      userId: "user-1",
+      outputType: "pdf",
+      status: "processing",
+      leaseOwner: "worker-1",
+      bundle: "zip",
+    };
+
+    beforeEach(() => {
+      mockChunks([{ name: "A" }, { name: "B" }]);
+    });
+
+    test("createBatchJob stores the bundle option", async () => {
+      prisma.batchJob.create.mockResolvedValue({ id: "batch-1" });
+      prisma.batchJob.update.mockResolvedValue({ id: "batch-1" });
+
+      await createBatchJob({ templateId: "tpl-1", rows: [{ name: "A" }], outputType: "pdf", userId: "user-1", bundle: "pdf" });
+
+      expect(prisma.batchJob.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ bundle: "pdf" }),
+      });
+    });
+
+    test("processBatchJob bundles the outputs before completing", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue(pendingJob);
+      prisma.batchJob.update.mockResolvedValue({});
+      createBundle.mockResolvedValue("s3://bucket/outputs/bundles/batch-batch-1.zip");
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(createBundle).toHaveBeenCalledWith({
+        batchJobId: "batch-1",
+        bundle: "zip",
+        results: [
+          expect.objectContaining({ rowIndex: 0, success: true, filePath: "s3://bucket/outputs/test.pdf" }),
+          expect.objectContaining({ rowIndex: 1, success: true }),
+        ],
+      });
+      expect(prisma.batchJob.updateMany).toHaveBeenLastCalledWith({
+        where: { id: "batch-1", leaseOwner: "worker-1" },
+        data: expect.objectContaining({
+          status: "completed",
+          bundlePath: "s3://bucket/outputs/bundles/batch-batch-1.zip",
+        }),
+      });
+    });
+
+    test("a bundle that can't be built leaves the batch completed with an error", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue(pendingJob);
+      prisma.batchJob.update.mockResolvedValue({});
+      createBundle.mockRejectedValue(new Error("No outputs to bundle"));
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(prisma.batchJob.updateMany).toHaveBeenLastCalledWith({
+        where: { id: "batch-1", leaseOwner: "worker-1" },
+        data: expect.objectContaining({
+          status: "completed",
+          error: "Could not create the zip bundle: No outputs to bundle",
+        }),
+      });
+    });
+
+    test("processBatchJob doesn't bundle without the option", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({ ...pendingJob, bundle: null });
+      prisma.batchJob.update.mockResolvedValue({});
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(createBundle).not.toHaveBeenCalled();
+    });
+
+    test("bundleInlineResults records a completed batch job and links the bundle", async () => {
+      prisma.batchJob.create.mockResolvedValue({ id: "batch-9", bundle: "zip" });
+      prisma.batchJob.update.mockImplementation(async ({ data }) => ({ id: "batch-9", bundle: "zip", ...data }));
+      createBundle.mockResolvedValue("s3://bucket/outputs/bundles/batch-batch-9.zip");
+
+      const batchJob = await bundleInlineResults({
+        templateId: "tpl-1",
+        outputType: "docx",
+        userId: "user-1",
+        bundle: "zip",
+        results: [
+          { rowIndex: 0, success: true, job: { jobId: 11, filePath: "s3://bucket/outputs/a.docx" } },
+          { rowIndex: 1, success: false, error: "Invalid merge data", fieldErrors: [{ field: "email" }] },
+        ],
+      });
+
+      const rowResults = [
+        { rowIndex: 0, success: true, mergeJobId: 11, filePath: "s3://bucket/outputs/a.docx" },
+        { rowIndex: 1, success: false, error: "Invalid merge data", fieldErrors: [{ field: "email" }] },
+      ];
+      expect(prisma.batchJob.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          status: "completed",
+          bundle: "zip",
+          totalRows: 2,
+          processedRows: 2,
+          failedRows: 1,
+          chunks: {
+            create: expect.objectContaining({ index: 0, firstRow: 0, rowCount: 2, rows: [], results: rowResults, failedRows: 1 }),
+          },
+        }),
+      });
+      expect(createBundle).toHaveBeenCalledWith({ batchJobId: "batch-9", bundle: "zip", results: rowResults });
+      expect(batchJob.bundlePath).toBe("s3://bucket/outputs/bundles/batch-batch-9.zip");
+    });
+  });
+
+  describe("retryBatchJob", () => {
+    const finishedJob = {
+      id: "batch-1",
+      templateId: "tpl-1",
+      userId: "user-1",
+      outputType: "pdf",
+      bundle: null,
+      status: "completed",
+    };
+    const rows = ["A", "B", "C", "D", "E"].map((name) => ({ name }));
+
+    // chunks of two rows, with rows 1 and 4 failed
+    function mockFinishedChunks() {
+      const chunks = mockChunks(rows, { size: 2, processed: [0, 1, 2] });
+      chunks.forEach((chunk) => {
+        chunk.results = chunk.rows.map((_, i) => {
+          const rowIndex = chunk.firstRow + i;
+          return [1, 4].includes(rowIndex)
+            ? { rowIndex, success: false, error: "email is required" }
+            : { rowIndex, success: true, mergeJobId: `job-${rowIndex}` };
+        });
+      });
+      return chunks;
+    }
+
+    beforeEach(() => {
+      prisma.batchJob.findUnique.mockResolvedValue(finishedJob);
+      prisma.batchJob.create.mockResolvedValue({ id: "batch-2", status: "ingesting" });
+      prisma.batchJob.update.mockImplementation(async ({ data }) => ({ id: "batch-2", ...data }));
+    });
+
+    test("should queue the failed rows as a batch linked to the original", async () => {
+      mockFinishedChunks();
+
+      const result = await retryBatchJob("batch-1", "user-1");
+
+      expect(prisma.batchJob.create).toHaveBeenCalledWith({
+        data: {
+          templateId: "tpl-1",
+          userId: "user-1",
+          outputType: "pdf",
+          retryOfId: "batch-1",
+          totalRows: 0,
+          status: "ingesting",
+        },
+      });
+      expect(prisma.batchJobChunk.create).toHaveBeenCalledWith({
+        data: {
+          batchJobId: "batch-2",
+          index: 0,
+          firstRow: 0,
+          rowCount: 2,
+          rows: [{ name: "B" }, { name: "E" }],
+          sourceRows: [1, 4],
+        },
+      });
+      expect(result).toEqual({ id: "batch-2", totalRows: 2, status: "pending" });
+    });
+
+    test("should run corrected data in place of the failed row's", async () => {
+      mockFinishedChunks();
+
+      await retryBatchJob("batch-1", "user-1", {
+        rows: [{ rowIndex: 4, data: { name: "E", email: "=cmd()" } }],
+      });
+
+      expect(prisma.batchJobChunk.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          // corrections are sanitized like uploaded rows
+          rows: [{ name: "B" }, { name: "E", email: "'=cmd()" }],
+          sourceRows: [1, 4],
+        }),
+      });
+    });
+
+    test("should include the rows a failed batch never reached", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({ ...finishedJob, status: "failed" });
+      const chunks = mockFinishedChunks();
+      chunks[2].processedAt = null;
+      chunks[2].results = null;
+
+      await retryBatchJob("batch-1", "user-1");
+
+      expect(prisma.batchJobChunk.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ rows: [{ name: "B" }, { name: "E" }], sourceRows: [1, 4] }),
+      });
+    });
+
+    test("should include the rows a cancelled batch stopped before", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({ ...finishedJob, status: "cancelled" });
+      const chunks = mockFinishedChunks();
+      chunks[1].processedAt = null;
+      chunks[1].results = [{ rowIndex: 2, success: true, mergeJobId: "job-2" }];
+      chunks[2].processedAt = null;
+      chunks[2].results = null;
+
+      await retryBatchJob("batch-1", "user-1");
+
+      expect(prisma.batchJobChunk.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ rows: [{ name: "B" }, { name: "D" }, { name: "E" }], sourceRows: [1, 3, 4] }),
+      });
+    });
+
+    test("should return null when the batch job isn't the user's", async () => {
+      expect(await retryBatchJob("batch-1", "other-user")).toBeNull();
+      expect(prisma.batchJob.create).not.toHaveBeenCalled();
+    });
+
+    test("should refuse a batch job that is still running", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({ ...finishedJob, status: "processing" });
+
+      await expect(retryBatchJob("batch-1", "user-1")).rejects.toMatchObject({ status: 409 });
+      expect(prisma.batchJob.create).not.toHaveBeenCalled();
+    });
+
+    test("should refuse a batch job without failed rows", async () => {
+      mockChunks(rows, { size: 5, processed: [0] })[0].results = rows.map((_, rowIndex) => ({ rowIndex, success: true }));
+
+      await expect(retryBatchJob("batch-1", "user-1")).rejects.toMatchObject({
+        status: 409,
+        message: "Batch job has no failed rows to retry",
+      });
+    });
+
+    test("should refuse corrections for rows that didn't fail", async () => {
+      mockFinishedChunks();
+
+      await expect(
+        retryBatchJob("batch-1", "user-1", { rows: [{ rowIndex: 0, data: { name: "A" } }] })
+      ).rejects.toMatchObject({ status: 400, message: "Rows 0 did not fail and can't be corrected" });
+    });
+
+    test("should need corrections for failed rows whose data wasn't kept", async () => {
+      // inline merges keep results but not rows
+      prisma.batchJobChunk.findUnique.mockImplementation(async ({ where }) => (where.batchJobId_index.index === 0
+        ? {
+          id: "chunk-0",
+          index: 0,
+          firstRow: 0,
+          rowCount: 2,
+          rows: [],
+          results: [{ rowIndex: 0, success: true }, { rowIndex: 1, success: false, error: "boom" }],
+          processedAt: new Date(),
+        }
+        : null));
+
+      await expect(retryBatchJob("batch-1", "user-1")).rejects.toMatchObject({ status: 409 });
+
+      await retryBatchJob("batch-1", "user-1", { rows: [{ rowIndex: 1, data: { name: "B" } }] });
+      expect(prisma.batchJobChunk.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ rows: [{ name: "B" }], sourceRows: [1] }),
+      });
+    });
+
+    test("should record which original row each retried row re-runs", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({ ...finishedJob, status: "processing", leaseOwner: "worker-1" });
+      prisma.batchJob.update.mockResolvedValue({});
+      const [chunk] = mockChunks([{ name: "B" }, { name: "E" }]);
+      chunk.sourceRows = [1, 4];
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(chunk.results.map(({ rowIndex, sourceRowIndex }) => ({ rowIndex, sourceRowIndex }))).toEqual([
+        { rowIndex: 0, sourceRowIndex: 1 },
+        { rowIndex: 1, sourceRowIndex: 4 },
+      ]);
+    });
+  });
+
   describe("getBatchJobStatus", () => {
     test("should return null if batch job not found", async () => {
       prisma.batchJob.findUnique.mockResolvedValue(null);
@@ -397,7 +1062,7 @@ describe("batchJob.service", () => {
         totalRows: 100,
         processedRows: 50,
         failedRows: 2,
-        results: [],
+        chunks: [],
         error: null,
         createdAt: new Date("2024-01-01"),
         startedAt: new Date("2024-01-01"),
@@ -416,6 +1081,27 @@ describe("batchJob.service", () => {
       }));
     });
 
+    test("should return the results of processed chunks in row order", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({
+        id: "batch-1",
+        userId: "user-1",
+        totalRows: 3,
+        processedRows: 2,
+        chunks: [
+          { results: [{ rowIndex: 0, success: true }, { rowIndex: 1, success: false }] },
+          { results: null },
+        ],
+      });
+
+      const result = await getBatchJobStatus("batch-1", "user-1");
+
+      expect(result.chunks).toBeUndefined();
+      expect(result.results).toEqual([
+        { rowIndex: 0, success: true },
+        { rowIndex: 1, success: false },
+      ]);
+    });
+
     test("should calculate progress correctly", async () => {
       prisma.batchJob.findUnique.mockResolvedValue({
         id: "batch-1",
@@ -443,6 +1129,151 @@ describe("batchJob.service", () => {
     });
   });
 
+  describe("readBatchJobProgress", () => {
+    const job = {
+      userId: "user-1",
+      status: "processing",
+      totalRows: 4,
+      processedRows: 3,
+      failedRows: 1,
+      error: null,
+      bundlePath: null,
+      completedAt: null,
+    };
+
+    test("should return the counters and the results from a row on", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue(job);
+      prisma.batchJobChunk.findFirst.mockResolvedValue({ index: 0 });
+      prisma.batchJobChunk.findMany.mockResolvedValue([
+        { results: [{ rowIndex: 0, success: true }, { rowIndex: 1, success: false, error: "boom" }] },
+        { results: [{ rowIndex: 2, success: true }] },
+      ]);
+
+      const result = await readBatchJobProgress("batch-1", "user-1", 1);
+
+      expect(result).toEqual({
+        status: "processing",
+        totalRows: 4,
+        processedRows: 3,
+        failedRows: 1,
+        error: null,
+        bundlePath: null,
+        completedAt: null,
+        results: [{ rowIndex: 1, success: false, error: "boom" }, { rowIndex: 2, success: true }],
+      });
+      expect(prisma.batchJobChunk.findFirst).toHaveBeenCalledWith({
+        where: { batchJobId: "batch-1", firstRow: { lte: 1 } },
+        orderBy: { index: "desc" },
+        select: { index: true },
+      });
+      expect(prisma.batchJobChunk.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { batchJobId: "batch-1", index: { in: [0, 1] } },
+      }));
+    });
+
+    test("should return no results for a job without chunks", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({ ...job, status: "ingesting" });
+      prisma.batchJobChunk.findFirst.mockResolvedValue(null);
+
+      const result = await readBatchJobProgress("batch-1", "user-1");
+
+      expect(result.results).toEqual([]);
+      expect(prisma.batchJobChunk.findMany).not.toHaveBeenCalled();
+    });
+
+    test("should return null for a job the user doesn't own", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue(job);
+
+      expect(await readBatchJobProgress("batch-1", "other-user")).toBeNull();
+      expect(prisma.batchJobChunk.findFirst).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("watchBatchJob", () => {
+    const state = {
+      status: "processing",
+      totalRows: 4,
+      processedRows: 2,
+      failedRows: 0,
+      error: null,
+      bundlePath: null,
+      completedAt: null,
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      prisma.batchJob.findUnique.mockResolvedValue(state);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should read a job once per poll for everyone following it", async () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      const stopFirst = watchBatchJob("batch-1", first);
+      const stopSecond = watchBatchJob("batch-1", second);
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(prisma.batchJob.findUnique).toHaveBeenCalledTimes(1);
+      expect(prisma.batchJob.findUnique).toHaveBeenCalledWith({
+        where: { id: "batch-1" },
+        select: expect.not.objectContaining({ userId: true }),
+      });
+      expect(first).toHaveBeenCalledWith(state);
+      expect(second).toHaveBeenCalledWith(state);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(prisma.batchJob.findUnique).toHaveBeenCalledTimes(2);
+
+      stopFirst();
+      stopSecond();
+    });
+
+    test("should read straight away when a job in this process changes status", async () => {
+      const listener = jest.fn();
+      const stop = watchBatchJob("batch-1", listener);
+
+      batchJobEvents.emit("progress", { batchJobId: "batch-1", processedRows: 3, failedRows: 0, result: { rowIndex: 2 } });
+      batchJobEvents.emit("progress", { batchJobId: "other-batch" });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(prisma.batchJob.findUnique).not.toHaveBeenCalled();
+
+      batchJobEvents.emit("progress", { batchJobId: "batch-1" });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(listener).toHaveBeenCalledWith(state);
+
+      stop();
+    });
+
+    test("should tell its followers once the job is deleted", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue(null);
+      const listener = jest.fn();
+      const stop = watchBatchJob("batch-1", listener);
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(listener).toHaveBeenCalledWith(null);
+      stop();
+    });
+
+    test("should stop reading once the last follower stops", async () => {
+      const stopFirst = watchBatchJob("batch-1", jest.fn());
+      const stopSecond = watchBatchJob("batch-1", jest.fn());
+
+      stopFirst();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(prisma.batchJob.findUnique).toHaveBeenCalledTimes(1);
+
+      stopSecond();
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(prisma.batchJob.findUnique).toHaveBeenCalledTimes(1);
+      expect(batchJobEvents.listenerCount("progress")).toBe(0);
+    });
+  });
+
   describe("listBatchJobs", () => {
     test("should return list of batch jobs for user", async () => {
       prisma.batchJob.findMany.mockResolvedValue([
@@ -513,57 +1344,392 @@ describe("batchJob.service", () => {
     });
   });
 
-  describe("resumePendingBatchJobs", () => {
-    test("should resume pending and processing jobs", async () => {
-      jest.useFakeTimers();
+  describe("recoverBatchJobs", () => {
+    test("should remove jobs abandoned while ingesting", async () => {
+      prisma.batchJob.deleteMany.mockResolvedValue({ count: 1 });
+      prisma.batchJob.findMany.mockResolvedValue([]);
 
-      prisma.batchJob.findMany.mockResolvedValue([
-        { id: "batch-1" },
-        { id: "batch-2" },
-      ]);
+      await recoverBatchJobs();
+
+      expect(prisma.batchJob.deleteMany).toHaveBeenCalledWith({
+        where: { status: "ingesting", createdAt: { lt: expect.any(Date) } },
+      });
+      expect(logger.warn).toHaveBeenCalledWith({ count: 1 }, "Removed batch jobs abandoned while ingesting");
+    });
+
+    test("should leave queued and running jobs to the workers' leases", async () => {
+      prisma.batchJob.deleteMany.mockResolvedValue({ count: 0 });
+      prisma.batchJob.findMany.mockResolvedValue([]);
+
+      await recoverBatchJobs();
+
+      expect(prisma.batchJob.findMany).toHaveBeenCalledTimes(1);
+      expect(prisma.batchJob.update).not.toHaveBeenCalled();
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    test("should finish deleting outputs of cancelled jobs", async () => {
+      prisma.batchJob.findMany.mockResolvedValue([{ id: "batch-3" }]);
       prisma.batchJob.update.mockResolvedValue({});
-      prisma.batchJob.findUnique.mockResolvedValue(null);
+      mockChunks([{ name: "A" }], { processed: [0] })[0].results = [
+        { rowIndex: 0, success: true, mergeJobId: 7, filePath: "s3://bucket/outputs/a.pdf" },
+      ];
+      prisma.mergeJob.deleteMany.mockResolvedValue({ count: 1 });
 
-      await resumePendingBatchJobs();
+      await recoverBatchJobs();
 
-      // Should reset both jobs to pending
-      expect(prisma.batchJob.update).toHaveBeenCalledWith({
-        where: { id: "batch-1" },
-        data: { status: "pending" },
+      expect(prisma.batchJob.findMany).toHaveBeenCalledWith({
+        where: { status: "cancelled", discardOutputs: true },
+        select: { id: true },
       });
+      expect(prisma.mergeJob.deleteMany).toHaveBeenCalledWith({ where: { id: { in: [7] } } });
       expect(prisma.batchJob.update).toHaveBeenCalledWith({
-        where: { id: "batch-2" },
-        data: { status: "pending" },
+        where: { id: "batch-3" },
+        data: { discardOutputs: false },
       });
+    });
+  });
 
-      expect(logger.info).toHaveBeenCalledWith(
-        { count: 2 },
-        "Resuming pending batch jobs"
+  describe("claimBatchJob", () => {
+    test("should return the job it leased", async () => {
+      prisma.$queryRaw.mockResolvedValueOnce([{ id: "batch-1", attempts: 1 }]);
+
+      expect(await claimBatchJob("worker-1")).toEqual({ id: "batch-1", attempts: 1 });
+      expect(prisma.$queryRaw.mock.calls[0][0].join("?")).toContain("FOR UPDATE SKIP LOCKED");
+      expect(prisma.$queryRaw.mock.calls[0]).toContain("worker-1");
+    });
+
+    test("should skip the jobs of deactivated users", async () => {
+      prisma.$queryRaw.mockResolvedValueOnce([]);
+
+      await claimBatchJob("worker-1");
+      expect(prisma.$queryRaw.mock.calls[0][0].join("?")).toContain(
+        'NOT EXISTS (SELECT 1 FROM "User" WHERE "User"."id" = "BatchJob"."userId" AND NOT "User"."isActive")'
       );
+    });
+
+    test("should return null when the queue is empty", async () => {
+      prisma.$queryRaw.mockResolvedValueOnce([]);
+
+      expect(await claimBatchJob("worker-1")).toBeNull();
+    });
+
+    test("should give up a job that keeps stopping its workers and claim the next", async () => {
+      prisma.$queryRaw
+        .mockResolvedValueOnce([{ id: "batch-1", attempts: 6 }])
+        .mockResolvedValueOnce([{ id: "batch-2", attempts: 1 }]);
+      prisma.batchJob.update.mockResolvedValue({});
+
+      expect(await claimBatchJob("worker-1")).toEqual({ id: "batch-2", attempts: 1 });
+      expect(prisma.batchJob.update).toHaveBeenCalledWith({
+        where: { id: "batch-1" },
+        data: expect.objectContaining({ status: "failed", leaseOwner: null, leaseExpiresAt: null }),
+      });
+    });
+  });
+
+  describe("renewBatchLease", () => {
+    test("should report whether the worker still holds the lease", async () => {
+      prisma.$executeRaw.mockResolvedValueOnce(1).mockResolvedValueOnce(0);
+
+      expect(await renewBatchLease("batch-1", "worker-1")).toBe(true);
+      expect(await renewBatchLease("batch-1", "worker-1")).toBe(false);
+      expect(prisma.$executeRaw.mock.calls[0]).toEqual(expect.arrayContaining(["batch-1", "worker-1"]));
+    });
+
+    test("should stop renewing once the job's user is deactivated", async () => {
+      prisma.$executeRaw.mockResolvedValueOnce(0);
+
+      expect(await renewBatchLease("batch-1", "worker-1")).toBe(false);
+      expect(prisma.$executeRaw.mock.calls[0][0].join("?")).toContain('AND NOT "User"."isActive"');
+    });
+  });
+
+  describe("pause, resume and cancel", () => {
+    const job = { id: "batch-1", userId: "user-1", status: "processing" };
+
+    beforeEach(() => {
+      prisma.batchJob.findUnique.mockResolvedValue(job);
+      prisma.batchJob.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    test("pauses a queued or running job", async () => {
+      expect(await pauseBatchJob("batch-1", "user-1")).toEqual({ id: "batch-1", status: "paused" });
+      expect(prisma.batchJob.updateMany).toHaveBeenCalledWith({
+        where: { id: "batch-1", status: { in: ["pending", "processing"] } },
+        data: { status: "paused" },
+      });
+    });
+
+    test("refuses to pause a job that has finished in the meantime", async () => {
+      prisma.batchJob.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(pauseBatchJob("batch-1", "user-1")).rejects.toMatchObject({ status: 409 });
+    });
+
+    test("returns null for a job the user doesn't own", async () => {
+      expect(await pauseBatchJob("batch-1", "other-user")).toBeNull();
+      expect(await resumeBatchJob("batch-1", "other-user")).toBeNull();
+      expect(await cancelBatchJob("batch-1", "other-user")).toBeNull();
+      expect(prisma.batchJob.updateMany).not.toHaveBeenCalled();
+    });
+
+    test("resumes a paused job and queues it for processing", async () => {
+      jest.useFakeTimers();
+      prisma.batchJob.findUnique.mockResolvedValue({ ...job, status: "paused" });
+
+      expect(await resumeBatchJob("batch-1", "user-1")).toEqual({ id: "batch-1", status: "pending" });
+      expect(prisma.batchJob.updateMany).toHaveBeenCalledWith({
+        where: { id: "batch-1", status: { in: ["paused"] } },
+        data: { status: "pending" },
+      });
 
       jest.useRealTimers();
     });
 
-    test("should not log if no pending jobs", async () => {
-      prisma.batchJob.findMany.mockResolvedValue([]);
+    test("refuses to resume a job that isn't paused", async () => {
+      prisma.batchJob.updateMany.mockResolvedValue({ count: 0 });
 
-      await resumePendingBatchJobs();
+      await expect(resumeBatchJob("batch-1", "user-1")).rejects.toMatchObject({
+        status: 409,
+        message: "A processing batch job can't be resumed",
+      });
+    });
 
-      expect(logger.info).not.toHaveBeenCalled();
-      expect(prisma.batchJob.update).not.toHaveBeenCalled();
+    test("cancels a job and keeps its outputs by default", async () => {
+      expect(await cancelBatchJob("batch-1", "user-1")).toEqual({ id: "batch-1", status: "cancelled", deletedOutputs: 0 });
+      expect(prisma.batchJob.updateMany).toHaveBeenCalledWith({
+        where: { id: "batch-1", status: { in: ["pending", "processing", "paused"] } },
+        data: { status: "cancelled", discardOutputs: false, completedAt: expect.any(Date) },
+      });
+      expect(prisma.mergeJob.deleteMany).not.toHaveBeenCalled();
     });
 
-    test("should query for pending and processing jobs", async () => {
-      prisma.batchJob.findMany.mockResolvedValue([]);
+    test("sends the callback of a cancelled job", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({ ...job, callbackUrl: "https://example.com/hooks" });
 
-      await resumePendingBatchJobs();
+      await cancelBatchJob("batch-1", "user-1");
 
-      expect(prisma.batchJob.findMany).toHaveBeenCalledWith({
-        where: {
-          status: { in: ["pending", "processing"] },
-        },
-        select: { id: true },
+      expect(queueWebhookDelivery).toHaveBeenCalledWith(expect.objectContaining({
+        event: "batch.cancelled",
+        data: expect.objectContaining({ batchJobId: "batch-1", status: "cancelled" }),
+      }));
+    });
+
+    test("deletes the outputs of a paused job when cancelling it", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({ ...job, status: "paused" });
+      prisma.batchJob.update.mockResolvedValue({});
+      mockChunks([{ name: "A" }, { name: "B" }], { processed: [0] })[0].results = [
+        { rowIndex: 0, success: true, mergeJobId: 11, filePath: "s3://bucket/outputs/a.pdf" },
+        { rowIndex: 1, success: false, error: "boom" },
+      ];
+      prisma.mergeJob.deleteMany.mockResolvedValue({ count: 1 });
+
+      const result = await cancelBatchJob("batch-1", "user-1", { deleteOutputs: true });
+
+      expect(result).toEqual({ id: "batch-1", status: "cancelled", deletedOutputs: 1 });
+      expect(s3.send.mock.calls[0][0].input).toEqual({ Bucket: process.env.S3_BUCKET, Key: "outputs/a.pdf" });
+      expect(prisma.mergeJob.deleteMany).toHaveBeenCalledWith({ where: { id: { in: [11] } } });
+    });
+
+    test("leaves deleting a running job's outputs to its worker", async () => {
+      const result = await cancelBatchJob("batch-1", "user-1", { deleteOutputs: true });
+
+      expect(result).toEqual({ id: "batch-1", status: "cancelled", deletedOutputs: null });
+      expect(prisma.mergeJob.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test("refuses to cancel a finished job", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({ ...job, status: "completed" });
+      prisma.batchJob.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(cancelBatchJob("batch-1", "user-1")).rejects.toMatchObject({
+        status: 409,
+        message: "A completed batch job can't be cancelled",
+      });
+    });
+
+    test("deletes output records even when a file is already gone", async () => {
+      prisma.batchJob.update.mockResolvedValue({});
+      mockChunks([{ name: "A" }], { processed: [0] })[0].results = [
+        { rowIndex: 0, success: true, mergeJobId: 3, filePath: "s3://bucket/outputs/a.pdf" },
+      ];
+      s3.send.mockRejectedValue(new Error("NoSuchKey"));
+      prisma.mergeJob.deleteMany.mockResolvedValue({ count: 1 });
+
+      expect(await discardBatchOutputs("batch-1")).toBe(1);
+      expect(logger.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe("stopping while processing", () => {
+    const pendingJob = {
+      id: "batch-1",
+      templateId: "tpl-1",
+      userId: "user-1",
+      outputType: "pdf",
+      totalRows: 3,
+      status: "processing",
+      leaseOwner: "worker-1",
+    };
+    const rows = ["A", "B", "C"].map((name) => ({ name }));
+
+    beforeEach(() => {
+      prisma.batchJob.update.mockResolvedValue({});
+      prisma.batchJobChunk.aggregate.mockResolvedValue({ _sum: { rowCount: null, failedRows: null } });
+    });
+
+    // status the worker sees before each row, after loading the job
+    function mockStatuses(...statuses) {
+      prisma.batchJob.findUnique.mockResolvedValueOnce(pendingJob);
+      statuses.forEach((status) => {
+        prisma.batchJob.findUnique.mockResolvedValueOnce({ status, discardOutputs: false, leaseOwner: "worker-1" });
       });
+    }
+
+    test("stores the chunk's results so far and stops when paused", async () => {
+      mockStatuses("processing", "paused");
+      const [chunk] = mockChunks(rows);
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(mergeTemplate).toHaveBeenCalledTimes(1);
+      expect(chunk.results).toEqual([expect.objectContaining({ rowIndex: 0, success: true })]);
+      expect(chunk.processedAt).toBeNull();
+      expect(prisma.batchJob.updateMany).toHaveBeenLastCalledWith({
+        where: { id: "batch-1", leaseOwner: "worker-1" },
+        data: { processedRows: 1, failedRows: 0, leaseOwner: null, leaseExpiresAt: null },
+      });
+    });
+
+    test("carries on from the next row when resumed", async () => {
+      mockStatuses("processing", "processing", "processing");
+      const [chunk] = mockChunks(rows);
+      chunk.results = [{ rowIndex: 0, success: false, error: "boom" }];
+      chunk.failedRows = 1;
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(mergeTemplate.mock.calls.map(([{ data }]) => data.name)).toEqual(["B", "C"]);
+      expect(chunk.results.map((r) => r.rowIndex)).toEqual([0, 1, 2]);
+      expect(prisma.batchJob.updateMany).toHaveBeenLastCalledWith({
+        where: { id: "batch-1", leaseOwner: "worker-1" },
+        data: expect.objectContaining({ status: "completed", processedRows: 3, failedRows: 1 }),
+      });
+    });
+
+    test("deletes the outputs it produced when cancelled with deleteOutputs", async () => {
+      prisma.batchJob.findUnique
+        .mockResolvedValueOnce(pendingJob)
+        .mockResolvedValueOnce({ status: "processing", leaseOwner: "worker-1" })
+        .mockResolvedValueOnce({ status: "cancelled", discardOutputs: true, leaseOwner: "worker-1" });
+      const [chunk] = mockChunks(rows);
+      prisma.mergeJob.deleteMany.mockResolvedValue({ count: 1 });
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(mergeTemplate).toHaveBeenCalledTimes(1);
+      expect(chunk.results).toHaveLength(1);
+      expect(prisma.mergeJob.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ["job-123"] } } });
+      expect(prisma.batchJob.updateMany).not.toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ status: "completed" }),
+      }));
+    });
+
+    test("stops without writing once another worker holds the lease", async () => {
+      prisma.batchJob.findUnique
+        .mockResolvedValueOnce(pendingJob)
+        .mockResolvedValueOnce({ status: "processing", discardOutputs: false, leaseOwner: "worker-2" });
+      mockChunks(rows);
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(mergeTemplate).not.toHaveBeenCalled();
+      expect(prisma.batchJob.updateMany).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledWith({ batchJobId: "batch-1", workerId: "worker-1" }, "Lost the lease on batch job");
+    });
+
+    test("neither completes nor sends the callback once the lease was taken over before the last write", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue({ ...pendingJob, callbackUrl: "https://example.com/hooks" });
+      mockChunks(rows);
+      // the counters after the chunk still land; the completion finds another worker's lease
+      prisma.batchJob.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 });
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(prisma.batchJob.updateMany).toHaveBeenLastCalledWith({
+        where: { id: "batch-1", leaseOwner: "worker-1" },
+        data: expect.objectContaining({ status: "completed" }),
+      });
+      expect(queueWebhookDelivery).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledWith({ batchJobId: "batch-1", workerId: "worker-1" }, "Lost the lease on batch job");
+    });
+
+    test("doesn't mark the job failed once another worker holds the lease", async () => {
+      prisma.batchJob.findUnique.mockResolvedValue(pendingJob);
+      prisma.batchJobChunk.aggregate.mockRejectedValueOnce(new Error("db down"));
+      prisma.batchJob.updateMany.mockResolvedValue({ count: 0 });
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(prisma.batchJob.updateMany).toHaveBeenCalledTimes(1);
+      expect(logger.error).not.toHaveBeenCalledWith(expect.anything(), "Batch job failed");
+      expect(queueWebhookDelivery).not.toHaveBeenCalled();
+    });
+
+    test("stops at a progress write once another worker holds the lease", async () => {
+      mockStatuses("processing");
+      mockChunks(rows);
+      prisma.batchJob.updateMany.mockResolvedValue({ count: 0 });
+
+      await processBatchJob("batch-1", "worker-1");
+
+      // the progress write after the first row found the lease gone
+      expect(mergeTemplate).toHaveBeenCalledTimes(1);
+      expect(prisma.batchJob.updateMany).toHaveBeenCalledTimes(1);
+    });
+
+    test("hands the job back to the queue on shutdown", async () => {
+      mockStatuses("processing", "processing");
+      prisma.batchJob.updateMany.mockResolvedValue({ count: 1 });
+      const controller = new AbortController();
+      const [chunk] = mockChunks(rows);
+      mergeTemplate.mockImplementationOnce(async () => {
+        controller.abort();
+        return { jobId: "job-123", filePath: "s3://bucket/outputs/a.pdf" };
+      });
+
+      await processBatchJob("batch-1", "worker-1", { signal: controller.signal });
+
+      expect(mergeTemplate).toHaveBeenCalledTimes(1);
+      expect(chunk.results).toHaveLength(1);
+      expect(prisma.batchJob.updateMany).toHaveBeenCalledWith({
+        where: { id: "batch-1", status: "processing" },
+        data: { status: "pending" },
+      });
+    });
+
+    test("skips a job another worker holds", async () => {
+      prisma.batchJob.findUnique.mockResolvedValueOnce({ ...pendingJob, leaseOwner: "worker-2" });
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(prisma.batchJobChunk.findUnique).not.toHaveBeenCalled();
+    });
+
+    test("keeps a cancel that came in with the last row", async () => {
+      mockStatuses("processing", "processing", "processing", "cancelled");
+      mockChunks(rows);
+
+      await processBatchJob("batch-1", "worker-1");
+
+      expect(mergeTemplate).toHaveBeenCalledTimes(3);
+      expect(prisma.batchJob.updateMany).not.toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ status: "completed" }),
+      }));
     });
   });
 
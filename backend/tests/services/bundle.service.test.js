@@ -0,0 +1,117 @@
+jest.mock("../../src/storage/supabase-storage");
+
+const AdmZip = require("adm-zip");
+const { PDFDocument } = require("pdf-lib");
+const { s3 } = require("../../src/storage/supabase-storage");
+const { bufferToStream } = require("../_helpers/stream");
+const { bundleProblem, bundleEntryName, createBundle } = require("../../src/services/bundle.service");
+
+const UUID = "0b7c9a52-3f1e-4d2a-9c61-5e8f0a1b2c3d";
+
+async function pdfWithPages(count) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < count; i++) doc.addPage();
+  return Buffer.from(await doc.save());
+}
+
+// serves stored outputs by key and captures the uploaded bundle
+function mockStorage(files) {
+  const uploads = [];
+  s3.send.mockImplementation(async (command) => {
+    if (command.input.Body) {
+      uploads.push(command.input);
+      return {};
+    }
+    return { Body: bufferToStream(files[command.input.Key]) };
+  });
+  return uploads;
+}
+
+beforeAll(() => {
+  process.env.S3_BUCKET = "test-bucket";
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("bundle.service", () => {
+  describe("bundleProblem", () => {
+    test("accepts no bundle, zip for any output and pdf for pdf output", () => {
+      expect(bundleProblem(undefined, "docx")).toBeNull();
+      expect(bundleProblem("zip", "docx")).toBeNull();
+      expect(bundleProblem("pdf", "pdf")).toBeNull();
+    });
+
+    test("rejects unknown bundles and pdf bundles of other outputs", () => {
+      expect(bundleProblem("tar", "pdf")).toBe("Invalid bundle 'tar'. Allowed: zip, pdf");
+      expect(bundleProblem("pdf", "docx")).toBe("A merged PDF bundle needs outputType 'pdf'");
+    });
+  });
+
+  test("bundleEntryName drops the unique suffix", () => {
+    expect(bundleEntryName(`s3://test-bucket/outputs/Invoice-Ada-${UUID}.pdf`)).toBe("Invoice-Ada.pdf");
+    expect(bundleEntryName("s3://test-bucket/outputs/plain.docx")).toBe("plain.docx");
+  });
+
+  describe("createBundle", () => {
+    test("zips outputs in row order, skipping failed rows and numbering duplicate names", async () => {
+      const uploads = mockStorage({
+        [`outputs/Invoice-Ada-${UUID}.docx`]: Buffer.from("ada"),
+        [`outputs/Invoice-Ada-${UUID.replace("0b", "1c")}.docx`]: Buffer.from("ada again"),
+        [`outputs/Invoice-Bob-${UUID}.docx`]: Buffer.from("bob"),
+      });
+
+      const filePath = await createBundle({
+        batchJobId: "batch-1",
+        bundle: "zip",
+        results: [
+          { rowIndex: 2, success: true, filePath: `s3://test-bucket/outputs/Invoice-Ada-${UUID.replace("0b", "1c")}.docx` },
+          { rowIndex: 0, success: true, filePath: `s3://test-bucket/outputs/Invoice-Ada-${UUID}.docx` },
+          { rowIndex: 1, success: false, error: "Invalid merge data" },
+          { rowIndex: 3, success: true, filePath: `s3://test-bucket/outputs/Invoice-Bob-${UUID}.docx` },
+        ],
+      });
+
+      expect(filePath).toBe("s3://test-bucket/outputs/bundles/batch-batch-1.zip");
+      expect(uploads).toHaveLength(1);
+      expect(uploads[0]).toMatchObject({ Key: "outputs/bundles/batch-batch-1.zip", ContentType: "application/zip" });
+
+      const zip = new AdmZip(uploads[0].Body);
+      expect(zip.getEntries().map((e) => e.entryName).sort()).toEqual([
+        "Invoice-Ada (2).docx",
+        "Invoice-Ada.docx",
+        "Invoice-Bob.docx",
+      ]);
+      expect(zip.readAsText("Invoice-Ada.docx")).toBe("ada");
+      expect(zip.readAsText("Invoice-Ada (2).docx")).toBe("ada again");
+    });
+
+    test("appends PDF outputs into one document", async () => {
+      const uploads = mockStorage({
+        "outputs/a.pdf": await pdfWithPages(2),
+        "outputs/b.pdf": await pdfWithPages(1),
+      });
+
+      await createBundle({
+        batchJobId: "batch-2",
+        bundle: "pdf",
+        results: [
+          { rowIndex: 0, success: true, filePath: "s3://test-bucket/outputs/a.pdf" },
+          { rowIndex: 1, success: true, filePath: "s3://test-bucket/outputs/b.pdf" },
+        ],
+      });
+
+      expect(uploads[0]).toMatchObject({ Key: "outputs/bundles/batch-batch-2.pdf", ContentType: "application/pdf" });
+      const merged = await PDFDocument.load(uploads[0].Body);
+      expect(merged.getPageCount()).toBe(3);
+    });
+
+    test("throws when no row produced an output", async () => {
+      await expect(
+        createBundle({ batchJobId: "batch-3", bundle: "zip", results: [{ rowIndex: 0, success: false }] })
+      ).rejects.toThrow("No outputs to bundle");
+      expect(s3.send).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,7 +1,33 @@
 jest.mock("mammoth");
+// fill tests render real documents instead of using the root manual mocks
+jest.unmock("docxtemplater");
+jest.unmock("pizzip");
 const mammoth = require("mammoth");
+const PizZip = require("pizzip");
 
-const { extractDocxFields } = require("../../src/services/docxService");
+const { extractDocxFields, fillDocxTemplate } = require("../../src/services/docxService");
+const { pngDataUri } = require("../_helpers/images");
+const { BLANK } = require("../../src/utils/blank-values");
+
+// Helper to build a minimal DOCX whose body holds the given paragraph XML
+function createDocxBuffer(bodyXml) {
+  const zip = new PizZip();
+  zip.file(
+    "[Content_Types].xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>'
+  );
+  zip.file(
+    "_rels/.rels",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>'
+  );
+  zip.file(
+    "word/document.xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${bodyXml}</w:body></w:document>`
+  );
+  return zip.generate({ type: "nodebuffer" });
+}
+
+const paragraph = (text) => `<w:p><w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
 
 describe("docxService", () => {
   describe("extractDocxFields", () => {
@@ -83,4 +109,229 @@ describe("docxService", () => {
       expect(mammoth.extractRawText).toHaveBeenCalledWith({ buffer: buf });
     });
   });
+
+  describe("fillDocxTemplate image placeholders", () => {
+    test("extracts image tags by field name", async () => {
+      mammoth.extractRawText.mockResolvedValue({ value: "{{%logo}} {{ %signature }} {{name}}" });
+
+      const fields = await extractDocxFields(Buffer.from("fake-docx"));
+      expect(fields).toEqual(["logo", "signature", "name"]);
+    });
+
+    test("embeds an inline picture in its own run with the run's formatting", async () => {
+      const buf = createDocxBuffer(paragraph("Logo: {{%logo}} for {{name}}"));
+
+      const out = new PizZip(
+        await fillDocxTemplate(buf, { logo: { src: pngDataUri(40, 20), width: 96 }, name: "Acme" })
+      );
+      const xml = out.file("word/document.xml").asText();
+
+      expect(xml).toContain('<w:t xml:space="preserve">Logo: </w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:drawing>');
+      expect(xml).toContain('<wp:extent cx="914400" cy="457200"/>');
+      expect(xml).toContain('r:embed="rIdImg1"');
+      expect(xml).toContain('<w:t xml:space="preserve"> for Acme</w:t>');
+      expect(xml).not.toContain("docx-image");
+
+      expect(out.file("word/_rels/document.xml.rels").asText()).toContain(
+        'Id="rIdImg1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/image1.png"'
+      );
+      expect(out.file("word/media/image1.png")).not.toBeNull();
+      expect(out.file("[Content_Types].xml").asText()).toContain('<Default Extension="png" ContentType="image/png"/>');
+    });
+
+    test("embeds one picture per loop item", async () => {
+      const buf = createDocxBuffer(paragraph("{{#people}}{{%photo}}{{/people}}"));
+
+      const out = new PizZip(
+        await fillDocxTemplate(buf, { people: [{ photo: pngDataUri() }, { photo: pngDataUri() }] })
+      );
+      expect(out.file("word/document.xml").asText().match(/<w:drawing>/g)).toHaveLength(2);
+      expect(out.file("word/media/image2.png")).not.toBeNull();
+    });
+
+    test("rejects missing and invalid images with parse errors", async () => {
+      const buf = createDocxBuffer(paragraph("{{%logo}}"));
+
+      await expect(fillDocxTemplate(buf, {})).rejects.toMatchObject({
+        message: "TEMPLATE_PARSE_ERROR",
+        details: [expect.objectContaining({ id: "undefined_tag" })],
+      });
+      await expect(fillDocxTemplate(buf, { logo: "nope" })).rejects.toMatchObject({
+        status: 422,
+        details: [expect.objectContaining({ id: "invalid_image", file: "word/document.xml" })],
+      });
+    });
+  });
+
+  describe("barcode tags", () => {
+    test("reports barcode tags by the field they encode", async () => {
+      mammoth.extractRawText.mockResolvedValue({ value: "{{qr:trackingUrl}} {{ barcode128 : sku }} {{name}}" });
+
+      expect(await extractDocxFields(Buffer.from("fake-docx"))).toEqual(["trackingUrl", "sku", "name"]);
+    });
+
+    test("embeds the image generated into the tag's key", async () => {
+      const buf = createDocxBuffer(paragraph("{{#items}}{{barcode128:sku}}{{/items}}"));
+
+      const out = new PizZip(
+        await fillDocxTemplate(buf, {
+          items: [
+            { sku: "A-1", "barcode128:sku": pngDataUri(120, 40) },
+            { sku: "B-2", "barcode128:sku": pngDataUri(120, 40) },
+          ],
+        })
+      );
+      const xml = out.file("word/document.xml").asText();
+      expect(xml.match(/<w:drawing>/g)).toHaveLength(2);
+      expect(xml).not.toContain("A-1");
+    });
+  });
+
+  describe("optional fields", () => {
+    const documentXml = async (body, data, options) =>
+      new PizZip(await fillDocxTemplate(createDocxBuffer(body), data, options)).file("word/document.xml").asText();
+    const row = (text) => `<w:tr><w:tc><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:tc></w:tr>`;
+
+    test("removes paragraphs left holding only a blank field", async () => {
+      const xml = await documentXml(
+        paragraph("Dear {{first}} {{middle}}") + paragraph("{{middle}}") + paragraph("Regards"),
+        { first: "Ada", middle: BLANK }
+      );
+
+      expect(xml).toContain('<w:t xml:space="preserve">Dear Ada </w:t>');
+      expect(xml.match(/<w:p>/g)).toHaveLength(2);
+      expect(xml).not.toContain(BLANK);
+    });
+
+    test("drops the line break of a blank line", async () => {
+      const xml = await documentXml(
+        "<w:p><w:r><w:t>{{line1}}</w:t><w:br/><w:t>{{line2}}</w:t><w:br/><w:t>{{city}}</w:t></w:r></w:p>",
+        { line1: "1 Main St", line2: BLANK, city: "Springfield" }
+      );
+
+      expect(xml.match(/<w:br\/>/g)).toHaveLength(1);
+      expect(xml).toMatch(/1 Main St<\/w:t><w:t[^>]*><\/w:t><w:br\/><w:t[^>]*>Springfield/);
+    });
+
+    test("keeps page breaks", async () => {
+      const xml = await documentXml(
+        '<w:p><w:r><w:t>{{a}}</w:t><w:br w:type="page"/><w:t>{{b}}</w:t></w:r></w:p>',
+        { a: "first", b: BLANK }
+      );
+      expect(xml).toContain('<w:br w:type="page"/>');
+    });
+
+    test("removes blank table rows and keeps a paragraph in emptied cells", async () => {
+      const xml = await documentXml(
+        `<w:tbl>${row("Name")}${row("{{note}}")}</w:tbl>` +
+          '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>Only</w:t></w:r></w:p><w:p><w:r><w:t>{{note}}</w:t></w:r></w:p></w:tc></w:tr></w:tbl>',
+        { note: BLANK }
+      );
+
+      expect(xml.match(/<w:tr>/g)).toHaveLength(2);
+      expect(xml).toContain("<w:t>Name</w:t>");
+      expect(xml).toContain("<w:t>Only</w:t></w:r></w:p></w:tc>");
+    });
+
+    test("removes a table whose rows are all blank", async () => {
+      const xml = await documentXml(`<w:tbl>${row("{{note}}")}</w:tbl>${paragraph("after")}`, { note: BLANK });
+      expect(xml).not.toContain("<w:tbl>");
+      expect(xml).toContain("after");
+    });
+
+    test("hides sections whose optional field is blank", async () => {
+      const xml = await documentXml(paragraph("{{#vip}}VIP{{/vip}}{{^vip}}regular{{/vip}}"), { vip: BLANK });
+      expect(xml).toContain("regular");
+      expect(xml).not.toContain("VIP");
+    });
+
+    test("lets undefined optional tags through and still rejects required ones", async () => {
+      const body = paragraph("{{#items}}{{name}} {{note}}{{/items}}");
+      const data = { items: [{ name: "A" }] };
+
+      const xml = await documentXml(body, data, { optionalFields: ["items.note"] });
+      expect(xml).toContain('<w:t xml:space="preserve">A </w:t>');
+
+      await expect(fillDocxTemplate(createDocxBuffer(body), data)).rejects.toMatchObject({
+        message: "TEMPLATE_PARSE_ERROR",
+        details: [expect.objectContaining({ id: "undefined_tag" })],
+      });
+    });
+
+    test("leaves a blank image tag empty", async () => {
+      const xml = await documentXml(paragraph("Logo: {{%logo}}"), { logo: BLANK });
+      expect(xml).toContain('<w:t xml:space="preserve">Logo: </w:t>');
+      expect(xml).not.toContain("<w:drawing>");
+    });
+  });
+
+  describe("value filters", () => {
+    const documentXml = async (body, data, options) =>
+      new PizZip(await fillDocxTemplate(createDocxBuffer(body), data, options)).file("word/document.xml").asText();
+
+    test("extracts the field name of filtered tags", async () => {
+      mammoth.extractRawText.mockResolvedValue({
+        value: 'Total {{ total | currency:"EUR" }} due {{dueDate|date:"MMMM d, yyyy"}}',
+      });
+      expect(await extractDocxFields(Buffer.from("fake-docx"))).toEqual(["total", "dueDate"]);
+    });
+
+    test("formats values for the template's locale", async () => {
+      const xml = await documentXml(
+        paragraph('{{name | upper}} owes {{total | currency:"EUR"}} by {{due | date:"d MMMM yyyy"}}'),
+        { name: "Ada", total: 1234.5, due: "2026-10-19" },
+        { locale: "de-DE" }
+      );
+      expect(xml).toContain("ADA owes 1.234,50\u00a0€ by 19 Oktober 2026");
+    });
+
+    test("reads outer values from inside loops before falling back to default", async () => {
+      const xml = await documentXml(
+        paragraph('{{#items}}{{name}} {{currency | default:"USD"}} {{note | default:"-"}};{{/items}}'),
+        { currency: "EUR", items: [{ name: "a" }, { name: "b", currency: "GBP" }] }
+      );
+      expect(xml).toContain("a EUR -;b GBP -;");
+    });
+
+    test("rejects unknown filters", async () => {
+      await expect(fillDocxTemplate(createDocxBuffer(paragraph("{{name | shout}}")), { name: "Ada" })).rejects.toMatchObject({
+        status: 422,
+        details: [expect.objectContaining({ id: "unknown_filter", xtag: "{{name | shout}}" })],
+      });
+    });
+  });
+
+  describe("computed expressions", () => {
+    const documentXml = async (body, data) =>
+      new PizZip(await fillDocxTemplate(createDocxBuffer(body), data)).file("word/document.xml").asText();
+
+    test("extracts the fields expressions read", async () => {
+      mammoth.extractRawText.mockResolvedValue({ value: "{{name}} owes {{qty * price | currency:\"EUR\"}}" });
+      expect(await extractDocxFields(Buffer.from("fake-docx"))).toEqual(["name", "qty", "price"]);
+    });
+
+    test("renders the results the merge stored, including per loop item", async () => {
+      const xml = await documentXml(paragraph("{{#items}}{{qty * rate | number:2}};{{/items}} total {{sum(items, &quot;qty&quot;)}}"), {
+        'sum(items, "qty")': 8,
+        items: [{ "qty * rate": 6 }, { "qty * rate": 10 }],
+      });
+      expect(xml).toContain("6.00;10.00; total 8");
+    });
+
+    test("rejects expressions that don't parse", async () => {
+      await expect(fillDocxTemplate(createDocxBuffer(paragraph("{{qty * (price}}")), {})).rejects.toMatchObject({
+        status: 422,
+        details: [expect.objectContaining({ id: "invalid_expression" })],
+      });
+    });
+
+    test("renders names joined by an apostrophe, & or / as fields", async () => {
+      const xml = await documentXml(paragraph("{{Customer&apos;s Name}}, {{R&amp;D Budget}}, {{Qty/Unit}}"), {
+        "Customer's Name": "Ada",
+        "R&D Budget": 12,
+        "Qty/Unit": 3,
+      });
+      expect(xml).toContain("Ada, 12, 3");
+    });
+  });
 });
@@ -0,0 +1,120 @@
+// scanning reads real DOCX packages instead of the root manual mock
+jest.unmock("pizzip");
+const PizZip = require("pizzip");
+
+const {
+  findTemplateExpressions,
+  lintTemplateExpressions,
+  addExpressionValues,
+} = require("../../src/services/expression.service");
+const { parseExpression } = require("../../src/utils/expressions");
+
+const DOCX = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+const expression = (key) => ({ key, ast: parseExpression(key) });
+
+describe("expression.service", () => {
+  describe("findTemplateExpressions", () => {
+    test("finds unique expression tags in HTML, filters removed", async () => {
+      const html = Buffer.from(
+        '<p>{{name}} {{qty * price | currency:"EUR"}} {{ qty * price }} {{#items}}{{a + b}}{{/items}}</p>'
+      );
+
+      const expressions = await findTemplateExpressions(html, "text/html");
+      expect(expressions.map((e) => e.key)).toEqual(["qty * price", "a + b"]);
+      expect(expressions[0].ast).toEqual(parseExpression("qty * price"));
+    });
+
+    test("finds expressions split across DOCX runs", async () => {
+      const zip = new PizZip();
+      zip.file("word/document.xml", "<w:p><w:r><w:t>{{first + &quot; &quot;</w:t></w:r><w:r><w:t> + last}}</w:t></w:r></w:p>");
+
+      const expressions = await findTemplateExpressions(zip.generate({ type: "nodebuffer" }), DOCX);
+      expect(expressions.map((e) => e.key)).toEqual(['first + " " + last']);
+    });
+
+    test("leaves names joined by - / & or an apostrophe as fields", async () => {
+      const html = Buffer.from("{{Customer's Name}} {{R&D Budget}} {{Qty/Unit}} {{first-name}}");
+      expect(await findTemplateExpressions(html, "text/html")).toEqual([]);
+    });
+
+    test("rejects expressions that don't parse", async () => {
+      await expect(findTemplateExpressions(Buffer.from("{{qty * }}"), "text/html")).rejects.toMatchObject({
+        status: 422,
+        details: [expect.objectContaining({ id: "invalid_expression", xtag: "{{qty *}}" })],
+      });
+    });
+
+    test("leaves tags named like a template field as fields", async () => {
+      const html = Buffer.from("{{Name - Title}} {{qty * price}}");
+
+      const expressions = await findTemplateExpressions(html, "text/html", ["Name - Title", "qty"]);
+      expect(expressions.map((e) => e.key)).toEqual(["qty * price"]);
+    });
+  });
+
+  describe("lintTemplateExpressions", () => {
+    test("reports each expression tag that doesn't parse", async () => {
+      const html = Buffer.from(
+        '{{name}} {{qty * (price}} {{sum(items "total")}} {{foo(a)}} {{foo(a) | upper}} {{qty * price}} {{Qty/Unit}}'
+      );
+
+      expect(await lintTemplateExpressions(html, "text/html")).toEqual([
+        expect.objectContaining({ id: "invalid_expression", xtag: "{{qty * (price}}" }),
+        expect.objectContaining({ id: "invalid_expression", xtag: '{{sum(items "total")}}' }),
+        expect.objectContaining({ id: "unknown_function", xtag: "{{foo(a)}}" }),
+      ]);
+    });
+
+    test("reports nothing for a template whose expressions parse", async () => {
+      expect(await lintTemplateExpressions(Buffer.from("{{qty * price}} {{Customer's Name}}"), "text/html")).toEqual([]);
+    });
+
+    test("leaves a file whose text can't be read to field extraction", async () => {
+      expect(await lintTemplateExpressions(Buffer.from("not a zip"), DOCX)).toEqual([]);
+    });
+  });
+
+  describe("addExpressionValues", () => {
+    test("returns the data unchanged without expressions", () => {
+      const data = { qty: 1 };
+      expect(addExpressionValues(data, [])).toBe(data);
+    });
+
+    test("adds results at the root and on each loop item", () => {
+      const data = {
+        rate: 2,
+        items: [{ qty: 3 }, { qty: 5 }],
+      };
+
+      const out = addExpressionValues(data, [expression("qty * rate"), expression('sum(items, "qty")')]);
+
+      expect(out['sum(items, "qty")']).toBe(8);
+      expect(out["qty * rate"]).toBeUndefined();
+      expect(out.items).toEqual([
+        { qty: 3, "qty * rate": 6 },
+        { qty: 5, "qty * rate": 10 },
+      ]);
+      // the caller's data is left alone
+      expect(data.items[0]["qty * rate"]).toBeUndefined();
+    });
+
+    test("leaves nested objects that don't change the result alone", () => {
+      const logo = { src: "data:image/png;base64,AAAA" };
+      const out = addExpressionValues({ a: 1, b: 2, logo }, [expression("a + b")]);
+
+      expect(out).toEqual({ a: 1, b: 2, logo, "a + b": 3 });
+    });
+
+    test("skips expressions named like a key of the data", () => {
+      const data = { "Name - Title": "Ada - CTO", Name: "Ada", Title: "CTO", items: [{ "a / b": "1/2" }] };
+
+      const out = addExpressionValues(data, [expression("Name - Title"), expression("a / b")]);
+      expect(out).toBe(data);
+    });
+
+    test("throws evaluation errors", () => {
+      expect(() => addExpressionValues({ name: "abc" }, [expression("name * 2")])).toThrow("TEMPLATE_PARSE_ERROR");
+    });
+  });
+});
@@ -8,6 +8,7 @@ const {
   moveFolder,
   deleteFolder,
   moveTemplate,
+  moveFolderToWorkspace,
 } = require("../../src/services/folder.service");
 
 beforeEach(() => {
@@ -26,8 +27,12 @@ beforeEach(() => {
   prisma.template.updateMany.mockResolvedValue({ count: 0 });
   prisma.template.findUnique.mockResolvedValue(null);
   prisma.template.update.mockResolvedValue({});
+  prisma.workspaceMember.findUnique.mockResolvedValue(null);
 });
 
+// A workspace member's role, as permission.service looks it up
+const memberRole = (role) => prisma.workspaceMember.findUnique.mockResolvedValue({ role });
+
 describe("folder.service", () => {
   describe("getUserFolders", () => {
     test("returns folders for user ordered by depth and name", async () => {
@@ -41,7 +46,12 @@ describe("folder.service", () => {
 
       expect(result).toEqual(mockFolders);
       expect(prisma.folder.findMany).toHaveBeenCalledWith({
-        where: { userId: "user-1" },
+        where: {
+          OR: [
+            { workspaceId: null, userId: "user-1" },
+            { workspace: { members: { some: { userId: "user-1" } } } },
+          ],
+        },
         include: {
           _count: {
             select: {
@@ -75,9 +85,7 @@ describe("folder.service", () => {
     });
 
     test("creates nested folder with correct depth", async () => {
-      prisma.folder.findFirst
-        .mockResolvedValueOnce({ id: "parent-1", depth: 2, userId: "user-1" }) // parent lookup
-        .mockResolvedValueOnce(null); // duplicate check
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "parent-1", depth: 2, userId: "user-1", workspaceId: null });
       prisma.folder.create.mockResolvedValue({
         id: "child-1",
         name: "Child",
@@ -89,13 +97,45 @@ describe("folder.service", () => {
 
       expect(result.depth).toBe(3);
       expect(prisma.folder.create).toHaveBeenCalledWith({
-        data: { name: "Child", parentId: "parent-1", depth: 3, userId: "user-1" },
+        data: { name: "Child", parentId: "parent-1", depth: 3, userId: "user-1", workspaceId: null },
         include: { _count: { select: { templates: true, children: true } } },
       });
     });
 
+    test("creates a subfolder in its parent's workspace", async () => {
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "parent-1", depth: 1, userId: "user-2", workspaceId: "ws-1" });
+      memberRole("editor");
+
+      await createFolder("user-1", "Child", "parent-1");
+
+      expect(prisma.folder.findFirst).toHaveBeenCalledWith({ where: { parentId: "parent-1", name: "Child" } });
+      expect(prisma.folder.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: { name: "Child", parentId: "parent-1", depth: 2, userId: "user-1", workspaceId: "ws-1" },
+      }));
+    });
+
+    test("refuses a subfolder in a workspace folder to a merger", async () => {
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "parent-1", depth: 1, userId: "user-2", workspaceId: "ws-1" });
+      memberRole("merger");
+
+      await expect(createFolder("user-1", "Child", "parent-1")).rejects.toMatchObject({
+        status: 403,
+        message: "Your merger role doesn't allow you to change this folder",
+      });
+      expect(prisma.folder.create).not.toHaveBeenCalled();
+    });
+
+    test("hides another user's private folder", async () => {
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "parent-1", depth: 1, userId: "user-2", workspaceId: null });
+
+      await expect(createFolder("user-1", "Child", "parent-1")).rejects.toMatchObject({
+        status: 404,
+        message: "Parent folder not found",
+      });
+    });
+
     test("throws when parent not found", async () => {
-      // findFirst returns null (default) — parent not found
+      // findUnique returns null (default) — parent not found
 
       await expect(
         createFolder("user-1", "Child", "nonexistent")
@@ -103,7 +143,7 @@ describe("folder.service", () => {
     });
 
     test("throws when max depth exceeded", async () => {
-      prisma.folder.findFirst.mockResolvedValueOnce({
+      prisma.folder.findUnique.mockResolvedValueOnce({
         id: "deep-parent",
         depth: 4,
         userId: "user-1",
@@ -115,9 +155,8 @@ describe("folder.service", () => {
     });
 
     test("throws when duplicate name exists at same level", async () => {
-      prisma.folder.findFirst
-        .mockResolvedValueOnce({ id: "parent-1", depth: 1, userId: "user-1" }) // parent
-        .mockResolvedValueOnce({ id: "existing", name: "Duplicate" }); // duplicate
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "parent-1", depth: 1, userId: "user-1" }); // parent
+      prisma.folder.findFirst.mockResolvedValueOnce({ id: "existing", name: "Duplicate" }); // duplicate
 
       await expect(
         createFolder("user-1", "Duplicate", "parent-1")
@@ -135,9 +174,7 @@ describe("folder.service", () => {
 
   describe("renameFolder", () => {
     test("renames folder successfully", async () => {
-      prisma.folder.findFirst
-        .mockResolvedValueOnce({ id: "f1", name: "Old", parentId: null, userId: "user-1" })
-        .mockResolvedValueOnce(null); // no duplicate
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", name: "Old", parentId: null, userId: "user-1" });
       prisma.folder.update.mockResolvedValue({ id: "f1", name: "New" });
 
       const result = await renameFolder("user-1", "f1", "New");
@@ -152,29 +189,44 @@ describe("folder.service", () => {
     });
 
     test("throws when duplicate name exists in same location", async () => {
-      prisma.folder.findFirst
-        .mockResolvedValueOnce({ id: "f1", name: "Old", parentId: null })
-        .mockResolvedValueOnce({ id: "f2", name: "Taken" });
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", name: "Old", parentId: null, userId: "user-1" });
+      prisma.folder.findFirst.mockResolvedValueOnce({ id: "f2", name: "Taken" });
 
       await expect(
         renameFolder("user-1", "f1", "Taken")
       ).rejects.toThrow("A folder with this name already exists in the same location");
     });
+
+    test("checks for duplicates at the root of the folder's workspace", async () => {
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", name: "Old", parentId: null, userId: "user-2", workspaceId: "ws-1" });
+      memberRole("editor");
+
+      await renameFolder("user-1", "f1", "New");
+
+      expect(prisma.folder.findFirst).toHaveBeenCalledWith({
+        where: { workspaceId: "ws-1", parentId: null, name: "New", NOT: { id: "f1" } },
+      });
+    });
+
+    test("refuses a viewer", async () => {
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", name: "Old", parentId: null, userId: "user-2", workspaceId: "ws-1" });
+      memberRole("viewer");
+
+      await expect(renameFolder("user-1", "f1", "New")).rejects.toMatchObject({ status: 403 });
+      expect(prisma.folder.update).not.toHaveBeenCalled();
+    });
   });
 
   describe("moveFolder", () => {
     test("moves folder to new parent with correct depth", async () => {
-      // 1. findFirst: folder lookup
-      // 2. findFirst: new parent lookup
-      // 3. findFirst: duplicate check
-      prisma.folder.findFirst
-        .mockResolvedValueOnce({ id: "f1", name: "Folder", depth: 1, children: [] })
-        .mockResolvedValueOnce({ id: "p1", depth: 2, userId: "user-1" })
-        .mockResolvedValueOnce(null);
-
+      // 1. findUnique: folder lookup
+      // 2. findUnique: new parent lookup
+      // findFirst: duplicate check returns null (default)
       // checkIsDescendant: walks up from p1
       // getMaxChildDepth: findUnique for f1's depth
       prisma.folder.findUnique
+        .mockResolvedValueOnce({ id: "f1", name: "Folder", depth: 1, userId: "user-1" })
+        .mockResolvedValueOnce({ id: "p1", depth: 2, userId: "user-1" })
         .mockResolvedValueOnce({ parentId: null }) // p1's parent is root → no cycle
         .mockResolvedValueOnce({ depth: 1 }); // f1's depth for getMaxChildDepth
 
@@ -199,9 +251,8 @@ describe("folder.service", () => {
     });
 
     test("moves folder to root", async () => {
-      prisma.folder.findFirst
-        .mockResolvedValueOnce({ id: "f1", name: "Folder", depth: 3, parentId: "p1", children: [] })
-        .mockResolvedValueOnce(null); // no duplicate at root
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", name: "Folder", depth: 3, parentId: "p1", userId: "user-1" });
+      // findFirst: no duplicate at root (default)
 
       // findMany defaults to [] for recalculateSubtreeDepths children
 
@@ -219,11 +270,11 @@ describe("folder.service", () => {
     });
 
     test("throws when moving folder into itself", async () => {
-      prisma.folder.findFirst.mockResolvedValueOnce({
+      prisma.folder.findUnique.mockResolvedValueOnce({
         id: "f1",
         name: "Folder",
         depth: 1,
-        children: [],
+        userId: "user-1",
       });
 
       await expect(
@@ -238,8 +289,8 @@ describe("folder.service", () => {
     });
 
     test("throws when target folder not found", async () => {
-      prisma.folder.findFirst
-        .mockResolvedValueOnce({ id: "f1", name: "Folder", depth: 1, children: [] })
+      prisma.folder.findUnique
+        .mockResolvedValueOnce({ id: "f1", name: "Folder", depth: 1, userId: "user-1" })
         .mockResolvedValueOnce(null); // target not found
 
       await expect(
@@ -247,13 +298,25 @@ describe("folder.service", () => {
       ).rejects.toThrow("Target folder not found");
     });
 
-    test("detects circular reference", async () => {
-      prisma.folder.findFirst
-        .mockResolvedValueOnce({ id: "f1", name: "Parent", depth: 1, children: [] })
-        .mockResolvedValueOnce({ id: "f2", depth: 2, userId: "user-1" });
+    test("refuses a move into another workspace's folder", async () => {
+      prisma.folder.findUnique
+        .mockResolvedValueOnce({ id: "f1", name: "Folder", depth: 1, userId: "user-1", workspaceId: null })
+        .mockResolvedValueOnce({ id: "p1", depth: 1, userId: "user-2", workspaceId: "ws-1" });
+      memberRole("owner");
 
-      // Cycle detection: walking up from f2, f2's parent is f1 (the folder being moved)
-      prisma.folder.findUnique.mockResolvedValueOnce({ parentId: "f1" });
+      await expect(moveFolder("user-1", "f1", "p1")).rejects.toMatchObject({
+        status: 400,
+        message: "A folder can only be moved within its own workspace",
+      });
+      expect(prisma.folder.update).not.toHaveBeenCalled();
+    });
+
+    test("detects circular reference", async () => {
+      prisma.folder.findUnique
+        .mockResolvedValueOnce({ id: "f1", name: "Parent", depth: 1, userId: "user-1" })
+        .mockResolvedValueOnce({ id: "f2", depth: 2, userId: "user-1" })
+        // Cycle detection: walking up from f2, f2's parent is f1 (the folder being moved)
+        .mockResolvedValueOnce({ parentId: "f1" });
 
       await expect(
         moveFolder("user-1", "f1", "f2")
@@ -261,12 +324,10 @@ describe("folder.service", () => {
     });
 
     test("throws when move would exceed max depth", async () => {
-      prisma.folder.findFirst
-        .mockResolvedValueOnce({ id: "f1", name: "Folder", depth: 1, children: [] })
-        .mockResolvedValueOnce({ id: "p1", depth: 3, userId: "user-1" });
-
-      // checkIsDescendant: p1's parent is root (no cycle)
       prisma.folder.findUnique
+        .mockResolvedValueOnce({ id: "f1", name: "Folder", depth: 1, userId: "user-1" })
+        .mockResolvedValueOnce({ id: "p1", depth: 3, userId: "user-1" })
+        // checkIsDescendant: p1's parent is root (no cycle)
         .mockResolvedValueOnce({ parentId: null });
 
       // getMaxChildDepth initial findMany (OR query) - returns folder list
@@ -292,13 +353,12 @@ describe("folder.service", () => {
     });
 
     test("throws when duplicate name exists at target", async () => {
-      prisma.folder.findFirst
-        .mockResolvedValueOnce({ id: "f1", name: "Folder", depth: 1, children: [] })
+      prisma.folder.findUnique
+        .mockResolvedValueOnce({ id: "f1", name: "Folder", depth: 1, userId: "user-1" })
         .mockResolvedValueOnce({ id: "p1", depth: 1, userId: "user-1" })
-        .mockResolvedValueOnce({ id: "existing", name: "Folder" }); // duplicate at target
-
-      // checkIsDescendant: no cycle
-      prisma.folder.findUnique.mockResolvedValueOnce({ parentId: null });
+        // checkIsDescendant: no cycle
+        .mockResolvedValueOnce({ parentId: null });
+      prisma.folder.findFirst.mockResolvedValueOnce({ id: "existing", name: "Folder" }); // duplicate at target
 
       // getMaxChildDepth: initial findMany (OR query)
       prisma.folder.findMany.mockResolvedValueOnce([]);
@@ -315,7 +375,7 @@ describe("folder.service", () => {
 
   describe("deleteFolder", () => {
     test("deletes folder and unfiles templates in subtree", async () => {
-      prisma.folder.findFirst.mockResolvedValueOnce({ id: "f1", userId: "user-1" });
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", userId: "user-1" });
       // getSubtreeFolderIds: f1 has one child, child has no children
       prisma.folder.findMany
         .mockResolvedValueOnce([{ id: "child1" }]) // f1's children
@@ -340,7 +400,7 @@ describe("folder.service", () => {
     });
 
     test("handles deep subtree deletion", async () => {
-      prisma.folder.findFirst.mockResolvedValueOnce({ id: "root", userId: "user-1" });
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "root", userId: "user-1" });
       prisma.folder.findMany
         .mockResolvedValueOnce([{ id: "level2a" }, { id: "level2b" }])
         .mockResolvedValueOnce([{ id: "level3" }]) // level2a's children
@@ -358,8 +418,8 @@ describe("folder.service", () => {
 
   describe("moveTemplate", () => {
     test("moves template to folder", async () => {
-      prisma.template.findUnique.mockResolvedValueOnce({ id: "t1" });
-      prisma.folder.findFirst.mockResolvedValueOnce({ id: "f1", userId: "user-1" });
+      prisma.template.findUnique.mockResolvedValueOnce({ id: "t1", uploadedById: "user-1", workspaceId: null });
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", userId: "user-1", workspaceId: null });
       prisma.template.update.mockResolvedValue({
         id: "t1",
         folderId: "f1",
@@ -378,7 +438,7 @@ describe("folder.service", () => {
     });
 
     test("unfiles template (moves to root)", async () => {
-      prisma.template.findUnique.mockResolvedValueOnce({ id: "t1", folderId: "f1" });
+      prisma.template.findUnique.mockResolvedValueOnce({ id: "t1", folderId: "f1", uploadedById: "user-1" });
       prisma.template.update.mockResolvedValue({
         id: "t1",
         folderId: null,
@@ -398,12 +458,106 @@ describe("folder.service", () => {
     });
 
     test("throws when target folder not found", async () => {
-      prisma.template.findUnique.mockResolvedValueOnce({ id: "t1" });
-      // findFirst returns null (default) — folder not found
+      prisma.template.findUnique.mockResolvedValueOnce({ id: "t1", uploadedById: "user-1" });
+      // findUnique returns null (default) — folder not found
 
       await expect(
         moveTemplate("user-1", "t1", "nonexistent")
       ).rejects.toThrow("Folder not found");
     });
+
+    test("hides another user's private template", async () => {
+      prisma.template.findUnique.mockResolvedValueOnce({ id: "t1", uploadedById: "user-2", workspaceId: null });
+
+      await expect(moveTemplate("user-1", "t1", null)).rejects.toMatchObject({ status: 404 });
+      expect(prisma.template.update).not.toHaveBeenCalled();
+    });
+
+    test("refuses to file a template in another workspace's folder", async () => {
+      prisma.template.findUnique.mockResolvedValueOnce({ id: "t1", uploadedById: "user-1", workspaceId: null });
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", userId: "user-2", workspaceId: "ws-1" });
+      memberRole("editor");
+
+      await expect(moveTemplate("user-1", "t1", "f1")).rejects.toMatchObject({ status: 400 });
+      expect(prisma.template.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("moveFolderToWorkspace", () => {
+    test("moves the subtree and its templates to the workspace's root", async () => {
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", name: "Clients", depth: 2, parentId: "p1", userId: "user-1", workspaceId: null });
+      memberRole("editor");
+      prisma.folder.findMany
+        .mockResolvedValueOnce([{ id: "child1" }]) // getSubtreeFolderIds: f1's children
+        .mockResolvedValueOnce([]); // child1 has no children
+      prisma.folder.update.mockResolvedValue({ id: "f1", depth: 1, parentId: null, workspaceId: "ws-1" });
+
+      const result = await moveFolderToWorkspace("user-1", "f1", "ws-1");
+
+      expect(result).toMatchObject({ parentId: null, workspaceId: "ws-1" });
+      expect(prisma.workspaceMember.findUnique).toHaveBeenCalledWith({
+        where: { workspaceId_userId: { workspaceId: "ws-1", userId: "user-1" } },
+        select: { role: true },
+      });
+      expect(prisma.folder.findFirst).toHaveBeenCalledWith({
+        where: { workspaceId: "ws-1", parentId: null, name: "Clients", NOT: { id: "f1" } },
+      });
+      expect(prisma.folder.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ["f1", "child1"] } },
+        data: { workspaceId: "ws-1" },
+      });
+      expect(prisma.template.updateMany).toHaveBeenCalledWith({
+        where: { folderId: { in: ["f1", "child1"] } },
+        data: { workspaceId: "ws-1" },
+      });
+      expect(prisma.folder.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: { id: "f1" },
+        data: { parentId: null, depth: 1 },
+      }));
+    });
+
+    test("makes a workspace folder private to the owner moving it out", async () => {
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", name: "Clients", depth: 1, parentId: null, userId: "user-2", workspaceId: "ws-1" });
+      memberRole("owner");
+      prisma.folder.findMany.mockResolvedValueOnce([]);
+
+      await moveFolderToWorkspace("user-1", "f1", null);
+
+      expect(prisma.folder.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ["f1"] } },
+        data: { workspaceId: null, userId: "user-1" },
+      });
+      expect(prisma.template.updateMany).toHaveBeenCalledWith({
+        where: { folderId: { in: ["f1"] } },
+        data: { workspaceId: null, uploadedById: "user-1" },
+      });
+    });
+
+    test("refuses an editor moving a folder out of its workspace", async () => {
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", name: "Clients", depth: 1, userId: "user-2", workspaceId: "ws-1" });
+      memberRole("editor");
+
+      await expect(moveFolderToWorkspace("user-1", "f1", null)).rejects.toMatchObject({
+        status: 403,
+        message: "Your editor role doesn't allow you to move this folder between workspaces",
+      });
+      expect(prisma.folder.updateMany).not.toHaveBeenCalled();
+    });
+
+    test("refuses a workspace the user only views", async () => {
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", name: "Clients", depth: 1, userId: "user-1", workspaceId: null });
+      memberRole("viewer");
+
+      await expect(moveFolderToWorkspace("user-1", "f1", "ws-1")).rejects.toMatchObject({ status: 403 });
+      expect(prisma.folder.updateMany).not.toHaveBeenCalled();
+    });
+
+    test("throws when the workspace's root has a folder of that name", async () => {
+      prisma.folder.findUnique.mockResolvedValueOnce({ id: "f1", name: "Clients", depth: 1, userId: "user-1", workspaceId: null });
+      memberRole("owner");
+      prisma.folder.findFirst.mockResolvedValueOnce({ id: "f2", name: "Clients" });
+
+      await expect(moveFolderToWorkspace("user-1", "f1", "ws-1")).rejects.toThrow("A root folder with this name already exists");
+    });
   });
 });
@@ -1,4 +1,6 @@
-const { extractHtmlFields } = require("../../src/services/htmlService");
+const { extractHtmlFields, fillHtmlTemplate, injectFontFaces } = require("../../src/services/htmlService");
+const { pngDataUri } = require("../_helpers/images");
+const { BLANK } = require("../../src/utils/blank-values");
 
 describe("htmlService", () => {
   describe("extractHtmlFields", () => {
@@ -18,6 +20,12 @@ describe("htmlService", () => {
       expect(fields).toHaveLength(2);
     });
 
+    test("doesn't split names joined by / or & into the fields of an expression", async () => {
+      const html = Buffer.from("<p>{{Qty/Unit}} {{R&amp;D Budget}} {{qty * price}}</p>");
+      const fields = await extractHtmlFields(html);
+      expect(fields).toEqual(["qty", "price"]);
+    });
+
     test("deduplicates repeated placeholders", async () => {
       const html = Buffer.from(
         "<html><body>{{name}} and {{name}} again</body></html>"
@@ -77,4 +85,157 @@ describe("htmlService", () => {
       expect(fields).toContain("safeField");
     });
   });
+
+  describe("image placeholders", () => {
+    test("extracts image tags by field name", async () => {
+      const fields = await extractHtmlFields(Buffer.from("<body>{{%logo}} {{ % signature }}</body>"));
+      expect(fields).toEqual(["logo", "signature"]);
+    });
+
+    test("inlines images as data URI <img> tags", () => {
+      const logo = pngDataUri(40, 20);
+      const out = fillHtmlTemplate(
+        Buffer.from("<p>{{%logo}} {{name}}</p>"),
+        { logo: { src: logo, width: 80 }, name: "A & B" }
+      ).toString();
+
+      expect(out).toBe(`<p><img src="${logo}" width="80" height="40" alt="logo"> A &amp; B</p>`);
+    });
+
+    test("resolves image tags inside sections", () => {
+      const out = fillHtmlTemplate(
+        Buffer.from("{{#people}}<li>{{%photo}}</li>{{/people}}"),
+        { people: [{ photo: pngDataUri(1, 1) }, { photo: pngDataUri(2, 2) }] }
+      ).toString();
+
+      expect(out.match(/<img /g)).toHaveLength(2);
+      expect(out).toContain('width="2" height="2"');
+    });
+
+    test("keeps non-image values rendering as before", () => {
+      const when = new Date("2024-01-02T00:00:00Z");
+      const out = fillHtmlTemplate(Buffer.from("{{when}}"), { when }).toString();
+      expect(out).toBe(String(when));
+    });
+
+    test("throws a parse error for invalid image values", () => {
+      expect(() => fillHtmlTemplate(Buffer.from("{{%logo}}"), { logo: "nope" })).toThrow(
+        "TEMPLATE_PARSE_ERROR"
+      );
+    });
+  });
+
+  describe("injectFontFaces", () => {
+    const font = { family: "BrandSans", mimeType: "font/woff2", format: "woff2", buffer: Buffer.from("FONT") };
+
+    test("adds @font-face data URIs at the start of <head>", () => {
+      const html = Buffer.from('<html><head lang="en"><title>T</title></head><body>x</body></html>');
+      const out = injectFontFaces(html, [font]).toString();
+      expect(out).toContain(
+        '<head lang="en"><style>\n@font-face { font-family: "BrandSans"; src: url("data:font/woff2;base64,Rk9OVA==") format("woff2"); }\n</style><title>'
+      );
+    });
+
+    test("prepends the styles when the document has no <head>", () => {
+      const out = injectFontFaces(Buffer.from("<p>x</p>"), [font]).toString();
+      expect(out).toMatch(/^<style>[\s\S]*<\/style><p>x<\/p>$/);
+    });
+
+    test("keeps quotes and markup out of the family name", () => {
+      const out = injectFontFaces(Buffer.from("<p>x</p>"), [{ ...font, family: 'Bad"</style>' }]).toString();
+      expect(out).toContain('font-family: "Bad/style";');
+    });
+
+    test("returns the buffer untouched without fonts", () => {
+      const html = Buffer.from("<p>x</p>");
+      expect(injectFontFaces(html, [])).toBe(html);
+    });
+  });
+
+  describe("barcode tags", () => {
+    test("extracts barcode tags by the field they encode", async () => {
+      const fields = await extractHtmlFields(Buffer.from("<body>{{qr:url}} {{ean13: code}}</body>"));
+      expect(fields).toEqual(["url", "code"]);
+    });
+
+    test("inlines the image generated into the tag's key", () => {
+      const qr = pngDataUri(50, 50);
+      const out = fillHtmlTemplate(Buffer.from("<p>{{qr:url}} {{url}}</p>"), {
+        url: "https://example.com",
+        "qr:url": qr,
+      }).toString();
+
+      expect(out).toBe(`<p><img src="${qr}" width="50" height="50" alt="qr:url"> https:&#x2F;&#x2F;example.com</p>`);
+    });
+  });
+
+  describe("optional fields", () => {
+    const fill = (html, data) => fillHtmlTemplate(Buffer.from(html), data).toString();
+
+    test("removes elements left holding only blank fields", () => {
+      const html = "<ul><li>{{a}}</li><li><b>{{note}}</b></li></ul><table><tr><td><p>{{note}}</p></td></tr><tr><td>{{a}}</td></tr></table>";
+      expect(fill(html, { a: "x", note: BLANK })).toBe("<ul><li>x</li></ul><table><tr><td>x</td></tr></table>");
+    });
+
+    test("keeps text next to a blank field", () => {
+      expect(fill("<p>Middle: {{middle}}</p>", { middle: BLANK })).toBe("<p>Middle: </p>");
+    });
+
+    test("drops the <br> of a blank line", () => {
+      const html = "<p>{{line1}}<br>{{line2}}<br/>{{city}}</p>";
+      expect(fill(html, { line1: "1 Main St", line2: BLANK, city: "Springfield" })).toBe("<p>1 Main St<br/>Springfield</p>");
+    });
+
+    test("hides sections and image tags of blank fields", () => {
+      const html = "<p>{{#vip}}VIP {{vip}}{{/vip}}{{^vip}}regular{{/vip}}</p><div>{{%logo}}</div><p>end</p>";
+      expect(fill(html, { vip: BLANK, logo: BLANK })).toBe("<p>regular</p><p>end</p>");
+    });
+  });
+
+  describe("value filters", () => {
+    test("extracts the field name of filtered tags", async () => {
+      const fields = await extractHtmlFields(Buffer.from('<body>{{ total | currency:"EUR" }} {{name|upper}}</body>'));
+      expect(fields).toEqual(["total", "name"]);
+    });
+
+    test("formats values for the locale and escapes the result", () => {
+      const html = '<p>{{name | upper}} {{total | currency:"EUR"}} {{due | date:&quot;d MMMM&quot;}}</p>';
+      const out = fillHtmlTemplate(Buffer.from(html), { name: "a&b", total: 9.5, due: "2026-10-19" }, { locale: "fr-FR" });
+      expect(out.toString()).toBe("<p>A&amp;B 9,50\u00a0€ 19 octobre</p>");
+    });
+
+    test("applies default only when no scope has the value", () => {
+      const html = '{{#items}}{{name}}:{{currency | default:"USD"}};{{/items}}';
+      const out = fillHtmlTemplate(Buffer.from(html), { currency: "EUR", items: [{ name: "a" }, { name: "b", currency: "" }] });
+      expect(out.toString()).toBe("a:EUR;b:USD;");
+    });
+
+    test("rejects unknown filters", () => {
+      expect(() => fillHtmlTemplate(Buffer.from("{{name | shout}}"), { name: "Ada" })).toThrow(
+        expect.objectContaining({ details: [expect.objectContaining({ id: "unknown_filter" })] })
+      );
+    });
+  });
+
+  describe("computed expressions", () => {
+    test("extracts the fields expressions read", async () => {
+      const fields = await extractHtmlFields(Buffer.from('<p>{{name}} {{qty * price | number:2}} {{sum(items, "total")}}</p>'));
+      expect(fields).toEqual(["name", "qty", "price", "items", "items.total"]);
+    });
+
+    test("renders the results the merge stored, filtered and per loop item", () => {
+      const html = '{{#items}}{{qty * rate | number:1}};{{/items}} {{first + " " + last}}';
+      const data = {
+        'first + " " + last': "Ada <L>",
+        items: [{ "qty * rate": 2 }, { "qty * rate": 3.5 }],
+      };
+      expect(fillHtmlTemplate(Buffer.from(html), data).toString()).toBe("2.0;3.5; Ada &lt;L&gt;");
+    });
+
+    test("renders punctuated field names as fields", () => {
+      const html = "{{Customer's Name}} | {{R&D Budget}} | {{Name - Title}}";
+      const data = { "Customer's Name": "Ada", "R&D Budget": 5, "Name - Title": "Ada - CTO" };
+      expect(fillHtmlTemplate(Buffer.from(html), data).toString()).toBe("Ada | 5 | Ada - CTO");
+    });
+  });
 });
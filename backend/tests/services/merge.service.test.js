@@ -35,6 +35,7 @@ jest.mock("../../src/services/htmlService", () => ({
     const html = buf.toString("utf-8").replace(/<script[^>]*>[\s\S]*?<\/script>/gi, "");
     return Buffer.from(html, "utf-8");
   }),
+  injectFontFaces: jest.fn((buf) => buf),
   convertHtmlToPdf: jest.fn(() => Buffer.from("PDF_FROM_HTML")),
   convertHtmlToDocx: jest.fn(() => Buffer.from("DOCX_FROM_HTML")),
 }));
@@ -51,11 +52,29 @@ jest.mock("../../src/services/pptxService", () => ({
   fillPptxTemplate: jest.fn(() => Buffer.from("FILLED_PPTX")),
 }));
 
+jest.mock("../../src/services/barcode.service", () => ({
+  findTemplateBarcodeTags: jest.fn(async () => []),
+  addBarcodeImages: jest.fn(async (data) => data),
+}));
+
+jest.mock("../../src/services/expression.service", () => ({
+  findTemplateExpressions: jest.fn(async () => []),
+  addExpressionValues: jest.fn((data) => data),
+}));
+
 jest.mock("../../src/services/conversionService", () => ({
   convertDocxToJpg: jest.fn(() => Buffer.from("JPG_IMAGE")),
   convertPdfToJpg: jest.fn(() => Buffer.from("JPG_IMAGE")),
 }));
 
+// Mock quotas: checks pass and counts resolve unless a test says otherwise
+jest.mock("../../src/services/usage.service", () => ({
+  ...jest.requireActual("../../src/services/usage.service"),
+  checkQuotas: jest.fn(),
+  reserveUsage: jest.fn(),
+  releaseUsage: jest.fn(),
+}));
+
 // Mock logger to suppress output during tests
 jest.mock("../../src/config/logger", () => ({
   warn: jest.fn(),
@@ -65,8 +84,12 @@ jest.mock("../../src/config/logger", () => ({
 
 const docxService = require("../../src/services/docxService");
 const htmlService = require("../../src/services/htmlService");
+const barcodeService = require("../../src/services/barcode.service");
+const expressionService = require("../../src/services/expression.service");
+const usageService = require("../../src/services/usage.service");
 
-const { mergeTemplate } = require("../../src/services/merge.service");
+const { mergeTemplate, checkMergeData } = require("../../src/services/merge.service");
+const { BLANK } = require("../../src/utils/blank-values");
 
 // Sample HTML template with unsafe content for sanitization tests
 const HTML_TEMPLATE = Buffer.from(
@@ -119,6 +142,9 @@ beforeEach(() => {
 
   // Default: no duplicate filenames
   prisma.mergeJob.findFirst.mockResolvedValue(null);
+  usageService.checkQuotas.mockResolvedValue();
+  usageService.reserveUsage.mockImplementation(async (userId, counts) => ({ userId, month: "2026-10", ...counts }));
+  usageService.releaseUsage.mockResolvedValue();
 });
 
 afterEach(() => {
@@ -161,6 +187,7 @@ describe("merge.service", () => {
             templateId: "tpl-html-1",
             outputType: "html",
             status: "succeeded",
+            fileSize: expect.any(Number),
           }),
         })
       );
@@ -241,7 +268,39 @@ describe("merge.service", () => {
       expect(result.filePath).toMatch(/\.docx$/);
       expect(docxService.fillDocxTemplate).toHaveBeenCalledWith(
         DOCX_TEMPLATE,
-        { name: "Ada" }
+        { name: "Ada" },
+        { optionalFields: [] }
+      );
+    });
+
+    test("passes the template's locale to the renderer", async () => {
+      prisma.template.findUnique.mockResolvedValue({ ...docxTemplate, locale: "de-DE" });
+      prisma.mergeJob.create.mockResolvedValue({ id: 203 });
+
+      await mergeTemplate({ templateId: "tpl-docx-1", data: { name: "Ada" }, outputType: "docx", userId: "u1" });
+
+      expect(docxService.fillDocxTemplate).toHaveBeenCalledWith(
+        DOCX_TEMPLATE,
+        { name: "Ada" },
+        { optionalFields: [], locale: "de-DE" }
+      );
+    });
+
+    test("adds expression results to the data before rendering", async () => {
+      prisma.template.findUnique.mockResolvedValue(docxTemplate);
+      prisma.mergeJob.create.mockResolvedValue({ id: 204 });
+      const expressions = [{ key: "qty * price", ast: { type: "binary" } }];
+      expressionService.findTemplateExpressions.mockResolvedValueOnce(expressions);
+      expressionService.addExpressionValues.mockImplementationOnce((data) => ({ ...data, "qty * price": 30 }));
+
+      await mergeTemplate({ templateId: "tpl-docx-1", data: { name: "Ada", qty: 3, price: 10 }, outputType: "docx", userId: "u1" });
+
+      expect(expressionService.findTemplateExpressions).toHaveBeenCalledWith(DOCX_TEMPLATE, docxTemplate.mimeType, ["name"]);
+      expect(expressionService.addExpressionValues).toHaveBeenCalledWith({ name: "Ada", qty: 3, price: 10 }, expressions);
+      expect(docxService.fillDocxTemplate).toHaveBeenCalledWith(
+        DOCX_TEMPLATE,
+        { name: "Ada", qty: 3, price: 10, "qty * price": 30 },
+        { optionalFields: [] }
       );
     });
 
@@ -297,6 +356,146 @@ describe("merge.service", () => {
       ).rejects.toMatchObject({ status: 422 });
     });
 
+    test("accepts loop body fields covered by an array value", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: "tpl-1",
+        storageKey: "test.docx",
+        displayName: "Test.docx",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        outputNameFormat: "name",
+        fields: [{ name: "name" }, { name: "items" }, { name: "items.qty" }],
+      });
+      prisma.mergeJob.create.mockResolvedValue({ id: 99 });
+
+      const result = await mergeTemplate({
+        templateId: "tpl-1",
+        data: { name: "John", items: [] },
+        outputType: "docx",
+      });
+
+      expect(result.jobId).toBe(99);
+    });
+
+    test("accepts object values such as images for a field", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: "tpl-1",
+        storageKey: "test.docx",
+        displayName: "Test.docx",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        outputNameFormat: "name",
+        fields: [{ name: "name" }, { name: "logo" }],
+      });
+      prisma.mergeJob.create.mockResolvedValue({ id: 99 });
+
+      const result = await mergeTemplate({
+        templateId: "tpl-1",
+        data: { name: "John", logo: { src: "data:image/png;base64,AAAA", width: 100 } },
+        outputType: "docx",
+      });
+
+      expect(result.jobId).toBe(99);
+    });
+
+    test("still requires the loop field itself", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: "tpl-1",
+        storageKey: "test.docx",
+        displayName: "Test.docx",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        outputNameFormat: "name",
+        fields: [{ name: "name" }, { name: "items" }, { name: "items.qty" }],
+      });
+
+      await expect(
+        mergeTemplate({
+          templateId: "tpl-1",
+          data: { name: "John" },
+          outputType: "docx",
+        })
+      ).rejects.toMatchObject({ status: 422, message: expect.stringContaining("items") });
+    });
+
+    test("rejects values that break the field schema with per-field details", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: "tpl-1",
+        storageKey: "test.docx",
+        displayName: "Test.docx",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        outputNameFormat: "name",
+        fields: [
+          { name: "name" },
+          { name: "email", type: "email" },
+          { name: "qty", type: "number", min: 1 },
+          { name: "tier", type: "enum", options: ["gold", "silver"] },
+        ],
+      });
+
+      await expect(
+        mergeTemplate({
+          templateId: "tpl-1",
+          data: { name: "John", email: "john@", qty: "0", tier: "gold" },
+          outputType: "docx",
+        })
+      ).rejects.toMatchObject({
+        name: "FieldValidationError",
+        status: 422,
+        details: [
+          expect.objectContaining({ field: "email", code: "invalid_type" }),
+          expect.objectContaining({ field: "qty", code: "too_small" }),
+        ],
+      });
+      expect(docxService.fillDocxTemplate).not.toHaveBeenCalled();
+    });
+
+    test("fills defaults and allows optional fields to be left out", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: "tpl-1",
+        storageKey: "test.docx",
+        displayName: "Test.docx",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        outputNameFormat: "name",
+        fields: [
+          { name: "name" },
+          { name: "country", defaultValue: "NZ" },
+          { name: "note", required: false },
+        ],
+      });
+      prisma.mergeJob.create.mockResolvedValue({ id: 99 });
+
+      await mergeTemplate({
+        templateId: "tpl-1",
+        data: { name: "John" },
+        outputType: "docx",
+      });
+
+      expect(docxService.fillDocxTemplate).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        { name: "John", country: "NZ", note: BLANK },
+        { optionalFields: ["note"] }
+      );
+    });
+
+    test("marks blank optional fields before barcodes are generated", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: "tpl-1",
+        storageKey: "test.html",
+        displayName: "Test.html",
+        mimeType: "text/html",
+        outputNameFormat: "name",
+        fields: [{ name: "name" }, { name: "sku", required: false }],
+      });
+      prisma.mergeJob.create.mockResolvedValue({ id: 100 });
+
+      await mergeTemplate({ templateId: "tpl-1", data: { name: "John", sku: "" }, outputType: "html" });
+
+      expect(barcodeService.addBarcodeImages).toHaveBeenCalledWith({ name: "John", sku: BLANK }, []);
+      expect(htmlService.fillHtmlTemplate).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        { name: "John", sku: BLANK },
+        { locale: undefined }
+      );
+    });
+
     test("throws error for unsupported output type", async () => {
       prisma.template.findUnique.mockResolvedValue({
         id: "tpl-2",
@@ -355,6 +554,195 @@ describe("merge.service", () => {
     });
   });
 
+  describe("Idempotent merges", () => {
+    const htmlTemplate = {
+      id: "tpl-html-1",
+      storageKey: "9999-sample.html",
+      displayName: "Sample Template.html",
+      mimeType: "text/html",
+      outputNameFormat: "title",
+      fields: [{ name: "title" }],
+    };
+
+    test("returns the recorded output for a key that already merged", async () => {
+      prisma.mergeJob.findUnique.mockResolvedValue({ id: 401, filePath: "s3://unit-test-bucket/outputs/a.html" });
+
+      const result = await mergeTemplate({
+        templateId: "tpl-html-1",
+        data: { title: "Hello" },
+        outputType: "html",
+        idempotencyKey: "batch:batch-1:0",
+      });
+
+      expect(result).toEqual({ jobId: 401, filePath: "s3://unit-test-bucket/outputs/a.html", reused: true });
+      expect(prisma.mergeJob.findUnique).toHaveBeenCalledWith({ where: { idempotencyKey: "batch:batch-1:0" } });
+      expect(prisma.template.findUnique).not.toHaveBeenCalled();
+      expect(s3.send).not.toHaveBeenCalled();
+    });
+
+    test("records the key with a new output", async () => {
+      prisma.mergeJob.findUnique.mockResolvedValue(null);
+      prisma.template.findUnique.mockResolvedValue(htmlTemplate);
+      prisma.mergeJob.create.mockResolvedValue({ id: 402 });
+
+      const result = await mergeTemplate({
+        templateId: "tpl-html-1",
+        data: { title: "Hello" },
+        outputType: "html",
+        idempotencyKey: "batch:batch-1:1",
+      });
+
+      expect(result.jobId).toBe(402);
+      expect(result.reused).toBeUndefined();
+      expect(prisma.mergeJob.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ idempotencyKey: "batch:batch-1:1" }),
+      });
+    });
+
+    test("keeps the first output and deletes its own when the key was recorded meanwhile", async () => {
+      prisma.mergeJob.findUnique
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 403, filePath: "s3://unit-test-bucket/outputs/first.html" });
+      prisma.template.findUnique.mockResolvedValue(htmlTemplate);
+      prisma.mergeJob.create.mockRejectedValue(Object.assign(new Error("Unique constraint failed"), { code: "P2002" }));
+
+      const result = await mergeTemplate({
+        templateId: "tpl-html-1",
+        data: { title: "Hello" },
+        outputType: "html",
+        idempotencyKey: "batch:batch-1:2",
+      });
+
+      expect(result).toEqual({ jobId: 403, filePath: "s3://unit-test-bucket/outputs/first.html", reused: true });
+      const put = s3.send.mock.calls.find(([cmd]) => cmd instanceof PutObjectCommand)[0];
+      expect(s3.send.mock.calls.at(-1)[0].input).toEqual({ Bucket: "unit-test-bucket", Key: put.input.Key });
+    });
+  });
+
+  describe("Template assets", () => {
+    const FONT_BYTES = Buffer.from("FAKE_WOFF2");
+    const LOGO_BYTES = Buffer.from("FAKE_PNG");
+
+    const assetTemplate = (mimeType, storageKey) => ({
+      id: "tpl-assets-1",
+      storageKey,
+      displayName: `Branded.${storageKey.split(".").pop()}`,
+      mimeType,
+      outputNameFormat: "name",
+      fields: [{ name: "name" }, { name: "logo" }],
+      assets: [
+        { id: "asset-logo", name: "logo.png", kind: "image", mimeType: "image/png", storageKey: "assets/tpl-assets-1/1-logo.png" },
+        { id: "asset-font", name: "BrandSans.woff2", kind: "font", mimeType: "font/woff2", storageKey: "assets/tpl-assets-1/2-BrandSans.woff2" },
+      ],
+    });
+
+    beforeEach(() => {
+      const defaultSend = s3.send.getMockImplementation();
+      s3.send.mockImplementation((cmd) => {
+        const key = cmd.input?.Key || "";
+        if (cmd instanceof GetObjectCommand && key.includes("assets/")) {
+          return Promise.resolve({ Body: Readable.from([key.endsWith(".woff2") ? FONT_BYTES : LOGO_BYTES]) });
+        }
+        return defaultSend(cmd);
+      });
+      prisma.mergeJob.create.mockResolvedValue({ id: 120 });
+    });
+
+    test("replaces asset references with the uploaded image before rendering", async () => {
+      prisma.template.findUnique.mockResolvedValue(
+        assetTemplate("application/vnd.openxmlformats-officedocument.wordprocessingml.document", "1-branded.docx")
+      );
+
+      await mergeTemplate({
+        templateId: "tpl-assets-1",
+        data: { name: "John", logo: { asset: "logo.png", width: 120 } },
+        outputType: "docx",
+      });
+
+      expect(prisma.template.findUnique).toHaveBeenCalledWith(
+        expect.objectContaining({ include: { fields: true, assets: true } })
+      );
+      expect(docxService.fillDocxTemplate).toHaveBeenCalledWith(expect.any(Buffer), {
+        name: "John",
+        logo: { width: 120, src: `data:image/png;base64,${LOGO_BYTES.toString("base64")}` },
+      }, { optionalFields: [] });
+    });
+
+    test("rejects references to unknown assets with 422", async () => {
+      prisma.template.findUnique.mockResolvedValue(
+        assetTemplate("application/vnd.openxmlformats-officedocument.wordprocessingml.document", "1-branded.docx")
+      );
+
+      await expect(
+        mergeTemplate({
+          templateId: "tpl-assets-1",
+          data: { name: "John", logo: "asset:missing.png" },
+          outputType: "docx",
+        })
+      ).rejects.toMatchObject({ status: 422, message: "Unknown template asset: missing.png" });
+      expect(docxService.fillDocxTemplate).not.toHaveBeenCalled();
+    });
+
+    test("embeds uploaded fonts for HTML -> PDF", async () => {
+      prisma.template.findUnique.mockResolvedValue(assetTemplate("text/html", "1-branded.html"));
+
+      await mergeTemplate({
+        templateId: "tpl-assets-1",
+        data: { name: "John", logo: "asset:logo.png" },
+        outputType: "pdf",
+      });
+
+      expect(htmlService.injectFontFaces).toHaveBeenCalledWith(expect.any(Buffer), [
+        { family: "BrandSans", mimeType: "font/woff2", format: "woff2", buffer: FONT_BYTES },
+      ]);
+      expect(htmlService.convertHtmlToPdf).toHaveBeenCalled();
+    });
+
+    test("leaves HTML output without embedded fonts", async () => {
+      prisma.template.findUnique.mockResolvedValue(assetTemplate("text/html", "1-branded.html"));
+
+      await mergeTemplate({
+        templateId: "tpl-assets-1",
+        data: { name: "John", logo: "asset:logo.png" },
+        outputType: "html",
+      });
+
+      expect(htmlService.injectFontFaces).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Barcode pre-render", () => {
+    test("renders with the barcode images generated for the template's tags", async () => {
+      prisma.template.findUnique.mockResolvedValue({
+        id: "tpl-1",
+        storageKey: "label.docx",
+        displayName: "Label.docx",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        outputNameFormat: "sku",
+        fields: [{ name: "sku" }],
+      });
+      prisma.mergeJob.create.mockResolvedValue({ id: 130 });
+      const tags = [{ type: "barcode128", name: "sku", key: "barcode128:sku" }];
+      barcodeService.findTemplateBarcodeTags.mockResolvedValueOnce(tags);
+      barcodeService.addBarcodeImages.mockImplementationOnce(async (data) => ({
+        ...data,
+        "barcode128:sku": "data:image/png;base64,AAAA",
+      }));
+
+      await mergeTemplate({ templateId: "tpl-1", data: { sku: "A-100" }, outputType: "docx" });
+
+      expect(barcodeService.findTemplateBarcodeTags).toHaveBeenCalledWith(
+        DOCX_TEMPLATE,
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+      );
+      expect(barcodeService.addBarcodeImages).toHaveBeenCalledWith({ sku: "A-100" }, tags);
+      expect(docxService.fillDocxTemplate).toHaveBeenCalledWith(expect.any(Buffer), {
+        sku: "A-100",
+        "barcode128:sku": "data:image/png;base64,AAAA",
+      }, { optionalFields: [] });
+    });
+  });
+
   describe("PDF template merges", () => {
     const pdfTemplate = {
       id: "tpl-pdf-1",
@@ -531,6 +919,39 @@ describe("merge.service", () => {
     });
   });
 
+  describe("checkMergeData", () => {
+    const fields = [
+      { name: "name" },
+      { name: "total", type: "number" },
+      { name: "status", type: "enum", options: ["open", "paid"], defaultValue: "open" },
+    ];
+
+    test("applies defaults and passes valid data", () => {
+      expect(checkMergeData(fields, { name: "Ada", total: "12.50", status: "" })).toEqual({
+        data: { name: "Ada", total: "12.50", status: "open" },
+        fieldErrors: [],
+        unknownFields: [],
+      });
+    });
+
+    test("reports every field problem and the keys no field uses", () => {
+      const { fieldErrors, unknownFields } = checkMergeData(fields, { total: "lots", note: "x" });
+
+      expect(fieldErrors).toEqual([
+        { field: "name", path: "name", code: "required", message: "name is required" },
+        { field: "total", path: "total", code: "invalid_type", message: "total must be a number" },
+      ]);
+      expect(unknownFields).toEqual(["note"]);
+    });
+
+    test("doesn't load, render or store anything", () => {
+      checkMergeData(fields, { name: "Ada" });
+
+      expect(prisma.template.findUnique).not.toHaveBeenCalled();
+      expect(s3.send).not.toHaveBeenCalled();
+    });
+  });
+
   describe("DOCX -> JPG conversion", () => {
     test("should convert DOCX to JPG via HTML intermediate", async () => {
       const conversionService = require("../../src/services/conversionService");
@@ -648,4 +1069,82 @@ describe("merge.service", () => {
       expect(bodyIdx).toBeGreaterThan(footerIdx);
     });
   });
+
+  describe("Quotas", () => {
+    const htmlTemplate = {
+      id: "tpl-quota",
+      storageKey: "9999-quota.html",
+      displayName: "Quota.html",
+      mimeType: "text/html",
+      outputNameFormat: "title",
+      fields: [{ name: "title" }],
+    };
+
+    beforeEach(() => {
+      prisma.template.findUnique.mockResolvedValue(htmlTemplate);
+      prisma.mergeJob.create.mockResolvedValue({ id: 501 });
+    });
+
+    test("reserves the merge up front and checks the output's size against the storage quota", async () => {
+      await mergeTemplate({ templateId: "tpl-quota", data: { title: "Hi" }, outputType: "html", userId: "u1" });
+
+      expect(usageService.checkQuotas).toHaveBeenCalledWith("u1", { storageBytes: 1 });
+      expect(usageService.reserveUsage).toHaveBeenCalledWith("u1", { merges: 1 });
+      expect(usageService.checkQuotas).toHaveBeenLastCalledWith("u1", { storageBytes: expect.any(Number) });
+      expect(usageService.checkQuotas.mock.calls[1][1].storageBytes).toBeGreaterThan(1);
+      expect(usageService.releaseUsage).not.toHaveBeenCalled();
+    });
+
+    test("merges nothing past a quota", async () => {
+      usageService.reserveUsage.mockRejectedValue(
+        new usageService.QuotaExceededError("mergesPerMonth", 5000, 5000)
+      );
+
+      await expect(
+        mergeTemplate({ templateId: "tpl-quota", data: { title: "Hi" }, outputType: "html", userId: "u1" })
+      ).rejects.toMatchObject({ status: 403, details: { quota: "mergesPerMonth", limit: 5000, used: 5000 } });
+      expect(prisma.mergeJob.create).not.toHaveBeenCalled();
+      expect(usageService.releaseUsage).not.toHaveBeenCalled();
+    });
+
+    test("gives the reservation back when the merge fails", async () => {
+      prisma.mergeJob.create.mockRejectedValue(new Error("db down"));
+
+      await expect(
+        mergeTemplate({ templateId: "tpl-quota", data: { title: "Hi" }, outputType: "html", userId: "u1" })
+      ).rejects.toThrow("db down");
+      expect(usageService.releaseUsage).toHaveBeenCalledWith({ userId: "u1", month: "2026-10", merges: 1 });
+    });
+
+    test("keeps nothing and gives the reservation back when the output would go past the storage quota", async () => {
+      usageService.checkQuotas
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new usageService.QuotaExceededError("storageBytes", 1024, 1000));
+
+      await expect(
+        mergeTemplate({ templateId: "tpl-quota", data: { title: "Hi" }, outputType: "html", userId: "u1" })
+      ).rejects.toMatchObject({ details: { quota: "storageBytes" } });
+      expect(s3.send.mock.calls.some(([cmd]) => cmd instanceof PutObjectCommand)).toBe(false);
+      expect(usageService.releaseUsage).toHaveBeenCalledWith({ userId: "u1", month: "2026-10", merges: 1 });
+    });
+
+    test("doesn't meter test merges or the rows of a queued batch job", async () => {
+      await mergeTemplate({ templateId: "tpl-quota", data: { title: "Hi" }, outputType: "html", userId: "u1", testMode: true });
+      await mergeTemplate({ templateId: "tpl-quota", data: { title: "Hi" }, outputType: "html", userId: "u1", fromBatchJob: true });
+
+      expect(usageService.checkQuotas).not.toHaveBeenCalled();
+      expect(usageService.reserveUsage).not.toHaveBeenCalled();
+    });
+
+    test("only checks storage for a merge its caller already counted", async () => {
+      prisma.mergeJob.create.mockRejectedValue(new Error("db down"));
+
+      await expect(
+        mergeTemplate({ templateId: "tpl-quota", data: { title: "Hi" }, outputType: "html", userId: "u1", counted: true })
+      ).rejects.toThrow("db down");
+      expect(usageService.checkQuotas).toHaveBeenLastCalledWith("u1", { storageBytes: expect.any(Number) });
+      expect(usageService.reserveUsage).not.toHaveBeenCalled();
+      expect(usageService.releaseUsage).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for permission.service.js
+ * Tests: what each role allows, roles for private and workspace templates and folders, and the visibility filters
+ */
+
+jest.mock("../../src/config/prisma", () => ({
+  workspaceMember: {
+    findUnique: jest.fn(),
+  },
+}));
+const prisma = require("../../src/config/prisma");
+
+const {
+  WORKSPACE_ROLES,
+  hasPermission,
+  getTemplateRole,
+  getFolderRole,
+  templatePermissionError,
+  folderPermissionError,
+  workspacePermissionError,
+  visibleTemplatesWhere,
+  visibleMergeJobsWhere,
+} = require("../../src/services/permission.service");
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.workspaceMember.findUnique.mockResolvedValue(null);
+});
+
+describe("hasPermission", () => {
+  test.each([
+    ["viewer", "template:read", true],
+    ["viewer", "template:merge", false],
+    ["merger", "template:merge", true],
+    ["merger", "template:edit", false],
+    ["editor", "template:edit", true],
+    ["editor", "folder:edit", true],
+    ["editor", "template:delete", false],
+    ["editor", "workspace:manage", false],
+    ["owner", "template:delete", true],
+    ["owner", "template:share", true],
+    ["owner", "workspace:manage", true],
+  ])("%s may %s: %s", (role, action, allowed) => {
+    expect(hasPermission(role, action)).toBe(allowed);
+  });
+
+  test("each role allows everything the roles after it do", () => {
+    const actions = ["template:read", "template:merge", "template:edit", "template:delete", "workspace:manage"];
+    WORKSPACE_ROLES.slice(0, -1).forEach((role, i) => {
+      const lesser = WORKSPACE_ROLES[i + 1];
+      actions
+        .filter((action) => hasPermission(lesser, action))
+        .forEach((action) => expect(hasPermission(role, action)).toBe(true));
+    });
+  });
+
+  test("no role allows nothing", () => {
+    expect(hasPermission(null, "template:read")).toBe(false);
+  });
+});
+
+describe("getTemplateRole", () => {
+  test("makes the uploader the owner of a private template without a lookup", async () => {
+    expect(await getTemplateRole("user-1", { uploadedById: "user-1", workspaceId: null })).toBe("owner");
+    expect(await getTemplateRole("user-2", { uploadedById: "user-1", workspaceId: null })).toBeNull();
+    expect(prisma.workspaceMember.findUnique).not.toHaveBeenCalled();
+  });
+
+  test("uses the member's role for a workspace template, whoever uploaded it", async () => {
+    prisma.workspaceMember.findUnique.mockResolvedValue({ role: "merger" });
+
+    expect(await getTemplateRole("user-1", { uploadedById: "user-1", workspaceId: "ws-1" })).toBe("merger");
+    expect(prisma.workspaceMember.findUnique).toHaveBeenCalledWith({
+      where: { workspaceId_userId: { workspaceId: "ws-1", userId: "user-1" } },
+      select: { role: true },
+    });
+  });
+
+  test("gives the uploader of a workspace template no role once they've left it", async () => {
+    expect(await getTemplateRole("user-1", { uploadedById: "user-1", workspaceId: "ws-1" })).toBeNull();
+  });
+
+  test("gives a template without an uploader no owner", async () => {
+    expect(await getTemplateRole("user-1", { uploadedById: null, workspaceId: null })).toBeNull();
+  });
+});
+
+describe("getFolderRole", () => {
+  test("makes the creator the owner of a private folder", async () => {
+    expect(await getFolderRole("user-1", { userId: "user-1", workspaceId: null })).toBe("owner");
+    expect(await getFolderRole("user-2", { userId: "user-1", workspaceId: null })).toBeNull();
+  });
+});
+
+describe("templatePermissionError", () => {
+  test("allows what the role allows", async () => {
+    prisma.workspaceMember.findUnique.mockResolvedValue({ role: "editor" });
+
+    expect(await templatePermissionError("user-1", { workspaceId: "ws-1" }, "template:edit")).toBeNull();
+  });
+
+  test("answers 404 for a template the user can't see, so it isn't revealed", async () => {
+    await expect(templatePermissionError("user-2", { uploadedById: "user-1" }, "template:read"))
+      .resolves.toMatchObject({ status: 404, message: "Template not found" });
+    await expect(templatePermissionError("user-1", null, "template:read"))
+      .resolves.toMatchObject({ status: 404 });
+  });
+
+  test("answers 403 naming the role when it doesn't allow the action", async () => {
+    prisma.workspaceMember.findUnique.mockResolvedValue({ role: "viewer" });
+
+    await expect(templatePermissionError("user-1", { workspaceId: "ws-1" }, "template:merge"))
+      .resolves.toMatchObject({ status: 403, message: "Your viewer role doesn't allow you to merge this template" });
+  });
+});
+
+describe("folderPermissionError", () => {
+  test("answers 404 with the folder's message", async () => {
+    await expect(folderPermissionError("user-1", null, "folder:read"))
+      .resolves.toMatchObject({ status: 404, message: "Folder not found" });
+  });
+});
+
+describe("workspacePermissionError", () => {
+  test("answers 404 to someone who isn't a member and 403 to a member without the role", async () => {
+    await expect(workspacePermissionError("user-1", "ws-1", "workspace:manage"))
+      .resolves.toMatchObject({ status: 404, message: "Workspace not found" });
+
+    prisma.workspaceMember.findUnique.mockResolvedValue({ role: "editor" });
+    await expect(workspacePermissionError("user-1", "ws-1", "workspace:manage"))
+      .resolves.toMatchObject({ status: 403, message: "Your editor role doesn't allow you to manage this workspace" });
+    expect(await workspacePermissionError("user-1", "ws-1", "workspace:add")).toBeNull();
+  });
+});
+
+describe("visibility filters", () => {
+  test("shows the user's private templates and their workspaces' templates", () => {
+    expect(visibleTemplatesWhere("user-1")).toEqual({
+      OR: [
+        { workspaceId: null, uploadedById: "user-1" },
+        { workspace: { members: { some: { userId: "user-1" } } } },
+      ],
+    });
+  });
+
+  test("shows the user's outputs and those of their workspaces' templates", () => {
+    expect(visibleMergeJobsWhere("user-1")).toEqual({
+      OR: [
+        { userId: "user-1" },
+        { template: { workspace: { members: { some: { userId: "user-1" } } } } },
+      ],
+    });
+  });
+});
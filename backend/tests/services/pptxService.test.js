@@ -1,5 +1,7 @@
 const AdmZip = require("adm-zip");
-const { extractPptxFields } = require("../../src/services/pptxService");
+const { extractPptxFields, fillPptxTemplate } = require("../../src/services/pptxService");
+const { pngDataUri } = require("../_helpers/images");
+const { BLANK } = require("../../src/utils/blank-values");
 
 // Helper to create a minimal PPTX buffer with slide XML content
 function createPptxBuffer(slides) {
@@ -23,6 +25,78 @@ function createPptxBuffer(slides) {
   return zip.toBuffer();
 }
 
+const NS = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+function textShape(text) {
+  return `<p:sp><p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>`;
+}
+
+function table(rows) {
+  const trs = rows
+    .map((cells) => `<a:tr h="370840">${cells.map((c) => `<a:tc><a:txBody><a:p><a:r><a:t>${c}</a:t></a:r></a:p></a:txBody></a:tc>`).join("")}</a:tr>`)
+    .join("");
+  return `<p:graphicFrame><a:graphic><a:graphicData><a:tbl><a:tblGrid/>${trs}</a:tbl></a:graphicData></a:graphic></p:graphicFrame>`;
+}
+
+// Helper to create a PPTX buffer with presentation.xml, relationships and notes
+// Each slide is an array of shape XML strings
+function createDeckBuffer(slides) {
+  const zip = new AdmZip();
+  const overrides = slides
+    .map((_, i) => `<Override PartName="/ppt/slides/slide${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slide+xml"/>`)
+    .join("");
+  zip.addFile(
+    "[Content_Types].xml",
+    Buffer.from(`<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">${overrides}<Override PartName="/ppt/notesSlides/notesSlide1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.notesSlide+xml"/></Types>`)
+  );
+  zip.addFile(
+    "ppt/presentation.xml",
+    Buffer.from(`<p:presentation ${NS}><p:sldIdLst>${slides.map((_, i) => `<p:sldId id="${256 + i}" r:id="rId${i + 2}"/>`).join("")}</p:sldIdLst></p:presentation>`)
+  );
+  zip.addFile(
+    "ppt/_rels/presentation.xml.rels",
+    Buffer.from(`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideMaster" Target="slideMasters/slideMaster1.xml"/>${slides.map((_, i) => `<Relationship Id="rId${i + 2}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide${i + 1}.xml"/>`).join("")}</Relationships>`)
+  );
+  zip.addFile("docProps/app.xml", Buffer.from(`<Properties><Slides>${slides.length}</Slides></Properties>`));
+
+  slides.forEach((shapes, i) => {
+    zip.addFile(
+      `ppt/slides/slide${i + 1}.xml`,
+      Buffer.from(`<p:sld ${NS}><p:cSld><p:spTree>${shapes.join("")}</p:spTree></p:cSld></p:sld>`)
+    );
+    const notes = i === 0
+      ? '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide" Target="../notesSlides/notesSlide1.xml"/>'
+      : "";
+    zip.addFile(
+      `ppt/slides/_rels/slide${i + 1}.xml.rels`,
+      Buffer.from(`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideLayout" Target="../slideLayouts/slideLayout1.xml"/>${notes}</Relationships>`)
+    );
+  });
+  zip.addFile("ppt/notesSlides/notesSlide1.xml", Buffer.from("<p:notes/>"));
+  zip.addFile("ppt/notesSlides/_rels/notesSlide1.xml.rels", Buffer.from("<Relationships/>"));
+
+  return zip.toBuffer();
+}
+
+// Read the slide texts of a filled deck in presentation order
+function readDeck(buffer) {
+  const zip = new AdmZip(buffer);
+  const read = (name) => zip.getEntry(name)?.getData().toString("utf8");
+  const rels = read("ppt/_rels/presentation.xml.rels");
+  const presentation = read("ppt/presentation.xml");
+
+  const slides = [...presentation.matchAll(/r:id="(rId\d+)"/g)].map(([, rId]) => {
+    const target = rels.match(new RegExp(`Id="${rId}"[^>]*Target="([^"]+)"`))[1];
+    const xml = read(`ppt/${target}`);
+    return {
+      path: `ppt/${target}`,
+      text: [...xml.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map((m) => m[1]),
+    };
+  });
+
+  return { zip, read, slides, presentation };
+}
+
 describe("pptxService", () => {
   describe("extractPptxFields", () => {
     test("extracts {{field}} placeholders from slides", async () => {
@@ -115,4 +189,424 @@ describe("pptxService", () => {
       ).rejects.toThrow("Failed to extract PPTX fields");
     });
   });
+
+  describe("extractPptxFields with split runs", () => {
+    test("detects placeholders split across text runs", async () => {
+      const buf = createDeckBuffer([
+        [
+          '<p:sp><p:txBody><a:p><a:r><a:rPr b="1"/><a:t>Dear {{first</a:t></a:r><a:r><a:t>Name}}</a:t></a:r><a:r><a:t> ${last</a:t></a:r><a:r><a:t>Name}</a:t></a:r></a:p></p:txBody></p:sp>',
+        ],
+      ]);
+
+      expect(await extractPptxFields(buf)).toEqual(["firstName", "lastName"]);
+    });
+  });
+
+  describe("extractPptxFields with sections", () => {
+    test("reports repeated slide and table loop fields as dot-paths", async () => {
+      const buf = createDeckBuffer([
+        [textShape("{{title}}")],
+        [
+          textShape("{{#products}}"),
+          textShape("{{name}}"),
+          table([["{{#rows}}{{label}}", "{{value}}{{/rows}}"]]),
+          textShape("{{/products}}"),
+        ],
+      ]);
+
+      const fields = await extractPptxFields(buf);
+      expect(fields).toEqual([
+        "title",
+        "products",
+        "products.name",
+        "products.rows",
+        "products.rows.label",
+        "products.rows.value",
+      ]);
+    });
+  });
+
+  describe("fillPptxTemplate", () => {
+    test("replaces placeholders in both syntaxes", async () => {
+      const { slides } = readDeck(
+        await fillPptxTemplate(createDeckBuffer([[textShape("Hello {{name}} from ${ company }")]]), {
+          name: "Ada",
+          company: "Acme",
+        })
+      );
+      expect(slides[0].text).toEqual(["Hello Ada from Acme"]);
+    });
+
+    test("replaces placeholders split across runs, keeping the first run's formatting", async () => {
+      const buf = createDeckBuffer([
+        [
+          '<p:sp><p:txBody><a:p><a:r><a:rPr b="1"/><a:t>Dear {{</a:t></a:r><a:r><a:rPr i="1"/><a:t>name</a:t></a:r><a:r><a:rPr/><a:t>}}, welcome</a:t></a:r></a:p></p:txBody></p:sp>',
+        ],
+      ]);
+
+      const { read } = readDeck(await fillPptxTemplate(buf, { name: "Ada" }));
+      expect(read("ppt/slides/slide1.xml")).toContain(
+        '<a:r><a:rPr b="1"/><a:t>Dear Ada</a:t></a:r><a:r><a:rPr/><a:t>, welcome</a:t></a:r>'
+      );
+    });
+
+    test("XML-escapes inserted values", async () => {
+      const buf = createDeckBuffer([[textShape("{{company}}")]]);
+
+      const { read, slides } = readDeck(await fillPptxTemplate(buf, { company: "Smith & Sons <Ltd>" }));
+      expect(read("ppt/slides/slide1.xml")).toContain("<a:t>Smith &amp; Sons &lt;Ltd&gt;</a:t>");
+      expect(slides[0].text).toEqual(["Smith &amp; Sons &lt;Ltd&gt;"]);
+    });
+
+    test("expands sections whose tags are split across runs", async () => {
+      const buf = createDeckBuffer([
+        [
+          '<p:sp><p:txBody><a:p><a:r><a:t>{{#ite</a:t></a:r><a:r><a:t>ms}}{{.}}{{/items}}</a:t></a:r></a:p></p:txBody></p:sp>',
+        ],
+      ]);
+
+      const { slides } = readDeck(await fillPptxTemplate(buf, { items: ["a", "b"] }));
+      expect(slides.map((s) => s.text)).toEqual([["a"], ["b"]]);
+    });
+
+    test("leaves unknown placeholders untouched", async () => {
+      const { slides } = readDeck(
+        await fillPptxTemplate(createDeckBuffer([[textShape("{{known}} {{unknown}}")]]), { known: "x" })
+      );
+      expect(slides[0].text).toEqual(["x {{unknown}}"]);
+    });
+
+    test("duplicates a marked slide per array item", async () => {
+      const buf = createDeckBuffer([
+        [textShape("Catalog for {{customer}}")],
+        [textShape("{{#products}}"), textShape("{{name}} for {{customer}}"), textShape("{{/products}}")],
+        [textShape("The end")],
+      ]);
+
+      const { slides, read, presentation } = readDeck(
+        await fillPptxTemplate(buf, {
+          customer: "Acme",
+          products: [{ name: "Widget" }, { name: "Gadget" }, { name: "Gizmo" }],
+        })
+      );
+
+      expect(slides.map((s) => s.text)).toEqual([
+        ["Catalog for Acme"],
+        ["Widget for Acme"],
+        ["Gadget for Acme"],
+        ["Gizmo for Acme"],
+        ["The end"],
+      ]);
+      expect(slides.map((s) => s.path)).toEqual([
+        "ppt/slides/slide1.xml",
+        "ppt/slides/slide2.xml",
+        "ppt/slides/slide4.xml",
+        "ppt/slides/slide5.xml",
+        "ppt/slides/slide3.xml",
+      ]);
+
+      // new slides get unique slide ids, relationships and content types
+      const ids = [...presentation.matchAll(/ id="(\d+)"/g)].map((m) => m[1]);
+      expect(new Set(ids).size).toBe(5);
+      expect(read("[Content_Types].xml")).toContain('PartName="/ppt/slides/slide5.xml"');
+      expect(read("ppt/slides/_rels/slide4.xml.rels")).toContain("slideLayout1.xml");
+      expect(read("docProps/app.xml")).toContain("<Slides>5</Slides>");
+    });
+
+    test("removes directive-only text boxes from repeated slides", async () => {
+      const buf = createDeckBuffer([
+        [textShape("{{#products}}"), textShape("{{name}}"), textShape("{{/products}}")],
+      ]);
+
+      const { read } = readDeck(await fillPptxTemplate(buf, { products: [{ name: "Widget" }] }));
+      expect(read("ppt/slides/slide1.xml").match(/<p:sp>/g)).toHaveLength(1);
+    });
+
+    test("does not copy notes slides onto duplicated slides", async () => {
+      const buf = createDeckBuffer([[textShape("{{#items}}{{.}}{{/items}}")]]);
+
+      const { slides, read } = readDeck(await fillPptxTemplate(buf, { items: ["a", "b"] }));
+      expect(slides.map((s) => s.text)).toEqual([["a"], ["b"]]);
+      expect(read("ppt/slides/_rels/slide1.xml.rels")).toContain("notesSlide1.xml");
+      expect(read("ppt/slides/_rels/slide2.xml.rels")).not.toContain("notesSlide");
+    });
+
+    test("removes slides for empty arrays and falsy conditions, with their notes", async () => {
+      const buf = createDeckBuffer([
+        [textShape("{{#items}}{{.}}{{/items}}")],
+        [textShape("{{^items}}No items{{/items}}")],
+        [textShape("{{#showAppendix}}Appendix{{/showAppendix}}")],
+      ]);
+
+      const { slides, zip, read } = readDeck(
+        await fillPptxTemplate(buf, { items: [], showAppendix: false })
+      );
+      expect(slides.map((s) => s.text)).toEqual([["No items"]]);
+      expect(zip.getEntry("ppt/slides/slide1.xml")).toBeNull();
+      expect(zip.getEntry("ppt/notesSlides/notesSlide1.xml")).toBeNull();
+      expect(read("[Content_Types].xml")).not.toContain("slide1.xml");
+      expect(read("[Content_Types].xml")).not.toContain("notesSlide1.xml");
+      expect(read("ppt/_rels/presentation.xml.rels")).not.toContain('Target="slides/slide1.xml"');
+    });
+
+    test("repeats a block spanning several slides", async () => {
+      const buf = createDeckBuffer([
+        [textShape("{{#people}}"), textShape("About {{name}}")],
+        [textShape("Contact {{email}}"), textShape("{{/people}}")],
+      ]);
+
+      const { slides } = readDeck(
+        await fillPptxTemplate(buf, {
+          people: [
+            { name: "Ada", email: "ada@example.com" },
+            { name: "Bob", email: "bob@example.com" },
+          ],
+        })
+      );
+      expect(slides.map((s) => s.text)).toEqual([
+        ["About Ada"],
+        ["Contact ada@example.com"],
+        ["About Bob"],
+        ["Contact bob@example.com"],
+      ]);
+    });
+
+    test("repeats table rows per array item", async () => {
+      const buf = createDeckBuffer([
+        [
+          table([
+            ["Item", "Qty"],
+            ["{{#items}}{{name}}", "{{qty}}{{/items}}"],
+            ["Total", "{{total}}"],
+          ]),
+        ],
+      ]);
+
+      const { slides, read } = readDeck(
+        await fillPptxTemplate(buf, {
+          items: [
+            { name: "Widget", qty: 2 },
+            { name: "Gadget", qty: 5 },
+          ],
+          total: 7,
+        })
+      );
+      expect(slides[0].text).toEqual(["Item", "Qty", "Widget", "2", "Gadget", "5", "Total", "7"]);
+      expect(read("ppt/slides/slide1.xml").match(/<a:tr /g)).toHaveLength(4);
+    });
+
+    test("drops marker rows around multi-row table blocks", async () => {
+      const buf = createDeckBuffer([
+        [
+          table([
+            ["{{#items}}", ""],
+            ["{{name}}", "{{qty}}"],
+            ["{{/items}}", ""],
+          ]),
+        ],
+      ]);
+
+      const { slides } = readDeck(
+        await fillPptxTemplate(buf, { items: [{ name: "A", qty: 1 }, { name: "B", qty: 2 }] })
+      );
+      expect(slides[0].text).toEqual(["A", "1", "B", "2"]);
+    });
+
+    test("renders table loops inside repeated slides with the slide's item", async () => {
+      const buf = createDeckBuffer([
+        [
+          textShape("{{#orders}}Order {{id}}"),
+          table([["{{#lines}}{{sku}}", "{{id}}{{/lines}}"]]),
+          textShape("{{/orders}}"),
+        ],
+      ]);
+
+      const { slides } = readDeck(
+        await fillPptxTemplate(buf, {
+          orders: [
+            { id: 1, lines: [{ sku: "A" }, { sku: "B" }] },
+            { id: 2, lines: [{ sku: "C" }] },
+          ],
+        })
+      );
+      expect(slides.map((s) => s.text)).toEqual([
+        ["Order 1", "A", "1", "B", "1"],
+        ["Order 2", "C", "2"],
+      ]);
+    });
+
+    test("keeps the ppsx content type swap", async () => {
+      const buf = createDeckBuffer([[textShape("{{#items}}{{.}}{{/items}}")]]);
+      const zip = new AdmZip(buf);
+      const types = zip.getEntry("[Content_Types].xml").getData().toString("utf8");
+      zip.updateFile(
+        "[Content_Types].xml",
+        Buffer.from(types.replace("</Types>", '<Override PartName="/ppt/presentation.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml"/></Types>'))
+      );
+
+      const { read, slides } = readDeck(await fillPptxTemplate(zip.toBuffer(), { items: ["a", "b"] }, "ppsx"));
+      expect(slides).toHaveLength(2);
+      expect(read("[Content_Types].xml")).toContain("presentationml.slideshow.main+xml");
+    });
+
+    test("rejects unclosed slide sections with a 422 parse error", async () => {
+      const buf = createDeckBuffer([[textShape("{{#products}}{{name}}")]]);
+
+      await expect(fillPptxTemplate(buf, { products: [] })).rejects.toMatchObject({
+        message: "TEMPLATE_PARSE_ERROR",
+        status: 422,
+        details: [expect.objectContaining({ id: "unclosed_section", file: "ppt/slides/slide1.xml" })],
+      });
+    });
+  });
+
+  describe("image placeholders", () => {
+    const box = (text) =>
+      `<p:sp><p:nvSpPr><p:cNvPr id="7" name="Logo box"/></p:nvSpPr><p:spPr><a:xfrm><a:off x="100" y="200"/><a:ext cx="952500" cy="952500"/></a:xfrm></p:spPr><p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>`;
+
+    test("reports image tags by field name", async () => {
+      const buf = createDeckBuffer([[box("{{%logo}}")]]);
+      expect(await extractPptxFields(buf)).toEqual(["logo"]);
+    });
+
+    test("replaces the text box with a picture fitted into it", async () => {
+      const buf = createDeckBuffer([[box("{{%logo}}"), textShape("{{name}}")]]);
+
+      const { read, zip } = readDeck(await fillPptxTemplate(buf, { logo: pngDataUri(200, 100), name: "Acme" }));
+      const slide = read("ppt/slides/slide1.xml");
+
+      // 100x50px box-fitted into 100x100px: full width, centred vertically
+      expect(slide).toContain('<p:cNvPr id="7" name="logo"/>');
+      expect(slide).toContain('<a:off x="100" y="238325"/><a:ext cx="952500" cy="476250"/>');
+      expect(slide).toContain('<a:blip r:embed="rIdImg1"/>');
+      expect(slide).not.toContain("{{%logo}}");
+      expect(slide).toContain("<a:t>Acme</a:t>");
+
+      expect(read("ppt/slides/_rels/slide1.xml.rels")).toContain(
+        'Id="rIdImg1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="../media/image1.png"'
+      );
+      expect(zip.getEntry("ppt/media/image1.png")).not.toBeNull();
+      expect(read("[Content_Types].xml")).toContain('<Default Extension="png" ContentType="image/png"/>');
+    });
+
+    test("uses the requested size when given", async () => {
+      const buf = createDeckBuffer([[box("{{%logo}}")]]);
+
+      const { read } = readDeck(
+        await fillPptxTemplate(buf, { logo: { src: pngDataUri(200, 100), width: 20 } })
+      );
+      expect(read("ppt/slides/slide1.xml")).toContain('<a:off x="100" y="200"/><a:ext cx="190500" cy="95250"/>');
+    });
+
+    test("gives each repeated slide its own image", async () => {
+      const buf = createDeckBuffer([[textShape("{{#people}}{{name}}{{/people}}"), box("{{%photo}}")]]);
+
+      const { read, zip } = readDeck(
+        await fillPptxTemplate(buf, {
+          people: [
+            { name: "A", photo: pngDataUri() },
+            { name: "B", photo: pngDataUri() },
+          ],
+        })
+      );
+      expect(read("ppt/slides/_rels/slide1.xml.rels")).toContain("../media/image1.png");
+      expect(read("ppt/slides/_rels/slide2.xml.rels")).toContain("../media/image2.png");
+      expect(zip.getEntry("ppt/media/image2.png")).not.toBeNull();
+    });
+
+    test("leaves unresolved image tags untouched", async () => {
+      const buf = createDeckBuffer([[box("{{%logo}}")]]);
+
+      const { read } = readDeck(await fillPptxTemplate(buf, {}));
+      expect(read("ppt/slides/slide1.xml")).toContain("{{%logo}}");
+    });
+  });
+
+  describe("barcode tags", () => {
+    const box = (text) =>
+      `<p:sp><p:nvSpPr><p:cNvPr id="7" name="Code box"/></p:nvSpPr><p:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="952500" cy="952500"/></a:xfrm></p:spPr><p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>`;
+
+    test("reports barcode tags by the field they encode", async () => {
+      const buf = createDeckBuffer([[box("{{qr:ticket}}")]]);
+      expect(await extractPptxFields(buf)).toEqual(["ticket"]);
+    });
+
+    test("replaces the text box with the image generated into the tag's key", async () => {
+      const buf = createDeckBuffer([[box("{{qr:ticket}}")]]);
+
+      const { read } = readDeck(await fillPptxTemplate(buf, { ticket: "T-1", "qr:ticket": pngDataUri(10, 10) }));
+      const slide = read("ppt/slides/slide1.xml");
+      expect(slide).toContain('<a:blip r:embed="rIdImg1"/>');
+      expect(slide).not.toContain("{{qr:ticket}}");
+    });
+  });
+
+  describe("optional fields", () => {
+    const slideXml = async (shapes, data) => readDeck(await fillPptxTemplate(createDeckBuffer([shapes]), data)).read("ppt/slides/slide1.xml");
+
+    test("removes blank paragraphs but keeps one per text body", async () => {
+      const body = '<p:sp><p:txBody><a:p><a:r><a:t>{{name}}</a:t></a:r></a:p><a:p><a:r><a:t>{{note}}</a:t></a:r></a:p></p:txBody></p:sp>';
+
+      const slide = await slideXml([body, textShape("{{note}}")], { name: "Ada", note: BLANK });
+
+      expect(slide.match(/<a:p>/g)).toHaveLength(2);
+      expect(slide).toContain("<a:t>Ada</a:t>");
+      expect(slide).not.toContain(BLANK);
+    });
+
+    test("drops the line break of a blank line", async () => {
+      const body = "<p:sp><p:txBody><a:p><a:r><a:t>{{line1}}</a:t></a:r><a:br/><a:r><a:t>{{line2}}</a:t></a:r><a:br/><a:r><a:t>{{city}}</a:t></a:r></a:p></p:txBody></p:sp>";
+
+      const slide = await slideXml([body], { line1: "1 Main St", line2: BLANK, city: "Springfield" });
+
+      expect(slide.match(/<a:br\/>/g)).toHaveLength(1);
+      expect(slide).toContain("<a:t>1 Main St</a:t></a:r><a:r><a:t></a:t></a:r><a:br/><a:r><a:t>Springfield</a:t>");
+    });
+
+    test("removes blank table rows", async () => {
+      const slide = await slideXml([table([["Name"], ["{{note}}"], ["{{name}}"]])], { name: "Ada", note: BLANK });
+      expect(slide.match(/<a:tr /g)).toHaveLength(2);
+    });
+
+    test("removes the box of a blank image tag and hides blank sections", async () => {
+      const slide = await slideXml(
+        [textShape("{{%logo}}"), table([["{{#vip}}VIP{{/vip}}"], ["{{^vip}}regular{{/vip}}"]])],
+        { logo: BLANK, vip: BLANK }
+      );
+
+      expect(slide).not.toContain("<p:sp>");
+      expect(slide).toContain("<a:t>regular</a:t>");
+      expect(slide).not.toContain("VIP");
+    });
+  });
+
+  describe("value filters", () => {
+    test("reports the field name of filtered tags", async () => {
+      const buf = createDeckBuffer([[textShape("{{total | currency:&quot;EUR&quot;}} {{name|upper}}")]]);
+      expect(await extractPptxFields(buf)).toEqual(["total", "name"]);
+    });
+
+    test("formats values for the locale", async () => {
+      const buf = createDeckBuffer([[textShape("{{name | upper}} {{total | currency:&quot;EUR&quot;}}")]]);
+
+      const out = await fillPptxTemplate(buf, { name: "a&b", total: 1234.5 }, "pptx", { locale: "de-DE" });
+
+      expect(readDeck(out).read("ppt/slides/slide1.xml")).toContain("<a:t>A&amp;B 1.234,50\u00a0€</a:t>");
+    });
+  });
+
+  describe("computed expressions", () => {
+    test("reports the fields expressions read", async () => {
+      const buf = createDeckBuffer([[textShape("{{first + &quot; &quot; + last}} {{round(score, 1)}}")]]);
+      expect(await extractPptxFields(buf)).toEqual(["first", "last", "score"]);
+    });
+
+    test("renders the result the merge stored under the decoded tag text", async () => {
+      const buf = createDeckBuffer([[textShape("{{first + &quot; &quot; + last | upper}}")]]);
+
+      const out = await fillPptxTemplate(buf, { 'first + " " + last': "Ada Lovelace" }, "pptx");
+
+      expect(readDeck(out).read("ppt/slides/slide1.xml")).toContain("<a:t>ADA LOVELACE</a:t>");
+    });
+  });
 });
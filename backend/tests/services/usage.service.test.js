@@ -0,0 +1,255 @@
+/**
+ * Unit tests for usage.service.js
+ * Tests: storage summed from the sizes kept for templates, versions, assets and outputs, the usage counts, and
+ * the quotas of each role: checking them, reserving monthly usage and reporting it
+ */
+
+jest.mock("../../src/config/prisma", () => ({
+  template: {
+    aggregate: jest.fn(),
+    count: jest.fn(),
+  },
+  templateVersion: {
+    aggregate: jest.fn(),
+  },
+  templateAsset: {
+    aggregate: jest.fn(),
+  },
+  mergeJob: {
+    aggregate: jest.fn(),
+    count: jest.fn(),
+  },
+  batchJob: {
+    count: jest.fn(),
+  },
+  user: {
+    findUnique: jest.fn(),
+  },
+  usageCounter: {
+    findUnique: jest.fn(),
+    upsert: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+const prisma = require("../../src/config/prisma");
+
+const {
+  QuotaExceededError,
+  QUOTAS,
+  getStorageUsage,
+  getUsage,
+  getQuotaRemaining,
+  checkQuotas,
+  reserveUsage,
+  releaseUsage,
+  getQuotaUsage,
+} = require("../../src/services/usage.service");
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  prisma.template.aggregate.mockResolvedValue({ _sum: { fileSize: 1000 } });
+  prisma.templateVersion.aggregate.mockResolvedValue({ _sum: { fileSize: 400 } });
+  prisma.templateAsset.aggregate.mockResolvedValue({ _sum: { size: 100 } });
+  prisma.mergeJob.aggregate.mockResolvedValue({ _sum: { fileSize: 2500 } });
+  prisma.user.findUnique.mockResolvedValue({ role: "user" });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("getStorageUsage", () => {
+  test("sums the user's template files, versions and assets and their outputs", async () => {
+    expect(await getStorageUsage("user-1")).toEqual({
+      templates: 1000,
+      versions: 400,
+      assets: 100,
+      outputs: 2500,
+      total: 4000,
+    });
+    expect(prisma.template.aggregate).toHaveBeenCalledWith({
+      where: { uploadedById: "user-1" },
+      _sum: { fileSize: true },
+    });
+    expect(prisma.templateVersion.aggregate).toHaveBeenCalledWith({
+      where: { template: { uploadedById: "user-1" } },
+      _sum: { fileSize: true },
+    });
+    expect(prisma.mergeJob.aggregate).toHaveBeenCalledWith({ where: { userId: "user-1" }, _sum: { fileSize: true } });
+  });
+
+  test("counts nothing stored as 0 bytes", async () => {
+    prisma.template.aggregate.mockResolvedValue({ _sum: { fileSize: null } });
+    prisma.templateVersion.aggregate.mockResolvedValue({ _sum: { fileSize: null } });
+    prisma.templateAsset.aggregate.mockResolvedValue({ _sum: { size: null } });
+    prisma.mergeJob.aggregate.mockResolvedValue({ _sum: { fileSize: null } });
+
+    expect((await getStorageUsage("user-1")).total).toBe(0);
+  });
+});
+
+describe("getUsage", () => {
+  test("counts the user's active templates, merges and batch jobs", async () => {
+    prisma.template.count.mockResolvedValue(3);
+    prisma.mergeJob.count.mockResolvedValue(12);
+    prisma.batchJob.count.mockResolvedValue(1);
+
+    expect(await getUsage("user-1")).toMatchObject({ templates: 3, mergeJobs: 12, batchJobs: 1 });
+    expect(prisma.template.count).toHaveBeenCalledWith({ where: { uploadedById: "user-1", isActive: true } });
+  });
+});
+
+describe("checkQuotas", () => {
+  test("passes while the request fits every quota", async () => {
+    prisma.template.count.mockResolvedValue(QUOTAS.user.templates - 1);
+
+    await expect(checkQuotas("user-1", { templates: 1, storageBytes: 1000 })).resolves.toBeUndefined();
+  });
+
+  test("throws for the first quota the request would go past", async () => {
+    prisma.template.count.mockResolvedValue(QUOTAS.user.templates);
+
+    const err = await checkQuotas("user-1", { templates: 1, storageBytes: 1000 }).catch((e) => e);
+
+    expect(err).toBeInstanceOf(QuotaExceededError);
+    expect(err).toMatchObject({
+      status: 403,
+      details: { quota: "templates", limit: QUOTAS.user.templates, used: QUOTAS.user.templates },
+    });
+    expect(err.message).toBe(`You've reached your limit of ${QUOTAS.user.templates} templates; delete one to upload another`);
+  });
+
+  test("reads monthly quotas from this month's counter", async () => {
+    jest.useFakeTimers({ now: new Date("2026-10-19T12:00:00Z") });
+    prisma.usageCounter.findUnique.mockResolvedValue({ merges: QUOTAS.user.mergesPerMonth, batchRows: 0 });
+
+    await expect(checkQuotas("user-1", { mergesPerMonth: 1 })).rejects.toMatchObject({
+      details: { quota: "mergesPerMonth" },
+    });
+    expect(prisma.usageCounter.findUnique).toHaveBeenCalledWith({
+      where: { userId_month: { userId: "user-1", month: "2026-10" } },
+    });
+  });
+
+  test("skips quotas the user's role doesn't limit", async () => {
+    prisma.user.findUnique.mockResolvedValue({ role: "admin" });
+
+    await checkQuotas("admin-1", { templates: 1, storageBytes: 1000, mergesPerMonth: 1 });
+
+    expect(prisma.template.count).not.toHaveBeenCalled();
+    expect(prisma.usageCounter.findUnique).not.toHaveBeenCalled();
+  });
+});
+
+describe("getQuotaRemaining", () => {
+  test("is what's left of this month's batch rows", async () => {
+    prisma.usageCounter.findUnique.mockResolvedValue({ merges: 0, batchRows: 150 });
+
+    expect(await getQuotaRemaining("user-1", "batchRowsPerMonth")).toEqual({
+      limit: QUOTAS.user.batchRowsPerMonth,
+      used: 150,
+      remaining: QUOTAS.user.batchRowsPerMonth - 150,
+    });
+  });
+
+  test("is unlimited for admins", async () => {
+    prisma.user.findUnique.mockResolvedValue({ role: "admin" });
+
+    expect(await getQuotaRemaining("admin-1", "batchRowsPerMonth")).toEqual({
+      limit: null,
+      used: null,
+      remaining: Infinity,
+    });
+  });
+});
+
+describe("reserveUsage", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-10-19T12:00:00Z") });
+  });
+
+  test("adds to this month's counter only while it stays within the quota", async () => {
+    prisma.usageCounter.updateMany.mockResolvedValue({ count: 1 });
+
+    expect(await reserveUsage("user-1", { batchRows: 40 })).toEqual({
+      userId: "user-1",
+      month: "2026-10",
+      merges: 0,
+      batchRows: 40,
+    });
+    expect(prisma.usageCounter.upsert).toHaveBeenCalledWith({
+      where: { userId_month: { userId: "user-1", month: "2026-10" } },
+      create: { userId: "user-1", month: "2026-10" },
+      update: {},
+    });
+    expect(prisma.usageCounter.updateMany).toHaveBeenCalledWith({
+      where: { userId: "user-1", month: "2026-10", batchRows: { lte: QUOTAS.user.batchRowsPerMonth - 40 } },
+      data: { merges: { increment: 0 }, batchRows: { increment: 40 } },
+    });
+  });
+
+  test("throws, counting nothing, when the counter has no room left", async () => {
+    prisma.usageCounter.updateMany.mockResolvedValue({ count: 0 });
+    prisma.usageCounter.findUnique.mockResolvedValue({ merges: QUOTAS.user.mergesPerMonth, batchRows: 0 });
+
+    await expect(reserveUsage("user-1", { merges: 1 })).rejects.toMatchObject({
+      status: 403,
+      details: { quota: "mergesPerMonth", limit: QUOTAS.user.mergesPerMonth, used: QUOTAS.user.mergesPerMonth },
+    });
+  });
+
+  test("doesn't limit what the user's role doesn't", async () => {
+    prisma.user.findUnique.mockResolvedValue({ role: "admin" });
+    prisma.usageCounter.updateMany.mockResolvedValue({ count: 1 });
+
+    await reserveUsage("admin-1", { merges: 1 });
+
+    expect(prisma.usageCounter.updateMany).toHaveBeenCalledWith({
+      where: { userId: "admin-1", month: "2026-10" },
+      data: { merges: { increment: 1 }, batchRows: { increment: 0 } },
+    });
+  });
+});
+
+describe("releaseUsage", () => {
+  test("takes a reservation back off the month it was made in", async () => {
+    prisma.usageCounter.updateMany.mockResolvedValue({ count: 1 });
+
+    await releaseUsage({ userId: "user-1", month: "2026-09", merges: 1, batchRows: 0 });
+
+    expect(prisma.usageCounter.updateMany).toHaveBeenCalledWith({
+      where: { userId: "user-1", month: "2026-09" },
+      data: { merges: { decrement: 1 }, batchRows: { decrement: 0 } },
+    });
+  });
+});
+
+describe("getQuotaUsage", () => {
+  test("reports each quota's use and limit for the current month", async () => {
+    jest.useFakeTimers({ now: new Date("2026-10-19T12:00:00Z") });
+    prisma.template.count.mockResolvedValue(3);
+    prisma.usageCounter.findUnique.mockResolvedValue({ merges: 12, batchRows: 40 });
+
+    expect(await getQuotaUsage("user-1")).toEqual({
+      quotas: {
+        templates: { used: 3, limit: QUOTAS.user.templates },
+        storageBytes: { used: 4000, limit: QUOTAS.user.storageBytes },
+        mergesPerMonth: { used: 12, limit: QUOTAS.user.mergesPerMonth },
+        batchRowsPerMonth: { used: 40, limit: QUOTAS.user.batchRowsPerMonth },
+      },
+      storage: { templates: 1000, versions: 400, assets: 100, outputs: 2500, total: 4000 },
+      periodStart: "2026-10-01T00:00:00.000Z",
+      periodEnd: "2026-11-01T00:00:00.000Z",
+    });
+  });
+
+  test("counts a month without a counter as nothing used", async () => {
+    prisma.template.count.mockResolvedValue(0);
+    prisma.usageCounter.findUnique.mockResolvedValue(null);
+
+    const { quotas } = await getQuotaUsage("user-1");
+
+    expect(quotas.mergesPerMonth.used).toBe(0);
+    expect(quotas.batchRowsPerMonth.used).toBe(0);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for user.service.js
+ * Tests: listing and searching users, usage, deactivating and changing roles (never of oneself) and listing the
+ * templates a user sees
+ */
+
+jest.mock("../../src/config/prisma", () => ({
+  user: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    update: jest.fn(),
+  },
+  template: {
+    findMany: jest.fn(),
+  },
+}));
+const prisma = require("../../src/config/prisma");
+
+jest.mock("../../src/config/logger", () => ({
+  warn: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+}));
+
+jest.mock("../../src/services/usage.service", () => ({
+  getUsage: jest.fn(),
+}));
+const { getUsage } = require("../../src/services/usage.service");
+
+const {
+  listUsers,
+  getUser,
+  setUserActive,
+  setUserRole,
+  listUserTemplates,
+} = require("../../src/services/user.service");
+
+const user = { id: "user-2", email: "sam@example.com", role: "user", isActive: true };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  prisma.user.findUnique.mockResolvedValue(user);
+});
+
+describe("listUsers", () => {
+  test("searches email, username and name, ignoring case, with the filters and page", async () => {
+    prisma.user.findMany.mockResolvedValue([user]);
+    prisma.user.count.mockResolvedValue(41);
+
+    expect(await listUsers({ search: "sam", role: "user", isActive: true, limit: 10, offset: 20 }))
+      .toEqual({ users: [user], total: 41 });
+
+    const contains = { contains: "sam", mode: "insensitive" };
+    const where = {
+      OR: [{ email: contains }, { username: contains }, { firstName: contains }, { lastName: contains }],
+      role: "user",
+      isActive: true,
+    };
+    expect(prisma.user.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where,
+      orderBy: { createdAt: "desc" },
+      take: 10,
+      skip: 20,
+    }));
+    expect(prisma.user.count).toHaveBeenCalledWith({ where });
+  });
+
+  test("lists everyone without filters, never selecting secrets", async () => {
+    prisma.user.findMany.mockResolvedValue([]);
+    prisma.user.count.mockResolvedValue(0);
+
+    await listUsers();
+
+    const { where, select } = prisma.user.findMany.mock.calls[0][0];
+    expect(where).toEqual({});
+    expect(select).not.toHaveProperty("password");
+    expect(select).not.toHaveProperty("supabaseId");
+  });
+});
+
+describe("getUser", () => {
+  test("adds the user's usage", async () => {
+    const usage = { templates: 3, mergeJobs: 12, batchJobs: 1, storage: { total: 2048 } };
+    getUsage.mockResolvedValue(usage);
+
+    expect(await getUser("user-2")).toEqual({ ...user, usage });
+    expect(getUsage).toHaveBeenCalledWith("user-2");
+  });
+
+  test("answers 404 for an unknown user", async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+
+    await expect(getUser("user-2")).rejects.toMatchObject({ status: 404, message: "User not found" });
+  });
+});
+
+describe("setUserActive", () => {
+  test("deactivates a user", async () => {
+    prisma.user.update.mockResolvedValue({ ...user, isActive: false });
+
+    expect(await setUserActive("admin-1", "user-2", false)).toMatchObject({ isActive: false });
+    expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: "user-2" },
+      data: { isActive: false },
+    }));
+  });
+
+  test("won't let admins deactivate themselves", async () => {
+    await expect(setUserActive("admin-1", "admin-1", false))
+      .rejects.toMatchObject({ status: 409, message: "You can't deactivate your own account" });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  test("answers 404 for an unknown user", async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+
+    await expect(setUserActive("admin-1", "user-2", true)).rejects.toMatchObject({ status: 404 });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+});
+
+describe("setUserRole", () => {
+  test("makes a user an admin", async () => {
+    prisma.user.update.mockResolvedValue({ ...user, role: "admin" });
+
+    await setUserRole("admin-1", "user-2", "admin");
+
+    expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: "user-2" },
+      data: { role: "admin" },
+    }));
+  });
+
+  test("won't let admins demote themselves", async () => {
+    await expect(setUserRole("admin-1", "admin-1", "user"))
+      .rejects.toMatchObject({ status: 409, message: "You can't remove your own admin role" });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+});
+
+describe("listUserTemplates", () => {
+  test("lists what the user sees: their private templates and their workspaces'", async () => {
+    prisma.template.findMany.mockResolvedValue([{ id: "t1" }]);
+
+    expect(await listUserTemplates("user-2")).toEqual([{ id: "t1" }]);
+    expect(prisma.template.findMany).toHaveBeenCalledWith({
+      where: {
+        OR: [
+          { workspaceId: null, uploadedById: "user-2" },
+          { workspace: { members: { some: { userId: "user-2" } } } },
+        ],
+      },
+      include: { fields: true },
+      orderBy: { createdAt: "desc" },
+    });
+  });
+
+  test("answers 404 for an unknown user", async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+
+    await expect(listUserTemplates("user-2")).rejects.toMatchObject({ status: 404 });
+    expect(prisma.template.findMany).not.toHaveBeenCalled();
+  });
+});
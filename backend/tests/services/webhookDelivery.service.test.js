@@ -0,0 +1,374 @@
+/**
+ * Unit tests for webhookDelivery.service.js
+ * Tests: callback delivery to a local HTTP receiver signed with the user's own secret, retries with backoff and
+ * delivery logs
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+jest.mock("../../src/config/prisma", () => ({
+  webhookDelivery: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+const prisma = require("../../src/config/prisma");
+
+jest.mock("../../src/config/logger", () => ({
+  warn: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+}));
+
+const {
+  MAX_ATTEMPTS,
+  signPayload,
+  rotateCallbackSecret,
+  retryDelay,
+  queueWebhookDelivery,
+  deliverWebhook,
+  deliverDueWebhooks,
+  listWebhookDeliveries,
+} = require("../../src/services/webhookDelivery.service");
+
+const CALLBACK_SECRET = "whsec_user-1-secret";
+
+const payload = { event: "batch.completed", occurredAt: "2026-10-19T12:00:00.000Z", data: { batchJobId: "batch-1" } };
+
+// Local receiver answering with `status`; requests are kept with their raw body
+let server;
+let receiverUrl;
+let received;
+let answerStatus;
+
+beforeAll(async () => {
+  process.env.WEBHOOK_SECRET = "test-webhook-secret";
+  // the receiver is on loopback, which callbacks only reach when it's allowed
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true";
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = answerStatus;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+afterAll(() => new Promise((resolve) => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+  server.close(resolve);
+  // fetch keeps its connections open for reuse
+  server.closeAllConnections();
+}));
+
+// A pending delivery that is due, on its `attempts`th attempt once claimed
+function mockDelivery(attempts = 1, overrides = {}) {
+  const delivery = {
+    id: "delivery-1",
+    event: "batch.completed",
+    url: receiverUrl,
+    payload,
+    attempts,
+    userId: "user-1",
+    ...overrides,
+  };
+  prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 1 });
+  prisma.webhookDelivery.findUnique.mockResolvedValue(delivery);
+  prisma.webhookDelivery.update.mockImplementation(async ({ data }) => ({ ...delivery, status: "pending", ...data }));
+  return delivery;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  received = [];
+  answerStatus = 204;
+  prisma.user.findUnique.mockResolvedValue({ callbackSecret: CALLBACK_SECRET });
+});
+
+describe("signPayload", () => {
+  test("signs with the secret given", () => {
+    const expected = crypto.createHmac("sha256", CALLBACK_SECRET).update("{}").digest("hex");
+    expect(signPayload("{}", CALLBACK_SECRET)).toBe(expected);
+  });
+});
+
+describe("rotateCallbackSecret", () => {
+  test("stores a new secret for the user and returns it", async () => {
+    const secret = await rotateCallbackSecret("user-1");
+
+    expect(secret).toMatch(/^whsec_/);
+    expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: "user-1" }, data: { callbackSecret: secret } });
+  });
+});
+
+describe("retryDelay", () => {
+  test("doubles with every attempt", () => {
+    expect(retryDelay(2)).toBe(retryDelay(1) * 2);
+    expect(retryDelay(3)).toBe(retryDelay(1) * 4);
+  });
+});
+
+describe("deliverWebhook", () => {
+  test("posts the signed payload and marks the delivery delivered", async () => {
+    mockDelivery();
+
+    const delivery = await deliverWebhook("delivery-1");
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    expect(JSON.parse(body)).toEqual(payload);
+    expect(headers["x-signature"]).toBe(signPayload(body, CALLBACK_SECRET));
+    // never with the secret inbound webhooks are verified with
+    expect(headers["x-signature"]).not.toBe(signPayload(body, process.env.WEBHOOK_SECRET));
+    expect(headers["x-webhook-event"]).toBe("batch.completed");
+    expect(headers["x-webhook-delivery"]).toBe("delivery-1");
+    expect(headers["content-type"]).toBe("application/json");
+    expect(delivery).toMatchObject({ status: "delivered", lastStatusCode: 204, lastError: null });
+  });
+
+  test("makes the user a secret on their first callback", async () => {
+    mockDelivery();
+    prisma.user.findUnique
+      .mockResolvedValueOnce({ callbackSecret: null })
+      .mockResolvedValueOnce({ callbackSecret: "whsec_made-now" });
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+    await deliverWebhook("delivery-1");
+
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: { id: "user-1", callbackSecret: null },
+      data: { callbackSecret: expect.stringMatching(/^whsec_/) },
+    });
+    expect(received[0].headers["x-signature"]).toBe(signPayload(received[0].body, "whsec_made-now"));
+  });
+
+  test("fails a callback without a user to sign it", async () => {
+    mockDelivery(1, { userId: null });
+
+    const delivery = await deliverWebhook("delivery-1");
+
+    expect(delivery).toMatchObject({ status: "failed", lastError: "Callback has no user to sign it" });
+    expect(received).toHaveLength(0);
+  });
+
+  test("claims the attempt so it's only sent once", async () => {
+    mockDelivery();
+
+    await deliverWebhook("delivery-1");
+
+    expect(prisma.webhookDelivery.updateMany).toHaveBeenCalledWith({
+      where: { id: "delivery-1", status: "pending", nextAttemptAt: { lte: expect.any(Date) } },
+      data: { attempts: { increment: 1 }, nextAttemptAt: expect.any(Date) },
+    });
+  });
+
+  test("skips a delivery that isn't due or was claimed elsewhere", async () => {
+    prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await deliverWebhook("delivery-1")).toBeNull();
+    expect(received).toHaveLength(0);
+  });
+
+  test("schedules a retry with backoff when the receiver fails", async () => {
+    answerStatus = 500;
+    mockDelivery(2);
+    const before = Date.now();
+
+    const delivery = await deliverWebhook("delivery-1");
+
+    expect(delivery).toMatchObject({
+      status: "pending",
+      lastStatusCode: 500,
+      lastError: "Receiver answered with status 500",
+    });
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + retryDelay(2));
+  });
+
+  test("gives up after the last attempt", async () => {
+    answerStatus = 503;
+    mockDelivery(MAX_ATTEMPTS);
+
+    const delivery = await deliverWebhook("delivery-1");
+
+    expect(delivery).toMatchObject({ status: "failed", lastStatusCode: 503 });
+  });
+
+  test("counts a redirect as a failed attempt", async () => {
+    answerStatus = 302;
+    mockDelivery();
+
+    const delivery = await deliverWebhook("delivery-1");
+
+    expect(delivery).toMatchObject({ status: "pending", lastStatusCode: 302 });
+  });
+
+  test("records a receiver that can't be reached", async () => {
+    mockDelivery(1, { url: "http://127.0.0.1:1/hooks" });
+
+    const delivery = await deliverWebhook("delivery-1");
+
+    expect(delivery.status).toBe("pending");
+    expect(delivery.lastStatusCode).toBeNull();
+    expect(delivery.lastError).toEqual(expect.any(String));
+  });
+
+  describe("without WEBHOOK_ALLOW_PRIVATE_URLS", () => {
+    beforeEach(() => {
+      delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    });
+
+    afterEach(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true";
+    });
+
+    test("refuses private addresses, whatever NODE_ENV is", async () => {
+      mockDelivery();
+
+      const delivery = await deliverWebhook("delivery-1");
+
+      expect(process.env.NODE_ENV).not.toBe("production");
+      expect(delivery).toMatchObject({ status: "failed", lastError: "Callback URL points to a private address" });
+      expect(received).toHaveLength(0);
+    });
+
+    test("refuses a host name once it resolves to a private address", async () => {
+      mockDelivery(1, { url: receiverUrl.replace("127.0.0.1", "localhost") });
+
+      const delivery = await deliverWebhook("delivery-1");
+
+      expect(delivery).toMatchObject({ status: "failed", lastError: "Callback URL points to a private address" });
+      expect(received).toHaveLength(0);
+    });
+
+    test("refuses loopback written as a hex IPv4-mapped IPv6 address", async () => {
+      const url = receiverUrl.replace("127.0.0.1", "[::ffff:127.0.0.1]");
+      expect(new URL(url).hostname).toBe("[::ffff:7f00:1]");
+      mockDelivery(1, { url });
+
+      const delivery = await deliverWebhook("delivery-1");
+
+      expect(delivery).toMatchObject({ status: "failed", lastError: "Callback URL points to a private address" });
+      expect(received).toHaveLength(0);
+    });
+
+    test("refuses cloud metadata written as a hex IPv4-mapped IPv6 address", async () => {
+      mockDelivery(1, { url: "http://[::ffff:a9fe:a9fe]/latest/meta-data" });
+
+      const delivery = await deliverWebhook("delivery-1");
+
+      expect(delivery).toMatchObject({ status: "failed", lastError: "Callback URL points to a private address" });
+    });
+
+    test.each([
+      "0.1.2.3",
+      "100.64.0.1",
+      "198.18.0.1",
+      "224.0.0.251",
+      "255.255.255.255",
+      "::7f00:1",
+      "64:ff9b::a9fe:a9fe",
+      "64:ff9b::10.0.0.1",
+      "ff02::1",
+      "fd00::1",
+    ])("refuses a host name resolving to %s", async (address) => {
+      const dns = require("dns");
+      const family = address.includes(":") ? 6 : 4;
+      jest.spyOn(dns, "lookup").mockImplementation((hostname, options, callback) =>
+        (options.all ? callback(null, [{ address, family }]) : callback(null, address, family)));
+      mockDelivery(1, { url: "http://hooks.example.com/hooks" });
+
+      const delivery = await deliverWebhook("delivery-1");
+
+      expect(delivery).toMatchObject({ status: "failed", lastError: "Callback URL points to a private address" });
+    });
+  });
+
+  test("connects to the address its lookup checked, without resolving the host again", async () => {
+    const dns = require("dns");
+    const answer = (address) => (hostname, options, callback) =>
+      (options.all ? callback(null, [{ address, family: 4 }]) : callback(null, address, 4));
+    // the first lookup answers with the receiver's address; a second one would answer with another
+    const lookup = jest.spyOn(dns, "lookup")
+      .mockImplementationOnce(answer("127.0.0.1"))
+      .mockImplementation(answer("10.255.255.1"));
+    mockDelivery(1, { url: receiverUrl.replace("127.0.0.1", "hooks.example.com") });
+
+    const delivery = await deliverWebhook("delivery-1");
+
+    expect(delivery.status).toBe("delivered");
+    expect(lookup).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("queueWebhookDelivery", () => {
+  test("records the delivery and tries it right away", async () => {
+    const delivery = mockDelivery();
+    prisma.webhookDelivery.create.mockResolvedValue(delivery);
+
+    const queued = await queueWebhookDelivery({
+      url: receiverUrl,
+      event: "batch.completed",
+      data: { batchJobId: "batch-1" },
+      userId: "user-1",
+      batchJobId: "batch-1",
+    });
+
+    expect(queued).toBe(delivery);
+    expect(prisma.webhookDelivery.create).toHaveBeenCalledWith({
+      data: {
+        userId: "user-1",
+        event: "batch.completed",
+        url: receiverUrl,
+        payload: { event: "batch.completed", occurredAt: expect.any(String), data: { batchJobId: "batch-1" } },
+        batchJobId: "batch-1",
+      },
+    });
+    await new Promise((resolve) => {
+      const check = () => (received.length ? resolve() : setTimeout(check, 5));
+      check();
+    });
+    expect(received).toHaveLength(1);
+  });
+});
+
+describe("deliverDueWebhooks", () => {
+  test("attempts the due deliveries, oldest first", async () => {
+    prisma.webhookDelivery.findMany.mockResolvedValue([{ id: "delivery-1" }, { id: "delivery-2" }]);
+    mockDelivery();
+
+    expect(await deliverDueWebhooks()).toBe(2);
+    expect(prisma.webhookDelivery.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: "pending", nextAttemptAt: { lte: expect.any(Date) } },
+      orderBy: { nextAttemptAt: "asc" },
+    }));
+    expect(received).toHaveLength(2);
+  });
+});
+
+describe("listWebhookDeliveries", () => {
+  test("lists the user's deliveries, filtered by status", async () => {
+    prisma.webhookDelivery.findMany.mockResolvedValue([]);
+
+    await listWebhookDeliveries("user-1", { limit: 5, offset: 10, status: "failed" });
+
+    expect(prisma.webhookDelivery.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: "user-1", status: "failed" },
+      orderBy: { createdAt: "desc" },
+      take: 5,
+      skip: 10,
+    }));
+  });
+});
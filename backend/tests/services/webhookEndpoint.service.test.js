@@ -0,0 +1,312 @@
+/**
+ * Unit tests for webhookEndpoint.service.js
+ * Tests: endpoint creation, listing, secret rotation with an overlap window, revocation and signature checks
+ */
+
+const crypto = require("crypto");
+
+jest.mock("../../src/config/prisma", () => ({
+  template: {
+    findUnique: jest.fn(),
+  },
+  webhookEndpoint: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  webhookNonce: {
+    create: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  workspaceMember: {
+    findUnique: jest.fn(),
+  },
+}));
+const prisma = require("../../src/config/prisma");
+
+jest.mock("../../src/config/logger", () => ({
+  warn: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+}));
+
+const {
+  TIMESTAMP_TOLERANCE_SECONDS,
+  MAX_OVERLAP_MINUTES,
+  createWebhookEndpoint,
+  listWebhookEndpoints,
+  rotateWebhookEndpointSecret,
+  revokeWebhookEndpoint,
+  verifyWebhookSignature,
+} = require("../../src/services/webhookEndpoint.service");
+
+const createdAt = new Date("2026-10-19T12:00:00.000Z");
+
+// A stored endpoint, as prisma returns it
+function storedEndpoint(overrides = {}) {
+  return {
+    id: "endpoint-1",
+    userId: "user-1",
+    templateId: "template-1",
+    name: "CRM",
+    secret: "whsec_current-secret",
+    previousSecret: null,
+    previousSecretExpiresAt: null,
+    requireTimestamp: false,
+    lastUsedAt: null,
+    revokedAt: null,
+    createdAt,
+    template: { displayName: "Offer letter" },
+    ...overrides,
+  };
+}
+
+const sign = (payload, secret = "whsec_current-secret") => crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.webhookNonce.create.mockResolvedValue({});
+  prisma.webhookNonce.deleteMany.mockResolvedValue({ count: 0 });
+});
+
+describe("createWebhookEndpoint", () => {
+  test("creates an endpoint with a generated secret, returned once", async () => {
+    prisma.template.findUnique.mockResolvedValue({ id: "template-1", uploadedById: "user-1", isActive: true });
+    prisma.webhookEndpoint.create.mockImplementation(async ({ data }) => storedEndpoint(data));
+
+    const endpoint = await createWebhookEndpoint("user-1", { templateId: "template-1", name: "CRM" });
+
+    const { data } = prisma.webhookEndpoint.create.mock.calls[0][0];
+    expect(data).toEqual({
+      userId: "user-1",
+      templateId: "template-1",
+      name: "CRM",
+      requireTimestamp: true,
+      secret: expect.stringMatching(/^whsec_[A-Za-z0-9_-]{43}$/),
+    });
+    expect(endpoint).toMatchObject({
+      id: "endpoint-1",
+      url: "/api/webhooks/endpoints/endpoint-1",
+      templateName: "Offer letter",
+      secret: data.secret,
+      secretHint: data.secret.slice(-4),
+      rotatingUntil: null,
+    });
+  });
+
+  test("gives every endpoint its own secret", async () => {
+    prisma.template.findUnique.mockResolvedValue({ id: "template-1", uploadedById: "user-1", isActive: true });
+    prisma.webhookEndpoint.create.mockImplementation(async ({ data }) => storedEndpoint(data));
+
+    const first = await createWebhookEndpoint("user-1", { templateId: "template-1", name: "CRM" });
+    const second = await createWebhookEndpoint("user-1", { templateId: "template-1", name: "Forms" });
+
+    expect(first.secret).not.toBe(second.secret);
+  });
+
+  test.each([
+    ["missing", null],
+    ["another user's", { id: "template-1", uploadedById: "user-2", isActive: true }],
+    ["deleted", { id: "template-1", uploadedById: "user-1", isActive: false }],
+  ])("refuses a %s template", async (_, template) => {
+    prisma.template.findUnique.mockResolvedValue(template);
+
+    await expect(createWebhookEndpoint("user-1", { templateId: "template-1", name: "CRM" }))
+      .rejects.toMatchObject({ status: 404, message: "Template not found" });
+    expect(prisma.webhookEndpoint.create).not.toHaveBeenCalled();
+  });
+
+  test("lets a workspace member who may merge the template create one", async () => {
+    prisma.template.findUnique.mockResolvedValue({ id: "template-1", uploadedById: "user-2", workspaceId: "ws-1", isActive: true });
+    prisma.workspaceMember.findUnique.mockResolvedValue({ role: "merger" });
+    prisma.webhookEndpoint.create.mockImplementation(async ({ data }) => storedEndpoint(data));
+
+    await createWebhookEndpoint("user-1", { templateId: "template-1", name: "CRM" });
+
+    expect(prisma.webhookEndpoint.create.mock.calls[0][0].data.userId).toBe("user-1");
+  });
+
+  test("refuses a workspace viewer", async () => {
+    prisma.template.findUnique.mockResolvedValue({ id: "template-1", uploadedById: "user-2", workspaceId: "ws-1", isActive: true });
+    prisma.workspaceMember.findUnique.mockResolvedValue({ role: "viewer" });
+
+    await expect(createWebhookEndpoint("user-1", { templateId: "template-1", name: "CRM" }))
+      .rejects.toMatchObject({ status: 403 });
+    expect(prisma.webhookEndpoint.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("listWebhookEndpoints", () => {
+  test("lists the user's endpoints that aren't revoked, without secrets", async () => {
+    prisma.webhookEndpoint.findMany.mockResolvedValue([storedEndpoint()]);
+
+    const endpoints = await listWebhookEndpoints("user-1");
+
+    expect(prisma.webhookEndpoint.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: "user-1", revokedAt: null },
+      orderBy: { createdAt: "desc" },
+    }));
+    expect(endpoints).toHaveLength(1);
+    expect(endpoints[0].secret).toBeUndefined();
+    expect(endpoints[0].secretHint).toBe("cret");
+  });
+
+  test("shows until when a rotated secret still works", async () => {
+    const future = new Date(Date.now() + 60 * 1000);
+    const past = new Date(Date.now() - 60 * 1000);
+    prisma.webhookEndpoint.findMany.mockResolvedValue([
+      storedEndpoint({ previousSecretExpiresAt: future }),
+      storedEndpoint({ id: "endpoint-2", previousSecretExpiresAt: past }),
+    ]);
+
+    const [rotating, rotated] = await listWebhookEndpoints("user-1");
+
+    expect(rotating.rotatingUntil).toEqual(future);
+    expect(rotated.rotatingUntil).toBeNull();
+  });
+});
+
+describe("rotateWebhookEndpointSecret", () => {
+  beforeEach(() => {
+    prisma.webhookEndpoint.findUnique.mockResolvedValue(storedEndpoint());
+    prisma.webhookEndpoint.update.mockImplementation(async ({ data }) => storedEndpoint(data));
+  });
+
+  test("keeps the current secret working for the overlap", async () => {
+    const before = Date.now();
+
+    const endpoint = await rotateWebhookEndpointSecret("endpoint-1", "user-1", { overlapMinutes: 60 });
+
+    const { data } = prisma.webhookEndpoint.update.mock.calls[0][0];
+    expect(data.secret).not.toBe("whsec_current-secret");
+    expect(data.previousSecret).toBe("whsec_current-secret");
+    expect(data.previousSecretExpiresAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 60 * 1000);
+    expect(endpoint.secret).toBe(data.secret);
+    expect(endpoint.rotatingUntil).toEqual(data.previousSecretExpiresAt);
+  });
+
+  test("stops the current secret right away with no overlap", async () => {
+    await rotateWebhookEndpointSecret("endpoint-1", "user-1", { overlapMinutes: 0 });
+
+    expect(prisma.webhookEndpoint.update.mock.calls[0][0].data).toMatchObject({
+      previousSecret: null,
+      previousSecretExpiresAt: null,
+    });
+  });
+
+  test("caps the overlap", async () => {
+    const before = Date.now();
+
+    await rotateWebhookEndpointSecret("endpoint-1", "user-1", { overlapMinutes: MAX_OVERLAP_MINUTES * 2 });
+
+    const { previousSecretExpiresAt } = prisma.webhookEndpoint.update.mock.calls[0][0].data;
+    expect(previousSecretExpiresAt.getTime()).toBeLessThanOrEqual(Date.now() + MAX_OVERLAP_MINUTES * 60 * 1000);
+    expect(previousSecretExpiresAt.getTime()).toBeGreaterThanOrEqual(before + MAX_OVERLAP_MINUTES * 60 * 1000);
+  });
+
+  test.each([
+    ["another user's", storedEndpoint({ userId: "user-2" })],
+    ["a revoked", storedEndpoint({ revokedAt: createdAt })],
+    ["a missing", null],
+  ])("returns null for %s endpoint", async (_, endpoint) => {
+    prisma.webhookEndpoint.findUnique.mockResolvedValue(endpoint);
+
+    expect(await rotateWebhookEndpointSecret("endpoint-1", "user-1")).toBeNull();
+    expect(prisma.webhookEndpoint.update).not.toHaveBeenCalled();
+  });
+});
+
+describe("revokeWebhookEndpoint", () => {
+  test("revokes the endpoint along with any secret still rotating out", async () => {
+    prisma.webhookEndpoint.findUnique.mockResolvedValue(storedEndpoint());
+    prisma.webhookEndpoint.update.mockResolvedValue({});
+
+    expect(await revokeWebhookEndpoint("endpoint-1", "user-1")).toBe(true);
+    expect(prisma.webhookEndpoint.update).toHaveBeenCalledWith({
+      where: { id: "endpoint-1" },
+      data: { revokedAt: expect.any(Date), previousSecret: null, previousSecretExpiresAt: null },
+    });
+  });
+
+  test("returns false for another user's endpoint", async () => {
+    prisma.webhookEndpoint.findUnique.mockResolvedValue(storedEndpoint({ userId: "user-2" }));
+
+    expect(await revokeWebhookEndpoint("endpoint-1", "user-1")).toBe(false);
+    expect(prisma.webhookEndpoint.update).not.toHaveBeenCalled();
+  });
+});
+
+describe("verifyWebhookSignature", () => {
+  const raw = Buffer.from('{"name":"John"}');
+  const now = () => String(Math.floor(Date.now() / 1000));
+
+  test("accepts the body signed with the current secret", async () => {
+    expect(await verifyWebhookSignature(storedEndpoint(), { raw, signature: sign(raw) })).toBeNull();
+  });
+
+  test("refuses a missing or wrong signature", async () => {
+    expect(await verifyWebhookSignature(storedEndpoint(), { raw })).toBe("Missing signature");
+    expect(await verifyWebhookSignature(storedEndpoint(), { raw, signature: sign(raw, "whsec_other") }))
+      .toBe("Signature does not match");
+    expect(await verifyWebhookSignature(storedEndpoint(), { raw, signature: "not-hex" }))
+      .toBe("Signature does not match");
+  });
+
+  test("accepts the previous secret until its overlap ends", async () => {
+    const signature = sign(raw, "whsec_old-secret");
+    const rotating = storedEndpoint({
+      previousSecret: "whsec_old-secret",
+      previousSecretExpiresAt: new Date(Date.now() + 60 * 1000),
+    });
+    const rotated = { ...rotating, previousSecretExpiresAt: new Date(Date.now() - 1000) };
+
+    expect(await verifyWebhookSignature(rotating, { raw, signature })).toBeNull();
+    expect(await verifyWebhookSignature(rotated, { raw, signature })).toBe("Signature does not match");
+  });
+
+  test("accepts a timestamped request and records its nonce", async () => {
+    const timestamp = now();
+    const signature = sign(Buffer.concat([Buffer.from(`${timestamp}.nonce-1.`), raw]));
+
+    expect(await verifyWebhookSignature(storedEndpoint(), { raw, signature, timestamp, nonce: "nonce-1" })).toBeNull();
+    expect(prisma.webhookNonce.create).toHaveBeenCalledWith({ data: { endpointId: "endpoint-1", nonce: "nonce-1" } });
+    expect(prisma.webhookNonce.deleteMany).toHaveBeenCalled();
+  });
+
+  test("refuses a nonce that was already used", async () => {
+    const timestamp = now();
+    const signature = sign(Buffer.concat([Buffer.from(`${timestamp}.nonce-1.`), raw]));
+    prisma.webhookNonce.create.mockRejectedValue(Object.assign(new Error("Unique constraint failed"), { code: "P2002" }));
+
+    expect(await verifyWebhookSignature(storedEndpoint(), { raw, signature, timestamp, nonce: "nonce-1" }))
+      .toBe("Nonce has already been used");
+  });
+
+  test("refuses a timestamp outside the tolerance", async () => {
+    const timestamp = String(Math.floor(Date.now() / 1000) - TIMESTAMP_TOLERANCE_SECONDS - 60);
+    const signature = sign(Buffer.concat([Buffer.from(`${timestamp}.nonce-1.`), raw]));
+
+    expect(await verifyWebhookSignature(storedEndpoint(), { raw, signature, timestamp, nonce: "nonce-1" }))
+      .toBe("Timestamp is too far from the current time");
+    expect(prisma.webhookNonce.create).not.toHaveBeenCalled();
+  });
+
+  test("refuses a timestamp without a nonce", async () => {
+    expect(await verifyWebhookSignature(storedEndpoint(), { raw, signature: sign(raw), timestamp: now() }))
+      .toBe("Timestamp and nonce are both required");
+  });
+
+  test("refuses a body signature alone when the endpoint requires a timestamp", async () => {
+    expect(await verifyWebhookSignature(storedEndpoint({ requireTimestamp: true }), { raw, signature: sign(raw) }))
+      .toBe("Endpoint requires a timestamp and nonce");
+  });
+
+  test("doesn't record the nonce of a request with a bad signature", async () => {
+    const timestamp = now();
+
+    expect(await verifyWebhookSignature(storedEndpoint(), { raw, signature: sign(raw), timestamp, nonce: "nonce-1" }))
+      .toBe("Signature does not match");
+    expect(prisma.webhookNonce.create).not.toHaveBeenCalled();
+  });
+});
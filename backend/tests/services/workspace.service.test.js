@@ -0,0 +1,284 @@
+/**
+ * Unit tests for workspace.service.js
+ * Tests: creating, renaming and deleting workspaces, managing members (keeping an owner) and moving templates
+ * between workspaces
+ */
+
+jest.mock("../../src/config/prisma", () => ({
+  user: {
+    findUnique: jest.fn(),
+  },
+  template: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  folder: {
+    updateMany: jest.fn(),
+  },
+  workspace: {
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  workspaceMember: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+const prisma = require("../../src/config/prisma");
+
+jest.mock("../../src/config/logger", () => ({
+  warn: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+}));
+
+const {
+  listWorkspaces,
+  createWorkspace,
+  renameWorkspace,
+  deleteWorkspace,
+  addMember,
+  updateMember,
+  removeMember,
+  moveTemplateToWorkspace,
+} = require("../../src/services/workspace.service");
+
+// Roles by user, as permission.service looks them up
+function roles(byUser) {
+  prisma.workspaceMember.findUnique.mockImplementation(async ({ where }) => {
+    const role = byUser[where.workspaceId_userId.userId];
+    return role ? { role } : null;
+  });
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  roles({});
+});
+
+describe("listWorkspaces", () => {
+  test("lists the user's workspaces with their role", async () => {
+    prisma.workspaceMember.findMany.mockResolvedValue([
+      { role: "editor", workspace: { id: "ws-1", name: "Sales", _count: { members: 3 } } },
+    ]);
+
+    expect(await listWorkspaces("user-1")).toEqual([{ id: "ws-1", name: "Sales", role: "editor", memberCount: 3 }]);
+    expect(prisma.workspaceMember.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: "user-1" } }));
+  });
+});
+
+describe("createWorkspace", () => {
+  test("makes the creator its owner", async () => {
+    prisma.workspace.create.mockResolvedValue({ id: "ws-1", name: "Sales", _count: { members: 1 } });
+
+    expect(await createWorkspace("user-1", { name: "Sales" })).toEqual({
+      id: "ws-1",
+      name: "Sales",
+      role: "owner",
+      memberCount: 1,
+    });
+    expect(prisma.workspace.create.mock.calls[0][0].data).toEqual({
+      name: "Sales",
+      members: { create: { userId: "user-1", role: "owner" } },
+    });
+  });
+});
+
+describe("renameWorkspace", () => {
+  test("refuses a member who isn't an owner", async () => {
+    roles({ "user-1": "editor" });
+
+    await expect(renameWorkspace("user-1", "ws-1", { name: "New" })).rejects.toMatchObject({ status: 403 });
+    expect(prisma.workspace.update).not.toHaveBeenCalled();
+  });
+
+  test("answers 404 to someone who isn't a member", async () => {
+    await expect(renameWorkspace("user-1", "ws-1", { name: "New" }))
+      .rejects.toMatchObject({ status: 404, message: "Workspace not found" });
+  });
+});
+
+describe("deleteWorkspace", () => {
+  test("hands its folders and templates to the owner deleting it", async () => {
+    roles({ "user-1": "owner" });
+
+    await deleteWorkspace("user-1", "ws-1");
+
+    expect(prisma.folder.updateMany).toHaveBeenCalledWith({
+      where: { workspaceId: "ws-1" },
+      data: { workspaceId: null, userId: "user-1" },
+    });
+    expect(prisma.template.updateMany).toHaveBeenCalledWith({
+      where: { workspaceId: "ws-1" },
+      data: { workspaceId: null, uploadedById: "user-1" },
+    });
+    expect(prisma.workspace.delete).toHaveBeenCalledWith({ where: { id: "ws-1" } });
+  });
+});
+
+describe("addMember", () => {
+  beforeEach(() => {
+    roles({ "user-1": "owner" });
+  });
+
+  test("adds a user by email with the role", async () => {
+    prisma.user.findUnique.mockResolvedValue({ id: "user-2", isActive: true });
+    prisma.workspaceMember.create.mockResolvedValue({ workspaceId: "ws-1", userId: "user-2", role: "merger" });
+
+    await addMember("user-1", "ws-1", { email: "sam@example.com", role: "merger" });
+
+    expect(prisma.user.findUnique).toHaveBeenCalledWith({
+      where: { email: "sam@example.com" },
+      select: { id: true, isActive: true },
+    });
+    expect(prisma.workspaceMember.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: { workspaceId: "ws-1", userId: "user-2", role: "merger" },
+    }));
+  });
+
+  test.each([
+    ["nobody has", null],
+    ["a disabled user has", { id: "user-2", isActive: false }],
+  ])("answers 404 for an email %s", async (_, user) => {
+    prisma.user.findUnique.mockResolvedValue(user);
+
+    await expect(addMember("user-1", "ws-1", { email: "sam@example.com", role: "viewer" }))
+      .rejects.toMatchObject({ status: 404, message: "No user with that email" });
+  });
+
+  test("answers 409 for a member", async () => {
+    roles({ "user-1": "owner", "user-2": "viewer" });
+    prisma.user.findUnique.mockResolvedValue({ id: "user-2", isActive: true });
+
+    await expect(addMember("user-1", "ws-1", { email: "sam@example.com", role: "editor" }))
+      .rejects.toMatchObject({ status: 409 });
+    expect(prisma.workspaceMember.create).not.toHaveBeenCalled();
+  });
+
+  test("refuses an editor", async () => {
+    roles({ "user-1": "editor" });
+
+    await expect(addMember("user-1", "ws-1", { email: "sam@example.com", role: "viewer" }))
+      .rejects.toMatchObject({ status: 403 });
+    expect(prisma.user.findUnique).not.toHaveBeenCalled();
+  });
+});
+
+describe("updateMember", () => {
+  test("changes a member's role", async () => {
+    roles({ "user-1": "owner", "user-2": "viewer" });
+
+    await updateMember("user-1", "ws-1", "user-2", { role: "editor" });
+
+    expect(prisma.workspaceMember.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { workspaceId_userId: { workspaceId: "ws-1", userId: "user-2" } },
+      data: { role: "editor" },
+    }));
+  });
+
+  test("won't demote the last owner", async () => {
+    roles({ "user-1": "owner" });
+    prisma.workspaceMember.count.mockResolvedValue(0);
+
+    await expect(updateMember("user-1", "ws-1", "user-1", { role: "editor" }))
+      .rejects.toMatchObject({ status: 409, message: "A workspace needs at least one owner" });
+    expect(prisma.workspaceMember.count).toHaveBeenCalledWith({
+      where: { workspaceId: "ws-1", role: "owner", NOT: { userId: "user-1" } },
+    });
+    expect(prisma.workspaceMember.update).not.toHaveBeenCalled();
+  });
+
+  test("answers 404 for someone who isn't a member", async () => {
+    roles({ "user-1": "owner" });
+
+    await expect(updateMember("user-1", "ws-1", "user-2", { role: "editor" }))
+      .rejects.toMatchObject({ status: 404, message: "Member not found" });
+  });
+});
+
+describe("removeMember", () => {
+  test("lets any member leave", async () => {
+    roles({ "user-2": "viewer" });
+
+    await removeMember("user-2", "ws-1", "user-2");
+
+    expect(prisma.workspaceMember.delete).toHaveBeenCalledWith({
+      where: { workspaceId_userId: { workspaceId: "ws-1", userId: "user-2" } },
+    });
+  });
+
+  test("refuses a member removing someone else", async () => {
+    roles({ "user-1": "editor", "user-2": "viewer" });
+
+    await expect(removeMember("user-1", "ws-1", "user-2")).rejects.toMatchObject({ status: 403 });
+    expect(prisma.workspaceMember.delete).not.toHaveBeenCalled();
+  });
+
+  test("won't let the last owner leave", async () => {
+    roles({ "user-1": "owner" });
+    prisma.workspaceMember.count.mockResolvedValue(0);
+
+    await expect(removeMember("user-1", "ws-1", "user-1")).rejects.toMatchObject({ status: 409 });
+    expect(prisma.workspaceMember.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe("moveTemplateToWorkspace", () => {
+  test("moves the user's template into a workspace they may add to, out of its folder", async () => {
+    prisma.template.findUnique.mockResolvedValue({ id: "t1", uploadedById: "user-1", workspaceId: null, folderId: "f1" });
+    roles({ "user-1": "editor" });
+
+    await moveTemplateToWorkspace("user-1", "t1", "ws-1");
+
+    expect(prisma.template.update).toHaveBeenCalledWith({
+      where: { id: "t1" },
+      data: { workspaceId: "ws-1", folderId: null },
+    });
+  });
+
+  test("makes a workspace template private to the owner moving it out", async () => {
+    prisma.template.findUnique.mockResolvedValue({ id: "t1", uploadedById: "user-2", workspaceId: "ws-1" });
+    roles({ "user-1": "owner" });
+
+    await moveTemplateToWorkspace("user-1", "t1", null);
+
+    expect(prisma.template.update).toHaveBeenCalledWith({
+      where: { id: "t1" },
+      data: { workspaceId: null, folderId: null, uploadedById: "user-1" },
+    });
+  });
+
+  test("refuses an editor moving a workspace template out", async () => {
+    prisma.template.findUnique.mockResolvedValue({ id: "t1", uploadedById: "user-2", workspaceId: "ws-1" });
+    roles({ "user-1": "editor" });
+
+    await expect(moveTemplateToWorkspace("user-1", "t1", null)).rejects.toMatchObject({
+      status: 403,
+      message: "Your editor role doesn't allow you to move this template between workspaces",
+    });
+  });
+
+  test("refuses a workspace the user only merges in", async () => {
+    prisma.template.findUnique.mockResolvedValue({ id: "t1", uploadedById: "user-1", workspaceId: null });
+    roles({ "user-1": "merger" });
+
+    await expect(moveTemplateToWorkspace("user-1", "t1", "ws-1")).rejects.toMatchObject({
+      status: 403,
+      message: "Your merger role doesn't allow you to add templates and folders to this workspace",
+    });
+    expect(prisma.template.update).not.toHaveBeenCalled();
+  });
+
+  test("answers 404 for another user's template", async () => {
+    prisma.template.findUnique.mockResolvedValue({ id: "t1", uploadedById: "user-2", workspaceId: null });
+
+    await expect(moveTemplateToWorkspace("user-1", "t1", null))
+      .rejects.toMatchObject({ status: 404, message: "Template not found" });
+  });
+});
@@ -1,5 +1,10 @@
 const ExcelJS = require("exceljs");
-const { extractXlsxFields } = require("../../src/services/xlsxService");
+const {
+  extractXlsxFields,
+  fillXlsxTemplate,
+} = require("../../src/services/xlsxService");
+const { pngDataUri } = require("../_helpers/images");
+const { BLANK } = require("../../src/utils/blank-values");
 
 // Helper to create a real XLSX buffer with given cell values
 async function createXlsxBuffer(sheets) {
@@ -13,6 +18,26 @@ async function createXlsxBuffer(sheets) {
   return Buffer.from(await workbook.xlsx.writeBuffer());
 }
 
+// Helper to load a filled XLSX buffer back into a worksheet
+async function loadSheet(buffer, name = "Sheet1") {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  return workbook.getWorksheet(name);
+}
+
+// Helper to build an invoice-style template with a single-row item loop
+async function createInvoiceBuffer() {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Sheet1");
+  sheet.addRow(["Invoice {{invoiceNo}}"]);
+  sheet.addRow(["{{#items}}{{description}}", "{{qty}}", "{{unitPrice}}", { formula: "B2*C2" }, "{{/items}}"]);
+  sheet.addRow(["Total", null, null, { formula: "SUM(D2:D2)" }]);
+  sheet.getCell("C2").numFmt = "#,##0.00";
+  sheet.getCell("A2").font = { bold: true };
+  sheet.mergeCells("E2:F2");
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
 describe("xlsxService", () => {
   describe("extractXlsxFields", () => {
     test("extracts {{field}} placeholders from cells", async () => {
@@ -109,4 +134,339 @@ describe("xlsxService", () => {
       ).rejects.toThrow("Failed to extract XLSX fields");
     });
   });
+
+  describe("extractXlsxFields with sections", () => {
+    test("reports loop fields as dot-paths under the loop name", async () => {
+      const fields = await extractXlsxFields(await createInvoiceBuffer());
+      expect(fields).toEqual([
+        "invoiceNo",
+        "items",
+        "items.description",
+        "items.qty",
+        "items.unitPrice",
+      ]);
+    });
+
+    test("reports fields inside inverted sections at the outer level", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [["{{^items}}No items for {{customer}}{{/items}}"]],
+      });
+
+      const fields = await extractXlsxFields(buf);
+      expect(fields).toEqual(["items", "customer"]);
+    });
+  });
+
+  describe("fillXlsxTemplate", () => {
+    test("replaces placeholders in both syntaxes", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [["Hello {{name}}", "${company}"]],
+      });
+
+      const sheet = await loadSheet(await fillXlsxTemplate(buf, { name: "Ada", company: "Acme" }));
+      expect(sheet.getCell("A1").value).toBe("Hello Ada");
+      expect(sheet.getCell("B1").value).toBe("Acme");
+    });
+
+    test("leaves placeholders without data untouched", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [["{{unknown}}"]] });
+
+      const sheet = await loadSheet(await fillXlsxTemplate(buf, {}));
+      expect(sheet.getCell("A1").value).toBe("{{unknown}}");
+    });
+
+    test("doesn't read built-in properties of the data as fields", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [["{{constructor.name}}", "{{toString}}", "{{user.constructor.name}}", "{{user.tags.length}}"]],
+      });
+
+      const sheet = await loadSheet(await fillXlsxTemplate(buf, { user: { name: "Ada", tags: ["a", "b"] } }));
+      expect(sheet.getCell("A1").value).toBe("{{constructor.name}}");
+      expect(sheet.getCell("B1").value).toBe("{{toString}}");
+      expect(sheet.getCell("C1").value).toBe("{{user.constructor.name}}");
+      expect(sheet.getCell("D1").value).toBe(2);
+    });
+
+    test("writes numbers and dates as typed values", async () => {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet("Sheet1");
+      sheet.addRow(["{{amount}}", "{{dueDate}}", "{{zip}}", "{{count}}"]);
+      sheet.getCell("A1").numFmt = "#,##0.00";
+      sheet.getCell("B1").numFmt = "yyyy-mm-dd";
+      const buf = Buffer.from(await workbook.xlsx.writeBuffer());
+
+      const out = await loadSheet(
+        await fillXlsxTemplate(buf, { amount: "1250.5", dueDate: "2025-03-01", zip: "02134", count: 3 })
+      );
+      expect(out.getCell("A1").value).toBe(1250.5);
+      expect(out.getCell("B1").value).toEqual(new Date("2025-03-01T00:00:00Z"));
+      // General-formatted cells keep strings as text
+      expect(out.getCell("C1").value).toBe("02134");
+      expect(out.getCell("D1").value).toBe(3);
+    });
+
+    test("repeats a loop row per array item and shifts formulas", async () => {
+      const out = await loadSheet(
+        await fillXlsxTemplate(await createInvoiceBuffer(), {
+          invoiceNo: "INV-1",
+          items: [
+            { description: "Widget", qty: 2, unitPrice: "9.50" },
+            { description: "Gadget", qty: 1, unitPrice: "20" },
+            { description: "Gizmo", qty: 4, unitPrice: "1.25" },
+          ],
+        })
+      );
+
+      expect(out.getCell("A1").value).toBe("Invoice INV-1");
+      expect([2, 3, 4].map((r) => out.getCell(`A${r}`).value)).toEqual(["Widget", "Gadget", "Gizmo"]);
+      expect(out.getCell("C3").value).toBe(20);
+      expect(out.getCell("D3").value).toMatchObject({ formula: "B3*C3" });
+      expect(out.getCell("A5").value).toBe("Total");
+      expect(out.getCell("D5").value).toMatchObject({ formula: "SUM(D2:D4)" });
+    });
+
+    test("copies styles and merged cells to every loop row", async () => {
+      const out = await loadSheet(
+        await fillXlsxTemplate(await createInvoiceBuffer(), {
+          invoiceNo: "INV-1",
+          items: [{ description: "A" }, { description: "B" }],
+        })
+      );
+
+      expect(out.getCell("A3").font).toMatchObject({ bold: true });
+      expect(out.getCell("C3").numFmt).toBe("#,##0.00");
+      expect(out.model.merges.sort()).toEqual(["E2:F2", "E3:F3"]);
+    });
+
+    test("removes the loop row for an empty array", async () => {
+      const out = await loadSheet(
+        await fillXlsxTemplate(await createInvoiceBuffer(), { invoiceNo: "INV-1", items: [] })
+      );
+
+      expect(out.getCell("A2").value).toBe("Total");
+      expect(out.getCell("D2").value).toMatchObject({ formula: "SUM(#REF!)" });
+      expect(out.getCell("A3").value).toBeNull();
+    });
+
+    test("repeats multi-row blocks and drops marker rows", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [["{{#people}}"], ["Name: {{name}}"], ["Role: {{role}}"], ["{{/people}}"], ["end"]],
+      });
+
+      const out = await loadSheet(
+        await fillXlsxTemplate(buf, {
+          people: [{ name: "Ada", role: "Eng" }, { name: "Bob", role: "Ops" }],
+        })
+      );
+      const values = [1, 2, 3, 4, 5].map((r) => out.getCell(`A${r}`).value);
+      expect(values).toEqual(["Name: Ada", "Role: Eng", "Name: Bob", "Role: Ops", "end"]);
+    });
+
+    test("keeps or drops conditional rows", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [["{{#paid}}Paid in full{{/paid}}"], ["{{^paid}}Balance due{{/paid}}"], ["end"]],
+      });
+
+      const paid = await loadSheet(await fillXlsxTemplate(buf, { paid: true }));
+      expect(paid.getCell("A1").value).toBe("Paid in full");
+      expect(paid.getCell("A2").value).toBe("end");
+
+      const unpaid = await loadSheet(await fillXlsxTemplate(buf, { paid: "" }));
+      expect(unpaid.getCell("A1").value).toBe("Balance due");
+      expect(unpaid.getCell("A2").value).toBe("end");
+    });
+
+    test("resolves outer fields inside loops", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [["{{#items}}{{name}} for {{customer}}{{/items}}"]],
+      });
+
+      const out = await loadSheet(
+        await fillXlsxTemplate(buf, { customer: "Acme", items: [{ name: "A" }, { name: "B" }] })
+      );
+      expect(out.getCell("A1").value).toBe("A for Acme");
+      expect(out.getCell("A2").value).toBe("B for Acme");
+    });
+
+    test("throws a 422 TemplateParseError for unclosed sections", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [["{{#items}}{{name}}"]] });
+
+      await expect(fillXlsxTemplate(buf, { items: [] })).rejects.toMatchObject({
+        message: "TEMPLATE_PARSE_ERROR",
+        status: 422,
+        details: [expect.objectContaining({ id: "unclosed_section" })],
+      });
+    });
+  });
+
+  describe("rich text cells", () => {
+    const richCell = (runs) => ({ richText: runs });
+
+    test("extracts placeholders split across rich text runs", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [[richCell([{ text: "Dear {{first", font: { bold: true } }, { text: "Name}}" }])]],
+      });
+
+      expect(await extractXlsxFields(buf)).toEqual(["firstName"]);
+    });
+
+    test("fills rich text cells keeping each run's font", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [
+          [
+            richCell([
+              { text: "Dear {{", font: { bold: true } },
+              { text: "name", font: { italic: true } },
+              { text: "}}, total ", font: { color: { argb: "FF0000FF" } } },
+              { text: "${amount}", font: { underline: true } },
+            ]),
+          ],
+        ],
+      });
+
+      const out = await loadSheet(await fillXlsxTemplate(buf, { name: "Ada", amount: "10 & 20" }));
+      const { richText } = out.getCell("A1").value;
+      expect(richText.map((r) => r.text)).toEqual(["Dear Ada", ", total ", "10 & 20"]);
+      expect(richText[0].font.bold).toBe(true);
+      expect(richText[1].font.color.argb).toBe("FF0000FF");
+      expect(richText[2].font.underline).toBe(true);
+    });
+
+    test("repeats rich text cells inside loops", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [[richCell([{ text: "{{#items}}", font: { bold: true } }, { text: "{{name}}{{/items}}" }])]],
+      });
+
+      const out = await loadSheet(await fillXlsxTemplate(buf, { items: [{ name: "A" }, { name: "B" }] }));
+      expect(out.getCell("A1").value.richText.map((r) => r.text)).toEqual(["A"]);
+      expect(out.getCell("A2").value.richText.map((r) => r.text)).toEqual(["B"]);
+    });
+  });
+
+  describe("image placeholders", () => {
+    test("reports image tags by field name", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [["{{%logo}}", "{{name}}"]] });
+      expect(await extractXlsxFields(buf)).toEqual(["logo", "name"]);
+    });
+
+    test("places the image over the tag's cell with the requested size", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [["Company"], [null, "{{%logo}}"]] });
+
+      const out = await loadSheet(
+        await fillXlsxTemplate(buf, { logo: { src: pngDataUri(40, 20), width: 120 } })
+      );
+      const images = out.getImages();
+      expect(images).toHaveLength(1);
+      expect(images[0].range.tl.nativeCol).toBe(1);
+      expect(images[0].range.tl.nativeRow).toBe(1);
+      expect(out.getCell("B2").value).toBeNull();
+    });
+
+    test("places one image per loop row", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [["{{#people}}{{name}}", "{{%photo}}", "{{/people}}"]],
+      });
+
+      const out = await loadSheet(
+        await fillXlsxTemplate(buf, {
+          people: [{ name: "A", photo: pngDataUri() }, { name: "B", photo: pngDataUri() }],
+        })
+      );
+      expect(out.getCell("A2").value).toBe("B");
+      expect(out.getImages().map((img) => img.range.tl.nativeRow)).toEqual([0, 1]);
+    });
+
+    test("rejects invalid image values with a 422 parse error", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [["{{%logo}}"]] });
+
+      await expect(fillXlsxTemplate(buf, { logo: "not-an-image" })).rejects.toMatchObject({
+        status: 422,
+        details: [expect.objectContaining({ id: "invalid_image" })],
+      });
+    });
+  });
+
+  describe("barcode tags", () => {
+    test("reports barcode tags by the field they encode", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [["{{barcode128:sku}}", "{{sku}}"]] });
+      expect(await extractXlsxFields(buf)).toEqual(["sku"]);
+    });
+
+    test("places the image generated into the tag's key", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [["{{barcode128:sku}}", "{{sku}}"]] });
+
+      const out = await loadSheet(
+        await fillXlsxTemplate(buf, { sku: "A-1", "barcode128:sku": pngDataUri(120, 40) })
+      );
+      expect(out.getImages()).toHaveLength(1);
+      expect(out.getCell("B1").value).toBe("A-1");
+    });
+  });
+
+  describe("optional fields", () => {
+    test("empties cells and lines holding only blank fields", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [["{{note}}", "Note: {{note}}", "{{line1}}\n{{note}}\n{{city}}", "{{%logo}}"]],
+      });
+
+      const out = await loadSheet(
+        await fillXlsxTemplate(buf, { note: BLANK, line1: "1 Main St", city: "Springfield", logo: BLANK })
+      );
+
+      expect(out.getCell("A1").value).toBeNull();
+      expect(out.getCell("B1").value).toBe("Note: ");
+      expect(out.getCell("C1").value).toBe("1 Main St\nSpringfield");
+      expect(out.getCell("D1").value).toBeNull();
+      expect(out.getImages()).toHaveLength(0);
+    });
+
+    test("treats a blank field as a false section", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [["{{#vip}}VIP{{/vip}}"], ["{{^vip}}regular{{/vip}}"]] });
+
+      const out = await loadSheet(await fillXlsxTemplate(buf, { vip: BLANK }));
+
+      expect(out.getCell("A1").value).toBe("regular");
+    });
+  });
+
+  describe("value filters", () => {
+    test("reports the field name of filtered tags", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [['{{total | currency:"EUR"}}', "{{name|upper}}"]] });
+      expect(await extractXlsxFields(buf)).toEqual(["total", "name"]);
+    });
+
+    test("writes filtered values as formatted text", async () => {
+      const buf = await createXlsxBuffer({
+        Sheet1: [['{{total | currency:"EUR"}}', '{{name | upper}} due {{due | date:"d MMM yyyy"}}']],
+      });
+
+      const out = await loadSheet(
+        await fillXlsxTemplate(buf, { total: 1234.5, name: "Ada", due: "2026-10-19" }, "xlsx", { locale: "en-GB" })
+      );
+
+      expect(out.getCell("A1").value).toBe("€1,234.50");
+      expect(out.getCell("B1").value).toBe("ADA due 19 Oct 2026");
+    });
+  });
+
+  describe("computed expressions", () => {
+    test("reports the fields expressions read", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [["{{qty * price}}", '{{first + " " + last}}']] });
+      expect(await extractXlsxFields(buf)).toEqual(["qty", "price", "first", "last"]);
+    });
+
+    test("keeps names joined by /, & or an apostrophe whole", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [["{{Qty/Unit}}", "{{R&D Budget}}", "{{Customer's Name}}"]] });
+      expect(await extractXlsxFields(buf)).toEqual(["Qty/Unit", "R&D Budget", "Customer's Name"]);
+    });
+
+    test("writes a lone expression's result as a number", async () => {
+      const buf = await createXlsxBuffer({ Sheet1: [["{{qty * price}}", "Total: {{qty * price | number:2}}"]] });
+
+      const out = await loadSheet(await fillXlsxTemplate(buf, { qty: 3, price: 2.5, "qty * price": 7.5 }, "xlsx"));
+
+      expect(out.getCell("A1").value).toBe(7.5);
+      expect(out.getCell("B1").value).toBe("Total: 7.50");
+    });
+  });
 });
@@ -0,0 +1,65 @@
+const {
+  BLANK,
+  isBlankOnly,
+  stripBlanks,
+  markOptionalBlanks,
+  collapseBlankLines,
+} = require("../../src/utils/blank-values");
+
+describe("blank-values", () => {
+  describe("markOptionalBlanks", () => {
+    test("marks missing and empty optional fields only", () => {
+      const fields = [
+        { name: "name" },
+        { name: "middle", required: false },
+        { name: "note", required: false },
+        { name: "items.comment", required: false },
+      ];
+      const data = { name: "", note: "hi", items: [{ comment: "" }, { comment: "ok" }] };
+
+      expect(markOptionalBlanks(fields, data)).toEqual({
+        name: "",
+        middle: BLANK,
+        note: "hi",
+        items: [{ comment: BLANK }, { comment: "ok" }],
+      });
+    });
+
+    test("returns the same data when nothing is optional", () => {
+      const data = { name: "Ada" };
+      expect(markOptionalBlanks([{ name: "name" }], data)).toBe(data);
+    });
+  });
+
+  describe("isBlankOnly", () => {
+    test.each([
+      [BLANK, true],
+      [` ${BLANK} ${BLANK}\n`, true],
+      [`a${BLANK}`, false],
+      ["", false],
+      ["   ", false],
+    ])("%p -> %p", (text, expected) => {
+      expect(isBlankOnly(text)).toBe(expected);
+    });
+  });
+
+  describe("collapseBlankLines", () => {
+    test("drops the break before a blank line", () => {
+      expect(stripBlanks(collapseBlankLines(`a\n${BLANK}\nb`, /\n/g))).toBe("a\nb");
+    });
+
+    test("drops the break after a blank first line and handles runs of blank lines", () => {
+      expect(stripBlanks(collapseBlankLines(`${BLANK}\n${BLANK}\nb\n${BLANK}`, /\n/g))).toBe("b");
+    });
+
+    test("reads lines through textOf", () => {
+      const markup = `<t>a</t><br/><t>${BLANK}</t><br/><t>b</t>`;
+      const textOf = (line) => line.replace(/<[^>]+>/g, "");
+      expect(collapseBlankLines(markup, /<br\/>/g, textOf)).toBe(`<t>a</t><t>${BLANK}</t><br/><t>b</t>`);
+    });
+
+    test("leaves text without markers alone", () => {
+      expect(collapseBlankLines("a\n\nb", /\n/g)).toBe("a\n\nb");
+    });
+  });
+});
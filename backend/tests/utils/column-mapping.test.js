@@ -0,0 +1,103 @@
+const {
+  normalizeName,
+  nameSimilarity,
+  splitFullName,
+  suggestMappings,
+  mappingColumns,
+  applyColumnMapping,
+} = require("../../src/utils/column-mapping");
+
+describe("column-mapping", () => {
+  test("normalizeName ignores case, whitespace and punctuation", () => {
+    expect(normalizeName(" First Name ")).toBe("firstname");
+    expect(normalizeName("first_name")).toBe("firstname");
+    expect(normalizeName("firstName")).toBe("firstname");
+    expect(normalizeName("Straße-Nr.")).toBe("straßenr");
+  });
+
+  test("nameSimilarity scores typos and contained names", () => {
+    expect(nameSimilarity("invoiceNumber", "Invoice number")).toBe(1);
+    expect(nameSimilarity("adress", "address")).toBeGreaterThanOrEqual(0.75);
+    expect(nameSimilarity("email", "Email Address")).toBe(0.8);
+    expect(nameSimilarity("total", "city")).toBeLessThan(0.5);
+  });
+
+  test.each([
+    ["Ada Lovelace", { first: "Ada", last: "Lovelace" }],
+    ["  Ada  King Lovelace ", { first: "Ada", last: "King Lovelace" }],
+    ["Lovelace, Ada", { first: "Ada", last: "Lovelace" }],
+    ["Cher", { first: "Cher", last: "" }],
+    [null, { first: "", last: "" }],
+  ])("splitFullName(%j)", (value, expected) => {
+    expect(splitFullName(value)).toEqual(expected);
+  });
+
+  describe("suggestMappings", () => {
+    test("matches exact names first, then fuzzy ones, one column per field", () => {
+      const suggestions = suggestMappings(
+        ["Invoice No", "E-mail", "Total Amount", "total"],
+        ["invoiceNo", "email", "total", "dueDate"]
+      );
+
+      expect(suggestions).toEqual([
+        { field: "invoiceNo", type: "column", column: "Invoice No", match: "exact", score: 1 },
+        { field: "email", type: "column", column: "E-mail", match: "exact", score: 1 },
+        { field: "total", type: "column", column: "total", match: "exact", score: 1 },
+      ]);
+    });
+
+    test("suggests splitting a full name column for first and last name fields", () => {
+      expect(suggestMappings(["Full Name", "City"], ["firstName", "last_name", "city"])).toEqual([
+        { field: "firstName", type: "split", column: "Full Name", part: "first", match: "name" },
+        { field: "last_name", type: "split", column: "Full Name", part: "last", match: "name" },
+        { field: "city", type: "column", column: "City", match: "exact", score: 1 },
+      ]);
+    });
+
+    test("leaves fields without a close column out", () => {
+      expect(suggestMappings(["Amount"], ["customer"])).toEqual([]);
+    });
+  });
+
+  test("mappingColumns lists the columns rules read", () => {
+    expect(
+      mappingColumns([
+        { field: "a", type: "column", column: "A" },
+        { field: "b", type: "concat", columns: ["A", "B"] },
+        { field: "c", type: "constant", value: 1 },
+        { field: "d", type: "split", column: "Name", part: "first" },
+      ])
+    ).toEqual(["A", "B", "Name"]);
+  });
+
+  describe("applyColumnMapping", () => {
+    const row = { "Full Name": "Ada Lovelace", Street: "12 Main St", City: "London", Zip: "", Amount: 12.5 };
+
+    test("renames, concatenates, sets constants and splits names, keeping other columns", () => {
+      const mapped = applyColumnMapping(row, [
+        { field: "total", type: "column", column: "Amount" },
+        { field: "address", type: "concat", columns: ["Street", "Zip", "City"], separator: ", " },
+        { field: "company", type: "constant", value: "ACME" },
+        { field: "firstName", type: "split", column: "Full Name", part: "first" },
+        { field: "lastName", type: "split", column: "Full Name", part: "last" },
+      ]);
+
+      expect(mapped).toEqual({
+        ...row,
+        total: 12.5,
+        address: "12 Main St, London",
+        company: "ACME",
+        firstName: "Ada",
+        lastName: "Lovelace",
+      });
+    });
+
+    test("reads missing columns as empty", () => {
+      expect(applyColumnMapping({}, [{ field: "total", type: "column", column: "Amount" }])).toEqual({ total: "" });
+    });
+
+    test("returns the row as is without rules", () => {
+      expect(applyColumnMapping(row, [])).toBe(row);
+    });
+  });
+});
@@ -2,6 +2,7 @@ const {
   sanitizeCsvValue,
   sanitizeCsvRow,
   sanitizeCsvRows,
+  sanitizeDataRow,
 } = require("../../src/utils/csv-sanitizer");
 
 describe("CSV sanitizer utility", () => {
@@ -262,6 +263,29 @@ describe("CSV sanitizer utility", () => {
     });
   });
 
+  describe("sanitizeDataRow", () => {
+    test("should sanitize text and keep typed values", () => {
+      expect(sanitizeDataRow({ name: "=1+1", total: -5, paid: false, note: null })).toEqual({
+        name: "'=1+1",
+        total: -5,
+        paid: false,
+        note: null,
+      });
+    });
+
+    test("should sanitize nested loop data", () => {
+      expect(sanitizeDataRow({ items: [{ sku: "@SUM(A1)", qty: 2 }], meta: { tag: "+x" } })).toEqual({
+        items: [{ sku: "'@SUM(A1)", qty: 2 }],
+        meta: { tag: "'+x" },
+      });
+    });
+
+    test("should handle non-object input", () => {
+      expect(sanitizeDataRow(null)).toEqual({});
+      expect(sanitizeDataRow("text")).toEqual({});
+    });
+  });
+
   describe("real-world attack patterns", () => {
     test("should prevent DDE attack", () => {
       // DDE (Dynamic Data Exchange) attack pattern
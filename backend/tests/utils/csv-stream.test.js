@@ -0,0 +1,88 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const {
+  RowLimitError,
+  isCsvParseError,
+  openUpload,
+  readCsvRows,
+} = require("../../src/utils/csv-stream");
+
+const csvOf = (text) => Readable.from([Buffer.from(text)]);
+
+async function readAll(source, options) {
+  const csv = readCsvRows(source, options);
+  const rows = [];
+  for await (const row of csv.rows) rows.push(row);
+  return { rows, csv };
+}
+
+describe("csv-stream", () => {
+  test("reads rows keyed by the header, dropping a BOM, blank lines and padding", async () => {
+    const { rows, csv } = await readAll(csvOf("﻿name, city\n Ada ,London\n\nBob,Paris\n"));
+
+    expect(rows).toEqual([
+      { name: "Ada", city: "London" },
+      { name: "Bob", city: "Paris" },
+    ]);
+    expect(csv.count()).toBe(2);
+    expect(csv.hasHeader()).toBe(true);
+    expect(csv.headers()).toEqual(["name", "city"]);
+  });
+
+  test("sanitizes formula values", async () => {
+    const { rows } = await readAll(csvOf("name,total\n=1+1,@SUM(A1)\n"));
+
+    expect(rows[0]).toEqual({ name: "'=1+1", total: "'@SUM(A1)" });
+  });
+
+  test("hands the rest of the rows on after the first ones are read", async () => {
+    const csv = readCsvRows(csvOf("n\n1\n2\n3\n"));
+
+    const first = await csv.rows.next();
+    const rest = [];
+    for await (const row of csv.rows) rest.push(row.n);
+
+    expect(first.value).toEqual({ n: "1" });
+    expect(rest).toEqual(["2", "3"]);
+  });
+
+  test("reports a file without rows or header", async () => {
+    const { rows, csv } = await readAll(csvOf(""));
+
+    expect(rows).toEqual([]);
+    expect(csv.hasHeader()).toBe(false);
+  });
+
+  test("stops with a RowLimitError past maxRows", async () => {
+    const error = await readAll(csvOf("n\n1\n2\n3\n"), { maxRows: 2 }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(RowLimitError);
+    expect(error.status).toBe(413);
+    expect(error.message).toBe("Too many rows. Maximum 2 rows per CSV.");
+  });
+
+  test("surfaces malformed CSV as a parse error", async () => {
+    const error = await readAll(csvOf('name\n"unclosed\n')).catch((e) => e);
+
+    expect(isCsvParseError(error)).toBe(true);
+    expect(isCsvParseError(new Error("other"))).toBe(false);
+  });
+
+  test("openUpload reads disk and memory uploads alike", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-stream-"));
+    const filePath = path.join(dir, "upload.csv");
+    fs.writeFileSync(filePath, "name\nAda\n");
+
+    try {
+      const fromDisk = await readAll(openUpload({ path: filePath }));
+      const fromMemory = await readAll(openUpload({ buffer: Buffer.from("name\nAda\n") }));
+
+      expect(fromDisk.rows).toEqual([{ name: "Ada" }]);
+      expect(fromMemory.rows).toEqual([{ name: "Ada" }]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,157 @@
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const {
+  DataSourceError,
+  isDataSourceError,
+  dataSourceFormat,
+  readDataRows,
+} = require("../../src/utils/data-sources");
+const { RowLimitError } = require("../../src/utils/csv-stream");
+
+const sourceOf = (content) => Readable.from([Buffer.from(content)]);
+
+async function readAll(source, options) {
+  const reader = readDataRows(source, options);
+  const rows = [];
+  for await (const row of reader.rows) rows.push(row);
+  return { rows, reader };
+}
+
+// a workbook with a summary sheet first and the data below a title block
+async function invoiceWorkbook() {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet("Summary").addRow(["Totals only"]);
+  const sheet = workbook.addWorksheet("Invoices");
+  sheet.addRow(["March invoices"]);
+  sheet.addRow([]);
+  sheet.addRow(["name", "total", "due", "", "link", "double"]);
+  sheet.addRow([
+    "Ada",
+    12.5,
+    new Date(Date.UTC(2026, 2, 5)),
+    "note",
+    { text: "site", hyperlink: "https://example.com" },
+    { formula: "B4*2", result: 25 },
+  ]);
+  sheet.addRow([{ richText: [{ text: "=B" }, { text: "ob" }] }, -3, null, null, null, null]);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+describe("data-sources", () => {
+  describe("dataSourceFormat", () => {
+    test.each([
+      [{ originalname: "rows.xlsx", mimetype: "application/octet-stream" }, "xlsx"],
+      [{ originalname: "rows.json", mimetype: "text/plain" }, "json"],
+      [{ originalname: "rows.jsonl", mimetype: "application/json" }, "ndjson"],
+      [{ originalname: "rows.ndjson", mimetype: "application/x-ndjson" }, "ndjson"],
+      [{ originalname: "upload", mimetype: "application/json" }, "json"],
+      [{ originalname: "rows.csv", mimetype: "text/csv" }, "csv"],
+      [{ originalname: "rows.txt", mimetype: "text/plain" }, "csv"],
+    ])("%o is %s", (file, format) => {
+      expect(dataSourceFormat(file)).toBe(format);
+    });
+  });
+
+  describe("xlsx", () => {
+    test("reads the chosen sheet from its header row, keeping cell types", async () => {
+      const { rows, reader } = await readAll(sourceOf(await invoiceWorkbook()), {
+        format: "xlsx",
+        sheet: "Invoices",
+        headerRow: 3,
+      });
+
+      expect(reader.hasHeader()).toBe(true);
+      expect(reader.headers()).toEqual(["name", "total", "due", "link", "double"]);
+      expect(rows).toEqual([
+        { name: "Ada", total: 12.5, due: "2026-03-05", link: "site", double: 25 },
+        // text is sanitized, numbers aren't
+        { name: "'=Bob", total: -3, due: "", link: "", double: "" },
+      ]);
+    });
+
+    test("reads the first sheet by default", async () => {
+      const { rows, reader } = await readAll(sourceOf(await invoiceWorkbook()), { format: "xlsx" });
+
+      expect(rows).toEqual([]);
+      expect(reader.hasHeader()).toBe(true);
+    });
+
+    test("names the sheets when the chosen one is missing", async () => {
+      const error = await readAll(sourceOf(await invoiceWorkbook()), { format: "xlsx", sheet: "Orders" }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(DataSourceError);
+      expect(error.message).toBe("Sheet 'Orders' not found. Sheets: Summary, Invoices");
+    });
+
+    test("rejects files that aren't workbooks", async () => {
+      const error = await readAll(sourceOf("name\nAda\n"), { format: "xlsx" }).catch((e) => e);
+
+      expect(isDataSourceError(error)).toBe(true);
+    });
+
+    test("stops past maxRows", async () => {
+      const error = await readAll(sourceOf(await invoiceWorkbook()), {
+        format: "xlsx",
+        sheet: "Invoices",
+        headerRow: 3,
+        maxRows: 1,
+      }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(RowLimitError);
+      expect(error.message).toBe("Too many rows. Maximum 1 rows per XLSX.");
+    });
+  });
+
+  describe("json", () => {
+    test("reads an array of row objects, keeping nested loop data", async () => {
+      const { rows, reader } = await readAll(
+        sourceOf(JSON.stringify([{ name: "=Ada", qty: 2, items: [{ sku: "@A1" }] }, { name: "Bob" }])),
+        { format: "json" }
+      );
+
+      expect(rows).toEqual([{ name: "'=Ada", qty: 2, items: [{ sku: "'@A1" }] }, { name: "Bob" }]);
+      expect(reader.count()).toBe(2);
+      expect(reader.hasHeader()).toBe(false);
+      // the keys of every row read
+      expect(reader.headers()).toEqual(["name", "qty", "items"]);
+    });
+
+    test.each([
+      ['{"name":"Ada"}', "Expected an array of row objects"],
+      ['[{"name":"Ada"}, 3]', "Row 2 is not an object"],
+      ["[{", expect.any(String)],
+    ])("rejects %s", async (content, message) => {
+      const error = await readAll(sourceOf(content), { format: "json" }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(DataSourceError);
+      expect(error.message).toEqual(message);
+    });
+  });
+
+  describe("ndjson", () => {
+    test("reads one row per line, skipping blank lines", async () => {
+      const { rows } = await readAll(sourceOf('\uFEFF{"name":"Ada"}\r\n\n{"name":"Bob","qty":1}\n'), { format: "ndjson" });
+
+      expect(rows).toEqual([{ name: "Ada" }, { name: "Bob", qty: 1 }]);
+    });
+
+    test("reports the line that doesn't parse", async () => {
+      const error = await readAll(sourceOf('{"name":"Ada"}\n{"name":\n'), { format: "ndjson" }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(DataSourceError);
+      expect(error.message).toMatch(/^Line 2: /);
+    });
+
+    test("stops past maxRows", async () => {
+      const error = await readAll(sourceOf('{"n":1}\n{"n":2}\n'), { format: "ndjson", maxRows: 1 }).catch((e) => e);
+
+      expect(error.message).toBe("Too many rows. Maximum 1 rows per NDJSON.");
+    });
+  });
+
+  test("csv skips the lines above headerRow", async () => {
+    const { rows } = await readAll(sourceOf("Report\nname,total\nAda,1\n"), { format: "csv", headerRow: 2 });
+
+    expect(rows).toEqual([{ name: "Ada", total: "1" }]);
+  });
+});
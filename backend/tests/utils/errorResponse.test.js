@@ -82,6 +82,14 @@ describe("errorResponse utility", () => {
       expect(res.body.error.code).toBe(ErrorCodes.FORBIDDEN);
     });
 
+    test("quotaExceeded sends 403 with the quota", () => {
+      const res = mockRes();
+      errorResponse.quotaExceeded(res, "Over quota", { quota: "templates", limit: 200, used: 200 });
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error.code).toBe(ErrorCodes.QUOTA_EXCEEDED);
+      expect(res.body.error.details).toEqual({ quota: "templates", limit: 200, used: 200 });
+    });
+
     test("notFound sends 404", () => {
       const res = mockRes();
       errorResponse.notFound(res);
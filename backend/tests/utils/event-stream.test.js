@@ -0,0 +1,56 @@
+const request = require("supertest");
+const express = require("express");
+const { openEventStream, closeEventStreams } = require("../../src/utils/event-stream");
+
+describe("openEventStream", () => {
+  test("sends events as JSON with optional ids", async () => {
+    const app = express();
+    app.get("/events", (req, res) => {
+      const stream = openEventStream(req, res);
+      stream.send("progress", { processedRows: 1 });
+      stream.send("result", { rowIndex: 0, success: true }, 0);
+      stream.end();
+    });
+
+    const response = await request(app).get("/events").expect(200);
+
+    expect(response.headers["content-type"]).toMatch(/^text\/event-stream/);
+    expect(response.headers["cache-control"]).toBe("no-cache, no-transform");
+    expect(response.text).toBe(
+      'event: progress\ndata: {"processedRows":1}\n\n' +
+      'id: 0\nevent: result\ndata: {"rowIndex":0,"success":true}\n\n'
+    );
+  });
+
+  test("wait resolves early on wake", async () => {
+    const app = express();
+    app.get("/events", async (req, res) => {
+      const stream = openEventStream(req, res);
+      setTimeout(() => stream.wake(), 10);
+      const started = Date.now();
+      await stream.wait(5000);
+      stream.send("waited", { early: Date.now() - started < 5000 });
+      stream.end();
+    });
+
+    const response = await request(app).get("/events").expect(200);
+
+    expect(response.text).toBe('event: waited\ndata: {"early":true}\n\n');
+  });
+});
+
+describe("closeEventStreams", () => {
+  test("ends the streams still open", async () => {
+    const app = express();
+    let waited;
+    app.get("/events", (req, res) => {
+      const stream = openEventStream(req, res);
+      waited = stream.wait(5000).then(() => stream.closed);
+      setTimeout(closeEventStreams, 10);
+    });
+
+    await request(app).get("/events").expect(200);
+
+    expect(await waited).toBe(true);
+  });
+});
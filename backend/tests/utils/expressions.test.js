@@ -0,0 +1,161 @@
+const {
+  isExpressionTag,
+  parseExpression,
+  evaluateExpression,
+  expressionFields,
+  findExpressionFields,
+} = require("../../src/utils/expressions");
+const { TemplateParseError } = require("../../src/utils/docx-templating");
+const { BLANK } = require("../../src/utils/blank-values");
+
+const evaluate = (text, ...scopes) => evaluateExpression(parseExpression(text), scopes, text);
+
+const errorOf = (fn) => {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+  return null;
+};
+
+describe("expressions", () => {
+  describe("isExpressionTag", () => {
+    test.each(["qty * price", 'first + " " + last', "sum(items, \"total\")", "-amount", "a > 1 ? 'x' : 'y'", "not paid"])(
+      "%s is an expression",
+      (name) => {
+        expect(isExpressionTag(name)).toBe(true);
+      }
+    );
+
+    test.each(["name", "customer.name", "order-id", "%logo", "#items"])("%s is a plain tag", (name) => {
+      expect(isExpressionTag(name)).toBe(false);
+    });
+
+    test.each(["Customer's Name", "R&D Budget", "Qty/Unit", "Unit Price/Qty", "first-name"])(
+      "%s joins the words of a name, so it's a plain tag",
+      (name) => {
+        expect(isExpressionTag(name)).toBe(false);
+      }
+    );
+
+    test.each(["qty * (price", 'sum(items "total")', "foo(a)", "Price (USD)", "total / count", "a && b"])(
+      "%s is an expression, whether or not it parses",
+      (name) => {
+        expect(isExpressionTag(name)).toBe(true);
+      }
+    );
+  });
+
+  describe("evaluateExpression", () => {
+    test.each([
+      ["qty * price", { qty: 3, price: 10 }, 30],
+      ["qty * price", { qty: "3", price: "$1,250.50" }, 3751.5],
+      ["(a + b) * 2 - c / 4", { a: 1, b: 2, c: 8 }, 4],
+      ["total % 7", { total: 30 }, 2],
+      ["0.1 * 3", {}, 0.3],
+      ["-discount", { discount: 5 }, -5],
+      ['first + " " + last', { first: "Ada", last: "Lovelace" }, "Ada Lovelace"],
+      ["“No. ” + id", { id: 7 }, "No. 7"],
+      ["a + b", { a: "1", b: "2" }, 3],
+      ["qty >= 10 ? \"bulk\" : \"single\"", { qty: 12 }, "bulk"],
+      ["status == 'paid' and total > 0", { status: "paid", total: 1 }, true],
+      ["not paid or late", { paid: true, late: false }, false],
+      ["customer.name + '!'", { customer: { name: "Ada" } }, "Ada!"],
+      ['sum(items, "total")', { items: [{ total: 10 }, { total: "2.5" }, { total: "" }] }, 12.5],
+      ['avg(items, "total")', { items: [{ total: 10 }, { total: 20 }] }, 15],
+      ["min(a, b, c)", { a: 3, b: 1, c: 2 }, 1],
+      ['max(items, "score")', { items: [{ score: 3 }, { score: 9 }] }, 9],
+      ["count(items)", { items: [1, 2, 3] }, 3],
+      ["round(price * 1.19, 2)", { price: 9.99 }, 11.89],
+      ["floor(x) + ceil(x) + abs(-2)", { x: 1.5 }, 5],
+    ])("%s", (text, data, expected) => {
+      expect(evaluate(text, data)).toBe(expected);
+    });
+
+    test("reads outer scopes from a loop item", () => {
+      expect(evaluate("qty * rate", { rate: 2 }, { qty: 4 })).toBe(8);
+      expect(evaluate("qty * rate", { rate: 2, qty: 1 }, { qty: 4 })).toBe(8);
+    });
+
+    test("prefers a flat dotted key", () => {
+      expect(evaluate("customer.name + ''", { "customer.name": "Flat", customer: { name: "Nested" } })).toBe("Flat");
+    });
+
+    test("reads blank optional fields as empty", () => {
+      expect(evaluate("qty * price", { qty: BLANK, price: 10 })).toBe(0);
+      expect(evaluate('title + " " + name', { title: BLANK, name: "Ada" })).toBe(" Ada");
+    });
+
+    test("leaves the tag unresolved when a field is missing", () => {
+      expect(evaluate("qty * price", { qty: 3 })).toBeUndefined();
+      expect(evaluate('sum(items, "total")', {})).toBe(0);
+    });
+
+    test("never reads inherited properties", () => {
+      expect(evaluate("name.constructor + ''", { name: "x" })).toBeUndefined();
+      expect(evaluate("__proto__ + ''", {})).toBeUndefined();
+      expect(evaluate("toString + ''", {})).toBeUndefined();
+    });
+  });
+
+  describe("errors", () => {
+    test("rejects syntax errors with the tag in the details", () => {
+      const error = errorOf(() => parseExpression("qty * (price"));
+
+      expect(error).toBeInstanceOf(TemplateParseError);
+      expect(error.status).toBe(422);
+      expect(error.details).toEqual([
+        expect.objectContaining({ id: "invalid_expression", xtag: "{{qty * (price}}" }),
+      ]);
+    });
+
+    test.each(["eval('1')", "constructor(1)", "items.map(x)"])("rejects calls to %s", (text) => {
+      expect(errorOf(() => parseExpression(text))?.details[0].id).toBe("unknown_function");
+    });
+
+    test("rejects arithmetic on text and division by zero", () => {
+      expect(errorOf(() => evaluate("name * 2", { name: "abc" }))?.details[0]).toEqual({
+        id: "expression_error",
+        explanation: '"abc" is not a number',
+        xtag: "{{name * 2}}",
+      });
+      expect(errorOf(() => evaluate("a / b", { a: 1, b: 0 }))?.details[0].explanation).toBe("Division by zero");
+      expect(errorOf(() => evaluate("a % b", { a: 1, b: 0 }))?.details[0].explanation).toBe("Division by zero");
+    });
+
+    test("rejects results too large for a number", () => {
+      expect(errorOf(() => evaluate("a * a", { a: 1e200 }))?.details[0].explanation).toBe("The result is too large");
+    });
+
+    test.each([
+      ["round(x, 1e9)", 1.23456789],
+      ["round(x, 20)", 1.23456789],
+      ["round(x, -3)", 1],
+      ["round(x, 2.7)", 1.23],
+    ])("clamps the digits of %s to 0-15", (text, expected) => {
+      expect(evaluate(text, { x: 1.23456789 })).toBe(expected);
+    });
+  });
+
+  describe("fields", () => {
+    test("expressionFields lists the paths an expression reads", () => {
+      expect(expressionFields('round(qty * item.price, 2) + sum(lines, "total")')).toEqual([
+        "qty",
+        "item.price",
+        "lines",
+        "lines.total",
+      ]);
+      expect(expressionFields("qty * (")).toEqual([]);
+    });
+
+    test("findExpressionFields skips plain tags and sections", () => {
+      expect(findExpressionFields("{{name}} {{#items}}{{qty * price | number:2}}{{/items}} {{a + b}}")).toEqual([
+        "qty",
+        "price",
+        "a",
+        "b",
+      ]);
+    });
+  });
+});
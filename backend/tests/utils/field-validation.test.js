@@ -0,0 +1,211 @@
+const {
+  FieldValidationError,
+  fieldDefinition,
+  applyFieldDefaults,
+  isSafePattern,
+  checkValue,
+  validateFieldValues,
+} = require("../../src/utils/field-validation");
+
+describe("field-validation", () => {
+  describe("fieldDefinition", () => {
+    test("fills type and required for name-only snapshots", () => {
+      expect(fieldDefinition({ id: "f1", name: "customer" })).toEqual({
+        name: "customer",
+        type: "string",
+        required: true,
+        options: [],
+      });
+    });
+
+    test("keeps set rules and drops empty ones", () => {
+      const field = {
+        id: "f1",
+        templateId: "t1",
+        name: "qty",
+        type: "number",
+        required: false,
+        defaultValue: 1,
+        pattern: null,
+        min: 0,
+        max: null,
+        options: [],
+        description: "Units ordered",
+      };
+
+      expect(fieldDefinition(field)).toEqual({
+        name: "qty",
+        type: "number",
+        required: false,
+        options: [],
+        defaultValue: 1,
+        min: 0,
+        description: "Units ordered",
+      });
+    });
+  });
+
+  describe("checkValue", () => {
+    test.each([
+      [{ type: "number" }, "42"],
+      [{ type: "number" }, -3.5],
+      [{ type: "number" }, "'-5"],
+      [{ type: "currency" }, "$1,234.50"],
+      [{ type: "currency" }, 19.9],
+      [{ type: "date" }, "2026-10-19"],
+      [{ type: "date" }, "2026-10-19T08:30:00Z"],
+      [{ type: "date" }, new Date("2026-10-19")],
+      [{ type: "email" }, "ada@example.com"],
+      [{ type: "enum", options: ["gold", "silver"] }, "gold"],
+      [{ type: "boolean" }, "Yes"],
+      [{ type: "boolean" }, false],
+      [{ type: "string", min: 2, max: 5 }, "abc"],
+      [{ type: "string", pattern: "^[A-Z]{2}-\\d+$" }, "AB-12"],
+    ])("accepts %o with %p", (field, value) => {
+      expect(checkValue(field, value)).toBeNull();
+    });
+
+    test.each([
+      [{ type: "number" }, "12abc", "invalid_type"],
+      [{ type: "number", min: 1 }, "0", "too_small"],
+      [{ type: "number", max: 10 }, 11, "too_large"],
+      [{ type: "currency" }, "12.345", "invalid_type"],
+      [{ type: "date" }, "19/10/2026", "invalid_type"],
+      [{ type: "date" }, "2026-13-45", "invalid_type"],
+      [{ type: "email" }, "not-an-email", "invalid_type"],
+      [{ type: "enum", options: ["gold", "silver"] }, "bronze", "invalid_option"],
+      [{ type: "boolean" }, "maybe", "invalid_type"],
+      [{ type: "string", min: 3 }, "ab", "too_small"],
+      [{ type: "string", max: 3 }, "abcd", "too_large"],
+      [{ type: "string", pattern: "^\\d{5}$" }, "1234", "pattern"],
+    ])("rejects %o with %p as %s", (field, value, code) => {
+      expect(checkValue(field, value)).toMatchObject({ code });
+    });
+  });
+
+  describe("validateFieldValues", () => {
+    test("returns no errors for valid data", () => {
+      const fields = [
+        { name: "name" },
+        { name: "total", type: "currency" },
+      ];
+      expect(validateFieldValues(fields, { name: "Ada", total: "10.00" })).toEqual([]);
+    });
+
+    test("reports every problem with its field and path", () => {
+      const fields = [
+        { name: "name" },
+        { name: "email", type: "email" },
+        { name: "total", type: "number", min: 0 },
+      ];
+
+      expect(validateFieldValues(fields, { name: "", email: "nope", total: "-1" })).toEqual([
+        { field: "name", path: "name", code: "required", message: "name is required" },
+        { field: "email", path: "email", code: "invalid_type", message: "email must be an email address" },
+        { field: "total", path: "total", code: "too_small", message: "total must be at least 0" },
+      ]);
+    });
+
+    test("skips optional fields that are missing", () => {
+      const fields = [{ name: "note", required: false, min: 3 }];
+      expect(validateFieldValues(fields, {})).toEqual([]);
+    });
+
+    test("checks loop body fields on every item", () => {
+      const fields = [{ name: "items" }, { name: "items.qty", type: "number" }];
+      const data = { items: [{ qty: "2" }, { qty: "two" }, {}] };
+
+      expect(validateFieldValues(fields, data)).toEqual([
+        expect.objectContaining({ field: "items.qty", path: "items[1].qty", code: "invalid_type" }),
+        expect.objectContaining({ field: "items.qty", path: "items[2].qty", code: "required" }),
+      ]);
+    });
+
+    test("lets loop items fall back to outer values", () => {
+      const fields = [{ name: "items" }, { name: "items.currency" }];
+      expect(validateFieldValues(fields, { currency: "EUR", items: [{}] })).toEqual([]);
+    });
+
+    test("reports a missing parent object once per field", () => {
+      const fields = [{ name: "customer.name" }];
+      expect(validateFieldValues(fields, {})).toEqual([
+        expect.objectContaining({ path: "customer.name", code: "required" }),
+      ]);
+    });
+
+    test("treats object values and conditional sections as provided", () => {
+      const fields = [{ name: "logo", type: "number" }, { name: "vip" }, { name: "vip.note" }];
+      expect(validateFieldValues(fields, { logo: { src: "data:..." }, vip: true })).toEqual([]);
+    });
+
+    test("compiles each pattern once, however many values it checks", () => {
+      const RegExpSpy = jest.spyOn(global, "RegExp");
+      const fields = [{ name: "items" }, { name: "items.sku", pattern: "^[A-Z]{3}-\\d+$" }];
+      const data = { items: [{ sku: "ABC-1" }, { sku: "abc" }, { sku: "XYZ-22" }] };
+
+      expect(validateFieldValues(fields, data)).toEqual([
+        expect.objectContaining({ path: "items[1].sku", code: "pattern" }),
+      ]);
+      expect(RegExpSpy.mock.calls.filter(([source]) => source === "^[A-Z]{3}-\\d+$")).toHaveLength(1);
+    });
+  });
+
+  describe("isSafePattern", () => {
+    test.each(["^\\d{5}$", "^[A-Z]{2}-\\d+$", "(foo|bar)+", "(a+)?", "[(a+)]+", "\\(a+\\)+", "(?:ab){1}"])(
+      "%s is safe",
+      (pattern) => {
+        expect(isSafePattern(pattern)).toBe(true);
+      }
+    );
+
+    test.each(["(a+)+", "^(\\w+\\s?)*$", "((ab)*)+", "(?:x+)*", "(a{2,})*", "(a+){2}"])("%s is refused", (pattern) => {
+      expect(isSafePattern(pattern)).toBe(false);
+    });
+  });
+
+  describe("applyFieldDefaults", () => {
+    test("returns the same data when no field has a default", () => {
+      const data = { name: "Ada" };
+      expect(applyFieldDefaults([{ name: "name" }], data)).toBe(data);
+    });
+
+    test("fills missing and empty values without touching the input", () => {
+      const fields = [
+        { name: "country", defaultValue: "NZ" },
+        { name: "status", defaultValue: "new" },
+        { name: "name", defaultValue: "unused" },
+        { name: "address.city", defaultValue: "Wellington" },
+      ];
+      const data = { name: "Ada", status: "" };
+
+      const out = applyFieldDefaults(fields, data);
+
+      expect(out).toEqual({
+        name: "Ada",
+        status: "new",
+        country: "NZ",
+        address: { city: "Wellington" },
+      });
+      expect(data).toEqual({ name: "Ada", status: "" });
+    });
+
+    test("fills loop items", () => {
+      const fields = [{ name: "items.qty", defaultValue: 1 }];
+      expect(applyFieldDefaults(fields, { items: [{ qty: 3 }, {}] })).toEqual({
+        items: [{ qty: 3 }, { qty: 1 }],
+      });
+    });
+  });
+
+  describe("FieldValidationError", () => {
+    test("carries status 422 and the per-field details", () => {
+      const details = [{ field: "a", path: "a", code: "required", message: "a is required" }];
+      const err = new FieldValidationError(details);
+
+      expect(err).toBeInstanceOf(Error);
+      expect(err.status).toBe(422);
+      expect(err.details).toBe(details);
+      expect(err.message).toBe("Invalid merge data: a is required");
+    });
+  });
+});
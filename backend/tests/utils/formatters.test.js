@@ -0,0 +1,123 @@
+const {
+  isValidLocale,
+  parseTag,
+  tagFieldName,
+  applyFilters,
+  resolveFilteredTag,
+} = require("../../src/utils/formatters");
+const { TemplateParseError } = require("../../src/utils/docx-templating");
+const { BLANK } = require("../../src/utils/blank-values");
+
+const render = (tag, data, options) => resolveFilteredTag(tag, (name) => data[name], options);
+
+describe("formatters", () => {
+  describe("parseTag", () => {
+    test("returns a bare tag's name with no filters", () => {
+      expect(parseTag(" name ")).toEqual({ name: "name", filters: [] });
+    });
+
+    test("splits filters and their arguments", () => {
+      expect(parseTag('amount | currency:"EUR":0 | upper')).toEqual({
+        name: "amount",
+        filters: [
+          { name: "currency", args: ["EUR", "0"] },
+          { name: "upper", args: [] },
+        ],
+      });
+    });
+
+    test("keeps pipes and colons inside quoted arguments", () => {
+      expect(parseTag('due | date:"HH:mm | d"').filters).toEqual([{ name: "date", args: ["HH:mm | d"] }]);
+    });
+
+    test("reads Word's curly quotes and XML-escaped quotes", () => {
+      expect(parseTag("amount | currency:“EUR”").filters[0].args).toEqual(["EUR"]);
+      expect(parseTag("amount | currency:&quot;EUR&quot;").filters[0].args).toEqual(["EUR"]);
+    });
+
+    test("tagFieldName drops the filters", () => {
+      expect(tagFieldName("items.total | number:2")).toBe("items.total");
+    });
+  });
+
+  describe("filters", () => {
+    test.each([
+      ["name | upper", { name: "ada" }, "ADA"],
+      ["name | lower", { name: "ADA" }, "ada"],
+      ["name | capitalize", { name: "ada lovelace" }, "Ada lovelace"],
+      ["name | title", { name: "ada LOVELACE-byron" }, "Ada Lovelace-Byron"],
+      ["name | trim | upper", { name: "  ada " }, "ADA"],
+      ["qty | number", { qty: 1234.5 }, "1,234.5"],
+      ["qty | number:2", { qty: "1234.5" }, "1,234.50"],
+      ["rate | percent:1", { rate: 0.125 }, "12.5%"],
+      ['amount | currency:"EUR"', { amount: 1234.5 }, "€1,234.50"],
+      ['amount | currency:"USD":0', { amount: "$1,234.50" }, "$1,235"],
+      ['due | date:"MMMM d, yyyy"', { due: "2026-10-19" }, "October 19, 2026"],
+      ["due | date:\"EEE dd/MM/yy 'at' h:mm a\"", { due: "2026-10-19T15:04:00Z" }, "Mon 19/10/26 at 3:04 PM"],
+      ["due | date", { due: new Date("2026-10-19T00:00:00Z") }, "Oct 19, 2026"],
+    ])("%s", (tag, data, expected) => {
+      expect(render(tag, data)).toBe(expected);
+    });
+
+    // Intl separates these with (narrow) no-break spaces
+    test("formats numbers, currencies and dates for the locale", () => {
+      expect(render('amount | currency:"EUR"', { amount: 1234.5 }, { locale: "de-DE" })).toBe("1.234,50\u00a0€");
+      expect(render("qty | number:1", { qty: 1234 }, { locale: "fr-FR" })).toBe("1\u202f234,0");
+      expect(render('due | date:"d MMMM yyyy"', { due: "2026-10-19" }, { locale: "de-DE" })).toBe("19 Oktober 2026");
+    });
+
+    test("leaves values a filter can't read unchanged", () => {
+      expect(render('amount | currency:"EUR"', { amount: "n/a" })).toBe("n/a");
+      expect(render("due | date", { due: "soon" })).toBe("soon");
+    });
+
+    test("default fills missing, empty and blank values only", () => {
+      expect(render('note | default:"none"', {})).toBe("none");
+      expect(render('note | default:"none"', { note: "" })).toBe("none");
+      expect(render('note | default:"none" | upper', { note: BLANK })).toBe("NONE");
+      expect(render('note | default:"none"', { note: 0 })).toBe(0);
+    });
+
+    test("leaves missing and blank values for the caller", () => {
+      expect(render("note | upper", {})).toBeUndefined();
+      expect(applyFilters(BLANK, parseTag("note | upper").filters)).toBe(BLANK);
+    });
+
+    test("passes object values through", () => {
+      const logo = { src: "data:image/png;base64,AAAA" };
+      expect(render("logo | upper", { logo })).toBe(logo);
+    });
+  });
+
+  describe("errors", () => {
+    test("rejects unknown filters with the tag in the details", () => {
+      let error;
+      try {
+        render("name | shout", { name: "ada" });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(TemplateParseError);
+      expect(error.status).toBe(422);
+      expect(error.details).toEqual([
+        { id: "unknown_filter", explanation: 'Unknown filter "shout"', xtag: "{{name | shout}}" },
+      ]);
+    });
+
+    test("rejects currency without a valid code", () => {
+      expect(() => render("amount | currency", { amount: 1 })).toThrow(TemplateParseError);
+      expect(() => render('amount | currency:"EURO"', { amount: 1 })).toThrow(TemplateParseError);
+    });
+  });
+
+  describe("isValidLocale", () => {
+    test.each(["en-US", "de-DE", "fr", "pt-BR"])("accepts %s", (locale) => {
+      expect(isValidLocale(locale)).toBe(true);
+    });
+
+    test.each(["", "not a locale", "en_US", null])("rejects %p", (locale) => {
+      expect(isValidLocale(locale)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const { parseImageValue, readImageSize, pxToEmu } = require("../../src/utils/images");
+const { TemplateParseError } = require("../../src/utils/docx-templating");
+const { pngDataUri } = require("../_helpers/images");
+
+describe("image placeholder utility", () => {
+  describe("readImageSize", () => {
+    test("reads PNG dimensions", () => {
+      const buf = Buffer.from(pngDataUri(120, 45).split(",")[1], "base64");
+      expect(readImageSize(buf)).toEqual({ width: 120, height: 45 });
+    });
+
+    test("reads JPEG dimensions from the frame header", () => {
+      const jpeg = Buffer.from([
+        0xff, 0xd8,
+        // APP0 segment (length 4)
+        0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+        // SOF0: length, precision, height 0x0032, width 0x0064
+        0xff, 0xc0, 0x00, 0x0b, 0x08, 0x00, 0x32, 0x00, 0x64, 0x03, 0x01,
+      ]);
+      expect(readImageSize(jpeg)).toEqual({ width: 100, height: 50 });
+    });
+
+    test("returns null for unknown formats", () => {
+      expect(readImageSize(Buffer.from("not an image"))).toBeNull();
+    });
+  });
+
+  describe("parseImageValue", () => {
+    test("accepts a data URI and uses the natural size", () => {
+      const image = parseImageValue(pngDataUri(40, 20), "logo");
+      expect(image).toMatchObject({
+        mimeType: "image/png",
+        extension: "png",
+        width: 40,
+        height: 20,
+        sized: false,
+      });
+      expect(Buffer.isBuffer(image.buffer)).toBe(true);
+    });
+
+    test("keeps the aspect ratio when only one dimension is given", () => {
+      expect(parseImageValue({ src: pngDataUri(40, 20), width: 100 }, "logo")).toMatchObject({
+        width: 100,
+        height: 50,
+        sized: true,
+      });
+      expect(parseImageValue({ src: pngDataUri(40, 20), height: 10 }, "logo")).toMatchObject({
+        width: 20,
+        height: 10,
+      });
+    });
+
+    test("uses both dimensions as given", () => {
+      expect(
+        parseImageValue({ src: pngDataUri(40, 20), width: 30, height: 30 }, "logo")
+      ).toMatchObject({ width: 30, height: 30 });
+    });
+
+    test("rejects values that are not image data URIs", () => {
+      for (const value of ["https://example.com/a.png", "data:text/plain;base64,aGk=", 42, { width: 10 }]) {
+        let error;
+        try {
+          parseImageValue(value, "logo");
+        } catch (err) {
+          error = err;
+        }
+        expect(error).toBeInstanceOf(TemplateParseError);
+        expect(error.details[0]).toMatchObject({ id: "invalid_image", xtag: "{{%logo}}" });
+      }
+    });
+
+    test("rejects unreadable image bytes", () => {
+      expect(() => parseImageValue("data:image/png;base64,aGVsbG8=", "logo")).toThrow(
+        TemplateParseError
+      );
+    });
+  });
+
+  test("pxToEmu converts at 96 DPI", () => {
+    expect(pxToEmu(96)).toBe(914400);
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  escapeXml,
+  unescapeXml,
+  textOf,
+  consolidateTags,
+  mergeSplitRuns,
+  mergeSplitRichText,
+} = require("../../src/utils/text-runs");
+
+describe("text run utility", () => {
+  describe("escapeXml / unescapeXml", () => {
+    test("escapes XML special characters", () => {
+      expect(escapeXml(`Tom & Jerry <"co">'s`)).toBe("Tom &amp; Jerry &lt;&quot;co&quot;&gt;&apos;s");
+    });
+
+    test("decodes named and numeric entities", () => {
+      expect(unescapeXml("a &amp; b &lt;c&gt; &#233; &#x4E2D;")).toBe("a & b <c> é 中");
+    });
+  });
+
+  describe("textOf", () => {
+    test("joins and decodes <a:t> text", () => {
+      expect(textOf("<a:r><a:t>R&amp;</a:t></a:r><a:r><a:t>D</a:t></a:r>")).toBe("R&D");
+    });
+  });
+
+  describe("consolidateTags", () => {
+    test("returns the same array when no tag is split", () => {
+      const texts = ["Hello ", "{{name}}", "!"];
+      expect(consolidateTags(texts)).toBe(texts);
+    });
+
+    test("moves a split tag into the run it starts in", () => {
+      expect(consolidateTags(["Hello {{na", "m", "e}}!"])).toEqual(["Hello {{name}}", "", "!"]);
+    });
+
+    test("handles ${} tags and several tags per paragraph", () => {
+      expect(consolidateTags(["${fir", "st} {", "{last}}"])).toEqual(["${first}", " {{last}}", ""]);
+    });
+  });
+
+  describe("mergeSplitRuns", () => {
+    const run = (text, bold = false) =>
+      `<a:r><a:rPr lang="en-US"${bold ? ' b="1"' : ""}/><a:t>${text}</a:t></a:r>`;
+
+    test("merges runs and keeps the first run's formatting", () => {
+      const xml = `<a:p>${run("Dear {{", true)}${run("name")}${run("}}, hi")}</a:p>`;
+
+      expect(mergeSplitRuns(xml)).toBe(`<a:p>${run("Dear {{name}}", true)}${run(", hi")}</a:p>`);
+    });
+
+    test("leaves paragraphs without split tags untouched", () => {
+      const xml = `<a:p>${run("R&amp;D {{x}}")}${run("more")}</a:p><a:p/>`;
+      expect(mergeSplitRuns(xml)).toBe(xml);
+    });
+
+    test("re-escapes text of changed runs", () => {
+      const xml = `<a:p>${run("A &amp; {{")}${run("b}}")}</a:p>`;
+      expect(mergeSplitRuns(xml)).toBe(`<a:p>${run("A &amp; {{b}}")}</a:p>`);
+    });
+
+    test("does not merge across paragraphs", () => {
+      const xml = `<a:p>${run("{{a")}</a:p><a:p>${run("}}")}</a:p>`;
+      expect(mergeSplitRuns(xml)).toBe(xml);
+    });
+  });
+
+  describe("mergeSplitRichText", () => {
+    test("merges split tags and drops emptied runs", () => {
+      const bold = { bold: true };
+      expect(
+        mergeSplitRichText([
+          { text: "Total: {{", font: bold },
+          { text: "amount" },
+          { text: "}} EUR" },
+        ])
+      ).toEqual([
+        { text: "Total: {{amount}}", font: bold },
+        { text: " EUR" },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock("../../src/services/batchJob.service", () => {
+  const { EventEmitter } = require("events");
+  return {
+    claimBatchJob: jest.fn(),
+    processBatchJob: jest.fn(),
+    recoverBatchJobs: jest.fn(),
+    batchJobEvents: new EventEmitter(),
+  };
+});
+
+jest.mock("../../src/services/webhookDelivery.service", () => ({
+  deliverDueWebhooks: jest.fn(),
+}));
+
+jest.mock("../../src/config/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  claimBatchJob,
+  processBatchJob,
+  recoverBatchJobs,
+  batchJobEvents,
+} = require("../../src/services/batchJob.service");
+const { deliverDueWebhooks } = require("../../src/services/webhookDelivery.service");
+const logger = require("../../src/config/logger");
+const { startBatchWorkers, runWorkerLoop, runDeliveryLoop } = require("../../src/workers/batchWorker");
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  recoverBatchJobs.mockResolvedValue();
+  processBatchJob.mockResolvedValue();
+  deliverDueWebhooks.mockResolvedValue(0);
+});
+
+describe("runWorkerLoop", () => {
+  test("processes claimed jobs until the queue is empty, then waits", async () => {
+    const controller = new AbortController();
+    claimBatchJob
+      .mockResolvedValueOnce({ id: "batch-1", attempts: 1 })
+      .mockResolvedValueOnce({ id: "batch-2", attempts: 1 })
+      .mockImplementationOnce(async () => {
+        controller.abort();
+        return null;
+      });
+
+    await runWorkerLoop("worker-1", controller.signal);
+
+    expect(processBatchJob.mock.calls).toEqual([
+      ["batch-1", "worker-1", { signal: controller.signal }],
+      ["batch-2", "worker-1", { signal: controller.signal }],
+    ]);
+    expect(claimBatchJob).toHaveBeenCalledTimes(3);
+  });
+
+  test("wakes up when a job is queued in this process", async () => {
+    const controller = new AbortController();
+    claimBatchJob
+      .mockResolvedValueOnce(null)
+      .mockImplementationOnce(async () => {
+        controller.abort();
+        return { id: "batch-1", attempts: 1 };
+      });
+
+    const loop = runWorkerLoop("worker-1", controller.signal);
+    await new Promise(setImmediate);
+    batchJobEvents.emit("queued", "batch-1");
+    await loop;
+
+    expect(processBatchJob).toHaveBeenCalledWith("batch-1", "worker-1", { signal: controller.signal });
+    expect(batchJobEvents.listenerCount("queued")).toBe(0);
+  });
+
+  test("keeps running after a job fails", async () => {
+    const controller = new AbortController();
+    claimBatchJob.mockRejectedValueOnce(new Error("connection reset")).mockImplementationOnce(async () => {
+      controller.abort();
+      return null;
+    });
+
+    const loop = runWorkerLoop("worker-1", controller.signal);
+    await new Promise(setImmediate);
+    batchJobEvents.emit("queued");
+    await loop;
+
+    expect(logger.error).toHaveBeenCalledWith(
+      { err: expect.any(Error), workerId: "worker-1" },
+      "Batch worker failed to run a job"
+    );
+    expect(claimBatchJob).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("runDeliveryLoop", () => {
+  test("retries due webhook deliveries until stopped, logging failures", async () => {
+    const controller = new AbortController();
+    deliverDueWebhooks.mockRejectedValueOnce(new Error("db down")).mockImplementationOnce(async () => {
+      controller.abort();
+      return 1;
+    });
+    jest.useFakeTimers();
+
+    const loop = runDeliveryLoop(controller.signal);
+    await jest.advanceTimersByTimeAsync(5000);
+    await loop;
+    jest.useRealTimers();
+
+    expect(deliverDueWebhooks).toHaveBeenCalledTimes(2);
+    expect(logger.error).toHaveBeenCalledWith({ err: expect.any(Error) }, "Failed to retry webhook deliveries");
+  });
+});
+
+describe("startBatchWorkers", () => {
+  test("recovers jobs, runs one loop per worker and stops them all", async () => {
+    claimBatchJob.mockResolvedValue(null);
+
+    const workers = startBatchWorkers({ count: 2 });
+    await new Promise(setImmediate);
+    await workers.stop();
+
+    expect(recoverBatchJobs).toHaveBeenCalledTimes(1);
+    expect(workers.workerIds).toHaveLength(2);
+    expect(new Set(workers.workerIds).size).toBe(2);
+    expect(claimBatchJob.mock.calls.map(([workerId]) => workerId).sort()).toEqual([...workers.workerIds].sort());
+    expect(deliverDueWebhooks).toHaveBeenCalledTimes(1);
+  });
+
+  test("still starts the loops when recovery fails", async () => {
+    recoverBatchJobs.mockRejectedValue(new Error("db down"));
+    claimBatchJob.mockResolvedValue(null);
+
+    const workers = startBatchWorkers({ count: 1 });
+    await new Promise(setImmediate);
+    await workers.stop();
+
+    expect(logger.error).toHaveBeenCalledWith({ err: expect.any(Error) }, "Failed to recover batch jobs");
+    expect(claimBatchJob).toHaveBeenCalledWith(workers.workerIds[0]);
+  });
+});
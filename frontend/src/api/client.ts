@@ -12,11 +12,30 @@ import type {
   MergeJob,
   BulkMergeResponse,
   BatchJobStatus,
+  BatchJobChangeResponse,
+  BatchJobEvent,
+  BatchRetryRow,
+  BatchRetryResponse,
+  ColumnMapping,
+  ColumnMappingRule,
+  CsvMergeOptions,
+  CsvDryRunReport,
+  MergePreviewResponse,
   ErrorResponse,
   OutputType,
   PageSize,
   Orientation,
   Folder,
+  WebhookEndpoint,
+  WebhookEndpointWithSecret,
+  CreateWebhookEndpointRequest,
+  ApiKey,
+  ApiKeyWithSecret,
+  CreateApiKeyRequest,
+  Workspace,
+  WorkspaceMember,
+  WorkspaceRole,
+  Usage,
 } from '../types/api';
 
 // API base URL - uses Vite proxy in development, direct URL in production
@@ -153,6 +172,7 @@ export const templatesApi = {
       outputNameFormat?: string | null;
       pageSize?: PageSize | null;
       orientation?: Orientation | null;
+      locale?: string | null;
       file?: File;
     }
   ): Promise<Template> => {
@@ -178,6 +198,10 @@ export const templatesApi = {
       formData.append('orientation', data.orientation || '');
     }
 
+    if (data.locale !== undefined) {
+      formData.append('locale', data.locale || '');
+    }
+
     if (data.file) {
       formData.append('template', data.file);
     }
@@ -213,6 +237,50 @@ export const templatesApi = {
     );
     return response.data;
   },
+
+  getMappings: async (templateId: string): Promise<ColumnMapping[]> => {
+    const response = await apiClient.get<ColumnMapping[]>(`/api/templates/${templateId}/mappings`);
+    return response.data;
+  },
+
+  createMapping: async (
+    templateId: string,
+    data: { name: string; rules: ColumnMappingRule[] }
+  ): Promise<ColumnMapping> => {
+    const response = await apiClient.post<ColumnMapping>(`/api/templates/${templateId}/mappings`, data);
+    return response.data;
+  },
+
+  updateMapping: async (
+    templateId: string,
+    mappingId: string,
+    data: { name: string; rules: ColumnMappingRule[] }
+  ): Promise<ColumnMapping> => {
+    const response = await apiClient.put<ColumnMapping>(
+      `/api/templates/${templateId}/mappings/${mappingId}`,
+      data
+    );
+    return response.data;
+  },
+
+  deleteMapping: async (templateId: string, mappingId: string): Promise<void> => {
+    await apiClient.delete(`/api/templates/${templateId}/mappings/${mappingId}`);
+  },
+
+  // Shares the template with a workspace, or makes it private again with null
+  setWorkspace: async (id: string, workspaceId: string | null): Promise<Template> => {
+    const response = await apiClient.put<Template>(`/api/templates/${id}/workspace`, { workspaceId });
+    return response.data;
+  },
+};
+
+// Column mapping options of a bulk merge, as multipart fields
+const appendMappingOptions = (formData: FormData, options: CsvMergeOptions = {}) => {
+  if (options.mappingId) {
+    formData.append('mappingId', options.mappingId);
+  } else if (options.mapping) {
+    formData.append('mapping', JSON.stringify(options.mapping));
+  }
 };
 
 // Folders API
@@ -245,6 +313,12 @@ export const foldersApi = {
     const response = await apiClient.put<Template>(`/api/templates/${templateId}/move`, data);
     return response.data;
   },
+
+  // Shares the folder, its subfolders and their templates with a workspace, or makes them private with null
+  setWorkspace: async (id: string, workspaceId: string | null): Promise<Folder> => {
+    const response = await apiClient.put<Folder>(`/api/folders/${id}/workspace`, { workspaceId });
+    return response.data;
+  },
 };
 
 // Merge API
@@ -281,14 +355,37 @@ export const mergeApi = {
     return { blob: response.data, filename };
   },
 
+  previewCsv: async (
+    templateId: string,
+    csvFile: File,
+    options?: CsvMergeOptions
+  ): Promise<MergePreviewResponse> => {
+    const formData = new FormData();
+    formData.append('csv', csvFile);
+    appendMappingOptions(formData, options);
+
+    const response = await apiClient.post<MergePreviewResponse>(
+      `/api/templates/${templateId}/merge-csv/preview`,
+      formData,
+      {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      }
+    );
+    return response.data;
+  },
+
   mergeCsv: async (
     templateId: string,
     csvFile: File,
-    outputType: OutputType
+    outputType: OutputType,
+    options?: CsvMergeOptions
   ): Promise<BulkMergeResponse> => {
     const formData = new FormData();
     formData.append('csv', csvFile);
     formData.append('outputType', outputType);
+    appendMappingOptions(formData, options);
 
     const response = await apiClient.post<BulkMergeResponse>(
       `/api/templates/${templateId}/merge-csv`,
@@ -302,6 +399,31 @@ export const mergeApi = {
     return response.data;
   },
 
+  // Checks every row against the template's fields without merging (?dryRun=true)
+  validateCsv: async (
+    templateId: string,
+    csvFile: File,
+    outputType: OutputType,
+    options?: CsvMergeOptions
+  ): Promise<CsvDryRunReport> => {
+    const formData = new FormData();
+    formData.append('csv', csvFile);
+    formData.append('outputType', outputType);
+    appendMappingOptions(formData, options);
+
+    const response = await apiClient.post<CsvDryRunReport>(
+      `/api/templates/${templateId}/merge-csv`,
+      formData,
+      {
+        params: { dryRun: true },
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      }
+    );
+    return response.data;
+  },
+
   downloadOutput: async (filePath: string): Promise<Blob> => {
     const response = await apiClient.get(`/api/download/${filePath}`, {
       responseType: 'blob',
@@ -322,12 +444,179 @@ export const jobsApi = {
   },
 };
 
+// One event of a text/event-stream block; comments (keep-alives) have no event
+const parseStreamEvent = (block: string): BatchJobEvent | null => {
+  const fields: Record<string, string> = {};
+  for (const line of block.split('\n')) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    fields[line.slice(0, colon)] = line.slice(colon + 1).replace(/^ /, '');
+  }
+  if (!fields.event || fields.data === undefined) return null;
+  const event = { event: fields.event, data: JSON.parse(fields.data) } as BatchJobEvent;
+  return fields.id === undefined ? event : { ...event, id: Number(fields.id) } as BatchJobEvent;
+};
+
 // Batch Jobs API
 export const batchJobsApi = {
   getStatus: async (batchJobId: string): Promise<BatchJobStatus> => {
     const response = await apiClient.get<BatchJobStatus>(`/api/batch-jobs/${batchJobId}`);
     return response.data;
   },
+
+  // Re-runs the failed rows of a finished batch as a new batch, with corrected data for some of them
+  retry: async (batchJobId: string, rows: BatchRetryRow[] = []): Promise<BatchRetryResponse> => {
+    const response = await apiClient.post<BatchRetryResponse>(`/api/batch-jobs/${batchJobId}/retry`, { rows });
+    return response.data;
+  },
+
+  pause: async (batchJobId: string): Promise<BatchJobChangeResponse> => {
+    const response = await apiClient.post<BatchJobChangeResponse>(`/api/batch-jobs/${batchJobId}/pause`);
+    return response.data;
+  },
+
+  resume: async (batchJobId: string): Promise<BatchJobChangeResponse> => {
+    const response = await apiClient.post<BatchJobChangeResponse>(`/api/batch-jobs/${batchJobId}/resume`);
+    return response.data;
+  },
+
+  // Streams a batch job's progress until it finishes: resolves after the "done" event, rejects when the
+  // connection drops. Uses fetch rather than EventSource, which can't send the Authorization header;
+  // afterRow (the last row result received) makes a reconnect carry on after it.
+  watch: async (
+    batchJobId: string,
+    onEvent: (event: BatchJobEvent) => void,
+    { signal, afterRow }: { signal?: AbortSignal; afterRow?: number } = {}
+  ): Promise<void> => {
+    const { data: { session } } = await supabase.auth.getSession();
+    const headers: Record<string, string> = { Accept: 'text/event-stream' };
+    if (session?.access_token) headers.Authorization = `Bearer ${session.access_token}`;
+    if (afterRow !== undefined) headers['Last-Event-ID'] = String(afterRow);
+
+    const response = await fetch(`${API_BASE_URL}/api/batch-jobs/${batchJobId}/events`, { headers, signal });
+    if (!response.ok || !response.body) {
+      throw new Error(`Progress stream failed with status ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffered += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+      const blocks = buffered.split('\n\n');
+      buffered = blocks.pop() ?? '';
+      for (const block of blocks) {
+        const event = parseStreamEvent(block);
+        if (!event) continue;
+        onEvent(event);
+        if (event.event === 'done') return;
+        if (event.event === 'error') throw new Error(event.data.message);
+      }
+    }
+    throw new Error('Progress stream ended before the batch job finished');
+  },
+
+  // deleteOutputs also deletes the outputs of the rows merged so far
+  cancel: async (batchJobId: string, deleteOutputs = false): Promise<BatchJobChangeResponse> => {
+    const response = await apiClient.post<BatchJobChangeResponse>(`/api/batch-jobs/${batchJobId}/cancel`, {
+      deleteOutputs,
+    });
+    return response.data;
+  },
+};
+
+// Webhook Endpoints API
+export const webhookEndpointsApi = {
+  getAll: async (): Promise<WebhookEndpoint[]> => {
+    const response = await apiClient.get<WebhookEndpoint[]>('/api/webhook-endpoints');
+    return response.data;
+  },
+
+  create: async (data: CreateWebhookEndpointRequest): Promise<WebhookEndpointWithSecret> => {
+    const response = await apiClient.post<WebhookEndpointWithSecret>('/api/webhook-endpoints', data);
+    return response.data;
+  },
+
+  // The current secret keeps working for overlapMinutes (a day when omitted, 0 to stop it right away)
+  rotate: async (id: string, overlapMinutes?: number): Promise<WebhookEndpointWithSecret> => {
+    const response = await apiClient.post<WebhookEndpointWithSecret>(`/api/webhook-endpoints/${id}/rotate`, {
+      overlapMinutes,
+    });
+    return response.data;
+  },
+
+  revoke: async (id: string): Promise<void> => {
+    await apiClient.delete(`/api/webhook-endpoints/${id}`);
+  },
+};
+
+// API Keys API
+export const apiKeysApi = {
+  getAll: async (): Promise<ApiKey[]> => {
+    const response = await apiClient.get<ApiKey[]>('/api/api-keys');
+    return response.data;
+  },
+
+  create: async (data: CreateApiKeyRequest): Promise<ApiKeyWithSecret> => {
+    const response = await apiClient.post<ApiKeyWithSecret>('/api/api-keys', data);
+    return response.data;
+  },
+
+  revoke: async (id: string): Promise<void> => {
+    await apiClient.delete(`/api/api-keys/${id}`);
+  },
+};
+
+// Workspaces API
+export const workspacesApi = {
+  getAll: async (): Promise<Workspace[]> => {
+    const response = await apiClient.get<Workspace[]>('/api/workspaces');
+    return response.data;
+  },
+
+  create: async (data: { name: string }): Promise<Workspace> => {
+    const response = await apiClient.post<Workspace>('/api/workspaces', data);
+    return response.data;
+  },
+
+  rename: async (id: string, data: { name: string }): Promise<Workspace> => {
+    const response = await apiClient.put<Workspace>(`/api/workspaces/${id}`, data);
+    return response.data;
+  },
+
+  delete: async (id: string): Promise<void> => {
+    await apiClient.delete(`/api/workspaces/${id}`);
+  },
+
+  getMembers: async (id: string): Promise<WorkspaceMember[]> => {
+    const response = await apiClient.get<WorkspaceMember[]>(`/api/workspaces/${id}/members`);
+    return response.data;
+  },
+
+  addMember: async (id: string, data: { email: string; role: WorkspaceRole }): Promise<WorkspaceMember> => {
+    const response = await apiClient.post<WorkspaceMember>(`/api/workspaces/${id}/members`, data);
+    return response.data;
+  },
+
+  updateMember: async (id: string, userId: string, data: { role: WorkspaceRole }): Promise<WorkspaceMember> => {
+    const response = await apiClient.put<WorkspaceMember>(`/api/workspaces/${id}/members/${userId}`, data);
+    return response.data;
+  },
+
+  // Owners remove anyone; members remove themselves to leave
+  removeMember: async (id: string, userId: string): Promise<void> => {
+    await apiClient.delete(`/api/workspaces/${id}/members/${userId}`);
+  },
+};
+
+// Usage API
+export const usageApi = {
+  get: async (): Promise<Usage> => {
+    const response = await apiClient.get<Usage>('/api/usage');
+    return response.data;
+  },
 };
 
 export default apiClient;
@@ -0,0 +1,243 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  FormGroup,
+  Checkbox,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { apiKeysApi } from '../api/client';
+import type { ApiKey, ApiKeyScope, ApiKeyWithSecret } from '../types/api';
+
+const SCOPES: { scope: ApiKeyScope; label: string }[] = [
+  { scope: 'templates:read', label: 'Read templates' },
+  { scope: 'merge:write', label: 'Run merges and batch jobs' },
+  { scope: 'outputs:read', label: 'Follow batch jobs and download outputs' },
+];
+
+// Expiry choices, in days; 0 never expires
+const EXPIRY_OPTIONS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: 0, label: 'Never' },
+];
+
+type ApiError = { response?: { status?: number; data?: { error?: unknown } } };
+
+// The message of an API error response, whether sent as a string or as { code, message }
+const errorMessage = (err: unknown, fallback: string) => {
+  const error = (err as ApiError).response?.data?.error;
+  const message = error && typeof error === 'object' ? (error as { message?: unknown }).message : error;
+  return typeof message === 'string' ? message : fallback;
+};
+
+const formatDate = (value: string | null, empty: string) => (value ? new Date(value).toLocaleString() : empty);
+
+export default function ApiKeysPanel() {
+  const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState<ApiKeyScope[]>(['merge:write']);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // The key just made; it isn't shown again
+  const [created, setCreated] = useState<ApiKeyWithSecret | null>(null);
+  const [revoking, setRevoking] = useState<ApiKey | null>(null);
+  const [error, setError] = useState('');
+
+  const loadApiKeys = useCallback(async () => {
+    try {
+      setApiKeys(await apiKeysApi.getAll());
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load API keys'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadApiKeys();
+  }, [loadApiKeys]);
+
+  const toggleScope = (scope: ApiKeyScope) => {
+    setScopes(scopes.includes(scope) ? scopes.filter(s => s !== scope) : [...scopes, scope]);
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      const apiKey = await apiKeysApi.create({
+        name: name.trim(),
+        scopes,
+        expiresInDays: expiresInDays || null,
+      });
+      setCreated(apiKey);
+      setApiKeys([apiKey, ...apiKeys]);
+      setName('');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to create API key'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevokeConfirm = async () => {
+    if (!revoking) return;
+    try {
+      setSaving(true);
+      setError('');
+      await apiKeysApi.revoke(revoking.id);
+      setApiKeys(apiKeys.filter(k => k.id !== revoking.id));
+      if (created?.id === revoking.id) setCreated(null);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to revoke API key'));
+    } finally {
+      setSaving(false);
+      setRevoking(null);
+    }
+  };
+
+  const isExpired = (apiKey: ApiKey) => !!apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date();
+
+  return (
+    <Box>
+      <Typography variant="h6" sx={{ mb: 2 }}>
+        API Keys
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Let scripts and integrations call the API as you, without signing in. Send the key in the X-API-Key
+        header; it can only do what its scopes allow.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {created && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setCreated(null)}>
+          Copy the key for "{created.name}" now; it won't be shown again.
+          <Box component="code" sx={{ display: 'block', mt: 1, wordBreak: 'break-all' }}>
+            {created.key}
+          </Box>
+        </Alert>
+      )}
+
+      <form onSubmit={handleCreate}>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 1 }}>
+          <TextField
+            size="small"
+            label="Key Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            disabled={saving}
+            slotProps={{ htmlInput: { maxLength: 100 } }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Expires"
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(Number(e.target.value))}
+            disabled={saving}
+            sx={{ minWidth: 120 }}
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <MenuItem key={option.days} value={option.days}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button type="submit" variant="contained" disabled={saving || !name.trim() || scopes.length === 0}>
+            Create Key
+          </Button>
+        </Box>
+        <FormGroup row sx={{ mb: 2 }}>
+          {SCOPES.map(({ scope, label }) => (
+            <FormControlLabel
+              key={scope}
+              control={
+                <Checkbox
+                  checked={scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                  disabled={saving}
+                />
+              }
+              label={label}
+            />
+          ))}
+        </FormGroup>
+      </form>
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : apiKeys.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No API keys yet.
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Key</TableCell>
+              <TableCell>Scopes</TableCell>
+              <TableCell>Expires</TableCell>
+              <TableCell>Last Used</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {apiKeys.map(apiKey => (
+              <TableRow key={apiKey.id}>
+                <TableCell>{apiKey.name}</TableCell>
+                <TableCell>{apiKey.prefix}…</TableCell>
+                <TableCell>{apiKey.scopes.join(', ')}</TableCell>
+                <TableCell>{isExpired(apiKey) ? 'Expired' : formatDate(apiKey.expiresAt, 'Never')}</TableCell>
+                <TableCell>{formatDate(apiKey.lastUsedAt, 'Never')}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" color="error" onClick={() => setRevoking(apiKey)} disabled={saving}>
+                    Revoke
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      <Dialog open={!!revoking} onClose={() => setRevoking(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Revoke API Key</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mt: 1 }}>
+            Requests with "{revoking?.name}" will be refused from now on. This can't be undone.
+          </Alert>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRevoking(null)}>Cancel</Button>
+          <Button color="error" onClick={handleRevokeConfirm} disabled={saving}>
+            Revoke
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
@@ -0,0 +1,101 @@
+import { useState, useEffect, useRef } from 'react';
+import { Box, Typography, LinearProgress, Alert } from '@mui/material';
+import { batchJobsApi } from '../api/client';
+import type { BatchJobFinalState, BatchJobProgress as Progress, BatchRowResult } from '../types/api';
+
+// Dropped streams reconnected to before giving up, and the wait before each
+const MAX_RECONNECTS = 5;
+const RECONNECT_DELAY_MS = 2000;
+
+// Statuses whose counters don't move, told in words instead of a percentage
+const STATUS_LABELS: Partial<Record<Progress['status'], string>> = {
+  ingesting: 'Reading the file...',
+  pending: 'Waiting to start...',
+  paused: 'Paused',
+};
+
+interface BatchJobProgressProps {
+  batchJobId: string;
+  onResult?: (result: BatchRowResult) => void;
+  onFinished?: (state: BatchJobFinalState) => void;
+}
+
+export default function BatchJobProgress({ batchJobId, onResult, onFinished }: BatchJobProgressProps) {
+  const [progress, setProgress] = useState<Progress | null>(null);
+  const [error, setError] = useState('');
+
+  // The latest callbacks, so a re-render of the page doesn't restart the stream
+  const callbacks = useRef({ onResult, onFinished });
+  useEffect(() => {
+    callbacks.current = { onResult, onFinished };
+  });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    // Last row result received; a reconnect carries on after it
+    let afterRow: number | undefined;
+
+    const follow = async () => {
+      for (let attempt = 0; attempt <= MAX_RECONNECTS; attempt++) {
+        try {
+          await batchJobsApi.watch(batchJobId, (event) => {
+            switch (event.event) {
+              case 'progress':
+                setProgress(event.data);
+                break;
+              case 'result':
+                afterRow = event.id;
+                callbacks.current.onResult?.(event.data);
+                break;
+              case 'done':
+                setProgress(event.data);
+                callbacks.current.onFinished?.(event.data);
+                break;
+            }
+          }, { signal: controller.signal, afterRow });
+          return;
+        } catch {
+          if (controller.signal.aborted) return;
+          await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+          if (controller.signal.aborted) return;
+        }
+      }
+      setError('Lost track of the batch merge. Refresh the page to see how far it got.');
+    };
+
+    follow();
+    return () => controller.abort();
+  }, [batchJobId]);
+
+  if (error) {
+    return (
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        {error}
+      </Alert>
+    );
+  }
+
+  const total = progress?.totalRows || 0;
+  const processed = progress?.processedRows || 0;
+  const percent = total > 0 ? Math.round((processed / total) * 100) : 0;
+  const label = progress ? STATUS_LABELS[progress.status] || `${percent}%` : 'Connecting...';
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="body2">
+          {processed} of {total} rows merged
+          {progress?.failedRows ? `, ${progress.failedRows} failed` : ''}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {label}
+        </Typography>
+      </Box>
+      <LinearProgress
+        variant={progress ? 'determinate' : 'indeterminate'}
+        value={percent}
+        aria-label="Batch merge progress"
+      />
+    </Box>
+  );
+}
@@ -0,0 +1,377 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  TextField,
+  MenuItem,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import { templatesApi, mergeApi } from '../api/client';
+import DryRunReport from './DryRunReport';
+import type {
+  BulkMergeResponse,
+  ColumnMapping,
+  ColumnMappingRule,
+  CsvDryRunReport,
+  MergePreviewResponse,
+  OutputType,
+  SuggestedMappingRule,
+} from '../types/api';
+
+// Data files the bulk merge endpoint reads rows from
+const DATA_FILE_EXTENSIONS = ['.csv', '.xlsx', '.json', '.ndjson', '.jsonl'];
+
+interface ColumnMappingPanelProps {
+  templateId: string;
+  outputType: OutputType;
+  onMerged: (result: BulkMergeResponse) => void;
+}
+
+// Suggestions carry how they were matched; saved and sent rules don't
+const toRule = (suggestion: SuggestedMappingRule): ColumnMappingRule => {
+  const rule = { ...suggestion };
+  delete rule.match;
+  delete rule.score;
+  return rule;
+};
+
+// How a rule fills its field, for rules the column picker can't show
+const describeRule = (rule: ColumnMappingRule) => {
+  switch (rule.type) {
+    case 'column':
+      return rule.column;
+    case 'concat':
+      return rule.columns.join(' + ');
+    case 'constant':
+      return `Always "${rule.value}"`;
+    case 'split':
+      return `${rule.part === 'first' ? 'First' : 'Last'} name of ${rule.column}`;
+  }
+};
+
+type ApiError = { response?: { status?: number; data?: { error?: unknown } } };
+
+// The message of an API error response, whether sent as a string or as { code, message }
+const errorMessage = (err: unknown, fallback: string) => {
+  const error = (err as ApiError).response?.data?.error;
+  const message = error && typeof error === 'object' ? (error as { message?: unknown }).message : error;
+  return typeof message === 'string' ? message : fallback;
+};
+
+export default function ColumnMappingPanel({ templateId, outputType, onMerged }: ColumnMappingPanelProps) {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [file, setFile] = useState<File | null>(null);
+  const [preview, setPreview] = useState<MergePreviewResponse | null>(null);
+  const [rules, setRules] = useState<ColumnMappingRule[]>([]);
+  const [savedMappings, setSavedMappings] = useState<ColumnMapping[]>([]);
+  const [selectedMappingId, setSelectedMappingId] = useState('');
+  const [mappingName, setMappingName] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [merging, setMerging] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [report, setReport] = useState<CsvDryRunReport | null>(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadMappings = useCallback(async () => {
+    try {
+      setSavedMappings(await templatesApi.getMappings(templateId));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load saved mappings'));
+    }
+  }, [templateId]);
+
+  useEffect(() => {
+    loadMappings();
+  }, [loadMappings]);
+
+  // Reads the header and first rows of the file, with the given rules or the suggested ones
+  const loadPreview = async (dataFile: File, mapping?: ColumnMappingRule[]) => {
+    try {
+      setLoading(true);
+      setError('');
+      // a new file or mapping needs checking again
+      setReport(null);
+      const data = await mergeApi.previewCsv(templateId, dataFile, mapping ? { mapping } : undefined);
+      setPreview(data);
+      setRules(data.mapping.map(toRule));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to read the data file'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const picked = event.target.files?.[0];
+    event.target.value = '';
+    if (!picked) return;
+
+    const name = picked.name.toLowerCase();
+    if (!DATA_FILE_EXTENSIONS.some(ext => name.endsWith(ext))) {
+      setError('Only CSV, XLSX, JSON and NDJSON files are supported for bulk merge');
+      return;
+    }
+
+    setFile(picked);
+    setSuccess('');
+    const saved = savedMappings.find(m => m.id === selectedMappingId);
+    await loadPreview(picked, saved?.rules);
+  };
+
+  const handleSavedMappingChange = async (mappingId: string) => {
+    setSelectedMappingId(mappingId);
+    const saved = savedMappings.find(m => m.id === mappingId);
+    setMappingName(saved?.name || '');
+    if (!file) {
+      setRules(saved?.rules || []);
+      return;
+    }
+    // back to the suggestions when no saved mapping is picked
+    await loadPreview(file, saved?.rules);
+  };
+
+  const handleFieldSourceChange = async (field: string, value: string) => {
+    // "rule" keeps the field's concat, constant or split rule as it is
+    if (value === 'rule') return;
+    const others = rules.filter(rule => rule.field !== field);
+    const next: ColumnMappingRule[] = value.startsWith('column:')
+      ? [...others, { field, type: 'column', column: value.slice('column:'.length) }]
+      : others;
+    setRules(next);
+    if (file) await loadPreview(file, next);
+  };
+
+  const handleSaveMapping = async () => {
+    const name = mappingName.trim();
+    if (!name) {
+      setError('Enter a name for the mapping');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      const selected = savedMappings.find(m => m.id === selectedMappingId);
+      const saved = selected
+        ? await templatesApi.updateMapping(templateId, selected.id, { name, rules })
+        : await templatesApi.createMapping(templateId, { name, rules });
+      await loadMappings();
+      setSelectedMappingId(saved.id);
+      setSuccess(`Mapping "${saved.name}" saved`);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save mapping'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Dry run: checks every row against the template's fields and lists the ones that would fail
+  const handleCheckRows = async () => {
+    if (!file) return;
+
+    try {
+      setChecking(true);
+      setError('');
+      setReport(await mergeApi.validateCsv(templateId, file, outputType, { mapping: rules }));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to check the rows'));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    if (!file) return;
+
+    try {
+      setMerging(true);
+      setError('');
+      const result = await mergeApi.mergeCsv(templateId, file, outputType, { mapping: rules });
+      onMerged(result);
+    } catch (err) {
+      if ((err as ApiError).response?.status === 429) {
+        setError('Too many CSV merges. Please try again later.');
+      } else {
+        setError(errorMessage(err, 'CSV merge failed'));
+      }
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  // The picker value of a field: its column, its other rule, or nothing
+  const fieldSource = (field: string) => {
+    const rule = rules.find(r => r.field === field);
+    if (!rule) return '';
+    return rule.type === 'column' ? `column:${rule.column}` : 'rule';
+  };
+
+  const busy = loading || saving || merging || checking;
+  const firstRow = preview?.mappedRows[0];
+
+  return (
+    <Box>
+      <Typography variant="h6" component="h2" gutterBottom>
+        Bulk Merge from a File
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Upload a CSV, XLSX, JSON or NDJSON file and choose which column fills each field.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+        <input
+          ref={fileInputRef}
+          type="file"
+          hidden
+          accept={DATA_FILE_EXTENSIONS.join(',')}
+          onChange={handleFileChange}
+          data-testid="data-file-input"
+        />
+        <Button
+          variant="outlined"
+          startIcon={<UploadFileIcon />}
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy}
+        >
+          {file ? 'Choose Another File' : 'Choose Data File'}
+        </Button>
+        {file && <Typography variant="body2">{file.name}</Typography>}
+
+        <TextField
+          select
+          size="small"
+          label="Saved mapping"
+          value={selectedMappingId}
+          onChange={(e) => handleSavedMappingChange(e.target.value)}
+          disabled={busy}
+          sx={{ minWidth: 200 }}
+        >
+          <MenuItem value="">Suggested</MenuItem>
+          {savedMappings.map((mapping) => (
+            <MenuItem key={mapping.id} value={mapping.id}>
+              {mapping.name}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {loading && <CircularProgress size={24} sx={{ mb: 2 }} />}
+
+      {preview && (
+        <>
+          {preview.missingColumns.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              The file has no {preview.missingColumns.length === 1 ? 'column' : 'columns'}{' '}
+              {preview.missingColumns.join(', ')}
+            </Alert>
+          )}
+
+          <Table size="small" sx={{ mb: 2 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell>Template field</TableCell>
+                <TableCell>File column</TableCell>
+                <TableCell>First row</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {preview.fields.map((field) => {
+                const rule = rules.find(r => r.field === field.name);
+                return (
+                  <TableRow key={field.name}>
+                    <TableCell>
+                      {field.name}
+                      {field.required ? ' *' : ''}
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        select
+                        size="small"
+                        fullWidth
+                        value={fieldSource(field.name)}
+                        onChange={(e) => handleFieldSourceChange(field.name, e.target.value)}
+                        disabled={busy}
+                        slotProps={{ htmlInput: { 'aria-label': `Column for ${field.name}` } }}
+                      >
+                        <MenuItem value="">
+                          {preview.headers.includes(field.name) ? `${field.name} (same name)` : 'Not mapped'}
+                        </MenuItem>
+                        {rule && rule.type !== 'column' && (
+                          <MenuItem value="rule">{describeRule(rule)}</MenuItem>
+                        )}
+                        {preview.headers.map((header) => (
+                          <MenuItem key={header} value={`column:${header}`}>
+                            {header}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                    </TableCell>
+                    <TableCell>{firstRow ? String(firstRow[field.name] ?? '') : ''}</TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+
+          {preview.unmappedFields.length > 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Not filled from the file: {preview.unmappedFields.join(', ')}
+            </Typography>
+          )}
+        </>
+      )}
+
+      {report && file && <DryRunReport report={report} fileName={file.name} />}
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          label="Mapping name"
+          value={mappingName}
+          onChange={(e) => setMappingName(e.target.value)}
+          disabled={busy}
+        />
+        <Button variant="outlined" onClick={handleSaveMapping} disabled={busy || rules.length === 0}>
+          {saving ? 'Saving...' : selectedMappingId ? 'Update Mapping' : 'Save Mapping'}
+        </Button>
+        <Button
+          variant="outlined"
+          onClick={handleCheckRows}
+          disabled={busy || !file || (preview?.missingColumns.length ?? 0) > 0}
+          sx={{ ml: 'auto' }}
+        >
+          {checking ? 'Checking...' : 'Check Rows'}
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleMerge}
+          disabled={busy || !file || (preview?.missingColumns.length ?? 0) > 0}
+        >
+          {merging ? 'Merging...' : 'Merge All Rows'}
+        </Button>
+      </Box>
+    </Box>
+  );
+}
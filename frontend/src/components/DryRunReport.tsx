@@ -0,0 +1,111 @@
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import type { CsvDryRunReport } from '../types/api';
+
+// Failing rows listed on the page; the download has all of them
+const SHOWN_ROWS = 20;
+
+interface DryRunReportProps {
+  report: CsvDryRunReport;
+  fileName: string;
+}
+
+const csvCell = (value: unknown) => {
+  const text = value === undefined || value === null
+    ? ''
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The failing rows as uploaded, plus the problems of each, so they can be fixed and merged again
+const failingRowsCsv = (report: CsvDryRunReport) => {
+  const columns = [...new Set(report.errors.flatMap((e) => Object.keys(e.data)))];
+  const lines = [
+    [...columns, 'row', 'errors'].map(csvCell).join(','),
+    ...report.errors.map((e) =>
+      [...columns.map((column) => e.data[column]), e.rowIndex + 1, e.error].map(csvCell).join(',')
+    ),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+export default function DryRunReport({ report, fileName }: DryRunReportProps) {
+  const handleDownload = () => {
+    const blob = new Blob([failingRowsCsv(report)], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fileName.replace(/\.[^.]+$/, '')}-failing-rows.csv`;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  };
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      {report.invalidRows === 0 ? (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          All {report.totalRows} rows are ready to merge.
+        </Alert>
+      ) : (
+        <Alert
+          severity="warning"
+          sx={{ mb: 2 }}
+          action={
+            <Button color="inherit" size="small" startIcon={<DownloadIcon />} onClick={handleDownload}>
+              Download Failing Rows
+            </Button>
+          }
+        >
+          {report.invalidRows} of {report.totalRows} rows would fail to merge.
+        </Alert>
+      )}
+
+      {report.unknownColumns.length > 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Columns not used by the template: {report.unknownColumns.join(', ')}
+        </Typography>
+      )}
+
+      {report.errors.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Row</TableCell>
+              <TableCell>Problems</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {report.errors.slice(0, SHOWN_ROWS).map((e) => (
+              <TableRow key={e.rowIndex}>
+                <TableCell>{e.rowIndex + 1}</TableCell>
+                <TableCell>
+                  {e.fieldErrors.map((fieldError) => (
+                    <div key={fieldError.path}>{fieldError.message}</div>
+                  ))}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {report.errors.length > SHOWN_ROWS && (
+        <Typography variant="caption" color="text.secondary">
+          Showing the first {SHOWN_ROWS} failing rows. Download them all to see the rest.
+        </Typography>
+      )}
+    </Box>
+  );
+}
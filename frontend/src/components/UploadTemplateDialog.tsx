@@ -47,6 +47,9 @@ export default function UploadTemplateDialog({ open, onClose, existingTemplateNa
       const status = err.response?.status;
       if (status === 429) {
         setError('Too many uploads. Please try again later.');
+      } else if (err.response?.data?.error?.code === 'QUOTA_EXCEEDED') {
+        // over the template or storage quota; the message says which
+        setError(err.response.data.error.message);
       } else {
         setError(err.response?.data?.error || 'Upload failed');
       }
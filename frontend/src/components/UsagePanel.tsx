@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+} from '@mui/material';
+import { usageApi } from '../api/client';
+import type { QuotaUsage, Usage } from '../types/api';
+
+const QUOTAS: { quota: keyof Usage['quotas']; label: string; bytes?: boolean }[] = [
+  { quota: 'templates', label: 'Templates' },
+  { quota: 'storageBytes', label: 'Storage', bytes: true },
+  { quota: 'mergesPerMonth', label: 'Merges this month' },
+  { quota: 'batchRowsPerMonth', label: 'Batch rows this month' },
+];
+
+type ApiError = { response?: { status?: number; data?: { error?: unknown } } };
+
+// The message of an API error response, whether sent as a string or as { code, message }
+const errorMessage = (err: unknown, fallback: string) => {
+  const error = (err as ApiError).response?.data?.error;
+  const message = error && typeof error === 'object' ? (error as { message?: unknown }).message : error;
+  return typeof message === 'string' ? message : fallback;
+};
+
+const formatBytes = (bytes: number) => {
+  if (bytes >= 1024 ** 3) return `${+(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${+(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${+(bytes / 1024).toFixed(1)} KB`;
+};
+
+// Bars turn amber from 80% and red once the quota is reached
+const barColor = (percent: number) => (percent >= 100 ? 'error' : percent >= 80 ? 'warning' : 'primary');
+
+function QuotaRow({ label, usage, bytes }: { label: string; usage: QuotaUsage; bytes?: boolean }) {
+  const format = (value: number) => (bytes ? formatBytes(value) : value.toLocaleString());
+  const percent = usage.limit ? Math.min((usage.used / usage.limit) * 100, 100) : 0;
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+        <Typography variant="body2">{label}</Typography>
+        <Typography variant="body2" color="text.secondary">
+          {usage.limit === null ? `${format(usage.used)} · Unlimited` : `${format(usage.used)} of ${format(usage.limit)}`}
+        </Typography>
+      </Box>
+      {usage.limit !== null && (
+        <LinearProgress variant="determinate" value={percent} color={barColor(percent)} aria-label={label} />
+      )}
+    </Box>
+  );
+}
+
+export default function UsagePanel() {
+  const [usage, setUsage] = useState<Usage | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    usageApi.get()
+      .then(setUsage)
+      .catch((err) => setError(errorMessage(err, 'Failed to load usage')))
+      .finally(() => setLoading(false));
+  }, []);
+
+  return (
+    <Box>
+      <Typography variant="h6" sx={{ mb: 2 }}>
+        Usage
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        What you've stored and run against your plan's limits. Uploads, merges and batch jobs past a limit are
+        turned away.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : usage && (
+        <>
+          {QUOTAS.map(({ quota, label, bytes }) => (
+            <QuotaRow key={quota} label={label} usage={usage.quotas[quota]} bytes={bytes} />
+          ))}
+          <Typography variant="body2" color="text.secondary">
+            Storage: templates {formatBytes(usage.storage.templates)}, versions {formatBytes(usage.storage.versions)},
+            assets {formatBytes(usage.storage.assets)}, outputs {formatBytes(usage.storage.outputs)}.
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Monthly counts start over on {new Date(usage.periodEnd).toLocaleDateString()}.
+          </Typography>
+        </>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,259 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { templatesApi, webhookEndpointsApi } from '../api/client';
+import type { Template, WebhookEndpoint, WebhookEndpointWithSecret } from '../types/api';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || window.location.origin;
+
+type ApiError = { response?: { status?: number; data?: { error?: unknown } } };
+
+// The message of an API error response, whether sent as a string or as { code, message }
+const errorMessage = (err: unknown, fallback: string) => {
+  const error = (err as ApiError).response?.data?.error;
+  const message = error && typeof error === 'object' ? (error as { message?: unknown }).message : error;
+  return typeof message === 'string' ? message : fallback;
+};
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleString() : 'Never');
+
+export default function WebhookEndpointsPanel() {
+  const [endpoints, setEndpoints] = useState<WebhookEndpoint[]>([]);
+  const [templates, setTemplates] = useState<Template[]>([]);
+  const [templateId, setTemplateId] = useState('');
+  const [name, setName] = useState('');
+  const [requireTimestamp, setRequireTimestamp] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // The endpoint whose secret was just made; it isn't shown again
+  const [revealed, setRevealed] = useState<WebhookEndpointWithSecret | null>(null);
+  const [revoking, setRevoking] = useState<WebhookEndpoint | null>(null);
+  const [error, setError] = useState('');
+
+  const loadEndpoints = useCallback(async () => {
+    try {
+      const [loadedEndpoints, loadedTemplates] = await Promise.all([
+        webhookEndpointsApi.getAll(),
+        templatesApi.getAll(),
+      ]);
+      setEndpoints(loadedEndpoints);
+      setTemplates(loadedTemplates);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load webhook endpoints'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEndpoints();
+  }, [loadEndpoints]);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      const created = await webhookEndpointsApi.create({ templateId, name: name.trim(), requireTimestamp });
+      setRevealed(created);
+      setEndpoints([created, ...endpoints]);
+      setName('');
+      setRequireTimestamp(true);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to create webhook endpoint'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRotate = async (endpoint: WebhookEndpoint) => {
+    try {
+      setSaving(true);
+      setError('');
+      const rotated = await webhookEndpointsApi.rotate(endpoint.id);
+      setRevealed(rotated);
+      setEndpoints(endpoints.map(e => (e.id === rotated.id ? rotated : e)));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to rotate the secret'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevokeConfirm = async () => {
+    if (!revoking) return;
+    try {
+      setSaving(true);
+      setError('');
+      await webhookEndpointsApi.revoke(revoking.id);
+      setEndpoints(endpoints.filter(e => e.id !== revoking.id));
+      if (revealed?.id === revoking.id) setRevealed(null);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to revoke webhook endpoint'));
+    } finally {
+      setSaving(false);
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" sx={{ mb: 2 }}>
+        Webhook Endpoints
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Give a partner system its own URL and secret for merging into one of your templates. Requests sign
+        their body with the secret (hex HMAC-SHA256 in X-Signature); with X-Webhook-Timestamp and
+        X-Webhook-Nonce they sign "timestamp.nonce.body" instead, so they can't be replayed.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {revealed && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setRevealed(null)}>
+          Copy the secret for "{revealed.name}" now; it won't be shown again.
+          <Box component="code" sx={{ display: 'block', mt: 1, wordBreak: 'break-all' }}>
+            {revealed.secret}
+          </Box>
+          {revealed.rotatingUntil && (
+            <Typography variant="body2" sx={{ mt: 1 }}>
+              The previous secret keeps working until {formatDate(revealed.rotatingUntil)}.
+            </Typography>
+          )}
+        </Alert>
+      )}
+
+      <form onSubmit={handleCreate}>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+          <TextField
+            select
+            size="small"
+            label="Template"
+            value={templateId}
+            onChange={(e) => setTemplateId(e.target.value)}
+            disabled={saving}
+            sx={{ minWidth: 200 }}
+          >
+            {templates.map(template => (
+              <MenuItem key={template.id} value={template.id}>
+                {template.displayName}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            label="Endpoint Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            disabled={saving}
+            slotProps={{ htmlInput: { maxLength: 100 } }}
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={requireTimestamp}
+                onChange={(e) => setRequireTimestamp(e.target.checked)}
+                disabled={saving}
+              />
+            }
+            label="Require timestamp and nonce"
+          />
+          <Button type="submit" variant="contained" disabled={saving || !templateId || !name.trim()}>
+            Create Endpoint
+          </Button>
+        </Box>
+      </form>
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : endpoints.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No webhook endpoints yet.
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Template</TableCell>
+              <TableCell>URL</TableCell>
+              <TableCell>Secret</TableCell>
+              <TableCell>Last Used</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {endpoints.map(endpoint => (
+              <TableRow key={endpoint.id}>
+                <TableCell>
+                  {endpoint.name}
+                  {!endpoint.requireTimestamp && (
+                    <Typography variant="caption" display="block" color="text.secondary">
+                      Accepts requests without a timestamp
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>{endpoint.templateName}</TableCell>
+                <TableCell sx={{ wordBreak: 'break-all' }}>{`${API_BASE_URL}${endpoint.url}`}</TableCell>
+                <TableCell>
+                  …{endpoint.secretHint}
+                  {endpoint.rotatingUntil && (
+                    <Typography variant="caption" display="block" color="text.secondary">
+                      Previous secret works until {formatDate(endpoint.rotatingUntil)}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>{formatDate(endpoint.lastUsedAt)}</TableCell>
+                <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                  <Button size="small" onClick={() => handleRotate(endpoint)} disabled={saving}>
+                    Rotate Secret
+                  </Button>
+                  <Button size="small" color="error" onClick={() => setRevoking(endpoint)} disabled={saving}>
+                    Revoke
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      <Dialog open={!!revoking} onClose={() => setRevoking(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Revoke Webhook Endpoint</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mt: 1 }}>
+            Requests to "{revoking?.name}" will be refused from now on. This can't be undone.
+          </Alert>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRevoking(null)}>Cancel</Button>
+          <Button color="error" onClick={handleRevokeConfirm} disabled={saving}>
+            Revoke
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
@@ -0,0 +1,354 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  TextField,
+  MenuItem,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { workspacesApi } from '../api/client';
+import { useAuth } from '../context/SupabaseAuthContext';
+import type { Workspace, WorkspaceMember, WorkspaceRole } from '../types/api';
+
+const ROLES: { role: WorkspaceRole; label: string }[] = [
+  { role: 'owner', label: 'Owner' },
+  { role: 'editor', label: 'Editor' },
+  { role: 'merger', label: 'Merger' },
+  { role: 'viewer', label: 'Viewer' },
+];
+
+const roleLabel = (role: WorkspaceRole) => ROLES.find(r => r.role === role)?.label ?? role;
+
+type ApiError = { response?: { status?: number; data?: { error?: unknown } } };
+
+// The message of an API error response, whether sent as a string or as { code, message }
+const errorMessage = (err: unknown, fallback: string) => {
+  const error = (err as ApiError).response?.data?.error;
+  const message = error && typeof error === 'object' ? (error as { message?: unknown }).message : error;
+  return typeof message === 'string' ? message : fallback;
+};
+
+export default function WorkspacesPanel() {
+  const { user } = useAuth();
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
+  const [name, setName] = useState('');
+  // The workspace whose members are shown
+  const [selected, setSelected] = useState<Workspace | null>(null);
+  const [members, setMembers] = useState<WorkspaceMember[]>([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState<WorkspaceRole>('merger');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // Deleting the workspace, or leaving it
+  const [confirming, setConfirming] = useState<{ workspace: Workspace; action: 'delete' | 'leave' } | null>(null);
+  const [error, setError] = useState('');
+
+  const loadWorkspaces = useCallback(async () => {
+    try {
+      setWorkspaces(await workspacesApi.getAll());
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load workspaces'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWorkspaces();
+  }, [loadWorkspaces]);
+
+  const showMembers = async (workspace: Workspace) => {
+    try {
+      setError('');
+      setMembers(await workspacesApi.getMembers(workspace.id));
+      setSelected(workspace);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load members'));
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      const workspace = await workspacesApi.create({ name: name.trim() });
+      setWorkspaces([...workspaces, workspace].sort((a, b) => a.name.localeCompare(b.name)));
+      setName('');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to create workspace'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddMember = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selected) return;
+    try {
+      setSaving(true);
+      setError('');
+      const member = await workspacesApi.addMember(selected.id, { email: email.trim(), role });
+      setMembers([...members, member]);
+      setWorkspaces(workspaces.map(w => (w.id === selected.id ? { ...w, memberCount: w.memberCount + 1 } : w)));
+      setEmail('');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to add member'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (member: WorkspaceMember, newRole: WorkspaceRole) => {
+    if (!selected) return;
+    try {
+      setSaving(true);
+      setError('');
+      const updated = await workspacesApi.updateMember(selected.id, member.userId, { role: newRole });
+      setMembers(members.map(m => (m.userId === member.userId ? updated : m)));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to change role'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemoveMember = async (member: WorkspaceMember) => {
+    if (!selected) return;
+    try {
+      setSaving(true);
+      setError('');
+      await workspacesApi.removeMember(selected.id, member.userId);
+      setMembers(members.filter(m => m.userId !== member.userId));
+      setWorkspaces(workspaces.map(w => (w.id === selected.id ? { ...w, memberCount: w.memberCount - 1 } : w)));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to remove member'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!confirming) return;
+    const { workspace, action } = confirming;
+    try {
+      setSaving(true);
+      setError('');
+      if (action === 'delete') {
+        await workspacesApi.delete(workspace.id);
+      } else if (user) {
+        await workspacesApi.removeMember(workspace.id, user.id);
+      }
+      setWorkspaces(workspaces.filter(w => w.id !== workspace.id));
+      if (selected?.id === workspace.id) setSelected(null);
+    } catch (err) {
+      setError(errorMessage(err, action === 'delete' ? 'Failed to delete workspace' : 'Failed to leave workspace'));
+    } finally {
+      setSaving(false);
+      setConfirming(null);
+    }
+  };
+
+  const isOwner = selected?.role === 'owner';
+
+  return (
+    <Box>
+      <Typography variant="h6" sx={{ mb: 2 }}>
+        Workspaces
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Share templates and folders with teammates. Viewers see them and their outputs, mergers also run merges,
+        editors change them, and owners delete them and manage the workspace.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      <form onSubmit={handleCreate}>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+          <TextField
+            size="small"
+            label="Workspace Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            disabled={saving}
+            slotProps={{ htmlInput: { maxLength: 100 } }}
+          />
+          <Button type="submit" variant="contained" disabled={saving || !name.trim()}>
+            Create Workspace
+          </Button>
+        </Box>
+      </form>
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : workspaces.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          You aren't in any workspaces yet.
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Your Role</TableCell>
+              <TableCell>Members</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {workspaces.map(workspace => (
+              <TableRow key={workspace.id} selected={selected?.id === workspace.id}>
+                <TableCell>{workspace.name}</TableCell>
+                <TableCell>{roleLabel(workspace.role)}</TableCell>
+                <TableCell>{workspace.memberCount}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" onClick={() => showMembers(workspace)} disabled={saving}>
+                    Members
+                  </Button>
+                  {workspace.role === 'owner' ? (
+                    <Button
+                      size="small"
+                      color="error"
+                      onClick={() => setConfirming({ workspace, action: 'delete' })}
+                      disabled={saving}
+                    >
+                      Delete
+                    </Button>
+                  ) : (
+                    <Button
+                      size="small"
+                      color="error"
+                      onClick={() => setConfirming({ workspace, action: 'leave' })}
+                      disabled={saving}
+                    >
+                      Leave
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {selected && (
+        <Box sx={{ mt: 3 }}>
+          <Typography variant="subtitle1" sx={{ mb: 1 }}>
+            Members of {selected.name}
+          </Typography>
+
+          {isOwner && (
+            <form onSubmit={handleAddMember}>
+              <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+                <TextField
+                  size="small"
+                  type="email"
+                  label="Email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  disabled={saving}
+                />
+                <TextField
+                  select
+                  size="small"
+                  label="Role"
+                  value={role}
+                  onChange={(e) => setRole(e.target.value as WorkspaceRole)}
+                  disabled={saving}
+                  sx={{ minWidth: 120 }}
+                >
+                  {ROLES.map(option => (
+                    <MenuItem key={option.role} value={option.role}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </TextField>
+                <Button type="submit" variant="outlined" disabled={saving || !email.trim()}>
+                  Add Member
+                </Button>
+              </Box>
+            </form>
+          )}
+
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Email</TableCell>
+                <TableCell>Role</TableCell>
+                {isOwner && <TableCell />}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {members.map(member => (
+                <TableRow key={member.userId}>
+                  <TableCell>{member.user.email}</TableCell>
+                  <TableCell>
+                    {isOwner ? (
+                      <TextField
+                        select
+                        size="small"
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member, e.target.value as WorkspaceRole)}
+                        disabled={saving}
+                        slotProps={{ htmlInput: { 'aria-label': `Role of ${member.user.email}` } }}
+                      >
+                        {ROLES.map(option => (
+                          <MenuItem key={option.role} value={option.role}>
+                            {option.label}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                    ) : (
+                      roleLabel(member.role)
+                    )}
+                  </TableCell>
+                  {isOwner && (
+                    <TableCell align="right">
+                      {member.userId !== user?.id && (
+                        <Button size="small" color="error" onClick={() => handleRemoveMember(member)} disabled={saving}>
+                          Remove
+                        </Button>
+                      )}
+                    </TableCell>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Box>
+      )}
+
+      <Dialog open={!!confirming} onClose={() => setConfirming(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{confirming?.action === 'delete' ? 'Delete Workspace' : 'Leave Workspace'}</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mt: 1 }}>
+            {confirming?.action === 'delete'
+              ? `"${confirming.workspace.name}" will be deleted for all its members. Its templates and folders become yours.`
+              : `You'll no longer see the templates and folders shared in "${confirming?.workspace.name}".`}
+          </Alert>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirming(null)}>Cancel</Button>
+          <Button color="error" onClick={handleConfirm} disabled={saving}>
+            {confirming?.action === 'delete' ? 'Delete' : 'Leave'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
@@ -22,8 +22,8 @@ import {
   DialogActions,
 } from '@mui/material';
 import { ArrowBack as BackIcon, CloudUpload as UploadIcon } from '@mui/icons-material';
-import { templatesApi } from '../api/client';
-import type { Template, OutputType, PageSize, Orientation } from '../types/api';
+import { templatesApi, workspacesApi } from '../api/client';
+import type { Template, OutputType, PageSize, Orientation, Workspace } from '../types/api';
 import VersionHistory from '../components/VersionHistory';
 
 // Map of template MIME types to allowed output types
@@ -35,6 +35,24 @@ const ALLOWED_OUTPUTS: Record<string, OutputType[]> = {
   'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['pptx', 'ppsx', 'pdf', 'jpg'], // PPTX
 };
 
+// Locales offered for value filters ({{amount | currency:"EUR"}}, {{dueDate | date:"MMMM d, yyyy"}})
+const LOCALES: { value: string; label: string }[] = [
+  { value: 'en-US', label: 'English (United States)' },
+  { value: 'en-GB', label: 'English (United Kingdom)' },
+  { value: 'en-CA', label: 'English (Canada)' },
+  { value: 'en-AU', label: 'English (Australia)' },
+  { value: 'fr-FR', label: 'French (France)' },
+  { value: 'fr-CA', label: 'French (Canada)' },
+  { value: 'de-DE', label: 'German (Germany)' },
+  { value: 'es-ES', label: 'Spanish (Spain)' },
+  { value: 'es-MX', label: 'Spanish (Mexico)' },
+  { value: 'it-IT', label: 'Italian (Italy)' },
+  { value: 'nl-NL', label: 'Dutch (Netherlands)' },
+  { value: 'pt-BR', label: 'Portuguese (Brazil)' },
+  { value: 'ja-JP', label: 'Japanese (Japan)' },
+  { value: 'zh-CN', label: 'Chinese (China)' },
+];
+
 export default function EditTemplate() {
   const { templateId } = useParams<{ templateId: string }>();
   const navigate = useNavigate();
@@ -51,6 +69,9 @@ export default function EditTemplate() {
   const [outputNameFormat, setOutputNameFormat] = useState('');
   const [pageSize, setPageSize] = useState<PageSize | ''>('');
   const [orientation, setOrientation] = useState<Orientation>('portrait');
+  const [locale, setLocale] = useState('');
+  const [workspaceId, setWorkspaceId] = useState('');  // '' keeps it private
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
   const [replacementFile, setReplacementFile] = useState<File | null>(null);
 
   useEffect(() => {
@@ -71,6 +92,11 @@ export default function EditTemplate() {
       setOutputNameFormat(data.outputNameFormat || '');
       setPageSize(data.pageSize || '');
       setOrientation(data.orientation || 'portrait');
+      setLocale(data.locale || '');
+      setWorkspaceId(data.workspaceId || '');
+
+      // Workspaces it can be shared with; the rest of the page works without them
+      workspacesApi.getAll().then(setWorkspaces).catch(() => setWorkspaces([]));
 
       setError('');
     } catch (err: any) {
@@ -143,9 +169,14 @@ export default function EditTemplate() {
         outputNameFormat: outputNameFormat || null,
         pageSize: pageSize || null,
         orientation: orientation || null,
+        locale: locale || null,
         file: replacementFile || undefined,
       });
 
+      if (workspaceId !== (template.workspaceId || '')) {
+        await templatesApi.setWorkspace(templateId, workspaceId || null);
+      }
+
       setSuccess('Template updated successfully!');
 
       // Navigate back to templates after a short delay
@@ -184,6 +215,13 @@ export default function EditTemplate() {
     setSuccess('Template reverted successfully!');
   };
 
+  // Only its owner moves a template between workspaces, into ones they may add to (editor or owner)
+  const currentWorkspace = workspaces.find((w) => w.id === template?.workspaceId);
+  const canShare = !template?.workspaceId || currentWorkspace?.role === 'owner';
+  const workspaceOptions = workspaces.filter(
+    (w) => w.id === template?.workspaceId || w.role === 'owner' || w.role === 'editor'
+  );
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
@@ -301,6 +339,42 @@ export default function EditTemplate() {
               </Select>
             </FormControl>
 
+            {/* Locale for formatted values */}
+            <FormControl fullWidth margin="normal" sx={{ mt: 2 }}>
+              <InputLabel>Locale</InputLabel>
+              <Select
+                value={locale}
+                label="Locale"
+                onChange={(e) => setLocale(e.target.value)}
+              >
+                <MenuItem value="">Default (English, United States)</MenuItem>
+                {/* keep a saved locale that isn't in the list selectable */}
+                {[...LOCALES, ...(locale && !LOCALES.some((l) => l.value === locale) ? [{ value: locale, label: locale }] : [])].map((l) => (
+                  <MenuItem key={l.value} value={l.value}>
+                    {l.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            {/* Workspace the template is shared with */}
+            <FormControl fullWidth margin="normal" sx={{ mt: 2 }} disabled={!canShare}>
+              <InputLabel id="workspace-label">Workspace</InputLabel>
+              <Select
+                labelId="workspace-label"
+                value={workspaceOptions.some((w) => w.id === workspaceId) ? workspaceId : ''}
+                label="Workspace"
+                onChange={(e) => setWorkspaceId(e.target.value)}
+              >
+                <MenuItem value="">Private (only you)</MenuItem>
+                {workspaceOptions.map((w) => (
+                  <MenuItem key={w.id} value={w.id}>
+                    {w.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
             {/* Output Filename */}
             <Box sx={{ mt: 2 }}>
               <Typography variant="caption" color="text.secondary" gutterBottom sx={{ mb: 1, display: 'block', ml: 1.75 }}>
@@ -12,10 +12,12 @@ import {
   AppBar,
   Toolbar,
   IconButton,
+  Divider,
 } from '@mui/material';
 import { ArrowBack as BackIcon } from '@mui/icons-material';
 import { templatesApi, mergeApi } from '../api/client';
-import type { Template, OutputType } from '../types/api';
+import ColumnMappingPanel from '../components/ColumnMappingPanel';
+import type { Template, OutputType, BulkMergeResponse } from '../types/api';
 
 // Map of template MIME types to allowed output types
 const ALLOWED_OUTPUTS: Record<string, OutputType[]> = {
@@ -153,6 +155,19 @@ export default function Merge() {
     }
   };
 
+  // Bulk merges land on Outputs, flagging rows that failed; a queued batch shows its progress there
+  const handleBulkMerged = (result: BulkMergeResponse) => {
+    if (result.batchJobId) {
+      navigate('/outputs', { state: { batchJobId: result.batchJobId } });
+      return;
+    }
+    const failedCount = result.errors?.length || 0;
+    const navState = failedCount > 0
+      ? { warning: `${failedCount} of ${result.count} rows failed to merge.` }
+      : undefined;
+    navigate('/outputs', { state: navState });
+  };
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
@@ -256,6 +271,18 @@ export default function Merge() {
               Test Merge downloads a watermarked document without saving to Outputs.
             </Typography>
           </Box>
+
+          <Divider sx={{ my: 4 }} />
+
+          <ColumnMappingPanel
+            templateId={template.id}
+            outputType={
+              template.defaultOutputType ||
+              (template.mimeType && ALLOWED_OUTPUTS[template.mimeType]?.[0]) ||
+              'pdf'
+            }
+            onMerged={handleBulkMerged}
+          />
         </Paper>
       </Container>
     </Box>
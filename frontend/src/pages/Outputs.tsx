@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import {
   Container,
@@ -33,7 +33,14 @@ import {
 } from '@mui/icons-material';
 import { useAuth } from '../context/SupabaseAuthContext';
 import { jobsApi, mergeApi } from '../api/client';
-import type { MergeJob } from '../types/api';
+import BatchJobProgress from '../components/BatchJobProgress';
+import type { BatchJobFinalState, BatchRowResult, MergeJob } from '../types/api';
+
+// How often outputs of a running batch merge are listed again while they come in
+const BATCH_REFRESH_MS = 2000;
+
+// Set by the pages that start merges
+type OutputsState = { warning?: string; batchJobId?: string } | null;
 
 export default function Outputs() {
   const navigate = useNavigate();
@@ -42,18 +49,25 @@ export default function Outputs() {
   const [jobs, setJobs] = useState<MergeJob[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [warning, setWarning] = useState((location.state as { warning?: string })?.warning || '');
+  const [warning, setWarning] = useState((location.state as OutputsState)?.warning || '');
+  // A queued batch merge still running, followed with a progress bar until it finishes
+  const [batchJobId, setBatchJobId] = useState((location.state as OutputsState)?.batchJobId || '');
+  const refreshTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
 
   const [deleteDialog, setDeleteDialog] = useState<{ jobId: number; templateName: string } | null>(null);
   const [deleting, setDeleting] = useState(false);
 
   useEffect(() => {
     loadJobs();
+    return () => {
+      if (refreshTimer.current) clearTimeout(refreshTimer.current);
+    };
   }, []);
 
-  const loadJobs = async () => {
+  // quiet keeps the table up while it's refreshed
+  const loadJobs = async ({ quiet = false } = {}) => {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       const data = await jobsApi.getAll();
       setJobs(data);
       setError('');
@@ -64,6 +78,33 @@ export default function Outputs() {
     }
   };
 
+  // New outputs of the batch merge show up every BATCH_REFRESH_MS rather than once per row
+  const handleBatchResult = (result: BatchRowResult) => {
+    if (!result.success || refreshTimer.current) return;
+    refreshTimer.current = setTimeout(() => {
+      refreshTimer.current = null;
+      loadJobs({ quiet: true });
+    }, BATCH_REFRESH_MS);
+  };
+
+  const handleBatchFinished = async (state: BatchJobFinalState) => {
+    setBatchJobId('');
+    if (refreshTimer.current) {
+      clearTimeout(refreshTimer.current);
+      refreshTimer.current = null;
+    }
+    // listed before reporting, as a successful load clears the error
+    await loadJobs({ quiet: true });
+
+    if (state.status === 'failed') {
+      setError(state.error || 'Batch merge failed');
+    } else if (state.status === 'cancelled') {
+      setWarning('Batch merge was cancelled');
+    } else if (state.failedRows > 0) {
+      setWarning(`${state.failedRows} of ${state.totalRows} rows failed to merge.`);
+    }
+  };
+
   const handleDownload = async (filePath: string) => {
     try {
       const cleanPath = filePath.replace(/^s3:\/\/[^/]+\//, '');
@@ -169,6 +210,13 @@ export default function Outputs() {
               {warning}
             </Alert>
           )}
+          {batchJobId && (
+            <BatchJobProgress
+              batchJobId={batchJobId}
+              onResult={handleBatchResult}
+              onFinished={handleBatchFinished}
+            />
+          )}
 
           {loading ? (
             <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
@@ -22,6 +22,10 @@ import { useAuth } from '../context/SupabaseAuthContext';
 import { authApi } from '../api/client';
 import PasswordCriteria, { validatePassword } from '../components/PasswordCriteria';
 import PasswordField from '../components/PasswordField';
+import WebhookEndpointsPanel from '../components/WebhookEndpointsPanel';
+import ApiKeysPanel from '../components/ApiKeysPanel';
+import WorkspacesPanel from '../components/WorkspacesPanel';
+import UsagePanel from '../components/UsagePanel';
 
 export default function Settings() {
   const navigate = useNavigate();
@@ -261,6 +265,26 @@ export default function Settings() {
               </Button>
             </form>
           </Box>
+
+          <Divider sx={{ my: 4 }} />
+
+          {/* Usage Section */}
+          <UsagePanel />
+
+          <Divider sx={{ my: 4 }} />
+
+          {/* Webhook Endpoints Section */}
+          <WebhookEndpointsPanel />
+
+          <Divider sx={{ my: 4 }} />
+
+          {/* API Keys Section */}
+          <ApiKeysPanel />
+
+          <Divider sx={{ my: 4 }} />
+
+          {/* Workspaces Section */}
+          <WorkspacesPanel />
         </Paper>
       </Container>
     </Box>
@@ -51,6 +51,9 @@ import {
 } from '../components/FolderDialogs';
 import { CreateNewFolder as CreateFolderIcon } from '@mui/icons-material';
 
+// Data files the bulk merge endpoint reads rows from
+const BULK_MERGE_EXTENSIONS = ['.csv', '.xlsx', '.json', '.ndjson', '.jsonl'];
+
 interface TemplateRowProps {
   template: Template;
   onEdit: (id: string) => void;
@@ -122,7 +125,7 @@ function TemplateRow({
                 <MergeIcon />
               </IconButton>
             </Tooltip>
-            <Tooltip title="Bulk Merge CSV">
+            <Tooltip title="Bulk Merge (CSV, XLSX, JSON)">
               <IconButton
                 size="small"
                 component="label"
@@ -132,7 +135,7 @@ function TemplateRow({
                 <input
                   type="file"
                   hidden
-                  accept=".csv"
+                  accept={BULK_MERGE_EXTENSIONS.join(',')}
                   onChange={(e) => onCsvMerge(template.id, e)}
                 />
               </IconButton>
@@ -242,8 +245,9 @@ export default function Templates() {
     if (!file) return;
 
     // Validate file type
-    if (!file.name.endsWith('.csv')) {
-      setError('Only CSV files are supported for bulk merge');
+    const name = file.name.toLowerCase();
+    if (!BULK_MERGE_EXTENSIONS.some(ext => name.endsWith(ext))) {
+      setError('Only CSV, XLSX, JSON and NDJSON files are supported for bulk merge');
       return;
     }
 
@@ -260,7 +264,7 @@ export default function Templates() {
 
       // Check for inline merge errors (≤10 rows)
       if (!result.batchJobId && result.jobs?.length === 0) {
-        setError('CSV merge failed — no rows were merged. Check that CSV columns match the template fields.');
+        setError('CSV merge failed — no rows were merged. Check that the file columns match the template fields.');
         window.scrollTo({ top: 0, behavior: 'smooth' });
         return;
       }
@@ -270,7 +274,8 @@ export default function Templates() {
         const pollInterval = 2000;
         let status = await batchJobsApi.getStatus(result.batchJobId);
 
-        while (status.status === 'pending' || status.status === 'processing') {
+        // a paused job is still waited on; it carries on once resumed
+        while (status.status === 'pending' || status.status === 'processing' || status.status === 'paused') {
           await new Promise(resolve => setTimeout(resolve, pollInterval));
           status = await batchJobsApi.getStatus(result.batchJobId);
         }
@@ -279,6 +284,10 @@ export default function Templates() {
           setError(status.error || 'Batch merge failed');
           return;
         }
+        if (status.status === 'cancelled') {
+          setError('Batch merge was cancelled');
+          return;
+        }
       }
 
       // Build navigation state with partial failure warning if applicable
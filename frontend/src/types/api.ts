@@ -25,9 +25,28 @@ export interface AuthResponse {
   user: User;
 }
 
+export type FieldType = 'string' | 'number' | 'date' | 'email' | 'enum' | 'boolean' | 'currency';
+
 export interface Field {
   id?: string;
   name: string;
+  type?: FieldType;
+  required?: boolean;
+  defaultValue?: string | number | boolean | null;
+  pattern?: string | null;
+  min?: number | null;
+  max?: number | null;
+  options?: string[];
+  description?: string | null;
+}
+
+// One problem with a merge value, as returned in FIELD_VALIDATION_ERROR details
+export interface FieldError {
+  field: string;
+  path: string;
+  code: 'required' | 'invalid_type' | 'invalid_option' | 'too_small' | 'too_large' | 'pattern';
+  message: string;
+  row?: number;
 }
 
 export interface Folder {
@@ -36,6 +55,7 @@ export interface Folder {
   parentId: string | null;
   depth: number;
   userId: string;
+  workspaceId?: string | null;  // Shared with a workspace's members when set
   createdAt: string;
   updatedAt: string;
   _count?: {
@@ -57,10 +77,12 @@ export interface Template {
   isActive?: boolean;
   folderId?: string | null;
   folder?: Folder | null;
+  workspaceId?: string | null;  // Shared with a workspace's members when set; private to its uploader otherwise
   defaultOutputType?: OutputType | null;
   outputNameFormat?: string | null;
   pageSize?: PageSize | null;
   orientation?: Orientation | null;
+  locale?: string | null;  // Locale for value filters like {{amount | currency:"EUR"}} (e.g. "de-DE"); en-US when unset
 }
 
 export interface TemplateVersion {
@@ -70,10 +92,7 @@ export interface TemplateVersion {
   mimeType: string;
   storageKey: string;
   createdAt: string;
-  fieldsSnapshot: Array<{
-    id: string;
-    name: string;
-  }>;
+  fieldsSnapshot: Field[];
 }
 
 export interface RevertResponse {
@@ -123,6 +142,7 @@ export interface BulkMergeResponse {
   errors?: Array<{
     rowIndex: number;
     error: string;
+    fieldErrors?: FieldError[];
   }>;
   // Fields present when batch job is queued (>10 rows)
   batchJobId?: string;
@@ -131,10 +151,67 @@ export interface BulkMergeResponse {
   message?: string;
 }
 
+// One rule of a CSV column mapping: how a template field is filled from the data file's columns
+export type ColumnMappingRule =
+  | { field: string; type: 'column'; column: string }
+  | { field: string; type: 'concat'; columns: string[]; separator?: string }
+  | { field: string; type: 'constant'; value: string | number | boolean }
+  | { field: string; type: 'split'; column: string; part: 'first' | 'last' };
+
+// A suggested rule; match tells how the column was found
+export type SuggestedMappingRule = ColumnMappingRule & {
+  match?: 'exact' | 'fuzzy' | 'name';
+  score?: number;
+};
+
+// A named mapping saved on a template
+export interface ColumnMapping {
+  id: string;
+  templateId: string;
+  name: string;
+  rules: ColumnMappingRule[];
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+// Options of a bulk merge or preview: rules sent with the file, or a saved mapping
+export interface CsvMergeOptions {
+  mapping?: ColumnMappingRule[];
+  mappingId?: string;
+}
+
+export interface MergePreviewResponse {
+  format: 'csv' | 'xlsx' | 'json' | 'ndjson';
+  headers: string[];
+  fields: Array<Pick<Field, 'name' | 'type' | 'required'>>;
+  suggestions: SuggestedMappingRule[];
+  mapping: SuggestedMappingRule[];  // The rules sent, or the suggestions when none were
+  unmappedFields: string[];
+  unusedColumns: string[];
+  missingColumns: string[];
+  sampleRows: Record<string, unknown>[];
+  mappedRows: Record<string, unknown>[];
+}
+
+// Result of a CSV merge dry run (?dryRun=true): which rows would fail, without merging anything
+export interface CsvDryRunReport {
+  dryRun: true;
+  totalRows: number;
+  validRows: number;
+  invalidRows: number;
+  unknownColumns: string[];  // File columns no template field uses
+  errors: Array<{
+    rowIndex: number;
+    error: string;
+    fieldErrors: FieldError[];
+    data: Record<string, unknown>;  // The row as read from the file
+  }>;
+}
+
 export interface BatchJobStatus {
   id: string;
   templateId: string;
-  status: 'pending' | 'processing' | 'succeeded' | 'failed';
+  status: 'ingesting' | 'pending' | 'processing' | 'paused' | 'completed' | 'failed' | 'cancelled';
   totalRows: number;
   processedRows: number;
   failedRows: number;
@@ -142,6 +219,165 @@ export interface BatchJobStatus {
   createdAt: string;
   startedAt?: string;
   completedAt?: string;
+  retryOfId?: string | null;  // Batch whose failed rows this one re-runs
+  retries?: Array<{ id: string; status: BatchJobStatus['status']; createdAt: string }>;
+}
+
+// One row's outcome in a batch job
+export interface BatchRowResult {
+  rowIndex: number;
+  sourceRowIndex?: number;  // Row of the original batch a retried row re-runs
+  success: boolean;
+  mergeJobId?: number;
+  filePath?: string;
+  error?: string;
+  fieldErrors?: FieldError[];
+}
+
+// Counters pushed by the batch job progress stream
+export interface BatchJobProgress {
+  status: BatchJobStatus['status'];
+  totalRows: number;
+  processedRows: number;
+  failedRows: number;
+}
+
+// Final state of a batch job, sent when its progress stream ends
+export interface BatchJobFinalState extends BatchJobProgress {
+  error: string | null;
+  bundlePath: string | null;
+  completedAt: string | null;
+}
+
+// Events of GET /api/batch-jobs/:id/events
+export type BatchJobEvent =
+  | { event: 'progress'; data: BatchJobProgress }
+  | { event: 'result'; id: number; data: BatchRowResult }
+  | { event: 'done'; data: BatchJobFinalState }
+  | { event: 'error'; data: { message: string } };
+
+// Corrected data for a failed row of a batch, by its row index
+export interface BatchRetryRow {
+  rowIndex: number;
+  data: Record<string, unknown>;
+}
+
+export interface BatchRetryResponse {
+  message: string;
+  batchJobId: string;
+  retryOf: string;
+  totalRows: number;
+  statusUrl: string;
+}
+
+// Result of pausing, resuming or cancelling a batch job
+export interface BatchJobChangeResponse {
+  message: string;
+  batchJobId: string;
+  status: BatchJobStatus['status'];
+  deletedOutputs?: number | null;  // Cancel with deleteOutputs; null while the running job deletes them
+}
+
+// An inbound webhook URL for one of the user's templates (GET /api/webhook-endpoints)
+export interface WebhookEndpoint {
+  id: string;
+  name: string;
+  templateId: string;
+  templateName: string | null;
+  url: string;  // Path requests are signed and sent to
+  requireTimestamp: boolean;  // Only accepts requests signed with X-Webhook-Timestamp and X-Webhook-Nonce
+  secretHint: string;  // Last characters of the current secret
+  rotatingUntil: string | null;  // The secret replaced by the last rotation still works until then
+  lastUsedAt: string | null;
+  createdAt: string;
+}
+
+// Returned by create and rotate, the only time the secret is shown
+export interface WebhookEndpointWithSecret extends WebhookEndpoint {
+  secret: string;
+}
+
+export interface CreateWebhookEndpointRequest {
+  templateId: string;
+  name: string;
+  requireTimestamp?: boolean;
+}
+
+// What a personal API key may be allowed to do
+export type ApiKeyScope = 'templates:read' | 'merge:write' | 'outputs:read';
+
+// A personal API key (GET /api/api-keys), sent as X-API-Key or as the bearer token
+export interface ApiKey {
+  id: string;
+  name: string;
+  prefix: string;  // Start of the key, to tell keys apart
+  scopes: ApiKeyScope[];
+  expiresAt: string | null;  // Never expires when null
+  lastUsedAt: string | null;
+  createdAt: string;
+}
+
+// Returned by create, the only time the key is shown
+export interface ApiKeyWithSecret extends ApiKey {
+  key: string;
+}
+
+export interface CreateApiKeyRequest {
+  name: string;
+  scopes: ApiKeyScope[];
+  expiresInDays?: number | null;
+}
+
+// What a workspace member may do, each role allowing what the ones after it do:
+// owner manages the workspace and deletes templates, editor changes templates and folders, merger merges, viewer sees
+export type WorkspaceRole = 'owner' | 'editor' | 'merger' | 'viewer';
+
+// A workspace the user is a member of (GET /api/workspaces)
+export interface Workspace {
+  id: string;
+  name: string;
+  role: WorkspaceRole;  // The user's own role
+  memberCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WorkspaceMember {
+  workspaceId: string;
+  userId: string;
+  role: WorkspaceRole;
+  createdAt: string;
+  user: {
+    id: string;
+    email: string;
+    firstName: string | null;
+    lastName: string | null;
+  };
+}
+
+// A quota's use and limit; a limit of null is unlimited
+export interface QuotaUsage {
+  used: number;
+  limit: number | null;
+}
+
+// The user's usage against their quotas (GET /api/usage); the monthly quotas start over at periodEnd
+export interface Usage {
+  quotas: {
+    templates: QuotaUsage;
+    storageBytes: QuotaUsage;
+    mergesPerMonth: QuotaUsage;
+    batchRowsPerMonth: QuotaUsage;
+  };
+  storage: {
+    templates: number;
+    versions: number;
+    assets: number;
+    outputs: number;
+    total: number;
+  };
+  periodStart: string;
+  periodEnd: string;
 }
 
 export interface ErrorResponse {
@@ -1,7 +1,7 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import axios from 'axios';
 import MockAdapter from 'axios-mock-adapter';
-import apiClient, { authApi, templatesApi, mergeApi, jobsApi, foldersApi, batchJobsApi } from '../../src/api/client';
+import apiClient, { authApi, templatesApi, mergeApi, jobsApi, foldersApi, batchJobsApi, webhookEndpointsApi, apiKeysApi, workspacesApi, usageApi } from '../../src/api/client';
 
 // Mock Supabase - must create mock inside factory to avoid hoisting issues
 vi.mock('../../src/config/supabase', () => ({
@@ -437,6 +437,19 @@ describe('API Client', () => {
 
       expect(result).toBeInstanceOf(Blob);
     });
+    it('should manage saved column mappings', async () => {
+      const rules = [{ field: 'total', type: 'column' as const, column: 'Amount' }];
+      const mapping = { id: 'm1', templateId: '1', name: 'CRM export', rules };
+      mock.onGet('/api/templates/1/mappings').reply(200, [mapping]);
+      mock.onPost('/api/templates/1/mappings', { name: 'CRM export', rules }).reply(201, mapping);
+      mock.onPut('/api/templates/1/mappings/m1', { name: 'CRM v2', rules }).reply(200, { ...mapping, name: 'CRM v2' });
+      mock.onDelete('/api/templates/1/mappings/m1').reply(204);
+
+      expect(await templatesApi.getMappings('1')).toEqual([mapping]);
+      expect(await templatesApi.createMapping('1', { name: 'CRM export', rules })).toEqual(mapping);
+      expect((await templatesApi.updateMapping('1', 'm1', { name: 'CRM v2', rules })).name).toBe('CRM v2');
+      await expect(templatesApi.deleteMapping('1', 'm1')).resolves.toBeUndefined();
+    });
   });
 
   describe('mergeApi', () => {
@@ -523,6 +536,49 @@ describe('API Client', () => {
       expect(result).toEqual(mockResponse);
     });
 
+    it('should send column mapping rules with a CSV merge', async () => {
+      const mockCsvFile = new File(['Amount\n12'], 'test.csv', { type: 'text/csv' });
+      const mapping = [{ field: 'total', type: 'column' as const, column: 'Amount' }];
+
+      mock.onPost('/api/templates/template1/merge-csv').reply((config) => {
+        expect(config.data.get('mapping')).toBe(JSON.stringify(mapping));
+        expect(config.data.get('mappingId')).toBeNull();
+        return [200, { count: 1, jobs: [] }];
+      });
+
+      await mergeApi.mergeCsv('template1', mockCsvFile, 'pdf', { mapping });
+    });
+
+    it('should validate a CSV as a dry run', async () => {
+      const mockCsvFile = new File(['name\nAda'], 'test.csv', { type: 'text/csv' });
+      const mockReport = { dryRun: true, totalRows: 1, validRows: 1, invalidRows: 0, unknownColumns: [], errors: [] };
+
+      mock.onPost('/api/templates/template1/merge-csv').reply((config) => {
+        expect(config.params).toEqual({ dryRun: true });
+        expect(config.data.get('outputType')).toBe('pdf');
+        return [200, mockReport];
+      });
+
+      const result = await mergeApi.validateCsv('template1', mockCsvFile, 'pdf');
+
+      expect(result).toEqual(mockReport);
+    });
+
+    it('should preview a CSV with a saved mapping', async () => {
+      const mockCsvFile = new File(['Amount\n12'], 'test.csv', { type: 'text/csv' });
+      const mockPreview = { format: 'csv', headers: ['Amount'], mappedRows: [{ Amount: '12', total: '12' }] };
+
+      mock.onPost('/api/templates/template1/merge-csv/preview').reply((config) => {
+        expect(config.data.get('mappingId')).toBe('m1');
+        expect(config.data.get('outputType')).toBeNull();
+        return [200, mockPreview];
+      });
+
+      const result = await mergeApi.previewCsv('template1', mockCsvFile, { mappingId: 'm1' });
+
+      expect(result).toEqual(mockPreview);
+    });
+
     it('should download output', async () => {
       const mockBlob = new Blob(['output content'], { type: 'application/pdf' });
 
@@ -638,6 +694,111 @@ describe('API Client', () => {
 
       expect(result).toEqual(mockStatus);
     });
+
+    it('should retry the failed rows of a batch job with corrections', async () => {
+      const mockResponse = {
+        message: 'Batch job retry queued for processing',
+        batchJobId: 'batch-2',
+        retryOf: 'batch-1',
+        totalRows: 2,
+        statusUrl: '/api/batch-jobs/batch-2',
+      };
+      const rows = [{ rowIndex: 4, data: { email: 'ada@example.com' } }];
+      mock.onPost('/api/batch-jobs/batch-1/retry').reply(200, mockResponse);
+
+      const result = await batchJobsApi.retry('batch-1', rows);
+
+      expect(result).toEqual(mockResponse);
+      expect(JSON.parse(mock.history.post[0].data)).toEqual({ rows });
+    });
+
+    it('should pause and resume a batch job', async () => {
+      mock.onPost('/api/batch-jobs/batch-1/pause').reply(200, { batchJobId: 'batch-1', status: 'paused' });
+      mock.onPost('/api/batch-jobs/batch-1/resume').reply(200, { batchJobId: 'batch-1', status: 'pending' });
+
+      expect((await batchJobsApi.pause('batch-1')).status).toBe('paused');
+      expect((await batchJobsApi.resume('batch-1')).status).toBe('pending');
+    });
+
+    it('should cancel a batch job, deleting its outputs when asked', async () => {
+      mock.onPost('/api/batch-jobs/batch-1/cancel').reply(200, {
+        batchJobId: 'batch-1',
+        status: 'cancelled',
+        deletedOutputs: 3,
+      });
+
+      const result = await batchJobsApi.cancel('batch-1', true);
+
+      expect(result.deletedOutputs).toBe(3);
+      expect(JSON.parse(mock.history.post[0].data)).toEqual({ deleteOutputs: true });
+    });
+
+    describe('watch', () => {
+      // A fetch response whose body arrives in the given pieces
+      const streamResponse = (pieces: string[], status = 200) => {
+        const encoder = new TextEncoder();
+        const chunks = pieces.map(piece => encoder.encode(piece));
+        return {
+          ok: status < 400,
+          status,
+          body: {
+            getReader: () => ({
+              read: async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true, value: undefined }),
+            }),
+          },
+        };
+      };
+
+      afterEach(() => {
+        vi.unstubAllGlobals();
+      });
+
+      it('should read progress events sent with the session token until done', async () => {
+        vi.mocked(supabase.auth.getSession).mockResolvedValue({
+          data: { session: mockSession },
+          error: null,
+        });
+        const fetchMock = vi.fn().mockResolvedValue(streamResponse([
+          'event: progress\ndata: {"status":"processing","totalRows":2,"processedRows":1,"failedRows":0}\n\n: keep-',
+          'alive\n\nid: 0\nevent: result\ndata: {"rowIndex":0,"success":true}\n',
+          '\nevent: done\ndata: {"status":"completed","totalRows":2,"processedRows":2,"failedRows":0}\n\n',
+        ]));
+        vi.stubGlobal('fetch', fetchMock);
+        const events: unknown[] = [];
+
+        await batchJobsApi.watch('batch-1', event => events.push(event), { afterRow: 4 });
+
+        expect(events).toEqual([
+          { event: 'progress', data: { status: 'processing', totalRows: 2, processedRows: 1, failedRows: 0 } },
+          { event: 'result', id: 0, data: { rowIndex: 0, success: true } },
+          { event: 'done', data: { status: 'completed', totalRows: 2, processedRows: 2, failedRows: 0 } },
+        ]);
+        expect(fetchMock).toHaveBeenCalledWith('/api/batch-jobs/batch-1/events', {
+          headers: {
+            Accept: 'text/event-stream',
+            Authorization: 'Bearer test-access-token',
+            'Last-Event-ID': '4',
+          },
+          signal: undefined,
+        });
+      });
+
+      it('should reject when the stream ends before the job finishes', async () => {
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([
+          'event: progress\ndata: {"status":"processing","totalRows":2,"processedRows":1,"failedRows":0}\n\n',
+        ])));
+
+        await expect(batchJobsApi.watch('batch-1', () => {})).rejects.toThrow(
+          'Progress stream ended before the batch job finished'
+        );
+      });
+
+      it('should reject when the stream cannot be opened', async () => {
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamResponse([], 404)));
+
+        await expect(batchJobsApi.watch('batch-1', () => {})).rejects.toThrow('Progress stream failed with status 404');
+      });
+    });
   });
 
   describe('Error Handling', () => {
@@ -665,4 +826,92 @@ describe('API Client', () => {
       await expect(apiClient.get('/api/test')).rejects.toThrow();
     });
   });
+
+  describe('webhookEndpointsApi', () => {
+    it('should create a webhook endpoint', async () => {
+      const mockEndpoint = { id: 'endpoint-1', name: 'CRM', secret: 'whsec_new' };
+      mock.onPost('/api/webhook-endpoints').reply(201, mockEndpoint);
+
+      const result = await webhookEndpointsApi.create({ templateId: 'template-1', name: 'CRM' });
+
+      expect(result).toEqual(mockEndpoint);
+      expect(JSON.parse(mock.history.post[0].data)).toEqual({ templateId: 'template-1', name: 'CRM' });
+    });
+
+    it('should rotate a webhook endpoint secret with an overlap', async () => {
+      mock.onPost('/api/webhook-endpoints/endpoint-1/rotate').reply(200, { id: 'endpoint-1', secret: 'whsec_rotated' });
+
+      const result = await webhookEndpointsApi.rotate('endpoint-1', 0);
+
+      expect(result.secret).toBe('whsec_rotated');
+      expect(JSON.parse(mock.history.post[0].data)).toEqual({ overlapMinutes: 0 });
+    });
+
+    it('should revoke a webhook endpoint', async () => {
+      mock.onDelete('/api/webhook-endpoints/endpoint-1').reply(204);
+
+      await webhookEndpointsApi.revoke('endpoint-1');
+
+      expect(mock.history.delete).toHaveLength(1);
+    });
+  });
+
+  describe('apiKeysApi', () => {
+    it('should create an API key', async () => {
+      const mockKey = { id: 'key-1', name: 'Zapier', key: 'sdk_0a1b2c3d_secret' };
+      mock.onPost('/api/api-keys').reply(201, mockKey);
+
+      const result = await apiKeysApi.create({ name: 'Zapier', scopes: ['merge:write'], expiresInDays: 30 });
+
+      expect(result).toEqual(mockKey);
+      expect(JSON.parse(mock.history.post[0].data)).toEqual({ name: 'Zapier', scopes: ['merge:write'], expiresInDays: 30 });
+    });
+
+    it('should revoke an API key', async () => {
+      mock.onDelete('/api/api-keys/key-1').reply(204);
+
+      await apiKeysApi.revoke('key-1');
+
+      expect(mock.history.delete).toHaveLength(1);
+    });
+  });
+
+  describe('workspacesApi', () => {
+    it('should add a member by email with a role', async () => {
+      const mockMember = { workspaceId: 'ws-1', userId: 'user-2', role: 'merger' };
+      mock.onPost('/api/workspaces/ws-1/members').reply(201, mockMember);
+
+      const result = await workspacesApi.addMember('ws-1', { email: 'sam@example.com', role: 'merger' });
+
+      expect(result).toEqual(mockMember);
+      expect(JSON.parse(mock.history.post[0].data)).toEqual({ email: 'sam@example.com', role: 'merger' });
+    });
+
+    it('should change a member\'s role', async () => {
+      mock.onPut('/api/workspaces/ws-1/members/user-2').reply(200, { role: 'editor' });
+
+      await workspacesApi.updateMember('ws-1', 'user-2', { role: 'editor' });
+
+      expect(JSON.parse(mock.history.put[0].data)).toEqual({ role: 'editor' });
+    });
+
+    it('should make a template private by sending a null workspace', async () => {
+      mock.onPut('/api/templates/template-1/workspace').reply(200, { id: 'template-1', workspaceId: null });
+
+      await templatesApi.setWorkspace('template-1', null);
+
+      expect(JSON.parse(mock.history.put[0].data)).toEqual({ workspaceId: null });
+    });
+  });
+
+  describe('usageApi', () => {
+    it('should fetch the user\'s usage', async () => {
+      const mockUsage = { quotas: { templates: { used: 3, limit: 200 } }, periodEnd: '2026-11-01T00:00:00.000Z' };
+      mock.onGet('/api/usage').reply(200, mockUsage);
+
+      const result = await usageApi.get();
+
+      expect(result).toEqual(mockUsage);
+    });
+  });
 });
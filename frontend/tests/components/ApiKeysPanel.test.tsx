@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import ApiKeysPanel from '../../src/components/ApiKeysPanel';
+import { apiKeysApi } from '../../src/api/client';
+import type { ApiKey } from '../../src/types/api';
+
+// Mock the API client
+vi.mock('../../src/api/client', () => ({
+  apiKeysApi: {
+    getAll: vi.fn(),
+    create: vi.fn(),
+    revoke: vi.fn(),
+  },
+}));
+
+const mockApiKey: ApiKey = {
+  id: 'key-1',
+  name: 'Zapier',
+  prefix: 'sdk_0a1b2c3d',
+  scopes: ['merge:write', 'outputs:read'],
+  expiresAt: null,
+  lastUsedAt: null,
+  createdAt: '2026-10-19T12:00:00.000Z',
+};
+
+describe('ApiKeysPanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(apiKeysApi.getAll).mockResolvedValue([mockApiKey]);
+  });
+
+  const renderLoaded = async () => {
+    render(<ApiKeysPanel />);
+    await waitFor(() => {
+      expect(screen.getByText('Zapier')).toBeInTheDocument();
+    });
+  };
+
+  it('should list the keys by their prefix', async () => {
+    await renderLoaded();
+
+    expect(screen.getByText('sdk_0a1b2c3d…')).toBeInTheDocument();
+    expect(screen.getByText('merge:write, outputs:read')).toBeInTheDocument();
+    expect(screen.getAllByText('Never')).toHaveLength(2);
+  });
+
+  it('should mark an expired key', async () => {
+    vi.mocked(apiKeysApi.getAll).mockResolvedValue([{ ...mockApiKey, expiresAt: '2020-01-01T00:00:00.000Z' }]);
+
+    await renderLoaded();
+
+    expect(screen.getByText('Expired')).toBeInTheDocument();
+  });
+
+  it('should create a key with the chosen scopes and show it once', async () => {
+    vi.mocked(apiKeysApi.create).mockResolvedValue({
+      ...mockApiKey,
+      id: 'key-2',
+      name: 'Reports',
+      scopes: ['merge:write', 'templates:read'],
+      key: 'sdk_9f8e7d6c_new-key',
+    });
+    await renderLoaded();
+
+    fireEvent.change(screen.getByLabelText('Key Name'), { target: { value: ' Reports ' } });
+    fireEvent.click(screen.getByLabelText('Read templates'));
+    fireEvent.mouseDown(screen.getByLabelText('Expires'));
+    fireEvent.click(await screen.findByRole('option', { name: 'Never' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Create Key' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('sdk_9f8e7d6c_new-key')).toBeInTheDocument();
+    });
+    expect(apiKeysApi.create).toHaveBeenCalledWith({
+      name: 'Reports',
+      scopes: ['merge:write', 'templates:read'],
+      expiresInDays: null,
+    });
+    expect(screen.getByText('Reports')).toBeInTheDocument();
+  });
+
+  it('should keep create disabled without a scope', async () => {
+    await renderLoaded();
+
+    fireEvent.change(screen.getByLabelText('Key Name'), { target: { value: 'Reports' } });
+    expect(screen.getByRole('button', { name: 'Create Key' })).toBeEnabled();
+
+    fireEvent.click(screen.getByLabelText('Run merges and batch jobs'));
+    expect(screen.getByRole('button', { name: 'Create Key' })).toBeDisabled();
+  });
+
+  it('should revoke a key after confirming', async () => {
+    vi.mocked(apiKeysApi.revoke).mockResolvedValue();
+    await renderLoaded();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Revoke' }));
+    const dialog = await screen.findByRole('dialog');
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Revoke' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('No API keys yet.')).toBeInTheDocument();
+    });
+    expect(apiKeysApi.revoke).toHaveBeenCalledWith('key-1');
+  });
+
+  it('should show the error when a key can\'t be created', async () => {
+    vi.mocked(apiKeysApi.create).mockRejectedValue({
+      response: { status: 409, data: { error: { code: 'CONFLICT', message: 'You can have at most 25 API keys; revoke one first' } } },
+    });
+    await renderLoaded();
+
+    fireEvent.change(screen.getByLabelText('Key Name'), { target: { value: 'Reports' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create Key' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('You can have at most 25 API keys; revoke one first')).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import BatchJobProgress from '../../src/components/BatchJobProgress';
+import { batchJobsApi } from '../../src/api/client';
+import type { BatchJobEvent } from '../../src/types/api';
+
+// Mock the API client
+vi.mock('../../src/api/client', () => ({
+  batchJobsApi: {
+    watch: vi.fn(),
+  },
+}));
+
+const finalState = {
+  status: 'completed' as const,
+  totalRows: 4,
+  processedRows: 4,
+  failedRows: 1,
+  error: null,
+  bundlePath: null,
+  completedAt: '2026-10-19T12:00:00.000Z',
+};
+
+describe('BatchJobProgress', () => {
+  // Events of the stream the component opened last, sent once the test asks
+  let emit: (event: BatchJobEvent) => void;
+  let finish: (err?: Error) => void;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(batchJobsApi.watch).mockImplementation((_id, onEvent) => {
+      emit = (event) => act(() => onEvent(event));
+      return new Promise<void>((resolve, reject) => {
+        finish = (err) => (err ? reject(err) : resolve());
+      });
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should show the rows merged so far', async () => {
+    render(<BatchJobProgress batchJobId="batch-1" />);
+    expect(screen.getByText('Connecting...')).toBeInTheDocument();
+    await waitFor(() => expect(batchJobsApi.watch).toHaveBeenCalled());
+
+    emit({ event: 'progress', data: { status: 'processing', totalRows: 4, processedRows: 1, failedRows: 1 } });
+
+    expect(screen.getByText('1 of 4 rows merged, 1 failed')).toBeInTheDocument();
+    expect(screen.getByText('25%')).toBeInTheDocument();
+    expect(screen.getByRole('progressbar', { name: 'Batch merge progress' })).toHaveAttribute('aria-valuenow', '25');
+  });
+
+  it('should say when the merge is paused', async () => {
+    render(<BatchJobProgress batchJobId="batch-1" />);
+    await waitFor(() => expect(batchJobsApi.watch).toHaveBeenCalled());
+
+    emit({ event: 'progress', data: { status: 'paused', totalRows: 4, processedRows: 2, failedRows: 0 } });
+
+    expect(screen.getByText('Paused')).toBeInTheDocument();
+  });
+
+  it('should pass on row results and the final state', async () => {
+    const onResult = vi.fn();
+    const onFinished = vi.fn();
+    render(<BatchJobProgress batchJobId="batch-1" onResult={onResult} onFinished={onFinished} />);
+    await waitFor(() => expect(batchJobsApi.watch).toHaveBeenCalled());
+
+    emit({ event: 'result', id: 0, data: { rowIndex: 0, success: true, mergeJobId: 7 } });
+    emit({ event: 'done', data: finalState });
+
+    expect(onResult).toHaveBeenCalledWith({ rowIndex: 0, success: true, mergeJobId: 7 });
+    expect(onFinished).toHaveBeenCalledWith(finalState);
+    expect(screen.getByText('4 of 4 rows merged, 1 failed')).toBeInTheDocument();
+  });
+
+  it('should reconnect after the last row received when the stream drops', async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    render(<BatchJobProgress batchJobId="batch-1" />);
+    await waitFor(() => expect(batchJobsApi.watch).toHaveBeenCalledTimes(1));
+
+    emit({ event: 'result', id: 3, data: { rowIndex: 3, success: true } });
+    await act(async () => finish(new Error('network error')));
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(2000);
+    });
+
+    expect(batchJobsApi.watch).toHaveBeenCalledTimes(2);
+    expect(vi.mocked(batchJobsApi.watch).mock.calls[1][2]).toMatchObject({ afterRow: 3 });
+  });
+
+  it('should stop following the job when unmounted', async () => {
+    const { unmount } = render(<BatchJobProgress batchJobId="batch-1" />);
+    await waitFor(() => expect(batchJobsApi.watch).toHaveBeenCalled());
+    const { signal } = vi.mocked(batchJobsApi.watch).mock.calls[0][2]!;
+
+    unmount();
+
+    expect(signal?.aborted).toBe(true);
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import ColumnMappingPanel from '../../src/components/ColumnMappingPanel';
+import { templatesApi, mergeApi } from '../../src/api/client';
+import type { ColumnMappingRule, MergePreviewResponse } from '../../src/types/api';
+
+// Mock the API client
+vi.mock('../../src/api/client', () => ({
+  templatesApi: {
+    getMappings: vi.fn(),
+    createMapping: vi.fn(),
+    updateMapping: vi.fn(),
+  },
+  mergeApi: {
+    previewCsv: vi.fn(),
+    validateCsv: vi.fn(),
+    mergeCsv: vi.fn(),
+  },
+}));
+
+const mockPreview: MergePreviewResponse = {
+  format: 'csv',
+  headers: ['Full Name', 'E-Mail', 'Amount'],
+  fields: [
+    { name: 'firstName', type: 'string', required: true },
+    { name: 'email', type: 'email', required: true },
+    { name: 'total', type: 'number', required: false },
+  ],
+  suggestions: [
+    { field: 'firstName', type: 'split', column: 'Full Name', part: 'first', match: 'name' },
+    { field: 'email', type: 'column', column: 'E-Mail', match: 'exact', score: 1 },
+  ],
+  mapping: [
+    { field: 'firstName', type: 'split', column: 'Full Name', part: 'first', match: 'name' },
+    { field: 'email', type: 'column', column: 'E-Mail', match: 'exact', score: 1 },
+  ],
+  unmappedFields: ['total'],
+  unusedColumns: ['Amount'],
+  missingColumns: [],
+  sampleRows: [{ 'Full Name': 'Ada Lovelace', 'E-Mail': 'ada@example.com', Amount: '12' }],
+  mappedRows: [
+    { 'Full Name': 'Ada Lovelace', 'E-Mail': 'ada@example.com', Amount: '12', firstName: 'Ada', email: 'ada@example.com' },
+  ],
+};
+
+const suggestedRules: ColumnMappingRule[] = [
+  { field: 'firstName', type: 'split', column: 'Full Name', part: 'first' },
+  { field: 'email', type: 'column', column: 'E-Mail' },
+];
+
+const dataFile = new File(['Full Name,E-Mail,Amount\nAda Lovelace,ada@example.com,12'], 'people.csv', {
+  type: 'text/csv',
+});
+
+describe('ColumnMappingPanel', () => {
+  const defaultProps = {
+    templateId: 'template-1',
+    outputType: 'pdf' as const,
+    onMerged: vi.fn(),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(templatesApi.getMappings).mockResolvedValue([]);
+    vi.mocked(mergeApi.previewCsv).mockResolvedValue(mockPreview);
+  });
+
+  const uploadFile = async (file: File = dataFile) => {
+    fireEvent.change(screen.getByTestId('data-file-input'), { target: { files: [file] } });
+  };
+
+  it('should preview a file with the suggested mapping', async () => {
+    render(<ColumnMappingPanel {...defaultProps} />);
+
+    await uploadFile();
+
+    await waitFor(() => {
+      expect(screen.getByText('First name of Full Name')).toBeInTheDocument();
+    });
+    expect(mergeApi.previewCsv).toHaveBeenCalledWith('template-1', dataFile, undefined);
+    expect(screen.getByText('Ada')).toBeInTheDocument();
+    expect(screen.getByText('Not filled from the file: total')).toBeInTheDocument();
+  });
+
+  it('should reject unsupported files', async () => {
+    render(<ColumnMappingPanel {...defaultProps} />);
+
+    await uploadFile(new File(['x'], 'notes.txt', { type: 'text/plain' }));
+
+    expect(await screen.findByText('Only CSV, XLSX, JSON and NDJSON files are supported for bulk merge')).toBeInTheDocument();
+    expect(mergeApi.previewCsv).not.toHaveBeenCalled();
+  });
+
+  it('should preview again when a field is mapped to another column', async () => {
+    render(<ColumnMappingPanel {...defaultProps} />);
+    await uploadFile();
+    await screen.findByText('First name of Full Name');
+
+    fireEvent.mouseDown(screen.getAllByRole('combobox')[3]);
+    fireEvent.click(within(screen.getByRole('listbox')).getByText('Amount'));
+
+    await waitFor(() => {
+      expect(mergeApi.previewCsv).toHaveBeenLastCalledWith('template-1', dataFile, {
+        mapping: [...suggestedRules, { field: 'total', type: 'column', column: 'Amount' }],
+      });
+    });
+  });
+
+  it('should save the mapping under a name', async () => {
+    vi.mocked(templatesApi.createMapping).mockResolvedValue({
+      id: 'mapping-1',
+      templateId: 'template-1',
+      name: 'CRM export',
+      rules: suggestedRules,
+    });
+    render(<ColumnMappingPanel {...defaultProps} />);
+    await uploadFile();
+    await screen.findByText('First name of Full Name');
+
+    fireEvent.change(screen.getByLabelText('Mapping name'), { target: { value: 'CRM export' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Mapping' }));
+
+    await waitFor(() => {
+      expect(templatesApi.createMapping).toHaveBeenCalledWith('template-1', {
+        name: 'CRM export',
+        rules: suggestedRules,
+      });
+    });
+    expect(await screen.findByText('Mapping "CRM export" saved')).toBeInTheDocument();
+  });
+
+  it('should preview with a saved mapping', async () => {
+    const savedRules = [{ field: 'total', type: 'column' as const, column: 'Amount' }];
+    vi.mocked(templatesApi.getMappings).mockResolvedValue([
+      { id: 'mapping-1', templateId: 'template-1', name: 'CRM export', rules: savedRules },
+    ]);
+    render(<ColumnMappingPanel {...defaultProps} />);
+    await waitFor(() => expect(templatesApi.getMappings).toHaveBeenCalledWith('template-1'));
+    await uploadFile();
+    await screen.findByText('First name of Full Name');
+
+    fireEvent.mouseDown(screen.getAllByRole('combobox')[0]);
+    fireEvent.click(await screen.findByRole('option', { name: 'CRM export' }));
+
+    await waitFor(() => {
+      expect(mergeApi.previewCsv).toHaveBeenLastCalledWith('template-1', dataFile, { mapping: savedRules });
+    });
+    expect(screen.getByRole('button', { name: 'Update Mapping' })).toBeInTheDocument();
+  });
+
+  it('should merge every row with the mapping', async () => {
+    const result = { count: 1, jobs: [{ filePath: 's3://bucket/outputs/a.pdf' }] };
+    vi.mocked(mergeApi.mergeCsv).mockResolvedValue(result);
+    render(<ColumnMappingPanel {...defaultProps} />);
+    await uploadFile();
+    await screen.findByText('First name of Full Name');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Merge All Rows' }));
+
+    await waitFor(() => {
+      expect(defaultProps.onMerged).toHaveBeenCalledWith(result);
+    });
+    expect(mergeApi.mergeCsv).toHaveBeenCalledWith('template-1', dataFile, 'pdf', { mapping: suggestedRules });
+  });
+
+  it('should check every row with the mapping and show the report', async () => {
+    vi.mocked(mergeApi.validateCsv).mockResolvedValue({
+      dryRun: true,
+      totalRows: 900,
+      validRows: 899,
+      invalidRows: 1,
+      unknownColumns: [],
+      errors: [
+        {
+          rowIndex: 12,
+          error: 'email is required',
+          fieldErrors: [{ field: 'email', path: 'email', code: 'required', message: 'email is required' }],
+          data: { 'Full Name': 'Bob Jones', 'E-Mail': '' },
+        },
+      ],
+    });
+    render(<ColumnMappingPanel {...defaultProps} />);
+    await uploadFile();
+    await screen.findByText('First name of Full Name');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Check Rows' }));
+
+    expect(await screen.findByText('1 of 900 rows would fail to merge.')).toBeInTheDocument();
+    expect(screen.getByText('email is required')).toBeInTheDocument();
+    expect(mergeApi.validateCsv).toHaveBeenCalledWith('template-1', dataFile, 'pdf', { mapping: suggestedRules });
+    expect(mergeApi.mergeCsv).not.toHaveBeenCalled();
+  });
+
+  it('should block the merge when the file lacks mapped columns', async () => {
+    vi.mocked(mergeApi.previewCsv).mockResolvedValue({ ...mockPreview, missingColumns: ['Full Name'] });
+    render(<ColumnMappingPanel {...defaultProps} />);
+    await uploadFile();
+
+    expect(await screen.findByText(/The file has no column\s+Full Name/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Merge All Rows' })).toBeDisabled();
+  });
+
+  it('should show preview errors', async () => {
+    vi.mocked(mergeApi.previewCsv).mockRejectedValue({
+      response: { status: 400, data: { error: { code: 'INVALID_FORMAT', message: 'Invalid CSV format' } } },
+    });
+    render(<ColumnMappingPanel {...defaultProps} />);
+    await uploadFile();
+
+    expect(await screen.findByText('Invalid CSV format')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import DryRunReport from '../../src/components/DryRunReport';
+import type { CsvDryRunReport } from '../../src/types/api';
+
+const failingReport: CsvDryRunReport = {
+  dryRun: true,
+  totalRows: 900,
+  validRows: 898,
+  invalidRows: 2,
+  unknownColumns: ['notes'],
+  errors: [
+    {
+      rowIndex: 3,
+      error: 'name is required; email must be an email address',
+      fieldErrors: [
+        { field: 'name', path: 'name', code: 'required', message: 'name is required' },
+        { field: 'email', path: 'email', code: 'invalid_type', message: 'email must be an email address' },
+      ],
+      data: { name: '', email: 'bob@example', notes: 'says "hi", twice' },
+    },
+    {
+      rowIndex: 41,
+      error: 'total must be a number',
+      fieldErrors: [{ field: 'total', path: 'total', code: 'invalid_type', message: 'total must be a number' }],
+      data: { name: 'Cy', email: 'cy@example.com', total: 'x' },
+    },
+  ],
+};
+
+// jsdom's Blob has no text()
+const readBlob = (blob: Blob) =>
+  new Promise<string>((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.readAsText(blob);
+  });
+
+describe('DryRunReport', () => {
+  let blobs: Blob[];
+
+  beforeEach(() => {
+    blobs = [];
+    window.URL.createObjectURL = vi.fn((blob: Blob) => {
+      blobs.push(blob);
+      return 'blob:failing-rows';
+    });
+    window.URL.revokeObjectURL = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should summarize the rows that would fail and list their problems', () => {
+    render(<DryRunReport report={failingReport} fileName="people.csv" />);
+
+    expect(screen.getByText('2 of 900 rows would fail to merge.')).toBeInTheDocument();
+    expect(screen.getByText('Columns not used by the template: notes')).toBeInTheDocument();
+    expect(screen.getByText('4')).toBeInTheDocument();
+    expect(screen.getByText('email must be an email address')).toBeInTheDocument();
+    expect(screen.getByText('total must be a number')).toBeInTheDocument();
+  });
+
+  it('should report a file without problems', () => {
+    render(
+      <DryRunReport
+        report={{ ...failingReport, validRows: 900, invalidRows: 0, unknownColumns: [], errors: [] }}
+        fileName="people.csv"
+      />
+    );
+
+    expect(screen.getByText('All 900 rows are ready to merge.')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Download Failing Rows/ })).not.toBeInTheDocument();
+  });
+
+  it('should download the failing rows as a CSV with their problems', async () => {
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    render(<DryRunReport report={failingReport} fileName="people.xlsx" />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Download Failing Rows/ }));
+
+    expect(click).toHaveBeenCalled();
+    const anchor = click.mock.instances[0] as unknown as HTMLAnchorElement;
+    expect(anchor.download).toBe('people-failing-rows.csv');
+    expect(await readBlob(blobs[0])).toBe(
+      'name,email,notes,total,row,errors\r\n' +
+      ',bob@example,"says ""hi"", twice",,4,name is required; email must be an email address\r\n' +
+      'Cy,cy@example.com,,x,42,total must be a number\r\n'
+    );
+  });
+});
@@ -278,6 +278,35 @@ describe('UploadTemplateDialog', () => {
       expect(mockNavigate).not.toHaveBeenCalled();
     });
 
+    it('should display the quota reached when over a usage limit', async () => {
+      vi.mocked(templatesApi.upload).mockRejectedValue({
+        response: {
+          status: 403,
+          data: {
+            error: {
+              code: 'QUOTA_EXCEEDED',
+              message: "You've reached your limit of 200 templates; delete one to upload another",
+              details: { quota: 'templates', limit: 200, used: 200 },
+            },
+          },
+        },
+      });
+
+      renderDialog();
+      const fileInput = screen.getByRole('button', { name: /click to browse/i })
+        .parentElement?.querySelector('input[type="file"]') as HTMLInputElement;
+
+      const file = new File(['content'], 'test.docx', {
+        type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      });
+
+      fireEvent.change(fileInput, { target: { files: [file] } });
+
+      await waitFor(() => {
+        expect(screen.getByText("You've reached your limit of 200 templates; delete one to upload another")).toBeInTheDocument();
+      });
+    });
+
     it('should display generic error message on upload failure without specific error', async () => {
       vi.mocked(templatesApi.upload).mockRejectedValue(new Error('Network error'));
 
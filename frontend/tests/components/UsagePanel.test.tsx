@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import UsagePanel from '../../src/components/UsagePanel';
+import { usageApi } from '../../src/api/client';
+import type { Usage } from '../../src/types/api';
+
+// Mock the API client
+vi.mock('../../src/api/client', () => ({
+  usageApi: {
+    get: vi.fn(),
+  },
+}));
+
+const GB = 1024 ** 3;
+
+const mockUsage: Usage = {
+  quotas: {
+    templates: { used: 12, limit: 200 },
+    storageBytes: { used: 4.5 * GB, limit: 5 * GB },
+    mergesPerMonth: { used: 5000, limit: 5000 },
+    batchRowsPerMonth: { used: 40, limit: null },
+  },
+  storage: { templates: 1024 ** 2, versions: 2 * 1024 ** 2, assets: 512 * 1024, outputs: 4.5 * GB - 3.5 * 1024 ** 2, total: 4.5 * GB },
+  periodStart: '2026-10-01T00:00:00.000Z',
+  periodEnd: '2026-11-01T00:00:00.000Z',
+};
+
+describe('UsagePanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(usageApi.get).mockResolvedValue(mockUsage);
+  });
+
+  it('should show each quota\'s use against its limit', async () => {
+    render(<UsagePanel />);
+
+    await waitFor(() => {
+      expect(screen.getByText('12 of 200')).toBeInTheDocument();
+    });
+    expect(screen.getByText('4.5 GB of 5 GB')).toBeInTheDocument();
+    expect(screen.getByText('5,000 of 5,000')).toBeInTheDocument();
+    expect(screen.getByRole('progressbar', { name: 'Templates' })).toHaveAttribute('aria-valuenow', '6');
+    expect(screen.getByRole('progressbar', { name: 'Merges this month' })).toHaveAttribute('aria-valuenow', '100');
+  });
+
+  it('should show unlimited quotas without a bar', async () => {
+    render(<UsagePanel />);
+
+    await waitFor(() => {
+      expect(screen.getByText('40 · Unlimited')).toBeInTheDocument();
+    });
+    expect(screen.queryByRole('progressbar', { name: 'Batch rows this month' })).not.toBeInTheDocument();
+  });
+
+  it('should break storage down and say when the monthly counts start over', async () => {
+    render(<UsagePanel />);
+
+    await waitFor(() => {
+      expect(screen.getByText(/versions 2 MB/)).toBeInTheDocument();
+    });
+    expect(screen.getByText(/assets 512 KB/)).toBeInTheDocument();
+    expect(screen.getByText(/Monthly counts start over on/)).toHaveTextContent(
+      new Date('2026-11-01T00:00:00.000Z').toLocaleDateString()
+    );
+  });
+
+  it('should show the error from a failed request', async () => {
+    vi.mocked(usageApi.get).mockRejectedValue({
+      response: { data: { error: { code: 'INTERNAL_ERROR', message: 'Failed to load usage' } } },
+    });
+
+    render(<UsagePanel />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Failed to load usage')).toBeInTheDocument();
+    });
+  });
+});
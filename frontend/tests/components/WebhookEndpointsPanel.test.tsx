@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import WebhookEndpointsPanel from '../../src/components/WebhookEndpointsPanel';
+import { templatesApi, webhookEndpointsApi } from '../../src/api/client';
+import type { Template, WebhookEndpoint } from '../../src/types/api';
+
+// Mock the API client
+vi.mock('../../src/api/client', () => ({
+  templatesApi: {
+    getAll: vi.fn(),
+  },
+  webhookEndpointsApi: {
+    getAll: vi.fn(),
+    create: vi.fn(),
+    rotate: vi.fn(),
+    revoke: vi.fn(),
+  },
+}));
+
+const mockTemplates: Template[] = [
+  { id: 'template-1', displayName: 'Offer letter.docx', fields: [] },
+  { id: 'template-2', displayName: 'Invoice.docx', fields: [] },
+];
+
+const mockEndpoint: WebhookEndpoint = {
+  id: 'endpoint-1',
+  name: 'CRM',
+  templateId: 'template-1',
+  templateName: 'Offer letter.docx',
+  url: '/api/webhooks/endpoints/endpoint-1',
+  requireTimestamp: false,
+  secretHint: 'abcd',
+  rotatingUntil: null,
+  lastUsedAt: null,
+  createdAt: '2026-10-19T12:00:00.000Z',
+};
+
+describe('WebhookEndpointsPanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(templatesApi.getAll).mockResolvedValue(mockTemplates);
+    vi.mocked(webhookEndpointsApi.getAll).mockResolvedValue([mockEndpoint]);
+  });
+
+  it('should list the endpoints without their secrets', async () => {
+    render(<WebhookEndpointsPanel />);
+
+    await waitFor(() => {
+      expect(screen.getByText('CRM')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Offer letter.docx')).toBeInTheDocument();
+    expect(screen.getByText(/\/api\/webhooks\/endpoints\/endpoint-1$/)).toBeInTheDocument();
+    expect(screen.getByText('…abcd')).toBeInTheDocument();
+    expect(screen.getByText('Never')).toBeInTheDocument();
+    expect(screen.getByText('Accepts requests without a timestamp')).toBeInTheDocument();
+  });
+
+  it('should say when there are no endpoints', async () => {
+    vi.mocked(webhookEndpointsApi.getAll).mockResolvedValue([]);
+
+    render(<WebhookEndpointsPanel />);
+
+    await waitFor(() => {
+      expect(screen.getByText('No webhook endpoints yet.')).toBeInTheDocument();
+    });
+  });
+
+  it('should create an endpoint and show its secret once', async () => {
+    vi.mocked(webhookEndpointsApi.create).mockResolvedValue({
+      ...mockEndpoint,
+      id: 'endpoint-2',
+      name: 'Forms',
+      templateId: 'template-2',
+      templateName: 'Invoice.docx',
+      requireTimestamp: true,
+      secret: 'whsec_new-secret',
+    });
+    render(<WebhookEndpointsPanel />);
+    await waitFor(() => {
+      expect(screen.getByText('CRM')).toBeInTheDocument();
+    });
+
+    fireEvent.mouseDown(screen.getByLabelText('Template'));
+    fireEvent.click(await screen.findByRole('option', { name: 'Invoice.docx' }));
+    fireEvent.change(screen.getByLabelText('Endpoint Name'), { target: { value: ' Forms ' } });
+    expect(screen.getByLabelText('Require timestamp and nonce')).toBeChecked();
+    fireEvent.click(screen.getByRole('button', { name: 'Create Endpoint' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('whsec_new-secret')).toBeInTheDocument();
+    });
+    expect(webhookEndpointsApi.create).toHaveBeenCalledWith({
+      templateId: 'template-2',
+      name: 'Forms',
+      requireTimestamp: true,
+    });
+    expect(screen.getByText('Forms')).toBeInTheDocument();
+    expect(screen.getAllByText('Accepts requests without a timestamp')).toHaveLength(1);
+  });
+
+  it('should keep create disabled until a template and name are given', async () => {
+    render(<WebhookEndpointsPanel />);
+    await waitFor(() => {
+      expect(screen.getByText('CRM')).toBeInTheDocument();
+    });
+
+    expect(screen.getByRole('button', { name: 'Create Endpoint' })).toBeDisabled();
+    fireEvent.change(screen.getByLabelText('Endpoint Name'), { target: { value: 'Forms' } });
+    expect(screen.getByRole('button', { name: 'Create Endpoint' })).toBeDisabled();
+  });
+
+  it('should rotate a secret, showing the new one and how long the old one works', async () => {
+    vi.mocked(webhookEndpointsApi.rotate).mockResolvedValue({
+      ...mockEndpoint,
+      secretHint: 'wxyz',
+      rotatingUntil: '2026-10-20T12:00:00.000Z',
+      secret: 'whsec_rotated-wxyz',
+    });
+    render(<WebhookEndpointsPanel />);
+    await waitFor(() => {
+      expect(screen.getByText('CRM')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Rotate Secret' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('whsec_rotated-wxyz')).toBeInTheDocument();
+    });
+    expect(webhookEndpointsApi.rotate).toHaveBeenCalledWith('endpoint-1');
+    expect(screen.getByText(/The previous secret keeps working until/)).toBeInTheDocument();
+    expect(screen.getByText('…wxyz')).toBeInTheDocument();
+  });
+
+  it('should revoke an endpoint after confirming', async () => {
+    vi.mocked(webhookEndpointsApi.revoke).mockResolvedValue();
+    render(<WebhookEndpointsPanel />);
+    await waitFor(() => {
+      expect(screen.getByText('CRM')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Revoke' }));
+    const dialog = await screen.findByRole('dialog');
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Revoke' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('No webhook endpoints yet.')).toBeInTheDocument();
+    });
+    expect(webhookEndpointsApi.revoke).toHaveBeenCalledWith('endpoint-1');
+  });
+
+  it('should show the error when an endpoint can\'t be created', async () => {
+    vi.mocked(webhookEndpointsApi.create).mockRejectedValue({
+      response: { status: 404, data: { error: { code: 'TEMPLATE_NOT_FOUND', message: 'Template not found' } } },
+    });
+    render(<WebhookEndpointsPanel />);
+    await waitFor(() => {
+      expect(screen.getByText('CRM')).toBeInTheDocument();
+    });
+
+    fireEvent.mouseDown(screen.getByLabelText('Template'));
+    fireEvent.click(await screen.findByRole('option', { name: 'Offer letter.docx' }));
+    fireEvent.change(screen.getByLabelText('Endpoint Name'), { target: { value: 'Forms' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create Endpoint' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Template not found')).toBeInTheDocument();
+    });
+  });
+});
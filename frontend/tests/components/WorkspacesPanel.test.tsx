@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import WorkspacesPanel from '../../src/components/WorkspacesPanel';
+import { workspacesApi } from '../../src/api/client';
+import type { Workspace, WorkspaceMember } from '../../src/types/api';
+
+// Mock the API client
+vi.mock('../../src/api/client', () => ({
+  workspacesApi: {
+    getAll: vi.fn(),
+    create: vi.fn(),
+    delete: vi.fn(),
+    getMembers: vi.fn(),
+    addMember: vi.fn(),
+    updateMember: vi.fn(),
+    removeMember: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/context/SupabaseAuthContext', () => ({
+  useAuth: () => ({ user: { id: 'user-1', email: 'me@example.com' } }),
+}));
+
+const mockWorkspace: Workspace = {
+  id: 'ws-1',
+  name: 'Sales',
+  role: 'owner',
+  memberCount: 2,
+  createdAt: '2026-10-19T12:00:00.000Z',
+  updatedAt: '2026-10-19T12:00:00.000Z',
+};
+
+const member = (userId: string, email: string, role: WorkspaceMember['role']): WorkspaceMember => ({
+  workspaceId: 'ws-1',
+  userId,
+  role,
+  createdAt: '2026-10-19T12:00:00.000Z',
+  user: { id: userId, email, firstName: null, lastName: null },
+});
+
+describe('WorkspacesPanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(workspacesApi.getAll).mockResolvedValue([mockWorkspace]);
+    vi.mocked(workspacesApi.getMembers).mockResolvedValue([
+      member('user-1', 'me@example.com', 'owner'),
+      member('user-2', 'sam@example.com', 'viewer'),
+    ]);
+  });
+
+  const renderLoaded = async () => {
+    render(<WorkspacesPanel />);
+    await waitFor(() => {
+      expect(screen.getByText('Sales')).toBeInTheDocument();
+    });
+  };
+
+  it('should list the workspaces with the role in each', async () => {
+    await renderLoaded();
+
+    expect(screen.getByText('Owner')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Delete' })).toBeInTheDocument();
+  });
+
+  it('should offer to leave a workspace the user doesn\'t own', async () => {
+    vi.mocked(workspacesApi.getAll).mockResolvedValue([{ ...mockWorkspace, role: 'merger' }]);
+    vi.mocked(workspacesApi.removeMember).mockResolvedValue(undefined);
+    await renderLoaded();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Leave' }));
+    const dialog = await screen.findByRole('dialog');
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Leave' }));
+
+    await waitFor(() => {
+      expect(screen.getByText("You aren't in any workspaces yet.")).toBeInTheDocument();
+    });
+    expect(workspacesApi.removeMember).toHaveBeenCalledWith('ws-1', 'user-1');
+  });
+
+  it('should create a workspace', async () => {
+    vi.mocked(workspacesApi.create).mockResolvedValue({ ...mockWorkspace, id: 'ws-2', name: 'Finance', memberCount: 1 });
+    await renderLoaded();
+
+    fireEvent.change(screen.getByLabelText('Workspace Name'), { target: { value: ' Finance ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create Workspace' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Finance')).toBeInTheDocument();
+    });
+    expect(workspacesApi.create).toHaveBeenCalledWith({ name: 'Finance' });
+  });
+
+  it('should add a member by email with a role', async () => {
+    vi.mocked(workspacesApi.addMember).mockResolvedValue(member('user-3', 'kim@example.com', 'editor'));
+    await renderLoaded();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Members' }));
+    await screen.findByText('sam@example.com');
+
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'kim@example.com' } });
+    fireEvent.mouseDown(screen.getByLabelText('Role'));
+    fireEvent.click(await screen.findByRole('option', { name: 'Editor' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Add Member' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('kim@example.com')).toBeInTheDocument();
+    });
+    expect(workspacesApi.addMember).toHaveBeenCalledWith('ws-1', { email: 'kim@example.com', role: 'editor' });
+    expect(screen.getByText('3')).toBeInTheDocument();
+  });
+
+  it('should let owners remove others but not themselves', async () => {
+    vi.mocked(workspacesApi.removeMember).mockResolvedValue(undefined);
+    await renderLoaded();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Members' }));
+    await screen.findByText('sam@example.com');
+
+    expect(screen.getAllByRole('button', { name: 'Remove' })).toHaveLength(1);
+    fireEvent.click(screen.getByRole('button', { name: 'Remove' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('sam@example.com')).not.toBeInTheDocument();
+    });
+    expect(workspacesApi.removeMember).toHaveBeenCalledWith('ws-1', 'user-2');
+  });
+
+  it('should show the error from a failed request', async () => {
+    vi.mocked(workspacesApi.updateMember).mockRejectedValue({
+      response: { data: { error: { code: 'CONFLICT', message: 'A workspace needs at least one owner' } } },
+    });
+    await renderLoaded();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Members' }));
+    fireEvent.mouseDown(await screen.findByLabelText('Role of me@example.com'));
+    fireEvent.click(await screen.findByRole('option', { name: 'Viewer' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('A workspace needs at least one owner')).toBeInTheDocument();
+    });
+  });
+});
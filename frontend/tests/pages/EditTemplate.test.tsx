@@ -8,12 +8,22 @@ import * as apiClient from '../../src/api/client';
 import type { Template } from '../../src/types/api';
 
 // Use vi.hoisted to create mocks
-const { mockGetById, mockUpdate, mockDelete, mockGetVersions, mockRevertToVersion } = vi.hoisted(() => ({
+const {
+  mockGetById,
+  mockUpdate,
+  mockDelete,
+  mockGetVersions,
+  mockRevertToVersion,
+  mockSetWorkspace,
+  mockGetWorkspaces,
+} = vi.hoisted(() => ({
   mockGetById: vi.fn(),
   mockUpdate: vi.fn(),
   mockDelete: vi.fn(),
   mockGetVersions: vi.fn(),
   mockRevertToVersion: vi.fn(),
+  mockSetWorkspace: vi.fn(),
+  mockGetWorkspaces: vi.fn(),
 }));
 
 // Mock the API client
@@ -27,6 +37,10 @@ vi.mock('../../src/api/client', () => ({
     delete: mockDelete,
     getVersions: mockGetVersions,
     revertToVersion: mockRevertToVersion,
+    setWorkspace: mockSetWorkspace,
+  },
+  workspacesApi: {
+    getAll: mockGetWorkspaces,
   },
 }));
 
@@ -94,6 +108,7 @@ describe('EditTemplate Page', () => {
     mockNavigate.mockClear();
     mockConfirm.mockClear();
     mockGetVersions.mockResolvedValue([]);
+    mockGetWorkspaces.mockResolvedValue([]);
   });
 
   describe('Loading State', () => {
@@ -221,6 +236,7 @@ describe('EditTemplate Page', () => {
           displayName: 'My Invoice Template.docx',
         }));
       });
+      expect(mockSetWorkspace).not.toHaveBeenCalled();
     });
 
     it('should show success message after successful save', async () => {
@@ -278,6 +294,32 @@ describe('EditTemplate Page', () => {
         expect(screen.getByText('Failed to update template')).toBeInTheDocument();
       });
     });
+
+    it('should move the template into the chosen workspace', async () => {
+      const user = userEvent.setup();
+      mockGetById.mockResolvedValue(mockTemplate);
+      mockUpdate.mockResolvedValue(mockTemplate);
+      mockSetWorkspace.mockResolvedValue({ ...mockTemplate, workspaceId: 'ws-1' });
+      mockGetWorkspaces.mockResolvedValue([
+        { id: 'ws-1', name: 'Sales', role: 'editor', memberCount: 2, createdAt: '', updatedAt: '' },
+        { id: 'ws-2', name: 'Finance', role: 'viewer', memberCount: 4, createdAt: '', updatedAt: '' },
+      ]);
+
+      renderEditTemplate();
+
+      await user.click(await screen.findByRole('combobox', { name: /workspace/i }));
+      // Only workspaces the user may add templates to are offered
+      expect(screen.queryByRole('option', { name: 'Finance' })).not.toBeInTheDocument();
+      await user.click(await screen.findByRole('option', { name: 'Sales' }));
+
+      fireEvent.submit(document.querySelector('form') as HTMLFormElement);
+
+      await waitFor(() => {
+        expect(mockSetWorkspace).toHaveBeenCalledWith('template-1', 'ws-1');
+      });
+      // Let the redirect after saving happen before the next test
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/templates'), { timeout: 2000 });
+    });
   });
 
   describe('File Replacement', () => {
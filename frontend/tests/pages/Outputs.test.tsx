@@ -1,6 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
-import { BrowserRouter } from 'react-router-dom';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { BrowserRouter, MemoryRouter } from 'react-router-dom';
 import Outputs from '../../src/pages/Outputs';
 import { SupabaseAuthProvider } from '../../src/context/SupabaseAuthContext';
 import * as apiClient from '../../src/api/client';
@@ -17,7 +17,11 @@ vi.mock('../../src/api/client', () => ({
   mergeApi: {
     downloadOutput: vi.fn(),
   },
+  batchJobsApi: {
+    watch: vi.fn(),
+  },
 }));
+import type { BatchJobEvent } from '../../src/types/api';
 
 // Mock Supabase
 vi.mock('../../src/config/supabase', () => ({
@@ -536,6 +540,73 @@ describe('Outputs Page', () => {
     });
   });
 
+  describe('queued batch merge', () => {
+    const renderWithBatch = () =>
+      render(
+        <MemoryRouter initialEntries={[{ pathname: '/outputs', state: { batchJobId: 'batch-1' } }]}>
+          <SupabaseAuthProvider>
+            <Outputs />
+          </SupabaseAuthProvider>
+        </MemoryRouter>
+      );
+
+    let emit: (event: BatchJobEvent) => void;
+
+    beforeEach(() => {
+      vi.mocked(apiClient.jobsApi.getAll).mockResolvedValue([]);
+      vi.mocked(apiClient.batchJobsApi.watch).mockImplementation((_id, onEvent) => {
+        emit = (event) => act(() => onEvent(event));
+        return new Promise(() => {});
+      });
+    });
+
+    it('should show its progress until it finishes, then list its outputs', async () => {
+      renderWithBatch();
+      await waitFor(() => expect(apiClient.batchJobsApi.watch).toHaveBeenCalled());
+      expect(vi.mocked(apiClient.batchJobsApi.watch).mock.calls[0][0]).toBe('batch-1');
+
+      emit({ event: 'progress', data: { status: 'processing', totalRows: 40, processedRows: 10, failedRows: 0 } });
+      expect(screen.getByText('10 of 40 rows merged')).toBeInTheDocument();
+
+      emit({
+        event: 'done',
+        data: {
+          status: 'completed',
+          totalRows: 40,
+          processedRows: 40,
+          failedRows: 2,
+          error: null,
+          bundlePath: null,
+          completedAt: '2026-10-19T12:00:00.000Z',
+        },
+      });
+
+      expect(await screen.findByText('2 of 40 rows failed to merge.')).toBeInTheDocument();
+      expect(screen.queryByText(/rows merged/)).not.toBeInTheDocument();
+      await waitFor(() => expect(apiClient.jobsApi.getAll).toHaveBeenCalledTimes(2));
+    });
+
+    it('should report a batch merge that failed', async () => {
+      renderWithBatch();
+      await waitFor(() => expect(apiClient.batchJobsApi.watch).toHaveBeenCalled());
+
+      emit({
+        event: 'done',
+        data: {
+          status: 'failed',
+          totalRows: 40,
+          processedRows: 12,
+          failedRows: 0,
+          error: 'Template not found',
+          bundlePath: null,
+          completedAt: '2026-10-19T12:00:00.000Z',
+        },
+      });
+
+      expect(await screen.findByText('Template not found')).toBeInTheDocument();
+    });
+  });
+
   it('should close error alert when close button clicked', async () => {
     const errorMessage = 'Test error message';
     vi.mocked(apiClient.jobsApi.getAll).mockRejectedValue({
@@ -20,6 +20,31 @@ vi.mock('../../src/api/client', () => ({
     updateEmail: mockUpdateEmail,
     updatePassword: mockUpdatePassword,
   },
+  templatesApi: {
+    getAll: vi.fn().mockResolvedValue([]),
+  },
+  webhookEndpointsApi: {
+    getAll: vi.fn().mockResolvedValue([]),
+  },
+  apiKeysApi: {
+    getAll: vi.fn().mockResolvedValue([]),
+  },
+  workspacesApi: {
+    getAll: vi.fn().mockResolvedValue([]),
+  },
+  usageApi: {
+    get: vi.fn().mockResolvedValue({
+      quotas: {
+        templates: { used: 0, limit: 200 },
+        storageBytes: { used: 0, limit: 5368709120 },
+        mergesPerMonth: { used: 0, limit: 5000 },
+        batchRowsPerMonth: { used: 0, limit: 50000 },
+      },
+      storage: { templates: 0, versions: 0, assets: 0, outputs: 0, total: 0 },
+      periodStart: '2026-10-01T00:00:00.000Z',
+      periodEnd: '2026-11-01T00:00:00.000Z',
+    }),
+  },
 }));
 
 // Mock Supabase
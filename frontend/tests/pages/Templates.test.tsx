@@ -233,6 +233,82 @@ describe('Templates Page', () => {
     });
   });
 
+  it('should send an XLSX workbook to the bulk merge', async () => {
+    const mockTemplates = [
+      {
+        id: 'template1',
+        displayName: 'Test Template',
+        fields: [],
+        createdAt: '2024-01-01T00:00:00.000Z',
+        isActive: true,
+        folderId: null,
+      },
+    ];
+
+    vi.mocked(apiClient.templatesApi.getAll).mockResolvedValue(mockTemplates);
+    vi.mocked(apiClient.mergeApi.mergeCsv).mockResolvedValue({
+      count: 1,
+      jobs: [{ id: 1, status: 'succeeded', filePath: 's3://bucket/outputs/Invoices.pdf' }],
+    });
+
+    renderTemplates();
+
+    await waitFor(() => {
+      expect(screen.getByText('Test Template')).toBeInTheDocument();
+    });
+
+    const csvIcon = screen.getByTestId('TableRowsIcon');
+    const csvButton = csvIcon.closest('label') as HTMLLabelElement;
+    const fileInput = csvButton.querySelector('input[type="file"]') as HTMLInputElement;
+    expect(fileInput.accept).toBe('.csv,.xlsx,.json,.ndjson,.jsonl');
+
+    const xlsxFile = new File(['PK'], 'Invoices.XLSX', {
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    });
+
+    fireEvent.change(fileInput, { target: { files: [xlsxFile] } });
+
+    await waitFor(() => {
+      expect(apiClient.mergeApi.mergeCsv).toHaveBeenCalledWith('template1', xlsxFile, 'pdf');
+    });
+  });
+
+  it('should report a queued CSV merge that was cancelled', async () => {
+    vi.mocked(apiClient.templatesApi.getAll).mockResolvedValue([
+      {
+        id: 'template1',
+        displayName: 'Test Template',
+        fields: [],
+        createdAt: '2024-01-01T00:00:00.000Z',
+        isActive: true,
+        folderId: null,
+      },
+    ]);
+    vi.mocked(apiClient.mergeApi.mergeCsv).mockResolvedValue({ count: 0, jobs: [], batchJobId: 'batch-1' });
+    vi.mocked(apiClient.batchJobsApi.getStatus).mockResolvedValue({
+      id: 'batch-1',
+      templateId: 'template1',
+      status: 'cancelled',
+      totalRows: 40,
+      processedRows: 12,
+      failedRows: 0,
+      createdAt: '2024-01-01T00:00:00.000Z',
+    });
+
+    renderTemplates();
+
+    await waitFor(() => {
+      expect(screen.getByText('Test Template')).toBeInTheDocument();
+    });
+
+    const csvButton = screen.getByTestId('TableRowsIcon').closest('label') as HTMLLabelElement;
+    const fileInput = csvButton.querySelector('input[type="file"]') as HTMLInputElement;
+    fireEvent.change(fileInput, { target: { files: [new File(['a\n1'], 'rows.csv', { type: 'text/csv' })] } });
+
+    expect(await screen.findByText('Batch merge was cancelled')).toBeInTheDocument();
+    expect(mockNavigate).not.toHaveBeenCalledWith('/outputs', expect.anything());
+  });
+
   it('should show error for invalid CSV file', async () => {
     const mockTemplates = [
       {
@@ -263,7 +339,7 @@ describe('Templates Page', () => {
     fireEvent.change(fileInput, { target: { files: [txtFile] } });
 
     await waitFor(() => {
-      expect(screen.getByText(/only csv files are supported for bulk merge/i)).toBeInTheDocument();
+      expect(screen.getByText(/only csv, xlsx, json and ndjson files are supported for bulk merge/i)).toBeInTheDocument();
     });
 
     expect(apiClient.mergeApi.mergeCsv).not.toHaveBeenCalled();